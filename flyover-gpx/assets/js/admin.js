@@ -55,6 +55,13 @@
                 return true; // No submit button found, continue normally
             }
             
+            // FIT/TCX files must finish converting to GPX before they can be submitted
+            const importState = $fileInput.data('fgpxImport');
+            if (importState === 'pending' || importState === 'error') {
+                e.preventDefault();
+                return false;
+            }
+            
             // Validate file size
             if (!validateAndPreviewFile($fileInput)) {
                 e.preventDefault();
@@ -68,15 +75,92 @@
             $submitBtn.html('<span class="spinner is-active"></span>Uploading...');
             
             // Add progress message
-            const $progressMsg = $('<div class="fgpx-upload-progress notice notice-info" style="margin-top: 15px;"><p><strong>Uploading and processing GPX file...</strong><br>This may take a few moments for large files. Please do not close this page.</p></div>');
+            const $progressMsg = $('<div class="fgpx-upload-progress notice notice-info" style="margin-top: 15px;"><p><strong>Uploading and processing track file...</strong><br>This may take a few moments for large files. Please do not close this page.</p></div>');
             $form.after($progressMsg);
             
             return true; // Continue with form submission
         });
         
+        // FIT/TCX import: parse in the browser, preview, then swap the selected file for
+        // a converted GPX so the server-side upload pipeline stays GPX-only.
+        function formatDuration(seconds) {
+            const s = Math.max(0, Math.round(seconds));
+            const h = Math.floor(s / 3600);
+            const m = Math.floor((s % 3600) / 60);
+            return h + 'h ' + String(m).padStart(2, '0') + 'm';
+        }
+
+        function convertActivityFile($input) {
+            const input = $input[0];
+            const file = input.files[0];
+            const importer = window.FGPXTrackImport;
+            $input.siblings('.fgpx-import-preview').remove();
+            $input.removeData('fgpxImport');
+            if (!file || !importer) return;
+
+            const format = importer.detectFormat(file.name);
+            if (format !== 'fit' && format !== 'tcx') return;
+
+            const showResult = function(type, $content) {
+                $input.siblings('.fgpx-import-preview').remove();
+                const $box = $('<div class="fgpx-import-preview notice notice-' + type + ' inline" style="margin: 5px 0;"></div>').append($content);
+                const $anchor = $input.siblings('.file-info').last();
+                ($anchor.length ? $anchor : $input).after($box);
+            };
+
+            $input.data('fgpxImport', 'pending');
+            showResult('info', $('<p>').text('Reading ' + format.toUpperCase() + ' file…'));
+
+            const reader = new FileReader();
+            reader.onerror = function() {
+                $input.data('fgpxImport', 'error');
+                showResult('error', $('<p>').text('Could not read the selected file.'));
+            };
+            reader.onload = function() {
+                try {
+                    const track = format === 'fit' ? importer.parseFit(reader.result) : importer.parseTcx(reader.result);
+                    const summary = importer.summarize(track);
+                    if (summary.points < 2) {
+                        throw new Error('No GPS positions found in this file.');
+                    }
+                    if (typeof DataTransfer === 'undefined') {
+                        throw new Error('This browser cannot convert the file. Please upload a GPX export instead.');
+                    }
+                    const baseName = file.name.replace(/\.[^.]+$/, '');
+                    const gpxFile = new File([importer.toGpx(track, baseName)], baseName + '.gpx', { type: 'application/gpx+xml' });
+                    const transfer = new DataTransfer();
+                    transfer.items.add(gpxFile);
+                    input.files = transfer.files;
+                    $input.data('fgpxImport', 'ready');
+
+                    const $list = $('<ul style="margin: 4px 0 4px 18px; list-style: disc;">')
+                        .append($('<li>').text('Points: ' + summary.points.toLocaleString()))
+                        .append($('<li>').text('Distance: ' + (summary.distanceMeters / 1000).toFixed(2) + ' km'))
+                        .append($('<li>').text('Duration: ' + (summary.durationSeconds !== null ? formatDuration(summary.durationSeconds) : 'no timestamps')))
+                        .append($('<li>').text('Streams: ' + (summary.streams.length ? summary.streams.join(', ') : 'position only')));
+                    showResult('success', $('<div>')
+                        .append($('<p>').append($('<strong>').text(format.toUpperCase() + ' parsed: ')).append(document.createTextNode(file.name + ' will be uploaded as ' + gpxFile.name + '.')))
+                        .append($list));
+                } catch (err) {
+                    $input.data('fgpxImport', 'error');
+                    showResult('error', $('<p>').text((err && err.message) ? err.message : 'Failed to parse the selected file.'));
+                }
+            };
+            if (format === 'fit') {
+                reader.readAsArrayBuffer(file);
+            } else {
+                reader.readAsText(file);
+            }
+        }
+
         // File input change handlers for validation
         $('input[name="fgpx_file"]').on('change', function() {
-            validateAndPreviewFile($(this));
+            const $input = $(this);
+            if (validateAndPreviewFile($input)) {
+                convertActivityFile($input);
+            } else {
+                $input.siblings('.fgpx-import-preview').remove();
+            }
         });
         
         // Replace GPX functionality removed - use "Add New Track" instead
@@ -801,6 +885,45 @@
             $box.find('.fgpx-preview-custom-thumb').empty().hide();
         });
 
+        $(document).on('click', '.fgpx-poi-file-select', function(e) {
+            e.preventDefault();
+
+            if (!window.wp || !wp.media) {
+                showAdminNotice('WordPress media library is not available on this screen.', 'error');
+                return;
+            }
+
+            const $box = $(this).closest('.fgpx-poi-file-box');
+            const frame = wp.media({
+                title: 'Select points of interest file (GeoJSON)',
+                button: { text: 'Use this file' },
+                multiple: false
+            });
+
+            frame.on('select', function() {
+                const selected = frame.state().get('selection').first();
+                if (!selected) {
+                    return;
+                }
+
+                const data = selected.toJSON();
+                const id = Number(data.id) > 0 ? Number(data.id) : 0;
+                $box.find('.fgpx-poi-file-id').val(String(id));
+                $box.find('.fgpx-poi-file-name').text(String(data.filename || data.title || id));
+                $box.find('.fgpx-poi-file-clear').toggle(id > 0);
+            });
+
+            frame.open();
+        });
+
+        $(document).on('click', '.fgpx-poi-file-clear', function(e) {
+            e.preventDefault();
+            const $box = $(this).closest('.fgpx-poi-file-box');
+            $box.find('.fgpx-poi-file-id').val('0');
+            $box.find('.fgpx-poi-file-name').text('No file selected');
+            $(this).hide();
+        });
+
         $(document).on('click', '.fgpx-preview-mode-save', function(e) {
             e.preventDefault();
 
@@ -862,8 +985,467 @@
                 }
             });
         });
+
+        // Story chapters editor on the track edit screen
+        $('.fgpx-chapters-editor').each(function() {
+            initChaptersEditor($(this));
+        });
+
+        // Camera keyframe editor on the track edit screen
+        $('.fgpx-keyframes-editor').each(function() {
+            initCameraKeyframesEditor($(this));
+        });
     });
 
+    /**
+     * Story chapters editor. Chapters live in a hidden JSON field that is saved with the post;
+     * clicking the map adds a chapter at the nearest track point.
+     */
+    function initChaptersEditor($editor) {
+        const $json = $editor.find('.fgpx-chapters-json');
+        const $list = $editor.find('.fgpx-chapters-list');
+        const mapEl = $editor.find('.fgpx-chapters-map')[0];
+        const postId = Number($editor.data('track-id')) || 0;
+        let chapters = [];
+        let track = null; // { coordinates: [[lng, lat]], distances: [m] }
+        let map = null;
+        let markers = [];
+
+        try {
+            const parsed = JSON.parse(String($json.val() || '[]'));
+            chapters = Array.isArray(parsed) ? parsed : [];
+        } catch (_) {
+            chapters = [];
+        }
+
+        function numberOrEmpty(value) {
+            return value === null || value === undefined || value === '' || !Number.isFinite(Number(value)) ? '' : String(value);
+        }
+
+        function save() {
+            chapters.sort(function(a, b) { return Number(a.distance) - Number(b.distance); });
+            $json.val(JSON.stringify(chapters));
+        }
+
+        function coordinateAtDistance(distance) {
+            if (!track || !track.coordinates.length) {
+                return null;
+            }
+            let idx = 0;
+            while (idx < track.distances.length - 1 && track.distances[idx] < distance) {
+                idx++;
+            }
+            return track.coordinates[idx];
+        }
+
+        function renderMarkers() {
+            markers.forEach(function(marker) { marker.remove(); });
+            markers = [];
+            if (!map) {
+                return;
+            }
+            chapters.forEach(function(chapter, i) {
+                const coord = coordinateAtDistance(Number(chapter.distance) || 0);
+                if (!coord) {
+                    return;
+                }
+                const el = document.createElement('div');
+                el.className = 'fgpx-chapters-marker';
+                el.textContent = String(i + 1);
+                el.title = chapter.title || ('Chapter ' + (i + 1));
+                markers.push(new window.maplibregl.Marker({ element: el }).setLngLat(coord).addTo(map));
+            });
+        }
+
+        function field(label, $input) {
+            return $('<label class="fgpx-chapter-field"></label>').append($('<span></span>').text(label)).append($input);
+        }
+
+        function render() {
+            save();
+            $list.empty();
+            if (!chapters.length) {
+                $list.append($('<p class="description"></p>').text('No chapters yet.'));
+            }
+            chapters.forEach(function(chapter, i) {
+                const $row = $('<div class="fgpx-chapter-row"></div>').attr('data-index', i);
+                const $head = $('<div class="fgpx-chapter-row-head"></div>');
+                $head.append($('<strong></strong>').text('#' + (i + 1)));
+                $head.append(field('Distance (km)', $('<input type="number" step="0.01" min="0" class="small-text" data-field="distance">').val(((Number(chapter.distance) || 0) / 1000).toFixed(2))));
+                $head.append(field('Title', $('<input type="text" class="regular-text" data-field="title">').val(chapter.title || '')));
+                $head.append($('<button type="button" class="button-link fgpx-chapter-remove"></button>').text('Remove'));
+                $row.append($head);
+                $row.append(field('Text (HTML allowed)', $('<textarea rows="3" class="large-text" data-field="text"></textarea>').val(chapter.text || '')));
+
+                const $camera = $('<div class="fgpx-chapter-row-camera"></div>');
+                $camera.append(field('Zoom', $('<input type="number" step="0.5" min="1" max="20" class="small-text" data-field="zoom">').val(numberOrEmpty(chapter.zoom))));
+                $camera.append(field('Pitch', $('<input type="number" step="1" min="0" max="85" class="small-text" data-field="pitch">').val(numberOrEmpty(chapter.pitch))));
+                $camera.append(field('Bearing', $('<input type="number" step="1" min="-180" max="360" class="small-text" data-field="bearing">').val(numberOrEmpty(chapter.bearing))));
+                $camera.append($('<label class="fgpx-chapter-field"></label>')
+                    .append($('<input type="checkbox" data-field="pause">').prop('checked', !!chapter.pause))
+                    .append($('<span></span>').text('Pause playback')));
+                $row.append($camera);
+
+                const $image = $('<div class="fgpx-chapter-row-image"></div>');
+                if (chapter.imageUrl) {
+                    $image.append($('<img alt="">').attr('src', chapter.imageUrl));
+                }
+                $image.append($('<button type="button" class="button fgpx-chapter-image-select"></button>').text(chapter.imageId ? 'Change image' : 'Select image'));
+                if (chapter.imageId) {
+                    $image.append(' ').append($('<button type="button" class="button-link fgpx-chapter-image-clear"></button>').text('Remove image'));
+                }
+                $row.append($image);
+                $list.append($row);
+            });
+            renderMarkers();
+        }
+
+        function addChapter(distance) {
+            chapters.push({ distance: distance, title: '', text: '', imageId: 0, imageUrl: '', zoom: null, pitch: null, bearing: null, pause: false });
+            render();
+        }
+
+        $list.on('input change', '[data-field]', function(e) {
+            const $input = $(this);
+            const chapter = chapters[Number($input.closest('.fgpx-chapter-row').data('index'))];
+            if (!chapter) {
+                return;
+            }
+            const key = String($input.data('field'));
+            if (key === 'pause') {
+                chapter.pause = $input.prop('checked');
+            } else if (key === 'distance') {
+                chapter.distance = Math.max(0, Math.round((Number($input.val()) || 0) * 1000));
+                // Re-sort only once the value is committed so typing keeps focus
+                if (e.type === 'change') {
+                    render();
+                    return;
+                }
+            } else if (key === 'zoom' || key === 'pitch' || key === 'bearing') {
+                chapter[key] = $input.val() === '' ? null : Number($input.val());
+            } else {
+                chapter[key] = String($input.val() || '');
+            }
+            save();
+            if (key === 'title') {
+                renderMarkers();
+            }
+        });
+
+        $list.on('click', '.fgpx-chapter-remove', function() {
+            chapters.splice(Number($(this).closest('.fgpx-chapter-row').data('index')), 1);
+            render();
+        });
+
+        $list.on('click', '.fgpx-chapter-image-clear', function() {
+            const chapter = chapters[Number($(this).closest('.fgpx-chapter-row').data('index'))];
+            if (chapter) {
+                chapter.imageId = 0;
+                chapter.imageUrl = '';
+                render();
+            }
+        });
+
+        $list.on('click', '.fgpx-chapter-image-select', function() {
+            const chapter = chapters[Number($(this).closest('.fgpx-chapter-row').data('index'))];
+            if (!chapter) {
+                return;
+            }
+            if (!window.wp || !wp.media) {
+                showAdminNotice('WordPress media library is not available on this screen.', 'error');
+                return;
+            }
+            const frame = wp.media({
+                title: 'Select chapter image',
+                button: { text: 'Use this image' },
+                multiple: false,
+                library: { type: 'image' }
+            });
+            frame.on('select', function() {
+                const selected = frame.state().get('selection').first();
+                if (!selected) {
+                    return;
+                }
+                const data = selected.toJSON();
+                chapter.imageId = Number(data.id) > 0 ? Number(data.id) : 0;
+                chapter.imageUrl = data.sizes && data.sizes.thumbnail && data.sizes.thumbnail.url
+                    ? data.sizes.thumbnail.url
+                    : (data.url || '');
+                render();
+            });
+            frame.open();
+        });
+
+        $editor.find('.fgpx-chapters-add').on('click', function() {
+            addChapter(0);
+        });
+
+        render();
+
+        if (!postId || !mapEl || !window.maplibregl || typeof window.maplibregl.Map !== 'function') {
+            $(mapEl).hide();
+            return;
+        }
+
+        fetchTrackData(postId).then(function(trackData) {
+            const coordinates = extractTrackCoordinates(trackData);
+            const cumulative = trackData && trackData.geojson && trackData.geojson.properties
+                ? trackData.geojson.properties.cumulativeDistance
+                : null;
+            if (!coordinates.length || !Array.isArray(cumulative) || cumulative.length !== coordinates.length) {
+                $(mapEl).text('Upload a GPX file to place chapters on the map.');
+                return;
+            }
+            track = { coordinates: coordinates, distances: cumulative.map(Number) };
+
+            map = new window.maplibregl.Map({
+                container: mapEl,
+                style: getSnapshotStyle(window.FGPXAdminPreview || {}),
+                center: coordinates[0],
+                zoom: 11,
+                attributionControl: false
+            });
+            map.on('load', function() {
+                map.addSource('fgpx-chapters-route', {
+                    type: 'geojson',
+                    data: { type: 'Feature', geometry: { type: 'LineString', coordinates: coordinates }, properties: {} }
+                });
+                map.addLayer({
+                    id: 'fgpx-chapters-route-layer',
+                    type: 'line',
+                    source: 'fgpx-chapters-route',
+                    paint: { 'line-color': '#ff6a00', 'line-width': 4 }
+                });
+                const bounds = coordinates.reduce(function(b, coord) {
+                    return b.extend(coord);
+                }, new window.maplibregl.LngLatBounds(coordinates[0], coordinates[0]));
+                map.fitBounds(bounds, { padding: 32, duration: 0 });
+                renderMarkers();
+            });
+            map.on('click', function(e) {
+                addChapter(nearestTrackDistance(track, e.lngLat));
+            });
+        }).catch(function() {
+            $(mapEl).hide();
+        });
+    }
+
+    /**
+     * Distance along the track (meters) of the track point nearest to lngLat.
+     */
+    function nearestTrackDistance(track, lngLat) {
+        let best = -1;
+        let bestD2 = Infinity;
+        const cosLat = Math.cos(lngLat.lat * Math.PI / 180);
+        track.coordinates.forEach(function(coord, i) {
+            const dx = (coord[0] - lngLat.lng) * cosLat;
+            const dy = coord[1] - lngLat.lat;
+            const d2 = dx * dx + dy * dy;
+            if (d2 < bestD2) {
+                bestD2 = d2;
+                best = i;
+            }
+        });
+        return best >= 0 ? Math.round(track.distances[best]) : 0;
+    }
+
+    /**
+     * Camera keyframe editor. Scrubbing moves a marker along the track; the author frames the
+     * map around it and captures zoom, pitch, bearing and the offset of the view center along
+     * the track. Keyframes live in a hidden JSON field that is saved with the post.
+     */
+    function initCameraKeyframesEditor($editor) {
+        const $json = $editor.find('.fgpx-keyframes-json');
+        const $list = $editor.find('.fgpx-keyframes-list');
+        const $scrub = $editor.find('.fgpx-keyframes-scrub-input');
+        const $scrubLabel = $editor.find('.fgpx-keyframes-scrub-label');
+        const $capture = $editor.find('.fgpx-keyframes-capture');
+        const mapEl = $editor.find('.fgpx-keyframes-map')[0];
+        const postId = Number($editor.data('track-id')) || 0;
+        let keyframes = [];
+        let track = null; // { coordinates: [[lng, lat]], distances: [m] }
+        let map = null;
+        let marker = null;
+
+        try {
+            const parsed = JSON.parse(String($json.val() || '[]'));
+            keyframes = Array.isArray(parsed) ? parsed : [];
+        } catch (_) {
+            keyframes = [];
+        }
+
+        function save() {
+            keyframes.sort(function(a, b) { return Number(a.distance) - Number(b.distance); });
+            $json.val(JSON.stringify(keyframes));
+        }
+
+        function positionAtDistance(distance) {
+            const d = track.distances;
+            const last = d.length - 1;
+            if (distance <= d[0]) {
+                return track.coordinates[0];
+            }
+            if (distance >= d[last]) {
+                return track.coordinates[last];
+            }
+            let idx = 1;
+            while (idx < last && d[idx] < distance) {
+                idx++;
+            }
+            const span = d[idx] - d[idx - 1];
+            const u = span > 0 ? (distance - d[idx - 1]) / span : 0;
+            const a = track.coordinates[idx - 1];
+            const b = track.coordinates[idx];
+            return [a[0] + (b[0] - a[0]) * u, a[1] + (b[1] - a[1]) * u];
+        }
+
+        function scrubDistance() {
+            return Number($scrub.val()) || 0;
+        }
+
+        function scrubTo(distance, view) {
+            $scrub.val(String(Math.round(distance)));
+            $scrubLabel.text((scrubDistance() / 1000).toFixed(2) + ' km');
+            if (!map || !track) {
+                return;
+            }
+            const position = positionAtDistance(scrubDistance());
+            marker.setLngLat(position);
+            if (view) {
+                map.jumpTo({
+                    center: positionAtDistance(scrubDistance() + (Number(view.offset) || 0)),
+                    zoom: Number(view.zoom),
+                    pitch: Number(view.pitch),
+                    bearing: Number(view.bearing)
+                });
+            } else {
+                map.jumpTo({ center: position });
+            }
+        }
+
+        function field(label, key, value, attrs) {
+            return $('<label class="fgpx-chapter-field"></label>')
+                .append($('<span></span>').text(label))
+                .append($('<input type="number" class="small-text">').attr(attrs).attr('data-field', key).val(value));
+        }
+
+        function render() {
+            save();
+            $list.empty();
+            if (!keyframes.length) {
+                $list.append($('<p class="description"></p>').text('No keyframes yet. Without keyframes the player camera follows the marker automatically.'));
+            }
+            keyframes.forEach(function(keyframe, i) {
+                const $row = $('<div class="fgpx-keyframe-row"></div>').attr('data-index', i);
+                $row.append($('<strong></strong>').text('#' + (i + 1)));
+                $row.append(field('Distance (km)', 'distance', ((Number(keyframe.distance) || 0) / 1000).toFixed(2), { step: '0.01', min: '0' }));
+                $row.append(field('Zoom', 'zoom', keyframe.zoom, { step: '0.1', min: '1', max: '20' }));
+                $row.append(field('Pitch', 'pitch', keyframe.pitch, { step: '1', min: '0', max: '85' }));
+                $row.append(field('Bearing', 'bearing', keyframe.bearing, { step: '1', min: '0', max: '360' }));
+                $row.append(field('Offset (m)', 'offset', keyframe.offset || 0, { step: '10', min: '-2000', max: '2000' }));
+                $row.append($('<button type="button" class="button fgpx-keyframe-show"></button>').text('Show'));
+                $row.append($('<button type="button" class="button-link fgpx-keyframe-remove"></button>').text('Remove'));
+                $list.append($row);
+            });
+        }
+
+        $list.on('input change', '[data-field]', function(e) {
+            const $input = $(this);
+            const keyframe = keyframes[Number($input.closest('.fgpx-keyframe-row').data('index'))];
+            if (!keyframe) {
+                return;
+            }
+            const key = String($input.data('field'));
+            if (key === 'distance') {
+                keyframe.distance = Math.max(0, Math.round((Number($input.val()) || 0) * 1000));
+                // Re-sort only once the value is committed so typing keeps focus
+                if (e.type === 'change') {
+                    render();
+                    return;
+                }
+            } else {
+                keyframe[key] = Number($input.val()) || 0;
+            }
+            save();
+        });
+
+        $list.on('click', '.fgpx-keyframe-remove', function() {
+            keyframes.splice(Number($(this).closest('.fgpx-keyframe-row').data('index')), 1);
+            render();
+        });
+
+        $list.on('click', '.fgpx-keyframe-show', function() {
+            const keyframe = keyframes[Number($(this).closest('.fgpx-keyframe-row').data('index'))];
+            if (keyframe) {
+                scrubTo(Number(keyframe.distance) || 0, keyframe);
+            }
+        });
+
+        render();
+        $capture.prop('disabled', true);
+
+        if (!postId || !mapEl || !window.maplibregl || typeof window.maplibregl.Map !== 'function') {
+            $(mapEl).hide();
+            return;
+        }
+
+        fetchTrackData(postId).then(function(trackData) {
+            const coordinates = extractTrackCoordinates(trackData);
+            const cumulative = trackData && trackData.geojson && trackData.geojson.properties
+                ? trackData.geojson.properties.cumulativeDistance
+                : null;
+            if (!coordinates.length || !Array.isArray(cumulative) || cumulative.length !== coordinates.length) {
+                $(mapEl).text('Upload a GPX file to capture camera keyframes.');
+                return;
+            }
+            track = { coordinates: coordinates, distances: cumulative.map(Number) };
+            $scrub.attr('max', String(Math.round(track.distances[track.distances.length - 1])));
+
+            map = new window.maplibregl.Map({
+                container: mapEl,
+                style: getSnapshotStyle(window.FGPXAdminPreview || {}),
+                center: coordinates[0],
+                zoom: 13,
+                attributionControl: false
+            });
+            map.addControl(new window.maplibregl.NavigationControl({ visualizePitch: true }));
+            marker = new window.maplibregl.Marker({ color: '#ff6a00' }).setLngLat(coordinates[0]).addTo(map);
+            map.on('load', function() {
+                map.addSource('fgpx-keyframes-route', {
+                    type: 'geojson',
+                    data: { type: 'Feature', geometry: { type: 'LineString', coordinates: coordinates }, properties: {} }
+                });
+                map.addLayer({
+                    id: 'fgpx-keyframes-route-layer',
+                    type: 'line',
+                    source: 'fgpx-keyframes-route',
+                    paint: { 'line-color': '#ff6a00', 'line-width': 4 }
+                });
+                $capture.prop('disabled', false);
+                scrubTo(scrubDistance());
+            });
+
+            $scrub.on('input', function() {
+                scrubTo(scrubDistance());
+            });
+
+            $capture.on('click', function() {
+                const distance = scrubDistance();
+                const center = map.getCenter();
+                keyframes.push({
+                    distance: distance,
+                    zoom: Math.round(map.getZoom() * 100) / 100,
+                    pitch: Math.round(map.getPitch()),
+                    bearing: Math.round(((map.getBearing() % 360) + 360) % 360),
+                    offset: nearestTrackDistance(track, center) - distance
+                });
+                render();
+            });
+        }).catch(function() {
+            $(mapEl).hide();
+        });
+    }
+
     function sleep(ms) {
         return new Promise(function(resolve) {
             setTimeout(resolve, ms);
@@ -611,6 +611,243 @@
 
       VideoRecorder.prototype.stopPhotoCanvasRendering = function() {};
 
+  // --- Frame-capture encoders (animated GIF, ZIP of PNGs) ---
+  // Pure JS so exports work where MediaRecorder output does not play inline.
+
+  var CRC32_TABLE = null;
+
+  function crc32(bytes) {
+    if (!CRC32_TABLE) {
+      CRC32_TABLE = new Uint32Array(256);
+      for (var n = 0; n < 256; n++) {
+        var c = n;
+        for (var k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        CRC32_TABLE[n] = c >>> 0;
+      }
+    }
+    var crc = 0xFFFFFFFF;
+    for (var i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /**
+   * Build an uncompressed (stored) ZIP archive. PNGs are already deflated, so
+   * storing keeps this fast without a compression library.
+   *
+   * @param {Array<{name: string, data: Uint8Array}>} files
+   * @returns {Blob} application/zip
+   */
+  function buildStoredZip(files) {
+    var parts = [];
+    var central = [];
+    var offset = 0;
+    var now = new Date();
+    var dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    var dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    function header(size) {
+      var buf = new Uint8Array(size);
+      return { bytes: buf, view: new DataView(buf.buffer) };
+    }
+
+    for (var i = 0; i < files.length; i++) {
+      // Entry names are generated ASCII (frame-00001.png), no UTF-8 flag needed
+      var name = new Uint8Array(files[i].name.length);
+      for (var ch = 0; ch < name.length; ch++) name[ch] = files[i].name.charCodeAt(ch) & 0x7F;
+      var data = files[i].data;
+      var crc = crc32(data);
+      var local = header(30 + name.length);
+      local.view.setUint32(0, 0x04034B50, true);
+      local.view.setUint16(4, 20, true);
+      local.view.setUint16(10, dosTime, true);
+      local.view.setUint16(12, dosDate, true);
+      local.view.setUint32(14, crc, true);
+      local.view.setUint32(18, data.length, true);
+      local.view.setUint32(22, data.length, true);
+      local.view.setUint16(26, name.length, true);
+      local.bytes.set(name, 30);
+      parts.push(local.bytes, data);
+
+      var cd = header(46 + name.length);
+      cd.view.setUint32(0, 0x02014B50, true);
+      cd.view.setUint16(4, 20, true);
+      cd.view.setUint16(6, 20, true);
+      cd.view.setUint16(12, dosTime, true);
+      cd.view.setUint16(14, dosDate, true);
+      cd.view.setUint32(16, crc, true);
+      cd.view.setUint32(20, data.length, true);
+      cd.view.setUint32(24, data.length, true);
+      cd.view.setUint16(28, name.length, true);
+      cd.view.setUint32(42, offset, true);
+      cd.bytes.set(name, 46);
+      central.push(cd.bytes);
+      offset += local.bytes.length + data.length;
+    }
+
+    var cdSize = central.reduce(function(sum, b) { return sum + b.length; }, 0);
+    var end = header(22);
+    end.view.setUint32(0, 0x06054B50, true);
+    end.view.setUint16(8, files.length, true);
+    end.view.setUint16(10, files.length, true);
+    end.view.setUint32(12, cdSize, true);
+    end.view.setUint32(16, offset, true);
+    return new Blob(parts.concat(central, [end.bytes]), { type: 'application/zip' });
+  }
+
+  /**
+   * Streaming animated GIF89a encoder.
+   *
+   * Each frame gets its own 256-color table built from a 15-bit color histogram
+   * (popularity), so long recordings only keep the encoded bytes in memory.
+   *
+   * @param {number} width
+   * @param {number} height
+   * @param {{fps?: number}} [options] Frame rate; GIF delays are in 1/100 s
+   */
+  function GifEncoder(width, height, options) {
+    this.width = width;
+    this.height = height;
+    this.delayCs = Math.max(2, Math.round(100 / Math.max(1, (options && options.fps) || 15)));
+    this.frameCount = 0;
+    this.byteLength = 0;
+    this.parts = [];
+    this.hist = new Uint32Array(32768);
+    this.sumR = new Uint32Array(32768);
+    this.sumG = new Uint32Array(32768);
+    this.sumB = new Uint32Array(32768);
+    this.lut = new Int16Array(32768);
+    this.lzwCodes = new Int16Array(1 << 20);
+    this.lzwStamp = new Int32Array(1 << 20);
+    this.lzwGeneration = 0;
+
+    var head = [0x47, 0x49, 0x46, 0x38, 0x39, 0x61, width & 0xFF, width >> 8, height & 0xFF, height >> 8, 0x00, 0x00, 0x00];
+    // NETSCAPE2.0 application extension: loop forever
+    var loop = [0x21, 0xFF, 0x0B, 0x4E, 0x45, 0x54, 0x53, 0x43, 0x41, 0x50, 0x45, 0x32, 0x2E, 0x30, 0x03, 0x01, 0x00, 0x00, 0x00];
+    this.push(new Uint8Array(head.concat(loop)));
+  }
+
+  GifEncoder.prototype.push = function(bytes) {
+    this.parts.push(bytes);
+    this.byteLength += bytes.length;
+  };
+
+  GifEncoder.prototype.quantize = function(rgba) {
+    var n = this.width * this.height;
+    var hist = this.hist, sumR = this.sumR, sumG = this.sumG, sumB = this.sumB, lut = this.lut;
+    hist.fill(0); sumR.fill(0); sumG.fill(0); sumB.fill(0); lut.fill(-1);
+    var keys = new Uint16Array(n);
+    for (var i = 0, p = 0; i < n; i++, p += 4) {
+      var r = rgba[p], g = rgba[p + 1], b = rgba[p + 2];
+      var key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+      keys[i] = key;
+      hist[key]++; sumR[key] += r; sumG[key] += g; sumB[key] += b;
+    }
+    var used = [];
+    for (var k = 0; k < 32768; k++) { if (hist[k]) used.push(k); }
+    used.sort(function(a, b) { return hist[b] - hist[a]; });
+    var count = Math.min(256, used.length);
+    var palette = new Uint8Array(768);
+    for (var c = 0; c < count; c++) {
+      var bin = used[c];
+      palette[c * 3] = Math.round(sumR[bin] / hist[bin]);
+      palette[c * 3 + 1] = Math.round(sumG[bin] / hist[bin]);
+      palette[c * 3 + 2] = Math.round(sumB[bin] / hist[bin]);
+      lut[bin] = c;
+    }
+    var indices = new Uint8Array(n);
+    for (var j = 0; j < n; j++) {
+      var kj = keys[j];
+      var idx = lut[kj];
+      if (idx < 0) {
+        var kr = ((kj >> 10) << 3) | 4, kg = (((kj >> 5) & 31) << 3) | 4, kb = ((kj & 31) << 3) | 4;
+        var best = 0, bestD = Infinity;
+        for (var q = 0; q < count; q++) {
+          var dr = palette[q * 3] - kr, dg = palette[q * 3 + 1] - kg, db = palette[q * 3 + 2] - kb;
+          var d = dr * dr + dg * dg + db * db;
+          if (d < bestD) { bestD = d; best = q; }
+        }
+        lut[kj] = idx = best;
+      }
+      indices[j] = idx;
+    }
+    return { palette: palette, indices: indices };
+  };
+
+  GifEncoder.prototype.lzw = function(indices) {
+    var minCodeSize = 8;
+    var clearCode = 1 << minCodeSize, eoiCode = clearCode + 1;
+    var codeSize = minCodeSize + 1, nextCode = eoiCode + 1;
+    var codes = this.lzwCodes, stamp = this.lzwStamp;
+    var gen = ++this.lzwGeneration;
+    var out = [minCodeSize];
+    var block = new Uint8Array(255), blockLen = 0;
+    var cur = 0, curShift = 0;
+
+    function flushByte(byte) {
+      block[blockLen++] = byte;
+      if (blockLen === 255) { out.push(255); for (var b = 0; b < 255; b++) out.push(block[b]); blockLen = 0; }
+    }
+    function emit(code) {
+      cur |= code << curShift;
+      curShift += codeSize;
+      while (curShift >= 8) { flushByte(cur & 0xFF); cur >>>= 8; curShift -= 8; }
+    }
+
+    emit(clearCode);
+    var prefix = indices[0];
+    for (var i = 1; i < indices.length; i++) {
+      var k = indices[i];
+      var key = (prefix << 8) | k;
+      if (stamp[key] === gen) { prefix = codes[key]; continue; }
+      emit(prefix);
+      if (nextCode === 4096) {
+        emit(clearCode);
+        nextCode = eoiCode + 1;
+        codeSize = minCodeSize + 1;
+        gen = ++this.lzwGeneration;
+      } else {
+        // Grow the code size before inserting the first code that needs it (decoder timing)
+        if (nextCode >= (1 << codeSize)) codeSize++;
+        codes[key] = nextCode++;
+        stamp[key] = gen;
+      }
+      prefix = k;
+    }
+    emit(prefix);
+    emit(eoiCode);
+    if (curShift > 0) flushByte(cur & 0xFF);
+    if (blockLen > 0) { out.push(blockLen); for (var r = 0; r < blockLen; r++) out.push(block[r]); }
+    out.push(0);
+    return new Uint8Array(out);
+  };
+
+  /**
+   * Append one RGBA frame (length width*height*4).
+   * @param {Uint8ClampedArray|Uint8Array} rgba
+   * @param {number} [delayMs] Display time of this frame; defaults to 1/fps
+   */
+  GifEncoder.prototype.addFrame = function(rgba, delayMs) {
+    var q = this.quantize(rgba);
+    var w = this.width, h = this.height;
+    var delay = isFinite(delayMs) && delayMs > 0 ? Math.max(2, Math.round(delayMs / 10)) : this.delayCs;
+    // Graphic control extension (disposal: leave in place) + image descriptor with local 256-color table
+    this.push(new Uint8Array([
+      0x21, 0xF9, 0x04, 0x04, delay & 0xFF, delay >> 8, 0x00, 0x00,
+      0x2C, 0, 0, 0, 0, w & 0xFF, w >> 8, h & 0xFF, h >> 8, 0x87
+    ]));
+    this.push(q.palette);
+    this.push(this.lzw(q.indices));
+    this.frameCount++;
+  };
+
+  /** @returns {Blob} image/gif */
+  GifEncoder.prototype.finish = function() {
+    this.push(new Uint8Array([0x3B]));
+    var blob = new Blob(this.parts, { type: 'image/gif' });
+    this.parts = [];
+    return blob;
+  };
+
   /**
    * Photo Filename Matching Utility
    * 
@@ -906,6 +1143,1019 @@
     return bestTol * bestTol; // return squared tolerance
   }
 
+  // Points of interest from the GeoJSON file(s) attached to the track or site-wide.
+  // The server already keeps only POIs near the route and adds distanceMeters (along
+  // the route) and offsetMeters (off the route); map place labels found at runtime use
+  // their class (city, town, ...) as type and fall back to the city icon.
+  var POI_ICONS = { peak: '🏔', pass: '⛰', hut: '🛖', water: '💧', cafe: '☕', poi: '📍' };
+
+  function poiIcon(type) {
+    return POI_ICONS[type] || '🏙';
+  }
+
+  function normalizeRoutePois(raw) {
+    return (Array.isArray(raw) ? raw : []).filter(function (poi) {
+      return poi && isFinite(Number(poi.distanceMeters)) && isFinite(Number(poi.lat)) && isFinite(Number(poi.lon));
+    }).map(function (poi) {
+      var type = POI_ICONS[poi.type] ? String(poi.type) : 'poi';
+      return {
+        name: poi.name ? String(poi.name) : '',
+        type: type,
+        lat: Number(poi.lat),
+        lon: Number(poi.lon),
+        ele: poi.ele !== null && poi.ele !== undefined && isFinite(Number(poi.ele)) ? Number(poi.ele) : null,
+        distanceMeters: Number(poi.distanceMeters),
+        offsetMeters: isFinite(Number(poi.offsetMeters)) ? Number(poi.offsetMeters) : 0
+      };
+    }).sort(function (a, b) { return a.distanceMeters - b.distanceMeters; });
+  }
+
+  // Trips: several Track posts (one per day) replayed as one journey. The day payloads are
+  // concatenated into a single /track payload, so startPlayer runs unchanged on the result;
+  // payload.trip.days records where each day starts. Every day start is a route gap (the
+  // next day may begin somewhere else) and a lap marker for the Segments tab.
+  // FGPX.trip: [{id, trackModified, photoCacheVersion, payloadVersion}] from the shortcode, or plain IDs.
+  // A trip needs at least two days; anything else plays as a single track.
+  function normalizeTripDays(raw) {
+    var list = typeof raw === 'string' ? raw.split(',') : (Array.isArray(raw) ? raw : []);
+    var days = [];
+    list.forEach(function (day) {
+      var id = parseInt(String(day && typeof day === 'object' ? day.id : day).trim(), 10);
+      if (!(id > 0) || days.some(function (d) { return d.id === String(id); })) return;
+      days.push({
+        id: String(id),
+        trackModified: day && typeof day === 'object' && day.trackModified ? String(day.trackModified) : '',
+        photoCacheVersion: day && typeof day === 'object' && day.photoCacheVersion ? String(day.photoCacheVersion) : '',
+        payloadVersion: day && typeof day === 'object' && day.payloadVersion ? String(day.payloadVersion) : ''
+      });
+    });
+    return days.length >= 2 ? days : [];
+  }
+
+  function stitchTripPayloads(payloads) {
+    var usable = (payloads || []).filter(function (p) {
+      return p && p.geojson && Array.isArray(p.geojson.coordinates) && p.geojson.coordinates.length >= 2;
+    });
+    if (usable.length < 2) return usable[0] || (payloads && payloads[0]) || null;
+
+    // Per-point arrays present on any day; days without one get nulls so the arrays stay aligned
+    var aligned = [];
+    usable.forEach(function (p) {
+      var pr = p.geojson.properties || {};
+      Object.keys(pr).forEach(function (name) {
+        if (name !== 'cumulativeDistance' && Array.isArray(pr[name]) && pr[name].length === p.geojson.coordinates.length && aligned.indexOf(name) === -1) {
+          aligned.push(name);
+        }
+      });
+    });
+
+    var coordinates = [];
+    var props = { cumulativeDistance: [], gaps: [], lapDistances: [] };
+    aligned.forEach(function (name) { props[name] = []; });
+    var stats = { total_distance_m: 0, moving_time_s: 0, elevation_gain_m: 0, max_speed_m_s: 0 };
+    var minElev = Infinity;
+    var maxElev = -Infinity;
+    var bounds = null;
+    var photos = [];
+    var waypoints = [];
+    var pois = [];
+    var chapters = [];
+    var cameraKeyframes = [];
+    var weatherFeatures = [];
+    var days = [];
+
+    usable.forEach(function (p) {
+      var cs = p.geojson.coordinates;
+      var pr = p.geojson.properties || {};
+      var startIndex = coordinates.length;
+      var startDistance = startIndex > 0 ? props.cumulativeDistance[startIndex - 1] : 0;
+      var cd = Array.isArray(pr.cumulativeDistance) && pr.cumulativeDistance.length === cs.length ? pr.cumulativeDistance : null;
+      var acc = 0;
+      for (var i = 0; i < cs.length; i++) {
+        if (!cd && i > 0) acc += haversineMeters(cs[i - 1], cs[i]);
+        coordinates.push(cs[i]);
+        props.cumulativeDistance.push(startDistance + (cd ? (Number(cd[i]) || 0) - (Number(cd[0]) || 0) : acc));
+      }
+      aligned.forEach(function (name) {
+        var values = Array.isArray(pr[name]) && pr[name].length === cs.length ? pr[name] : null;
+        for (var j = 0; j < cs.length; j++) props[name].push(values ? values[j] : null);
+      });
+      var dayDistance = props.cumulativeDistance[coordinates.length - 1] - startDistance;
+
+      if (startIndex > 0) {
+        props.gaps.push(startIndex);
+        props.lapDistances.push(startDistance);
+      }
+      (Array.isArray(pr.gaps) ? pr.gaps : []).forEach(function (g) {
+        if (Number(g) > 0) props.gaps.push(startIndex + Number(g));
+      });
+      (Array.isArray(pr.lapDistances) ? pr.lapDistances : []).forEach(function (d) {
+        if (isFinite(Number(d))) props.lapDistances.push(startDistance + Number(d));
+      });
+
+      var st = p.stats || {};
+      stats.total_distance_m += dayDistance;
+      stats.moving_time_s += Number(st.moving_time_s) || 0;
+      stats.elevation_gain_m += Number(st.elevation_gain_m) || 0;
+      stats.max_speed_m_s = Math.max(stats.max_speed_m_s, Number(st.max_speed_m_s) || 0);
+      if (isFinite(Number(st.min_elevation_m)) && st.min_elevation_m !== null) minElev = Math.min(minElev, Number(st.min_elevation_m));
+      if (isFinite(Number(st.max_elevation_m)) && st.max_elevation_m !== null) maxElev = Math.max(maxElev, Number(st.max_elevation_m));
+
+      if (Array.isArray(p.bounds) && p.bounds.length === 4) {
+        bounds = bounds ? [Math.min(bounds[0], p.bounds[0]), Math.min(bounds[1], p.bounds[1]), Math.max(bounds[2], p.bounds[2]), Math.max(bounds[3], p.bounds[3])] : p.bounds.slice();
+      }
+      (Array.isArray(p.photos) ? p.photos : []).forEach(function (ph) { photos.push(ph); });
+      (Array.isArray(p.waypoints) ? p.waypoints : []).forEach(function (wp) {
+        waypoints.push(isFinite(Number(wp && wp.distanceMeters)) ? Object.assign({}, wp, { distanceMeters: startDistance + Number(wp.distanceMeters) }) : wp);
+      });
+      (Array.isArray(p.pois) ? p.pois : []).forEach(function (poi) {
+        if (isFinite(Number(poi && poi.distanceMeters))) pois.push(Object.assign({}, poi, { distanceMeters: startDistance + Number(poi.distanceMeters) }));
+      });
+      (Array.isArray(p.chapters) ? p.chapters : []).forEach(function (ch) {
+        chapters.push(Object.assign({}, ch, { distance: startDistance + (Number(ch && ch.distance) || 0) }));
+      });
+      (Array.isArray(p.cameraKeyframes) ? p.cameraKeyframes : []).forEach(function (kf) {
+        if (isFinite(Number(kf && kf.distance))) cameraKeyframes.push(Object.assign({}, kf, { distance: startDistance + Number(kf.distance) }));
+      });
+      var weather = p.weather || {};
+      (Array.isArray(weather.features) ? weather.features : []).forEach(function (f) { weatherFeatures.push(f); });
+
+      days.push({
+        id: p.id,
+        name: p.name ? String(p.name) : ('#' + p.id),
+        startIndex: startIndex,
+        startDistance: startDistance,
+        distance: dayDistance,
+        movingTime: Number(st.moving_time_s) || 0,
+        elevationGain: Number(st.elevation_gain_m) || 0
+      });
+    });
+
+    if (!props.lapDistances.length) delete props.lapDistances;
+    stats.average_speed_m_s = stats.moving_time_s > 0 ? stats.total_distance_m / stats.moving_time_s : 0;
+    if (minElev !== Infinity) stats.min_elevation_m = minElev;
+    if (maxElev !== -Infinity) stats.max_elevation_m = maxElev;
+
+    var first = usable[0];
+    return {
+      id: first.id,
+      name: first.name,
+      stats: stats,
+      geojson: { type: 'LineString', coordinates: coordinates, properties: props },
+      bounds: bounds,
+      points_count: coordinates.length,
+      simplified: usable.every(function (p) { return !!p.simplified; }),
+      estimatedPower: usable.some(function (p) { return !!p.estimatedPower; }),
+      photos: photos,
+      photoOrderMode: first.photoOrderMode,
+      waypoints: waypoints,
+      pois: pois,
+      chapters: chapters,
+      cameraKeyframes: cameraKeyframes,
+      source_post_id: first.source_post_id || 0,
+      source_post_title: first.source_post_title || '',
+      weather: weatherFeatures.length ? { type: 'FeatureCollection', features: weatherFeatures } : {},
+      weatherSummary: null,
+      trip: { days: days }
+    };
+  }
+
+  // Ghost-rider comparison: normalize a /track/{id} payload into a lightweight
+  // model (cumulative distance + elapsed seconds) that can be sampled against
+  // the primary track at any playback cursor.
+  function buildGhostTrack(payload, trackId) {
+    var gj = payload && payload.geojson;
+    var cs = (gj && Array.isArray(gj.coordinates)) ? gj.coordinates : [];
+    if (cs.length < 2) return null;
+    var pr = (gj && gj.properties) ? gj.properties : {};
+    var cd = Array.isArray(pr.cumulativeDistance) && pr.cumulativeDistance.length === cs.length ? pr.cumulativeDistance : null;
+    if (!cd) {
+      cd = new Array(cs.length);
+      cd[0] = 0;
+      for (var i = 1; i < cs.length; i++) {
+        cd[i] = cd[i - 1] + haversineMeters(cs[i - 1], cs[i]);
+      }
+    }
+    var offsets = null;
+    var duration = 0;
+    var ts = Array.isArray(pr.timestamps) && pr.timestamps.length === cs.length ? pr.timestamps : null;
+    if (ts) {
+      var baseMs = NaN;
+      for (var j = 0; j < ts.length && isNaN(baseMs); j++) {
+        if (ts[j]) baseMs = Date.parse(ts[j]);
+      }
+      if (!isNaN(baseMs)) {
+        offsets = new Array(ts.length);
+        var last = 0;
+        for (var k = 0; k < ts.length; k++) {
+          var ms = ts[k] ? Date.parse(ts[k]) : NaN;
+          if (!isNaN(ms)) last = Math.max(last, (ms - baseMs) / 1000);
+          offsets[k] = last; // forward-fill gaps and keep the series monotonic
+        }
+        duration = last;
+      }
+    }
+    return {
+      id: String(trackId),
+      name: (payload && payload.name) ? String(payload.name) : ('#' + trackId),
+      coords: cs,
+      cumDist: cd,
+      timeOffsets: duration > 0.5 ? offsets : null,
+      totalDistance: cd[cd.length - 1],
+      totalDuration: duration > 0.5 ? duration : 0
+    };
+  }
+
+  // Linear lookup in a monotonic series: value of `ys` where `xs` reaches x (clamped).
+  function interpolateSeries(xs, ys, x) {
+    var n = xs.length;
+    if (x <= xs[0]) return ys[0];
+    if (x >= xs[n - 1]) return ys[n - 1];
+    var lo = 0, hi = n - 1;
+    while (lo < hi) {
+      var mid = (lo + hi) >>> 1;
+      if (xs[mid] < x) lo = mid + 1; else hi = mid;
+    }
+    var i = Math.max(1, lo);
+    var x0 = xs[i - 1], x1 = xs[i];
+    return x1 > x0 ? lerp(ys[i - 1], ys[i], (x - x0) / (x1 - x0)) : ys[i - 1];
+  }
+
+  function ghostPositionAtDistance(ghost, d) {
+    var dc = Math.max(0, Math.min(ghost.totalDistance, d));
+    var lo = 0, hi = ghost.cumDist.length - 1;
+    while (lo < hi) {
+      var mid = (lo + hi) >>> 1;
+      if (ghost.cumDist[mid] < dc) lo = mid + 1; else hi = mid;
+    }
+    var idx = Math.max(1, lo);
+    var d0 = ghost.cumDist[idx - 1], d1 = ghost.cumDist[idx];
+    var t = d1 > d0 ? (dc - d0) / (d1 - d0) : 0;
+    var p0 = ghost.coords[idx - 1], p1 = ghost.coords[idx];
+    return [lerp(p0[0], p1[0], t), lerp(p0[1], p1[1], t)];
+  }
+
+  /**
+   * Sample a ghost track against the primary rider.
+   *
+   * `align` decides where the ghost marker sits: 'time' places it where the
+   * ghost was after the same elapsed time, 'distance' at the same distance.
+   * Gaps are reported from the ghost's point of view (positive = ghost ahead)
+   * and are null when the required timestamps are missing.
+   *
+   * @param {Object} ghost Model from buildGhostTrack()
+   * @param {string} align 'time' | 'distance'
+   * @param {number} dMain Primary rider distance in meters
+   * @param {number|null} tMain Primary rider elapsed seconds (null without timestamps)
+   * @returns {{distance: number, position: Array, gapMeters: (number|null), gapSeconds: (number|null)}}
+   */
+  function sampleGhostTrack(ghost, align, dMain, tMain) {
+    var timed = !!(ghost.timeOffsets && typeof tMain === 'number' && isFinite(tMain));
+    var dAtSameTime = timed ? interpolateSeries(ghost.timeOffsets, ghost.cumDist, tMain) : null;
+    var tAtSameDist = timed ? interpolateSeries(ghost.cumDist, ghost.timeOffsets, dMain) : null;
+    var dGhost = (align === 'time' && timed) ? dAtSameTime : Math.min(dMain, ghost.totalDistance);
+    var gapSeconds = null;
+    // Only meaningful while both riders are still on a shared stretch of the course.
+    if (timed && dMain <= ghost.totalDistance) gapSeconds = tMain - tAtSameDist;
+    return {
+      distance: dGhost,
+      position: ghostPositionAtDistance(ghost, dGhost),
+      gapMeters: timed ? (dAtSameTime - dMain) : null,
+      gapSeconds: gapSeconds
+    };
+  }
+
+  function formatGhostGap(sample, i18n) {
+    var t = i18n || {};
+    var parts = [];
+    if (sample.gapSeconds !== null) {
+      var secs = Math.round(sample.gapSeconds);
+      var clock = formatTime(Math.abs(secs)).replace(/^00:/, '');
+      parts.push(clock + ' ' + (secs >= 0 ? (t.ghostAhead || 'ahead') : (t.ghostBehind || 'behind')));
+    }
+    if (sample.gapMeters !== null) {
+      var m = sample.gapMeters;
+      var dist = Math.abs(m) >= 1000 ? (Math.abs(m) / 1000).toFixed(2) + ' km' : Math.round(Math.abs(m)) + ' m';
+      parts.push(dist + ' ' + (m >= 0 ? (t.ghostAhead || 'ahead') : (t.ghostBehind || 'behind')));
+    }
+    return parts.length ? parts.join(' · ') : '—';
+  }
+
+  // Climb categories scored as length (m) × average grade (%), highest first.
+  var CLIMB_CATEGORIES = [
+    { label: 'HC', minScore: 80000 },
+    { label: '1', minScore: 64000 },
+    { label: '2', minScore: 32000 },
+    { label: '3', minScore: 16000 },
+    { label: '4', minScore: 8000 }
+  ];
+
+  function climbCategory(lengthMeters, avgGradePct) {
+    var score = lengthMeters * avgGradePct;
+    for (var i = 0; i < CLIMB_CATEGORIES.length; i++) {
+      if (score >= CLIMB_CATEGORIES[i].minScore) return CLIMB_CATEGORIES[i].label;
+    }
+    return null;
+  }
+
+  // Forward-fill missing elevations (leading gaps take the first known value).
+  function fillElevations(elevations) {
+    var out = new Array(elevations.length);
+    var first = 0;
+    for (var f = 0; f < elevations.length; f++) {
+      if (typeof elevations[f] === 'number' && isFinite(elevations[f])) { first = elevations[f]; break; }
+    }
+    var last = first;
+    for (var i = 0; i < elevations.length; i++) {
+      var e = elevations[i];
+      if (typeof e === 'number' && isFinite(e)) last = e;
+      out[i] = last;
+    }
+    return out;
+  }
+
+  // Steepest grade (%) over any window of at least `windowMeters` inside [i0, i1].
+  // `sign` is +1 for climbs and -1 for descents; the result keeps the sign.
+  function steepestGrade(cumDist, elev, i0, i1, windowMeters, sign) {
+    var best = 0;
+    var j = i0;
+    for (var i = i0; i < i1; i++) {
+      if (j < i) j = i;
+      while (j < i1 && cumDist[j] - cumDist[i] < windowMeters) j++;
+      var d = cumDist[j] - cumDist[i];
+      if (d < windowMeters * 0.5) break;
+      var g = (elev[j] - elev[i]) / d * 100;
+      if (g * sign > best * sign) best = g;
+    }
+    return best;
+  }
+
+  // Positive elevation change, counting only rises of at least `threshold` meters
+  // so GPS jitter on flat ground does not add up (same rule as the importer).
+  function elevationGain(elev, i0, i1, threshold) {
+    var gain = 0;
+    var run = 0;
+    for (var i = i0 + 1; i <= i1; i++) {
+      var delta = elev[i] - elev[i - 1];
+      if (delta > 0) {
+        run += delta;
+      } else if (delta < 0) {
+        if (run >= threshold) gain += run;
+        run = 0;
+      }
+    }
+    if (run >= threshold) gain += run;
+    return gain;
+  }
+
+  function indexAtDistance(cumDist, d) {
+    var lo = 0, hi = cumDist.length - 1;
+    while (lo < hi) {
+      var mid = (lo + hi) >>> 1;
+      if (cumDist[mid] < d) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * Detect sustained climbs and descents in an elevation profile.
+   *
+   * The profile is split at turning points that reverse by at least
+   * `tolerance` meters, each leg is trimmed of its flat ends and kept when it
+   * is long, steep and high enough to matter.
+   *
+   * @param {Array<number>} cumDist Cumulative distance in meters
+   * @param {Array<?number>} elevations Elevation in meters (null for gaps)
+   * @param {Object} [options] tolerance, minLength, minGain, minGrade,
+   *   maxGradeWindow, startDistance, endDistance, timeOffsets
+   * @returns {Array<Object>} Segments ordered by start distance
+   */
+  function detectClimbSegments(cumDist, elevations, options) {
+    var o = options || {};
+    var tolerance = o.tolerance != null ? o.tolerance : 10;
+    var minLength = o.minLength != null ? o.minLength : 300;
+    var minGain = o.minGain != null ? o.minGain : 20;
+    var minGrade = o.minGrade != null ? o.minGrade : 2;
+    var gradeWindow = o.maxGradeWindow != null ? o.maxGradeWindow : 100;
+    var n = Math.min(cumDist.length, elevations.length);
+    if (n < 2) return [];
+    var elev = fillElevations(elevations.slice(0, n));
+    var first = o.startDistance != null ? indexAtDistance(cumDist, o.startDistance) : 0;
+    var last = o.endDistance != null ? Math.min(n - 1, indexAtDistance(cumDist, o.endDistance)) : n - 1;
+    if (last - first < 1) return [];
+
+    // Zig-zag pivots: a new turning point is confirmed once the profile has
+    // reversed by more than the tolerance from the running extreme.
+    var pivots = [];
+    var dir = 0, ext = first, minIdx = first, maxIdx = first;
+    for (var i = first + 1; i <= last; i++) {
+      if (dir === 0) {
+        if (elev[i] < elev[minIdx]) minIdx = i;
+        if (elev[i] > elev[maxIdx]) maxIdx = i;
+        if (elev[i] - elev[minIdx] >= tolerance) { pivots.push(minIdx); dir = 1; ext = i; }
+        else if (elev[maxIdx] - elev[i] >= tolerance) { pivots.push(maxIdx); dir = -1; ext = i; }
+      } else if (dir === 1) {
+        if (elev[i] >= elev[ext]) ext = i;
+        else if (elev[ext] - elev[i] >= tolerance) { pivots.push(ext); dir = -1; ext = i; }
+      } else {
+        if (elev[i] <= elev[ext]) ext = i;
+        else if (elev[i] - elev[ext] >= tolerance) { pivots.push(ext); dir = 1; ext = i; }
+      }
+    }
+    if (dir === 0) return [];
+    pivots.push(ext);
+
+    var segments = [];
+    var times = Array.isArray(o.timeOffsets) ? o.timeOffsets : null;
+    for (var p = 1; p < pivots.length; p++) {
+      var a = pivots[p - 1], b = pivots[p];
+      var up = elev[b] > elev[a];
+      var sign = up ? 1 : -1;
+      // Trim flat approaches so the segment starts where the road actually tilts
+      while (a < b - 1 && (elev[a + 1] - elev[pivots[p - 1]]) * sign < 2) a++;
+      while (b > a + 1 && (elev[pivots[p]] - elev[b - 1]) * sign < 2) b--;
+      var length = cumDist[b] - cumDist[a];
+      var change = elev[b] - elev[a];
+      if (length < minLength || Math.abs(change) < minGain) continue;
+      var avgGrade = change / length * 100;
+      if (Math.abs(avgGrade) < minGrade) continue;
+      segments.push({
+        type: up ? 'climb' : 'descent',
+        startIndex: a,
+        endIndex: b,
+        startDistance: cumDist[a],
+        endDistance: cumDist[b],
+        length: length,
+        gain: change,
+        avgGrade: avgGrade,
+        maxGrade: steepestGrade(cumDist, elev, a, b, gradeWindow, sign),
+        category: up ? climbCategory(length, avgGrade) : null,
+        duration: times ? Math.max(0, times[b] - times[a]) : null
+      });
+    }
+    return segments;
+  }
+
+  // Lap length for "auto" mode: roughly 5 to 20 laps on typical rides.
+  function autoLapMeters(totalMeters) {
+    if (totalMeters <= 15000) return 1000;
+    if (totalMeters <= 80000) return 5000;
+    return 10000;
+  }
+
+  /**
+   * Split the track into laps, either every `lapMeters` or at explicit
+   * marker distances (e.g. GPX track segment boundaries). The final lap is
+   * kept when it is at least 10% of a full lap.
+   *
+   * @param {Array<number>} cumDist Cumulative distance in meters
+   * @param {Array<?number>} elevations Elevation in meters
+   * @param {Object} options lapMeters | markers, startDistance, endDistance, timeOffsets
+   * @returns {Array<Object>}
+   */
+  function computeLaps(cumDist, elevations, options) {
+    var o = options || {};
+    var n = cumDist.length;
+    if (n < 2) return [];
+    var elev = fillElevations(elevations.slice(0, n));
+    var startD = o.startDistance != null ? o.startDistance : cumDist[0];
+    var endD = o.endDistance != null ? o.endDistance : cumDist[n - 1];
+    var bounds = [startD];
+    if (Array.isArray(o.markers) && o.markers.length) {
+      o.markers.map(Number).filter(function(d) { return isFinite(d) && d > startD && d < endD; })
+        .sort(function(x, y) { return x - y; })
+        .forEach(function(d) { bounds.push(d); });
+      bounds.push(endD);
+    } else {
+      var step = Math.max(100, Number(o.lapMeters) || 1000);
+      for (var d = startD + step; d < endD; d += step) bounds.push(d);
+      if (bounds.length > 1 && endD - bounds[bounds.length - 1] < step * 0.1) bounds.pop();
+      bounds.push(endD);
+    }
+    var times = Array.isArray(o.timeOffsets) ? o.timeOffsets : null;
+    var laps = [];
+    for (var k = 1; k < bounds.length; k++) {
+      var a = indexAtDistance(cumDist, bounds[k - 1]);
+      var b = Math.max(a, indexAtDistance(cumDist, bounds[k]));
+      var length = bounds[k] - bounds[k - 1];
+      var duration = times ? Math.max(0, interpolateSeries(cumDist, times, bounds[k]) - interpolateSeries(cumDist, times, bounds[k - 1])) : null;
+      laps.push({
+        type: 'lap',
+        number: k,
+        startIndex: a,
+        endIndex: b,
+        startDistance: bounds[k - 1],
+        endDistance: bounds[k],
+        length: length,
+        gain: elevationGain(elev, a, b, 3),
+        duration: duration,
+        avgSpeed: duration ? (length / duration) * 3.6 : null
+      });
+    }
+    return laps;
+  }
+
+  // Heart-rate zones Z1–Z5: lower bounds as fractions of max HR, or Friel-style
+  // fractions of LTHR when a threshold is configured.
+  var HR_ZONE_BANDS = {
+    maxhr: [0, 0.60, 0.70, 0.80, 0.90],
+    lthr: [0, 0.85, 0.90, 0.95, 1.00]
+  };
+  var HR_ZONE_NAMES = ['Recovery', 'Endurance', 'Tempo', 'Threshold', 'VO2 Max'];
+  var HR_ZONE_COLORS = ['#9ca3af', '#3b82f6', '#22c55e', '#f97316', '#ef4444'];
+
+  /**
+   * Resolve zone bounds (bpm) from the player config.
+   *
+   * @param {Object} cfg Player config with maxHr and optional lthr (0 = unused)
+   * @returns {{basis: string, reference: number, zones: Array<{label: string, min: number, max: number, color: string}>}}
+   */
+  function resolveHrZones(cfg) {
+    var lthr = Number(cfg && cfg.lthr);
+    var maxHr = Number(cfg && cfg.maxHr);
+    var basis = (isFinite(lthr) && lthr > 0) ? 'lthr' : 'maxhr';
+    var ref = basis === 'lthr'
+      ? Math.max(100, Math.min(220, lthr))
+      : ((isFinite(maxHr) && maxHr > 0) ? Math.max(120, Math.min(230, maxHr)) : 190);
+    var bands = HR_ZONE_BANDS[basis];
+    var zones = bands.map(function(lo, i) {
+      return {
+        label: 'Z' + (i + 1) + ' ' + HR_ZONE_NAMES[i],
+        min: Math.round(lo * ref),
+        max: i + 1 < bands.length ? Math.round(bands[i + 1] * ref) : Infinity,
+        color: HR_ZONE_COLORS[i]
+      };
+    });
+    return { basis: basis, reference: ref, zones: zones };
+  }
+
+  // Zone index for a reading, -1 when there is no usable heart rate.
+  function hrZoneIndex(hr, zones) {
+    if (typeof hr !== 'number' || !(hr > 0)) return -1;
+    for (var i = zones.length - 1; i > 0; i--) {
+      if (hr >= zones[i].min) return i;
+    }
+    return 0;
+  }
+
+  // Seconds spent in each zone. Each sample owns the interval since the previous
+  // sample; without timestamps every sample counts as one second.
+  function hrZoneSeconds(heartRates, timeOffsets, zones) {
+    var secs = zones.map(function() { return 0; });
+    for (var i = 0; i < heartRates.length; i++) {
+      var z = hrZoneIndex(heartRates[i], zones);
+      if (z < 0) continue;
+      var dt = 1;
+      if (Array.isArray(timeOffsets)) {
+        dt = i > 0 ? Math.max(0, Number(timeOffsets[i]) - Number(timeOffsets[i - 1])) || 0 : 0;
+      }
+      secs[z] += dt;
+    }
+    return secs;
+  }
+
+  // Progressive route coloring. 'auto' follows the elevation / HR zone coloring
+  // settings, 'none' keeps the single progress color, 'gradient' is elevation steepness.
+  var ROUTE_COLOR_MODES = ['auto', 'none', 'gradient', 'speed', 'hr', 'power', 'cadence', 'temperature'];
+  var ROUTE_COLOR_BUCKETS = 8;
+
+  function normalizeRouteColorBy(value) {
+    var mode = String(value == null ? '' : value).toLowerCase().replace(/^\s+|\s+$/g, '');
+    return ROUTE_COLOR_MODES.indexOf(mode) >= 0 ? mode : 'auto';
+  }
+
+  /**
+   * Build a MapLibre interpolate expression that fades a base color in over the input range.
+   * Defaults to the heatmap-density ramp used by the weather heatmaps; with a background
+   * color the ramp is opaque and starts at a light tint instead of transparent.
+   *
+   * @param {string} baseColor Hex color (#rrggbb)
+   * @param {{input?: Array, min?: number, max?: number, background?: string}} [options]
+   * @returns {Array} Expression usable for heatmap-color or line-color
+   */
+  function createHeatmapColorRamp(baseColor, options) {
+    options = options || {};
+    function parse(hex) {
+      return { r: parseInt(hex.slice(1, 3), 16), g: parseInt(hex.slice(3, 5), 16), b: parseInt(hex.slice(5, 7), 16) };
+    }
+    var rgb = parse(baseColor);
+    var bg = options.background ? parse(options.background) : null;
+    var min = isFinite(options.min) ? Number(options.min) : 0;
+    var max = (isFinite(options.max) && Number(options.max) > min) ? Number(options.max) : min + 1;
+    var stops = [[0, 0], [0.2, 0.4], [0.4, 0.6], [0.6, 0.75], [0.8, 0.85], [1, 1]];
+    var expr = ['interpolate', ['linear'], options.input || ['heatmap-density']];
+    stops.forEach(function(stop) {
+      var color;
+      if (bg) {
+        var a = 0.25 + 0.75 * stop[1];
+        color = 'rgb(' + Math.round(bg.r + (rgb.r - bg.r) * a) + ',' + Math.round(bg.g + (rgb.g - bg.g) * a) + ',' + Math.round(bg.b + (rgb.b - bg.b) * a) + ')';
+      } else {
+        color = stop[1] === 0 ? 'rgba(255,255,255,0)' : 'rgba(' + rgb.r + ',' + rgb.g + ',' + rgb.b + ',' + stop[1] + ')';
+      }
+      expr.push(min + stop[0] * (max - min), color);
+    });
+    return expr;
+  }
+
+  // Robust value range (5th–95th percentile) so a few spikes don't flatten the ramp.
+  function routeColorRange(values, accept) {
+    var valid = [];
+    for (var i = 0; i < values.length; i++) {
+      var v = values[i];
+      if (typeof v === 'number' && isFinite(v) && (!accept || accept(v))) valid.push(v);
+    }
+    if (valid.length < 2) return null;
+    valid.sort(function(a, b) { return a - b; });
+    var lo = valid[Math.floor((valid.length - 1) * 0.05)];
+    var hi = valid[Math.ceil((valid.length - 1) * 0.95)];
+    return { min: lo, max: hi > lo ? hi : lo + 1 };
+  }
+
+  // Quantize values into bucket midpoints within range; gaps keep the previous value
+  // (leading gaps stay null) so the driven route splits into few same-color runs.
+  function routeColorBucketValues(values, range, accept, buckets) {
+    buckets = buckets || ROUTE_COLOR_BUCKETS;
+    var step = (range.max - range.min) / buckets;
+    var last = null;
+    return values.map(function(v) {
+      if (typeof v === 'number' && isFinite(v) && (!accept || accept(v))) {
+        var b = Math.max(0, Math.min(buckets - 1, Math.floor((v - range.min) / step)));
+        last = range.min + (b + 0.5) * step;
+      }
+      return last;
+    });
+  }
+
+  // Camera modes: 'chase' follows behind the marker, 'topdown' keeps north up,
+  // 'orbit' circles the marker, 'firstperson' rides low and close, and 'cinematic'
+  // chases with a zoom driven by the shape of the route ahead.
+  var CAMERA_MODES = ['chase', 'topdown', 'orbit', 'firstperson', 'cinematic'];
+  var CAMERA_ORBIT_DEG_PER_S = 6;
+  var CINEMATIC_PULL_BACK = -1.2; // zoom offset on long flat straights
+  var CINEMATIC_PUSH_IN = 1.0; // zoom offset on switchbacks and steep ramps
+
+  function normalizeCameraMode(value) {
+    var mode = String(value == null ? '' : value).toLowerCase().replace(/[^a-z]/g, '');
+    return CAMERA_MODES.indexOf(mode) >= 0 ? mode : 'chase';
+  }
+
+  /**
+   * Zoom offset for the cinematic camera around distance d. Heading changes and
+   * gradient within the window push in; straight, flat stretches pull back.
+   *
+   * @param {Array<Array<number>>} coords [lon, lat, ele?] points
+   * @param {Array<number>} cumDist Cumulative distance per point (meters)
+   * @param {number} d Distance along the track (meters)
+   * @param {number} [windowM=400] Length of the route window centered on d
+   * @returns {number} Offset between CINEMATIC_PULL_BACK and CINEMATIC_PUSH_IN
+   */
+  function cinematicZoomOffset(coords, cumDist, d, windowM) {
+    var n = Math.min(coords.length, cumDist.length);
+    if (n < 2) return 0;
+    var w = windowM > 0 ? windowM : 400;
+    var from = Math.max(cumDist[0], Math.min(cumDist[n - 1] - w, d - w / 2));
+    var to = Math.min(cumDist[n - 1], from + w);
+    if (to - from < w / 4) return 0;
+
+    // Resample so GPS jitter between close points does not count as turning
+    var SAMPLES = 8;
+    var points = [];
+    for (var k = 0; k <= SAMPLES; k++) {
+      var idx = Math.min(n - 1, indexAtDistance(cumDist, from + (to - from) * k / SAMPLES));
+      if (points.length === 0 || points[points.length - 1] !== coords[idx]) points.push(coords[idx]);
+    }
+    var turn = 0;
+    var prevBearing = null;
+    for (var p = 1; p < points.length; p++) {
+      var b = bearingBetween(points[p - 1], points[p]);
+      if (prevBearing != null) turn += Math.abs(shortestAngleDelta(prevBearing, b));
+      prevBearing = b;
+    }
+    var curvature = Math.min(1, turn / 180);
+
+    var steepness = 0;
+    var first = points[0];
+    var last = points[points.length - 1];
+    if (isFinite(Number(first[2])) && isFinite(Number(last[2]))) {
+      var grade = Math.abs(Number(last[2]) - Number(first[2])) / (to - from) * 100;
+      steepness = Math.min(1, grade / 10);
+    }
+
+    var push = Math.max(curvature, steepness * 0.6);
+    return CINEMATIC_PULL_BACK + (CINEMATIC_PUSH_IN - CINEMATIC_PULL_BACK) * push;
+  }
+
+  // Camera keyframes authored in the track editor, sorted by distance. Keyframes
+  // without a full camera are dropped; a missing offset centers on the marker.
+  function normalizeCameraKeyframes(list) {
+    if (!Array.isArray(list)) return [];
+    var keyframes = [];
+    list.forEach(function(kf) {
+      if (!kf) return;
+      var distance = Number(kf.distance);
+      var zoom = Number(kf.zoom);
+      var pitch = Number(kf.pitch);
+      var bearing = Number(kf.bearing);
+      if (!isFinite(distance) || !isFinite(zoom) || !isFinite(pitch) || !isFinite(bearing)) return;
+      var offset = Number(kf.offset);
+      keyframes.push({ distance: distance, zoom: zoom, pitch: pitch, bearing: normalizeAngle(bearing), offset: isFinite(offset) ? offset : 0 });
+    });
+    keyframes.sort(function(a, b) { return a.distance - b.distance; });
+    return keyframes;
+  }
+
+  /**
+   * Camera at distance d along authored keyframes. Between two keyframes every value is
+   * eased with easeInOutCubic (bearing along the shorter turn); before the first and
+   * after the last keyframe the camera holds that keyframe.
+   *
+   * @param {Array<{distance:number, zoom:number, pitch:number, bearing:number, offset:number}>} keyframes Normalized keyframes
+   * @param {number} d Distance along the track (meters)
+   * @returns {{zoom:number, pitch:number, bearing:number, offset:number}|null}
+   */
+  function cameraKeyframeAt(keyframes, d) {
+    if (!keyframes || keyframes.length === 0) return null;
+    var hold = function(kf) { return { zoom: kf.zoom, pitch: kf.pitch, bearing: kf.bearing, offset: kf.offset }; };
+    var last = keyframes.length - 1;
+    if (d <= keyframes[0].distance) return hold(keyframes[0]);
+    if (d >= keyframes[last].distance) return hold(keyframes[last]);
+    var i = 1;
+    while (i < last && keyframes[i].distance < d) i++;
+    var a = keyframes[i - 1];
+    var b = keyframes[i];
+    var span = b.distance - a.distance;
+    if (span <= 0) return hold(b);
+    var u = easeInOutCubic((d - a.distance) / span);
+    return {
+      zoom: a.zoom + (b.zoom - a.zoom) * u,
+      pitch: a.pitch + (b.pitch - a.pitch) * u,
+      bearing: normalizeAngle(a.bearing + shortestAngleDelta(a.bearing, b.bearing) * u),
+      offset: a.offset + (b.offset - a.offset) * u
+    };
+  }
+
+  // Raster DEM source for a tile URL template. Terrarium tiles (AWS, Mapzen) are
+  // 256 px; Terrain-RGB providers such as MapTiler serve 512 px tiles.
+  function terrainDemSource(url) {
+    var terrarium = /terrarium/i.test(url);
+    return {
+      type: 'raster-dem',
+      tiles: [url],
+      tileSize: terrarium ? 256 : 512,
+      encoding: terrarium ? 'terrarium' : 'mapbox',
+      maxzoom: terrarium ? 15 : 14
+    };
+  }
+
+  var TERRAIN_SIGHT_MARGIN_DEG = 4;
+
+  /**
+   * Highest camera pitch that keeps the marker in sight over the terrain behind it.
+   * The ground between the marker and the camera is sampled opposite the bearing;
+   * every sample that rises above the marker lowers the pitch until the line of
+   * sight clears it.
+   *
+   * @param {function(Array<number>): (number|null)} elevationAt Terrain elevation (meters) at [lon, lat]
+   * @param {Array<number>} at Marker position [lon, lat]
+   * @param {number} bearingDeg Camera bearing
+   * @param {number} cameraDistM Distance from the camera to the marker (meters)
+   * @param {number} maxPitch Pitch returned when nothing is in the way
+   * @returns {number}
+   */
+  function terrainClearancePitch(elevationAt, at, bearingDeg, cameraDistM, maxPitch) {
+    var base = elevationAt(at);
+    if (typeof base !== 'number' || !isFinite(base) || !(cameraDistM > 0)) return maxPitch;
+    var back = (bearingDeg + 180) * Math.PI / 180;
+    var mPerDegLat = 111320;
+    var mPerDegLon = mPerDegLat * Math.cos(at[1] * Math.PI / 180);
+    var pitch = maxPitch;
+    var SAMPLES = 6;
+    for (var k = 1; k <= SAMPLES; k++) {
+      var s = cameraDistM * k / SAMPLES;
+      var ground = elevationAt([at[0] + s * Math.sin(back) / mPerDegLon, at[1] + s * Math.cos(back) / mPerDegLat]);
+      if (typeof ground !== 'number' || !isFinite(ground) || ground <= base) continue;
+      var rise = Math.atan2(ground - base, s) * 180 / Math.PI;
+      pitch = Math.min(pitch, 90 - rise - TERRAIN_SIGHT_MARGIN_DEG);
+    }
+    return Math.max(0, pitch);
+  }
+
+  // Public player API. Each initialized container gets a stable handle (FGPX.player(id));
+  // control calls made before the track has loaded are queued and replayed once the
+  // player binds its implementation in startPlayer.
+  var PLAYER_API_EVENTS = ['ready', 'play', 'pause', 'progress', 'photo', 'segment', 'chapter', 'ended', 'live', 'destroy'];
+
+  function createPlayerController(el) {
+    var listeners = {};
+    var impl = null;
+    var pending = [];
+    var released = false;
+
+    function call(method, args) {
+      if (released) return api;
+      if (!impl) {
+        pending.push([method, args]);
+        return api;
+      }
+      try { impl[method].apply(null, args); } catch (e) { DBG.warn('Player API ' + method + '() failed', e); }
+      return api;
+    }
+
+    function emit(event, data) {
+      var list = listeners[event];
+      if (!list || list.length === 0) return;
+      list.slice().forEach(function(cb) {
+        try { cb(data); } catch (e) { DBG.warn('Player API ' + event + ' listener failed', e); }
+      });
+    }
+
+    var api = {
+      id: el.id || '',
+      element: el,
+      play: function() { return call('play', []); },
+      pause: function() { return call('pause', []); },
+      /**
+       * Seek to a fraction (0..1) of the visible track, or to {fraction}, {distance} (meters)
+       * or {time} (seconds since the first timestamp). Does not start playback.
+       */
+      seek: function(target) { return call('seek', [target]); },
+      setSpeed: function(multiplier) { return call('setSpeed', [multiplier]); },
+      setMapMode: function(mode) { return call('setMapMode', [mode]); },
+      /** Switch to 'chase', 'topdown', 'orbit', 'firstperson' or 'cinematic'. */
+      setCameraMode: function(mode) { return call('setCameraMode', [mode]); },
+      /**
+       * Highlight {start, end} (meters along the track) on the map and the chart,
+       * and seek to its start.
+       */
+      showSegment: function(range) { return call('showSegment', [range]); },
+      /**
+       * Append recorded positions ({lat, lon, ele, time, hr, cadence, temperature, power})
+       * to the end of the track, e.g. from a WebSocket instead of polling.
+       */
+      appendPoints: function(points) { return call('appendPoints', [points]); },
+      getState: function() {
+        return impl ? impl.getState() : { ready: false, playing: false, fraction: 0, distance: 0, totalDistance: 0, time: null, speed: null, mapMode: null, cameraMode: null };
+      },
+      on: function(event, cb) {
+        if (PLAYER_API_EVENTS.indexOf(event) < 0 || typeof cb !== 'function') {
+          DBG.warn('Player API: unknown event or callback', event);
+          return function() {};
+        }
+        (listeners[event] = listeners[event] || []).push(cb);
+        // Late 'ready' subscribers still get called once
+        if (event === 'ready' && impl && !released) {
+          try { cb(impl.getState()); } catch (e) { DBG.warn('Player API ready listener failed', e); }
+        }
+        return function() { api.off(event, cb); };
+      },
+      off: function(event, cb) {
+        var list = listeners[event];
+        if (!list) return api;
+        listeners[event] = cb ? list.filter(function(fn) { return fn !== cb; }) : [];
+        return api;
+      },
+      destroy: function() {
+        if (released) return;
+        if (impl) {
+          try { impl.destroy(); } catch (e) { DBG.warn('Player API destroy() failed', e); }
+        }
+        release();
+      }
+    };
+
+    function release() {
+      if (released) return;
+      emit('destroy', { id: api.id });
+      released = true;
+      impl = null;
+      pending = [];
+      listeners = {};
+      try {
+        if (window.FGPX && window.FGPX.players && window.FGPX.players[api.id] === api) delete window.FGPX.players[api.id];
+        if (el.__fgpxPlayer && el.__fgpxPlayer.api === api) el.__fgpxPlayer = null;
+      } catch (_) {}
+    }
+
+    return {
+      api: api,
+      emit: emit,
+      release: release,
+      hasListeners: function(event) { return !!(listeners[event] && listeners[event].length > 0); },
+      bind: function(implementation) {
+        if (released) return;
+        impl = implementation;
+        var queued = pending;
+        pending = [];
+        queued.forEach(function(entry) { call(entry[0], entry[1]); });
+        var state = impl.getState();
+        emit('ready', state);
+        try {
+          if (typeof window.CustomEvent === 'function') {
+            el.dispatchEvent(new window.CustomEvent('fgpx:ready', { detail: { player: api } }));
+          }
+        } catch (_) {}
+      }
+    };
+  }
+
+  // Scrollytelling: article elements carrying data-fgpx-km or data-fgpx-waypoint anchor
+  // a playback distance. data-fgpx-player="<container id>" scopes a section to one player;
+  // unscoped sections apply to every scroll-driven player on the page.
+  function collectScrollSections(playerEl, waypoints) {
+    var sections = [];
+    var nodes = document.querySelectorAll('[data-fgpx-km], [data-fgpx-waypoint]');
+    for (var i = 0; i < nodes.length; i++) {
+      var el = nodes[i];
+      var scope = el.getAttribute('data-fgpx-player');
+      if (scope && scope !== playerEl.id) continue;
+      var distance = null;
+      var km = el.getAttribute('data-fgpx-km');
+      if (km !== null && km !== '' && isFinite(Number(km))) {
+        distance = Number(km) * 1000;
+      } else {
+        var name = String(el.getAttribute('data-fgpx-waypoint') || '').trim().toLowerCase();
+        for (var w = 0; w < (waypoints || []).length; w++) {
+          var wp = waypoints[w];
+          if (wp && String(wp.name || '').trim().toLowerCase() === name && isFinite(Number(wp.distanceMeters))) {
+            distance = Number(wp.distanceMeters);
+            break;
+          }
+        }
+      }
+      if (distance === null) {
+        DBG.warn('Scroll section without a resolvable distance or waypoint', el);
+        continue;
+      }
+      sections.push({ el: el, distance: distance });
+    }
+    return sections;
+  }
+
+  // Map a viewport reading line (px from the top) to the active section and a distance
+  // interpolated towards the next section's anchor. index -1 = above the first section.
+  function scrollSectionPosition(sections, line) {
+    var index = -1;
+    var tops = [];
+    for (var i = 0; i < sections.length; i++) {
+      tops.push(sections[i].el.getBoundingClientRect().top);
+      if (tops[i] <= line) index = i;
+    }
+    if (index < 0) return { index: -1, distance: null };
+    var distance = sections[index].distance;
+    if (index + 1 < sections.length) {
+      var span = tops[index + 1] - tops[index];
+      var t = span > 0 ? Math.max(0, Math.min(1, (line - tops[index]) / span)) : 0;
+      distance += (sections[index + 1].distance - distance) * t;
+    }
+    return { index: index, distance: distance };
+  }
+
+  // Split a run of route coordinates at privacy zone gaps. gapSet maps route indices whose
+  // link to the previous point was removed on the server; baseIndex is the route index of list[0].
+  // Parts with a single point cannot be drawn and are dropped.
+  function splitLineAtGaps(list, baseIndex, gapSet) {
+    if (!gapSet) return [list];
+    var parts = [];
+    var current = [];
+    for (var i = 0; i < list.length; i++) {
+      if (i > 0 && gapSet[baseIndex + i]) {
+        if (current.length > 1) parts.push(current);
+        current = [];
+      }
+      current.push(list[i]);
+    }
+    if (current.length > 1 || !parts.length) parts.push(current);
+    return parts;
+  }
+
+  // One part stays a LineString, so tracks without gaps keep their usual geometry
+  function lineGeometry(parts) {
+    return parts.length === 1 ? { type: 'LineString', coordinates: parts[0] } : { type: 'MultiLineString', coordinates: parts };
+  }
+
+  // Story chapters authored in the track editor. Camera fields stay null when the author
+  // left them empty so the player keeps its own zoom/pitch/bearing.
+  function normalizeChapters(list) {
+    if (!Array.isArray(list)) return [];
+    var optionalNumber = function(v) {
+      return (v === null || v === undefined || v === '' || !isFinite(Number(v))) ? null : Number(v);
+    };
+    return list.filter(function(ch) {
+      return ch && typeof ch === 'object' && ch.distance !== null && ch.distance !== '' && isFinite(Number(ch.distance));
+    }).map(function(ch) {
+      return {
+        distance: Number(ch.distance),
+        title: String(ch.title || ''),
+        text: String(ch.text || ''),
+        imageUrl: String(ch.imageUrl || ''),
+        zoom: optionalNumber(ch.zoom),
+        pitch: optionalNumber(ch.pitch),
+        bearing: optionalNumber(ch.bearing),
+        pause: !!ch.pause
+      };
+    }).sort(function(a, b) { return a.distance - b.distance; });
+  }
+
   function buildOSMRasterStyle() {
     return 'https://api.maptiler.com/maps/base-v4/style.json?key=yuGDmIlURzez57sC1sod';
   }
@@ -921,6 +2171,10 @@
     var left = createEl('div', 'fgpx-controls-left');
     var right = createEl('div', 'fgpx-controls-right');
     var I18N = (window.FGPX && FGPX.i18n) ? FGPX.i18n : {};
+    mapEl.setAttribute('role', 'region');
+    mapEl.setAttribute('aria-label', I18N.mapLabel || 'Route map');
+    controls.setAttribute('role', 'toolbar');
+    controls.setAttribute('aria-label', I18N.playerControls || 'Player controls');
     var btnPlay = createEl('button', 'fgpx-btn fgpx-btn-primary', '');
     var btnPause = createEl('button', 'fgpx-btn', '');
     var btnRestart = createEl('button', 'fgpx-btn', '');
@@ -957,9 +2211,27 @@
       btnDayNight.setAttribute('title', 'Toggle Day/Night Overlay');
     } catch(_) {}
     var speedSel = createEl('select', 'fgpx-select');
+    speedSel.setAttribute('aria-label', I18N.speed || 'Speed');
     ['1x','10x','25x','50x','100x','250x'].forEach(function(lab){ var opt = createEl('option'); opt.value = lab.replace('x',''); opt.textContent = lab; speedSel.appendChild(opt); });
     try { speedSel.value = (window.FGPX && isFinite(Number(FGPX.defaultSpeed)) ? String(Number(FGPX.defaultSpeed)) : '25'); } catch(e) { speedSel.value = '25'; }
+    var cameraSel = createEl('select', 'fgpx-select fgpx-camera-select');
+    cameraSel.setAttribute('aria-label', I18N.cameraLabel || 'Camera');
+    [
+      ['chase', I18N.cameraChase || 'Chase'],
+      ['topdown', I18N.cameraTopdown || 'Top-down'],
+      ['orbit', I18N.cameraOrbit || 'Orbit'],
+      ['firstperson', I18N.cameraFirstperson || 'First person'],
+      ['cinematic', I18N.cameraCinematic || 'Cinematic']
+    ].forEach(function(entry) { var opt = createEl('option'); opt.value = entry[0]; opt.textContent = entry[1]; cameraSel.appendChild(opt); });
+    cameraSel.value = normalizeCameraMode(window.FGPX && FGPX.cameraMode);
+    // The progress bar is the seek slider; startPlayer keeps its value in sync and handles its keys
     var progressWrap = createEl('div', 'fgpx-progress');
+    progressWrap.setAttribute('role', 'slider');
+    progressWrap.setAttribute('tabindex', '0');
+    progressWrap.setAttribute('aria-label', I18N.progressLabel || 'Playback position');
+    progressWrap.setAttribute('aria-valuemin', '0');
+    progressWrap.setAttribute('aria-valuemax', '100');
+    progressWrap.setAttribute('aria-valuenow', '0');
     var progressBar = createEl('div', 'fgpx-progress-bar');
     progressWrap.appendChild(progressBar);
     left.appendChild(btnPlay); left.appendChild(btnPause); left.appendChild(btnRestart); left.appendChild(btnRecord);
@@ -996,6 +2268,23 @@
       }
     }
     right.appendChild(createEl('span', 'fgpx-speed-label', I18N.speed || 'Speed')); right.appendChild(speedSel);
+    right.appendChild(createEl('span', 'fgpx-camera-label', I18N.cameraLabel || 'Camera')); right.appendChild(cameraSel);
+    var btnShortcuts = createEl('button', 'fgpx-btn fgpx-btn-shortcuts', '?');
+    btnShortcuts.type = 'button';
+    btnShortcuts.setAttribute('title', I18N.shortcutsTitle || 'Keyboard shortcuts');
+    btnShortcuts.setAttribute('aria-label', I18N.shortcutsTitle || 'Keyboard shortcuts');
+    btnShortcuts.setAttribute('aria-haspopup', 'dialog');
+    right.appendChild(btnShortcuts);
+    var btnOffline = null;
+    if (FGPX && FGPX.offlineEnabled && offlineSupported()) {
+      btnOffline = createEl('button', 'fgpx-btn fgpx-btn-offline', '');
+      btnOffline.type = 'button';
+      btnOffline.textContent = '\u2601\uFE0E'; // ☁ without emoji variation
+      btnOffline.setAttribute('title', I18N.offlineSave || 'Save for offline');
+      btnOffline.setAttribute('aria-label', I18N.offlineSave || 'Save for offline');
+      btnOffline.setAttribute('aria-expanded', 'false');
+      right.appendChild(btnOffline);
+    }
     if (window.FGPX && FGPX.gpxDownloadUrl && FGPX.gpxDownloadNonce) {
       var btnDownload = document.createElement('button');
       btnDownload.type = 'button';
@@ -1044,9 +2333,20 @@
     var statAvg = createEl('div', 'fgpx-stat');
     var statGain = createEl('div', 'fgpx-stat');
     stats.appendChild(statDist); stats.appendChild(statTime); stats.appendChild(statAvg); stats.appendChild(statGain);
+    // Screen reader announcements of the playback position, speed and mode changes
+    var announcer = createEl('div', 'fgpx-sr-only');
+    announcer.setAttribute('role', 'status');
+    announcer.setAttribute('aria-live', 'polite');
+    announcer.setAttribute('aria-atomic', 'true');
     
+    // Text alternative to the map and charts; startPlayer fills it when it is opened
+    var routeSummary = createEl('details', 'fgpx-route-summary');
+    routeSummary.appendChild(createEl('summary', 'fgpx-route-summary-toggle', I18N.routeSummary || 'Route summary'));
+    var routeSummaryBody = createEl('div', 'fgpx-route-summary-body');
+    routeSummary.appendChild(routeSummaryBody);
+
     // Tab variables
-    var tabElevation, tabBiometrics, tabTemperature, tabPower, tabPowerZones, tabWindImpact, tabWindRose, tabAll, tabWeatherGrade, tabMedia, tabWeatherOverview;
+    var tabElevation, tabBiometrics, tabTemperature, tabPower, tabPowerZones, tabWindImpact, tabWindRose, tabAll, tabWeatherGrade, tabMedia, tabWeatherOverview, tabSegments, tabHrZones, tabDataTable;
     
     // Show no data message in chart area (will be defined in startPlayer with proper chart reference)
     // No global no-data handler; keep it instance-scoped inside startPlayer.
@@ -1057,6 +2357,8 @@
     // Chart tabs container
     var chartTabs = createEl('div', 'fgpx-chart-tabs');
     chartTabs.style.cssText = 'display:flex;border-bottom:1px solid #ddd;background:#f8f9fa;margin-bottom:0';
+    chartTabs.setAttribute('role', 'tablist');
+    chartTabs.setAttribute('aria-label', I18N.chartTabsLabel || 'Charts');
     var chartTabsHint = createEl('div', 'fgpx-chart-tabs-hint');
     chartTabsHint.textContent = (I18N.swipeTabsHint || 'Swipe to see more tabs');
     chartTabsHint.setAttribute('aria-hidden', 'true');
@@ -1078,6 +2380,8 @@
     tabPower.textContent = 'Power';
     tabPowerZones = createEl('button', 'fgpx-chart-tab');
     tabPowerZones.textContent = 'Power Zones';
+    tabHrZones = createEl('button', 'fgpx-chart-tab');
+    tabHrZones.textContent = (I18N.hrZonesTab || 'HR Zones');
     tabWindImpact = createEl('button', 'fgpx-chart-tab');
     tabWindImpact.textContent = 'Wind Impact';
     tabWindRose = createEl('button', 'fgpx-chart-tab');
@@ -1090,20 +2394,32 @@
     tabMedia.textContent = 'Media';
     tabWeatherOverview = createEl('button', 'fgpx-chart-tab');
     tabWeatherOverview.textContent = (I18N.weatherOverviewTab || 'Weather');
+    tabSegments = createEl('button', 'fgpx-chart-tab');
+    tabSegments.textContent = (I18N.segmentsTab || 'Segments');
+    tabDataTable = createEl('button', 'fgpx-chart-tab');
+    tabDataTable.textContent = (I18N.dataTableTab || 'Data table');
     chartTabs.appendChild(tabElevation);
     chartTabs.appendChild(tabBiometrics);
     chartTabs.appendChild(tabTemperature);
     chartTabs.appendChild(tabPower);
     chartTabs.appendChild(tabPowerZones);
+    chartTabs.appendChild(tabHrZones);
     chartTabs.appendChild(tabWindImpact);
     chartTabs.appendChild(tabWindRose);
     chartTabs.appendChild(tabAll);
+    chartTabs.appendChild(tabSegments);
+    chartTabs.appendChild(tabDataTable);
     chartTabs.appendChild(tabWeatherGrade);
     chartTabs.appendChild(tabWeatherOverview);
     // Only add media tab if photos are enabled
     if (FGPX.photosEnabled) {
       chartTabs.appendChild(tabMedia);
     }
+    [tabElevation, tabBiometrics, tabTemperature, tabPower, tabPowerZones, tabHrZones, tabWindImpact, tabWindRose, tabAll, tabSegments, tabDataTable, tabWeatherGrade, tabWeatherOverview, tabMedia].forEach(function(tab) {
+      tab.type = 'button';
+      tab.setAttribute('role', 'tab');
+      tab.setAttribute('aria-selected', tab === tabElevation ? 'true' : 'false');
+    });
 
     // Queue tab requests until startPlayer wires switchChartTab in the map load path.
     // This avoids no-op clicks when users switch tabs immediately after the UI renders.
@@ -1122,9 +2438,12 @@
     tabTemperature.addEventListener('click', queueTabUntilReady('temperature'));
     tabPower.addEventListener('click', queueTabUntilReady('power'));
     tabPowerZones.addEventListener('click', queueTabUntilReady('powerzones'));
+    tabHrZones.addEventListener('click', queueTabUntilReady('hrzones'));
     tabWindImpact.addEventListener('click', queueTabUntilReady('windimpact'));
     tabWindRose.addEventListener('click', queueTabUntilReady('windrose'));
     tabAll.addEventListener('click', queueTabUntilReady('all'));
+    tabSegments.addEventListener('click', queueTabUntilReady('segments'));
+    tabDataTable.addEventListener('click', queueTabUntilReady('datatable'));
     tabWeatherGrade.addEventListener('click', queueTabUntilReady('weathergrade'));
     tabWeatherOverview.addEventListener('click', queueTabUntilReady('weatheroverview'));
     if (FGPX.photosEnabled) {
@@ -1137,16 +2456,21 @@
     var canvas = createEl('canvas');
     chartWrap.appendChild(canvas);
     var mediaPanel = createEl('div', 'fgpx-media-panel');
+    var segmentsPanel = createEl('div', 'fgpx-segments-panel');
+    var dataTablePanel = createEl('div', 'fgpx-data-table-panel');
     var weatherOverviewPanel = createEl('div', 'fgpx-weather-overview-panel');
     var weatherOverviewPlayhead = createEl('div', 'fgpx-weather-overview-playhead');
     var weatherOverviewLegend = createEl('div', 'fgpx-weather-legend fgpx-weather-overview-legend');
     weatherOverviewLegend.style.display = 'none';
     weatherOverviewPanel.appendChild(weatherOverviewPlayhead);
     statsChart.appendChild(stats);
+    statsChart.appendChild(routeSummary);
     statsChart.appendChild(chartTabs);
     statsChart.appendChild(chartTabsHint);
     statsChart.appendChild(chartLegend);
     statsChart.appendChild(chartWrap);
+    statsChart.appendChild(segmentsPanel);
+    statsChart.appendChild(dataTablePanel);
     statsChart.appendChild(mediaPanel);
     statsChart.appendChild(weatherOverviewPanel);
     statsChart.appendChild(weatherOverviewLegend);
@@ -1156,18 +2480,24 @@
     container.appendChild(mapEl);
     container.appendChild(controls);
     container.appendChild(statsChart);
+    container.appendChild(announcer);
 
     return { 
       spinner: spinner, 
       error: error, 
       mapEl: mapEl, 
-      controls: { btnPlay: btnPlay, btnPause: btnPause, btnRestart: btnRestart, btnRecord: btnRecord, btnWeather: btnWeather, btnTemperature: btnTemperature, btnWind: btnWind, btnDayNight: btnDayNight, speedSel: speedSel, progressBar: progressBar }, 
+      controls: { btnPlay: btnPlay, btnPause: btnPause, btnRestart: btnRestart, btnRecord: btnRecord, btnWeather: btnWeather, btnTemperature: btnTemperature, btnWind: btnWind, btnDayNight: btnDayNight, speedSel: speedSel, cameraSel: cameraSel, progressBar: progressBar, btnOffline: btnOffline, btnShortcuts: btnShortcuts }, 
       stats: { dist: statDist, time: statTime, avg: statAvg, gain: statGain }, 
+      announcer: announcer,
       canvas: canvas,
       chartWrap: chartWrap,
-      tabs: { tabElevation: tabElevation, tabBiometrics: tabBiometrics, tabTemperature: tabTemperature, tabPower: tabPower, tabPowerZones: tabPowerZones, tabWindImpact: tabWindImpact, tabWindRose: tabWindRose, tabAll: tabAll, tabWeatherGrade: tabWeatherGrade, tabMedia: tabMedia, tabWeatherOverview: tabWeatherOverview },
+      tabs: { tabElevation: tabElevation, tabBiometrics: tabBiometrics, tabTemperature: tabTemperature, tabPower: tabPower, tabPowerZones: tabPowerZones, tabWindImpact: tabWindImpact, tabWindRose: tabWindRose, tabAll: tabAll, tabWeatherGrade: tabWeatherGrade, tabMedia: tabMedia, tabWeatherOverview: tabWeatherOverview, tabSegments: tabSegments, tabHrZones: tabHrZones, tabDataTable: tabDataTable },
       chartLegend: chartLegend,
       mediaPanel: mediaPanel,
+      segmentsPanel: segmentsPanel,
+      dataTablePanel: dataTablePanel,
+      routeSummary: routeSummary,
+      routeSummaryBody: routeSummaryBody,
       weatherOverviewPanel: weatherOverviewPanel,
       weatherOverviewPlayhead: weatherOverviewPlayhead,
       weatherOverviewLegend: weatherOverviewLegend
@@ -1242,6 +2572,579 @@
     }
   }
 
+  /**
+   * Track payload cache backed by IndexedDB.
+   *
+   * Entries are keyed by what was requested (track, host post, simplification,
+   * photo strategy) and carry a version built from the photo cache version and
+   * the track's modified time, so an edit on the server invalidates them on the
+   * next read. Coordinates, timestamps and numeric sensor streams are stored as
+   * Float64Array buffers; the rest of the payload is kept as plain data.
+   * Every entry records its size and last access time and the least recently
+   * used entries are evicted once the store grows past TRACK_CACHE_MAX_BYTES.
+   */
+  var TRACK_CACHE_DB_NAME = 'fgpx-track-cache';
+  var TRACK_CACHE_STORE = 'tracks';
+  var TRACK_CACHE_FORMAT = 1;
+  var TRACK_CACHE_MAX_BYTES = 64 * 1024 * 1024;
+  var TRACK_CACHE_MAX_AGE_MS = 7 * 86400000;
+  var trackCacheDbPromise = null;
+  var legacyTrackCachePurged = false;
+
+  function openTrackCacheDb() {
+    if (trackCacheDbPromise) return trackCacheDbPromise;
+    trackCacheDbPromise = new Promise(function (resolve, reject) {
+      var idb = null;
+      try { idb = window.indexedDB || null; } catch (_) {}
+      if (!idb) {
+        reject(new Error('IndexedDB unavailable'));
+        return;
+      }
+      var req = idb.open(TRACK_CACHE_DB_NAME, TRACK_CACHE_FORMAT);
+      req.onupgradeneeded = function () {
+        var db = req.result;
+        if (db.objectStoreNames.contains(TRACK_CACHE_STORE)) {
+          db.deleteObjectStore(TRACK_CACHE_STORE);
+        }
+        var store = db.createObjectStore(TRACK_CACHE_STORE, { keyPath: 'key' });
+        store.createIndex('lastAccess', 'lastAccess');
+      };
+      req.onsuccess = function () { resolve(req.result); };
+      req.onerror = function () { reject(req.error || new Error('IndexedDB open failed')); };
+      req.onblocked = function () { reject(new Error('IndexedDB open blocked')); };
+    });
+    // Allow a later call to retry (e.g. after another tab released an upgrade block)
+    trackCacheDbPromise.catch(function () { trackCacheDbPromise = null; });
+    return trackCacheDbPromise;
+  }
+
+  function trackCacheTransaction(mode, work) {
+    return openTrackCacheDb().then(function (db) {
+      return new Promise(function (resolve, reject) {
+        var tx = db.transaction(TRACK_CACHE_STORE, mode);
+        var result;
+        tx.oncomplete = function () { resolve(result); };
+        tx.onerror = tx.onabort = function () { reject(tx.error || new Error('IndexedDB transaction failed')); };
+        work(tx.objectStore(TRACK_CACHE_STORE), function (value) { result = value; });
+      });
+    });
+  }
+
+  // Numeric stream (null gaps allowed) or ISO timestamp stream -> Float64Array, else null
+  function encodeTrackStream(values) {
+    var numeric = true;
+    var times = true;
+    for (var i = 0; i < values.length && (numeric || times); i++) {
+      var v = values[i];
+      if (v === null || v === undefined) continue;
+      if (typeof v !== 'number' || !isFinite(v)) numeric = false;
+      if (typeof v !== 'string' || !isFinite(Date.parse(v))) times = false;
+    }
+    if (!numeric && !times) return null;
+    var data = new Float64Array(values.length);
+    for (i = 0; i < values.length; i++) {
+      var x = values[i];
+      data[i] = (x === null || x === undefined) ? NaN : (numeric ? x : Date.parse(x));
+    }
+    return { type: numeric ? 'number' : 'time', data: data };
+  }
+
+  /**
+   * Split a track payload into typed-array buffers and a plain metadata part.
+   *
+   * @param {Object} payload Track payload as returned by the REST endpoint
+   * @returns {{meta: Object, coords: Float64Array, stride: number, streams: Object, bytes: number}}
+   */
+  function encodeTrackPayload(payload) {
+    var geo = (payload && payload.geojson) || {};
+    var coords = Array.isArray(geo.coordinates) ? geo.coordinates : [];
+    var n = coords.length;
+    var stride = 2;
+    for (var i = 0; i < n; i++) {
+      if (coords[i] && coords[i].length > 2) { stride = 3; break; }
+    }
+    var coordData = new Float64Array(n * stride);
+    for (i = 0; i < n; i++) {
+      var c = coords[i] || [];
+      for (var k = 0; k < stride; k++) {
+        coordData[i * stride + k] = (typeof c[k] === 'number') ? c[k] : NaN;
+      }
+    }
+
+    var props = geo.properties || {};
+    var streams = {};
+    var plainProps = {};
+    Object.keys(props).forEach(function (name) {
+      var values = props[name];
+      var encoded = (n > 0 && Array.isArray(values) && values.length === n) ? encodeTrackStream(values) : null;
+      if (encoded) {
+        streams[name] = encoded;
+      } else {
+        plainProps[name] = values;
+      }
+    });
+
+    // Deep copy so later in-place changes by the player never leak into the stored entry
+    var metaJson = JSON.stringify(Object.assign({}, payload, {
+      geojson: Object.assign({}, geo, { coordinates: null, properties: plainProps })
+    }));
+    var bytes = coordData.byteLength + metaJson.length * 2;
+    Object.keys(streams).forEach(function (name) { bytes += streams[name].data.byteLength; });
+    return { meta: JSON.parse(metaJson), coords: coordData, stride: stride, streams: streams, bytes: bytes };
+  }
+
+  /**
+   * Rebuild the original payload shape from a stored entry.
+   *
+   * @param {Object} record Entry written by encodeTrackPayload()
+   * @returns {Object} Track payload
+   */
+  function decodeTrackPayload(record) {
+    var meta = record.meta || {};
+    var stride = record.stride || 2;
+    var data = record.coords;
+    var coords = new Array(Math.floor(data.length / stride));
+    for (var i = 0; i < coords.length; i++) {
+      var c = [data[i * stride], data[i * stride + 1]];
+      if (stride > 2 && !isNaN(data[i * stride + 2])) c.push(data[i * stride + 2]);
+      coords[i] = c;
+    }
+
+    var geo = meta.geojson || {};
+    var props = Object.assign({}, geo.properties);
+    Object.keys(record.streams || {}).forEach(function (name) {
+      var stream = record.streams[name];
+      var values = new Array(stream.data.length);
+      for (var j = 0; j < values.length; j++) {
+        var v = stream.data[j];
+        values[j] = isNaN(v) ? null : (stream.type === 'time' ? new Date(v).toISOString() : v);
+      }
+      props[name] = values;
+    });
+
+    return Object.assign({}, meta, {
+      geojson: Object.assign({}, geo, { coordinates: coords, properties: props })
+    });
+  }
+
+  /**
+   * Read a cached payload. Entries with a different version or older than
+   * TRACK_CACHE_MAX_AGE_MS are deleted and reported as a miss.
+   *
+   * @param {string} key Cache key
+   * @param {string} version Expected entry version
+   * @returns {Promise<?Object>} Decoded payload or null
+   */
+  function trackCacheGet(key, version) {
+    return trackCacheTransaction('readwrite', function (store, done) {
+      var req = store.get(key);
+      req.onsuccess = function () {
+        var record = req.result;
+        if (!record) return;
+        if (record.version !== version || (Date.now() - record.savedAt) > TRACK_CACHE_MAX_AGE_MS) {
+          store.delete(key);
+          return;
+        }
+        record.lastAccess = Date.now();
+        store.put(record);
+        done(record);
+      };
+    }).then(function (record) {
+      return record ? decodeTrackPayload(record) : null;
+    });
+  }
+
+  /**
+   * Store a payload and evict least recently used entries beyond the size budget.
+   *
+   * @param {string} key Cache key
+   * @param {string} version Entry version
+   * @param {Object} payload Track payload
+   * @returns {Promise<boolean>} False when the payload alone exceeds the budget
+   */
+  function trackCacheSet(key, version, payload) {
+    var encoded = encodeTrackPayload(payload);
+    if (encoded.bytes > TRACK_CACHE_MAX_BYTES) return Promise.resolve(false);
+    var now = Date.now();
+    var record = {
+      key: key,
+      version: version,
+      savedAt: now,
+      lastAccess: now,
+      bytes: encoded.bytes,
+      meta: encoded.meta,
+      coords: encoded.coords,
+      stride: encoded.stride,
+      streams: encoded.streams
+    };
+    function put() {
+      return trackCacheTransaction('readwrite', function (store) {
+        store.put(record);
+      });
+    }
+    return put().catch(function (err) {
+      // The browser's origin quota can be smaller than our budget: make room and retry once
+      if (!err || err.name !== 'QuotaExceededError') throw err;
+      return trackCacheEvict(Math.floor(TRACK_CACHE_MAX_BYTES / 4)).then(put);
+    }).then(function () {
+      return trackCacheEvict(TRACK_CACHE_MAX_BYTES);
+    }).then(function () {
+      return true;
+    });
+  }
+
+  /**
+   * Delete the least recently used entries until the store fits maxBytes.
+   *
+   * @param {number} maxBytes Size budget
+   * @returns {Promise<number>} Number of evicted entries
+   */
+  function trackCacheEvict(maxBytes) {
+    return trackCacheTransaction('readwrite', function (store, done) {
+      var total = 0;
+      var evicted = 0;
+      // Walk from most to least recently used; everything past the budget goes
+      var cursorReq = store.index('lastAccess').openCursor(null, 'prev');
+      cursorReq.onsuccess = function () {
+        var cursor = cursorReq.result;
+        if (!cursor) {
+          done(evicted);
+          return;
+        }
+        total += Number(cursor.value.bytes) || 0;
+        if (total > maxBytes) {
+          cursor.delete();
+          evicted++;
+        }
+        cursor.continue();
+      };
+    });
+  }
+
+  function trackCacheClear() {
+    return trackCacheTransaction('readwrite', function (store) {
+      store.clear();
+    });
+  }
+
+  // Payloads cached in localStorage by earlier versions only take up quota now
+  function purgeLegacyTrackCache() {
+    if (legacyTrackCachePurged) return;
+    legacyTrackCachePurged = true;
+    try {
+      if (!window.localStorage) return;
+      var stale = [];
+      for (var i = 0; i < localStorage.length; i++) {
+        var key = localStorage.key(i);
+        if (key && key.indexOf('fgpx_cache_') === 0) stale.push(key);
+      }
+      stale.forEach(function (key) { localStorage.removeItem(key); });
+    } catch (e) {
+      DBG.warn('Legacy cache cleanup error:', e);
+    }
+  }
+
+  /**
+   * "Save for offline" storage, shared with assets/js/offline-sw.js.
+   *
+   * The player downloads a track's page, data, style, tiles and thumbnails into
+   * OFFLINE_CACHE_NAME with the Cache API; the service worker answers requests
+   * from that cache when the network is gone. A manifest stored in the same
+   * cache lists the URLs of every saved track, so removing one track only
+   * deletes what no other saved track still uses.
+   */
+  var OFFLINE_CACHE_NAME = 'fgpx-offline-v1';
+  var OFFLINE_MANIFEST_PATH = 'fgpx-offline-manifest.json';
+  var OFFLINE_FETCH_CONCURRENCY = 6;
+
+  function offlineSupported() {
+    try {
+      return !!(window.navigator && navigator.serviceWorker && window.caches && typeof window.fetch === 'function');
+    } catch (_) {
+      return false;
+    }
+  }
+
+  function offlineManifestUrl(FGPX) {
+    var scope = (FGPX && FGPX.offlineScope) ? String(FGPX.offlineScope) : '/';
+    return new URL(scope.replace(/\/?$/, '/') + OFFLINE_MANIFEST_PATH, window.location.href).href;
+  }
+
+  function readOfflineManifest(FGPX) {
+    return window.caches.open(OFFLINE_CACHE_NAME).then(function (cache) {
+      return cache.match(offlineManifestUrl(FGPX));
+    }).then(function (response) {
+      return response ? response.json() : null;
+    }).then(function (manifest) {
+      return (manifest && manifest.tracks && typeof manifest.tracks === 'object') ? manifest : { tracks: {} };
+    });
+  }
+
+  function writeOfflineManifest(FGPX, manifest) {
+    return window.caches.open(OFFLINE_CACHE_NAME).then(function (cache) {
+      return cache.put(offlineManifestUrl(FGPX), new Response(JSON.stringify(manifest), {
+        headers: { 'Content-Type': 'application/json' }
+      }));
+    }).then(function () {
+      return notifyOfflineWorker(FGPX);
+    });
+  }
+
+  // The worker only answers URLs from the manifest and keeps that list in memory
+  function notifyOfflineWorker(FGPX) {
+    return navigator.serviceWorker.getRegistration(String((FGPX && FGPX.offlineScope) || '/')).then(function (registration) {
+      var worker = registration && (registration.active || registration.waiting || registration.installing);
+      if (worker) worker.postMessage({ type: 'fgpx-offline-manifest' });
+    }).catch(function () {});
+  }
+
+  // Delete cached URLs that no saved track in the manifest references any more
+  function pruneOfflineUrls(manifest, urls) {
+    var inUse = {};
+    Object.keys(manifest.tracks).forEach(function (key) {
+      (manifest.tracks[key].urls || []).forEach(function (url) { inUse[url] = true; });
+    });
+    return window.caches.open(OFFLINE_CACHE_NAME).then(function (cache) {
+      return Promise.all((urls || []).filter(function (url) { return !inUse[url]; }).map(function (url) {
+        return cache.delete(url);
+      }));
+    });
+  }
+
+  function registerOfflineWorker(FGPX) {
+    if (!FGPX || !FGPX.offlineWorkerUrl) return Promise.reject(new Error('No offline worker URL'));
+    return navigator.serviceWorker.register(String(FGPX.offlineWorkerUrl), { scope: String(FGPX.offlineScope || '/') });
+  }
+
+  // The worker intercepts every request in its scope, so drop it once nothing is saved
+  function unregisterOfflineWorkerIfUnused(FGPX) {
+    return readOfflineManifest(FGPX).then(function (manifest) {
+      if (Object.keys(manifest.tracks).length > 0) return false;
+      return navigator.serviceWorker.getRegistration(String((FGPX && FGPX.offlineScope) || '/')).then(function (registration) {
+        return registration ? registration.unregister() : false;
+      });
+    });
+  }
+
+  /**
+   * Download resources into the offline cache and record them as one saved track.
+   *
+   * @param {Object} FGPX Player config (offlineScope)
+   * @param {Object} entry Manifest entry: key, trackId, title, pageUrl
+   * @param {Array<Object>} resources {url, mode, credentials} to fetch, or {url, body, type} to store as-is
+   * @param {Function} [onProgress] Called with (done, total)
+   * @returns {Promise<Object>} The stored entry with urls, bytes, opaque and failed counts
+   */
+  function saveTrackOffline(FGPX, entry, resources, onProgress) {
+    var seen = {};
+    var list = (resources || []).filter(function (res) {
+      if (!res || !res.url || seen[res.url]) return false;
+      seen[res.url] = true;
+      return true;
+    });
+    var saved = [];
+    var bytes = 0;
+    var opaque = 0;
+    var failed = 0;
+    var done = 0;
+
+    return window.caches.open(OFFLINE_CACHE_NAME).then(function (cache) {
+      var next = 0;
+      function worker() {
+        if (next >= list.length) return Promise.resolve();
+        var res = list[next++];
+        var init = { mode: res.mode || 'cors' };
+        if (res.credentials) init.credentials = res.credentials;
+        var responsePromise = (typeof res.body === 'string')
+          ? Promise.resolve(new Response(res.body, { headers: { 'Content-Type': res.type || 'application/json' } }))
+          : fetch(res.url, init);
+        return responsePromise.then(function (response) {
+          // Opaque (no-cors) responses cannot be inspected but are still usable by <img> and <script>
+          if (!response || (!response.ok && response.type !== 'opaque')) {
+            throw new Error('HTTP ' + (response ? response.status : 0));
+          }
+          // ...but their size reads as zero, so they are counted separately
+          if (response.type === 'opaque') opaque++;
+          return response.clone().blob().then(function (blob) {
+            bytes += blob.size;
+            return cache.put(res.url, response);
+          });
+        }).then(function () {
+          saved.push(res.url);
+        }, function () {
+          failed++;
+        }).then(function () {
+          done++;
+          if (onProgress) {
+            try { onProgress(done, list.length); } catch (_) {}
+          }
+          return worker();
+        });
+      }
+      var workers = [];
+      for (var i = 0; i < Math.min(OFFLINE_FETCH_CONCURRENCY, list.length); i++) workers.push(worker());
+      return Promise.all(workers);
+    }).then(function () {
+      return readOfflineManifest(FGPX);
+    }).then(function (manifest) {
+      var previous = manifest.tracks[entry.key];
+      var stored = Object.assign({}, entry, { urls: saved, bytes: bytes, opaque: opaque, failed: failed, savedAt: Date.now() });
+      manifest.tracks[entry.key] = stored;
+      return pruneOfflineUrls(manifest, previous ? previous.urls : []).then(function () {
+        return writeOfflineManifest(FGPX, manifest);
+      }).then(function () {
+        return stored;
+      });
+    });
+  }
+
+  function removeTrackOffline(FGPX, key) {
+    return readOfflineManifest(FGPX).then(function (manifest) {
+      var entry = manifest.tracks[key];
+      if (!entry) return false;
+      delete manifest.tracks[key];
+      return pruneOfflineUrls(manifest, entry.urls).then(function () {
+        return writeOfflineManifest(FGPX, manifest);
+      }).then(function () {
+        return true;
+      });
+    });
+  }
+
+  function offlineStorageEstimate() {
+    try {
+      if (navigator.storage && typeof navigator.storage.estimate === 'function') {
+        return navigator.storage.estimate().catch(function () { return null; });
+      }
+    } catch (_) {}
+    return Promise.resolve(null);
+  }
+
+  function formatStorageSize(bytes) {
+    var n = Number(bytes) || 0;
+    if (n >= 1073741824) return (n / 1073741824).toFixed(1) + ' GB';
+    if (n >= 1048576) return (n / 1048576).toFixed(1) + ' MB';
+    return Math.max(1, Math.round(n / 1024)) + ' kB';
+  }
+
+  // Fill %s / %d / %1$s placeholders of a translated string
+  function formatI18n(template, args) {
+    var next = 0;
+    return String(template).replace(/%(?:(\d+)\$)?[sd]/g, function (match, position) {
+      var value = position ? args[Number(position) - 1] : args[next++];
+      return value === undefined ? '' : String(value);
+    });
+  }
+
+  /**
+   * Data table tab helpers. Rows are plain objects keyed by column; missing
+   * values are null and sort after every number in either direction.
+   */
+  function sortDataRows(rows, key, dir) {
+    var order = dir < 0 ? -1 : 1;
+    return rows.map(function (row, idx) { return { row: row, idx: idx }; }).sort(function (a, b) {
+      var va = a.row[key];
+      var vb = b.row[key];
+      var aMissing = va === null || va === undefined;
+      var bMissing = vb === null || vb === undefined;
+      if (aMissing || bMissing) {
+        if (aMissing && bMissing) return a.idx - b.idx;
+        return aMissing ? 1 : -1;
+      }
+      if (va !== vb) return (va < vb ? -1 : 1) * order;
+      return a.idx - b.idx;
+    }).map(function (entry) { return entry.row; });
+  }
+
+  // CSV with the displayed column labels and formatted values
+  function dataTableCsv(columns, rows) {
+    function cell(text) {
+      var value = String(text);
+      return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+    }
+    var lines = [columns.map(function (col) { return cell(col.label); }).join(',')];
+    rows.forEach(function (row) {
+      lines.push(columns.map(function (col) {
+        var v = row[col.key];
+        return v === null || v === undefined ? '' : cell(col.format(v));
+      }).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Live tracking (live="true"). Points pushed to /track/{id}/live on the server
+   * are polled with ?since=N, where N is the `total` cursor of the previous
+   * response, and appended to the running player instead of reloading it.
+   */
+  var LIVE_STALE_MS = 10 * 60 * 1000;
+  var LIVE_POINT_STREAMS = [
+    ['timestamps', 'time'],
+    ['heartRates', 'hr'],
+    ['cadences', 'cadence'],
+    ['temperatures', 'temperature'],
+    ['powers', 'power']
+  ];
+
+  function fetchLivePoints(FGPX, trackId, since) {
+    var url = String(FGPX.restUrl).replace(/\/$/, '') + '/track/' + encodeURIComponent(trackId) + '/live?since=' + Math.max(0, Math.floor(Number(since) || 0));
+    return fetch(url, { headers: { 'X-WP-Nonce': FGPX.nonce }, cache: 'no-store' }).then(function (r) {
+      if (!r.ok) throw new Error('HTTP ' + r.status);
+      return r.json();
+    });
+  }
+
+  /**
+   * Append live points ({lat, lon|lng, ele, time, hr, cadence, temperature, power, gap})
+   * to a LineString in place. Only property arrays that are aligned with the
+   * coordinates are extended, so they stay aligned; a `gap` point is recorded in
+   * properties.gaps like a privacy zone gap.
+   *
+   * @param {Object} geojson LineString with coordinates and properties
+   * @param {Array<Object>} points Points in recording order
+   * @returns {number} Number of points appended
+   */
+  function appendLivePoints(geojson, points) {
+    var coords = geojson.coordinates = Array.isArray(geojson.coordinates) ? geojson.coordinates : [];
+    var props = geojson.properties = geojson.properties || {};
+    var n = coords.length;
+    if (n === 0) {
+      props.cumulativeDistance = [];
+      LIVE_POINT_STREAMS.forEach(function (s) { props[s[0]] = []; });
+    }
+    var streams = LIVE_POINT_STREAMS.filter(function (s) { return Array.isArray(props[s[0]]) && props[s[0]].length === n; });
+    var cumDist = (Array.isArray(props.cumulativeDistance) && props.cumulativeDistance.length === n) ? props.cumulativeDistance : null;
+    var added = 0;
+    (points || []).forEach(function (p) {
+      if (!p) return;
+      var lat = Number(p.lat);
+      var lon = Number(p.lon != null ? p.lon : p.lng);
+      if (!isFinite(lat) || !isFinite(lon)) return;
+      var c = [lon, lat];
+      if (p.ele != null && isFinite(Number(p.ele))) c.push(Number(p.ele));
+      if (cumDist) cumDist.push(coords.length ? cumDist[cumDist.length - 1] + haversineMeters(coords[coords.length - 1], c) : 0);
+      if (p.gap && coords.length) {
+        props.gaps = Array.isArray(props.gaps) ? props.gaps : [];
+        props.gaps.push(coords.length);
+      }
+      streams.forEach(function (s) {
+        var v = p[s[1]];
+        props[s[0]].push(v == null || v === '' ? null : (s[1] === 'time' ? String(v) : Number(v)));
+      });
+      coords.push(c);
+      added++;
+    });
+    return added;
+  }
+
+  function formatLastSeen(lastSeenMs, nowMs, i18n) {
+    i18n = i18n || {};
+    var minutes = Math.max(0, Math.floor((nowMs - lastSeenMs) / 60000));
+    if (minutes < 1) return i18n.liveJustNow || 'Last seen just now';
+    if (minutes < 60) return formatI18n(i18n.liveMinutesAgo || 'Last seen %s min ago', [minutes]);
+    return formatI18n(i18n.liveHoursAgo || 'Last seen %1$s h %2$s min ago', [Math.floor(minutes / 60), minutes % 60]);
+  }
+
   function initContainer(el) {
     if (!el || typeof window.maplibregl === 'undefined' || typeof window.Chart === 'undefined' || typeof window.FGPX === 'undefined') {
       return;
@@ -1253,6 +3156,9 @@
     var instCfg = (window.FGPX.instances && window.FGPX.instances[el.id]) || {};
     var FGPX = Object.assign({}, window.FGPX, instCfg);
     el.__fgpxConfig = FGPX;
+    el.__fgpxPlayer = createPlayerController(el);
+    window.FGPX.players = window.FGPX.players || {};
+    if (el.id) window.FGPX.players[el.id] = el.__fgpxPlayer.api;
     if (DBG.isEnabled()) {
       console.log('[FGPX] initContainer', {
         id: el.id,
@@ -1287,8 +3193,35 @@
     } else if (window.FGPX && FGPX.hostPostId) {
       restUrlParams.push('host_post=' + encodeURIComponent(String(FGPX.hostPostId)));
     }
-    var restUrl = String(window.FGPX.restUrl).replace(/\/$/, '') + '/track/' + encodeURIComponent(trackId) + (restUrlParams.length > 0 ? ('?' + restUrlParams.join('&')) : '');
     var ajaxUrl = (window.FGPX && FGPX.ajaxUrl) ? String(window.FGPX.ajaxUrl) : null;
+
+    function trackRestUrl(id) {
+      return String(window.FGPX.restUrl).replace(/\/$/, '') + '/track/' + encodeURIComponent(id) + (restUrlParams.length > 0 ? ('?' + restUrlParams.join('&')) : '');
+    }
+
+    function trackAjaxUrl(id) {
+      if (!ajaxUrl) return null;
+      var url = ajaxUrl + (ajaxUrl.indexOf('?') === -1 ? '?' : '&') + 'action=fgpx_track&id=' + encodeURIComponent(id);
+      if (hasGalleryStrategy) { url += '&strategy=latest_embed'; } else if (window.FGPX && FGPX.hostPostId) { url += '&host_post=' + encodeURIComponent(String(FGPX.hostPostId)); }
+      return url;
+    }
+
+    // Trip players ([flyover_gpx_trip]) load one payload per day and stitch them together;
+    // each source carries the version tokens of its own track for the cache.
+    var tripDays = normalizeTripDays(FGPX.trip);
+    var sources = tripDays.length ? tripDays : [{
+      id: String(trackId),
+      photoCacheVersion: FGPX.photoCacheVersion,
+      trackModified: FGPX.trackModified,
+      payloadVersion: FGPX.payloadVersion
+    }];
+    var restUrl = trackRestUrl(sources[0].id);
+    // Saved alongside the page by "Save for offline"
+    el.__fgpxTrackUrls = [];
+    sources.forEach(function (src) {
+      el.__fgpxTrackUrls.push(trackRestUrl(src.id));
+      if (ajaxUrl) el.__fgpxTrackUrls.push(trackAjaxUrl(src.id));
+    });
     var fetchTimeoutMs = Math.max(3000, (window.FGPX && isFinite(Number(FGPX.fetchTimeoutMs)) ? Number(FGPX.fetchTimeoutMs) : 15000));
 
     if (DBG.isEnabled()) {
@@ -1297,149 +3230,72 @@
         preferAjaxFirst: preferAjaxFirst,
         restUrl: restUrl,
         ajaxUrl: ajaxUrl,
-        hasGalleryStrategy: hasGalleryStrategy
+        hasGalleryStrategy: hasGalleryStrategy,
+        tripDays: tripDays.length
       });
     }
 
     function isContainerActive() {
       return !!(el && el.isConnected && document.contains(el));
     }
-
-    // Frontend caching for better performance on large tracks
-    function getCacheKey() {
-      var hostPost = (window.FGPX && FGPX.hostPostId) ? String(FGPX.hostPostId) : '0';
-      var simplify = (window.FGPX && FGPX.backendSimplify) ? '1' : '0';
-      var target = (window.FGPX && FGPX.backendSimplifyTarget) ? String(FGPX.backendSimplifyTarget) : '1200';
-      var strategy = hasGalleryStrategy ? 'latest_embed' : 'default';
-      var photoCacheVersion = (window.FGPX && FGPX.photoCacheVersion) ? String(FGPX.photoCacheVersion) : '0';
-      return 'fgpx_cache_v4_' + trackId + '_hp_' + hostPost + '_s_' + simplify + '_t_' + target + '_st_' + strategy + '_pcv_' + photoCacheVersion;
-    }
-
-    function getCachedData() {
-      try {
-        // latest_embed can change when embedding context changes; avoid stale local payloads.
-        if (hasGalleryStrategy) return null;
-        if (!window.localStorage) return null;
-        var cacheKey = getCacheKey();
-        var cached = localStorage.getItem(cacheKey);
-        if (!cached) return null;
-        
-        var data = JSON.parse(cached);
-        // Check if cache is still valid (24 hours)
-        if (data.timestamp && (Date.now() - data.timestamp) < 86400000) {
-          if (DBG.isEnabled()) {
-            console.log('[FGPX] Using cached track data', { 
-              cacheKey: cacheKey, 
-              age: Date.now() - data.timestamp,
-              photoCount: (data.payload && data.payload.photos) ? data.payload.photos.length : 0
-            });
-          }
-          return data.payload;
-        } else {
-          // Remove expired cache
-          localStorage.removeItem(cacheKey);
-          return null;
-        }
-      } catch (e) {
-        DBG.warn('Cache read error:', e);
-        return null;
-      }
-    }
-
-    function setCachedData(payload) {
-      try {
-        if (hasGalleryStrategy) return;
-        if (!window.localStorage) return;
-        var cacheKey = getCacheKey();
-        
-        // Compress payload for storage if it's large
-        var payloadStr = JSON.stringify(payload);
-        var compressed = false;
-        
-        // Simple compression for large payloads (>50KB)
-        if (payloadStr.length > 51200) {
-          try {
-            // Remove unnecessary precision from coordinates for storage
-            var compressedPayload = compressPayloadForStorage(payload);
-            var compressedStr = JSON.stringify(compressedPayload);
-            if (compressedStr.length < payloadStr.length * 0.8) {
-              payloadStr = compressedStr;
-              compressed = true;
-              DBG.log('Payload compressed for cache storage', {
-                original: payload.geojson && payload.geojson.coordinates ? payload.geojson.coordinates.length : 0,
-                reduction: Math.round((1 - compressedStr.length / JSON.stringify(payload).length) * 100) + '%'
-              });
-            }
-          } catch (compressionError) {
-            DBG.warn('Payload compression failed, using original:', compressionError);
-          }
-        }
-        
-        var cacheData = {
-          timestamp: Date.now(),
-          payload: compressed ? JSON.parse(payloadStr) : payload,
-          compressed: compressed
-        };
-        localStorage.setItem(cacheKey, JSON.stringify(cacheData));
-        DBG.log('Cached track data', { 
-          cacheKey: cacheKey, 
-          size: JSON.stringify(cacheData).length,
-          compressed: compressed
-        });
-      } catch (e) {
-        DBG.warn('Cache write error:', e);
-        // Clear some old cache entries if storage is full
-        if (e.name === 'QuotaExceededError') {
-          try {
-            for (var i = 0; i < localStorage.length; i++) {
-              var key = localStorage.key(i);
-              if (key && key.startsWith('fgpx_cache_')) {
-                localStorage.removeItem(key);
-                break;
-              }
-            }
-          } catch (clearError) {
-            DBG.warn('Cache clear error:', clearError);
-          }
-        }
-      }
+
+    // Frontend caching for better performance on large tracks (see trackCacheGet/trackCacheSet).
+    // latest_embed payloads follow the embedding context, so gallery and timeline players only
+    // use the cache when they pass the track's version tokens along.
+    function isCacheEnabled(src) {
+      return !hasGalleryStrategy || !!src.trackModified;
     }
 
-    /**
-     * Compress payload data for localStorage storage
-     * 
-     * Reduces coordinate precision to save storage space while maintaining
-     * visual quality. This is essential for large GPX tracks that would
-     * otherwise exceed localStorage limits.
-     * 
-     * @param {Object} payload - The track data payload to compress
-     * @param {Object} payload.geojson - GeoJSON track data
-     * @param {Array<Array<number>>} payload.geojson.coordinates - Track coordinates [lon, lat, ele?]
-     * @returns {Object} Compressed payload with reduced precision coordinates
-     * 
-     * @example
-     * // Original: [8.123456789, 47.987654321, 1234.56789]
-     * // Compressed: [8.12346, 47.98765, 1234.6]
-     */
-    function compressPayloadForStorage(payload) {
-      if (!payload || !payload.geojson || !payload.geojson.coordinates) {
-        return payload;
-      }
-      
-      var compressed = JSON.parse(JSON.stringify(payload)); // Deep clone
-      
-      // Reduce coordinate precision for storage (visual quality preserved)
-      if (compressed.geojson.coordinates) {
-        compressed.geojson.coordinates = compressed.geojson.coordinates.map(function(coord) {
-          return [
-            Math.round(coord[0] * 100000) / 100000, // ~1.1m precision at equator
-            Math.round(coord[1] * 100000) / 100000, // ~1.1m precision at equator
-            coord[2] ? Math.round(coord[2] * 10) / 10 : coord[2] // 0.1m elevation precision
-          ].filter(function(val) { return val !== undefined; });
+    function getCacheKey(src) {
+      // latest_embed ignores the host post, which lets gallery and timeline players share entries
+      var hostPost = (!hasGalleryStrategy && window.FGPX && FGPX.hostPostId) ? String(FGPX.hostPostId) : '0';
+      var simplify = (window.FGPX && FGPX.backendSimplify) ? '1' : '0';
+      var target = (window.FGPX && FGPX.backendSimplifyTarget) ? String(FGPX.backendSimplifyTarget) : '1200';
+      var strategy = hasGalleryStrategy ? 'latest_embed' : 'default';
+      return 'track_' + src.id + '_hp_' + hostPost + '_s_' + simplify + '_t_' + target + '_st_' + strategy;
+    }
+
+    function getCacheVersion(src) {
+      var photoCacheVersion = src.photoCacheVersion ? String(src.photoCacheVersion) : '0';
+      var trackModified = src.trackModified ? String(src.trackModified) : '0';
+      // Settings such as privacy zones change the payload without touching the post
+      var payloadVersion = src.payloadVersion ? String(src.payloadVersion) : '0';
+      return TRACK_CACHE_FORMAT + '_pcv_' + photoCacheVersion + '_mod_' + trackModified + '_pv_' + payloadVersion;
+    }
+
+    function getCachedData(src) {
+      if (!isCacheEnabled(src)) return Promise.resolve(null);
+      var cacheKey = getCacheKey(src);
+      return trackCacheGet(cacheKey, getCacheVersion(src))
+        .then(function (payload) {
+          if (payload && DBG.isEnabled()) {
+            console.log('[FGPX] Using cached track data', {
+              cacheKey: cacheKey,
+              photoCount: payload.photos ? payload.photos.length : 0
+            });
+          }
+          return payload;
+        })
+        .catch(function (e) {
+          DBG.warn('Cache read error:', e);
+          return null;
         });
+    }
+
+    function setCachedData(src, payload) {
+      if (!isCacheEnabled(src)) return;
+      var cacheKey = getCacheKey(src);
+      try {
+        trackCacheSet(cacheKey, getCacheVersion(src), payload)
+          .then(function (stored) {
+            DBG.log(stored ? 'Cached track data' : 'Track data exceeds cache budget, not cached', { cacheKey: cacheKey });
+          })
+          .catch(function (e) {
+            DBG.warn('Cache write error:', e);
+          });
+      } catch (e) {
+        DBG.warn('Cache write error:', e);
       }
-      
-      return compressed;
     }
 
     /**
@@ -1448,11 +3304,12 @@
      * Primary method for retrieving track data. Uses WordPress nonce
      * for authentication and proper error handling.
      * 
+     * @param {string} id Track post ID
      * @returns {Promise<Object>} Promise resolving to track data JSON
      * @throws {Error} HTTP error if request fails
      */
-    function fetchRest() {
-      return fetchJsonWithTimeout(restUrl, { headers: { 'X-WP-Nonce': window.FGPX.nonce } }, 'REST');
+    function fetchRest(id) {
+      return fetchJsonWithTimeout(trackRestUrl(id), { headers: { 'X-WP-Nonce': window.FGPX.nonce } }, 'REST');
     }
 
     /**
@@ -1461,14 +3318,13 @@
      * Fallback method when REST API is unavailable. Constructs AJAX URL
      * with proper parameters and handles host post context.
      * 
+     * @param {string} id Track post ID
      * @returns {Promise<Object>} Promise resolving to track data JSON
      * @throws {Error} If no AJAX URL available or HTTP error
      */
-    function fetchAjax() {
+    function fetchAjax(id) {
       if (!ajaxUrl) return Promise.reject(new Error('No AJAX URL'));
-      var u = ajaxUrl + (ajaxUrl.indexOf('?') === -1 ? '?' : '&') + 'action=fgpx_track&id=' + encodeURIComponent(trackId);
-      if (hasGalleryStrategy) { u += '&strategy=latest_embed'; } else if (window.FGPX && FGPX.hostPostId) { u += '&host_post=' + encodeURIComponent(String(FGPX.hostPostId)); }
-      return fetchJsonWithTimeout(u, { credentials: 'same-origin' }, 'AJAX');
+      return fetchJsonWithTimeout(trackAjaxUrl(id), { credentials: 'same-origin' }, 'AJAX');
     }
 
     function fetchJsonWithTimeout(url, options, label) {
@@ -1511,45 +3367,95 @@
         });
     }
 
-    // Try cache first, then fetch from server
-    var cachedData = getCachedData();
-    if (cachedData) {
-      if (!isContainerActive()) return;
-      ui.spinner.style.display = 'none';
-      startPlayer(el, ui, cachedData, style, styleUrl, FGPX);
-    } else {
-      var primaryFetch = preferAjaxFirst ? fetchAjax() : fetchRest();
-      primaryFetch
+    // Live players start from the stored track plus every live point received so far.
+    // Until a live track has two positions there is nothing to draw, so keep polling.
+    function launchPlayer(payload) {
+      if (!FGPX.live || tripDays.length) {
+        startPlayer(el, ui, payload, style, styleUrl, FGPX);
+        return;
+      }
+      var geo = (payload && payload.geojson) || {};
+      var props = {};
+      Object.keys(geo.properties || {}).forEach(function (name) {
+        var value = geo.properties[name];
+        props[name] = Array.isArray(value) ? value.slice() : value;
+      });
+      // Copy first: the original payload is the one that goes into the track cache
+      var livePayload = Object.assign({}, payload, {
+        bounds: null, // stored bounds do not cover the live part; startPlayer derives them from the coordinates
+        geojson: Object.assign({ type: 'LineString' }, geo, { coordinates: (geo.coordinates || []).slice(), properties: props })
+      });
+      fetchLivePoints(FGPX, trackId, 0)
+        .catch(function (e) {
+          DBG.warn('Live tracking: initial points request failed', e);
+          return null;
+        })
+        .then(function (live) {
+          if (!isContainerActive()) return;
+          livePayload.live = { since: 0, lastSeen: null };
+          if (live) {
+            appendLivePoints(livePayload.geojson, live.points);
+            livePayload.live = { since: Number(live.total) || 0, lastSeen: live.lastSeen || null };
+          }
+          if (livePayload.geojson.coordinates.length < 2) {
+            ui.error.textContent = (FGPX.i18n && FGPX.i18n.liveWaiting) || 'Waiting for the first position\u2026';
+            ui.error.style.display = 'block';
+            setTimeout(function () { launchPlayer(payload); }, Math.max(5, Number(FGPX.liveInterval) || 15) * 1000);
+            return;
+          }
+          ui.error.style.display = 'none';
+          startPlayer(el, ui, livePayload, style, styleUrl, FGPX);
+        });
+    }
+
+    function loadFromNetwork(src) {
+      var primaryFetch = preferAjaxFirst ? fetchAjax(src.id) : fetchRest(src.id);
+      return primaryFetch
         .catch(function (primaryErr) {
           DBG.warn((preferAjaxFirst ? 'AJAX request failed, trying REST fallback' : 'REST request failed, trying AJAX fallback'), {
-            trackId: trackId,
+            trackId: src.id,
             strategy: hasGalleryStrategy ? 'latest_embed' : 'default',
             message: primaryErr && primaryErr.message ? primaryErr.message : String(primaryErr)
           });
-          return preferAjaxFirst ? fetchRest() : fetchAjax();
+          return preferAjaxFirst ? fetchRest(src.id) : fetchAjax(src.id);
         })
         .then(function (json) {
-          if (!isContainerActive()) return;
+          if (!isContainerActive()) return json;
           if (DBG.isEnabled()) {
             console.log('[FGPX] Data received', { 
               source: 'network', 
+              trackId: src.id,
               photoCount: (json && json.photos) ? json.photos.length : 0,
               photos: (json && json.photos) ? json.photos.map(function(p) { return { title: p.title, lat: p.lat, lon: p.lon, timestamp: p.timestamp }; }) : [],
               json: json 
             });
           }
-          ui.spinner.style.display = 'none';
           // Cache the data for future use
-          setCachedData(json);
-          startPlayer(el, ui, json, style, styleUrl, FGPX);
-        })
-        .catch(function (err) {
-          if (!isContainerActive()) return;
-          ui.spinner.style.display = 'none';
-          ui.error.textContent = (window.FGPX && FGPX.i18n && FGPX.i18n.failedLoad ? FGPX.i18n.failedLoad : 'Failed to load track:') + ' ' + (err && err.message ? err.message : 'Unknown error');
-          ui.error.style.display = 'block';
+          setCachedData(src, json);
+          return json;
         });
     }
+
+    // Try cache first, then fetch from server
+    function loadTrack(src) {
+      return getCachedData(src).then(function (cachedData) {
+        return cachedData || loadFromNetwork(src);
+      });
+    }
+
+    purgeLegacyTrackCache();
+    Promise.all(sources.map(loadTrack))
+      .then(function (payloads) {
+        if (!isContainerActive()) return;
+        ui.spinner.style.display = 'none';
+        launchPlayer(tripDays.length ? stitchTripPayloads(payloads) : payloads[0]);
+      })
+      .catch(function (err) {
+        if (!isContainerActive()) return;
+        ui.spinner.style.display = 'none';
+        ui.error.textContent = (window.FGPX && FGPX.i18n && FGPX.i18n.failedLoad ? FGPX.i18n.failedLoad : 'Failed to load track:') + ' ' + (err && err.message ? err.message : 'Unknown error');
+        ui.error.style.display = 'block';
+      });
   }
 
   function startPlayer(root, ui, payload, style, styleUrl, FGPX) {
@@ -1576,6 +3482,17 @@
     var createChart = null;
     var teardownCallbacks = [];
     var runtimeDestroyed = false;
+    var playerController = root.__fgpxPlayer || null;
+    // Scroll-driven players stay pinned while marked article sections set the position
+    var scrollDriven = !!(window.FGPX && FGPX.scrollDriven);
+    var liveMode = !!(FGPX && FGPX.live);
+    if (scrollDriven) {
+      try { root.classList.add('fgpx-scroll-driven'); } catch (_) {}
+    }
+
+    function emitPlayerEvent(event, data) {
+      if (playerController) playerController.emit(event, data);
+    }
 
     function registerTeardown(fn) {
       if (typeof fn === 'function') {
@@ -1628,11 +3545,13 @@
     var stats = payload && payload.stats ? payload.stats : {};
     var photos = Array.isArray(payload.photos) ? payload.photos : [];
     var waypoints = Array.isArray(payload.waypoints) ? payload.waypoints : [];
+    var routePois = normalizeRoutePois(payload.pois);
 
     DBG.log('Track data loaded', {
       coords: coords.length,
       photos: photos.length,
       waypoints: waypoints.length,
+      pois: routePois.length,
       hasTimestamps: !!timestamps,
       serverSimplified: !!(payload && payload.simplified)
     });
@@ -1669,6 +3588,36 @@
       if (timestamps) timestamps = keptIndices.map(function (idx) { return props.timestamps[idx]; });
     }
 
+    // Privacy zone gaps: indices that follow a stretch removed on the server (remapped after resampling)
+    var routeGaps = null;
+    if (Array.isArray(props.gaps) && props.gaps.length) {
+      routeGaps = {};
+      var keptPos = 0;
+      props.gaps.forEach(function (g) {
+        g = Number(g);
+        if (!isFinite(g) || g <= 0) return;
+        if (keptIndices) {
+          while (keptPos < keptIndices.length && keptIndices[keptPos] < g) keptPos++;
+          g = keptPos;
+        }
+        routeGaps[g] = true;
+      });
+    }
+
+    // Trip days (stitchTripPayloads): first point of each day, remapped like the gaps above
+    var tripDays = [];
+    if (payload && payload.trip && Array.isArray(payload.trip.days) && payload.trip.days.length > 1) {
+      payload.trip.days.forEach(function (day) {
+        var k = Math.max(0, Number(day.startIndex) || 0);
+        if (keptIndices) {
+          var kk = 0;
+          while (kk < keptIndices.length && keptIndices[kk] < k) kk++;
+          k = kk;
+        }
+        if (k < coords.length) tripDays.push(Object.assign({}, day, { startIndex: k }));
+      });
+    }
+
     // If cumulative distance missing, compute
     if (!cumDist || cumDist.length !== coords.length) {
       cumDist = new Array(coords.length);
@@ -1732,6 +3681,41 @@
       }
     }
 
+    // Trips: the night between two days is cut from the time axis, so playback runs from one
+    // day straight into the next. tripBreaks keeps the cut for the places that need clock time.
+    var tripBreaks = [];
+    if (hasTimestamps && tripDays.length > 1) {
+      var tripCut = 0;
+      for (var tb = 1; tb < tripDays.length; tb++) {
+        var kDay = tripDays[tb].startIndex;
+        if (kDay <= 0) continue;
+        var rest = timeOffsets[kDay] - timeOffsets[kDay - 1];
+        if (!(rest > 0)) continue;
+        tripCut += rest;
+        for (var tk = kDay; tk < timeOffsets.length; tk++) timeOffsets[tk] -= rest;
+        tripBreaks.push({ at: timeOffsets[kDay], cut: tripCut });
+      }
+      movingTimeOffsets = timeOffsets.slice();
+      totalDuration = timeOffsets[timeOffsets.length - 1];
+    }
+
+    // Seconds since the first timestamp for a playback time offset, and the reverse.
+    // Times that fall into a cut night map to the start of the next day.
+    function clockSecAtOffset(sec) {
+      var cut = 0;
+      for (var b = 0; b < tripBreaks.length && sec >= tripBreaks[b].at; b++) cut = tripBreaks[b].cut;
+      return sec + cut;
+    }
+
+    function offsetAtClockSec(clockSec) {
+      var cut = 0;
+      for (var b = 0; b < tripBreaks.length; b++) {
+        if (clockSec < tripBreaks[b].at + tripBreaks[b].cut) return Math.min(clockSec - cut, tripBreaks[b].at);
+        cut = tripBreaks[b].cut;
+      }
+      return clockSec - cut;
+    }
+
     // --- Elevation & speed extrema (added) ---
     var maxElevVal = -Infinity;
     var maxElevIdx = -1;
@@ -1967,6 +3951,8 @@
     var resolvedContoursTilesUrl = resolveTemplateUrl(contoursTilesUrl);
     var resolvedSatelliteTilesUrl = resolveTemplateUrl(satelliteTilesUrl);
     var contoursModeAvailable = contoursEnabled && resolvedContoursTilesUrl !== '';
+    var terrainDemUrl = resolveTemplateUrl((window.FGPX && FGPX.terrainDemUrl) || '');
+    var terrainExaggeration = (window.FGPX && isFinite(Number(FGPX.terrainExaggeration))) ? Math.max(0, Math.min(3, Number(FGPX.terrainExaggeration))) : 1.0;
     var i18nMapMode = (window.FGPX && FGPX.i18n) ? FGPX.i18n : {};
     if (!contoursModeAvailable && selectorMode === 'satellite_contours') {
       selectorMode = 'satellite';
@@ -1999,8 +3985,20 @@
     var fallbackSatelliteLayerId = 'fgpx-satellite-' + (root.id || 'fgpx') + '-layer';
     var mapModeControl = null;
     var mapModeControlButton = null;
+    var mapModeTerrainButton = null;
     // no menu/options needed — button is now a plain contours toggle
 
+    // 3D terrain: hasTerrain is true while relief is shown; terrainEnabled is the
+    // visitor's toggle in the map mode control.
+    var terrainSourceId = null;
+    var hasTerrain = false;
+    var terrainActive = false;
+    var terrainTemporarilyDisabled = false;
+    var terrainEnabled = terrainExaggeration > 0;
+    var injectedDemSourceId = 'fgpx-terrain-' + (root.id || 'fgpx');
+    var hillshadeSourceId = 'fgpx-hillshade-' + (root.id || 'fgpx');
+    var hillshadeLayerId = hillshadeSourceId + '-layer';
+
     function setLayerVisibilityIfPresent(layerId, visibility) {
       try {
         if (!map.getLayer(layerId)) return;
@@ -2094,10 +4092,139 @@
       }
     }
 
-    function shouldShowMapModeControl() {
+    // The DEM comes from a raster-dem source in the inline style, otherwise from the
+    // configured DEM tiles URL, which works with remote styles and the OSM fallback too.
+    function ensureTerrainSource() {
+      try {
+        if (terrainSourceId && map.getSource(terrainSourceId)) return true;
+        terrainSourceId = null;
+        if (inlineStyle) {
+          var st = map.getStyle();
+          var srcs = (st && st.sources) ? st.sources : {};
+          for (var sid in srcs) {
+            if (Object.prototype.hasOwnProperty.call(srcs, sid)) {
+              var sdef = srcs[sid];
+              if (sdef && sdef.type === 'raster-dem' && sid !== hillshadeSourceId) { terrainSourceId = sid; break; }
+            }
+          }
+        }
+        if (!terrainSourceId && terrainDemUrl) {
+          if (!map.getSource(injectedDemSourceId)) {
+            map.addSource(injectedDemSourceId, terrainDemSource(terrainDemUrl));
+          }
+          terrainSourceId = injectedDemSourceId;
+        }
+      } catch (e) {
+        DBG.warn('Failed to ensure terrain source', e);
+        terrainSourceId = null;
+      }
+      return !!terrainSourceId;
+    }
+
+    // Hillshading draws from its own copy of the DEM source; MapLibre renders both
+    // better than when terrain and hillshade share one source. It goes above the
+    // satellite imagery and below the labels and the route.
+    var styleHasHillshade = false;
+    function ensureHillshadeLayer() {
+      if (styleHasHillshade) return;
+      try {
+        if (!map.getLayer('fgpx-route-line') || map.getLayer(hillshadeLayerId)) return;
+        var st = map.getStyle();
+        var layers = (st && st.layers) ? st.layers : [];
+        var afterIdx = -1;
+        for (var i = 0; i < layers.length; i++) {
+          if (layers[i].type === 'hillshade') { styleHasHillshade = true; return; }
+          if (layers[i].id === satelliteLayerId || layers[i].id === fallbackSatelliteLayerId) afterIdx = i;
+        }
+        var beforeId;
+        for (var j = afterIdx + 1; j < layers.length; j++) {
+          if (layers[j].type === 'symbol' || layers[j].id === contourLayerId || layers[j].id === 'fgpx-route-line') {
+            beforeId = layers[j].id;
+            break;
+          }
+        }
+        if (!map.getSource(hillshadeSourceId)) {
+          var demDef = (st.sources && st.sources[terrainSourceId]) ? JSON.parse(JSON.stringify(st.sources[terrainSourceId])) : terrainDemSource(terrainDemUrl);
+          map.addSource(hillshadeSourceId, demDef);
+        }
+        map.addLayer({
+          id: hillshadeLayerId,
+          type: 'hillshade',
+          source: hillshadeSourceId,
+          paint: {
+            'hillshade-exaggeration': 0.35,
+            'hillshade-shadow-color': 'rgba(0, 0, 0, 0.45)',
+            'hillshade-highlight-color': 'rgba(255, 255, 255, 0.2)'
+          },
+          layout: { visibility: 'none' }
+        }, beforeId);
+      } catch (e) {
+        DBG.warn('Failed to ensure hillshade layer', e);
+      }
+    }
+
+    // Sky and atmosphere fill the horizon that pitched terrain views expose. Styles
+    // that define their own sky keep it.
+    function ensureSky() {
+      try {
+        if (typeof map.setSky !== 'function') return;
+        if (typeof map.getSky === 'function' && map.getSky()) return;
+        map.setSky({
+          'sky-color': '#7fb2e5',
+          'horizon-color': '#dbe9f6',
+          'fog-color': '#eef3f8',
+          'sky-horizon-blend': 0.6,
+          'horizon-fog-blend': 0.6,
+          'fog-ground-blend': 0.85,
+          'atmosphere-blend': ['interpolate', ['linear'], ['zoom'], 0, 1, 10, 1, 12, 0]
+        });
+      } catch (_) {}
+    }
+
+    function terrainToggleAvailable() {
+      return !!terrainSourceId && terrainExaggeration > 0;
+    }
+
+    function applyTerrain() {
+      if (terrainExaggeration <= 0 || !ensureTerrainSource()) {
+        hasTerrain = false;
+        terrainActive = false;
+        return;
+      }
+      ensureHillshadeLayer();
+      ensureSky();
+      var on = terrainEnabled && terrainExaggeration > 0;
+      // Style reloads call this too; a temporary disable stays until the code that set it restores terrain
+      var suspended = on && terrainTemporarilyDisabled;
+      setLayerVisibilityIfPresent(hillshadeLayerId, on ? 'visible' : 'none');
+      try {
+        var current = typeof map.getTerrain === 'function' ? map.getTerrain() : null;
+        if (on && !suspended && (!current || current.source !== terrainSourceId || current.exaggeration !== terrainExaggeration)) {
+          map.setTerrain({ source: terrainSourceId, exaggeration: terrainExaggeration });
+        } else if ((!on || suspended) && current) {
+          map.setTerrain(null);
+        }
+      } catch (_) {}
+      hasTerrain = on;
+      terrainActive = on && !suspended;
+    }
+
+    function setTerrainEnabled(enabled) {
+      terrainEnabled = !!enabled;
+      // An explicit toggle by the visitor overrides a temporary disable
+      terrainTemporarilyDisabled = false;
+      applyTerrain();
+      syncMapModeControl();
+    }
+
+    function hasContoursButton() {
       return contoursModeAvailable || !!resolvedSatelliteTilesUrl || hasSatelliteLayer();
     }
 
+    function shouldShowMapModeControl() {
+      return hasContoursButton() || terrainToggleAvailable();
+    }
+
     function getMapModeLabel(mode) {
       if (mode === 'satellite_contours') return i18nMapMode.mapModeSatelliteContours || 'Satellite + Contours';
       return i18nMapMode.mapModeSatellite || 'Satellite';
@@ -2138,6 +4265,10 @@
         }
         mapModeControlButton.setAttribute('title', contoursOn ? (i18nMapMode.mapModeSatelliteContours || 'Satellite + Contours') + ' — click to disable contours' : (i18nMapMode.mapModeSatellite || 'Satellite') + ' — click to enable contours');
       }
+      if (mapModeTerrainButton) {
+        mapModeTerrainButton.setAttribute('aria-pressed', hasTerrain ? 'true' : 'false');
+        mapModeTerrainButton.classList.toggle('fgpx-map-mode-button-active', hasTerrain);
+      }
     }
 
     function applyMapSelectorMode(mode) {
@@ -2170,6 +4301,8 @@
       } else {
         setLayerVisibilityIfPresent(contourLayerId, 'none');
       }
+      // Style reloads drop injected sources and layers; put terrain back with them
+      applyTerrain();
 
       selectorMode = nextMode;
       syncMapModeControl();
@@ -2191,6 +4324,32 @@
         container.addEventListener(stopEvents[sei], stopControlPropagation);
       }
 
+      if (terrainToggleAvailable()) {
+        var terrainBtn = document.createElement('button');
+        terrainBtn.type = 'button';
+        terrainBtn.className = 'fgpx-map-mode-button fgpx-map-mode-terrain-button';
+        terrainBtn.setAttribute('aria-label', i18nMapMode.mapModeTerrain || '3D terrain');
+        terrainBtn.setAttribute('title', i18nMapMode.mapModeTerrain || '3D terrain');
+        var terrainIcon = document.createElement('span');
+        terrainIcon.className = 'fgpx-map-mode-button-icon';
+        terrainIcon.setAttribute('aria-hidden', 'true');
+        terrainIcon.textContent = '3D';
+        terrainBtn.appendChild(terrainIcon);
+        terrainBtn.addEventListener('click', function(ev) {
+          ev.preventDefault();
+          ev.stopPropagation();
+          setTerrainEnabled(!terrainEnabled);
+        });
+        container.appendChild(terrainBtn);
+        mapModeTerrainButton = terrainBtn;
+      }
+
+      if (!hasContoursButton()) {
+        this._container = container;
+        syncMapModeControl();
+        return container;
+      }
+
       var toggleBtn = document.createElement('button');
       toggleBtn.type = 'button';
       toggleBtn.className = 'fgpx-map-mode-button';
@@ -2225,6 +4384,7 @@
         this._container.parentNode.removeChild(this._container);
       }
       mapModeControlButton = null;
+      mapModeTerrainButton = null;
       this._map = undefined;
     };
     // Do NOT call syncMapModeControl() here — the style hasn't loaded yet, so hasSatelliteLayer()
@@ -2288,28 +4448,8 @@
     map.once('load', function () {
       DBG.log('map load event');
 
-      // If inline style contains a raster-dem source, enable terrain automatically
-      var terrainSourceId = null;
-      var hasTerrain = false;
-      var terrainActive = false;
-      var terrainTemporarilyDisabled = false;
-      try {
-        if (inlineStyle) {
-          var st = map.getStyle();
-          var srcs = (st && st.sources) ? st.sources : {};
-          for (var sid in srcs) {
-            if (Object.prototype.hasOwnProperty.call(srcs, sid)) {
-              var sdef = srcs[sid];
-              if (sdef && sdef.type === 'raster-dem') { terrainSourceId = sid; break; }
-            }
-          }
-        }
-      } catch (_) {}
       // Activate terrain early so DEM tiles load during idle time before playback
-      if (terrainSourceId) {
-        hasTerrain = true;
-        try { map.setTerrain({ source: terrainSourceId, exaggeration: 1.0 }); terrainActive = true; } catch (_) {}
-      }
+      applyTerrain();
 
       // Compute the lowest source maxzoom across all sources so we never request
       // tiles that don't exist (overzooming causes tile shimmer / blurry fallbacks).
@@ -2419,6 +4559,7 @@
 
       // Route source: if privacy enabled, show only trimmed segment to avoid revealing real start/end
       var baseCoords = coords.map(function(c){ return c.slice(0,2); });
+      var baseStartIdx = 0;
       var elevationColoring = !!(window.FGPX && FGPX.elevationColoring);
       var elevColorThreshold = parseFloat((window.FGPX && FGPX.elevColorThreshold) || '3'); // 3% grade threshold
       var elevColorMax = parseFloat((window.FGPX && FGPX.elevColorMax) || '8'); // 8% grade for full red
@@ -2436,17 +4577,19 @@
           var segBase = baseCoords.slice(startIdx, endIdx + 1);
           if (segBase.length > 0) { segBase[0] = pStart.slice(0,2); segBase[segBase.length - 1] = pEnd.slice(0,2); }
           baseCoords = segBase;
+          baseStartIdx = startIdx;
         } catch(_) {}
       }
 
-      // Standard single-color background route (faint)
-      // Apply light spline smoothing to the background route for nicer curves
-      try {
-        var baseSmoothed = smoothPolyline(baseCoords, 1);
-        routeData.geometry.coordinates = baseSmoothed;
-      } catch(_) {
-        routeData.geometry.coordinates = baseCoords;
+      // Background route parts (split at privacy zone gaps), each with light spline smoothing
+      function smoothedRouteGeometry(samplesPerSegment) {
+        return lineGeometry(splitLineAtGaps(baseCoords, baseStartIdx, routeGaps).map(function(part) {
+          try { return smoothPolyline(part, samplesPerSegment); } catch(_) { return part; }
+        }));
       }
+
+      // Standard single-color background route (faint)
+      routeData.geometry = smoothedRouteGeometry(1);
       map.addSource('fgpx-route', { type: 'geojson', data: routeData, lineMetrics: true });
       // Background route (faint)
       map.addLayer({ id: 'fgpx-route-line', type: 'line', source: 'fgpx-route', paint: { 'line-color': '#cccccc', 'line-width': 2 } });
@@ -2504,12 +4647,7 @@
 
           var arrowRouteData = {
             type: 'Feature',
-            geometry: {
-              type: 'LineString',
-              coordinates: (function() {
-                try { return smoothPolyline(baseCoords, 2); } catch(_) { return baseCoords; }
-              })()
-            }
+            geometry: smoothedRouteGeometry(2)
           };
           map.addSource('fgpx-route-arrows-src', { type: 'geojson', data: arrowRouteData, lineMetrics: true });
           map.addLayer({
@@ -2530,8 +4668,92 @@
         } catch(e) { DBG.warn('Route arrow rendering skipped', e); }
       }
 
+      // Route coloring metric (route_color_by attribute or the map control). Metric modes
+      // draw the driven route as same-color runs on one data-driven line layer; 'gradient'
+      // uses the pre-allocated elevation segment pool below.
+      var routeColorI18n = (window.FGPX && FGPX.i18n) ? FGPX.i18n : {};
+      var ROUTE_COLOR_META = {
+        none: { label: routeColorI18n.routeColorNone || 'Single color' },
+        gradient: { label: routeColorI18n.routeColorGradient || 'Gradient' },
+        speed: { label: routeColorI18n.routeColorSpeed || 'Speed', unit: 'km/h', color: (window.FGPX && FGPX.chartColor2) || '#1976d2' },
+        hr: { label: routeColorI18n.routeColorHr || 'Heart rate', unit: 'bpm', color: (window.FGPX && FGPX.chartColorHr) || '#dc2626', prop: 'heartRates' },
+        power: { label: routeColorI18n.routeColorPower || 'Power', unit: 'W', color: (window.FGPX && FGPX.chartColorPower) || '#059669', prop: 'powers' },
+        cadence: { label: routeColorI18n.routeColorCadence || 'Cadence', unit: 'rpm', color: (window.FGPX && FGPX.chartColorCad) || '#7c3aed', prop: 'cadences' },
+        temperature: { label: routeColorI18n.routeColorTemperature || 'Temperature', unit: '°C', color: (window.FGPX && FGPX.chartColorTemp) || '#f59e0b', prop: 'temperatures' }
+      };
+      var routeColorSchemes = {};
+
+      // Per-point metric values aligned with coords, or null when the track lacks them
+      function routeMetricSeries(mode) {
+        var meta = ROUTE_COLOR_META[mode];
+        if (!meta || !meta.color) return null;
+        if (mode === 'speed') {
+          var tSeries = Array.isArray(movingTimeOffsets) ? movingTimeOffsets : timeOffsets;
+          if (!Array.isArray(tSeries) || tSeries.length !== coords.length) return null;
+          return {
+            values: coords.map(function(_, i) {
+              var dt = i > 0 ? tSeries[i] - tSeries[i - 1] : 0;
+              return dt > 0 ? (Math.max(0, cumDist[i] - cumDist[i - 1]) / dt) * 3.6 : null;
+            }),
+            accept: null
+          };
+        }
+        var values = props[meta.prop];
+        if (!Array.isArray(values) || values.length !== coords.length) return null;
+        return { values: values, accept: mode === 'temperature' ? null : function(v) { return v > 0; } };
+      }
+
+      // Color scheme for a metric mode: per-point run keys, the layer paint and legend info.
+      // Heart rate uses the zone colors when zone coloring is on, otherwise a ramp in the chart color.
+      function buildRouteColorScheme(mode) {
+        if (Object.prototype.hasOwnProperty.call(routeColorSchemes, mode)) return routeColorSchemes[mode];
+        var scheme = null;
+        var metric = routeMetricSeries(mode);
+        var meta = ROUTE_COLOR_META[mode];
+        if (metric && mode === 'hr' && window.FGPX && FGPX.hrZoneColoring) {
+          var zones = resolveHrZones(FGPX).zones;
+          var lastZoneColor = null;
+          var zoneKeys = metric.values.map(function(hr) {
+            var zi = hrZoneIndex(hr, zones);
+            if (zi >= 0) lastZoneColor = zones[zi].color;
+            return lastZoneColor;
+          });
+          if (lastZoneColor !== null) {
+            scheme = {
+              keys: zoneKeys,
+              paint: ['get', 'key'],
+              legend: { title: meta.label, swatches: zones.map(function(z) { return { color: z.color, label: z.label }; }) }
+            };
+          }
+        } else if (metric) {
+          var range = routeColorRange(metric.values, metric.accept);
+          if (range) {
+            var ramp = createHeatmapColorRamp(meta.color, { input: ['get', 'key'], min: range.min, max: range.max, background: '#ffffff' });
+            scheme = {
+              keys: routeColorBucketValues(metric.values, range, metric.accept),
+              paint: ramp,
+              legend: { title: meta.label + ' (' + meta.unit + ')', ramp: ramp, min: range.min, max: range.max }
+            };
+          }
+        }
+        routeColorSchemes[mode] = scheme;
+        return scheme;
+      }
+
+      // Requested mode, or the auto choice when it is 'auto' or the track lacks that metric
+      function resolveRouteColorBy(requested) {
+        var mode = normalizeRouteColorBy(requested);
+        if (mode === 'none' || mode === 'gradient') return mode;
+        if (mode !== 'auto' && buildRouteColorScheme(mode)) return mode;
+        if (window.FGPX && FGPX.hrZoneColoring && buildRouteColorScheme('hr')) return 'hr';
+        return (window.FGPX && FGPX.elevationColoring) ? 'gradient' : 'none';
+      }
+
+      var routeColorBy = resolveRouteColorBy(window.FGPX && FGPX.routeColorBy);
+      var routeColorScheme = (routeColorBy === 'none' || routeColorBy === 'gradient') ? null : buildRouteColorScheme(routeColorBy);
+
       // Prepare elevation coloring data for progressive route
-      var elevationColoringEnabled = !!(window.FGPX && FGPX.elevationColoring);
+      var elevationColoringEnabled = routeColorBy === 'gradient';
       var progressiveGradients = null;
       var progressiveSmoothedGradients = null;
       var progressiveBaseColor = (window.FGPX && FGPX.elevationColorFlat) || '#ff5500';
@@ -2596,6 +4818,14 @@
         var currentGradeBucket = null;
         
         for (var i = 0; i < coordsUpTo.length; i++) {
+          if (i > 0 && routeGaps && routeGaps[startIdx + i]) {
+            // Never bridge a privacy zone gap
+            if (currentSegment.length > 1) {
+              segments.push({ coordinates: currentSegment, gradeBucket: currentGradeBucket });
+            }
+            currentSegment = [];
+            currentGradeBucket = null;
+          }
           var gradientIdx = startIdx + i;
           var gradient = progressiveSmoothedGradients[Math.min(gradientIdx, progressiveSmoothedGradients.length - 1)] || 0;
           
@@ -2643,6 +4873,161 @@
       var progressData = { type: 'Feature', geometry: { type: 'LineString', coordinates: [(privacyEnabled ? positionAtDistance(privacyStartD) : coords[0].slice(0,2))] } };
       map.addSource('fgpx-route-progress', { type: 'geojson', data: progressData });
       map.addLayer({ id: 'fgpx-route-progress-line', type: 'line', source: 'fgpx-route-progress', layout: { 'line-join': 'round', 'line-cap': 'round' }, paint: { 'line-color': ((window.FGPX && FGPX.elevationColorFlat) || (window.FGPX && FGPX.chartColor) || '#ff5500'), 'line-width': 4, 'line-blur': 0.3 } });
+      map.addSource('fgpx-route-metric', { type: 'geojson', data: emptyFeatureCollection });
+      map.addLayer({ id: 'fgpx-route-metric-line', type: 'line', source: 'fgpx-route-metric', layout: { 'line-join': 'round', 'line-cap': 'round', 'visibility': routeColorScheme ? 'visible' : 'none' }, paint: { 'line-color': routeColorScheme ? routeColorScheme.paint : progressiveBaseColor, 'line-width': 4, 'line-blur': 0.3 } });
+
+      // Split the driven part of the route into same-key runs (one feature per run).
+      // Points without a reading keep the previous key; leading gaps use the base line.
+      function updateRouteColorRuns(coordsUpTo, startIdx) {
+        var src = map.getSource('fgpx-route-metric');
+        if (!src || !routeColorScheme) return;
+        var keys = routeColorScheme.keys;
+        var features = [];
+        var run = null;
+        for (var i = 0; i < coordsUpTo.length; i++) {
+          var key = keys[Math.min(startIdx + i, keys.length - 1)];
+          var gapBreak = i > 0 && routeGaps && routeGaps[startIdx + i];
+          if (!run || key !== run.key || gapBreak) {
+            if (run && run.coords.length > 1 && run.key !== null) {
+              features.push({ type: 'Feature', properties: { key: run.key }, geometry: { type: 'LineString', coordinates: run.coords } });
+            }
+            run = { key: key, coords: (i > 0 && !gapBreak) ? [coordsUpTo[i - 1]] : [] };
+          }
+          run.coords.push(coordsUpTo[i]);
+        }
+        if (run && run.coords.length > 1 && run.key !== null) {
+          features.push({ type: 'Feature', properties: { key: run.key }, geometry: { type: 'LineString', coordinates: run.coords } });
+        }
+        src.setData({ type: 'FeatureCollection', features: features });
+      }
+
+      // Route color legend (bottom-left of the map), shares the swatch markup of the All Data legend
+      var routeColorLegendEl = null;
+      function renderRouteColorLegend() {
+        var info = null;
+        if (routeColorScheme) {
+          info = routeColorScheme.legend;
+        } else if (routeColorBy === 'gradient') {
+          info = {
+            title: ROUTE_COLOR_META.gradient.label,
+            colors: [progressiveBaseColor, progressiveSteepColor],
+            min: '≤ ' + parseFloat((window.FGPX && FGPX.elevationThresholdMin) || '3') + '%',
+            max: '≥ ' + parseFloat((window.FGPX && FGPX.elevationThresholdMax) || '8') + '%'
+          };
+        }
+        if (!info) {
+          if (routeColorLegendEl) routeColorLegendEl.style.display = 'none';
+          return;
+        }
+        if (!routeColorLegendEl) {
+          routeColorLegendEl = document.createElement('div');
+          routeColorLegendEl.className = 'fgpx-route-legend';
+          ui.mapEl.appendChild(routeColorLegendEl);
+          registerTeardown(function() {
+            if (routeColorLegendEl && routeColorLegendEl.parentNode) routeColorLegendEl.parentNode.removeChild(routeColorLegendEl);
+            routeColorLegendEl = null;
+          });
+        }
+        routeColorLegendEl.innerHTML = '';
+        routeColorLegendEl.style.display = '';
+        var title = document.createElement('div');
+        title.className = 'fgpx-route-legend-title';
+        title.textContent = info.title;
+        routeColorLegendEl.appendChild(title);
+        if (info.swatches) {
+          info.swatches.forEach(function(sw) {
+            routeColorLegendEl.appendChild(createLegendItem(sw.color, sw.label));
+          });
+          return;
+        }
+        // Ramp stops come in (value, color) pairs after ['interpolate', ['linear'], input]
+        var colors = info.colors || info.ramp.slice(3).filter(function(_, idx) { return idx % 2 === 1; });
+        var bar = document.createElement('div');
+        bar.className = 'fgpx-route-legend-bar';
+        bar.style.background = 'linear-gradient(to right, ' + colors.join(', ') + ')';
+        routeColorLegendEl.appendChild(bar);
+        var scale = document.createElement('div');
+        scale.className = 'fgpx-route-legend-scale';
+        var lo = document.createElement('span');
+        var hi = document.createElement('span');
+        lo.textContent = typeof info.min === 'number' ? String(Math.round(info.min)) : info.min;
+        hi.textContent = typeof info.max === 'number' ? String(Math.round(info.max)) : info.max;
+        scale.appendChild(lo);
+        scale.appendChild(hi);
+        routeColorLegendEl.appendChild(scale);
+      }
+
+      // Map control to pick the route coloring metric; only metrics present in the track are offered
+      var routeColorSelect = null;
+      function availableRouteColorModes() {
+        return ['none', 'gradient', 'speed', 'hr', 'power', 'cadence', 'temperature'].filter(function(mode) {
+          if (mode === 'none') return true;
+          if (mode === 'gradient') return coords.length > 1;
+          return !!buildRouteColorScheme(mode);
+        });
+      }
+      var RouteColorControl = function() {};
+      RouteColorControl.prototype.onAdd = function(ctrlMap) {
+        this._map = ctrlMap;
+        var container = document.createElement('div');
+        container.className = 'maplibregl-ctrl maplibregl-ctrl-group fgpx-route-color-ctrl';
+        ['mousedown', 'mouseup', 'click', 'dblclick', 'touchstart', 'touchend', 'pointerdown', 'pointerup'].forEach(function(evName) {
+          container.addEventListener(evName, function(ev) { ev.stopPropagation(); });
+        });
+        var select = document.createElement('select');
+        select.className = 'fgpx-route-color-select';
+        select.setAttribute('aria-label', routeColorI18n.routeColorLabel || 'Route color');
+        select.title = routeColorI18n.routeColorLabel || 'Route color';
+        availableRouteColorModes().forEach(function(mode) {
+          var opt = document.createElement('option');
+          opt.value = mode;
+          opt.textContent = ROUTE_COLOR_META[mode].label;
+          select.appendChild(opt);
+        });
+        select.value = routeColorBy;
+        select.addEventListener('change', function() { setRouteColorBy(select.value); });
+        container.appendChild(select);
+        routeColorSelect = select;
+        this._container = container;
+        return container;
+      };
+      RouteColorControl.prototype.onRemove = function() {
+        if (this._container && this._container.parentNode) {
+          this._container.parentNode.removeChild(this._container);
+        }
+        routeColorSelect = null;
+        this._map = undefined;
+      };
+
+      // Switch the route coloring at runtime and redraw the driven route at the current position
+      function setRouteColorBy(requested) {
+        var next = resolveRouteColorBy(requested);
+        if (next === routeColorBy) return routeColorBy;
+        routeColorBy = next;
+        routeColorScheme = (next === 'none' || next === 'gradient') ? null : buildRouteColorScheme(next);
+        elevationColoringEnabled = next === 'gradient';
+        if (elevationColoringEnabled) {
+          if (!progressiveSmoothedGradients && coords.length > 1) {
+            progressiveGradients = calculateGradients(coords, cumDist);
+            progressiveSmoothedGradients = smoothGradients(progressiveGradients, 5);
+          }
+          if (!segmentPoolReady) {
+            try { initSegmentPool(); } catch(_) {}
+          }
+        }
+        try {
+          var metricSrc = map.getSource('fgpx-route-metric');
+          if (metricSrc) metricSrc.setData(emptyFeatureCollection);
+          map.setLayoutProperty('fgpx-route-metric-line', 'visibility', routeColorScheme ? 'visible' : 'none');
+          if (routeColorScheme) map.setPaintProperty('fgpx-route-metric-line', 'line-color', routeColorScheme.paint);
+        } catch(_) {}
+        if (routeColorSelect) routeColorSelect.value = routeColorBy;
+        renderRouteColorLegend();
+        progressNeedLineInit = true;
+        progressLineCooldown = 0;
+        try { updateVisuals(progress); } catch(_) {}
+        return routeColorBy;
+      }
 
       if (arrowsEnabled && totalDistance > 0) {
         try {
@@ -2669,6 +5054,11 @@
         try { initSegmentPool(); } catch(_) {}
       }
 
+      renderRouteColorLegend();
+      if (availableRouteColorModes().length > 2) {
+        try { map.addControl(new RouteColorControl(), 'top-right'); } catch(e) { DBG.warn('Route color control skipped', e); }
+      }
+
       // Create colored arrow icons for different wind speeds and sizes
       function createArrowIcon(color, size) {
         size = size || 72; // Default size
@@ -3155,6 +5545,7 @@
       
       // ========== LAZY LOADING OPTIMIZATION ==========
       // Cache for processed chart data to avoid reprocessing
+      var hrZoneConfig = resolveHrZones(window.FGPX ? FGPX : null);
       var chartDataCache = {
         elevation: null,
         speed: null,
@@ -3166,6 +5557,7 @@
         sunMoonAltitude: null,
         power: null,
         powerZones: null,
+        heartRateZones: null,
         windSpeed: null,
         windImpact: null,
         windDirection: null,
@@ -3223,6 +5615,12 @@
               return typeof v === 'number' && v > 0;
             }) : [];
             break;
+
+          case 'heartRateZones':
+            chartDataCache.heartRateZones = (Array.isArray(heartRates) && heartRates.some(function(v) { return typeof v === 'number' && v > 0; }))
+              ? hrZoneSeconds(heartRates, movingTimeOffsets || timeOffsets, hrZoneConfig.zones)
+              : [];
+            break;
             
           case 'windSpeed':
             chartDataCache.windSpeed = (Array.isArray(windSpeeds)) ? xVals.map(function(x, idx) {
@@ -3301,24 +5699,6 @@
             colors: { snow: colorSnow, rain: colorRain, fog: colorFog, clouds: colorClouds }
           });
           
-          // Helper to create color ramp from base color
-          function createHeatmapColorRamp(baseColor) {
-            var rgb = {
-              r: parseInt(baseColor.slice(1, 3), 16),
-              g: parseInt(baseColor.slice(3, 5), 16),
-              b: parseInt(baseColor.slice(5, 7), 16)
-            };
-            return [
-              'interpolate', ['linear'], ['heatmap-density'],
-              0, 'rgba(255,255,255,0)',
-              0.2, 'rgba(' + rgb.r + ',' + rgb.g + ',' + rgb.b + ',0.4)',
-              0.4, 'rgba(' + rgb.r + ',' + rgb.g + ',' + rgb.b + ',0.6)',
-              0.6, 'rgba(' + rgb.r + ',' + rgb.g + ',' + rgb.b + ',0.75)',
-              0.8, 'rgba(' + rgb.r + ',' + rgb.g + ',' + rgb.b + ',0.85)',
-              1, 'rgba(' + rgb.r + ',' + rgb.g + ',' + rgb.b + ',1)'
-            ];
-          }
-          
           // Base heatmap config (shared by all weather types)
           var baseHeatmapConfig = {
             'heatmap-intensity': [
@@ -3906,6 +6286,98 @@
       map.addSource('fgpx-point', { type: 'geojson', data: pointData });
       map.addLayer({ id: 'fgpx-point-circle', type: 'circle', source: 'fgpx-point', paint: { 'circle-radius': 6, 'circle-color': '#25ceff', 'circle-stroke-width': 2, 'circle-stroke-color': '#ffffff' } });
 
+      // Ghost riders: extra tracks from the `compare` shortcode attribute, each with its own
+      // route line and marker. Loaded async so the primary player never waits on them.
+      var ghostTracks = [];
+      var ghostAlign = (window.FGPX && FGPX.compareAlign === 'distance') ? 'distance' : 'time';
+      var ghostGapBox = null;
+      var GHOST_COLORS = ['#ff6b35', '#a855f7', '#22c55e', '#eab308', '#ec4899'];
+      (function loadGhostTracks() {
+        var ids = [];
+        var rawIds = (window.FGPX && FGPX.compareTrackIds) ? FGPX.compareTrackIds : [];
+        if (typeof rawIds === 'string') rawIds = rawIds.split(',');
+        for (var gi = 0; gi < rawIds.length && ids.length < GHOST_COLORS.length; gi++) {
+          var gid = parseInt(String(rawIds[gi]).trim(), 10);
+          if (gid > 0 && String(gid) !== String(trackId) && ids.indexOf(gid) === -1) ids.push(gid);
+        }
+        if (!ids.length || !window.FGPX || !FGPX.restUrl) return;
+        var base = String(FGPX.restUrl).replace(/\/$/, '');
+        ids.forEach(function(id, slot) {
+          fetch(base + '/track/' + encodeURIComponent(id), { headers: { 'X-WP-Nonce': FGPX.nonce } })
+            .then(function(r) { if (!r.ok) throw new Error('HTTP ' + r.status); return r.json(); })
+            .then(function(json) {
+              if (runtimeDestroyed) return;
+              var ghost = buildGhostTrack(json, id);
+              if (!ghost) { DBG.warn('Ghost track has no route data', id); return; }
+              ghost.color = GHOST_COLORS[slot];
+              ghost.routeSourceId = 'fgpx-ghost-route-' + slot;
+              ghost.pointSourceId = 'fgpx-ghost-point-' + slot;
+              ghost.sample = null;
+              addGhostLayers(ghost);
+              ghostTracks.push(ghost);
+              ghostTracks.sort(function(a, b) { return a.routeSourceId < b.routeSourceId ? -1 : 1; });
+              ensureGhostGapBox();
+              try { updateGhostTracks(Math.max(privacyEnabled ? privacyStartD : 0, (Number(progress) || 0) * totalDistance)); } catch (_) {}
+            })
+            .catch(function(err) { DBG.warn('Failed to load ghost track', id, err); });
+        });
+      })();
+
+      function addGhostLayers(ghost) {
+        var beforeId = map.getLayer('fgpx-point-circle') ? 'fgpx-point-circle' : undefined;
+        var lineCoords = ghost.coords.map(function(c) { return c.slice(0, 2); });
+        if (privacyEnabled && privacyMeters > 0 && ghost.totalDistance > privacyMeters * 2) {
+          lineCoords = lineCoords.filter(function(_, i) {
+            return ghost.cumDist[i] >= privacyMeters && ghost.cumDist[i] <= ghost.totalDistance - privacyMeters;
+          });
+        }
+        map.addSource(ghost.routeSourceId, { type: 'geojson', data: { type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: lineCoords } } });
+        map.addLayer({ id: ghost.routeSourceId + '-line', type: 'line', source: ghost.routeSourceId, layout: { 'line-cap': 'round', 'line-join': 'round' }, paint: { 'line-color': ghost.color, 'line-width': 2, 'line-opacity': 0.6, 'line-dasharray': [2, 1.5] } }, beforeId);
+        map.addSource(ghost.pointSourceId, { type: 'geojson', data: { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: ghost.coords[0].slice(0, 2) } } });
+        map.addLayer({ id: ghost.pointSourceId + '-circle', type: 'circle', source: ghost.pointSourceId, paint: { 'circle-radius': 5, 'circle-color': ghost.color, 'circle-stroke-width': 2, 'circle-stroke-color': '#ffffff' } }, beforeId);
+      }
+
+      function ensureGhostGapBox() {
+        if (ghostGapBox || (window.FGPX && FGPX.hudEnabled === false)) return;
+        ghostGapBox = document.createElement('div');
+        ghostGapBox.className = 'fgpx-metrics-gap';
+        ghostGapBox.setAttribute('aria-live', 'off');
+        ghostGapBox.style.cssText = 'position:absolute;top:34px;left:50%;transform:translateX(-50%);background:rgba(0,0,0,0.50);color:#fff;border-radius:6px;padding:4px 8px;font:600 12px system-ui,Segoe UI,Roboto,Arial,sans-serif;pointer-events:none;z-index:1;white-space:nowrap;';
+        ui.mapEl.appendChild(ghostGapBox);
+        registerTeardown(function() {
+          if (ghostGapBox && ghostGapBox.parentNode) ghostGapBox.parentNode.removeChild(ghostGapBox);
+          ghostGapBox = null;
+        });
+      }
+
+      // Called from updateVisuals with the primary rider's distance; keeps the per-ghost
+      // sample around so the chart cursor plugin can draw the ghost cursors.
+      function updateGhostTracks(dMain) {
+        if (!ghostTracks.length) return;
+        var tMain = hasTimestamps ? timeOffsetAtDistance(dMain) : null;
+        var rows = [];
+        for (var g = 0; g < ghostTracks.length; g++) {
+          var ghost = ghostTracks[g];
+          var sample = sampleGhostTrack(ghost, ghostAlign, dMain, tMain);
+          var last = ghost.sample;
+          if (!last || last.position[0] !== sample.position[0] || last.position[1] !== sample.position[1]) {
+            var src = map.getSource(ghost.pointSourceId);
+            if (src) src.setData({ type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: sample.position } });
+          }
+          ghost.sample = sample;
+          rows.push(ghost.name + ': ' + formatGhostGap(sample, FGPX.i18n));
+        }
+        if (ghostGapBox && (hudCooldown === 0 || !playing)) setTextIfChanged(ghostGapBox, rows.join('  |  '));
+      }
+
+      // Chart x value for a ghost: where on the primary axis the ghost currently is.
+      function ghostChartX(ghost) {
+        if (!ghost.sample) return null;
+        var dG = ghost.sample.distance;
+        if (useTime && Array.isArray(timeOffsets)) return timeOffsetAtDistance(Math.min(dG, totalDistance));
+        return dG / 1000;
+      }
+
       // Text-only labels (emoji + text) using DOM markers so they work with any style
       if (!window.FGPX || FGPX.showLabels !== false) {
         try {
@@ -3951,6 +6423,11 @@
 
       // MapTiler cities/landmarks (POIs from map tiles)
       var mapCities = []; // [{name, lat, lon, distanceMeters, type}] sorted by distanceMeters
+      // Route POIs in the same shape, so raster styles without place labels still get markers.
+      // Kept apart from mapCities, whose emptiness means the map has not been scanned yet.
+      var routePoiCities = routePois.map(function(poi) {
+        return { name: poiLabel(poi), lat: poi.lat, lon: poi.lon, distanceMeters: poi.distanceMeters, type: poi.type };
+      });
 
 
       function getMediaItemKey(item, fallbackIndex) {
@@ -4127,7 +6604,7 @@
           if (typeof ph._playbackSec === 'number' && isFinite(ph._playbackSec)) return ph._playbackSec;
           var ts = Date.parse(ph.timestamp);
           if (isNaN(ts)) return null;
-          ph._playbackSec = Math.max(0, (ts - trackStartTimestampMs) / 1000);
+          ph._playbackSec = Math.max(0, offsetAtClockSec((ts - trackStartTimestampMs) / 1000));
           return ph._playbackSec;
         }
 
@@ -4677,7 +7154,7 @@
       function lon2tileX(lon, z){ return Math.floor((lon + 180) / 360 * Math.pow(2, z)); }
       function lat2tileY(lat, z){ var rad = lat * Math.PI / 180; return Math.floor((1 - Math.log(Math.tan(rad) + 1/Math.cos(rad)) / Math.PI) / 2 * Math.pow(2, z)); }
       function tileUrlFromTemplate(tpl, z, x, y){ return tpl.replace('{z}', String(z)).replace('{x}', String(x)).replace('{y}', String(y)); }
-      function getPrefetchTileTemplates() {
+      function getPrefetchTileTemplates(includeVector) {
         var out = [];
         try {
           var st = map.getStyle();
@@ -4685,7 +7162,7 @@
           for (var sid in srcs) {
             if (!Object.prototype.hasOwnProperty.call(srcs, sid)) continue;
             var sdef = srcs[sid];
-            if (!sdef || (sdef.type !== 'raster' && sdef.type !== 'raster-dem')) continue;
+            if (!sdef || (sdef.type !== 'raster' && sdef.type !== 'raster-dem' && !(includeVector && sdef.type === 'vector'))) continue;
 
             var foundTiles = [];
             var live = null;
@@ -4889,9 +7366,241 @@
         } catch(_) { return null; }
       }
 
+      // ---- Save for offline ----
+      // Everything a track page needs without a network: the page and its assets, the
+      // track payload, the map style with sprite and glyphs, route tiles (raster, vector
+      // and DEM) from buildPrefetchList at the playback zoom and a few overview levels,
+      // and photo thumbnails.
+      function collectOfflineResources() {
+        var out = [];
+        var here = window.location;
+        function sameOrigin(url) {
+          try { return new URL(url, here.href).origin === here.origin; } catch (_) { return false; }
+        }
+        function add(url, mode, credentials) {
+          if (!url || typeof url !== 'string' || url.indexOf('data:') === 0 || url.indexOf('blob:') === 0) return;
+          var abs;
+          try { abs = new URL(url, here.href).href; } catch (_) { return; }
+          out.push({ url: abs, mode: mode || (sameOrigin(abs) ? 'same-origin' : 'no-cors'), credentials: credentials });
+        }
+
+        // Fetched logged out, so the saved copy has no admin bar and no nonces
+        add(here.href.split('#')[0], 'same-origin', 'omit');
+        try {
+          Array.prototype.forEach.call(document.querySelectorAll('script[src], link[rel~="stylesheet"][href]'), function(node) {
+            var url = node.src || node.href;
+            add(url, (node.crossOrigin && !sameOrigin(url)) ? 'cors' : null);
+          });
+        } catch (_) {}
+
+        var payloadJson = JSON.stringify(payload);
+        (root.__fgpxTrackUrls || []).forEach(function(url) {
+          out.push({ url: new URL(url, here.href).href, body: payloadJson, type: 'application/json' });
+        });
+
+        var st = null;
+        try { st = map.getStyle(); } catch (_) {}
+        if (styleUrl && /^https?:/i.test(String(styleUrl))) add(String(styleUrl), 'cors');
+        if (st) {
+          var sprites = Array.isArray(st.sprite) ? st.sprite.map(function(s) { return s && s.url; }) : [st.sprite];
+          sprites.forEach(function(base) {
+            if (typeof base !== 'string' || !base) return;
+            ['.json', '.png', '@2x.json', '@2x.png'].forEach(function(ext) { add(base + ext, 'cors'); });
+          });
+          if (typeof st.glyphs === 'string' && st.glyphs.indexOf('{fontstack}') !== -1) {
+            var fontstacks = {};
+            (st.layers || []).forEach(function(layer) {
+              var fonts = layer && layer.layout && layer.layout['text-font'];
+              if (Array.isArray(fonts) && fonts.every(function(f) { return typeof f === 'string'; })) fontstacks[fonts.join(',')] = true;
+            });
+            Object.keys(fontstacks).forEach(function(stack) {
+              add(st.glyphs.replace('{fontstack}', encodeURIComponent(stack)).replace('{range}', '0-255'), 'cors');
+            });
+          }
+          Object.keys(st.sources || {}).forEach(function(sid) {
+            var sdef = st.sources[sid];
+            if (sdef && typeof sdef.url === 'string' && /^https?:/i.test(sdef.url)) add(sdef.url, 'cors');
+          });
+        }
+
+        var templates = getPrefetchTileTemplates(true);
+        var zBase = isFinite(Number(defaultZoomSetting)) ? Math.round(Number(defaultZoomSetting)) : 12;
+        var zOffsets = [0, -1, -2, -4];
+        var perList = Math.max(20, Math.floor(1500 / Math.max(1, templates.length * zOffsets.length)));
+        templates.forEach(function(meta) {
+          var seenZ = {};
+          zOffsets.forEach(function(dz) {
+            var zUse = clampPrefetchZoom(zBase + dz, meta);
+            if (seenZ[zUse]) return;
+            seenZ[zUse] = true;
+            buildPrefetchList(zUse, perList).forEach(function(key) {
+              var parts = key.split('/');
+              add(tileUrlFromTemplate(meta.template, parseInt(parts[0], 10), parseInt(parts[1], 10), parseInt(parts[2], 10)), 'cors');
+            });
+          });
+        });
+
+        (payload.photos || []).forEach(function(photo) {
+          if (photo && photo.thumbUrl) add(String(photo.thumbUrl));
+        });
+        return out;
+      }
+
+      function setupOfflineControls() {
+        var btn = ui.controls && ui.controls.btnOffline;
+        if (!btn) return;
+        var I18N = (FGPX && FGPX.i18n) ? FGPX.i18n : {};
+        var pageUrl = window.location.href.split('#')[0];
+        var offlineKey = String(trackId) + '@' + pageUrl;
+        var busy = false;
+
+        var panel = document.createElement('div');
+        panel.className = 'fgpx-offline-panel';
+        panel.setAttribute('role', 'region');
+        panel.setAttribute('aria-label', I18N.offlineSave || 'Save for offline');
+        panel.style.display = 'none';
+        var status = document.createElement('p');
+        status.className = 'fgpx-offline-status';
+        status.setAttribute('aria-live', 'polite');
+        var actions = document.createElement('div');
+        actions.className = 'fgpx-offline-actions';
+        var saveBtn = document.createElement('button');
+        saveBtn.type = 'button';
+        saveBtn.className = 'fgpx-btn fgpx-offline-save';
+        var removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'fgpx-btn fgpx-offline-remove';
+        removeBtn.textContent = I18N.offlineRemove || 'Remove';
+        actions.appendChild(saveBtn);
+        actions.appendChild(removeBtn);
+        var storage = document.createElement('p');
+        storage.className = 'fgpx-offline-storage';
+        var listTitle = document.createElement('p');
+        listTitle.className = 'fgpx-offline-list-title';
+        listTitle.textContent = I18N.offlineSavedTracks || 'Saved tracks';
+        var list = document.createElement('ul');
+        list.className = 'fgpx-offline-list';
+        panel.appendChild(status);
+        panel.appendChild(actions);
+        panel.appendChild(storage);
+        panel.appendChild(listTitle);
+        panel.appendChild(list);
+        var controlsBar = btn.closest ? btn.closest('.fgpx-controls') : null;
+        if (controlsBar && controlsBar.parentNode) {
+          controlsBar.parentNode.insertBefore(panel, controlsBar.nextSibling);
+        } else {
+          root.appendChild(panel);
+        }
+
+        function removeEntry(key) {
+          return removeTrackOffline(FGPX, key)
+            .then(function() { return unregisterOfflineWorkerIfUnused(FGPX); })
+            .catch(function(err) { DBG.warn('Removing offline track failed', err); })
+            .then(refresh);
+        }
+
+        function refresh() {
+          return Promise.all([
+            readOfflineManifest(FGPX).catch(function() { return { tracks: {} }; }),
+            offlineStorageEstimate()
+          ]).then(function(results) {
+            var manifest = results[0];
+            var estimate = results[1];
+            var entry = manifest.tracks[offlineKey];
+            if (!busy) {
+              status.textContent = entry
+                ? formatI18n(I18N.offlineSaved || 'Saved for offline (%s)', [formatStorageSize(entry.bytes)])
+                : (I18N.offlineNotSaved || 'This track is not saved on this device.');
+              if (entry && entry.opaque > 0) {
+                status.textContent += ' ' + formatI18n(I18N.offlineOpaque || 'The size does not include files from other sites (%s).', [entry.opaque]);
+              }
+            }
+            saveBtn.textContent = entry ? (I18N.offlineUpdate || 'Update offline copy') : (I18N.offlineSave || 'Save for offline');
+            removeBtn.style.display = entry ? '' : 'none';
+            storage.textContent = (estimate && estimate.quota)
+              ? formatI18n(I18N.offlineStorage || 'Storage used: %1$s of %2$s', [formatStorageSize(estimate.usage), formatStorageSize(estimate.quota)])
+              : '';
+
+            list.innerHTML = '';
+            var keys = Object.keys(manifest.tracks).sort(function(a, b) {
+              return (manifest.tracks[b].savedAt || 0) - (manifest.tracks[a].savedAt || 0);
+            });
+            keys.forEach(function(key) {
+              var saved = manifest.tracks[key];
+              var item = document.createElement('li');
+              var link = document.createElement('a');
+              link.href = saved.pageUrl || '#';
+              link.textContent = saved.title || ('#' + saved.trackId);
+              var size = document.createElement('span');
+              size.className = 'fgpx-offline-size';
+              size.textContent = formatStorageSize(saved.bytes);
+              if (saved.opaque > 0) size.title = formatI18n(I18N.offlineOpaque || 'The size does not include files from other sites (%s).', [saved.opaque]);
+              var drop = document.createElement('button');
+              drop.type = 'button';
+              drop.className = 'fgpx-btn';
+              drop.textContent = I18N.offlineRemove || 'Remove';
+              drop.setAttribute('aria-label', (I18N.offlineRemove || 'Remove') + ': ' + link.textContent);
+              drop.addEventListener('click', function() { removeEntry(key); });
+              item.appendChild(link);
+              item.appendChild(size);
+              item.appendChild(drop);
+              list.appendChild(item);
+            });
+            listTitle.style.display = keys.length ? '' : 'none';
+          });
+        }
+
+        btn.addEventListener('click', function() {
+          var open = panel.style.display === 'none';
+          panel.style.display = open ? 'block' : 'none';
+          btn.setAttribute('aria-expanded', open ? 'true' : 'false');
+          if (open) refresh();
+        });
+
+        saveBtn.addEventListener('click', function() {
+          if (busy) return;
+          busy = true;
+          saveBtn.disabled = true;
+          status.textContent = formatI18n(I18N.offlineSaving || 'Saving… %s', ['0%']);
+          var entry = {
+            key: offlineKey,
+            trackId: String(trackId),
+            title: (payload && payload.name) ? String(payload.name) : document.title,
+            pageUrl: pageUrl
+          };
+          registerOfflineWorker(FGPX)
+            .then(function() {
+              return saveTrackOffline(FGPX, entry, collectOfflineResources(), function(done, total) {
+                status.textContent = formatI18n(I18N.offlineSaving || 'Saving… %s', [Math.round(done / Math.max(1, total) * 100) + '%']);
+              });
+            })
+            .then(function(stored) {
+              DBG.log('Track saved for offline use', { key: stored.key, urls: stored.urls.length, failed: stored.failed, bytes: stored.bytes });
+              busy = false;
+              saveBtn.disabled = false;
+              return refresh();
+            })
+            .catch(function(err) {
+              busy = false;
+              saveBtn.disabled = false;
+              status.textContent = (I18N.offlineFailed || 'Saving failed:') + ' ' + (err && err.message ? err.message : String(err));
+            });
+        });
+
+        removeBtn.addEventListener('click', function() { removeEntry(offlineKey); });
+
+        registerTeardown(function() {
+          if (panel.parentNode) panel.parentNode.removeChild(panel);
+        });
+      }
+      setupOfflineControls();
+
       // --- Video Recording Implementation ---
       var videoRecorder = null;
       var isRecording = false;
+      var frameExportPending = false; // GIF/PNG export still encoding after capture stopped
+      var offlineRender = null; // virtual-clock state while a frame-by-frame render runs
+      var recordingProgressView = null; // docked progress panel of the recording modal
       var recordingProgress = 0;
       var recordingDuration = 0;
       var recordingSettingsModal = null;
@@ -4949,6 +7658,19 @@
         }
       };
 
+      // Output formats offered in the recording settings modal
+      var RECORDING_CAPTURE_FORMATS = {
+        'video': { name: 'Video', description: 'WebM/MP4 via MediaRecorder' },
+        'gif': { name: 'Animated GIF', description: 'Loops everywhere, larger files' },
+        'png-zip': { name: 'PNG frames', description: 'Numbered lossless frames in a ZIP' }
+      };
+
+      var RECORDING_RENDER_MODES = {
+        'realtime': { name: 'Real time', description: 'Records while playback runs' },
+        'offline': { name: 'Frame by frame', description: 'Smooth fixed frame rate; waits for tiles, takes longer' }
+      };
+      var OFFLINE_RENDER_FPS = [30, 60];
+
       function createSessionIdSuffix(length) {
         var chars = 'abcdefghijklmnopqrstuvwxyz0123456789';
         var targetLength = Math.max(1, length || 9);
@@ -4992,6 +7714,11 @@
         this.outputMode = this.options.outputMode || 'download';
         this.outputDirectoryHandle = this.options.outputDirectoryHandle || null;
         this.expectedChunkCount = Math.max(1, Number(this.options.expectedChunkCount) || 1);
+        // 'video' (MediaRecorder), 'gif' or 'png-zip' (frames encoded in JS)
+        this.captureFormat = RECORDING_CAPTURE_FORMATS[this.options.captureFormat] ? this.options.captureFormat : 'video';
+        this.onProgress = typeof this.options.onProgress === 'function' ? this.options.onProgress : null;
+        // 'offline' renders frame by frame on a virtual clock; the player calls captureOfflineFrame()
+        this.renderMode = this.options.renderMode === 'offline' ? 'offline' : 'realtime';
         
         // Apply preset or custom settings
         var settings = this.customSettings || VIDEO_QUALITY_PRESETS[this.preset];
@@ -5009,9 +7736,12 @@
         this.isRecording = false;
         this.startTime = 0;
         this.frameCount = 0;
-        this.targetFPS = settings.fps;
+        var fps = Number(this.options.fps) > 0 ? Number(this.options.fps) : settings.fps;
+        // Browsers clamp GIF frame delays below 2/100 s, so cap GIF capture at 25 fps
+        this.targetFPS = this.captureFormat === 'gif' ? Math.min(fps, 25) : fps;
         this.frameInterval = 1000 / this.targetFPS;
         this.lastFrameTime = 0;
+        this.resolution = settings.resolution || null;
         this.quality = settings.quality;
         this.bitrate = settings.bitrate;
         this.initialized = false;
@@ -5211,8 +7941,12 @@
               throw new Error('Map canvas not available');
             }
             
-            // Use direct canvas recording (keeps photo overlays working)
-            self.initWithCanvas();
+            if (self.captureFormat === 'video') {
+              // Use direct canvas recording (keeps photo overlays working)
+              self.initWithCanvas();
+            } else {
+              self.initFrameCapture();
+            }
             self.initialized = true;
             resolve();
             
@@ -5234,7 +7968,8 @@
           }
           
           // Use direct canvas recording - this captures all map layers including photos!
-          this.stream = this.canvas.captureStream(this.targetFPS);
+          // Offline renders push frames explicitly with requestFrame() instead of sampling at a rate.
+          this.stream = this.canvas.captureStream(this.renderMode === 'offline' ? 0 : this.targetFPS);
           
           // Configure MediaRecorder with compression
           var mimeType = this.getSupportedMimeType();
@@ -5395,6 +8130,7 @@
                 try {
                   self.recreateMediaRecorder();
                   self.mediaRecorder.start(100);
+                  if (self.renderMode === 'offline') self.mediaRecorder.pause();
                   DBG.log('MediaRecorder rotated and restarted', { nextChunkNumber: self.chunkNumber });
                   return;
                 } catch (err) {
@@ -5899,6 +8635,7 @@
       VideoRecorder.prototype.start = function() {
         var self = this;
         if (this.isRecording) return Promise.resolve();
+        if (this.captureFormat !== 'video') return this.startFrameCapture();
 
         if (!this.mediaRecorder || !this.hasActiveStream()) {
           this.initPromise = this.init();
@@ -5919,6 +8656,8 @@
             
             // Start recording with small time slices for better memory management
             self.mediaRecorder.start(100);
+            // Offline renders stay paused between frames so render time is not recorded
+            if (self.renderMode === 'offline') self.mediaRecorder.pause();
             
             // Show recording progress
             self.showRecordingProgress();
@@ -6421,14 +9160,15 @@
       };
       
       VideoRecorder.prototype.stop = function() {
+        if (this.captureFormat !== 'video') return this.stopFrameCapture();
         if (!this.isRecording) return;
         
         try {
           this.stopRequested = true;
           this.isRecording = false;
           
-          // Safely stop the media recorder
-          if (this.mediaRecorder && this.mediaRecorder.state === 'recording') {
+          // Safely stop the media recorder (offline renders sit paused between frames)
+          if (this.mediaRecorder && (this.mediaRecorder.state === 'recording' || this.mediaRecorder.state === 'paused')) {
             this.mediaRecorder.stop();
           }
           
@@ -6895,6 +9635,257 @@
         return false;
       };
 
+      // --- Frame capture (animated GIF / ZIP of PNGs) ---
+      // Frames are grabbed on the map 'render' event, while the WebGL drawing buffer is still valid.
+
+      VideoRecorder.prototype.initFrameCapture = function() {
+        var scale = 1;
+        if (this.resolution && this.resolution.width && this.resolution.height) {
+          scale = Math.min(1, this.resolution.width / this.canvas.width, this.resolution.height / this.canvas.height);
+        }
+        this.setupCompositeCanvas();
+        if (!this.compositeCtx) {
+          throw new Error('Your browser does not support canvas frame capture.');
+        }
+        this.frameCanvas = document.createElement('canvas');
+        this.frameCanvas.width = Math.max(1, Math.round(this.canvas.width * scale));
+        this.frameCanvas.height = Math.max(1, Math.round(this.canvas.height * scale));
+        this.frameCtx = this.frameCanvas.getContext('2d', { willReadFrequently: true });
+        if (!this.frameCtx) {
+          throw new Error('Your browser does not support canvas frame capture.');
+        }
+        DBG.log('VideoRecorder initialized for frame capture', {
+          format: this.captureFormat,
+          preset: this.preset,
+          fps: this.targetFPS,
+          frameSize: { width: this.frameCanvas.width, height: this.frameCanvas.height }
+        });
+      };
+
+      VideoRecorder.prototype.startFrameCapture = function() {
+        var self = this;
+        if (!this.frameCanvas) {
+          this.initPromise = this.init();
+        }
+        return this.initPromise.then(function() {
+          self.resetSessionState();
+          self.isRecording = true;
+          self.startTime = performance.now();
+          self.pendingGifFrame = null;
+          self.framePromises = [];
+          self.finishPromise = null;
+          self.gifEncoder = self.captureFormat === 'gif'
+            ? new GifEncoder(self.frameCanvas.width, self.frameCanvas.height, { fps: self.targetFPS })
+            : null;
+          self.ensureMarkersVisible();
+
+          if (self.renderMode === 'realtime') {
+            self.frameRenderHandler = function() {
+              if (!self.shouldCaptureFrame(performance.now())) return;
+              try {
+                self.captureFrame();
+              } catch (error) {
+                self.failFrameCapture(error);
+              }
+            };
+            self.map.on('render', self.frameRenderHandler);
+            if (typeof self.map.triggerRepaint === 'function') self.map.triggerRepaint();
+          }
+          self.reportProgress('capturing', 0);
+          DBG.log('Frame capture started', { format: self.captureFormat, preset: self.preset, fps: self.targetFPS });
+        }).catch(function(error) {
+          DBG.warn('Frame capture start rejected', error);
+          self.isRecording = false;
+          return Promise.reject(error);
+        });
+      };
+
+      VideoRecorder.prototype.captureFrame = function() {
+        var width = this.frameCanvas.width;
+        var height = this.frameCanvas.height;
+        this.compositeCtx.clearRect(0, 0, this.compositeCanvas.width, this.compositeCanvas.height);
+        this.compositeCtx.drawImage(this.canvas, 0, 0);
+        this.drawMarkersToCanvas();
+        this.frameCtx.drawImage(this.compositeCanvas, 0, 0, width, height);
+
+        if (this.captureFormat === 'gif') {
+          // Encode the previous frame now that its real display time is known,
+          // so the GIF plays at recording speed even when encoding stalls a frame.
+          // Offline renders use the virtual frame clock instead.
+          var now = this.renderMode === 'offline' ? this.frameCount * this.frameInterval : performance.now();
+          if (this.pendingGifFrame) {
+            this.gifEncoder.addFrame(this.pendingGifFrame.data, now - this.pendingGifFrame.time);
+            this.totalRecordedBytes = this.gifEncoder.byteLength;
+          }
+          this.pendingGifFrame = { data: this.frameCtx.getImageData(0, 0, width, height).data, time: now };
+        } else {
+          // toBlob snapshots the canvas synchronously, so the frame canvas can be reused right away
+          var self = this;
+          this.framePromises.push(new Promise(function(resolve, reject) {
+            self.frameCanvas.toBlob(function(blob) {
+              if (!blob) { reject(new Error('PNG frame encoding failed')); return; }
+              self.totalRecordedBytes += blob.size;
+              resolve(blob);
+            }, 'image/png');
+          }));
+        }
+        this.reportProgress('capturing', 0);
+      };
+
+      VideoRecorder.prototype.detachFrameCapture = function() {
+        if (this.frameRenderHandler) {
+          try { this.map.off('render', this.frameRenderHandler); } catch (_) {}
+          this.frameRenderHandler = null;
+        }
+      };
+
+      VideoRecorder.prototype.failFrameCapture = function(error) {
+        DBG.warn('Frame capture failed', error);
+        this.isRecording = false;
+        this.detachFrameCapture();
+        this.restoreTextMarkers();
+        this.removePhotoFromMap();
+        var message = error && error.name === 'SecurityError'
+          ? 'Frame capture is blocked because the map style loads tiles without CORS headers.'
+          : 'Frame capture failed: ' + (error && error.message ? error.message : 'unknown error');
+        this.reportProgress('error', 0, { message: message });
+        this.showInitError(message);
+      };
+
+      VideoRecorder.prototype.stopFrameCapture = function() {
+        if (!this.isRecording) return this.finishPromise || Promise.resolve();
+        var self = this;
+        this.stopRequested = true;
+        this.isRecording = false;
+        this.detachFrameCapture();
+        this.restoreTextMarkers();
+        this.removePhotoFromMap();
+
+        var preset = this.preset.charAt(0).toUpperCase() + this.preset.slice(1);
+        var basename = 'flyover-' + preset + '-' + this.sessionId;
+        this.reportProgress('encoding', 0);
+
+        var encoded = this.captureFormat === 'gif' ? this.finishGif(basename + '.gif') : this.finishPngZip(basename + '-frames.zip');
+        this.finishPromise = encoded.then(function(result) {
+          return self.persistChunk(result.blob, result.filename).then(function() {
+            self.downloadedChunks.push({ number: 0, filename: result.filename, size: result.blob.size, isFinal: true });
+            DBG.log('Frame capture complete', {
+              format: self.captureFormat,
+              frames: self.frameCount,
+              filename: result.filename,
+              size: self.formatFileSize(result.blob.size),
+              duration: ((performance.now() - self.startTime) / 1000).toFixed(2) + 's'
+            });
+            self.reportProgress('done', 1, { filename: result.filename, bytes: result.blob.size });
+          });
+        }).catch(function(error) {
+          DBG.warn('Frame export failed', error);
+          self.reportProgress('error', 0, { message: error && error.message ? error.message : 'Frame export failed' });
+        }).then(function() {
+          self.cleanupOverlayCanvas();
+          self.frameCanvas = null;
+          self.frameCtx = null;
+          self.pendingGifFrame = null;
+          self.framePromises = [];
+          self.gifEncoder = null;
+        });
+        return this.finishPromise;
+      };
+
+      VideoRecorder.prototype.finishGif = function(filename) {
+        if (!this.gifEncoder || (!this.pendingGifFrame && this.gifEncoder.frameCount === 0)) {
+          return Promise.reject(new Error('No frames were captured.'));
+        }
+        if (this.pendingGifFrame) {
+          this.gifEncoder.addFrame(this.pendingGifFrame.data, this.frameInterval);
+          this.pendingGifFrame = null;
+        }
+        return Promise.resolve({ blob: this.gifEncoder.finish(), filename: filename });
+      };
+
+      VideoRecorder.prototype.finishPngZip = function(filename) {
+        var self = this;
+        var promises = this.framePromises || [];
+        if (promises.length === 0) {
+          return Promise.reject(new Error('No frames were captured.'));
+        }
+        var files = [];
+        var digits = Math.max(5, String(promises.length).length);
+        // Read frames one at a time so progress advances and memory stays flat
+        var chain = Promise.resolve();
+        promises.forEach(function(framePromise, index) {
+          chain = chain.then(function() {
+            return framePromise;
+          }).then(function(blob) {
+            return blob.arrayBuffer();
+          }).then(function(buffer) {
+            files.push({ name: 'frame-' + String(index + 1).padStart(digits, '0') + '.png', data: new Uint8Array(buffer) });
+            self.reportProgress('encoding', (index + 1) / promises.length);
+          });
+        });
+        return chain.then(function() {
+          return { blob: buildStoredZip(files), filename: filename };
+        });
+      };
+
+      VideoRecorder.prototype.reportProgress = function(phase, fraction, extra) {
+        if (!this.onProgress) return;
+        var info = {
+          phase: phase,
+          format: this.captureFormat,
+          frames: this.frameCount,
+          bytes: this.totalRecordedBytes,
+          elapsed: this.startTime ? (performance.now() - this.startTime) / 1000 : 0,
+          fraction: fraction || 0
+        };
+        if (extra) {
+          Object.keys(extra).forEach(function(key) { info[key] = extra[key]; });
+        }
+        try { this.onProgress(info); } catch (error) { DBG.warn('Recording progress callback failed', error); }
+      };
+
+      /**
+       * Capture exactly one frame of an offline render on the next map repaint.
+       * Video frames are pushed with requestFrame() and the recorder is resumed for one
+       * frame interval, so every frame lasts 1/fps in the file no matter how long it took to render.
+       * @returns {Promise<void>}
+       */
+      VideoRecorder.prototype.captureOfflineFrame = function() {
+        var self = this;
+        if (!this.isRecording) return Promise.resolve();
+        return new Promise(function(resolve, reject) {
+          function onRender() {
+            self.map.off('render', onRender);
+            try {
+              self.frameCount++;
+              if (self.captureFormat !== 'video') {
+                try {
+                  self.captureFrame();
+                } catch (error) {
+                  self.failFrameCapture(error);
+                }
+                resolve();
+                return;
+              }
+              var track = self.stream && typeof self.stream.getVideoTracks === 'function' ? self.stream.getVideoTracks()[0] : null;
+              if (self.mediaRecorder.state === 'paused') self.mediaRecorder.resume();
+              if (track && typeof track.requestFrame === 'function') track.requestFrame();
+              setTimeout(function() {
+                try {
+                  if (self.mediaRecorder && self.mediaRecorder.state === 'recording') self.mediaRecorder.pause();
+                } catch (_) {}
+                self.updateRecordingProgress();
+                resolve();
+              }, self.frameInterval);
+            } catch (error) {
+              reject(error);
+            }
+          }
+          self.map.on('render', onRender);
+          self.map.triggerRepaint();
+        });
+      };
+
       // Dynamic viewport edge prefetcher (5–10 Hz), rotation-aware
       var vpLastPrefetch = 0; // seconds
       var vpInflightKeys = new Set();
@@ -7596,7 +10587,8 @@
         }
         
         var next = photoQueue.shift();
-        var pauseForPhoto = (speed <= 50);
+        // Scroll-driven positioning shows photos without toggling playback
+        var pauseForPhoto = (speed <= 50) && !(scrollDriven && !playing);
         if (!next) { 
           if (pauseForPhoto) {
             setPlaying(true);
@@ -7638,6 +10630,7 @@
         overlayActive = true;
         currentDisplayedPhoto = next; // Track the currently displayed photo
         DBG.log('show photo overlay', { url: next.fullUrl || next.thumbUrl });
+        emitPlayerEvent('photo', { photo: next, distance: progress * totalDistance });
         showOverlay(next.fullUrl || next.thumbUrl || '', nonEmptyText(next.caption) || nonEmptyText(next.description) || nonEmptyText(next.title) || extractFilenameFromUrl(next.fullUrl || next.thumbUrl || '') || 'Photo', next.source_post_id, next.source_post_title || '', next.timestamp || '', extractFilenameFromUrl(next.fullUrl || next.thumbUrl || ''));
         
         // If recording, also draw the photo overlay on the canvas
@@ -7668,6 +10661,202 @@
         }, overlayDuration);
       }
 
+      // Story chapters: cards at authored distances, listed as ticks on the progress bar.
+      // Chapters outside the privacy window are dropped so they cannot reveal hidden parts.
+      var chapterI18n = (window.FGPX && FGPX.i18n) ? FGPX.i18n : {};
+      var chapters = normalizeChapters(payload.chapters).filter(function(ch) {
+        return !privacyEnabled || (ch.distance >= privacyStartD && ch.distance <= privacyEndD);
+      });
+      var chapterShown = {};
+      var chapterLastDistance = null;
+      var chapterActiveIndex = -1;
+      var chapterResumeOnClose = false;
+      var chapterHideTimer = null;
+      var chapterCard = document.createElement('div');
+      chapterCard.className = 'fgpx-chapter-card';
+      chapterCard.style.display = 'none';
+      chapterCard.setAttribute('role', 'dialog');
+      chapterCard.setAttribute('aria-hidden', 'true');
+      var chapterImg = document.createElement('img');
+      chapterImg.className = 'fgpx-chapter-image';
+      chapterImg.alt = '';
+      var chapterTitle = document.createElement('h3');
+      chapterTitle.className = 'fgpx-chapter-title';
+      var chapterBody = document.createElement('div');
+      chapterBody.className = 'fgpx-chapter-text';
+      var chapterCloseBtn = document.createElement('button');
+      chapterCloseBtn.type = 'button';
+      chapterCloseBtn.className = 'fgpx-btn fgpx-chapter-close';
+      chapterCard.appendChild(chapterImg);
+      chapterCard.appendChild(chapterTitle);
+      chapterCard.appendChild(chapterBody);
+      chapterCard.appendChild(chapterCloseBtn);
+      ui.mapEl.appendChild(chapterCard);
+      chapterCloseBtn.addEventListener('click', function() { hideChapterCard(); });
+
+      function chapterFraction(ch) {
+        var startD = privacyEnabled ? privacyStartD : 0;
+        var endD = privacyEnabled ? privacyEndD : totalDistance;
+        return endD > startD ? Math.max(0, Math.min(1, (ch.distance - startD) / (endD - startD))) : 0;
+      }
+
+      function applyChapterCamera(ch) {
+        if (ch.zoom === null && ch.pitch === null && ch.bearing === null) return;
+        var camOpts = { center: positionAtDistance(ch.distance).slice(0, 2), duration: 1200 };
+        if (ch.zoom !== null) camOpts.zoom = ch.zoom;
+        if (ch.pitch !== null) camOpts.pitch = ch.pitch;
+        if (ch.bearing !== null) {
+          camOpts.bearing = ch.bearing;
+          // Follow-camera smoothing continues from the chapter heading instead of snapping back
+          bearing = ch.bearing;
+          appliedBearing = ch.bearing;
+        }
+        cameraCenter = camOpts.center.slice(0, 2);
+        stopIdleSway();
+        // Hold follow-camera writes for roughly the ease duration (~60 fps) when playback continues
+        if (playing) suppressCameraUpdateFrames = Math.ceil(camOpts.duration / 16);
+        try { map.easeTo(camOpts); } catch (_) {}
+      }
+
+      function showChapterCard(index, fromPlayback) {
+        var ch = chapters[index];
+        if (!ch) return;
+        if (chapterHideTimer) { clearTimeout(chapterHideTimer); chapterHideTimer = null; }
+        chapterShown[index] = true;
+        chapterActiveIndex = index;
+        chapterTitle.textContent = ch.title || ((chapterI18n.chapterLabel || 'Chapter') + ' ' + (index + 1));
+        // Chapter text is authored rich text, filtered with wp_kses_post() on save
+        chapterBody.innerHTML = ch.text;
+        chapterImg.style.display = ch.imageUrl ? 'block' : 'none';
+        if (ch.imageUrl) chapterImg.src = ch.imageUrl; else chapterImg.removeAttribute('src');
+        chapterResumeOnClose = !!(fromPlayback && ch.pause && playing);
+        chapterCloseBtn.textContent = chapterResumeOnClose ? (chapterI18n.chapterContinue || 'Continue') : (chapterI18n.chapterClose || 'Close');
+        chapterCard.setAttribute('aria-label', chapterTitle.textContent);
+        chapterCard.setAttribute('aria-hidden', 'false');
+        chapterCard.style.display = 'block';
+        if (chapterResumeOnClose) {
+          setPlaying(false);
+        } else if (fromPlayback) {
+          chapterHideTimer = setTimeout(function() { hideChapterCard(); }, 8000);
+        }
+        applyChapterCamera(ch);
+        emitPlayerEvent('chapter', { index: index, chapter: Object.assign({}, ch), distance: ch.distance });
+      }
+
+      function hideChapterCard() {
+        if (chapterHideTimer) { clearTimeout(chapterHideTimer); chapterHideTimer = null; }
+        chapterCard.style.display = 'none';
+        chapterCard.setAttribute('aria-hidden', 'true');
+        chapterActiveIndex = -1;
+        if (chapterResumeOnClose) {
+          chapterResumeOnClose = false;
+          setPlaying(true);
+          scheduleRaf();
+        }
+      }
+
+      // Called from updateVisuals: fire chapters crossed while playing, one per frame
+      function advanceChapters(d) {
+        if (chapters.length === 0) return;
+        var prev = chapterLastDistance;
+        chapterLastDistance = d;
+        if (!playing || prev === null || d < prev) return;
+        for (var ci = 0; ci < chapters.length; ci++) {
+          var chD = chapters[ci].distance;
+          if (chD > d) break;
+          if (!chapterShown[ci] && chD >= prev) {
+            // Resume the scan from this chapter next frame so close neighbours are not skipped
+            chapterLastDistance = chD;
+            showChapterCard(ci, true);
+            return;
+          }
+        }
+      }
+
+      function resetChapters() {
+        chapterShown = {};
+        chapterLastDistance = null;
+        if (chapterActiveIndex >= 0) {
+          chapterResumeOnClose = false;
+          hideChapterCard();
+        }
+      }
+
+      if (chapters.length > 0) {
+        try {
+          var chapterBarWrap = ui.controls.progressBar.parentElement;
+          chapters.forEach(function(ch, index) {
+            var tick = document.createElement('button');
+            tick.type = 'button';
+            tick.className = 'fgpx-chapter-tick';
+            tick.style.left = (chapterFraction(ch) * 100) + '%';
+            tick.title = ch.title || ((chapterI18n.chapterLabel || 'Chapter') + ' ' + (index + 1));
+            tick.setAttribute('aria-label', tick.title);
+            tick.addEventListener('click', function(ev) {
+              ev.stopPropagation();
+              seekToFraction(chapterFraction(ch), true);
+              showChapterCard(index, false);
+            });
+            chapterBarWrap.appendChild(tick);
+          });
+        } catch (_) {}
+      }
+      registerTeardown(function() { if (chapterHideTimer) clearTimeout(chapterHideTimer); });
+
+      // Trip days: a tick per day start on the progress bar and a HUD line with the progress
+      // through the current day next to the running total
+      var tripDayBox = null;
+
+      function tripDayIndexAt(d) {
+        var index = 0;
+        for (var di = 1; di < tripDays.length; di++) {
+          if (d >= cumDist[tripDays[di].startIndex]) index = di;
+        }
+        return index;
+      }
+
+      function updateTripDayBox(d) {
+        if (!tripDayBox) return;
+        var index = tripDayIndexAt(d);
+        var day = tripDays[index];
+        var dayStartD = cumDist[day.startIndex];
+        var text = formatI18n(chapterI18n.tripDay || 'Day %1$s of %2$s', [index + 1, tripDays.length]) +
+          ' \u00b7 ' + formatNumber(Math.max(0, d - dayStartD) / 1000, 2) + ' / ' + formatNumber((Number(day.distance) || 0) / 1000, 2) + ' km';
+        if (hasTimestamps) text += ' \u00b7 ' + formatTime(Math.max(0, timeOffsetAtDistance(d) - timeOffsets[day.startIndex]));
+        setTextIfChanged(tripDayBox, text);
+      }
+
+      if (tripDays.length > 1) {
+        try {
+          var dayBarWrap = ui.controls.progressBar.parentElement;
+          tripDays.forEach(function(day, index) {
+            if (index === 0) return;
+            var dayTick = document.createElement('button');
+            dayTick.type = 'button';
+            dayTick.className = 'fgpx-day-tick';
+            dayTick.style.left = (chapterFraction({ distance: cumDist[day.startIndex] }) * 100) + '%';
+            dayTick.title = formatI18n(chapterI18n.tripDayShort || 'Day %s', [index + 1]) + (day.name ? ': ' + day.name : '');
+            dayTick.setAttribute('aria-label', dayTick.title);
+            dayTick.addEventListener('click', function(ev) {
+              ev.stopPropagation();
+              seekToFraction(chapterFraction({ distance: cumDist[day.startIndex] }), true);
+            });
+            dayBarWrap.appendChild(dayTick);
+          });
+        } catch (_) {}
+        if (hudEnabled) {
+          tripDayBox = document.createElement('div');
+          tripDayBox.className = 'fgpx-metrics-trip-day';
+          tripDayBox.style.cssText = 'position:absolute;top:34px;left:12%;background:rgba(0,0,0,0.50);color:#fff;border-radius:6px;padding:4px 8px;font:600 12px system-ui,Segoe UI,Roboto,Arial,sans-serif;pointer-events:none;z-index:1;white-space:nowrap;';
+          ui.mapEl.appendChild(tripDayBox);
+          updateTripDayBox(0);
+          registerTeardown(function() {
+            if (tripDayBox && tripDayBox.parentNode) tripDayBox.parentNode.removeChild(tripDayBox);
+            tripDayBox = null;
+          });
+        }
+      }
+
       // Initial splash play overlay (shown only at initial state)
       var splashDismissed = false;
       var splash = document.createElement('div');
@@ -7811,12 +11000,25 @@
       var fullBoundsRef = fullBounds;
       var innerBoundsRef = innerBounds;
 
-      // Stats panel
-      try {
+      // Totals shared by the stats panel and the route summary
+      function trackTotals() {
         var km = totalDistance / 1000;
         var moveS = stats.moving_time_s != null ? stats.moving_time_s : (totalDuration != null ? totalDuration : 0);
-        var avgKmh = stats.average_speed_m_s != null ? (stats.average_speed_m_s * 3.6) : (moveS > 0 ? (km / (moveS / 3600)) : 0);
-        var gain = stats.elevation_gain_m != null ? stats.elevation_gain_m : 0;
+        return {
+          km: km,
+          moveS: moveS,
+          avgKmh: stats.average_speed_m_s != null ? (stats.average_speed_m_s * 3.6) : (moveS > 0 ? (km / (moveS / 3600)) : 0),
+          gain: stats.elevation_gain_m != null ? stats.elevation_gain_m : 0
+        };
+      }
+
+      // Stats panel
+      try {
+        var totals = trackTotals();
+        var km = totals.km;
+        var moveS = totals.moveS;
+        var avgKmh = totals.avgKmh;
+        var gain = totals.gain;
         var usesEstimatedPower = !!(payload && payload.estimatedPower);
         ui.stats.dist.innerHTML = '<strong>' + formatNumber(km, 2) + '</strong> km';
         ui.stats.time.innerHTML = '<strong>' + formatTime(moveS) + '</strong> time';
@@ -7863,7 +11065,57 @@
           var ctx = chart.ctx;
           var xScale = chart.scales.x;
           if (!xScale) return;
-          
+
+          // Trip day boundaries (time axis: the compressed time offsets, see tripBreaks)
+          if (tripDays.length > 1) {
+            ctx.save();
+            ctx.strokeStyle = 'rgba(29,78,216,0.7)';
+            ctx.fillStyle = 'rgba(29,78,216,0.9)';
+            ctx.font = '600 10px system-ui,Segoe UI,Roboto,Arial,sans-serif';
+            ctx.textAlign = 'left';
+            ctx.setLineDash([2, 3]);
+            for (var tdi = 1; tdi < tripDays.length; tdi++) {
+              var dayX = useTime ? xVals[tripDays[tdi].startIndex] : cumDist[tripDays[tdi].startIndex] / 1000;
+              if (!(dayX >= xScale.min && dayX <= xScale.max)) continue;
+              var dayPx = xScale.getPixelForValue(dayX);
+              ctx.beginPath(); ctx.moveTo(dayPx, chart.chartArea.top); ctx.lineTo(dayPx, chart.chartArea.bottom); ctx.stroke();
+              ctx.fillText(formatI18n((FGPX.i18n && FGPX.i18n.tripDayShort) || 'Day %s', [tdi + 1]), dayPx + 3, chart.chartArea.bottom - 4);
+            }
+            ctx.restore();
+          }
+
+          // Route POIs: dotted line with the type icon; names only while few are in view
+          if (routePois.length && cumDist) {
+            var poiMarks = [];
+            for (var pi = 0; pi < routePois.length; pi++) {
+              var poiX = useTime ? interpolateSeries(cumDist, xVals, routePois[pi].distanceMeters) : routePois[pi].distanceMeters / 1000;
+              if (poiX >= xScale.min && poiX <= xScale.max) poiMarks.push({ poi: routePois[pi], px: xScale.getPixelForValue(poiX) });
+            }
+            if (poiMarks.length) {
+              ctx.save();
+              ctx.strokeStyle = 'rgba(100,116,139,0.6)';
+              ctx.fillStyle = isDarkMode(ctx.canvas && ctx.canvas.closest ? ctx.canvas.closest('.fgpx') : null) ? '#e5e7eb' : '#334155';
+              ctx.font = '600 10px system-ui,Segoe UI,Roboto,Arial,sans-serif';
+              ctx.textAlign = 'center';
+              ctx.setLineDash([1, 3]);
+              var showPoiNames = poiMarks.length <= 12;
+              for (var pm = 0; pm < poiMarks.length; pm++) {
+                var poiPx = poiMarks[pm].px;
+                ctx.beginPath(); ctx.moveTo(poiPx, chart.chartArea.top + 12); ctx.lineTo(poiPx, chart.chartArea.bottom); ctx.stroke();
+                ctx.fillText(poiIcon(poiMarks[pm].poi.type), poiPx, chart.chartArea.top + 10);
+                if (showPoiNames && poiMarks[pm].poi.name) {
+                  ctx.save();
+                  ctx.translate(poiPx + 3, chart.chartArea.top + 16);
+                  ctx.rotate(Math.PI / 2);
+                  ctx.textAlign = 'left';
+                  ctx.fillText(poiMarks[pm].poi.name, 0, 0);
+                  ctx.restore();
+                }
+              }
+              ctx.restore();
+            }
+          }
+
           // Check if cursor should be visible based on zoom state
           var cursorVisible = true;
           if (chart.chartZoomState && chart.chartZoomState.zoomedRange) {
@@ -7880,6 +11132,20 @@
           ctx.strokeStyle = isDarkMode(_chartContainer) ? 'rgba(255,255,255,0.5)' : 'rgba(0,0,0,0.5)';
           ctx.lineWidth = 1;
           ctx.beginPath(); ctx.moveTo(x, chart.chartArea.top); ctx.lineTo(x, chart.chartArea.bottom); ctx.stroke();
+          // Ghost rider cursors: dashed line in the ghost color, labelled with the gap
+          for (var gi = 0; gi < ghostTracks.length; gi++) {
+            var gx = ghostChartX(ghostTracks[gi]);
+            if (gx === null || gx < xScale.min || gx > xScale.max) continue;
+            var gpx = xScale.getPixelForValue(gx);
+            ctx.strokeStyle = ghostTracks[gi].color;
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath(); ctx.moveTo(gpx, chart.chartArea.top); ctx.lineTo(gpx, chart.chartArea.bottom); ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillStyle = ghostTracks[gi].color;
+            ctx.font = '600 10px system-ui,Segoe UI,Roboto,Arial,sans-serif';
+            ctx.textAlign = gpx > (chart.chartArea.left + chart.chartArea.right) / 2 ? 'right' : 'left';
+            ctx.fillText(formatGhostGap(ghostTracks[gi].sample, FGPX.i18n), gpx + (ctx.textAlign === 'right' ? -4 : 4), chart.chartArea.top + 10 + gi * 12);
+          }
           ctx.restore();
         },
         // overlay draw for the position dot to guarantee it is above all datasets
@@ -8011,6 +11277,11 @@
               power: powerPoints || getChartData('power'),
               powerZones: getChartData('powerZones')
             };
+          case 'hrzones':
+            return {
+              heartRate: heartRatePoints || getChartData('heartRate'),
+              heartRateZones: getChartData('heartRateZones')
+            };
           case 'windimpact':
             return {
               windSpeed: windSpeedPoints || getChartData('windSpeed'),
@@ -8061,8 +11332,8 @@
         currentChartTab = tabType;
         try { applyWeatherOverlayProfile(true); } catch (_) {}
         
-        var tabElements = [ui.tabs.tabElevation, ui.tabs.tabBiometrics, ui.tabs.tabTemperature, ui.tabs.tabPower, ui.tabs.tabPowerZones, ui.tabs.tabWindImpact, ui.tabs.tabWindRose, ui.tabs.tabAll, ui.tabs.tabWeatherGrade, ui.tabs.tabMedia, ui.tabs.tabWeatherOverview];
-        var tabTypes = ['elevation', 'biometrics', 'temperature', 'power', 'powerzones', 'windimpact', 'windrose', 'all', 'weathergrade', 'media', 'weatheroverview'];
+        var tabElements = [ui.tabs.tabElevation, ui.tabs.tabBiometrics, ui.tabs.tabTemperature, ui.tabs.tabPower, ui.tabs.tabPowerZones, ui.tabs.tabWindImpact, ui.tabs.tabWindRose, ui.tabs.tabAll, ui.tabs.tabWeatherGrade, ui.tabs.tabMedia, ui.tabs.tabWeatherOverview, ui.tabs.tabSegments, ui.tabs.tabHrZones, ui.tabs.tabDataTable];
+        var tabTypes = ['elevation', 'biometrics', 'temperature', 'power', 'powerzones', 'windimpact', 'windrose', 'all', 'weathergrade', 'media', 'weatheroverview', 'segments', 'hrzones', 'datatable'];
         
         tabElements.forEach(function(tab, index) {
           if (!tab) return; // Skip if tab doesn't exist (e.g., media tab when disabled)
@@ -8071,6 +11342,7 @@
           } else {
             tab.className = 'fgpx-chart-tab';
           }
+          tab.setAttribute('aria-selected', tabTypes[index] === tabType ? 'true' : 'false');
         });
         
         // Show/hide chart legend controls based on tab type
@@ -8085,12 +11357,30 @@
           ui.chartLegend.style.display = 'none';
         }
 
+        if (tabType !== 'segments') {
+          if (ui.segmentsPanel) ui.segmentsPanel.style.display = 'none';
+          clearSegmentHighlight();
+        }
+
         // Show weather cinema or chart canvas based on tab
         var weather = tabType === 'weathergrade';
         var media = tabType === 'media';
         var weatherOverview = tabType === 'weatheroverview';
         var cinemaRoot = container || root;
         var cinemaEl = cinemaRoot.querySelector('.fgpx-weather-cinema');
+        if (tabType === 'datatable') {
+          ui.chartLegend.style.display = 'none';
+          if (ui.canvas.parentElement) ui.canvas.parentElement.style.display = 'none';
+          if (cinemaEl) cinemaEl.style.display = 'none';
+          if (ui.mediaPanel) ui.mediaPanel.style.display = 'none';
+          if (ui.weatherOverviewPanel) ui.weatherOverviewPanel.style.display = 'none';
+          if (ui.weatherOverviewLegend) ui.weatherOverviewLegend.style.display = 'none';
+          renderDataTablePanel();
+          try { applyWeatherOverlayProfile(true); } catch (_) {}
+          return;
+        } else if (ui.dataTablePanel) {
+          ui.dataTablePanel.style.display = 'none';
+        }
         if (media) {
           ui.chartLegend.style.display = 'none';
           if (ui.canvas.parentElement) ui.canvas.parentElement.style.display = 'none';
@@ -8138,55 +11428,573 @@
                 DBG.warn('Weather overview render failed', weatherOverviewErr);
               }
             }
-            ui.weatherOverviewPanel.style.display = 'flex';
-            if (ui.weatherOverviewLegend) ui.weatherOverviewLegend.style.display = 'flex';
-          }
-          try { applyWeatherOverlayProfile(true); } catch (_) {}
-          return;
+            ui.weatherOverviewPanel.style.display = 'flex';
+            if (ui.weatherOverviewLegend) ui.weatherOverviewLegend.style.display = 'flex';
+          }
+          try { applyWeatherOverlayProfile(true); } catch (_) {}
+          return;
+        } else {
+          if (ui.weatherOverviewPanel) ui.weatherOverviewPanel.style.display = 'none';
+          if (ui.weatherOverviewLegend) ui.weatherOverviewLegend.style.display = 'none';
+        }
+        if (weather) {
+          // Hide chart canvas
+          ui.canvas.parentElement.style.display = 'none';
+          // Show or create cinema element
+          if (!cinemaEl) {
+            cinemaEl = createWeatherCinema(cinemaRoot, payload, lastPlaybackSec || 0, playing || false);
+          } else {
+            cinemaEl.style.display = 'flex';
+          }
+          // If cities haven't been precomputed yet (e.g. map idle hasn't fired for route tiles),
+          // trigger a fresh precompute now that the user is looking at the tab.
+          if (simulationCitiesEnabled && Array.isArray(mapCities) && mapCities.length === 0) {
+            try { precomputeMapCities(); } catch (_) {}
+          }
+          // Trigger immediate update for current playback position
+          updateWeatherCinema(cinemaEl, payload, lastPlaybackSec || 0, playing || false, true);
+          try { applyWeatherOverlayProfile(true); } catch (_) {}
+          return;
+        } else {
+          if (ui.canvas.parentElement) ui.canvas.parentElement.style.display = '';
+          if (cinemaEl) cinemaEl.style.display = 'none';
+          try { applyWeatherOverlayProfile(true); } catch (_) {}
+        }
+
+        if (chart && chart.chartZoomState && chart.chartZoomState.originalScales) {
+          resetChartZoom(chart);
+          DBG.log('Chart zoom reset on tab switch');
+        }
+
+        // Recreate chart with new configuration if chart creation function exists
+        // (the Segments tab lists its rows under the elevation profile)
+        if (typeof createChart === 'function') {
+          createChart(tabType === 'segments' ? 'elevation' : tabType);
+        }
+        if (tabType === 'segments') {
+          renderSegmentsPanel();
+        }
+      };
+      ui.switchChartTab = switchChartTab;
+      root.__fgpxSwitchChartTab = switchChartTab;
+      if (container) {
+        container.__fgpxSwitchChartTab = switchChartTab;
+      }
+
+      // Segments tab: detected climbs/descents and lap splits under the elevation chart
+      var lapMarkers = Array.isArray(props.lapDistances) ? props.lapDistances.filter(function(d) { return isFinite(Number(d)); }) : [];
+      var segmentsLapMode = lapMarkers.length ? 'markers' : 'auto';
+      var segmentsCache = null;
+
+      function getSegmentAnalysis() {
+        if (segmentsCache && segmentsCache.lapMode === segmentsLapMode) return segmentsCache;
+        var elevations = coords.map(function(c) { return typeof c[2] === 'number' ? c[2] : null; });
+        var range = { startDistance: privacyEnabled ? privacyStartD : 0, endDistance: privacyEnabled ? privacyEndD : totalDistance, timeOffsets: hasTimestamps ? timeOffsets : null };
+        var climbs = (segmentsCache && segmentsCache.climbs) || detectClimbSegments(cumDist, elevations, range);
+        var lapOptions = Object.assign({}, range);
+        if (segmentsLapMode === 'markers') {
+          lapOptions.markers = lapMarkers;
+        } else {
+          lapOptions.lapMeters = segmentsLapMode === 'auto' ? autoLapMeters(range.endDistance - range.startDistance) : Number(segmentsLapMode);
+        }
+        segmentsCache = { lapMode: segmentsLapMode, climbs: climbs, laps: computeLaps(cumDist, elevations, lapOptions) };
+        return segmentsCache;
+      }
+
+      function segmentChartX(d) {
+        return interpolateSeries(cumDist, xVals, d);
+      }
+
+      function clearSegmentHighlight() {
+        try {
+          if (map && map.getLayer('fgpx-segment-highlight-line')) map.removeLayer('fgpx-segment-highlight-line');
+          if (map && map.getSource('fgpx-segment-highlight')) map.removeSource('fgpx-segment-highlight');
+        } catch (_) {}
+        if (ui.segmentsPanel) {
+          var active = ui.segmentsPanel.querySelectorAll('.fgpx-segment-row-active');
+          for (var i = 0; i < active.length; i++) active[i].classList.remove('fgpx-segment-row-active');
+        }
+      }
+
+      function highlightSegmentOnMap(seg) {
+        var line = [positionAtDistance(seg.startDistance).slice(0, 2)];
+        for (var i = seg.startIndex + 1; i < seg.endIndex; i++) line.push(coords[i].slice(0, 2));
+        line.push(positionAtDistance(seg.endDistance).slice(0, 2));
+        var color = seg.type === 'climb' ? '#e11d48' : (seg.type === 'descent' ? '#2563eb' : ((window.FGPX && FGPX.chartColor) || '#ff5500'));
+        var data = { type: 'Feature', properties: { color: color }, geometry: { type: 'LineString', coordinates: line } };
+        var src = map.getSource('fgpx-segment-highlight');
+        if (src) {
+          src.setData(data);
+          return;
+        }
+        var beforeId = map.getLayer('fgpx-point-circle') ? 'fgpx-point-circle' : undefined;
+        map.addSource('fgpx-segment-highlight', { type: 'geojson', data: data });
+        map.addLayer({ id: 'fgpx-segment-highlight-line', type: 'line', source: 'fgpx-segment-highlight', layout: { 'line-cap': 'round', 'line-join': 'round' }, paint: { 'line-color': ['get', 'color'], 'line-width': 6, 'line-opacity': 0.85 } }, beforeId);
+      }
+
+      function selectSegment(seg, row) {
+        clearSegmentHighlight();
+        if (row) row.classList.add('fgpx-segment-row-active');
+        try {
+          if (chart && chart.chartZoomState && typeof chart.chartZoomState.zoomToRange === 'function') {
+            chart.chartZoomState.zoomToRange(segmentChartX(seg.startDistance), segmentChartX(seg.endDistance));
+          }
+        } catch (e) { DBG.warn('Segment chart zoom failed', e); }
+        try { highlightSegmentOnMap(seg); } catch (e) { DBG.warn('Segment highlight failed', e); }
+        var span = privacyEnabled ? Math.max(1e-6, privacyEndD - privacyStartD) : totalDistance;
+        seekToFraction((seg.startDistance - (privacyEnabled ? privacyStartD : 0)) / span);
+      }
+
+      function formatSegmentKm(meters) {
+        return formatNumber(meters / 1000, 2) + ' km';
+      }
+
+      function poiLabel(poi) {
+        if (poi.name) return poi.name;
+        var t = (window.FGPX && FGPX.i18n) ? FGPX.i18n : {};
+        var labels = { peak: t.poiPeak || 'Peak', pass: t.poiPass || 'Pass', hut: t.poiHut || 'Hut', water: t.poiWater || 'Water', cafe: t.poiCafe || 'Café' };
+        return labels[poi.type] || t.poiOther || 'Point of interest';
+      }
+
+      // POIs inside the played range (privacy mode hides the track ends)
+      function visibleRoutePois() {
+        return routePois.filter(function(poi) {
+          return !privacyEnabled || (poi.distanceMeters >= privacyStartD && poi.distanceMeters <= privacyEndD);
+        });
+      }
+
+      function selectPoi(poi, row) {
+        clearSegmentHighlight();
+        if (row) row.classList.add('fgpx-segment-row-active');
+        var span = privacyEnabled ? Math.max(1e-6, privacyEndD - privacyStartD) : totalDistance;
+        seekToFraction((poi.distanceMeters - (privacyEnabled ? privacyStartD : 0)) / span);
+      }
+
+      function buildSegmentsTable(headers, segments, cellsFor, onSelect) {
+        var select = onSelect || selectSegment;
+        var table = document.createElement('table');
+        table.className = 'fgpx-segments-table';
+        var head = document.createElement('tr');
+        headers.forEach(function(h) {
+          var th = document.createElement('th');
+          th.textContent = h;
+          head.appendChild(th);
+        });
+        var thead = document.createElement('thead');
+        thead.appendChild(head);
+        table.appendChild(thead);
+        var tbody = document.createElement('tbody');
+        segments.forEach(function(seg, idx) {
+          var tr = document.createElement('tr');
+          tr.className = 'fgpx-segment-row fgpx-segment-row-' + seg.type;
+          tr.tabIndex = 0;
+          cellsFor(seg, idx).forEach(function(text) {
+            var td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+          });
+          tr.addEventListener('click', function() { select(seg, tr); });
+          tr.addEventListener('keydown', function(e) {
+            if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); select(seg, tr); }
+          });
+          tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+        return table;
+      }
+
+      function renderSegmentsPanel() {
+        var panel = ui.segmentsPanel;
+        if (!panel) return;
+        var t = (window.FGPX && FGPX.i18n) ? FGPX.i18n : {};
+        var analysis;
+        try { analysis = getSegmentAnalysis(); } catch (e) {
+          DBG.warn('Segment analysis failed', e);
+          analysis = { climbs: [], laps: [] };
+        }
+        panel.innerHTML = '';
+
+        var climbsTitle = document.createElement('div');
+        climbsTitle.className = 'fgpx-segments-title';
+        climbsTitle.textContent = t.segmentsClimbs || 'Climbs and descents';
+        panel.appendChild(climbsTitle);
+        if (analysis.climbs.length) {
+          panel.appendChild(buildSegmentsTable(
+            ['', t.segmentsStart || 'Start', t.segmentsLength || 'Length', t.segmentsGain || 'Gain', t.segmentsAvgGrade || 'Avg', t.segmentsMaxGrade || 'Max', t.segmentsCategory || 'Cat.'],
+            analysis.climbs,
+            function(seg) {
+              return [
+                seg.type === 'climb' ? '▲' : '▼',
+                formatSegmentKm(seg.startDistance),
+                formatSegmentKm(seg.length),
+                (seg.gain >= 0 ? '+' : '') + Math.round(seg.gain) + ' m',
+                formatNumber(seg.avgGrade, 1) + '%',
+                formatNumber(seg.maxGrade, 1) + '%',
+                seg.category ? (seg.category === 'HC' ? 'HC' : (t.segmentsCat || 'Cat') + ' ' + seg.category) : '—'
+              ];
+            }
+          ));
         } else {
-          if (ui.weatherOverviewPanel) ui.weatherOverviewPanel.style.display = 'none';
-          if (ui.weatherOverviewLegend) ui.weatherOverviewLegend.style.display = 'none';
-        }
-        if (weather) {
-          // Hide chart canvas
-          ui.canvas.parentElement.style.display = 'none';
-          // Show or create cinema element
-          if (!cinemaEl) {
-            cinemaEl = createWeatherCinema(cinemaRoot, payload, lastPlaybackSec || 0, playing || false);
-          } else {
-            cinemaEl.style.display = 'flex';
+          var none = document.createElement('div');
+          none.className = 'fgpx-segments-empty';
+          none.textContent = t.segmentsNoClimbs || 'No significant climbs or descents detected.';
+          panel.appendChild(none);
+        }
+
+        var lapsHeader = document.createElement('div');
+        lapsHeader.className = 'fgpx-segments-title';
+        var lapsLabel = document.createElement('span');
+        lapsLabel.textContent = t.segmentsLaps || 'Laps';
+        lapsHeader.appendChild(lapsLabel);
+        var lapSelect = document.createElement('select');
+        lapSelect.className = 'fgpx-segments-lap-mode';
+        lapSelect.setAttribute('aria-label', t.segmentsLapMode || 'Lap length');
+        var lapModes = [['auto', t.segmentsLapAuto || 'Auto'], ['1000', '1 km'], ['5000', '5 km'], ['10000', '10 km']];
+        if (lapMarkers.length) lapModes.push(['markers', t.segmentsLapMarkers || 'GPX laps']);
+        lapModes.forEach(function(m) {
+          var opt = document.createElement('option');
+          opt.value = m[0];
+          opt.textContent = m[1];
+          lapSelect.appendChild(opt);
+        });
+        lapSelect.value = segmentsLapMode;
+        lapSelect.addEventListener('change', function() {
+          segmentsLapMode = lapSelect.value;
+          clearSegmentHighlight();
+          renderSegmentsPanel();
+        });
+        lapsHeader.appendChild(lapSelect);
+        panel.appendChild(lapsHeader);
+        panel.appendChild(buildSegmentsTable(
+          ['#', t.segmentsStart || 'Start', t.segmentsLength || 'Length', t.segmentsTime || 'Time', t.segmentsSpeed || 'Speed', t.segmentsGain || 'Gain'],
+          analysis.laps,
+          function(lap) {
+            return [
+              String(lap.number),
+              formatSegmentKm(lap.startDistance),
+              formatSegmentKm(lap.length),
+              lap.duration != null ? formatTime(lap.duration) : '—',
+              lap.avgSpeed != null ? formatNumber(lap.avgSpeed, 1) + ' km/h' : '—',
+              '+' + Math.round(lap.gain) + ' m'
+            ];
           }
-          // If cities haven't been precomputed yet (e.g. map idle hasn't fired for route tiles),
-          // trigger a fresh precompute now that the user is looking at the tab.
-          if (simulationCitiesEnabled && Array.isArray(mapCities) && mapCities.length === 0) {
-            try { precomputeMapCities(); } catch (_) {}
+        ));
+
+        var pois = visibleRoutePois();
+        if (pois.length) {
+          var poisTitle = document.createElement('div');
+          poisTitle.className = 'fgpx-segments-title';
+          poisTitle.textContent = t.segmentsPois || 'Points of interest';
+          panel.appendChild(poisTitle);
+          panel.appendChild(buildSegmentsTable(
+            ['', t.segmentsPoiName || 'Name', t.segmentsPoiAt || 'At', t.segmentsPoiOffset || 'Off route', t.segmentsPoiElevation || 'Elevation'],
+            pois,
+            function(poi) {
+              return [
+                poiIcon(poi.type),
+                poiLabel(poi),
+                formatSegmentKm(poi.distanceMeters),
+                Math.round(poi.offsetMeters) + ' m',
+                poi.ele !== null ? Math.round(poi.ele) + ' m' : '—'
+              ];
+            },
+            selectPoi
+          ));
+        }
+        panel.style.display = 'block';
+      }
+
+      // Route summary: the totals, main climbs, photos and waypoints as text for screen readers
+      var SUMMARY_MAX_CLIMBS = 5;
+
+      function summarySection(body, title, items) {
+        var heading = createEl('h4', 'fgpx-route-summary-title', title);
+        var list = createEl(items.ordered ? 'ol' : 'ul', 'fgpx-route-summary-list');
+        items.lines.forEach(function(line) {
+          list.appendChild(createEl('li', null, line));
+        });
+        body.appendChild(heading);
+        body.appendChild(list);
+      }
+
+      // Waypoints with their distance along the route, in route order
+      function summaryWaypoints() {
+        var list = [];
+        (Array.isArray(waypoints) ? waypoints : []).forEach(function(wp) {
+          if (!wp || typeof wp !== 'object') return;
+          var d = Number(wp.distanceMeters);
+          if (!isFinite(d) && typeof wp.lat === 'number' && typeof wp.lon === 'number' && cumDist.length === coords.length) {
+            var idx = nearestCoordIndex([wp.lon, wp.lat], coords);
+            if (idx >= 0 && idx < cumDist.length) d = Number(cumDist[idx]);
+          }
+          if (!isFinite(d)) return;
+          if (privacyEnabled && (d < privacyStartD || d > privacyEndD)) return;
+          list.push({ name: nonEmptyText(wp.name), distance: d });
+        });
+        return list.sort(function(a, b) { return a.distance - b.distance; });
+      }
+
+      function renderRouteSummary() {
+        var body = ui.routeSummaryBody;
+        if (!body) return;
+        var t = (window.FGPX && FGPX.i18n) ? FGPX.i18n : {};
+        var at = function(meters) { return formatI18n(t.summaryAt || 'at %s', [formatSegmentKm(meters)]); };
+        body.innerHTML = '';
+
+        var totals = trackTotals();
+        var lines = [(t.summaryDistance || 'Distance') + ': ' + formatNumber(totals.km, 2) + ' km'];
+        if (totals.moveS > 0) {
+          lines.push((t.summaryMovingTime || 'Moving time') + ': ' + formatTime(totals.moveS));
+          lines.push((t.summaryAvgSpeed || 'Average speed') + ': ' + formatNumber(totals.avgKmh, 1) + ' km/h');
+        }
+        if (stats.max_speed_m_s > 0) lines.push((t.summaryMaxSpeed || 'Maximum speed') + ': ' + formatNumber(stats.max_speed_m_s * 3.6, 1) + ' km/h');
+        lines.push((t.summaryGain || 'Elevation gain') + ': ' + Math.round(totals.gain) + ' m');
+        var lowest = null, highest = null;
+        for (var ei = 0; ei < coords.length; ei++) {
+          if (typeof coords[ei][2] !== 'number') continue;
+          if (privacyEnabled && (cumDist[ei] < privacyStartD || cumDist[ei] > privacyEndD)) continue;
+          if (lowest === null || coords[ei][2] < coords[lowest][2]) lowest = ei;
+          if (highest === null || coords[ei][2] > coords[highest][2]) highest = ei;
+        }
+        if (lowest !== null) {
+          lines.push((t.summaryLowest || 'Lowest point') + ': ' + Math.round(coords[lowest][2]) + ' m, ' + at(cumDist[lowest]));
+          lines.push((t.summaryHighest || 'Highest point') + ': ' + Math.round(coords[highest][2]) + ' m, ' + at(cumDist[highest]));
+        }
+        summarySection(body, t.summaryTotals || 'Totals', { lines: lines });
+
+        // The biggest climbs and descents, listed in route order
+        var climbs = [];
+        try { climbs = getSegmentAnalysis().climbs.slice(); } catch (e) { DBG.warn('Segment analysis failed', e); }
+        climbs = climbs.sort(function(a, b) { return Math.abs(b.gain) - Math.abs(a.gain); })
+          .slice(0, SUMMARY_MAX_CLIMBS)
+          .sort(function(a, b) { return a.startDistance - b.startDistance; });
+        summarySection(body, t.segmentsClimbs || 'Climbs and descents', {
+          ordered: climbs.length > 0,
+          lines: climbs.length ? climbs.map(function(seg) {
+            var parts = [
+              (seg.gain >= 0 ? '+' : '') + Math.round(seg.gain) + ' m',
+              formatSegmentKm(seg.length),
+              formatI18n(t.summaryAverage || '%s average', [formatNumber(seg.avgGrade, 1) + '%']),
+              formatI18n(t.summaryMax || '%s max', [formatNumber(seg.maxGrade, 1) + '%'])
+            ];
+            if (seg.category) parts.push(seg.category === 'HC' ? 'HC' : (t.segmentsCat || 'Cat') + ' ' + seg.category);
+            return (seg.type === 'climb' ? (t.summaryClimb || 'Climb') : (t.summaryDescent || 'Descent')) + ' ' +
+              formatI18n(t.summaryFromTo || 'from %1$s to %2$s', [formatSegmentKm(seg.startDistance), formatSegmentKm(seg.endDistance)]) + ': ' + parts.join(', ');
+          }) : [t.segmentsNoClimbs || 'No significant climbs or descents detected.']
+        });
+
+        if (FGPX.photosEnabled && Array.isArray(photos) && photos.length > 0) {
+          if (!Array.isArray(mediaItems) || mediaItems.length === 0) buildMediaItems();
+          var photoItems = mediaItems.slice().sort(function(a, b) {
+            var da = a.routeDistMeters, db = b.routeDistMeters;
+            if (da == null || db == null) return (da == null ? 1 : 0) - (db == null ? 1 : 0);
+            return da - db;
+          });
+          if (photoItems.length) {
+            summarySection(body, t.summaryPhotos || 'Photos', {
+              ordered: true,
+              lines: photoItems.map(function(item) {
+                var label = item.caption || item.title || (t.summaryPhoto || 'Photo');
+                return item.routeDistMeters != null && isFinite(item.routeDistMeters) ? label + ', ' + at(item.routeDistMeters) : label;
+              })
+            });
           }
-          // Trigger immediate update for current playback position
-          updateWeatherCinema(cinemaEl, payload, lastPlaybackSec || 0, playing || false, true);
-          try { applyWeatherOverlayProfile(true); } catch (_) {}
+        }
+
+        var wps = summaryWaypoints();
+        if (wps.length) {
+          summarySection(body, t.summaryWaypoints || 'Waypoints', {
+            ordered: true,
+            lines: wps.map(function(wp) { return (wp.name || t.summaryWaypoint || 'Waypoint') + ', ' + at(wp.distance); })
+          });
+        }
+      }
+
+      if (ui.routeSummary) {
+        ui.routeSummary.addEventListener('toggle', function() {
+          if (ui.routeSummary.open) renderRouteSummary();
+        });
+      }
+
+      // Data table tab: the sampled track as a sortable, paginated table with a CSV download
+      var DATA_TABLE_PAGE_SIZE = 50;
+      var dataTableSort = { key: 'distance', dir: 1 };
+      var dataTablePage = 0;
+      var dataTableCache = null;
+
+      function dataTableColumns() {
+        var t = (window.FGPX && FGPX.i18n) ? FGPX.i18n : {};
+        var hasSeries = function(arr) { return Array.isArray(arr) && arr.some(function(v) { return typeof v === 'number' && v > 0; }); };
+        var columns = [{ key: 'distance', label: t.dataTableDistance || 'Distance (km)', format: function(v) { return formatNumber(v / 1000, 2); } }];
+        if (hasTimestamps) columns.push({ key: 'time', label: t.dataTableTime || 'Time', format: formatTime });
+        if (coords.some(function(c) { return typeof c[2] === 'number'; })) {
+          columns.push({ key: 'elevation', label: t.dataTableElevation || 'Elevation (m)', format: function(v) { return String(Math.round(v)); } });
+        }
+        if (Array.isArray(speedSeries)) columns.push({ key: 'speed', label: t.dataTableSpeed || 'Speed (km/h)', format: function(v) { return formatNumber(v, 1); } });
+        if (hasSeries(heartRates)) columns.push({ key: 'heartRate', label: t.dataTableHeartRate || 'Heart rate (bpm)', format: function(v) { return String(Math.round(v)); } });
+        if (hasSeries(powers)) columns.push({ key: 'power', label: t.dataTablePower || 'Power (W)', format: function(v) { return String(Math.round(v)); } });
+        return columns;
+      }
+
+      // One row per sample of the chart stream, limited to the privacy window
+      function dataTableRows() {
+        if (dataTableCache) return dataTableCache;
+        var elevationPoints = getChartData('elevation');
+        var startD = privacyEnabled ? privacyStartD : 0;
+        var endD = privacyEnabled ? privacyEndD : totalDistance;
+        var positive = function(arr, i) { return Array.isArray(arr) && typeof arr[i] === 'number' && arr[i] > 0 ? arr[i] : null; };
+        var rows = [];
+        for (var i = 0; i < elevationPoints.length; i++) {
+          var d = cumDist[i];
+          if (d < startD || d > endD) continue;
+          rows.push({
+            distance: d,
+            time: hasTimestamps && isFinite(timeOffsets[i]) ? timeOffsets[i] : null,
+            elevation: typeof coords[i][2] === 'number' ? elevationPoints[i].y : null,
+            speed: Array.isArray(speedSeries) && isFinite(speedSeries[i]) ? speedSeries[i] : null,
+            heartRate: positive(heartRates, i),
+            power: positive(powers, i)
+          });
+        }
+        dataTableCache = rows;
+        return rows;
+      }
+
+      function renderDataTablePanel(focusSortKey) {
+        var panel = ui.dataTablePanel;
+        if (!panel) return;
+        var t = (window.FGPX && FGPX.i18n) ? FGPX.i18n : {};
+        var columns = dataTableColumns();
+        var rows = sortDataRows(dataTableRows(), dataTableSort.key, dataTableSort.dir);
+        var totalPages = Math.max(1, Math.ceil(rows.length / DATA_TABLE_PAGE_SIZE));
+        dataTablePage = Math.max(0, Math.min(totalPages - 1, dataTablePage));
+        panel.innerHTML = '';
+
+        var header = document.createElement('div');
+        header.className = 'fgpx-segments-title';
+        var title = document.createElement('span');
+        title.textContent = t.dataTableTab || 'Data table';
+        header.appendChild(title);
+        var csvBtn = document.createElement('button');
+        csvBtn.type = 'button';
+        csvBtn.className = 'fgpx-btn fgpx-data-table-csv';
+        csvBtn.textContent = t.dataTableCsv || 'Download CSV';
+        csvBtn.disabled = rows.length === 0;
+        csvBtn.addEventListener('click', downloadDataTableCsv);
+        header.appendChild(csvBtn);
+        panel.appendChild(header);
+
+        if (!rows.length) {
+          var empty = document.createElement('div');
+          empty.className = 'fgpx-segments-empty';
+          empty.textContent = t.dataTableEmpty || 'No track data to show.';
+          panel.appendChild(empty);
+          panel.style.display = 'block';
           return;
-        } else {
-          if (ui.canvas.parentElement) ui.canvas.parentElement.style.display = '';
-          if (cinemaEl) cinemaEl.style.display = 'none';
-          try { applyWeatherOverlayProfile(true); } catch (_) {}
         }
 
-        if (chart && chart.chartZoomState && chart.chartZoomState.originalScales) {
-          resetChartZoom(chart);
-          DBG.log('Chart zoom reset on tab switch');
+        var table = document.createElement('table');
+        table.className = 'fgpx-segments-table fgpx-data-table';
+        var caption = document.createElement('caption');
+        caption.className = 'fgpx-sr-only';
+        caption.textContent = formatI18n(t.dataTableCaption || 'Track data, %1$s rows, page %2$s of %3$s', [rows.length, dataTablePage + 1, totalPages]);
+        table.appendChild(caption);
+        var headRow = document.createElement('tr');
+        columns.forEach(function(col) {
+          var th = document.createElement('th');
+          th.scope = 'col';
+          var sorted = dataTableSort.key === col.key;
+          th.setAttribute('aria-sort', sorted ? (dataTableSort.dir > 0 ? 'ascending' : 'descending') : 'none');
+          var sortBtn = document.createElement('button');
+          sortBtn.type = 'button';
+          sortBtn.className = 'fgpx-data-table-sort';
+          sortBtn.setAttribute('data-sort-key', col.key);
+          sortBtn.textContent = col.label + (sorted ? (dataTableSort.dir > 0 ? ' ▲' : ' ▼') : '');
+          sortBtn.addEventListener('click', function() {
+            if (dataTableSort.key === col.key) {
+              dataTableSort.dir = -dataTableSort.dir;
+            } else {
+              dataTableSort = { key: col.key, dir: 1 };
+            }
+            dataTablePage = 0;
+            renderDataTablePanel(col.key);
+          });
+          th.appendChild(sortBtn);
+          headRow.appendChild(th);
+        });
+        var thead = document.createElement('thead');
+        thead.appendChild(headRow);
+        table.appendChild(thead);
+        var tbody = document.createElement('tbody');
+        rows.slice(dataTablePage * DATA_TABLE_PAGE_SIZE, (dataTablePage + 1) * DATA_TABLE_PAGE_SIZE).forEach(function(row) {
+          var tr = document.createElement('tr');
+          columns.forEach(function(col) {
+            var td = document.createElement('td');
+            var v = row[col.key];
+            td.textContent = v === null || v === undefined ? '—' : col.format(v);
+            tr.appendChild(td);
+          });
+          tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+        panel.appendChild(table);
+
+        if (totalPages > 1) {
+          var pagination = document.createElement('div');
+          pagination.className = 'fgpx-data-table-pagination';
+          var prevBtn = document.createElement('button');
+          prevBtn.type = 'button';
+          prevBtn.className = 'fgpx-btn fgpx-data-table-prev';
+          prevBtn.textContent = '← ' + (t.dataTablePrev || 'Previous');
+          prevBtn.disabled = dataTablePage === 0;
+          prevBtn.addEventListener('click', function() {
+            dataTablePage -= 1;
+            renderDataTablePanel();
+          });
+          var pageInfo = document.createElement('span');
+          pageInfo.className = 'fgpx-data-table-page-info';
+          pageInfo.setAttribute('aria-live', 'polite');
+          pageInfo.textContent = formatI18n(t.dataTablePage || 'Page %1$s of %2$s', [dataTablePage + 1, totalPages]);
+          var nextBtn = document.createElement('button');
+          nextBtn.type = 'button';
+          nextBtn.className = 'fgpx-btn fgpx-data-table-next';
+          nextBtn.textContent = (t.dataTableNext || 'Next') + ' →';
+          nextBtn.disabled = dataTablePage >= totalPages - 1;
+          nextBtn.addEventListener('click', function() {
+            dataTablePage += 1;
+            renderDataTablePanel();
+          });
+          pagination.appendChild(prevBtn);
+          pagination.appendChild(pageInfo);
+          pagination.appendChild(nextBtn);
+          panel.appendChild(pagination);
         }
+        panel.style.display = 'block';
 
-        // Recreate chart with new configuration if chart creation function exists
-        if (typeof createChart === 'function') {
-          createChart(tabType);
+        // Re-rendering replaced the sort button that had focus
+        if (focusSortKey) {
+          var again = panel.querySelector('.fgpx-data-table-sort[data-sort-key="' + focusSortKey + '"]');
+          try { again.focus({ preventScroll: true }); } catch (_) {}
         }
-      };
-      ui.switchChartTab = switchChartTab;
-      root.__fgpxSwitchChartTab = switchChartTab;
-      if (container) {
-        container.__fgpxSwitchChartTab = switchChartTab;
       }
-      
+
+      function downloadDataTableCsv() {
+        if (typeof URL === 'undefined' || typeof URL.createObjectURL !== 'function') return;
+        var csv = dataTableCsv(dataTableColumns(), sortDataRows(dataTableRows(), dataTableSort.key, dataTableSort.dir));
+        // The byte order mark lets spreadsheet apps read translated headers as UTF-8
+        var blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' });
+        var slug = String((payload && payload.name) || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+        var url = URL.createObjectURL(blob);
+        var a = document.createElement('a');
+        a.href = url;
+        a.download = (slug || 'track') + '.csv';
+        a.rel = 'noopener';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        setTimeout(function() { try { URL.revokeObjectURL(url); } catch (_) {} }, 10000);
+      }
+
       // Chart data series visibility state for All Data tab
       var chartDataVisibility = {
         elevation: true,
@@ -8197,6 +12005,26 @@
         power: true
       };
       
+      // Color box + label used by the All Data legend and the route color legend
+      function appendLegendSwatch(parent, color, text) {
+        var colorBox = document.createElement('span');
+        colorBox.style.cssText = 'display:inline-block;width:12px;height:12px;margin-right:4px;border:1px solid #ccc;background:' + color + ';';
+        
+        var label = document.createElement('span');
+        label.textContent = text;
+        label.style.cssText = 'font-size:11px;color:#333;';
+        
+        parent.appendChild(colorBox);
+        parent.appendChild(label);
+        return parent;
+      }
+
+      function createLegendItem(color, text) {
+        var item = document.createElement('div');
+        item.className = 'fgpx-route-legend-item';
+        return appendLegendSwatch(item, color, text);
+      }
+
       // Initialize legend controls for All Data tab
       function initializeLegendControls() {
         // Clear existing controls except title
@@ -8226,16 +12054,8 @@
             checkbox.checked = chartDataVisibility[series.key];
             checkbox.style.cssText = 'margin-right:4px;';
             
-            var colorBox = document.createElement('span');
-            colorBox.style.cssText = 'display:inline-block;width:12px;height:12px;margin-right:4px;border:1px solid #ccc;background:' + series.color + ';';
-            
-            var label = document.createElement('span');
-            label.textContent = series.label;
-            label.style.cssText = 'font-size:11px;color:#333;';
-            
             controlWrap.appendChild(checkbox);
-            controlWrap.appendChild(colorBox);
-            controlWrap.appendChild(label);
+            appendLegendSwatch(controlWrap, series.color, series.label);
             
             // Add event listener for toggle
             checkbox.addEventListener('change', function() {
@@ -8407,12 +12227,16 @@
           if (!isNaN(times.sunrise.getTime()) && !isNaN(times.sunset.getTime())) {
             var sunriseOffset = (times.sunrise.getTime() - trackStartTime) / 1000;
             var sunsetOffset = (times.sunset.getTime() - trackStartTime) / 1000;
+            var sunriseInTrack = sunriseOffset >= 0 && sunriseOffset <= trackDuration;
+            var sunsetInTrack = sunsetOffset >= 0 && sunsetOffset <= trackDuration;
+            sunriseOffset = offsetAtClockSec(sunriseOffset);
+            sunsetOffset = offsetAtClockSec(sunsetOffset);
 
-            if (sunriseOffset >= 0 && sunriseOffset <= trackDuration) {
+            if (sunriseInTrack) {
               periods.push({ type: 'sunrise', timeOffset: sunriseOffset, time: times.sunrise });
               DBG.log('Added sunrise', { date: new Date(dayCursor), timeOffset: sunriseOffset });
             }
-            if (sunsetOffset >= 0 && sunsetOffset <= trackDuration) {
+            if (sunsetInTrack) {
               periods.push({ type: 'sunset', timeOffset: sunsetOffset, time: times.sunset });
               DBG.log('Added sunset', { date: new Date(dayCursor), timeOffset: sunsetOffset });
             }
@@ -8485,7 +12309,7 @@
           if (!isFinite(tsEpoch)) tsEpoch = parseEpochSeconds(p.timestamp);
           var offsetSec = NaN;
           if (isFinite(tsEpoch) && tsEpoch > 0 && isFinite(trackStartEpoch)) {
-            offsetSec = tsEpoch - trackStartEpoch;
+            offsetSec = offsetAtClockSec(tsEpoch - trackStartEpoch);
           }
           // Fallback for legacy weather points without timestamps: distribute by index over track duration.
           if (!isFinite(offsetSec)) {
@@ -8591,7 +12415,7 @@
 
             if (!isNaN(baseMs) && typeof window.SunCalc !== 'undefined') {
               try {
-                var sampleDate = new Date(baseMs + t * 1000);
+                var sampleDate = new Date(baseMs + clockSecAtOffset(t) * 1000);
                 var coordIdx = 0;
                 if (Array.isArray(timeOffsets) && timeOffsets.length > 1) {
                   var lo = 0, hi = timeOffsets.length - 1;
@@ -8638,8 +12462,8 @@
 
           var label;
           if (!isNaN(baseMs) && hasTimestamps) {
-            var sDate = new Date(baseMs + startSec * 1000);
-            var eDate = new Date(baseMs + endSec * 1000);
+            var sDate = new Date(baseMs + clockSecAtOffset(startSec) * 1000);
+            var eDate = new Date(baseMs + clockSecAtOffset(endSec) * 1000);
             label = padTwo(sDate.getHours()) + ':' + padTwo(sDate.getMinutes()) + '\u2013' + padTwo(eDate.getHours()) + ':' + padTwo(eDate.getMinutes());
           } else {
             var sMin = Math.round(startSec / 60);
@@ -8972,8 +12796,9 @@
 
             // Deduplicate: same name within 1.5km along track
             var isDup = false;
-            for (var ei = 0; ei < mapCities.length; ei++) {
-              if (mapCities[ei].name === cityName && Math.abs(Number(mapCities[ei].distanceMeters) - cityDistM) < 1500) {
+            var knownCities = mapCities.concat(routePoiCities);
+            for (var ei = 0; ei < knownCities.length; ei++) {
+              if (knownCities[ei].name === cityName && Math.abs(Number(knownCities[ei].distanceMeters) - cityDistM) < 1500) {
                 isDup = true; break;
               }
             }
@@ -9001,20 +12826,21 @@
       }
 
       function getCinemaCitiesNear(currentDistanceMeters) {
-        if (!simulationCitiesEnabled || !Array.isArray(mapCities) || mapCities.length === 0) return [];
+        if (!simulationCitiesEnabled || !Array.isArray(mapCities)) return [];
         
         var citiesInWindow = [];
         var windowRadiusM = simulationCityWindowMeters;
+        var allCities = routePoiCities.concat(mapCities);
         
-        for (var cIdx = 0; cIdx < mapCities.length; cIdx++) {
-          var city = mapCities[cIdx];
+        for (var cIdx = 0; cIdx < allCities.length; cIdx++) {
+          var city = allCities[cIdx];
           var diff = Math.abs(city.distanceMeters - currentDistanceMeters);
           if (diff <= windowRadiusM) {
             citiesInWindow.push(city);
           }
         }
         
-        return citiesInWindow;
+        return citiesInWindow.sort(function(a, b) { return a.distanceMeters - b.distanceMeters; });
       }
 
       function tempToHsl(tempC) {
@@ -9044,7 +12870,7 @@
             if (isFinite(baseEpoch)) break;
           }
           if (!isFinite(baseEpoch)) return false;
-          pointEpoch = baseEpoch + (Number(ts) || 0);
+          pointEpoch = baseEpoch + clockSecAtOffset(Number(ts) || 0);
         }
         var date = new Date(pointEpoch * 1000);
         try {
@@ -9849,7 +13675,7 @@
                   var cityMarkerLabel = document.createElement('div');
                   cityMarkerLabel.className = 'fgpx-weather-city-marker-label';
                   var cityName = city.name.length > 12 ? city.name.substring(0, 12) + '...' : city.name;
-                  cityMarkerLabel.textContent = '🏙 ' + cityName;
+                  cityMarkerLabel.textContent = poiIcon(city.type) + ' ' + cityName;
 
                   cityMarkerEl.appendChild(cityMarkerLine);
                   cityMarkerEl.appendChild(cityMarkerLabel);
@@ -9860,7 +13686,7 @@
             }
             if (dbgAllow('city-render-loop', 2000)) {
               DBG.log('City render state', {
-                totalCities: Array.isArray(mapCities) ? mapCities.length : 0,
+                totalCities: (Array.isArray(mapCities) ? mapCities.length : 0) + routePoiCities.length,
                 inWindow: Array.isArray(citiesInWindow) ? citiesInWindow.length : 0,
                 rendered: renderedCityCount,
                 windowKm: simulationCityWindowMeters / 1000,
@@ -9905,7 +13731,7 @@
                     bEpoch = parseEpochSeconds(timestamps[tbi]);
                     if (isFinite(bEpoch)) break;
                   }
-                  if (isFinite(bEpoch)) pEpoch = bEpoch + (Number(currentTimeSec) || 0);
+                  if (isFinite(bEpoch)) pEpoch = bEpoch + clockSecAtOffset(Number(currentTimeSec) || 0);
                 }
                 if (isFinite(pEpoch)) {
                   var d = new Date(pEpoch * 1000);
@@ -10002,7 +13828,7 @@
               callback: function(val) { 
                 var elapsed = formatTime(val);
                 if (!isNaN(trackStartTimestampMs)) {
-                  var d = new Date(trackStartTimestampMs + val * 1000);
+                  var d = new Date(trackStartTimestampMs + clockSecAtOffset(val) * 1000);
                   var hh = d.getHours().toString().padStart(2, '0');
                   var mm = d.getMinutes().toString().padStart(2, '0');
                   return [elapsed, hh + ':' + mm];
@@ -10157,7 +13983,7 @@
                 yAxisID: 'y' 
               };
             }
-          } else if (tabType === 'powerzones') {
+          } else if (tabType === 'powerzones' || tabType === 'hrzones') {
             positionDataset = {
               label: 'Position',
               data: [{ x: xVals[0], y: 0 }],
@@ -10293,7 +14119,7 @@
               if (powerPoints && powerPoints.length > 0 && index < powerPoints.length) {
                 return powerPoints[index] ? powerPoints[index].y : 0;
               }
-            } else if (tabType === 'powerzones') {
+            } else if (tabType === 'powerzones' || tabType === 'hrzones') {
               return 0;
             } else if (tabType === 'windimpact') {
               if (windImpactPoints && windImpactPoints.length > 0 && index < windImpactPoints.length) {
@@ -10606,6 +14432,51 @@
             return;
           }
           return showNoDataMessageLocal('No power data available for power zones.');
+        } else if (tabType === 'hrzones') {
+          var hrZoneSecs = getChartData('heartRateZones');
+          if (hrZoneSecs && hrZoneSecs.length > 0) {
+            var hrZones = hrZoneConfig.zones;
+            var hrZoneLabels = hrZones.map(function(z) {
+              return z.label + ' (' + (z.max === Infinity ? '≥' + z.min : z.min + '-' + z.max) + ' bpm)';
+            });
+            var hrZoneMinutes = hrZoneSecs.map(function(v) {
+              return Math.round((v / 60) * 10) / 10;
+            });
+
+            chart = new Chart(ui.canvas, {
+              type: 'bar',
+              data: {
+                labels: hrZoneLabels,
+                datasets: [{
+                  label: 'Time in Zone (min)',
+                  data: hrZoneMinutes,
+                  backgroundColor: hrZones.map(function(z) { var c = hexToRgb(z.color); return 'rgba(' + c.r + ',' + c.g + ',' + c.b + ',0.55)'; }),
+                  borderColor: chartLineColor3,
+                  borderWidth: 1
+                }]
+              },
+              options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                  legend: { display: false },
+                  tooltip: {
+                    callbacks: {
+                      label: function(context) {
+                        return context.parsed.y.toFixed(1) + ' min';
+                      }
+                    }
+                  }
+                },
+                scales: {
+                  x: { title: { display: true, text: hrZoneConfig.basis === 'lthr' ? 'Heart Rate Zones (% LTHR ' + hrZoneConfig.reference + ' bpm)' : 'Heart Rate Zones (% max HR ' + hrZoneConfig.reference + ' bpm)' } },
+                  y: { beginAtZero: true, title: { display: true, text: 'Time (minutes)' } }
+                }
+              }
+            });
+            return;
+          }
+          return showNoDataMessageLocal('No heart rate data available for heart rate zones.');
         } else if (tabType === 'windimpact') {
           // Wind Impact tab
           if ((windImpactPoints && windImpactPoints.length > 0) || (windSpeedPoints && windSpeedPoints.length > 0)) {
@@ -11346,6 +15217,14 @@
             });
             
             chart.chartZoomState.resetButton = resetBtn;
+
+            // Programmatic zoom in data units (used by the Segments tab)
+            chart.chartZoomState.zoomToRange = function(minValue, maxValue) {
+              var xScale = chart.scales.x;
+              if (!xScale || !(maxValue > minValue)) return;
+              if (state.originalScales) resetChartZoom(chart);
+              applyChartZoom(chart, xScale.getPixelForValue(minValue), xScale.getPixelForValue(maxValue));
+            };
             
             // Mouse event handlers for area selection
             var isMouseDown = false;
@@ -11745,6 +15624,27 @@
       var lastFrameDt = 0; // seconds
       var cameraCenter = coords[0].slice(0, 2);
       var targetBearingSmooth = null; // temporal smoothing for target bearing
+      var cameraMode = normalizeCameraMode(window.FGPX && FGPX.cameraMode);
+      // Keyframes authored for the track replace the automatic camera unless the viewer
+      // picks another mode; they only exist as a mode on tracks that have them.
+      var cameraKeyframes = normalizeCameraKeyframes(payload.cameraKeyframes).filter(function(kf) {
+        return !privacyEnabled || (kf.distance >= privacyStartD && kf.distance <= privacyEndD);
+      });
+      if (cameraKeyframes.length > 0) {
+        cameraMode = 'keyframes';
+        try {
+          var keyframesOpt = document.createElement('option');
+          keyframesOpt.value = 'keyframes';
+          keyframesOpt.textContent = (FGPX.i18n && FGPX.i18n.cameraKeyframes) || 'Keyframes';
+          ui.controls.cameraSel.insertBefore(keyframesOpt, ui.controls.cameraSel.firstChild);
+          ui.controls.cameraSel.value = 'keyframes';
+        } catch(_) {}
+      }
+      var cameraModeBlend = 0; // seconds left to ease pitch and zoom into a newly selected mode
+      var cinematicZoom = null; // smoothed cinematic zoom level
+      var terrainPitchRestore = null; // pitch to return to once terrain no longer hides the marker
+      var terrainSightPitch = null; // cached terrain clearance pitch
+      var terrainSightCooldown = 0; // seconds throttle for terrain sight-line checks
       var chartCooldown = 0; // seconds throttle for chart updates
       var hudCooldown = 0; // seconds throttle for HUD text updates
       var photoScanCooldown = 0; // seconds throttle for photo queue scans
@@ -11783,7 +15683,8 @@
       var swayActive = false;
 
       function startIdleSway() {
-        if (swayActive) return;
+        // Top-down stays north up
+        if (swayActive || cameraMode === 'topdown') return;
         swayActive = true;
         swayStartTime = null;
         swayLastBearing = null;
@@ -11948,6 +15849,79 @@
         }
       }
 
+      // Pitch, zoom and look-ahead factor of the selected camera mode at distance d.
+      // Keyframe views carry their own bearing and center offset instead of a look-ahead.
+      function cameraModeView(d) {
+        if (cameraMode === 'keyframes') {
+          var kf = cameraKeyframeAt(cameraKeyframes, d);
+          return { pitch: kf.pitch, zoom: kf.zoom, lookahead: 0, bearing: kf.bearing, offset: kf.offset };
+        }
+        var basePitch = (window.FGPX && isFinite(Number(FGPX.defaultPitch)) ? Number(FGPX.defaultPitch) : 30);
+        var maxPitch = 60;
+        try { if (typeof map.getMaxPitch === 'function') maxPitch = Number(map.getMaxPitch()) || 60; } catch(_) {}
+        if (cameraMode === 'topdown') return { pitch: 0, zoom: defaultZoom, lookahead: 0 };
+        if (cameraMode === 'orbit') return { pitch: Math.min(maxPitch, Math.max(basePitch, 50)), zoom: defaultZoom, lookahead: 0 };
+        if (cameraMode === 'firstperson') return { pitch: maxPitch, zoom: defaultZoom + 1.2, lookahead: 0.15 };
+        if (cameraMode === 'cinematic') return { pitch: basePitch, zoom: defaultZoom + cinematicZoomOffset(coords, cumDist, d), lookahead: 0.4 };
+        return { pitch: basePitch, zoom: defaultZoom, lookahead: 0.4 };
+      }
+
+      // Terrain clearance pitch for the marker at pos, checked a few times per second.
+      // The camera sits 1.5 viewport heights from the center at MapLibre's default field of view.
+      function terrainSightPitchAt(pos, bearingDeg, zoom, dt) {
+        terrainSightCooldown -= dt;
+        if (terrainSightPitch != null && terrainSightCooldown > 0) return terrainSightPitch;
+        terrainSightCooldown = 0.25;
+        var maxPitch = 60;
+        try { if (typeof map.getMaxPitch === 'function') maxPitch = Number(map.getMaxPitch()) || 60; } catch(_) {}
+        if (typeof map.queryTerrainElevation !== 'function') return null;
+        var metersPerPixel = 40075016.686 * Math.cos(pos[1] * Math.PI / 180) / (512 * Math.pow(2, zoom));
+        var cameraDistM = 1.5 * (ui.mapEl.clientHeight || 600) * metersPerPixel;
+        terrainSightPitch = terrainClearancePitch(function(p) {
+          try { return map.queryTerrainElevation(p); } catch(_) { return null; }
+        }, pos, bearingDeg, cameraDistM, maxPitch);
+        return terrainSightPitch;
+      }
+
+      function cameraBearingAtDistance(d) {
+        if (cameraMode === 'keyframes') return cameraModeView(d).bearing;
+        return cameraMode === 'topdown' ? 0 : targetBearingAtDistance(d);
+      }
+
+      function cameraCenterAtDistance(d, view) {
+        if (view.offset == null) return cameraTargetAtDistance(d, view.lookahead);
+        var startD = privacyEnabled ? privacyStartD : 0;
+        var endD = privacyEnabled ? privacyEndD : totalDistance;
+        return positionAtDistance(Math.max(startD, Math.min(endD, d + view.offset))).slice(0, 2);
+      }
+
+      function applyCameraMode(mode) {
+        var next = mode === 'keyframes' && cameraKeyframes.length > 0 ? 'keyframes' : normalizeCameraMode(mode);
+        if (ui.controls.cameraSel) ui.controls.cameraSel.value = next;
+        if (next === cameraMode) return;
+        cameraMode = next;
+        cinematicZoom = null;
+        terrainPitchRestore = null;
+        // Before the first play the intro zoom-in frames the new mode
+        if (firstPlayZoomPending) return;
+        if (playing) {
+          // The frame loop eases pitch and zoom over instead of interrupting the follow
+          cameraModeBlend = 2;
+          forceCameraUpdate = true;
+          return;
+        }
+        stopIdleSway();
+        var dNow = Math.max(0, Math.min(1, progress)) * totalDistance;
+        var view = cameraModeView(dNow);
+        try {
+          map.easeTo({ center: cameraCenterAtDistance(dNow, view), bearing: cameraBearingAtDistance(dNow), pitch: view.pitch, zoom: view.zoom, duration: 900, easing: easeInOutCubic });
+          map.once('moveend', function() {
+            syncCameraStateFromMap();
+            if (!playing && progress > 0) startIdleSway();
+          });
+        } catch(_) {}
+      }
+
       function timeOffsetAtDistance(dMeters) {
         try {
           if (!hasTimestamps || !Array.isArray(timeOffsets) || !Array.isArray(cumDist) || timeOffsets.length < 2 || cumDist.length < 2) {
@@ -12015,14 +15989,15 @@
           // Restore terrain if it was disabled during end transition.
           if (hasTerrain && terrainTemporarilyDisabled && terrainSourceId) {
             try {
-              map.setTerrain({ source: terrainSourceId, exaggeration: 1.0 });
+              map.setTerrain({ source: terrainSourceId, exaggeration: terrainExaggeration });
               terrainActive = true;
               terrainTemporarilyDisabled = false;
             } catch (_) {}
           }
           var dNow = Math.max(0, Math.min(1, progress)) * totalDistance;
-          var targetCenter = cameraTargetAtDistance(dNow, 0.4);
-          var startBearing = targetBearingAtDistance(dNow);
+          var startView = cameraModeView(dNow);
+          var targetCenter = cameraCenterAtDistance(dNow, startView);
+          var startBearing = cameraBearingAtDistance(dNow);
           // Sync camera state so the first playback frame starts from exactly this position
           syncCameraState(targetCenter, startBearing);
 
@@ -12032,7 +16007,7 @@
           var prefetchPromise;
           try {
             if (prefetchEnabled) {
-              prefetchPromise = prefetchTilesAtTargetAsync(targetCenter, defaultZoom, startBearing, 0.24);
+              prefetchPromise = prefetchTilesAtTargetAsync(targetCenter, startView.zoom, startBearing, 0.24);
             }
           } catch (_) {}
           if (!prefetchPromise) prefetchPromise = Promise.resolve();
@@ -12058,7 +16033,7 @@
             } catch (_) {}
 
             // Animate to target — tiles are already in browser HTTP cache
-            map.easeTo({ center: targetCenter, zoom: defaultZoom, bearing: startBearing, duration: 3500, easing: easeInOutCubic });
+            map.easeTo({ center: targetCenter, zoom: startView.zoom, pitch: startView.pitch, bearing: startBearing, duration: 3500, easing: easeInOutCubic });
             map.once('moveend', function() {
               firstPlayZoomPending = false;
               if (zoomOverlayTimer) {
@@ -12145,8 +16120,10 @@
       }
 
       function setPlaying(p) {
-        if (playing !== p) { DBG.log('playback state change', { playing: p }); }
+        var playingChanged = playing !== p;
+        if (playingChanged) { DBG.log('playback state change', { playing: p }); }
         playing = p;
+        if (playingChanged) emitPlayerEvent(playing ? 'play' : 'pause', { distance: progress * totalDistance });
         if (!playing && rafId) {
           try { window.cancelAnimationFrame(rafId); } catch (_) {}
           rafId = null;
@@ -12233,7 +16210,7 @@
         ui.controls.btnPlay.disabled = playing || preloadingInProgress || isRecording;
         ui.controls.btnPause.disabled = !playing || isRecording;
         ui.controls.btnRestart.disabled = isRecording;
-        ui.controls.btnRecord.disabled = preloadingInProgress;
+        ui.controls.btnRecord.disabled = preloadingInProgress || frameExportPending;
       }
 
       function reset() {
@@ -12244,7 +16221,7 @@
         // If end transition disabled terrain to avoid flicker, restore for next run.
         if (hasTerrain && terrainTemporarilyDisabled && terrainSourceId) {
           try {
-            map.setTerrain({ source: terrainSourceId, exaggeration: 1.0 });
+            map.setTerrain({ source: terrainSourceId, exaggeration: terrainExaggeration });
             terrainActive = true;
             terrainTemporarilyDisabled = false;
           } catch (_) {}
@@ -12289,6 +16266,7 @@
         dbgSegmentSetDataCount = 0;
         dbgCameraJumpCount = 0;
         cleanupProgressiveSegments();
+        resetChapters();
         updateVisuals(progress);
         setProgressBar(progress);
         if (chart) {
@@ -12331,15 +16309,34 @@
         } catch(_) {}
       }
 
+      var progressSliderPct = null;
       function setProgressBar(p) {
+        var sliderFrac;
         if (privacyEnabled) {
           var d = Math.max(0, Math.min(1, p)) * totalDistance;
           var span = Math.max(1e-6, (privacyEndD - privacyStartD));
           var frac = Math.max(0, Math.min(1, (d - privacyStartD) / span));
           ui.controls.progressBar.style.width = (frac * 100) + '%';
+          sliderFrac = frac;
         } else {
         ui.controls.progressBar.style.width = Math.max(0, Math.min(100, p * 100)) + '%';
+          sliderFrac = Math.max(0, Math.min(1, p));
         }
+        updateProgressSlider(sliderFrac, p);
+      }
+
+      // Keep the slider semantics of the progress bar in step with playback; only whole percents are announced
+      function updateProgressSlider(frac, p) {
+        var slider = ui.controls.progressBar.parentElement;
+        var pct = Math.round(frac * 100);
+        if (!slider || pct === progressSliderPct) return;
+        progressSliderPct = pct;
+        var I18N = (FGPX && FGPX.i18n) ? FGPX.i18n : {};
+        var startD = privacyEnabled ? privacyStartD : 0;
+        var endD = privacyEnabled ? privacyEndD : totalDistance;
+        var dNow = Math.max(startD, Math.min(endD, p * totalDistance));
+        slider.setAttribute('aria-valuenow', String(pct));
+        slider.setAttribute('aria-valuetext', formatI18n(I18N.progressValue || '%1$s of %2$s km', [formatNumber((dNow - startD) / 1000, 2), formatNumber((endD - startD) / 1000, 2)]));
       }
 
       function boundsFromCoords(cs) {
@@ -12448,6 +16445,9 @@
         }
         var d = p * totalDistance;
         var pos = positionAtDistance(d);
+        notifyPlayerPosition(d);
+        if (playing) announcePosition(false);
+        advanceChapters(d);
         cadence = cadence || getPlaybackCadence(speed, hasTerrain, currentChartTab);
         
         // Check if marker should be visible based on chart zoom
@@ -12632,7 +16632,7 @@
               // Always update the base progress line as a "floor" underneath colored segments.
               // This ensures previously-traversed track remains visible even when later segments
               // with different gradient buckets render on top (e.g. figure-8 patterns).
-              progressData.geometry.coordinates = coordsUpTo;
+              progressData.geometry = lineGeometry(splitLineAtGaps(coordsUpTo, segStartIdx, routeGaps));
               routeProgSrc.setData(progressData);
               dbgProgressSetDataCount++;
               // When arrows are enabled, throttle arrow symbol layout updates separately.
@@ -12722,9 +16722,10 @@
               progressSegments = [];
               
               if (!cameraJumpedLastFrame || progressNeedLineInit) {
-                progressData.geometry.coordinates = coordsUpTo;
+                progressData.geometry = lineGeometry(splitLineAtGaps(coordsUpTo, segStartIdx, routeGaps));
                 routeProgSrc.setData(progressData);
                 dbgProgressSetDataCount++;
+                if (routeColorScheme) updateRouteColorRuns(coordsUpTo, segStartIdx);
               }
               // Show single-color line (only toggle once)
               if (progressLineVisible !== true) {
@@ -12744,8 +16745,13 @@
           var dMaxAhead = privacyEnabled ? privacyEndD : totalDistance;
           var remainingAhead = Math.max(0, dMaxAhead - d);
           var targetBearing = (bearing != null) ? bearing : 0;
+          var cameraView = cameraModeView(d);
           // In the last meters, keep heading stable to avoid a final-frame bearing snap.
-          if (remainingAhead > 8) {
+          if (cameraMode === 'topdown') {
+            targetBearing = 0;
+          } else if (cameraMode === 'keyframes') {
+            targetBearing = cameraView.bearing;
+          } else if (remainingAhead > 8) {
             // Use farther lookahead points weighted toward the distance for cinematic smoothness.
             // This makes the camera anticipate turns rather than react to them.
             var ahead40 = positionAtDistance(Math.min(dMaxAhead, d + 40));
@@ -12771,7 +16777,8 @@
             targetBearingSmooth = targetBearing;
           } else {
             var deltaTB = shortestAngleDelta(targetBearingSmooth, targetBearing);
-            var bearingAlpha = hasTerrain ? 0.06 : 0.10;
+            // First person reacts to turns like a rider's head, not a film camera
+            var bearingAlpha = cameraMode === 'firstperson' ? 0.18 : (hasTerrain ? 0.06 : 0.10);
             targetBearingSmooth = normalizeAngle(targetBearingSmooth + deltaTB * bearingAlpha);
           }
           targetBearing = targetBearingSmooth;
@@ -12782,19 +16789,34 @@
           var zoomNow = defaultZoom; try { if (typeof map.getZoom === 'function') zoomNow = map.getZoom(); } catch(_) {}
           var pitchFactor = 1 - Math.min(1, (pitchNow / 60)) * 0.35; // up to -35%
           var zoomFactor = 1 - Math.min(1, Math.max(0, (zoomNow - 10) / 8)) * 0.2; // up to -20%
-          var maxTurnRate = (hasTerrain ? 7 : 9) * pitchFactor * zoomFactor;
-          var stepLimit = maxTurnRate * Math.max(0.01, Math.min(0.06, lastFrameDt || 0.016));
+          var maxTurnRate = (hasTerrain ? 7 : 9) * pitchFactor * zoomFactor * (cameraMode === 'firstperson' ? 2 : 1);
+          var frameDt = Math.max(0.01, Math.min(0.06, lastFrameDt || 0.016));
+          var stepLimit = maxTurnRate * frameDt;
           var step = Math.max(-stepLimit, Math.min(stepLimit, delta));
-          // Always apply the rate-limited step — the step itself is already bounded by
-          // maxTurnRate*dt so additional gating causes accumulate-then-snap stutter.
-          bearing = normalizeAngle(bearing + step);
+          if (cameraMode === 'keyframes' && cameraModeBlend <= 0) {
+            // Keyframes are already eased between each other; follow them exactly
+            bearing = cameraView.bearing;
+            targetBearingSmooth = bearing;
+          } else if (cameraMode === 'orbit') {
+            // Orbit circles the marker at a steady rate regardless of the heading
+            bearing = normalizeAngle(bearing + CAMERA_ORBIT_DEG_PER_S * frameDt);
+            targetBearingSmooth = bearing;
+          } else {
+            // Always apply the rate-limited step — the step itself is already bounded by
+            // maxTurnRate*dt so additional gating causes accumulate-then-snap stutter.
+            bearing = normalizeAngle(bearing + step);
+          }
           // Cinematic camera: track a point AHEAD of current position so the camera
           // shows where the rider is going, not where they are. This creates an elastic
           // trailing effect — the camera smoothly anticipates rather than chases.
-          var lookaheadFactor = 0.4;
+          var lookaheadFactor = cameraView.lookahead;
           var cameraLookaheadD = Math.min(remainingAhead * lookaheadFactor, hasTerrain ? 35 : 50);
           var cameraTarget = cameraLookaheadD > 2 ? positionAtDistance(Math.min(dMaxAhead, d + cameraLookaheadD)) : pos;
           var followAlpha = Math.max(0.006, Math.min(0.028, (lastFrameDt || 0.016) * 0.45));
+          if (cameraMode === 'keyframes') {
+            cameraTarget = cameraCenterAtDistance(d, cameraView);
+            followAlpha = cameraModeBlend > 0 ? Math.min(1, frameDt * 2.5) : 1;
+          }
           var nextCenterLng = cameraCenter[0] + (cameraTarget[0] - cameraCenter[0]) * followAlpha;
           var nextCenterLat = cameraCenter[1] + (cameraTarget[1] - cameraCenter[1]) * followAlpha;
           // Ease terrain pitch down near the end to reduce final-frame mesh churn
@@ -12804,6 +16826,41 @@
             var defaultPitchNow = (window.FGPX && isFinite(Number(FGPX.defaultPitch)) ? Number(FGPX.defaultPitch) : 30);
             nextPitch = Math.max(0, defaultPitchNow * endPitchFactor);
           }
+          // Ease pitch and zoom into a newly selected mode; cinematic and keyframes keep
+          // driving them (cinematic toward the offset for the route ahead).
+          var nextZoom = null;
+          if (cameraModeBlend > 0 || cameraMode === 'cinematic' || cameraMode === 'keyframes') {
+            cameraModeBlend = Math.max(0, cameraModeBlend - frameDt);
+            var viewAlpha = cameraModeBlend > 0 ? Math.min(1, frameDt * 2.5) : 1;
+            var targetZoom = cameraView.zoom;
+            if (cameraMode === 'cinematic') {
+              // Slower than the blend so zoom changes read as deliberate camera moves
+              if (cinematicZoom == null) cinematicZoom = zoomNow;
+              cinematicZoom += (cameraView.zoom - cinematicZoom) * Math.min(1, frameDt * 0.6);
+              targetZoom = cinematicZoom;
+            }
+            nextZoom = zoomNow + (targetZoom - zoomNow) * viewAlpha;
+            if (Math.abs(nextZoom - zoomNow) < 0.005) nextZoom = null;
+            if (nextPitch == null && Math.abs(cameraView.pitch - pitchNow) > 0.1) {
+              nextPitch = pitchNow + (cameraView.pitch - pitchNow) * viewAlpha;
+            }
+          }
+          // Keep the marker above the terrain: tilt up while a slope behind the marker
+          // would block the view, and settle back once it has passed.
+          var sightPitch = terrainActive ? terrainSightPitchAt(pos, bearing, zoomNow, frameDt) : null;
+          if (sightPitch != null && nextPitch != null) {
+            nextPitch = Math.min(nextPitch, sightPitch);
+          } else if (sightPitch != null && pitchNow > sightPitch + 0.5) {
+            if (terrainPitchRestore == null) terrainPitchRestore = pitchNow;
+            nextPitch = pitchNow + (sightPitch - pitchNow) * Math.min(1, frameDt * 3);
+          } else if (terrainPitchRestore != null) {
+            var restorePitch = sightPitch != null ? Math.min(terrainPitchRestore, sightPitch) : terrainPitchRestore;
+            if (Math.abs(terrainPitchRestore - pitchNow) < 0.2) {
+              terrainPitchRestore = null;
+            } else if (Math.abs(restorePitch - pitchNow) > 0.1) {
+              nextPitch = pitchNow + (restorePitch - pitchNow) * Math.min(1, frameDt * 1.2);
+            }
+          }
           // Calculate on-screen movement to avoid unnecessary repaints
           var prevPx = map.project(cameraCenter);
           var nextPx = map.project([nextCenterLng, nextCenterLat]);
@@ -12831,12 +16888,14 @@
             cameraCenter[1] = nextCenterLat;
             var camOpts = { center: cameraCenter, bearing: bearing };
             if (nextPitch != null) camOpts.pitch = nextPitch;
+            if (nextZoom != null) camOpts.zoom = nextZoom;
             if (map && typeof map.jumpTo === 'function') {
               map.jumpTo(camOpts);
             } else if (map && typeof map.setCenter === 'function') {
               map.setCenter(cameraCenter);
               if (typeof map.setBearing === 'function' && isFinite(bearing)) map.setBearing(bearing);
               if (nextPitch != null && typeof map.setPitch === 'function') map.setPitch(nextPitch);
+              if (nextZoom != null && typeof map.setZoom === 'function') map.setZoom(nextZoom);
             }
             appliedBearing = bearing;
             forceCameraUpdate = false;
@@ -12944,6 +17003,7 @@
           var dStart = privacyEnabled ? privacyStartD : 0;
           var distKm = Math.max(0, (d - dStart) / 1000);
           setTextIfChanged(metricsDistLabel, distKm.toFixed(2) + ' km');
+          updateTripDayBox(d);
           // Speed (km/h): prefer time-based derivative; fallback to geometric estimate
           var speedMs = 0;
           if (hasTimestamps && Array.isArray(timeOffsets)) {
@@ -12976,6 +17036,9 @@
           }
         } catch(_) {}
 
+        // Ghost riders follow the primary cursor (marker, HUD gap, chart cursor)
+        try { updateGhostTracks(d); } catch(_) {}
+
         if (DBG.enabled) {
           if (!updateVisuals._tLast || (performance.now() - updateVisuals._tLast) > 2000) {
             DBG.log('progress', {
@@ -13001,6 +17064,8 @@
           destroyRuntime();
           return;
         }
+        // Offline renders step raf() themselves on a virtual clock
+        if (offlineRender) return;
         if (!rafId) {
           rafId = window.requestAnimationFrame(raf);
         }
@@ -13025,7 +17090,7 @@
         progressLineCooldown += dt;
         
         // Handle video recording frame capture
-        if (videoRecorder && videoRecorder.shouldCaptureFrame(ts)) {
+        if (videoRecorder && videoRecorder.captureFormat === 'video' && videoRecorder.shouldCaptureFrame(ts)) {
           // Frame is automatically captured by MediaRecorder from canvas stream
           // No additional action needed here
         }
@@ -13257,33 +17322,44 @@
           scheduleRaf();
         } else {
           setPlaying(false);
+          emitPlayerEvent('ended', { distance: progress * totalDistance });
           // Stop recording if active when track completes
           if (isRecording && videoRecorder) {
+            if (offlineRender) {
+              // The offline renderer still captures this last frame, then stops the
+              // recording and runs the end handoff itself.
+              offlineRender.reachedEnd = true;
+              return;
+            }
             stopRecording();
           }
-          // At end handoff, prefetch once and briefly settle terrain before zoom-out transition.
-          try { if (prefetchEnabled) { prefetchViewportTiles(hasTerrain ? 0.22 : 0.3, !hasTerrain, bearing); } } catch (_) {}
-          var endTransitionStarted = false;
-          var endFitDuration = hasTerrain ? 1100 : 800;
-          var endTransitionTimer = setTimeout(function(){
+          runEndHandoff();
+        }
+      }
+
+      // At end handoff, prefetch once and briefly settle terrain before zoom-out transition.
+      function runEndHandoff() {
+        try { if (prefetchEnabled) { prefetchViewportTiles(hasTerrain ? 0.22 : 0.3, !hasTerrain, bearing); } } catch (_) {}
+        var endTransitionStarted = false;
+        var endFitDuration = hasTerrain ? 1100 : 800;
+        var endTransitionTimer = setTimeout(function(){
+          if (endTransitionStarted) return;
+          endTransitionStarted = true;
+          fitMapToBounds(endFitDuration, hasTerrain ? { pitch: 0 } : null);
+        }, hasTerrain ? 320 : 0);
+        if (hasTerrain) {
+          map.once('idle', function(){
             if (endTransitionStarted) return;
             endTransitionStarted = true;
-            fitMapToBounds(endFitDuration, hasTerrain ? { pitch: 0 } : null);
-          }, hasTerrain ? 320 : 0);
-          if (hasTerrain) {
-            map.once('idle', function(){
-              if (endTransitionStarted) return;
-              endTransitionStarted = true;
-              try { clearTimeout(endTransitionTimer); } catch (_) {}
-              fitMapToBounds(endFitDuration, { pitch: 0 });
-            });
-          }
+            try { clearTimeout(endTransitionTimer); } catch (_) {}
+            fitMapToBounds(endFitDuration, { pitch: 0 });
+          });
         }
       }
 
       // Recording functions
       function startRecording() {
-        if (isRecording || preloadingInProgress) return;
+        if (isRecording || preloadingInProgress || frameExportPending) return;
         
         // Show quality selection modal first
         showRecordingSettingsModal().then(function(selection) {
@@ -13295,6 +17371,9 @@
           selectedQualityPreset = selection.preset;
           var expectedChunkCount = Math.max(1, Number(selection.expectedChunkCount) || 1);
           var outputConfig = selection.outputConfig || { mode: 'download', directoryHandle: null };
+          var progressView = selection.progressView || null;
+          var renderMode = selection.renderMode === 'offline' ? 'offline' : 'realtime';
+          recordingProgressView = progressView;
 
           try {
             // Initialize a fresh recorder per recording session so chunk/session state never leaks.
@@ -13306,7 +17385,17 @@
               progressHost: ui.mapEl,
               expectedChunkCount: expectedChunkCount,
               outputMode: outputConfig.mode,
-              outputDirectoryHandle: outputConfig.directoryHandle || null
+              outputDirectoryHandle: outputConfig.directoryHandle || null,
+              captureFormat: outputConfig.captureFormat,
+              renderMode: renderMode,
+              fps: renderMode === 'offline' ? selection.fps : null,
+              onProgress: function(info) {
+                // Offline renders report per-frame progress with an ETA themselves
+                if (offlineRender && info.phase === 'capturing') return;
+                if (progressView) progressView.update(info);
+                // Capture errors (e.g. a tainted canvas) end the session from inside the recorder
+                if (info.phase === 'error' && isRecording) stopRecording();
+              }
             });
           
             // Update UI to show recording is starting
@@ -13335,7 +17424,9 @@
                 videoRecorder.start().then(function() {
                   isRecording = true;
                 
-                  if (firstPlayZoomPending) {
+                  if (renderMode === 'offline') {
+                    startOfflineRender();
+                  } else if (firstPlayZoomPending) {
                     // Start recording before zoom animation
                     zoomInThenStartPlayback();
                   } else {
@@ -13345,6 +17436,7 @@
                 }).catch(function(error) {
                   DBG.warn('Failed to start recording', error);
                   isRecording = false;
+                  if (progressView) progressView.close();
                   updateButtonStates();
                 });
               });
@@ -13352,48 +17444,194 @@
               // If already playing, start recording immediately
               videoRecorder.start().then(function() {
                 isRecording = true;
+                if (renderMode === 'offline') startOfflineRender();
               }).catch(function(error) {
                 DBG.warn('Failed to start recording', error);
                 isRecording = false;
+                if (progressView) progressView.close();
                 updateButtonStates();
               });
             }
           
-            DBG.log('Recording started with preset:', selectedQualityPreset, 'outputMode:', outputConfig.mode, 'expectedChunks:', expectedChunkCount);
+            DBG.log('Recording started with preset:', selectedQualityPreset, 'outputMode:', outputConfig.mode, 'expectedChunks:', expectedChunkCount, 'renderMode:', renderMode);
           } catch (error) {
             DBG.warn('Failed to start recording', error);
             isRecording = false;
+            if (progressView) progressView.close();
             updateButtonStates();
           }
         }).catch(function(error) {
-          DBG.warn('Failed to show recording settings', error);
+          DBG.warn('Failed to show recording settings', error);
+        });
+      }
+      
+      function stopRecording() {
+        if (!isRecording || !videoRecorder) return;
+        
+        try {
+          // Cancel a running offline render; its last captured frame ends the file
+          if (offlineRender) {
+            offlineRender = null;
+            setPlaying(false);
+          }
+
+          // Stop recording
+          var finishing = videoRecorder.stop();
+          isRecording = false;
+          
+          // Update UI
+          ui.controls.btnRecord.textContent = '⏺';
+          ui.controls.btnRecord.setAttribute('title', 'Record Video');
+          ui.controls.btnRecord.disabled = false;
+          
+          // Re-enable other controls
+          updateButtonStates();
+
+          // GIF/PNG exports keep encoding after capture ends; hold off a new recording until saved
+          if (finishing && typeof finishing.then === 'function') {
+            frameExportPending = true;
+            ui.controls.btnRecord.disabled = true;
+            finishing.then(function() {
+              frameExportPending = false;
+              updateButtonStates();
+            });
+          } else if (recordingProgressView) {
+            // Video files are saved by the recorder's completion flow
+            recordingProgressView.close();
+          }
+          recordingProgressView = null;
+          
+          DBG.log('Recording stopped');
+        } catch (error) {
+          DBG.warn('Failed to stop recording', error);
+          isRecording = false;
+          updateButtonStates();
+        }
+      }
+      
+      // --- Offline (frame-by-frame) rendering ---
+      // Playback is stepped by a fixed virtual clock: each raf() call advances exactly one
+      // frame interval, then the frame is captured once its tiles are fetched and the map is idle.
+
+      var OFFLINE_FRAME_SETTLE_MS = 15000; // give up waiting for slow tiles after this long
+
+      function startOfflineRender() {
+        var atEnd = privacyEnabled ? (progress >= (privacyEndP - 1e-6)) : (progress >= 1);
+        if (atEnd) reset();
+        var startP = progress;
+        // Take over from a real-time loop that may already be running
+        if (rafId) {
+          try { window.cancelAnimationFrame(rafId); } catch (_) {}
+          rafId = null;
+        }
+        offlineRender = {
+          frameMs: 1000 / videoRecorder.targetFPS,
+          virtualTs: 0,
+          frames: 0,
+          startP: startP,
+          endP: privacyEnabled ? privacyEndP : 1,
+          startedAt: performance.now(),
+          reachedEnd: false
+        };
+
+        // Skip the zoom-in animation, countdown and speed ramp: they run on wall-clock time
+        firstPlayZoomPending = false;
+        startupSpeedRampRemaining = 0;
+        startupSpeedRampDuration = 0;
+        suppressCameraUpdateFrames = 0;
+        hideSplash();
+        hidePreloadOverlay();
+        try {
+          if (hasTerrain && terrainTemporarilyDisabled && terrainSourceId) {
+            map.setTerrain({ source: terrainSourceId, exaggeration: terrainExaggeration });
+            terrainActive = true;
+            terrainTemporarilyDisabled = false;
+          }
+          var dNow = Math.max(0, Math.min(1, progress)) * totalDistance;
+          var nowView = cameraModeView(dNow);
+          map.jumpTo({ center: cameraCenterAtDistance(dNow, nowView), zoom: nowView.zoom, pitch: nowView.pitch, bearing: cameraBearingAtDistance(dNow) });
+          syncCameraStateFromMap();
+        } catch (_) {}
+        // Re-seek to the same spot so tOffset, photo pointers and the progress line are consistent
+        var span = privacyEndD - privacyStartD;
+        seekToFraction(privacyEnabled ? (span > 0 ? (startP * totalDistance - privacyStartD) / span : 0) : startP);
+        applyPlaybackLayerOptimizations();
+
+        setPlaying(true);
+        lastFrame = 0;
+        DBG.log('Offline render started', { fps: videoRecorder.targetFPS, startProgress: startP });
+        stepOfflineFrame();
+      }
+
+      function waitForOfflineFrameReady() {
+        var tiles = Promise.resolve();
+        try {
+          if (prefetchEnabled) {
+            var c = map.getCenter();
+            tiles = prefetchTilesAtTargetAsync([c.lng, c.lat], map.getZoom(), map.getBearing(), 0.1);
+          }
+        } catch (_) {}
+        return tiles.then(function() {
+          // One repaint lets the source caches request tiles for the new camera before checking idle
+          return new Promise(function(resolve) {
+            map.once('render', resolve);
+            map.triggerRepaint();
+          });
+        }).then(function() {
+          return waitForStartupDecodeReady(OFFLINE_FRAME_SETTLE_MS);
+        });
+      }
+
+      function stepOfflineFrame() {
+        var state = offlineRender;
+        if (!state || runtimeDestroyed) return;
+        state.virtualTs += state.frameMs;
+        raf(state.virtualTs);
+
+        waitForOfflineFrameReady().then(function() {
+          if (offlineRender !== state) return null;
+          return videoRecorder.captureOfflineFrame();
+        }).then(function() {
+          if (offlineRender !== state) return;
+          state.frames++;
+          reportOfflineRenderProgress(state);
+          if (state.reachedEnd || !playing) {
+            finishOfflineRender(state);
+            return;
+          }
+          setTimeout(stepOfflineFrame, 0);
+        }).catch(function(error) {
+          DBG.warn('Offline render frame failed', error);
+          if (offlineRender === state) finishOfflineRender(state);
         });
       }
-      
-      function stopRecording() {
-        if (!isRecording || !videoRecorder) return;
-        
-        try {
-          // Stop recording
-          videoRecorder.stop();
-          isRecording = false;
-          
-          // Update UI
-          ui.controls.btnRecord.textContent = '⏺';
-          ui.controls.btnRecord.setAttribute('title', 'Record Video');
-          ui.controls.btnRecord.disabled = false;
-          
-          // Re-enable other controls
-          updateButtonStates();
-          
-          DBG.log('Recording stopped');
-        } catch (error) {
-          DBG.warn('Failed to stop recording', error);
-          isRecording = false;
-          updateButtonStates();
-        }
+
+      function reportOfflineRenderProgress(state) {
+        if (!recordingProgressView) return;
+        var span = Math.max(1e-9, state.endP - state.startP);
+        var fraction = Math.max(0, Math.min(1, (progress - state.startP) / span));
+        var elapsed = (performance.now() - state.startedAt) / 1000;
+        recordingProgressView.update({
+          phase: 'rendering',
+          frames: state.frames,
+          fraction: fraction,
+          elapsed: elapsed,
+          eta: fraction > 0 ? elapsed * (1 - fraction) / fraction : null
+        });
       }
-      
+
+      function finishOfflineRender(state) {
+        DBG.log('Offline render finished', {
+          frames: state.frames,
+          seconds: ((performance.now() - state.startedAt) / 1000).toFixed(1),
+          reachedEnd: state.reachedEnd
+        });
+        offlineRender = null;
+        setPlaying(false);
+        stopRecording();
+        if (state.reachedEnd) runEndHandoff();
+      }
+
       // Calculate track duration for recording estimates (respects playback speed)
       function calculateTrackDuration() {
         // Get current speed from UI (in case user changed it)
@@ -13478,6 +17716,30 @@
         return (preset.bitrate / 8 * 60 * 1.3 * trackDurationMinutes) / (1024 * 1024);
       }
 
+      // Rough compressed bytes per pixel of map imagery, per frame
+      var FRAME_FORMAT_BYTES_PER_PIXEL = { 'gif': 0.35, 'png-zip': 1.2 };
+
+      var RECORDING_FORMAT_NOTES = {
+        'video': 'Export size matches the current player size. Presets adjust bitrate and frame rate. Long recordings may be split into multiple files; supported browsers will offer a folder picker for chunked output.',
+        'gif': 'Frames are scaled down to the preset resolution and encoded in the browser while playback runs. GIF is capped at 25fps; keep recordings short, files grow quickly.',
+        'png-zip': 'Each frame is saved as a numbered PNG at the preset resolution and frame rate, ready for a video editor or ffmpeg. The ZIP is built when recording stops.'
+      };
+
+      function estimateRecordingSizeMb(presetKey, trackDurationMinutes, captureFormat, fpsOverride) {
+        if (!FRAME_FORMAT_BYTES_PER_PIXEL[captureFormat]) {
+          return estimateExpectedSizeMbForPreset(presetKey, trackDurationMinutes);
+        }
+        var preset = VIDEO_QUALITY_PRESETS[presetKey] || VIDEO_QUALITY_PRESETS.medium;
+        var fps = fpsOverride || preset.fps;
+        if (captureFormat === 'gif') fps = Math.min(fps, 25);
+        var canvas = map.getCanvas();
+        var width = (canvas && canvas.width) || preset.resolution.width;
+        var height = (canvas && canvas.height) || preset.resolution.height;
+        var scale = Math.min(1, preset.resolution.width / width, preset.resolution.height / height);
+        var frameBytes = width * height * scale * scale * FRAME_FORMAT_BYTES_PER_PIXEL[captureFormat];
+        return (frameBytes * fps * 60 * trackDurationMinutes) / (1024 * 1024);
+      }
+
       function estimateExpectedChunkCount(presetKey, trackDurationMinutes) {
         var estimatedSizeMb = estimateExpectedSizeMbForPreset(presetKey, trackDurationMinutes);
         if (estimatedSizeMb <= 250) {
@@ -13486,27 +17748,96 @@
         return Math.ceil(estimatedSizeMb / 200);
       }
 
-      function chooseRecordingOutput(expectedChunkCount) {
+      function chooseRecordingOutput(expectedChunkCount, captureFormat) {
+        var format = RECORDING_CAPTURE_FORMATS[captureFormat] ? captureFormat : 'video';
         if (expectedChunkCount <= 1) {
-          return Promise.resolve({ mode: 'download', directoryHandle: null });
+          return Promise.resolve({ mode: 'download', directoryHandle: null, captureFormat: format });
         }
 
         if (!window.isSecureContext || typeof window.showDirectoryPicker !== 'function') {
-          return Promise.resolve({ mode: 'download', directoryHandle: null });
+          return Promise.resolve({ mode: 'download', directoryHandle: null, captureFormat: format });
         }
 
         return window.showDirectoryPicker({ id: 'fgpx-recordings', mode: 'readwrite' })
           .then(function(directoryHandle) {
-            return { mode: 'directory', directoryHandle: directoryHandle };
+            return { mode: 'directory', directoryHandle: directoryHandle, captureFormat: format };
           })
           .catch(function(error) {
             if (error && error.name === 'AbortError') {
               DBG.log('Recording directory picker dismissed, falling back to browser downloads');
-              return { mode: 'download', directoryHandle: null };
+              return { mode: 'download', directoryHandle: null, captureFormat: format };
             }
             throw error;
           });
       }
+
+      // Turn the settings modal into a small non-blocking panel that tracks a GIF/PNG export
+      function dockRecordingProgress(modal, modalContent, captureFormat) {
+        var formatName = RECORDING_CAPTURE_FORMATS[captureFormat].name;
+        modal.style.background = 'transparent';
+        modal.style.pointerEvents = 'none';
+        modal.style.alignItems = 'flex-end';
+        modal.style.justifyContent = 'flex-end';
+        modalContent.style.cssText =
+          'background: white; border-radius: 8px; padding: 16px; margin: 16px; width: 280px; ' +
+          'box-shadow: 0 4px 16px rgba(0,0,0,0.25); pointer-events: auto; font-size: 13px; color: #333;';
+        modalContent.innerHTML =
+          '<div style="font-weight: bold; margin-bottom: 8px;">' + formatName + (captureFormat === 'video' ? ' render' : ' export') + '</div>' +
+          '<div class="fgpx-export-status" role="status" aria-live="polite" style="margin-bottom: 8px;">Waiting for playback…</div>' +
+          '<progress class="fgpx-export-progress" max="1" style="width: 100%; margin-bottom: 12px;"></progress>' +
+          '<div style="display: flex; justify-content: flex-end;">' +
+            '<button class="fgpx-btn fgpx-btn-secondary fgpx-export-stop" style="' +
+              'padding: 6px 12px; border: 1px solid #ddd; background: white; color: #333; ' +
+              'border-radius: 4px; cursor: pointer;' +
+            '">Stop</button>' +
+          '</div>';
+
+        var statusEl = modalContent.querySelector('.fgpx-export-status');
+        var progressEl = modalContent.querySelector('.fgpx-export-progress');
+        var actionBtn = modalContent.querySelector('.fgpx-export-stop');
+        var finished = false;
+
+        function close() {
+          modal.classList.remove('fgpx-modal-show');
+          setTimeout(function() {
+            if (modal.parentNode) modal.parentNode.removeChild(modal);
+          }, 300);
+        }
+
+        actionBtn.addEventListener('click', function() {
+          if (finished) { close(); return; }
+          stopRecording();
+        });
+
+        return {
+          update: function(info) {
+            if (!info) return;
+            if (info.phase === 'capturing') {
+              // Indeterminate bar while the length of the capture is unknown
+              progressEl.removeAttribute('value');
+              statusEl.textContent = 'Capturing: ' + info.frames + ' frames · ' + Math.floor(info.elapsed) + 's' +
+                (info.bytes ? ' · ' + (info.bytes / (1024 * 1024)).toFixed(1) + 'MB' : '');
+            } else if (info.phase === 'rendering') {
+              progressEl.value = info.fraction;
+              statusEl.textContent = 'Rendering frame ' + info.frames + ' · ' + Math.round(info.fraction * 100) + '%' +
+                (info.eta != null ? ' · ETA ' + formatTime(info.eta) : '');
+            } else if (info.phase === 'encoding') {
+              progressEl.value = info.fraction;
+              actionBtn.disabled = true;
+              statusEl.textContent = 'Encoding ' + info.frames + ' frames… ' + Math.round(info.fraction * 100) + '%';
+            } else if (info.phase === 'done' || info.phase === 'error') {
+              finished = true;
+              progressEl.value = info.phase === 'done' ? 1 : 0;
+              actionBtn.disabled = false;
+              actionBtn.textContent = 'Close';
+              statusEl.textContent = info.phase === 'done'
+                ? 'Saved ' + info.filename + ' (' + (info.bytes / (1024 * 1024)).toFixed(1) + 'MB)'
+                : info.message;
+            }
+          },
+          close: close
+        };
+      }
       
       // Quality selection modal
       function showRecordingSettingsModal() {
@@ -13568,14 +17899,7 @@
             '<div class="fgpx-preset-grid" style="display: grid; grid-template-columns: repeat(auto-fit, minmax(280px, 1fr)); gap: 12px;">' +
               Object.keys(VIDEO_QUALITY_PRESETS).map(function(key) {
                 var preset = VIDEO_QUALITY_PRESETS[key];
-                var estimatedSize = estimateExpectedSizeMbForPreset(key, trackDurationMinutes);
                 var isRecommended = key === 'medium';
-                var expectedChunks = estimateExpectedChunkCount(key, trackDurationMinutes);
-                
-                var chunkInfo = '';
-                if (expectedChunks > 1) {
-                  chunkInfo = '<div class="fgpx-preset-chunks" style="font-size: 11px; color: #e67e22; font-weight: bold; margin-bottom: 2px;">Chunked output: ' + expectedChunks + ' files</div>';
-                }
                 
                 return '<div class="fgpx-preset-card" data-preset="' + key + '" style="' +
                   'border: 2px solid ' + (isRecommended ? '#007cba' : '#ddd') + '; ' +
@@ -13584,17 +17908,48 @@
                   (isRecommended ? 'background: #f0f8ff;' : '') + '">' +
                   (isRecommended ? '<div style="position: absolute; top: -8px; right: 8px; background: #007cba; color: white; padding: 2px 8px; border-radius: 4px; font-size: 10px;">RECOMMENDED</div>' : '') +
                   '<div class="fgpx-preset-name" style="font-weight: bold; color: #333; margin-bottom: 4px;">' + preset.name + '</div>' +
-                  '<div class="fgpx-preset-specs" style="font-size: 12px; color: #666; margin-bottom: 4px;">' + 
-                    preset.fps + 'fps • ' + Math.round(preset.bitrate / 1000000) + ' Mbps • bitrate profile' +
-                  '</div>' +
-                  '<div class="fgpx-preset-size" style="font-size: 12px; color: #007cba; font-weight: bold; margin-bottom: 4px;">~' + Math.round(estimatedSize) + 'MB total</div>' +
-                  chunkInfo +
+                  '<div class="fgpx-preset-specs" style="font-size: 12px; color: #666; margin-bottom: 4px;"></div>' +
+                  '<div class="fgpx-preset-size" style="font-size: 12px; color: #007cba; font-weight: bold; margin-bottom: 4px;"></div>' +
+                  '<div class="fgpx-preset-chunks" style="font-size: 11px; color: #e67e22; font-weight: bold; margin-bottom: 2px; display: none;"></div>' +
                   '<div class="fgpx-preset-use" style="font-size: 11px; color: #888;">' + preset.useCase + '</div>' +
                 '</div>';
               }).join('') +
             '</div>' +
           '</div>' +
           
+          '<div class="fgpx-output-formats" style="margin-bottom: 24px;">' +
+            '<h4 style="margin: 0 0 12px 0; color: #333;">Output Format</h4>' +
+            '<div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 8px;">' +
+              Object.keys(RECORDING_CAPTURE_FORMATS).map(function(key) {
+                var format = RECORDING_CAPTURE_FORMATS[key];
+                return '<label class="fgpx-format-option" style="display: flex; gap: 8px; align-items: flex-start; border: 1px solid #ddd; border-radius: 6px; padding: 8px 10px; cursor: pointer;">' +
+                  '<input type="radio" name="fgpx-capture-format" value="' + key + '"' + (key === 'video' ? ' checked' : '') + ' style="margin-top: 3px;">' +
+                  '<span><span style="display: block; font-weight: bold; color: #333; font-size: 13px;">' + format.name + '</span>' +
+                  '<span style="display: block; font-size: 11px; color: #888;">' + format.description + '</span></span>' +
+                '</label>';
+              }).join('') +
+            '</div>' +
+          '</div>' +
+          
+          '<div class="fgpx-render-modes" style="margin-bottom: 24px;">' +
+            '<h4 style="margin: 0 0 12px 0; color: #333;">Rendering</h4>' +
+            '<div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 8px;">' +
+              Object.keys(RECORDING_RENDER_MODES).map(function(key) {
+                var mode = RECORDING_RENDER_MODES[key];
+                return '<label class="fgpx-format-option" style="display: flex; gap: 8px; align-items: flex-start; border: 1px solid #ddd; border-radius: 6px; padding: 8px 10px; cursor: pointer;">' +
+                  '<input type="radio" name="fgpx-render-mode" value="' + key + '"' + (key === 'realtime' ? ' checked' : '') + ' style="margin-top: 3px;">' +
+                  '<span><span style="display: block; font-weight: bold; color: #333; font-size: 13px;">' + mode.name + '</span>' +
+                  '<span style="display: block; font-size: 11px; color: #888;">' + mode.description + '</span></span>' +
+                '</label>';
+              }).join('') +
+            '</div>' +
+            '<label id="fgpx-render-fps-row" style="display: none; margin-top: 8px; font-size: 13px; color: #333;">Frame rate ' +
+              '<select id="fgpx-render-fps" style="margin-left: 6px;">' +
+                OFFLINE_RENDER_FPS.map(function(fps) { return '<option value="' + fps + '">' + fps + ' fps</option>'; }).join('') +
+              '</select>' +
+            '</label>' +
+          '</div>' +
+          
           '<div class="fgpx-recording-preview" style="background: #f5f5f5; padding: 16px; border-radius: 6px; margin-bottom: 20px;">' +
             '<div class="fgpx-preview-stats" style="display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 12px;">' +
               '<div class="fgpx-stat">' +
@@ -13607,10 +17962,10 @@
               '</div>' +
               '<div class="fgpx-stat">' +
                 '<span class="fgpx-stat-label" style="display: block; font-size: 12px; color: #666;">Expected File Size:</span>' +
-                '<span class="fgpx-stat-value" id="fgpx-total-size" style="font-weight: bold; color: #007cba;">~' + Math.round(estimateExpectedSizeMbForPreset('medium', trackDurationMinutes)) + 'MB</span>' +
+                '<span class="fgpx-stat-value" id="fgpx-total-size" style="font-weight: bold; color: #007cba;">~' + Math.round(estimateRecordingSizeMb('medium', trackDurationMinutes, 'video')) + 'MB</span>' +
               '</div>' +
             '</div>' +
-            '<div id="fgpx-recording-note" style="margin-top: 12px; font-size: 12px; color: #555; line-height: 1.45;">Export size matches the current player size. Presets adjust bitrate and frame rate. Long recordings may be split into multiple files; supported browsers will offer a folder picker for chunked output.</div>' +
+            '<div id="fgpx-recording-note" style="margin-top: 12px; font-size: 12px; color: #555; line-height: 1.45;">' + RECORDING_FORMAT_NOTES.video + '</div>' +
           '</div>' +
           
           '<div class="fgpx-modal-actions" style="display: flex; gap: 12px; justify-content: flex-end;">' +
@@ -13628,9 +17983,44 @@
         
         // Add event listeners
         var selectedPreset = 'medium';
+        var selectedFormat = 'video';
+        var selectedRenderMode = 'realtime';
+        var fpsSelect = modalContent.querySelector('#fgpx-render-fps');
+
+        // Offline renders use the chosen fixed frame rate instead of the preset's
+        function renderFps(key) {
+          var fps = selectedRenderMode === 'offline' ? parseInt(fpsSelect.value, 10) : VIDEO_QUALITY_PRESETS[key].fps;
+          return selectedFormat === 'gif' ? Math.min(fps, 25) : fps;
+        }
         
         // Preset selection
         var presetCards = modalContent.querySelectorAll('.fgpx-preset-card');
+
+        function refreshEstimates() {
+          presetCards.forEach(function(card) {
+            var key = card.getAttribute('data-preset');
+            var preset = VIDEO_QUALITY_PRESETS[key];
+            var chunks = selectedFormat === 'video' ? estimateExpectedChunkCount(key, trackDurationMinutes) : 1;
+            var specs = card.querySelector('.fgpx-preset-specs');
+            var chunkInfo = card.querySelector('.fgpx-preset-chunks');
+            if (selectedFormat === 'video') {
+              specs.textContent = renderFps(key) + 'fps • ' + Math.round(preset.bitrate / 1000000) + ' Mbps • bitrate profile';
+            } else {
+              specs.textContent = renderFps(key) + 'fps • up to ' + preset.resolution.width + '×' + preset.resolution.height;
+            }
+            card.querySelector('.fgpx-preset-size').textContent = '~' + Math.round(estimateRecordingSizeMb(key, trackDurationMinutes, selectedFormat, renderFps(key))) + 'MB total';
+            chunkInfo.textContent = 'Chunked output: ' + chunks + ' files';
+            chunkInfo.style.display = chunks > 1 ? '' : 'none';
+          });
+          document.getElementById('fgpx-total-size').textContent = '~' + Math.round(estimateRecordingSizeMb(selectedPreset, trackDurationMinutes, selectedFormat, renderFps(selectedPreset))) + 'MB';
+          var note = RECORDING_FORMAT_NOTES[selectedFormat];
+          if (selectedRenderMode === 'offline') {
+            var frames = Math.round(trackDurationMinutes * 60 * renderFps(selectedPreset));
+            note += ' Frame-by-frame rendering captures ' + frames + ' frames at ' + renderFps(selectedPreset) +
+              'fps and waits for map tiles before each one; an ETA is shown while it runs.';
+          }
+          document.getElementById('fgpx-recording-note').textContent = note;
+        }
         presetCards.forEach(function(card) {
           card.addEventListener('click', function() {
             // Remove selection from all cards
@@ -13648,8 +18038,7 @@
             
             // Update preview
             document.getElementById('fgpx-selected-quality').textContent = preset.name;
-            var estimatedSize = estimateExpectedSizeMbForPreset(selectedPreset, trackDurationMinutes);
-            document.getElementById('fgpx-total-size').textContent = '~' + Math.round(estimatedSize) + 'MB';
+            refreshEstimates();
           });
           
           // Select medium by default
@@ -13658,6 +18047,26 @@
           }
         });
         
+        // Output format selection
+        modalContent.querySelectorAll('input[name="fgpx-capture-format"]').forEach(function(input) {
+          input.addEventListener('change', function() {
+            if (!input.checked) return;
+            selectedFormat = input.value;
+            refreshEstimates();
+          });
+        });
+        
+        // Render mode selection
+        modalContent.querySelectorAll('input[name="fgpx-render-mode"]').forEach(function(input) {
+          input.addEventListener('change', function() {
+            if (!input.checked) return;
+            selectedRenderMode = input.value;
+            modalContent.querySelector('#fgpx-render-fps-row').style.display = selectedRenderMode === 'offline' ? '' : 'none';
+            refreshEstimates();
+          });
+        });
+        fpsSelect.addEventListener('change', refreshEstimates);
+        
         // Close button
         modalContent.querySelector('.fgpx-modal-close').addEventListener('click', function() {
           closeModal(null);
@@ -13671,14 +18080,23 @@
         // Start recording button
         modalContent.querySelector('#fgpx-start-recording').addEventListener('click', function() {
           var startButton = modalContent.querySelector('#fgpx-start-recording');
-          var expectedChunkCount = estimateExpectedChunkCount(selectedPreset, trackDurationMinutes);
+          var expectedChunkCount = selectedFormat === 'video' ? estimateExpectedChunkCount(selectedPreset, trackDurationMinutes) : 1;
           startButton.disabled = true;
-          chooseRecordingOutput(expectedChunkCount).then(function(outputConfig) {
-            closeModal({
+          chooseRecordingOutput(expectedChunkCount, selectedFormat).then(function(outputConfig) {
+            var result = {
               preset: selectedPreset,
               expectedChunkCount: expectedChunkCount,
-              outputConfig: outputConfig
-            });
+              outputConfig: outputConfig,
+              renderMode: selectedRenderMode,
+              fps: selectedRenderMode === 'offline' ? parseInt(fpsSelect.value, 10) : null
+            };
+            if (selectedFormat === 'video' && selectedRenderMode === 'realtime') {
+              closeModal(result);
+              return;
+            }
+            // Frame exports and offline renders keep the modal as a docked progress panel
+            result.progressView = dockRecordingProgress(modal, modalContent, selectedFormat);
+            resolve(result);
           }).catch(function(error) {
             startButton.disabled = false;
             DBG.warn('Failed to choose recording output', error);
@@ -13718,20 +18136,22 @@
       }
 
       // Control events
-      ui.controls.btnPlay.addEventListener('click', function () {
+      function playFromControls() {
         var atEnd = privacyEnabled ? (progress >= (privacyEndP - 1e-6)) : (progress >= 1);
         if (atEnd) { reset(); }
         if (!playing && !preloadingInProgress) {
           startPlaybackWithPreload();
         }
-      });
-      ui.controls.btnPause.addEventListener('click', function () { 
+      }
+      function pauseFromControls() {
         setPlaying(false); 
         // Stop recording when manually paused
         if (isRecording && videoRecorder) {
           stopRecording();
         }
-      });
+      }
+      ui.controls.btnPlay.addEventListener('click', playFromControls);
+      ui.controls.btnPause.addEventListener('click', pauseFromControls);
       ui.controls.btnRestart.addEventListener('click', function () { 
         setPlaying(false); 
         // Stop recording when restarting
@@ -13741,6 +18161,7 @@
         reset(); 
       });
       ui.controls.speedSel.addEventListener('change', function (e) { var v = parseFloat(e.target.value || '1'); if (!isFinite(v) || v <= 0) v = 1; speed = v; });
+      ui.controls.cameraSel.addEventListener('change', function (e) { applyCameraMode(e.target.value); });
       
       // Record button handler
       ui.controls.btnRecord.addEventListener('click', function () {
@@ -14294,30 +18715,278 @@
         });
       }
 
+      // Keyboard shortcuts. Only keys pressed while focus is inside the player drive it, so the
+      // single-character keys never fire from elsewhere on the page (WCAG 2.1.4).
+      var SHORTCUT_SEEK_FRACTION = 0.01;
+      var SHORTCUT_SEEK_METERS = 1000;
+      var ANNOUNCE_INTERVAL_MS = 15000;
+      var shortcutI18n = (FGPX && FGPX.i18n) ? FGPX.i18n : {};
+      var lastAnnounceMs = 0;
+      var shortcutHelp = null;
+      var shortcutHelpReturnFocus = null;
+
+      function announce(text) {
+        if (!ui.announcer || !text) return;
+        ui.announcer.textContent = text;
+        lastAnnounceMs = Date.now();
+      }
+
+      // Distance and elevation at the marker. Unforced calls come from playback and are throttled.
+      function announcePosition(force) {
+        if (!force && Date.now() - lastAnnounceMs < ANNOUNCE_INTERVAL_MS) return;
+        var startD = privacyEnabled ? privacyStartD : 0;
+        var dNow = progress * totalDistance;
+        var km = formatNumber(Math.max(0, dNow - startD) / 1000, 2);
+        var c = coords[indexAtDistance(cumDist, dNow)];
+        if (c && typeof c[2] === 'number') {
+          announce(formatI18n(shortcutI18n.announcePosition || '%1$s km, elevation %2$s m', [km, Math.round(c[2])]));
+        } else {
+          announce(formatI18n(shortcutI18n.announceDistance || '%s km', [km]));
+        }
+      }
+
+      function ownsKeyboardEvent(e) {
+        var target = e.target;
+        return !!(target && target.nodeType === 1 && root.contains(target));
+      }
+
+      function isTypingTarget(el) {
+        if (!el || el.nodeType !== 1) return false;
+        var tag = el.tagName;
+        return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || !!el.isContentEditable;
+      }
+
+      function togglePlaybackFromKeyboard() {
+        if (playing) { 
+          setPlaying(false); 
+          // Stop recording when paused via spacebar
+          if (isRecording && videoRecorder) {
+            stopRecording();
+          }
+          announcePosition(true);
+        }
+        else if (!preloadingInProgress) {
+          var atEndKey = privacyEnabled ? (progress >= (privacyEndP - 1e-6)) : (progress >= 1);
+          if (atEndKey) reset();
+          startPlaybackWithPreload();
+        }
+      }
+
+      // Seek by a share of the visible track, or by meters when given
+      function seekByKeyboard(deltaFraction, deltaMeters) {
+        var span = privacyEnabled ? (privacyEndD - privacyStartD) : totalDistance;
+        var delta = deltaMeters ? (span > 0 ? deltaMeters / span : 0) : deltaFraction;
+        seekToFraction(getPlayerState().fraction + delta, true);
+        announcePosition(true);
+      }
+
+      function stepSpeed(direction) {
+        var sel = ui.controls.speedSel;
+        var values = Array.prototype.map.call(sel.options, function(opt) { return Number(opt.value); })
+          .filter(function(v) { return isFinite(v) && v > 0; })
+          .sort(function(a, b) { return a - b; });
+        var next = null;
+        for (var si = 0; si < values.length; si++) {
+          var v = values[direction > 0 ? si : values.length - 1 - si];
+          if (direction > 0 ? v > speed : v < speed) { next = v; break; }
+        }
+        if (next === null) return;
+        speed = next;
+        sel.value = String(next);
+        announce((shortcutI18n.speed || 'Speed') + ' ' + next + 'x');
+      }
+
+      function switchChartTabByNumber(n) {
+        var tabsEl = ui.tabs.tabElevation ? ui.tabs.tabElevation.parentElement : null;
+        if (!tabsEl) return;
+        var visible = Array.prototype.filter.call(tabsEl.querySelectorAll('.fgpx-chart-tab'), function(tab) {
+          return tab.style.display !== 'none';
+        });
+        var tab = visible[n - 1];
+        if (!tab) return;
+        tab.click();
+        announce(tab.textContent);
+      }
+
+      // Steps through the map modes this player offers: contours on and off, then the same with 3D terrain
+      function cycleMapMode() {
+        var modes = contoursModeAvailable ? ['satellite', 'satellite_contours'] : [selectorMode];
+        var terrainStates = terrainToggleAvailable() ? [false, true] : [terrainEnabled];
+        var states = [];
+        terrainStates.forEach(function(t) {
+          modes.forEach(function(m) { states.push({ mode: m, terrain: t }); });
+        });
+        if (states.length < 2) return;
+        var current = 0;
+        for (var mi = 0; mi < states.length; mi++) {
+          if (states[mi].mode === selectorMode && states[mi].terrain === terrainEnabled) { current = mi; break; }
+        }
+        var next = states[(current + 1) % states.length];
+        if (next.mode !== selectorMode) applyMapSelectorMode(next.mode);
+        if (next.terrain !== terrainEnabled) setTerrainEnabled(next.terrain);
+        var label = getMapModeLabel(selectorMode);
+        if (hasTerrain) label += ' + ' + (shortcutI18n.mapModeTerrain || '3D terrain');
+        announce(label);
+      }
+
+      function toggleFullscreen() {
+        try {
+          if (document.fullscreenElement || document.webkitFullscreenElement) {
+            var exit = document.exitFullscreen || document.webkitExitFullscreen;
+            var exited = exit ? exit.call(document) : null;
+            if (exited && typeof exited.catch === 'function') exited.catch(function() {});
+            return;
+          }
+          var request = root.requestFullscreen || root.webkitRequestFullscreen;
+          var requested = request ? request.call(root) : null;
+          if (requested && typeof requested.catch === 'function') requested.catch(function() {});
+        } catch (e) {
+          DBG.warn('Fullscreen toggle failed', e);
+        }
+      }
+
+      function buildShortcutHelp() {
+        var dialog = document.createElement('div');
+        dialog.className = 'fgpx-shortcuts';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', (root.id || 'fgpx') + '-shortcuts-title');
+        dialog.style.display = 'none';
+        var box = document.createElement('div');
+        box.className = 'fgpx-shortcuts-box';
+        var title = document.createElement('h3');
+        title.className = 'fgpx-shortcuts-title';
+        title.id = (root.id || 'fgpx') + '-shortcuts-title';
+        title.textContent = shortcutI18n.shortcutsTitle || 'Keyboard shortcuts';
+        var list = document.createElement('dl');
+        list.className = 'fgpx-shortcuts-list';
+        [
+          [['Space'], shortcutI18n.shortcutPlayPause || 'Play or pause'],
+          [['\u2190', '\u2192'], shortcutI18n.shortcutSeek || 'Seek back or forward by 1%'],
+          [['Shift', '\u2190', '\u2192'], shortcutI18n.shortcutSeekKm || 'Seek back or forward by 1 km'],
+          [['-', '+'], shortcutI18n.shortcutSpeed || 'Slower or faster playback'],
+          [['1', '\u2013', '9'], shortcutI18n.shortcutTabs || 'Switch chart tab'],
+          [['M'], shortcutI18n.shortcutMapMode || 'Switch map mode'],
+          [['F'], shortcutI18n.shortcutFullscreen || 'Toggle fullscreen'],
+          [['?'], shortcutI18n.shortcutHelp || 'Show keyboard shortcuts']
+        ].forEach(function(entry) {
+          var keys = document.createElement('dt');
+          entry[0].forEach(function(key) {
+            var kbd = document.createElement(key === '\u2013' ? 'span' : 'kbd');
+            kbd.textContent = key;
+            keys.appendChild(kbd);
+          });
+          var desc = document.createElement('dd');
+          desc.textContent = entry[1];
+          list.appendChild(keys);
+          list.appendChild(desc);
+        });
+        var close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'fgpx-btn fgpx-shortcuts-close';
+        close.textContent = shortcutI18n.chapterClose || 'Close';
+        close.addEventListener('click', function() { closeShortcutHelp(); });
+        dialog.addEventListener('click', function(ev) { if (ev.target === dialog) closeShortcutHelp(); });
+        box.appendChild(title);
+        box.appendChild(list);
+        box.appendChild(close);
+        dialog.appendChild(box);
+        root.appendChild(dialog);
+        return dialog;
+      }
+
+      function shortcutHelpOpen() {
+        return !!shortcutHelp && shortcutHelp.style.display !== 'none';
+      }
+
+      function openShortcutHelp() {
+        if (!shortcutHelp) shortcutHelp = buildShortcutHelp();
+        shortcutHelpReturnFocus = document.activeElement;
+        shortcutHelp.style.display = 'flex';
+        var close = shortcutHelp.querySelector('.fgpx-shortcuts-close');
+        try { close.focus({ preventScroll: true }); } catch (_) { try { close.focus(); } catch (__) {} }
+      }
+
+      function closeShortcutHelp() {
+        if (!shortcutHelpOpen()) return;
+        shortcutHelp.style.display = 'none';
+        var back = shortcutHelpReturnFocus && root.contains(shortcutHelpReturnFocus) ? shortcutHelpReturnFocus : ui.controls.btnShortcuts;
+        shortcutHelpReturnFocus = null;
+        try { back.focus({ preventScroll: true }); } catch (_) {}
+      }
+
+      ui.controls.btnShortcuts.addEventListener('click', function() {
+        if (shortcutHelpOpen()) closeShortcutHelp(); else openShortcutHelp();
+      });
+
       var onPlayerKeydown = function (e) {
         if (!document.contains(root)) return;
-        if (e.code === 'Space') {
-          e.preventDefault();
-          if (playing) { 
-            setPlaying(false); 
-            // Stop recording when paused via spacebar
-            if (isRecording && videoRecorder) {
-              stopRecording();
+        if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (!ownsKeyboardEvent(e)) return;
+        if (shortcutHelpOpen()) {
+          if (e.key === 'Escape' || e.key === 'Tab' || e.key === '?') {
+            e.preventDefault();
+            if (e.key === 'Tab') {
+              try { shortcutHelp.querySelector('.fgpx-shortcuts-close').focus(); } catch (_) {}
+            } else {
+              closeShortcutHelp();
             }
           }
-          else if (!preloadingInProgress) {
-            var atEndKey = privacyEnabled ? (progress >= (privacyEndP - 1e-6)) : (progress >= 1);
-            if (atEndKey) reset();
-            startPlaybackWithPreload();
-          }
+          return;
+        }
+        var target = e.target;
+        if (isTypingTarget(target)) return;
+        // The map canvas has its own arrow and +/- bindings
+        if (target && target.closest && target.closest('.maplibregl-canvas-container')) return;
+        var onSlider = target === ui.controls.progressBar.parentElement;
+        var onButton = target && target.nodeType === 1 && (target.tagName === 'BUTTON' || target.tagName === 'A');
+        var key = e.key;
+
+        if (e.code === 'Space' || key === ' ') {
+          // Focused buttons activate on space themselves
+          if (onButton) return;
+          e.preventDefault();
+          togglePlaybackFromKeyboard();
+        } else if (key === 'ArrowLeft' || key === 'ArrowRight' || (onSlider && (key === 'ArrowUp' || key === 'ArrowDown'))) {
+          e.preventDefault();
+          var dir = (key === 'ArrowRight' || key === 'ArrowUp') ? 1 : -1;
+          if (e.shiftKey) seekByKeyboard(0, dir * SHORTCUT_SEEK_METERS);
+          else seekByKeyboard(dir * SHORTCUT_SEEK_FRACTION, 0);
+        } else if (onSlider && (key === 'PageUp' || key === 'PageDown')) {
+          e.preventDefault();
+          seekByKeyboard((key === 'PageUp' ? 1 : -1) * SHORTCUT_SEEK_FRACTION * 10, 0);
+        } else if (onSlider && (key === 'Home' || key === 'End')) {
+          e.preventDefault();
+          seekToFraction(key === 'Home' ? 0 : 1, true);
+          announcePosition(true);
+        } else if (key === '+' || key === '=') {
+          e.preventDefault();
+          stepSpeed(1);
+        } else if (key === '-' || key === '_') {
+          e.preventDefault();
+          stepSpeed(-1);
+        } else if (/^[1-9]$/.test(key)) {
+          e.preventDefault();
+          switchChartTabByNumber(Number(key));
+        } else if (key === 'm' || key === 'M') {
+          e.preventDefault();
+          cycleMapMode();
+        } else if (key === 'f' || key === 'F') {
+          e.preventDefault();
+          toggleFullscreen();
+        } else if (key === '?') {
+          e.preventDefault();
+          openShortcutHelp();
         }
       };
       window.addEventListener('keydown', onPlayerKeydown);
       registerTeardown(function() { window.removeEventListener('keydown', onPlayerKeydown); });
 
-      // Click-to-seek on progress bar: move to point in playback and reveal route up to there
-      function seekToFraction(frac) {
+      // Click-to-seek on progress bar: move to point in playback and reveal route up to there.
+      // holdPlayback keeps a not-yet-started player paused instead of starting it.
+      function seekToFraction(frac, holdPlayback) {
         var f = Math.max(0, Math.min(1, frac));
+        resetChapters();
         // Map to privacy window
         if (privacyEnabled) {
           var dSpan = Math.max(0, privacyEndD - privacyStartD);
@@ -14411,6 +19080,7 @@
         appliedBearing = null;
         bearing = null;
         setProgressBar(progress);
+        updateTripDayBox(progress * totalDistance);
         DBG.log('=== SEEKING: About to call updateVisuals with progress:', progress);
         updateVisuals(progress);
         
@@ -14472,7 +19142,7 @@
         } catch (_) {}
         // Preserve playback state when seeking - don't auto-start if was paused
         // Only auto-play if we were already playing or if this is the first play
-        if (!playing && firstPlayZoomPending) {
+        if (!playing && firstPlayZoomPending && !holdPlayback) {
           zoomInThenStartPlayback();
         } else if (playing) {
           // If we were playing, continue playing after seek
@@ -14510,8 +19180,453 @@
         }
       }
 
+      // Player API: progress/segment notifications and the bound implementation
+      var apiLastDistance = null;
+      var apiSegmentIndex = -1;
+      function notifyPlayerPosition(d) {
+        if (!playerController) return;
+        if (playerController.hasListeners('progress') && d !== apiLastDistance) {
+          apiLastDistance = d;
+          playerController.emit('progress', getPlayerState());
+        }
+        if (playerController.hasListeners('segment')) {
+          var climbs = [];
+          try { climbs = getSegmentAnalysis().climbs; } catch (_) {}
+          var idx = -1;
+          for (var si = 0; si < climbs.length; si++) {
+            if (d >= climbs[si].startDistance && d < climbs[si].endDistance) { idx = si; break; }
+          }
+          if (idx !== apiSegmentIndex) {
+            apiSegmentIndex = idx;
+            if (idx >= 0) playerController.emit('segment', { index: idx, segment: Object.assign({}, climbs[idx]) });
+          }
+        }
+      }
+
+      function getPlayerState() {
+        var startD = privacyEnabled ? privacyStartD : 0;
+        var endD = privacyEnabled ? privacyEndD : totalDistance;
+        var dNow = progress * totalDistance;
+        return {
+          ready: true,
+          playing: playing,
+          fraction: endD > startD ? Math.max(0, Math.min(1, (dNow - startD) / (endD - startD))) : 0,
+          distance: dNow,
+          totalDistance: totalDistance,
+          time: hasTimestamps ? timeOffsetAtDistance(dNow) : null,
+          speed: speed,
+          mapMode: selectorMode,
+          cameraMode: cameraMode
+        };
+      }
+
+      function apiSeekFraction(target) {
+        var startD = privacyEnabled ? privacyStartD : 0;
+        var endD = privacyEnabled ? privacyEndD : totalDistance;
+        var span = endD - startD;
+        if (typeof target === 'number') return target;
+        if (!target || typeof target !== 'object') return null;
+        if (isFinite(Number(target.fraction))) return Number(target.fraction);
+        var dTarget = null;
+        if (isFinite(Number(target.distance))) dTarget = Number(target.distance);
+        else if (isFinite(Number(target.time)) && hasTimestamps) dTarget = distanceAtTimeOffset(Number(target.time));
+        if (dTarget === null) return null;
+        return span > 0 ? (dTarget - startD) / span : 0;
+      }
+
+      // Live tracking: grow the running player with appended points. Everything that
+      // derives from the per-point arrays is extended or rebuilt here, so the player
+      // keeps its map, chart and playback state instead of going through destroyRuntime.
+      var liveLastSeenMs = NaN;
+
+      function extendTrack(points) {
+        var before = coords.length;
+        var view = {
+          coordinates: coords,
+          properties: { cumulativeDistance: cumDist, timestamps: timestamps, heartRates: heartRates, cadences: cadences, temperatures: temperatures, powers: powers }
+        };
+        var added = appendLivePoints(view, points);
+        if (!added) return 0;
+        var endP = privacyEnabled ? privacyEndP : 1;
+        var followEdge = !playing && !preloadingInProgress && progress >= endP - 1e-6;
+        var oldTotal = totalDistance;
+
+        (view.properties.gaps || []).forEach(function(g) {
+          routeGaps = routeGaps || {};
+          routeGaps[g] = true;
+        });
+        totalDistance = cumDist[cumDist.length - 1];
+        if (timeOffsets && timestamps && timestamps.length === coords.length) {
+          for (var ti = before; ti < coords.length; ti++) {
+            var tMs = Date.parse(timestamps[ti]);
+            var tSec = (isNaN(tMs) || isNaN(trackStartTimestampMs)) ? timeOffsets[ti - 1] : Math.max(timeOffsets[ti - 1], (tMs - trackStartTimestampMs) / 1000);
+            timeOffsets.push(tSec);
+            if (movingTimeOffsets && movingTimeOffsets !== timeOffsets) movingTimeOffsets.push(tSec);
+          }
+          totalDuration = timeOffsets[timeOffsets.length - 1];
+          hasTimestamps = isFinite(totalDuration) && totalDuration > 0.5;
+        }
+        var tSeries = useTime ? (Array.isArray(movingTimeOffsets) ? movingTimeOffsets : timeOffsets) : null;
+        for (var ni = before; ni < coords.length; ni++) {
+          var eNew = typeof coords[ni][2] === 'number' ? coords[ni][2] : 0;
+          elev.push(eNew);
+          if (typeof coords[ni][2] === 'number' && eNew > maxElevVal) { maxElevVal = eNew; maxElevIdx = ni; }
+          // xVals is the time series itself when charting over time
+          if (!useTime) xVals.push(cumDist[ni] / 1000);
+          if (speedSeries && tSeries) {
+            var spNew = (Math.max(0, cumDist[ni] - cumDist[ni - 1]) / Math.max(1e-3, tSeries[ni] - tSeries[ni - 1])) * 3.6;
+            speedSeries.push(spNew);
+            if (spNew / 3.6 > maxSpeedVal) { maxSpeedVal = spNew / 3.6; maxSpeedIdx = ni; }
+          }
+        }
+        xMax = xVals.length > 0 ? xVals[xVals.length - 1] : 1;
+
+        var lastTime = timestamps ? Date.parse(timestamps[timestamps.length - 1]) : NaN;
+        if (!isNaN(lastTime)) liveLastSeenMs = lastTime;
+        updateLivePrivacyWindow();
+        // progress is a fraction of the total distance; keep the marker where it is
+        if (totalDistance > 0) progress = Math.min(1, progress * oldTotal / totalDistance);
+        refreshTrackGeometry();
+        fullBoundsRef = boundsFromCoords(coords);
+        innerBoundsRef = null;
+        try {
+          ui.stats.dist.innerHTML = '<strong>' + formatNumber(totalDistance / 1000, 2) + '</strong> km';
+          if (hasTimestamps) ui.stats.time.innerHTML = '<strong>' + formatTime(totalDuration) + '</strong> time';
+        } catch (_) {}
+        try {
+          var ticks = ui.controls.progressBar.parentElement.querySelectorAll('.fgpx-chapter-tick');
+          if (ticks.length === chapters.length) {
+            for (var tk = 0; tk < ticks.length; tk++) ticks[tk].style.left = (chapterFraction(chapters[tk]) * 100) + '%';
+          }
+        } catch (_) {}
+
+        // Chart series are built lazily from the arrays above; drop the processed copies
+        Object.keys(chartDataCache).forEach(function(key) { chartDataCache[key] = key === 'processed' ? {} : null; });
+        points = getChartData('elevation');
+        speedPoints = null;
+        heartRatePoints = null;
+        cadencePoints = null;
+        temperaturePoints = null;
+        sunAltitudePoints = null;
+        moonAltitudePoints = null;
+        powerPoints = null;
+        windSpeedPoints = null;
+        windImpactPoints = null;
+        segmentsCache = null;
+        dataTableCache = null;
+        if (chart && typeof createChart === 'function') {
+          try { createChart(currentChartTab); } catch (e) { DBG.warn('Live tracking: chart refresh failed', e); }
+        }
+        if (currentChartTab === 'datatable') renderDataTablePanel();
+        if (ui.routeSummary && ui.routeSummary.open) renderRouteSummary();
+
+        if (followEdge) {
+          seekToFraction(1, true);
+        } else {
+          setProgressBar(progress);
+        }
+        emitPlayerEvent('live', { added: added, totalDistance: totalDistance, lastSeen: isNaN(liveLastSeenMs) ? null : new Date(liveLastSeenMs).toISOString() });
+        return added;
+      }
+
+      // While the ride is in progress the newest position is the point of a live track, so the
+      // privacy window only trims the start. Once no point has arrived for LIVE_STALE_MS the ride
+      // counts as finished and the configured end trim applies again. Returns true on a change.
+      function updateLivePrivacyWindow() {
+        if (!privacyEnabled || !(totalDistance > 0)) return false;
+        var finished = !isNaN(liveLastSeenMs) && Date.now() - liveLastSeenMs > LIVE_STALE_MS;
+        var endD = finished ? Math.max(privacyStartD, totalDistance - privacyMeters) : totalDistance;
+        var changed = endD !== privacyEndD;
+        privacyEndD = endD;
+        privacyStartP = privacyStartD / totalDistance;
+        privacyEndP = privacyEndD / totalDistance;
+        return changed;
+      }
+
+      // Rebuild the background route, its arrows and the gradient/metric coloring for the grown track
+      function refreshTrackGeometry() {
+        var startIdx = 0;
+        var endIdx = coords.length - 1;
+        var trimEnd = privacyEnabled && privacyEndD < totalDistance;
+        if (privacyEnabled) {
+          var lo = 0, hi = cumDist.length - 1;
+          while (lo < hi) { var mid = (lo + hi) >>> 1; if (cumDist[mid] < privacyStartD) lo = mid + 1; else hi = mid; }
+          startIdx = Math.max(0, lo - 1);
+        }
+        if (trimEnd) {
+          var loE = 0, hiE = cumDist.length - 1;
+          while (loE < hiE) { var midE = (loE + hiE) >>> 1; if (cumDist[midE] < privacyEndD) loE = midE + 1; else hiE = midE; }
+          endIdx = Math.max(startIdx + 1, loE);
+        }
+        baseCoords = coords.slice(startIdx, endIdx + 1).map(function(c) { return c.slice(0, 2); });
+        if (privacyEnabled && baseCoords.length > 0) baseCoords[0] = positionAtDistance(privacyStartD).slice(0, 2);
+        if (trimEnd && baseCoords.length > 1) baseCoords[baseCoords.length - 1] = positionAtDistance(privacyEndD).slice(0, 2);
+        baseStartIdx = startIdx;
+        if (progressiveSmoothedGradients) {
+          progressiveGradients = calculateGradients(coords, cumDist);
+          progressiveSmoothedGradients = smoothGradients(progressiveGradients, 5);
+        }
+        if (routeColorScheme) {
+          delete routeColorSchemes[routeColorBy];
+          routeColorScheme = buildRouteColorScheme(routeColorBy) || routeColorScheme;
+        }
+        try {
+          routeData.geometry = smoothedRouteGeometry(1);
+          var routeSrc = map.getSource('fgpx-route');
+          if (routeSrc) routeSrc.setData(routeData);
+          var arrowsSrc = map.getSource('fgpx-route-arrows-src');
+          if (arrowsSrc) arrowsSrc.setData({ type: 'Feature', geometry: smoothedRouteGeometry(2) });
+        } catch (e) {
+          DBG.warn('Live tracking: route update failed', e);
+        }
+        progressNeedLineInit = true;
+        progressLineCooldown = 0;
+      }
+
       // Initial visuals
       reset();
+
+      if (playerController) {
+        playerController.bind({
+          play: playFromControls,
+          pause: pauseFromControls,
+          seek: function(target) {
+            var frac = apiSeekFraction(target);
+            if (frac === null || !isFinite(frac)) {
+              DBG.warn('Player API seek(): expected a fraction or {fraction|distance|time}', target);
+              return;
+            }
+            seekToFraction(frac, true);
+          },
+          setSpeed: function(multiplier) {
+            var v = Number(multiplier);
+            if (!isFinite(v) || v <= 0) return;
+            speed = v;
+            var sel = ui.controls.speedSel;
+            var value = String(v);
+            var hasOption = Array.prototype.some.call(sel.options, function(opt) { return opt.value === value; });
+            if (!hasOption) {
+              var opt = document.createElement('option');
+              opt.value = value;
+              opt.textContent = value + 'x';
+              sel.appendChild(opt);
+            }
+            sel.value = value;
+          },
+          setMapMode: applyMapSelectorMode,
+          setCameraMode: applyCameraMode,
+          showSegment: function(range) {
+            var from = Number(range && range.start);
+            var to = Number(range && range.end);
+            if (!isFinite(from) || !isFinite(to)) {
+              DBG.warn('Player API showSegment(): expected {start, end} in meters', range);
+              return;
+            }
+            var lo = Math.max(privacyEnabled ? privacyStartD : 0, Math.min(from, to));
+            var hi = Math.min(privacyEnabled ? privacyEndD : totalDistance, Math.max(from, to));
+            if (hi < lo) return;
+            // The highlight runs through the points strictly between both ends
+            var startIndex = indexAtDistance(cumDist, lo);
+            if (cumDist[startIndex] > lo) startIndex = Math.max(0, startIndex - 1);
+            selectSegment({ type: 'segment', startDistance: lo, endDistance: hi, startIndex: startIndex, endIndex: indexAtDistance(cumDist, hi) });
+          },
+          appendPoints: function(points) {
+            if (!Array.isArray(points)) {
+              DBG.warn('Player API appendPoints(): expected an array of points', points);
+              return;
+            }
+            extendTrack(points);
+          },
+          getState: getPlayerState,
+          destroy: function() {
+            destroyRuntime();
+            try { map.remove(); } catch (_) {}
+            root.innerHTML = '';
+            root.removeAttribute('data-fgpx-initialized');
+          }
+        });
+        registerTeardown(function() { playerController.release(); });
+
+        // Record links from the stats dashboard: #fgpx-segment=<track id>:<start m>-<end m>
+        var segmentLink = /(?:^#|&)fgpx-segment=(\d+):(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)/.exec(String(window.location.hash || ''));
+        if (segmentLink && segmentLink[1] === String(trackId)) {
+          playerController.api.showSegment({ start: Number(segmentLink[2]), end: Number(segmentLink[3]) });
+          try { root.scrollIntoView({ block: 'center' }); } catch (_) {}
+        }
+      }
+
+      // Scrollytelling: the reading line (viewport middle) walks through the marked sections.
+      // Entering a section seeks there and flies the camera in; scrolling within a section
+      // moves the marker towards the next section's anchor. Pressing Play hands control back.
+      if (scrollDriven) {
+        var scrollSections = collectScrollSections(root, waypoints);
+        var scrollSectionIndex = null;
+        var scrollLastDistance = null;
+        var scrollFlightUntil = 0;
+        var scrollRafId = null;
+        var scrollFlightTimer = null;
+        var scrollFlightMs = 1200;
+
+        var scrollFractionAt = function(d) {
+          var startD = privacyEnabled ? privacyStartD : 0;
+          var endD = privacyEnabled ? privacyEndD : totalDistance;
+          return endD > startD ? (d - startD) / (endD - startD) : 0;
+        };
+
+        var applyScrollPosition = function() {
+          scrollRafId = null;
+          if (playing || preloadingInProgress) return;
+          var now = Date.now();
+          if (now < scrollFlightUntil) {
+            // Let the section flight finish; jumpTo would cancel it
+            if (!scrollFlightTimer) {
+              scrollFlightTimer = setTimeout(function() { scrollFlightTimer = null; requestScrollUpdate(); }, scrollFlightUntil - now);
+            }
+            return;
+          }
+          var pos = scrollSectionPosition(scrollSections, (window.innerHeight || 0) * 0.5);
+          if (pos.index !== scrollSectionIndex) {
+            var returningToOverview = scrollSectionIndex !== null;
+            scrollSectionIndex = pos.index;
+            scrollLastDistance = pos.distance;
+            if (pos.index < 0) {
+              // Above the first section: back to the route overview (reset() already ran on load)
+              if (returningToOverview) {
+                reset();
+                fitMapToBounds(scrollFlightMs);
+                scrollFlightUntil = now + scrollFlightMs;
+              }
+              return;
+            }
+            var from = null;
+            try { from = map.getCenter(); } catch (_) {}
+            // Seek resets photo state and queues the photos at the section anchor
+            seekToFraction(scrollFractionAt(pos.distance), true);
+            try {
+              if (from) map.jumpTo({ center: from });
+              var sectionView = cameraModeView(pos.distance);
+              map.flyTo({
+                center: cameraCenterAtDistance(pos.distance, sectionView),
+                zoom: sectionView.zoom,
+                pitch: sectionView.pitch,
+                bearing: cameraBearingAtDistance(pos.distance),
+                duration: scrollFlightMs
+              });
+              scrollFlightUntil = now + scrollFlightMs;
+            } catch (_) {}
+            return;
+          }
+          if (pos.index < 0 || pos.distance === scrollLastDistance) return;
+          scrollLastDistance = pos.distance;
+          progress = Math.max(0, Math.min(1, pos.distance / totalDistance));
+          progressNeedLineInit = true;
+          progressLineCooldown = 0;
+          lastPlaybackDist = pos.distance;
+          setProgressBar(progress);
+          updateVisuals(progress);
+          try {
+            map.jumpTo({ center: cameraCenterAtDistance(pos.distance, cameraModeView(pos.distance)), bearing: cameraBearingAtDistance(pos.distance) });
+            if (chart) chart.update('none');
+          } catch (_) {}
+        };
+
+        var requestScrollUpdate = function() {
+          if (scrollRafId) return;
+          scrollRafId = window.requestAnimationFrame(applyScrollPosition);
+        };
+
+        if (scrollSections.length > 0) {
+          hideSplash();
+          window.addEventListener('scroll', requestScrollUpdate, { passive: true });
+          window.addEventListener('resize', requestScrollUpdate);
+          registerTeardown(function() {
+            window.removeEventListener('scroll', requestScrollUpdate);
+            window.removeEventListener('resize', requestScrollUpdate);
+            if (scrollRafId) window.cancelAnimationFrame(scrollRafId);
+            if (scrollFlightTimer) clearTimeout(scrollFlightTimer);
+            root.classList.remove('fgpx-scroll-driven');
+          });
+          requestScrollUpdate();
+        } else {
+          DBG.warn('scroll_driven is on but no [data-fgpx-km] / [data-fgpx-waypoint] sections were found');
+        }
+      }
+
+      // Live tracking: start at the newest position, poll for appended points and
+      // show how long ago the rider was last seen. Play replays the ride so far;
+      // once playback reaches the end the camera follows new points again.
+      if (liveMode) {
+        var liveI18n = (FGPX && FGPX.i18n) ? FGPX.i18n : {};
+        var liveSince = (payload.live && isFinite(Number(payload.live.since))) ? Number(payload.live.since) : 0;
+        var liveIntervalMs = Math.max(5, Number(FGPX.liveInterval) || 15) * 1000;
+        var livePollTimer = null;
+        var liveBadgeTimer = null;
+        if (payload.live && payload.live.lastSeen) liveLastSeenMs = Date.parse(payload.live.lastSeen);
+        if (isNaN(liveLastSeenMs) && Array.isArray(timestamps) && timestamps.length) liveLastSeenMs = Date.parse(timestamps[timestamps.length - 1]);
+
+        var liveBadge = document.createElement('div');
+        liveBadge.className = 'fgpx-live-badge';
+        liveBadge.setAttribute('role', 'status');
+        var liveBadgeLabel = document.createElement('strong');
+        liveBadgeLabel.textContent = liveI18n.liveBadge || 'Live';
+        var liveBadgeText = document.createElement('span');
+        liveBadgeText.className = 'fgpx-live-last-seen';
+        liveBadge.appendChild(liveBadgeLabel);
+        liveBadge.appendChild(liveBadgeText);
+        ui.mapEl.appendChild(liveBadge);
+
+        var updateLiveBadge = function() {
+          if (isNaN(liveLastSeenMs)) {
+            liveBadgeText.textContent = '';
+            return;
+          }
+          var now = Date.now();
+          liveBadgeText.textContent = formatLastSeen(liveLastSeenMs, now, liveI18n);
+          liveBadge.classList.toggle('fgpx-live-stale', now - liveLastSeenMs > LIVE_STALE_MS);
+          // A ride that went quiet gets its end trimmed again; keep the marker inside the window
+          if (updateLivePrivacyWindow()) {
+            refreshTrackGeometry();
+            if (progress > privacyEndP) seekToFraction(1, true);
+            else setProgressBar(progress);
+          }
+        };
+
+        var scheduleLivePoll = function() {
+          if (runtimeDestroyed) return;
+          livePollTimer = setTimeout(pollLive, liveIntervalMs);
+        };
+
+        var pollLive = function() {
+          livePollTimer = null;
+          // Background tabs skip a round; the next visible poll catches up via the cursor
+          if (document.visibilityState === 'hidden') {
+            scheduleLivePoll();
+            return;
+          }
+          fetchLivePoints(FGPX, trackId, liveSince)
+            .then(function(res) {
+              if (runtimeDestroyed || !res) return;
+              if (isFinite(Number(res.total))) liveSince = Number(res.total);
+              extendTrack(Array.isArray(res.points) ? res.points : []);
+              if (res.lastSeen && !isNaN(Date.parse(res.lastSeen))) liveLastSeenMs = Date.parse(res.lastSeen);
+              updateLiveBadge();
+            })
+            .catch(function(e) { DBG.warn('Live tracking poll failed', e); })
+            .then(scheduleLivePoll);
+        };
+
+        if (updateLivePrivacyWindow()) refreshTrackGeometry();
+        hideSplash();
+        seekToFraction(1, true);
+        updateLiveBadge();
+        liveBadgeTimer = setInterval(updateLiveBadge, 30000);
+        scheduleLivePoll();
+        registerTeardown(function() {
+          if (livePollTimer) clearTimeout(livePollTimer);
+          if (liveBadgeTimer) clearInterval(liveBadgeTimer);
+          if (liveBadge.parentNode) liveBadge.parentNode.removeChild(liveBadge);
+        });
+      }
     });
   }
 
@@ -14545,6 +19660,12 @@
 
   window.FGPX = window.FGPX || {};
   window.FGPX.initContainer = initContainer;
+  window.FGPX.players = window.FGPX.players || {};
+  // Player API handle for a container id or element (null until the container initializes)
+  window.FGPX.player = function(target) {
+    var el = typeof target === 'string' ? document.getElementById(target) : target;
+    return (el && el.__fgpxPlayer) ? el.__fgpxPlayer.api : null;
+  };
 
   if (window.FGPX && window.FGPX.deferViewport) {
     // Lazy: expose boot for loader
@@ -14564,6 +19685,30 @@
 
   // Expose VideoRecorder for tests and browser
   window.VideoRecorder = VideoRecorder;
+  // Pure helpers, exposed once for unit tests rather than as one global per feature
+  window.FGPX.internals = {
+    frameEncoders: { GifEncoder: GifEncoder, buildStoredZip: buildStoredZip, crc32: crc32 },
+    segmentAnalysis: { detectClimbSegments: detectClimbSegments, computeLaps: computeLaps, autoLapMeters: autoLapMeters, climbCategory: climbCategory },
+    heartRateZones: { resolveHrZones: resolveHrZones, hrZoneIndex: hrZoneIndex, hrZoneSeconds: hrZoneSeconds },
+    routeColoring: {
+      normalizeRouteColorBy: normalizeRouteColorBy,
+      createHeatmapColorRamp: createHeatmapColorRamp,
+      routeColorRange: routeColorRange,
+      routeColorBucketValues: routeColorBucketValues
+    },
+    camera: {
+      normalizeCameraMode: normalizeCameraMode,
+      cinematicZoomOffset: cinematicZoomOffset,
+      normalizeCameraKeyframes: normalizeCameraKeyframes,
+      cameraKeyframeAt: cameraKeyframeAt
+    },
+    terrain: { demSource: terrainDemSource, clearancePitch: terrainClearancePitch },
+    trip: { normalizeDays: normalizeTripDays, stitch: stitchTripPayloads },
+    dataTable: { sortRows: sortDataRows, toCsv: dataTableCsv },
+    trackCacheCodec: { encode: encodeTrackPayload, decode: decodeTrackPayload }
+  };
+  // Track payload cache shared by the shortcode, gallery and timeline players
+  window.FGPX.trackCache = { get: trackCacheGet, set: trackCacheSet, evict: trackCacheEvict, clear: trackCacheClear };
 
 })();
 
@@ -342,6 +342,261 @@
     return out;
   }
 
+  // Faceted filters. The parameter names are shared by the /gallery/tracks request
+  // (server mode) and the URL hash (#gallery?activity=hiking&distance_min=10) used for sharing.
+  var RANGE_FACETS = [
+    { key: 'distance', field: 'distanceKm', step: 1, label: 'filterDistance', fallback: 'Distance (km)' },
+    { key: 'gain', field: 'elevationGainM', step: 50, label: 'filterGain', fallback: 'Elevation gain (m)' },
+    { key: 'duration', field: 'durationS', step: 900, label: 'filterDuration', fallback: 'Duration (h)' }
+  ];
+  var LIST_FACETS = [
+    { key: 'activity', field: 'activityType', label: 'filterActivity', fallback: 'Activity' },
+    { key: 'region', field: 'region', label: 'filterRegion', fallback: 'Region' },
+    { key: 'tags', field: 'tags', label: 'filterTags', fallback: 'Tags and categories' }
+  ];
+  var FILTER_HASH_PREFIX = '#gallery?';
+
+  function emptyFilters() {
+    var filters = { date_from: '', date_to: '' };
+    LIST_FACETS.forEach(function (facet) {
+      filters[facet.key] = [];
+    });
+    RANGE_FACETS.forEach(function (facet) {
+      filters[facet.key + '_min'] = null;
+      filters[facet.key + '_max'] = null;
+    });
+    return filters;
+  }
+
+  function countActiveFilters(filters) {
+    var count = 0;
+    LIST_FACETS.forEach(function (facet) {
+      count += filters[facet.key].length;
+    });
+    if (filters.date_from) {
+      count++;
+    }
+    if (filters.date_to) {
+      count++;
+    }
+    RANGE_FACETS.forEach(function (facet) {
+      if (filters[facet.key + '_min'] !== null || filters[facet.key + '_max'] !== null) {
+        count++;
+      }
+    });
+    return count;
+  }
+
+  function trackFacetLabels(track, facet) {
+    var value = track[facet.field];
+    if (Array.isArray(value)) {
+      return value;
+    }
+    return value ? [value] : [];
+  }
+
+  function trackFacetKeys(track, facet) {
+    var keys = [];
+    trackFacetLabels(track, facet).forEach(function (value) {
+      var key = normalize(value);
+      if (key && keys.indexOf(key) === -1) {
+        keys.push(key);
+      }
+    });
+    return keys;
+  }
+
+  function dateParamToTs(value, endOfDay) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value || ''))) {
+      return null;
+    }
+    var ms = Date.parse(value + 'T00:00:00Z');
+    if (!isFinite(ms)) {
+      return null;
+    }
+    return ms / 1000 + (endOfDay ? 86399 : 0);
+  }
+
+  // skipFacet leaves one facet out; that is how its option counts are computed
+  function matchesFilters(track, filters, skipFacet) {
+    var listOk = LIST_FACETS.every(function (facet) {
+      if (facet.key === skipFacet || !filters[facet.key].length) {
+        return true;
+      }
+      var keys = trackFacetKeys(track, facet);
+      return filters[facet.key].some(function (key) {
+        return keys.indexOf(key) !== -1;
+      });
+    });
+    if (!listOk) {
+      return false;
+    }
+
+    var rangeOk = RANGE_FACETS.every(function (facet) {
+      var value = Number(track[facet.field]) || 0;
+      var min = filters[facet.key + '_min'];
+      var max = filters[facet.key + '_max'];
+      return (min === null || value >= min) && (max === null || value <= max);
+    });
+    if (!rangeOk) {
+      return false;
+    }
+
+    var from = dateParamToTs(filters.date_from, false);
+    var to = dateParamToTs(filters.date_to, true);
+    var dateTs = Number(track.dateTs) || 0;
+    return (from === null || dateTs >= from) && (to === null || dateTs <= to);
+  }
+
+  // Same shape as the facets of a /gallery/tracks response: options and ranges come
+  // from all tracks so the controls stay put; counts come from the searched tracks.
+  function computeFacets(allTracks, candidates, filters) {
+    var options = {};
+    var ranges = {};
+    LIST_FACETS.forEach(function (facet) {
+      options[facet.key] = {};
+    });
+
+    allTracks.forEach(function (track) {
+      LIST_FACETS.forEach(function (facet) {
+        trackFacetLabels(track, facet).forEach(function (label) {
+          var key = normalize(label);
+          if (key && !options[facet.key][key]) {
+            options[facet.key][key] = { value: key, label: String(label).trim(), count: 0 };
+          }
+        });
+      });
+      RANGE_FACETS.forEach(function (facet) {
+        var value = Number(track[facet.field]) || 0;
+        if (!ranges[facet.key]) {
+          ranges[facet.key] = { min: value, max: value };
+        }
+        ranges[facet.key].min = Math.min(ranges[facet.key].min, value);
+        ranges[facet.key].max = Math.max(ranges[facet.key].max, value);
+      });
+      var dateTs = Number(track.dateTs) || 0;
+      if (dateTs > 0) {
+        var date = new Date(dateTs * 1000).toISOString().slice(0, 10);
+        if (!ranges.date) {
+          ranges.date = { min: date, max: date };
+        }
+        if (date < ranges.date.min) {
+          ranges.date.min = date;
+        }
+        if (date > ranges.date.max) {
+          ranges.date.max = date;
+        }
+      }
+    });
+
+    candidates.forEach(function (track) {
+      LIST_FACETS.forEach(function (facet) {
+        if (!matchesFilters(track, filters, facet.key)) {
+          return;
+        }
+        trackFacetKeys(track, facet).forEach(function (key) {
+          if (options[facet.key][key]) {
+            options[facet.key][key].count++;
+          }
+        });
+      });
+    });
+
+    function toList(map) {
+      return Object.keys(map).map(function (key) {
+        return map[key];
+      }).sort(function (a, b) {
+        return a.label.localeCompare(b.label);
+      });
+    }
+
+    var facets = { ranges: ranges };
+    LIST_FACETS.forEach(function (facet) {
+      facets[facet.key] = toList(options[facet.key]);
+    });
+    return facets;
+  }
+
+  function filtersToParams(filters) {
+    var params = {};
+    LIST_FACETS.forEach(function (facet) {
+      params[facet.key] = filters[facet.key].join(',');
+    });
+    params.date_from = filters.date_from;
+    params.date_to = filters.date_to;
+    RANGE_FACETS.forEach(function (facet) {
+      params[facet.key + '_min'] = filters[facet.key + '_min'];
+      params[facet.key + '_max'] = filters[facet.key + '_max'];
+    });
+    return params;
+  }
+
+  function readFilterHash() {
+    var hash = String(window.location.hash || '');
+    if (hash.indexOf(FILTER_HASH_PREFIX) !== 0) {
+      return null;
+    }
+
+    var state = { filters: emptyFilters(), search: '', sort: '' };
+    hash.slice(FILTER_HASH_PREFIX.length).split('&').forEach(function (pair) {
+      var eq = pair.indexOf('=');
+      if (eq <= 0) {
+        return;
+      }
+      var key = pair.slice(0, eq);
+      var value;
+      try {
+        value = decodeURIComponent(pair.slice(eq + 1).replace(/\+/g, ' '));
+      } catch (_) {
+        return;
+      }
+
+      if (key === 'search') {
+        state.search = normalize(value);
+      } else if (key === 'sort') {
+        state.sort = value;
+      } else if (Array.isArray(state.filters[key])) {
+        state.filters[key] = value.split(',').map(normalize).filter(Boolean);
+      } else if (key === 'date_from' || key === 'date_to') {
+        state.filters[key] = dateParamToTs(value, false) !== null ? value : '';
+      } else if (Object.prototype.hasOwnProperty.call(state.filters, key) && value !== '' && isFinite(Number(value))) {
+        state.filters[key] = Number(value);
+      }
+    });
+    return state;
+  }
+
+  function writeFilterHash(filters, search, sort, defaultSort) {
+    if (!window.history || typeof window.history.replaceState !== 'function') {
+      return;
+    }
+
+    var params = filtersToParams(filters);
+    params.search = search;
+    params.sort = sort !== defaultSort ? sort : '';
+    var query = Object.keys(params).filter(function (key) {
+      return params[key] !== null && params[key] !== '';
+    }).map(function (key) {
+      return key + '=' + encodeURIComponent(String(params[key]));
+    }).join('&');
+
+    // Leave #track-ID and other hashes alone until there is filter state to share
+    if (!query && String(window.location.hash || '').indexOf(FILTER_HASH_PREFIX) !== 0) {
+      return;
+    }
+    var base = String(window.location.href).split('#')[0];
+    window.history.replaceState(window.history.state, '', query ? base + FILTER_HASH_PREFIX + query : base);
+  }
+
+  function formatFacetValue(facetKey, value) {
+    if (facetKey === 'duration') {
+      var minutes = Math.round(value / 60);
+      var rest = minutes % 60;
+      return Math.floor(minutes / 60) + ':' + (rest < 10 ? '0' : '') + rest;
+    }
+    return String(Math.round(value));
+  }
+
   function buildCard(track, strings, listMode, activeId) {
     var isActive = activeId != null && Number(track.id) === Number(activeId);
     var imageUrl = String(track.previewImageUrl || '');
@@ -552,7 +807,10 @@
       }
       window.FGPX.instances[playerId] = Object.assign({}, cfg.playerConfig || {}, autoSpeedOverride, {
         galleryPhotoStrategy: 'latest_embed',
-        gpxDownloadUrl: track.gpxDownloadUrl || ''
+        gpxDownloadUrl: track.gpxDownloadUrl || '',
+        photoCacheVersion: track.photoCacheVersion || '0',
+        trackModified: track.trackModified || '',
+        payloadVersion: track.payloadVersion || ''
       });
 
       if (window.FGPX && window.FGPX.debugEnabled) {
@@ -614,6 +872,254 @@
     }
   }
 
+  var MAP_ROUTE_COLOR = '#25ceff';
+  var MAP_HIGHLIGHT_COLOR = '#ff7a3d';
+
+  function getDefaultMapStyle() {
+    return {
+      version: 8,
+      sources: {
+        osm: {
+          type: 'raster',
+          tiles: ['https://tile.openstreetmap.org/{z}/{x}/{y}.png'],
+          tileSize: 256,
+          attribution: '&copy; OpenStreetMap contributors'
+        }
+      },
+      layers: [
+        {
+          id: 'osm',
+          type: 'raster',
+          source: 'osm'
+        }
+      ]
+    };
+  }
+
+  function getRouteParts(track) {
+    if (!track || !Array.isArray(track.route)) {
+      return [];
+    }
+    return track.route.filter(function (part) {
+      return Array.isArray(part) && part.length > 1;
+    });
+  }
+
+  function buildRouteCollections(tracks) {
+    var lines = [];
+    var starts = [];
+    tracks.forEach(function (track) {
+      var parts = getRouteParts(track);
+      if (!parts.length) {
+        return;
+      }
+      var id = Number(track.id);
+      lines.push({ type: 'Feature', geometry: { type: 'MultiLineString', coordinates: parts }, properties: { id: id } });
+      starts.push({ type: 'Feature', geometry: { type: 'Point', coordinates: parts[0][0] }, properties: { id: id } });
+    });
+    return {
+      lines: { type: 'FeatureCollection', features: lines },
+      starts: { type: 'FeatureCollection', features: starts }
+    };
+  }
+
+  function getRoutesBounds(tracks) {
+    var bounds = null;
+    tracks.forEach(function (track) {
+      getRouteParts(track).forEach(function (part) {
+        part.forEach(function (point) {
+          var lon = Number(point[0]);
+          var lat = Number(point[1]);
+          if (!bounds) {
+            bounds = [[lon, lat], [lon, lat]];
+            return;
+          }
+          bounds[0][0] = Math.min(bounds[0][0], lon);
+          bounds[0][1] = Math.min(bounds[0][1], lat);
+          bounds[1][0] = Math.max(bounds[1][0], lon);
+          bounds[1][1] = Math.max(bounds[1][1], lat);
+        });
+      });
+    });
+    return bounds;
+  }
+
+  // One MapLibre map with every track as a line and a clustered start marker.
+  // Hovering shows the track card in a popup, clicking hands the track to onSelect.
+  function createTrackMap(container, cfg, strings, onSelect) {
+    var maplibregl = window.maplibregl;
+    if (!maplibregl || typeof maplibregl.Map !== 'function') {
+      throw new Error('MapLibre is unavailable.');
+    }
+
+    var style = cfg.playerStyle === 'url' && cfg.playerStyleUrl ? cfg.playerStyleUrl : getDefaultMapStyle();
+    var map = new maplibregl.Map({ container: container, style: style, center: [0, 20], zoom: 1 });
+    map.addControl(new maplibregl.NavigationControl(), 'top-right');
+    var popup = new maplibregl.Popup({ closeButton: false, closeOnClick: false, maxWidth: '300px', className: 'fgpx-gallery-map-popup' });
+
+    var loaded = false;
+    var pending = null;
+    var tracksById = {};
+    var hoverId = null;
+    var activeId = null;
+    var fittedKey = '';
+
+    function updateHighlight() {
+      if (!loaded) {
+        return;
+      }
+      var ids = [hoverId, activeId].filter(function (id) { return id !== null; });
+      map.setFilter('fgpx-gallery-routes-highlight', ['in', ['get', 'id'], ['literal', ids]]);
+    }
+
+    function showHover(id, lngLat) {
+      var track = tracksById[id];
+      if (!track) {
+        return;
+      }
+      if (hoverId !== id) {
+        hoverId = id;
+        updateHighlight();
+        popup.setHTML(buildCard(track, strings, true, activeId));
+      }
+      popup.setLngLat(lngLat).addTo(map);
+      map.getCanvas().style.cursor = 'pointer';
+    }
+
+    function clearHover() {
+      hoverId = null;
+      updateHighlight();
+      popup.remove();
+      map.getCanvas().style.cursor = '';
+    }
+
+    function apply(tracks) {
+      var data = buildRouteCollections(tracks);
+      map.getSource('fgpx-gallery-routes').setData(data.lines);
+      map.getSource('fgpx-gallery-starts').setData(data.starts);
+      updateHighlight();
+
+      // Refit only when the set of tracks changes, not on every hover or selection
+      var key = tracks.map(function (track) { return track.id; }).join(',');
+      var bounds = getRoutesBounds(tracks);
+      if (key !== fittedKey && bounds) {
+        fittedKey = key;
+        map.fitBounds(bounds, { padding: 40, maxZoom: 13, duration: 0 });
+      }
+    }
+
+    map.on('load', function () {
+      var empty = { type: 'FeatureCollection', features: [] };
+      map.addSource('fgpx-gallery-routes', { type: 'geojson', data: empty });
+      map.addSource('fgpx-gallery-starts', { type: 'geojson', data: empty, cluster: true, clusterRadius: 40, clusterMaxZoom: 9 });
+      map.addLayer({
+        id: 'fgpx-gallery-routes-line',
+        type: 'line',
+        source: 'fgpx-gallery-routes',
+        layout: { 'line-cap': 'round', 'line-join': 'round' },
+        paint: { 'line-color': MAP_ROUTE_COLOR, 'line-width': 2.5, 'line-opacity': 0.8 }
+      });
+      map.addLayer({
+        id: 'fgpx-gallery-routes-highlight',
+        type: 'line',
+        source: 'fgpx-gallery-routes',
+        filter: ['in', ['get', 'id'], ['literal', []]],
+        layout: { 'line-cap': 'round', 'line-join': 'round' },
+        paint: { 'line-color': MAP_HIGHLIGHT_COLOR, 'line-width': 5 }
+      });
+      map.addLayer({
+        id: 'fgpx-gallery-starts-cluster',
+        type: 'circle',
+        source: 'fgpx-gallery-starts',
+        filter: ['has', 'point_count'],
+        paint: {
+          'circle-color': MAP_ROUTE_COLOR,
+          'circle-radius': ['step', ['get', 'point_count'], 12, 10, 16, 50, 22],
+          'circle-opacity': 0.85,
+          'circle-stroke-color': '#fff',
+          'circle-stroke-width': 2
+        }
+      });
+      map.addLayer({
+        id: 'fgpx-gallery-starts-point',
+        type: 'circle',
+        source: 'fgpx-gallery-starts',
+        filter: ['!', ['has', 'point_count']],
+        paint: {
+          'circle-color': MAP_ROUTE_COLOR,
+          'circle-radius': 5,
+          'circle-stroke-color': '#fff',
+          'circle-stroke-width': 2
+        }
+      });
+
+      ['fgpx-gallery-routes-line', 'fgpx-gallery-starts-point'].forEach(function (layerId) {
+        map.on('mousemove', layerId, function (ev) {
+          var feature = ev.features && ev.features[0];
+          if (feature) {
+            showHover(Number(feature.properties.id), ev.lngLat);
+          }
+        });
+        map.on('mouseleave', layerId, clearHover);
+        map.on('click', layerId, function (ev) {
+          var feature = ev.features && ev.features[0];
+          var track = feature ? tracksById[Number(feature.properties.id)] : null;
+          if (track) {
+            clearHover();
+            onSelect(track);
+          }
+        });
+      });
+
+      map.on('click', 'fgpx-gallery-starts-cluster', function (ev) {
+        var feature = ev.features && ev.features[0];
+        if (!feature) {
+          return;
+        }
+        var center = feature.geometry.coordinates;
+        var zoomTo = function (zoom) {
+          map.easeTo({ center: center, zoom: zoom });
+        };
+        // MapLibre 2 takes a callback, later versions return a promise
+        var result = map.getSource('fgpx-gallery-starts').getClusterExpansionZoom(feature.properties.cluster_id, function (err, zoom) {
+          if (!err) {
+            zoomTo(zoom);
+          }
+        });
+        if (result && typeof result.then === 'function') {
+          result.then(zoomTo).catch(function () {});
+        }
+      });
+
+      loaded = true;
+      if (pending) {
+        apply(pending);
+        pending = null;
+      }
+    });
+
+    return {
+      update: function (tracks, selectedId) {
+        tracksById = {};
+        tracks.forEach(function (track) {
+          tracksById[Number(track.id)] = track;
+        });
+        activeId = selectedId != null ? Number(selectedId) : null;
+        map.resize();
+        if (!loaded) {
+          pending = tracks;
+          return;
+        }
+        apply(tracks);
+      },
+      hide: function () {
+        if (loaded) {
+          clearHover();
+        }
+      }
+    };
+  }
+
   function initGallery(root, cfg) {
     applyGalleryTheme(root, cfg);
 
@@ -639,6 +1145,8 @@
     var results = qs('.fgpx-gallery-results', root);
     var loadMoreBtn = qs('.fgpx-gallery-load-more', root);
     var viewButtons = qsa('.fgpx-gallery-view-btn', root);
+    var filtersEl = qs('.fgpx-gallery-filters', root);
+    var filterToggle = qs('.fgpx-gallery-filter-toggle', root);
 
     var serverMode = !Array.isArray(cfg.tracks) && !!(cfg.endpointUrl || (cfg.ajaxUrl && cfg.ajaxAction));
     if (window.FGPX && window.FGPX.debugEnabled) {
@@ -663,17 +1171,227 @@
     var activeTrackId = null;
     var revealedModes = { grid: false, list: false };
     var pendingRevealFromIndex = -1;
+    var filters = emptyFilters();
+    var facets = null;
+    var resultTotal = 0;
+    var mapEl = null;
+    var mapNote = null;
+    var trackMap = null;
+    var mapToken = 0;
+    var clientRoutesPromise = null;
+
+    var hashState = readFilterHash();
+    if (hashState) {
+      filters = hashState.filters;
+      searchTerm = hashState.search;
+      if (['newest', 'distance', 'duration', 'gain', 'title'].indexOf(hashState.sort) !== -1) {
+        sortKey = hashState.sort;
+      }
+      if (searchInput) {
+        searchInput.value = searchTerm;
+      }
+    }
 
     function getFiltered() {
-      var filtered = tracks;
+      var searched = tracks;
       if (searchTerm) {
-        filtered = filtered.filter(function (track) {
+        searched = searched.filter(function (track) {
           return getSearchText(track).indexOf(searchTerm) !== -1;
         });
       }
+      facets = computeFacets(tracks, searched, filters);
+      var filtered = searched.filter(function (track) {
+        return matchesFilters(track, filters, '');
+      });
       return sortTracks(filtered, sortKey);
     }
 
+    function buildFilterPanel() {
+      var html = '';
+      LIST_FACETS.forEach(function (facet) {
+        html += '<fieldset class="fgpx-gallery-facet" data-facet="' + facet.key + '" hidden>'
+          + '<legend>' + escHtml(strings[facet.label] || facet.fallback) + '</legend>'
+          + '<div class="fgpx-gallery-facet-options"></div>'
+          + '</fieldset>';
+      });
+      RANGE_FACETS.forEach(function (facet) {
+        var label = strings[facet.label] || facet.fallback;
+        html += '<fieldset class="fgpx-gallery-facet fgpx-gallery-facet-range" data-facet="' + facet.key + '" hidden>'
+          + '<legend>' + escHtml(label) + ' <output class="fgpx-gallery-facet-value"></output></legend>'
+          + '<input type="range" data-range="' + facet.key + '_min" step="' + facet.step + '" aria-label="' + escHtml(label + ' ' + (strings.filterFrom || 'From')) + '" />'
+          + '<input type="range" data-range="' + facet.key + '_max" step="' + facet.step + '" aria-label="' + escHtml(label + ' ' + (strings.filterTo || 'To')) + '" />'
+          + '</fieldset>';
+      });
+      html += '<fieldset class="fgpx-gallery-facet fgpx-gallery-facet-date" data-facet="date" hidden>'
+        + '<legend>' + escHtml(strings.filterDate || 'Date') + '</legend>'
+        + '<label>' + escHtml(strings.filterFrom || 'From') + ' <input type="date" data-date="date_from" /></label>'
+        + '<label>' + escHtml(strings.filterTo || 'To') + ' <input type="date" data-date="date_to" /></label>'
+        + '</fieldset>'
+        + '<div class="fgpx-gallery-filter-summary">'
+        + '<span class="fgpx-gallery-result-count" aria-live="polite"></span>'
+        + '<button type="button" class="fgpx-gallery-filter-clear">' + escHtml(strings.filterClear || 'Clear filters') + '</button>'
+        + '</div>';
+      filtersEl.innerHTML = html;
+    }
+
+    function updateFilterPanel() {
+      var activeCount = countActiveFilters(filters);
+      if (filterToggle) {
+        filterToggle.textContent = (strings.filters || 'Filters') + (activeCount ? ' (' + activeCount + ')' : '');
+        filterToggle.classList.toggle('is-active', activeCount > 0);
+      }
+      if (!filtersEl || !facets) {
+        return;
+      }
+
+      LIST_FACETS.forEach(function (facet) {
+        var box = qs('[data-facet="' + facet.key + '"]', filtersEl);
+        var list = qs('.fgpx-gallery-facet-options', box);
+        var options = facets[facet.key] || [];
+        box.hidden = options.length === 0;
+        var inputs = qsa('input', list);
+        var sameOptions = inputs.length === options.length && options.every(function (opt, i) { return inputs[i].value === opt.value; });
+        if (!sameOptions) {
+          // Rebuilt only when the options change, so a ticked box keeps keyboard focus
+          list.innerHTML = options.map(function (opt) {
+            return '<label class="fgpx-gallery-facet-option">'
+              + '<input type="checkbox" data-list="' + facet.key + '" value="' + escHtml(opt.value) + '" /> '
+              + '<span>' + escHtml(opt.label) + '</span> '
+              + '<span class="fgpx-gallery-facet-count"></span>'
+              + '</label>';
+          }).join('');
+          inputs = qsa('input', list);
+        }
+        options.forEach(function (opt, i) {
+          var checked = filters[facet.key].indexOf(opt.value) !== -1;
+          inputs[i].checked = checked;
+          inputs[i].parentNode.classList.toggle('is-empty', !opt.count && !checked);
+          qs('.fgpx-gallery-facet-count', inputs[i].parentNode).textContent = String(Number(opt.count) || 0);
+        });
+      });
+
+      var ranges = facets.ranges || {};
+      RANGE_FACETS.forEach(function (facet) {
+        var box = qs('[data-facet="' + facet.key + '"]', filtersEl);
+        var range = ranges[facet.key];
+        var lo = range ? Math.floor(Number(range.min) / facet.step) * facet.step : 0;
+        var hi = range ? Math.ceil(Number(range.max) / facet.step) * facet.step : 0;
+        var minValue = filters[facet.key + '_min'] !== null ? filters[facet.key + '_min'] : lo;
+        var maxValue = filters[facet.key + '_max'] !== null ? filters[facet.key + '_max'] : hi;
+        box.hidden = !(hi > lo);
+        [[facet.key + '_min', minValue], [facet.key + '_max', maxValue]].forEach(function (pair) {
+          var input = qs('[data-range="' + pair[0] + '"]', box);
+          input.min = String(lo);
+          input.max = String(hi);
+          input.value = String(pair[1]);
+        });
+        qs('.fgpx-gallery-facet-value', box).textContent = formatFacetValue(facet.key, minValue) + ' – ' + formatFacetValue(facet.key, maxValue);
+      });
+
+      var dateBox = qs('[data-facet="date"]', filtersEl);
+      dateBox.hidden = !ranges.date;
+      ['date_from', 'date_to'].forEach(function (key) {
+        var input = qs('[data-date="' + key + '"]', dateBox);
+        input.min = ranges.date ? ranges.date.min : '';
+        input.max = ranges.date ? ranges.date.max : '';
+        input.value = filters[key];
+      });
+
+      qs('.fgpx-gallery-result-count', filtersEl).textContent = String(strings.filterResults || '%s tracks').replace('%s', String(resultTotal));
+      qs('.fgpx-gallery-filter-clear', filtersEl).hidden = activeCount === 0;
+    }
+
+    function onFiltersChanged() {
+      visibleCount = resolvedPerPage || 16;
+      writeFilterHash(filters, searchTerm, sortKey, cfg.defaultSort || 'newest');
+      if (serverMode) {
+        clearTimeout(searchDebounceId);
+        searchDebounceId = setTimeout(function () {
+          loadTracks(true);
+        }, 180);
+        updateFilterPanel();
+        return;
+      }
+      render();
+    }
+
+    function openTrack(track) {
+      activeTrackId = Number(track.id);
+      render();
+      mountPlayer(root, track, cfg);
+    }
+
+    // Client mode has its tracks inline but not their routes; fetch those once.
+    function loadClientRoutes() {
+      if (tracks.every(function (track) { return Array.isArray(track.route); })) {
+        return Promise.resolve();
+      }
+      if (!clientRoutesPromise) {
+        clientRoutesPromise = requestGalleryPayload(cfg, { view: 'map' }).then(function (payload) {
+          var routes = {};
+          (payload && Array.isArray(payload.items) ? payload.items : []).forEach(function (item) {
+            routes[Number(item.id)] = item.route;
+          });
+          tracks.forEach(function (track) {
+            track.route = Array.isArray(routes[Number(track.id)]) ? routes[Number(track.id)] : [];
+          });
+        }).catch(function (error) {
+          clientRoutesPromise = null;
+          throw error;
+        });
+      }
+      return clientRoutesPromise;
+    }
+
+    function renderMap(filtered) {
+      if (!mapEl) {
+        mapEl = document.createElement('div');
+        mapEl.className = 'fgpx-gallery-map';
+        mapEl.setAttribute('role', 'region');
+        mapEl.setAttribute('aria-label', strings.mapLabel || 'Map of all tracks');
+        mapNote = document.createElement('p');
+        mapNote.className = 'fgpx-gallery-map-note';
+        mapNote.setAttribute('aria-live', 'polite');
+        results.parentNode.insertBefore(mapNote, results.nextSibling);
+        results.parentNode.insertBefore(mapEl, mapNote);
+      }
+      results.hidden = true;
+      mapEl.hidden = false;
+      if (loadMoreBtn) {
+        loadMoreBtn.hidden = true;
+      }
+
+      var note = '';
+      if (loadError) {
+        note = loadError;
+      } else if (!filtered.length && !isLoading) {
+        note = strings.noResults || 'No tracks found.';
+      } else if (serverMode && resultTotal > tracks.length) {
+        note = String(strings.mapTruncated || 'Showing the first %1$s of %2$s tracks. Narrow the search to see the rest.')
+          .replace('%1$s', String(tracks.length))
+          .replace('%2$s', String(resultTotal));
+      }
+      mapNote.textContent = note;
+      mapNote.hidden = note === '';
+
+      var token = ++mapToken;
+      Promise.all([ensurePlayerAssets(cfg), serverMode ? null : loadClientRoutes()]).then(function () {
+        if (token !== mapToken || viewMode !== 'map') {
+          return;
+        }
+        if (!trackMap) {
+          trackMap = createTrackMap(mapEl, cfg, strings, openTrack);
+        }
+        trackMap.update(filtered, activeTrackId);
+      }).catch(function () {
+        if (token !== mapToken) {
+          return;
+        }
+        mapNote.textContent = strings.mapLoadFailed || 'Could not load the map. Please try again.';
+        mapNote.hidden = false;
+      });
+    }
+
     function render() {
       if (!results) {
         return;
@@ -682,6 +1400,24 @@
       var filtered = serverMode ? tracks.slice() : getFiltered();
       var listMode = viewMode === 'list';
       var visible = serverMode ? filtered : filtered.slice(0, visibleCount);
+      if (!serverMode) {
+        resultTotal = filtered.length;
+      }
+      updateFilterPanel();
+
+      if (viewMode === 'map') {
+        renderMap(filtered);
+        return;
+      }
+      results.hidden = false;
+      if (mapEl) {
+        mapEl.hidden = true;
+        mapNote.hidden = true;
+        mapToken++;
+        if (trackMap) {
+          trackMap.hide();
+        }
+      }
 
       if (loadError) {
         results.innerHTML = '<div class="fgpx-gallery-empty">' + escHtml(loadError) + '</div>';
@@ -744,12 +1480,13 @@
       }
       setLoadingState(results, loadMoreBtn, true, strings, reset);
 
-      return requestGalleryPayload(cfg, {
+      return requestGalleryPayload(cfg, Object.assign({
         page: nextPage,
         per_page: resolvedPerPage,
         sort: sortKey,
-        search: searchTerm
-      }).then(function (payload) {
+        search: searchTerm,
+        view: viewMode === 'map' ? 'map' : ''
+      }, filtersToParams(filters))).then(function (payload) {
         if (currentToken !== requestToken) {
           return;
         }
@@ -765,6 +1502,8 @@
   pendingRevealFromIndex = reset ? -1 : Math.max(0, tracks.length - items.length);
         currentPage = nextPage;
         hasMore = !!(payload && payload.pagination && payload.pagination.hasMore);
+        facets = payload && payload.facets ? payload.facets : facets;
+        resultTotal = Number(payload && payload.pagination && payload.pagination.total) || tracks.length;
         loadError = '';
       }).catch(function () {
         if (currentToken !== requestToken) {
@@ -834,6 +1573,7 @@
       searchInput.addEventListener('input', function () {
         searchTerm = normalize(searchInput.value);
         visibleCount = resolvedPerPage || 16;
+        writeFilterHash(filters, searchTerm, sortKey, cfg.defaultSort || 'newest');
         if (serverMode) {
           clearTimeout(searchDebounceId);
           searchDebounceId = setTimeout(function () {
@@ -850,6 +1590,7 @@
       sortSelect.addEventListener('change', function () {
         sortKey = sortSelect.value;
         visibleCount = resolvedPerPage || 16;
+        writeFilterHash(filters, searchTerm, sortKey, cfg.defaultSort || 'newest');
         if (serverMode) {
           clearTimeout(searchDebounceId);
           loadTracks(true);
@@ -873,12 +1614,75 @@
       });
     }
 
+    if (filtersEl) {
+      buildFilterPanel();
+      filtersEl.hidden = countActiveFilters(filters) === 0;
+      if (filterToggle) {
+        filterToggle.setAttribute('aria-expanded', filtersEl.hidden ? 'false' : 'true');
+        filterToggle.addEventListener('click', function () {
+          filtersEl.hidden = !filtersEl.hidden;
+          filterToggle.setAttribute('aria-expanded', filtersEl.hidden ? 'false' : 'true');
+        });
+      }
+
+      filtersEl.addEventListener('change', function (ev) {
+        var target = ev.target;
+        var listKey = target.getAttribute('data-list');
+        var dateKey = target.getAttribute('data-date');
+        if (listKey) {
+          var selected = filters[listKey].filter(function (value) { return value !== target.value; });
+          if (target.checked) {
+            selected.push(target.value);
+          }
+          filters[listKey] = selected;
+        } else if (dateKey) {
+          filters[dateKey] = dateParamToTs(target.value, false) !== null ? target.value : '';
+        } else {
+          return;
+        }
+        onFiltersChanged();
+      });
+
+      filtersEl.addEventListener('input', function (ev) {
+        var rangeKey = ev.target.getAttribute('data-range');
+        if (!rangeKey) {
+          return;
+        }
+        var isMin = /_min$/.test(rangeKey);
+        var otherKey = rangeKey.replace(/_(min|max)$/, isMin ? '_max' : '_min');
+        var value = Number(ev.target.value);
+        if (filters[otherKey] !== null) {
+          value = isMin ? Math.min(value, filters[otherKey]) : Math.max(value, filters[otherKey]);
+        }
+        // A handle at the end of the track means "no limit"
+        filters[rangeKey] = value === Number(isMin ? ev.target.min : ev.target.max) ? null : value;
+        onFiltersChanged();
+      });
+
+      filtersEl.addEventListener('click', function (ev) {
+        if (!closestByClass(ev.target, 'fgpx-gallery-filter-clear')) {
+          return;
+        }
+        filters = emptyFilters();
+        onFiltersChanged();
+      });
+    }
+
     if (viewButtons.length) {
       updateViewButtons(viewButtons, viewMode);
       viewButtons.forEach(function (btn) {
         btn.addEventListener('click', function () {
-          viewMode = btn.getAttribute('data-view') === 'list' ? 'list' : 'grid';
+          var nextMode = btn.getAttribute('data-view');
+          nextMode = nextMode === 'list' || nextMode === 'map' ? nextMode : 'grid';
+          // The server returns every matching track with its route for the map, so switch payloads
+          var reload = serverMode && (nextMode === 'map') !== (viewMode === 'map');
+          viewMode = nextMode;
           updateViewButtons(viewButtons, viewMode);
+          if (reload) {
+            clearTimeout(searchDebounceId);
+            loadTracks(true);
+            return;
+          }
           render();
         });
       });
@@ -893,9 +1697,7 @@
         }
         var track = findTrackById(tracks, id);
         if (track) {
-          activeTrackId = id;
-          render();
-          mountPlayer(root, track, cfg);
+          openTrack(track);
         }
         return;
       }
@@ -0,0 +1,132 @@
+/*
+ * Flyover GPX offline service worker.
+ *
+ * Served from the site root through ?fgpx_offline_sw (see includes/OfflineWorker.php)
+ * so it can answer requests for track pages. The player fills the cache itself
+ * ("Save for offline" in front.js); this worker only reads it:
+ *  - only URLs listed in the player's manifest are answered; everything else,
+ *    and always wp-admin, the login and the REST API apart from track data,
+ *    is left to the browser,
+ *  - saved pages and track data go to the network first and fall back to the
+ *    saved copy when there is no signal,
+ *  - the other saved files (tiles, style, scripts, thumbnails) are served from
+ *    the cache directly.
+ */
+(function(){
+  'use strict';
+
+  var CACHE_NAME = 'fgpx-offline-v1';
+  var MANIFEST_PATH = 'fgpx-offline-manifest.json';
+  var NETWORK_TIMEOUT_MS = 6000;
+
+  // URLs of all saved tracks, read from the manifest; null until the first read finishes
+  var savedUrls = null;
+  var savedUrlsReady = null;
+
+  function loadSavedUrls() {
+    var manifestUrl = new URL(MANIFEST_PATH, self.registration.scope).href;
+    savedUrlsReady = caches.open(CACHE_NAME).then(function(cache) {
+      return cache.match(manifestUrl);
+    }).then(function(response) {
+      return response ? response.json() : null;
+    }).then(function(manifest) {
+      var tracks = (manifest && manifest.tracks && typeof manifest.tracks === 'object') ? manifest.tracks : {};
+      var urls = {};
+      Object.keys(tracks).forEach(function(key) {
+        (tracks[key].urls || []).forEach(function(url) { urls[url] = true; });
+      });
+      return urls;
+    }).catch(function() {
+      return {};
+    }).then(function(urls) {
+      savedUrls = urls;
+      return urls;
+    });
+    return savedUrlsReady;
+  }
+  loadSavedUrls();
+
+  self.addEventListener('install', function() {
+    self.skipWaiting();
+  });
+
+  self.addEventListener('activate', function(event) {
+    event.waitUntil(
+      caches.keys().then(function(keys) {
+        // Drop caches from older worker versions
+        return Promise.all(keys.filter(function(key) {
+          return key.indexOf('fgpx-offline-') === 0 && key !== CACHE_NAME;
+        }).map(function(key) { return caches.delete(key); }));
+      }).then(function() {
+        return self.clients.claim();
+      })
+    );
+  });
+
+  // The player sends this after every change to the manifest
+  self.addEventListener('message', function(event) {
+    if (event.data && event.data.type === 'fgpx-offline-manifest') {
+      event.waitUntil(loadSavedUrls());
+    }
+  });
+
+  function isTrackData(url) {
+    return url.indexOf('/fgpx/v1/track/') !== -1 || url.indexOf('action=fgpx_track') !== -1;
+  }
+
+  // Admin screens, the login and the REST API hold per-user data and nonces
+  function isPrivate(url) {
+    if (url.origin !== self.location.origin || isTrackData(url.href)) return false;
+    var path = url.pathname;
+    return path.indexOf('/wp-admin/') !== -1 || path.indexOf('/wp-login.php') !== -1
+      || path.indexOf('/wp-json/') !== -1 || url.searchParams.has('rest_route');
+  }
+
+  // Network first, but give up after NETWORK_TIMEOUT_MS so a weak signal does not hang the page
+  function networkFirst(request, cached) {
+    return new Promise(function(resolve) {
+      var settled = false;
+      var timer = setTimeout(function() {
+        settled = true;
+        resolve(cached);
+      }, NETWORK_TIMEOUT_MS);
+      fetch(request).then(function(response) {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        resolve(response && response.status < 500 ? response : cached);
+      }).catch(function() {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        resolve(cached);
+      });
+    });
+  }
+
+  self.addEventListener('fetch', function(event) {
+    var request = event.request;
+    if (request.method !== 'GET') return;
+    var url;
+    try { url = new URL(request.url); } catch (_) { return; }
+    if (isPrivate(url)) return;
+    if (savedUrls && !savedUrls[request.url]) return;
+
+    event.respondWith(
+      (savedUrls ? Promise.resolve(savedUrls) : savedUrlsReady).then(function(urls) {
+        if (!urls[request.url]) return null;
+        return caches.open(CACHE_NAME).then(function(cache) {
+          return cache.match(request, { ignoreVary: true });
+        });
+      }).then(function(cached) {
+        if (!cached) return fetch(request);
+        if (request.mode === 'navigate' || isTrackData(request.url)) {
+          return networkFirst(request, cached);
+        }
+        return cached;
+      }).catch(function() {
+        return fetch(request);
+      })
+    );
+  });
+})();
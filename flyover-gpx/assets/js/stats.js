@@ -114,6 +114,70 @@
     root.appendChild(kpiWrap);
   }
 
+  function formatDuration(seconds) {
+    var total = Math.max(0, Math.round(Number(seconds || 0)));
+    var h = Math.floor(total / 3600);
+    var m = Math.floor((total % 3600) / 60);
+    var sec = total % 60;
+    var mm = (h > 0 && m < 10 ? '0' : '') + m;
+    var ss = (sec < 10 ? '0' : '') + sec;
+    return (h > 0 ? h + ':' : '') + mm + ':' + ss;
+  }
+
+  function describeRecord(record, strings) {
+    var key = String(record.key || '');
+    var amount = Number(key.split('_')[1] || 0);
+    var value = Number(record.value || 0);
+    var km = (amount / 1000) + ' km';
+    var minutes = Math.round(amount / 60) + ' min';
+
+    if (key.indexOf('fastest_') === 0) {
+      return { label: String(strings.recordFastest || 'Fastest %s').replace('%s', km), value: formatDuration(value) };
+    }
+    if (key.indexOf('power_') === 0) {
+      return { label: String(strings.recordPower || 'Best %s power').replace('%s', minutes), value: Math.round(value) + ' W' };
+    }
+    if (key.indexOf('hr_') === 0) {
+      return { label: String(strings.recordHeartRate || 'Best %s heart rate').replace('%s', minutes), value: Math.round(value) + ' bpm' };
+    }
+    if (key === 'longest') return { label: strings.recordLongest || 'Longest track', value: formatKm(value) };
+    if (key === 'climb') return { label: strings.recordClimb || 'Biggest climb', value: formatMeters(value) };
+    if (key === 'highest') return { label: strings.recordHighest || 'Highest point', value: formatMeters(value) };
+    return null;
+  }
+
+  function buildRecords(root, records, strings) {
+    if (!Array.isArray(records) || !records.length) return;
+
+    var card = createEl('div', 'fgpx-stats-records');
+    card.appendChild(createEl('h3', 'fgpx-stats-chart-title', strings.recordsTitle || 'Records'));
+    var list = createEl('ul', 'fgpx-stats-records-list');
+
+    records.forEach(function (record) {
+      var info = record ? describeRecord(record, strings) : null;
+      if (!info) return;
+
+      var item = createEl('li', 'fgpx-stats-record');
+      item.setAttribute('data-record', String(record.key));
+      item.appendChild(createEl('span', 'fgpx-stats-record-label', info.label));
+      item.appendChild(createEl('strong', 'fgpx-stats-record-value', info.value));
+
+      var title = String(record.trackTitle || '#' + record.trackId);
+      var track;
+      if (record.url) {
+        track = createEl('a', 'fgpx-stats-record-track', title);
+        track.href = String(record.url);
+      } else {
+        track = createEl('span', 'fgpx-stats-record-track', title);
+      }
+      item.appendChild(track);
+      list.appendChild(item);
+    });
+
+    card.appendChild(list);
+    root.appendChild(card);
+  }
+
   var CHART_ALIASES = {
     monthly: 'distance_by_month',
     yearly: 'tracks_by_year'
@@ -585,6 +649,10 @@
 
     buildKpis(root, summary, strings);
 
+    if (config.showRecords !== false) {
+      buildRecords(root, renderPayload.records, strings);
+    }
+
     buildCharts(root, config, renderPayload);
 
     if (config.showHeatmap !== false) {
@@ -107,6 +107,8 @@
 			contoursOpacity: true,
 			contoursMinZoom: true,
 			contoursMaxZoom: true,
+			terrainDemUrl: true,
+			terrainExaggeration: true,
 			weatherEnabled: true,
 			weatherOpacity: true,
 			weatherVisibleByDefault: true,
@@ -192,7 +194,8 @@
 		var monthGroupingRaw = config.monthGrouping;
 		var monthGroupingEnabled = !(monthGroupingRaw === false || monthGroupingRaw === '0' || monthGroupingRaw === 0 || monthGroupingRaw === 'false');
 		var isMobile = window.innerWidth <= 740;
-		var orientation = isMobile ? 'vertical' : config.orientation;
+		// The calendar scrolls sideways on its own, so only the horizontal list is forced vertical on mobile.
+		var orientation = config.orientation === 'calendar' ? 'calendar' : (isMobile ? 'vertical' : config.orientation);
 
 		var state = {
 			rootId: config.rootId,
@@ -213,7 +216,9 @@
 		// Build initial HTML structure
 		var contentWrapper = document.createElement('div');
 		contentWrapper.className = 'timeline-content';
-		if (orientation === 'horizontal') {
+		if (orientation === 'calendar') {
+			contentWrapper.classList.add('timeline-calendar');
+		} else if (orientation === 'horizontal') {
 			contentWrapper.classList.add('timeline-horizontal');
 		} else {
 			contentWrapper.classList.add('timeline-vertical');
@@ -228,6 +233,11 @@
 		container.appendChild(contentWrapper);
 		contentWrapper.appendChild(skeleton);
 
+		if (orientation === 'calendar') {
+			loadCalendar(state, contentWrapper);
+			return;
+		}
+
 		// Load first batch of tracks
 		loadTrackBatch(state, contentWrapper);
 	}
@@ -248,42 +258,8 @@
 			page: state.currentPage,
 			per_page: state.config.perPage || 20,
 		};
-		var preferAjaxFirst = !!(state.config && state.config.preferAjaxFirst);
-
-		function fetchRestTracks() {
-			var url = state.config.restUrl + '?' + buildQueryString(params);
-			if (typeof window.fetch !== 'function') {
-				return Promise.reject(new Error('REST fetch unavailable'));
-			}
-			return window.fetch(url, {
-				method: 'GET',
-				headers: {
-					'X-WP-Nonce': state.config.restNonce,
-				},
-			}).then(function(response) {
-				if (!response.ok) {
-					throw new Error('HTTP ' + response.status);
-				}
-				return response.json();
-			});
-		}
 
-		var requestPromise;
-		if (preferAjaxFirst) {
-			requestPromise = ajaxLoadTracks(state, params).catch(function(error) {
-				DBG('AJAX load failed, trying REST', error);
-				return fetchRestTracks();
-			});
-		} else if (typeof window.fetch === 'function') {
-			requestPromise = fetchRestTracks().catch(function(error) {
-				DBG('REST fetch failed, trying AJAX', error);
-				return ajaxLoadTracks(state, params);
-			});
-		} else {
-			requestPromise = ajaxLoadTracks(state, params);
-		}
-
-		requestPromise
+		requestTracks(state, params)
 			.then(function(data) {
 				state.isLoading = false;
 
@@ -340,6 +316,49 @@
 			});
 	}
 
+	/**
+	 * Request one page of tracks via REST or AJAX, falling back to the other transport.
+	 * 
+	 * @param {Object} state - Timeline state
+	 * @param {Object} params - Query parameters
+	 * @return {Promise<Object>} Response data
+	 */
+	function requestTracks(state, params) {
+		var preferAjaxFirst = !!(state.config && state.config.preferAjaxFirst);
+
+		function fetchRestTracks() {
+			var url = state.config.restUrl + '?' + buildQueryString(params);
+			if (typeof window.fetch !== 'function') {
+				return Promise.reject(new Error('REST fetch unavailable'));
+			}
+			return window.fetch(url, {
+				method: 'GET',
+				headers: {
+					'X-WP-Nonce': state.config.restNonce,
+				},
+			}).then(function(response) {
+				if (!response.ok) {
+					throw new Error('HTTP ' + response.status);
+				}
+				return response.json();
+			});
+		}
+
+		if (preferAjaxFirst) {
+			return ajaxLoadTracks(state, params).catch(function(error) {
+				DBG('AJAX load failed, trying REST', error);
+				return fetchRestTracks();
+			});
+		}
+		if (typeof window.fetch === 'function') {
+			return fetchRestTracks().catch(function(error) {
+				DBG('REST fetch failed, trying AJAX', error);
+				return ajaxLoadTracks(state, params);
+			});
+		}
+		return ajaxLoadTracks(state, params);
+	}
+
 	/**
 	 * AJAX fallback for loading tracks.
 	 * 
@@ -427,6 +446,374 @@
 		contentWrapper.appendChild(section);
 	}
 
+	// ---- Calendar heatmap ----
+
+	var CALENDAR_PER_PAGE = 50;
+	var CALENDAR_MAX_PAGES = 200;
+	var CALENDAR_LEVELS = 4;
+
+	/**
+	 * Load all track pages, then render the calendar heatmap.
+	 * 
+	 * @param {Object} state - Timeline state
+	 * @param {HTMLElement} contentWrapper - Calendar container
+	 */
+	function loadCalendar(state, contentWrapper) {
+		var tracks = [];
+
+		function loadPage(page) {
+			return requestTracks(state, { page: page, per_page: CALENDAR_PER_PAGE }).then(function(data) {
+				if (!data || !Array.isArray(data.months)) {
+					throw new Error('Invalid response structure');
+				}
+				data.months.forEach(function(monthGroup) {
+					(monthGroup.items || []).forEach(function(track) {
+						tracks.push(track);
+					});
+				});
+				var pagination = data.pagination || {};
+				if (pagination.hasMore && page < CALENDAR_MAX_PAGES) {
+					return loadPage((pagination.page || page) + 1);
+				}
+				return tracks;
+			});
+		}
+
+		state.isLoading = true;
+		loadPage(1)
+			.then(function() {
+				state.isLoading = false;
+				state.hasMore = false;
+				state.tracks = tracks;
+
+				var days = buildCalendarDays(tracks);
+				var keys = Object.keys(days).sort();
+				if (!keys.length) {
+					showEmptyState(contentWrapper);
+					return;
+				}
+
+				var lastYear = Number(keys[keys.length - 1].slice(0, 4));
+				state.calendar = {
+					days: days,
+					firstYear: Number(keys[0].slice(0, 4)),
+					lastYear: lastYear,
+					year: lastYear,
+					metric: state.config.calendarMetric === 'elevation' ? 'elevation' : 'distance',
+				};
+				renderCalendar(state, contentWrapper);
+
+				DBG('Timeline calendar loaded', { tracks: tracks.length, days: keys.length });
+			})
+			.catch(function(error) {
+				DBG('Timeline calendar load error', error);
+				state.isLoading = false;
+				showTimelineError(contentWrapper, error);
+			});
+	}
+
+	/**
+	 * Local calendar day key (YYYY-MM-DD) for a date.
+	 * 
+	 * @param {Date} date - Date
+	 * @return {string} Day key
+	 */
+	function calendarDayKey(date) {
+		var month = date.getMonth() + 1;
+		var day = date.getDate();
+		return date.getFullYear() + '-' + (month < 10 ? '0' : '') + month + '-' + (day < 10 ? '0' : '') + day;
+	}
+
+	/**
+	 * Bucket tracks by activity day. Trips are split into their days so each day
+	 * of a tour lands on its own cell and opens its own track.
+	 * 
+	 * @param {Array} tracks - Track items from the timeline endpoint
+	 * @return {Object} Map of day key => { tracks, distanceKm, elevationM }
+	 */
+	function buildCalendarDays(tracks) {
+		var days = {};
+
+		tracks.forEach(function(track) {
+			var entries = [track];
+			if (Array.isArray(track.days) && track.days.length > 1) {
+				entries = track.days.map(function(day) {
+					var dayConfig = (track.trip || []).filter(function(item) {
+						return String(item.id) === String(day.id);
+					})[0] || {};
+					return Object.assign({}, day, {
+						photoCacheVersion: dayConfig.photoCacheVersion || '0',
+						trackModified: dayConfig.trackModified || '',
+						payloadVersion: dayConfig.payloadVersion || '',
+					});
+				});
+			}
+
+			entries.forEach(function(entry) {
+				if (!entry.activityDateTs) {
+					return;
+				}
+				var key = calendarDayKey(new Date(entry.activityDateTs * 1000));
+				if (!days[key]) {
+					days[key] = { tracks: [], distanceKm: 0, elevationM: 0 };
+				}
+				days[key].tracks.push(entry);
+				days[key].distanceKm += Number(entry.distanceKm) || 0;
+				days[key].elevationM += Number(entry.elevationGainM) || 0;
+			});
+		});
+
+		return days;
+	}
+
+	function formatCalendarNumber(value, decimals) {
+		return Number(value.toFixed(decimals)).toLocaleString();
+	}
+
+	/**
+	 * Render the selected year: navigation, metric switch, totals, day grid and legend.
+	 * 
+	 * @param {Object} state - Timeline state with state.calendar
+	 * @param {HTMLElement} contentWrapper - Calendar container
+	 */
+	function renderCalendar(state, contentWrapper) {
+		var i18n = window.FGPXTimelineI18n || {};
+		var calendar = state.calendar;
+		var year = calendar.year;
+		var metricKey = calendar.metric === 'elevation' ? 'elevationM' : 'distanceKm';
+		var kmUnit = i18n.distanceUnitKm || 'km';
+		var mUnit = i18n.elevationUnitM || 'm';
+
+		// Year totals; the busiest day sets the top of the color scale
+		var totals = { tracks: 0, distanceKm: 0, elevationM: 0, activeDays: 0 };
+		var maxValue = 0;
+		Object.keys(calendar.days).forEach(function(key) {
+			if (key.slice(0, 4) !== String(year)) {
+				return;
+			}
+			var day = calendar.days[key];
+			totals.tracks += day.tracks.length;
+			totals.distanceKm += day.distanceKm;
+			totals.elevationM += day.elevationM;
+			totals.activeDays += 1;
+			maxValue = Math.max(maxValue, day[metricKey]);
+		});
+
+		contentWrapper.innerHTML = '';
+
+		var header = document.createElement('div');
+		header.className = 'timeline-calendar-header';
+
+		var years = document.createElement('div');
+		years.className = 'timeline-calendar-years';
+
+		function yearButton(className, text, label, targetYear) {
+			var button = document.createElement('button');
+			button.type = 'button';
+			button.className = className;
+			button.textContent = text;
+			button.setAttribute('aria-label', label);
+			button.disabled = targetYear < calendar.firstYear || targetYear > calendar.lastYear;
+			button.addEventListener('click', function() {
+				calendar.year = targetYear;
+				renderCalendar(state, contentWrapper);
+			});
+			return button;
+		}
+
+		var yearLabel = document.createElement('h3');
+		yearLabel.className = 'timeline-calendar-year';
+		yearLabel.textContent = String(year);
+
+		years.appendChild(yearButton('timeline-calendar-year-prev', '‹', i18n.calendarPrevYear || 'Previous year', year - 1));
+		years.appendChild(yearLabel);
+		years.appendChild(yearButton('timeline-calendar-year-next', '›', i18n.calendarNextYear || 'Next year', year + 1));
+		header.appendChild(years);
+
+		var metrics = document.createElement('div');
+		metrics.className = 'timeline-calendar-metrics';
+		metrics.setAttribute('role', 'group');
+		[
+			{ value: 'distance', label: i18n.calendarMetricDistance || 'Distance' },
+			{ value: 'elevation', label: i18n.calendarMetricElevation || 'Elevation' },
+		].forEach(function(metric) {
+			var button = document.createElement('button');
+			button.type = 'button';
+			button.className = 'timeline-calendar-metric';
+			button.setAttribute('data-metric', metric.value);
+			button.setAttribute('aria-pressed', metric.value === calendar.metric ? 'true' : 'false');
+			button.textContent = metric.label;
+			button.addEventListener('click', function() {
+				if (calendar.metric !== metric.value) {
+					calendar.metric = metric.value;
+					renderCalendar(state, contentWrapper);
+				}
+			});
+			metrics.appendChild(button);
+		});
+		header.appendChild(metrics);
+		contentWrapper.appendChild(header);
+
+		var summary = document.createElement('div');
+		summary.className = 'timeline-calendar-totals';
+
+		function appendTotal(label, value) {
+			var row = document.createElement('span');
+			var strong = document.createElement('strong');
+			strong.textContent = label + ':';
+			row.appendChild(strong);
+			row.appendChild(document.createTextNode(' ' + value));
+			summary.appendChild(row);
+		}
+
+		appendTotal(i18n.calendarTracks || 'Tracks', String(totals.tracks));
+		appendTotal(i18n.distanceLabel || 'Distance', formatCalendarNumber(totals.distanceKm, 1) + ' ' + kmUnit);
+		appendTotal(i18n.elevationGainLabel || 'Elevation Gain', formatCalendarNumber(totals.elevationM, 0) + ' ' + mUnit);
+		appendTotal(i18n.calendarActiveDays || 'Active days', String(totals.activeDays));
+		contentWrapper.appendChild(summary);
+
+		// Weeks are columns, weekdays rows; the first column starts on the site's first weekday
+		var scroll = document.createElement('div');
+		scroll.className = 'timeline-calendar-scroll';
+
+		var monthRow = document.createElement('div');
+		monthRow.className = 'timeline-calendar-months';
+		monthRow.setAttribute('aria-hidden', 'true');
+
+		var grid = document.createElement('div');
+		grid.className = 'timeline-calendar-grid';
+		grid.setAttribute('role', 'group');
+		grid.setAttribute('aria-label', (i18n.calendarLabel || 'Activity calendar') + ' ' + year);
+
+		var weekStart = parseInt(state.config.weekStart, 10);
+		if (isNaN(weekStart) || weekStart < 0 || weekStart > 6) {
+			weekStart = 1;
+		}
+		var firstDay = new Date(year, 0, 1);
+		var leading = (firstDay.getDay() - weekStart + 7) % 7;
+		var daysInYear = Math.round((new Date(year + 1, 0, 1) - firstDay) / 86400000);
+		var cellCount = Math.ceil((leading + daysInYear) / 7) * 7;
+
+		for (var i = 0; i < cellCount; i++) {
+			var date = new Date(year, 0, 1 - leading + i);
+			var inYear = date.getFullYear() === year;
+			var key = calendarDayKey(date);
+			var day = inYear ? calendar.days[key] : null;
+			var cell = document.createElement(day ? 'button' : 'span');
+			cell.className = 'timeline-calendar-cell';
+
+			if (!inYear) {
+				cell.classList.add('timeline-calendar-cell-outside');
+				cell.setAttribute('aria-hidden', 'true');
+				grid.appendChild(cell);
+				continue;
+			}
+
+			if (date.getDate() === 1) {
+				var monthLabel = document.createElement('span');
+				monthLabel.textContent = date.toLocaleDateString(undefined, { month: 'short' });
+				monthLabel.style.gridColumnStart = String(Math.floor(i / 7) + 1);
+				monthRow.appendChild(monthLabel);
+			}
+
+			var level = 0;
+			var description = i18n.calendarNoActivity || 'No activity';
+			if (day) {
+				level = Math.max(1, Math.min(CALENDAR_LEVELS, Math.ceil(day[metricKey] / (maxValue || 1) * CALENDAR_LEVELS)));
+				description = formatCalendarNumber(day.distanceKm, 1) + ' ' + kmUnit +
+					' · ' + formatCalendarNumber(day.elevationM, 0) + ' ' + mUnit +
+					' · ' + day.tracks.length + ' ' + (i18n.calendarTracks || 'Tracks');
+				cell.type = 'button';
+				cell.addEventListener('click', openCalendarDay.bind(null, state, contentWrapper, key));
+			}
+
+			var dateText = date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+			cell.setAttribute('data-date', key);
+			cell.setAttribute('data-level', String(level));
+			cell.title = dateText + ': ' + description;
+			if (day) {
+				cell.setAttribute('aria-label', cell.title);
+			}
+			grid.appendChild(cell);
+		}
+
+		scroll.appendChild(monthRow);
+		scroll.appendChild(grid);
+		contentWrapper.appendChild(scroll);
+
+		var legend = document.createElement('div');
+		legend.className = 'timeline-calendar-legend';
+		legend.setAttribute('aria-hidden', 'true');
+		var less = document.createElement('span');
+		less.textContent = i18n.calendarLess || 'Less';
+		legend.appendChild(less);
+		for (var l = 0; l <= CALENDAR_LEVELS; l++) {
+			var swatch = document.createElement('span');
+			swatch.className = 'timeline-calendar-cell';
+			swatch.setAttribute('data-level', String(l));
+			legend.appendChild(swatch);
+		}
+		var more = document.createElement('span');
+		more.textContent = i18n.calendarMore || 'More';
+		legend.appendChild(more);
+		contentWrapper.appendChild(legend);
+
+		var dayPanel = document.createElement('div');
+		dayPanel.className = 'timeline-calendar-day';
+		contentWrapper.appendChild(dayPanel);
+	}
+
+	/**
+	 * Open the tracks of one calendar day: a single track goes straight to the
+	 * player, several are listed as cards below the grid.
+	 * 
+	 * @param {Object} state - Timeline state with state.calendar
+	 * @param {HTMLElement} contentWrapper - Calendar container
+	 * @param {string} key - Day key (YYYY-MM-DD)
+	 */
+	function openCalendarDay(state, contentWrapper, key) {
+		var day = state.calendar.days[key];
+		if (!day) {
+			return;
+		}
+
+		var selected = contentWrapper.querySelectorAll('.timeline-calendar-cell.is-selected');
+		Array.prototype.forEach.call(selected, function(cell) {
+			cell.classList.remove('is-selected');
+		});
+		var cell = contentWrapper.querySelector('.timeline-calendar-cell[data-date="' + key + '"]');
+		if (cell) {
+			cell.classList.add('is-selected');
+		}
+
+		var dayPanel = contentWrapper.querySelector('.timeline-calendar-day');
+		if (dayPanel) {
+			dayPanel.innerHTML = '';
+		}
+
+		if (day.tracks.length === 1) {
+			openTrackModal(state, day.tracks[0]);
+			return;
+		}
+		if (!dayPanel) {
+			return;
+		}
+
+		var heading = document.createElement('h4');
+		heading.className = 'timeline-calendar-day-label';
+		heading.textContent = day.tracks[0].dateLabel || key;
+		dayPanel.appendChild(heading);
+
+		var itemsContainer = document.createElement('ul');
+		itemsContainer.className = 'timeline-month-items';
+		day.tracks.forEach(function(track, index) {
+			itemsContainer.appendChild(buildTrackItem(track, state, index));
+		});
+		dayPanel.appendChild(itemsContainer);
+	}
+
+	// ---- End calendar heatmap ----
+
 	function buildTrackItem(track, state, index) {
 		var li = document.createElement('li');
 		li.className = 'timeline-track-item';
@@ -556,6 +943,30 @@
 				appendMetaLine(i18n.uploadedLabel || 'Uploaded', track.dateLabel);
 			}
 
+			// Trip card: one line per day above the totals
+			if (Array.isArray(track.days) && track.days.length > 1) {
+				card.classList.add('timeline-trip-card');
+				var days = document.createElement('div');
+				days.className = 'timeline-trip-days';
+				track.days.forEach(function (day, index) {
+					var row = document.createElement('span');
+					var strong = document.createElement('strong');
+					strong.textContent = String(i18n.tripDayLabel || 'Day %s').replace('%s', String(index + 1)) + ':';
+					row.appendChild(strong);
+					var parts = [String(day.distanceKm || 0) + ' ' + (i18n.distanceUnitKm || 'km')];
+					if (day.durationLabel) {
+						parts.push(day.durationLabel);
+					}
+					if (day.elevationGainLabel) {
+						parts.push(String(day.elevationGainLabel) + ' ' + (i18n.elevationUnitM || 'm'));
+					}
+					row.appendChild(document.createTextNode(' ' + parts.join(' · ')));
+					row.title = String(day.title || '') + (day.dateLabel ? ' (' + day.dateLabel + ')' : '');
+					days.appendChild(row);
+				});
+				stats.insertBefore(days, stats.firstChild);
+			}
+
 		       overlay.appendChild(title);
 		       overlay.appendChild(stats);
 		       card.appendChild(overlay);
@@ -663,6 +1074,10 @@
 			photosEnabled: true,
 			photoOrderMode: state.config.photoOrderMode || 'geo_first',
 			galleryPhotoStrategy: 'latest_embed',
+			photoCacheVersion: track.photoCacheVersion || '0',
+			trackModified: track.trackModified || '',
+			payloadVersion: track.payloadVersion || '',
+			trip: track.trip || [],
 		};
 
 		// Store config for player initialization
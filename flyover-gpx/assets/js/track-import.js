@@ -0,0 +1,318 @@
+/**
+ * Client-side FIT/TCX import for the Flyover GPX admin uploader.
+ *
+ * Parses FIT (binary) and TCX (XML) activity files in the browser into the same
+ * coordinates + properties structure that the /track/{id} REST payload returns
+ * (timestamps, cumulativeDistance, heartRates, cadences, powers, temperatures),
+ * and serializes it to GPX 1.1 so the existing server pipeline can ingest it.
+ */
+(function () {
+  'use strict';
+
+  var FIT_EPOCH_OFFSET = 631065600; // seconds between 1970-01-01 and 1989-12-31 (FIT epoch)
+  var SEMICIRCLE_TO_DEG = 180 / Math.pow(2, 31);
+  var FIT_MESG_RECORD = 20;
+
+  // FIT base type id (low 5 bits) → { size, invalid } for the numeric types we read
+  var FIT_BASE_TYPES = {
+    0: { size: 1, invalid: 0xFF },        // enum
+    1: { size: 1, invalid: 0x7F },        // sint8
+    2: { size: 1, invalid: 0xFF },        // uint8
+    3: { size: 2, invalid: 0x7FFF },      // sint16
+    4: { size: 2, invalid: 0xFFFF },      // uint16
+    5: { size: 4, invalid: 0x7FFFFFFF },  // sint32
+    6: { size: 4, invalid: 0xFFFFFFFF },  // uint32
+    10: { size: 1, invalid: 0x00 },       // uint8z
+    11: { size: 2, invalid: 0x0000 },     // uint16z
+    12: { size: 4, invalid: 0x00000000 }  // uint32z
+  };
+
+  function haversineMeters(a, b) {
+    var R = 6371000;
+    var dLat = (b[1] - a[1]) * Math.PI / 180;
+    var dLon = (b[0] - a[0]) * Math.PI / 180;
+    var lat1 = a[1] * Math.PI / 180;
+    var lat2 = b[1] * Math.PI / 180;
+    var sinDLat = Math.sin(dLat / 2);
+    var sinDLon = Math.sin(dLon / 2);
+    var c = sinDLat * sinDLat + Math.cos(lat1) * Math.cos(lat2) * sinDLon * sinDLon;
+    return R * 2 * Math.atan2(Math.sqrt(c), Math.sqrt(1 - c));
+  }
+
+  function emptyTrack() {
+    return {
+      coordinates: [],
+      properties: {
+        timestamps: [],
+        cumulativeDistance: [],
+        heartRates: [],
+        cadences: [],
+        powers: [],
+        temperatures: []
+      }
+    };
+  }
+
+  // Append one sample; cumulative distance is always recomputed from geometry so
+  // FIT/TCX/GPX sources produce identical numbers to the server-side parser.
+  // A missing altitude stays null so toGpx leaves out <ele> instead of writing 0.
+  function pushPoint(track, pt) {
+    var c = track.coordinates;
+    var p = track.properties;
+    var coord = [pt.lon, pt.lat, typeof pt.ele === 'number' && isFinite(pt.ele) ? pt.ele : null];
+    var prevDist = p.cumulativeDistance.length ? p.cumulativeDistance[p.cumulativeDistance.length - 1] : 0;
+    p.cumulativeDistance.push(c.length ? prevDist + haversineMeters(c[c.length - 1], coord) : 0);
+    c.push(coord);
+    p.timestamps.push(pt.time instanceof Date && !isNaN(pt.time.getTime()) ? pt.time.toISOString().replace(/\.\d{3}Z$/, 'Z') : null);
+    p.heartRates.push(isFinite(pt.hr) ? pt.hr : null);
+    p.cadences.push(isFinite(pt.cad) ? pt.cad : null);
+    p.powers.push(isFinite(pt.power) ? pt.power : null);
+    p.temperatures.push(isFinite(pt.temp) ? pt.temp : null);
+  }
+
+  function readFitValue(view, offset, baseType, size, littleEndian) {
+    var info = FIT_BASE_TYPES[baseType & 0x1F];
+    if (!info || info.size !== size) return null;
+    var v;
+    switch (baseType & 0x1F) {
+      case 1: v = view.getInt8(offset); break;
+      case 3: v = view.getInt16(offset, littleEndian); break;
+      case 5: v = view.getInt32(offset, littleEndian); break;
+      case 4: case 11: v = view.getUint16(offset, littleEndian); break;
+      case 6: case 12: v = view.getUint32(offset, littleEndian); break;
+      default: v = view.getUint8(offset);
+    }
+    return v === info.invalid ? null : v;
+  }
+
+  /**
+   * Parse a FIT activity file.
+   *
+   * Only `record` messages are decoded (position, altitude, HR, cadence, power,
+   * temperature); everything else is skipped using its definition. Records
+   * without a GPS fix are dropped.
+   *
+   * @param {ArrayBuffer} buffer
+   * @returns {{coordinates: Array, properties: Object}}
+   * @throws {Error} When the buffer is not a FIT file
+   */
+  function parseFit(buffer) {
+    var view = new DataView(buffer);
+    if (view.byteLength < 12) throw new Error('File is too small to be a FIT file.');
+    var headerSize = view.getUint8(0);
+    var signature = String.fromCharCode(view.getUint8(8), view.getUint8(9), view.getUint8(10), view.getUint8(11));
+    if (signature !== '.FIT' || (headerSize !== 12 && headerSize !== 14)) {
+      throw new Error('Not a valid FIT file.');
+    }
+    var dataEnd = Math.min(view.byteLength, headerSize + view.getUint32(4, true));
+    var defs = {};
+    var lastTimestamp = null;
+    var track = emptyTrack();
+    var pos = headerSize;
+
+    while (pos < dataEnd) {
+      var header = view.getUint8(pos++);
+      var localType;
+      var compressedOffset = null;
+      if (header & 0x80) {
+        // Compressed timestamp header: always a data message
+        localType = (header >> 5) & 0x03;
+        compressedOffset = header & 0x1F;
+      } else if (header & 0x40) {
+        localType = header & 0x0F;
+        var littleEndian = view.getUint8(pos + 1) === 0;
+        var globalNum = view.getUint16(pos + 2, littleEndian);
+        var numFields = view.getUint8(pos + 4);
+        pos += 5;
+        var fields = [];
+        var msgSize = 0;
+        for (var f = 0; f < numFields; f++) {
+          fields.push({ num: view.getUint8(pos), size: view.getUint8(pos + 1), type: view.getUint8(pos + 2) });
+          msgSize += view.getUint8(pos + 1);
+          pos += 3;
+        }
+        if (header & 0x20) {
+          var numDev = view.getUint8(pos++);
+          for (var dv = 0; dv < numDev; dv++) { msgSize += view.getUint8(pos + 1); pos += 3; }
+        }
+        defs[localType] = { globalNum: globalNum, littleEndian: littleEndian, fields: fields, size: msgSize };
+        continue;
+      } else {
+        localType = header & 0x0F;
+      }
+
+      var def = defs[localType];
+      if (!def) throw new Error('Corrupt FIT file: data message without definition.');
+      if (def.globalNum !== FIT_MESG_RECORD) { pos += def.size; continue; }
+
+      var rec = {};
+      var fpos = pos;
+      for (var fi = 0; fi < def.fields.length; fi++) {
+        var fd = def.fields[fi];
+        if (fpos + fd.size <= dataEnd) rec[fd.num] = readFitValue(view, fpos, fd.type, fd.size, def.littleEndian);
+        fpos += fd.size;
+      }
+      pos += def.size;
+
+      var ts = (typeof rec[253] === 'number') ? rec[253] : null;
+      if (ts === null && compressedOffset !== null && lastTimestamp !== null) {
+        ts = (lastTimestamp & ~0x1F) + compressedOffset;
+        if (compressedOffset < (lastTimestamp & 0x1F)) ts += 0x20;
+      }
+      if (ts !== null) lastTimestamp = ts;
+      if (typeof rec[0] !== 'number' || typeof rec[1] !== 'number') continue;
+
+      var altRaw = (typeof rec[78] === 'number') ? rec[78] : rec[2];
+      pushPoint(track, {
+        lat: rec[0] * SEMICIRCLE_TO_DEG,
+        lon: rec[1] * SEMICIRCLE_TO_DEG,
+        ele: (typeof altRaw === 'number') ? altRaw / 5 - 500 : null,
+        time: ts !== null ? new Date((ts + FIT_EPOCH_OFFSET) * 1000) : null,
+        hr: rec[3],
+        cad: rec[4],
+        power: rec[7],
+        temp: rec[13]
+      });
+    }
+    return track;
+  }
+
+  function childByLocalName(el, name) {
+    if (!el) return null;
+    for (var i = 0; i < el.childNodes.length; i++) {
+      var n = el.childNodes[i];
+      if (n.nodeType === 1 && n.localName === name) return n;
+    }
+    return null;
+  }
+
+  function numberFromNode(el) {
+    if (!el) return null;
+    var v = parseFloat(String(el.textContent || '').trim());
+    return isFinite(v) ? v : null;
+  }
+
+  /**
+   * Parse a TCX (Training Center XML) activity.
+   *
+   * @param {string} text
+   * @returns {{coordinates: Array, properties: Object}}
+   * @throws {Error} When the document is not valid TCX
+   */
+  function parseTcx(text) {
+    var doc = new window.DOMParser().parseFromString(String(text || ''), 'application/xml');
+    if (!doc || !doc.documentElement || doc.getElementsByTagName('parsererror').length || doc.documentElement.localName !== 'TrainingCenterDatabase') {
+      throw new Error('Not a valid TCX file.');
+    }
+    var track = emptyTrack();
+    var points = doc.getElementsByTagNameNS('*', 'Trackpoint');
+    for (var i = 0; i < points.length; i++) {
+      var tp = points[i];
+      var position = childByLocalName(tp, 'Position');
+      var lat = numberFromNode(childByLocalName(position, 'LatitudeDegrees'));
+      var lon = numberFromNode(childByLocalName(position, 'LongitudeDegrees'));
+      if (lat === null || lon === null) continue;
+      var timeEl = childByLocalName(tp, 'Time');
+      var watts = tp.getElementsByTagNameNS('*', 'Watts');
+      pushPoint(track, {
+        lat: lat,
+        lon: lon,
+        ele: numberFromNode(childByLocalName(tp, 'AltitudeMeters')),
+        time: timeEl ? new Date(String(timeEl.textContent).trim()) : null,
+        hr: numberFromNode(childByLocalName(childByLocalName(tp, 'HeartRateBpm'), 'Value')),
+        cad: numberFromNode(childByLocalName(tp, 'Cadence')),
+        power: watts.length ? numberFromNode(watts[0]) : null,
+        temp: null
+      });
+    }
+    return track;
+  }
+
+  function escapeXml(str) {
+    return String(str).replace(/[<>&'"]/g, function (ch) {
+      return { '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;' }[ch];
+    });
+  }
+
+  /**
+   * Serialize a parsed track to GPX 1.1 with Garmin TrackPointExtension v1
+   * (hr/cad/atemp) plus a plain <power> extension, which the server parser reads
+   * from phpGPX's unsupported extensions. Points without altitude get no <ele>.
+   *
+   * @param {{coordinates: Array, properties: Object}} track
+   * @param {string} name Track name
+   * @returns {string}
+   */
+  function toGpx(track, name) {
+    var p = track.properties;
+    var out = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<gpx version="1.1" creator="Flyover GPX" xmlns="http://www.topografix.com/GPX/1/1" xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1">',
+      '<trk><name>' + escapeXml(name || 'Track') + '</name><trkseg>'
+    ];
+    for (var i = 0; i < track.coordinates.length; i++) {
+      var c = track.coordinates[i];
+      var pt = '<trkpt lat="' + c[1].toFixed(7) + '" lon="' + c[0].toFixed(7) + '">';
+      if (c[2] !== null) pt += '<ele>' + (Math.round(c[2] * 10) / 10) + '</ele>';
+      if (p.timestamps[i]) pt += '<time>' + p.timestamps[i] + '</time>';
+      var tpx = '';
+      if (p.temperatures[i] !== null) tpx += '<gpxtpx:atemp>' + p.temperatures[i] + '</gpxtpx:atemp>';
+      if (p.heartRates[i] !== null) tpx += '<gpxtpx:hr>' + Math.round(p.heartRates[i]) + '</gpxtpx:hr>';
+      if (p.cadences[i] !== null) tpx += '<gpxtpx:cad>' + Math.round(p.cadences[i]) + '</gpxtpx:cad>';
+      var ext = (p.powers[i] !== null ? '<power>' + Math.round(p.powers[i]) + '</power>' : '') +
+        (tpx ? '<gpxtpx:TrackPointExtension>' + tpx + '</gpxtpx:TrackPointExtension>' : '');
+      if (ext) pt += '<extensions>' + ext + '</extensions>';
+      out.push(pt + '</trkpt>');
+    }
+    out.push('</trkseg></trk>', '</gpx>');
+    return out.join('\n');
+  }
+
+  function hasValues(arr) {
+    for (var i = 0; i < arr.length; i++) { if (arr[i] !== null) return true; }
+    return false;
+  }
+
+  /**
+   * Preview numbers for the upload form.
+   *
+   * @param {{coordinates: Array, properties: Object}} track
+   * @returns {{points: number, distanceMeters: number, durationSeconds: (number|null), streams: string[]}}
+   */
+  function summarize(track) {
+    var p = track.properties;
+    var first = null, last = null;
+    for (var i = 0; i < p.timestamps.length; i++) {
+      if (!p.timestamps[i]) continue;
+      var ms = Date.parse(p.timestamps[i]);
+      if (first === null) first = ms;
+      last = ms;
+    }
+    var streams = [];
+    if (first !== null) streams.push('time');
+    if (hasValues(p.heartRates)) streams.push('heart rate');
+    if (hasValues(p.cadences)) streams.push('cadence');
+    if (hasValues(p.powers)) streams.push('power');
+    if (hasValues(p.temperatures)) streams.push('temperature');
+    return {
+      points: track.coordinates.length,
+      distanceMeters: p.cumulativeDistance.length ? p.cumulativeDistance[p.cumulativeDistance.length - 1] : 0,
+      durationSeconds: first !== null ? Math.max(0, (last - first) / 1000) : null,
+      streams: streams
+    };
+  }
+
+  function detectFormat(fileName) {
+    var m = /\.([a-z0-9]+)$/i.exec(String(fileName || ''));
+    var ext = m ? m[1].toLowerCase() : '';
+    return (ext === 'fit' || ext === 'tcx' || ext === 'gpx') ? ext : null;
+  }
+
+  window.FGPXTrackImport = {
+    detectFormat: detectFormat,
+    parseFit: parseFit,
+    parseTcx: parseTcx,
+    toGpx: toGpx,
+    summarize: summarize
+  };
+})();
@@ -93,11 +93,17 @@ require_once FGPX_DIR_PATH . 'includes/SmartApiKeys.php';     // Smart API key t
 require_once FGPX_DIR_PATH . 'includes/ErrorHandler.php';    // Error logging system
 require_once FGPX_DIR_PATH . 'includes/AssetManager.php';    // Asset loading and CDN fallbacks
 require_once FGPX_DIR_PATH . 'includes/DatabaseOptimizer.php'; // Database performance optimizations
+require_once FGPX_DIR_PATH . 'includes/PrivacyZones.php';     // Server-side privacy zone filtering
+require_once FGPX_DIR_PATH . 'includes/Trip.php';            // Multi-day trip resolution
+require_once FGPX_DIR_PATH . 'includes/PointsOfInterest.php'; // GeoJSON points of interest along the route
+require_once FGPX_DIR_PATH . 'includes/BestEfforts.php';      // Personal records for the stats dashboard
 require_once FGPX_DIR_PATH . 'includes/Plugin.php';          // Core plugin functionality
+require_once FGPX_DIR_PATH . 'includes/OfflineWorker.php';   // "Save for offline" service worker endpoint
 require_once FGPX_DIR_PATH . 'includes/GalleryShortcode.php'; // Track gallery shortcode
 require_once FGPX_DIR_PATH . 'includes/TimelineShortcode.php'; // Track timeline shortcode
 require_once FGPX_DIR_PATH . 'includes/Statistics.php';      // Multi-track statistics shortcode and endpoints
 require_once FGPX_DIR_PATH . 'includes/Rest.php';            // REST API endpoints
+require_once FGPX_DIR_PATH . 'includes/LiveTracking.php';    // Live tracking point endpoints
 require_once FGPX_DIR_PATH . 'includes/GMediaCaptionSync.php'; // Grand Media caption sync service
 require_once FGPX_DIR_PATH . 'includes/Admin.php';           // Admin interface and upload handling
 require_once FGPX_DIR_PATH . 'includes/CLI.php';             // Command-line interface
@@ -117,6 +123,9 @@ require_once FGPX_DIR_PATH . 'includes/CLI.php';             // Command-line int
     $plugin = new Plugin();
     $plugin->register();
 
+    $offlineWorker = new OfflineWorker();
+    $offlineWorker->register();
+
     $gallery = new GalleryShortcode();
     $gallery->register();
 
@@ -129,6 +138,9 @@ require_once FGPX_DIR_PATH . 'includes/CLI.php';             // Command-line int
     $rest = new Rest();
     $rest->register();
 
+    $liveTracking = new LiveTracking();
+    $liveTracking->register();
+
     $admin = new Admin();
     $admin->register();
 
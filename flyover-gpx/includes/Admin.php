@@ -14,6 +14,8 @@ if (!\defined('ABSPATH')) {
 final class Admin
 {
 	private const PLAYBACK_STATS_OPTION = 'fgpx_playback_stats';
+	private const MAX_CHAPTERS = 50;
+	private const MAX_CAMERA_KEYFRAMES = 100;
 
 	/**
 	 * Register admin hooks: settings page, uploader action, notices, deletion cleanup.
@@ -30,6 +32,11 @@ final class Admin
 		\add_action('before_delete_post', [$this, 'maybe_delete_track_file']);
 		// Invalidate caches on save and meta update
 		\add_action('save_post_fgpx_track', [$this, 'invalidate_cache_on_save'], 20, 3);
+		\add_action('save_post_fgpx_track', [$this, 'save_chapters_metabox'], 10, 3);
+		\add_action('save_post_fgpx_track', [$this, 'save_camera_keyframes_metabox'], 10, 3);
+		\add_action('save_post_fgpx_track', [$this, 'save_trip_metabox'], 10, 3);
+		\add_action('save_post_fgpx_track', [$this, 'save_activity_metabox'], 10, 3);
+		\add_action('save_post_fgpx_track', [$this, 'save_poi_metabox'], 10, 3);
 		\add_action('updated_postmeta', [$this, 'invalidate_cache_on_meta'], 10, 4);
 		// Ensure edit form supports file uploads for replacement
 		\add_action('post_edit_form_tag', [$this, 'add_form_enctype']);
@@ -418,6 +425,8 @@ final class Admin
 		$contoursOpacity = (string) ($options['fgpx_contours_opacity'] ?? '0.75');
 		$contoursMinzoom = (string) ($options['fgpx_contours_minzoom'] ?? '9');
 		$contoursMaxzoom = (string) ($options['fgpx_contours_maxzoom'] ?? '16');
+		$terrainDemUrl = (string) ($options['fgpx_terrain_dem_url'] ?? '');
+		$terrainExaggeration = \floatval($options['fgpx_terrain_exaggeration'] ?? '1.0');
 		$smartApiMode = SmartApiKeys::normalizeMode((string) ($options['fgpx_smart_api_keys_mode'] ?? SmartApiKeys::MODE_OFF));
 		$smartApiPool = (string) ($options['fgpx_smart_api_keys_pool'] ?? '');
 		$smartApiTestUrlOverride = (string) ($options['fgpx_smart_api_keys_test_url_override'] ?? '');
@@ -425,6 +434,10 @@ final class Admin
 		$defZoom = $options['fgpx_default_zoom'];
 		$defSpeed = $options['fgpx_default_speed'];
 		$defPitch = $options['fgpx_default_pitch'];
+		$cameraMode = (string) ($options['fgpx_camera_mode'] ?? 'chase');
+		if (!\in_array($cameraMode, Options::CAMERA_MODES, true)) {
+			$cameraMode = 'chase';
+		}
 		$galleryPerPage = $options['fgpx_gallery_per_page'];
 		$galleryPlayerHeight = (string) ($options['fgpx_gallery_player_height'] ?? '636px');
 		$galleryDefaultSort = $options['fgpx_gallery_default_sort'];
@@ -432,7 +445,7 @@ final class Admin
 		$galleryShowSearch = $options['fgpx_gallery_show_search'];
 		$timelinePerPage = (string) ($options['fgpx_timeline_per_page'] ?? '20');
 		$timelineOrientation = (string) ($options['fgpx_timeline_orientation'] ?? 'vertical');
-		if (!\in_array($timelineOrientation, ['vertical', 'horizontal'], true)) {
+		if (!\in_array($timelineOrientation, ['vertical', 'horizontal', 'calendar'], true)) {
 			$timelineOrientation = 'vertical';
 		}
 		$timelineCardWidth = (string) ($options['fgpx_timeline_card_width'] ?? '280px');
@@ -453,6 +466,9 @@ final class Admin
 		$gpxDownloadEnabled = $options['fgpx_gpx_download_enabled'];
 		$privacyEnabled = $options['fgpx_privacy_enabled'];
 		$privacyKm = $options['fgpx_privacy_km'];
+		$privacyZonesText = PrivacyZones::format_zones_text(PrivacyZones::get_zones());
+		$poiAttachmentId = (int) ($options['fgpx_poi_attachment_id'] ?? 0);
+		$poiRadius = $options['fgpx_poi_radius_m'] ?? '300';
 		$hudEnabled = $options['fgpx_hud_enabled'];
 		$backendSimplify = $options['fgpx_backend_simplify_enabled'];
 		$backendSimplifyTarget = $options['fgpx_backend_simplify_target'];
@@ -463,14 +479,22 @@ final class Admin
 		$chartColorTemp = $options['fgpx_chart_color_temp'];
 		$chartColorPower = $options['fgpx_chart_color_power'];
 		$ftp = $options['fgpx_ftp'];
+		$maxHr = $options['fgpx_max_hr'];
+		$lthr = $options['fgpx_lthr'];
+		$hrZoneColoring = $options['fgpx_hr_zone_coloring'];
 		$systemWeightKg = $options['fgpx_system_weight_kg'];
 		$chartColorWindImpact = $options['fgpx_chart_color_wind_impact'];
 		$chartColorWindRose = $options['fgpx_chart_color_wind_rose'];
 		$prefetchEnabled = $options['fgpx_prefetch_enabled'];
+		$offlineEnabled = $options['fgpx_offline_enabled'];
 		$debugLogging = $options['fgpx_debug_logging'];
 		$debugWeatherData = $options['fgpx_debug_weather_data'];
 		$lazyViewport = $options['fgpx_lazy_viewport'];
 		$elevationColoring = $options['fgpx_elevation_coloring'];
+		$routeColorBy = (string) ($options['fgpx_route_color_by'] ?? 'auto');
+		if (!\in_array($routeColorBy, Options::ROUTE_COLOR_MODES, true)) {
+			$routeColorBy = 'auto';
+		}
 		$elevationColorFlat = $options['fgpx_elevation_color_flat'];
 		$elevationColorSteep = $options['fgpx_elevation_color_steep'];
 		$elevationThresholdMin = $options['fgpx_elevation_threshold_min'];
@@ -489,9 +513,9 @@ final class Admin
 		echo '<input type="hidden" name="action" value="fgpx_upload" />';
 		echo '<input type="hidden" name="fgpx_nonce" value="' . \esc_attr(\wp_create_nonce('fgpx_upload')) . '" />';
 		echo '<div class="file-input-wrapper">';
-		echo '<label for="fgpx_file"><strong>' . \esc_html__('Select a GPX file (max 20MB):', 'flyover-gpx') . '</strong></label>';
-		echo '<input type="file" id="fgpx_file" name="fgpx_file" accept=".gpx,application/gpx+xml,application/xml,text/xml" ' . (!$hasPhpGpx ? 'disabled' : 'required') . ' />';
-		echo '<p class="description">' . \esc_html__('Supported formats: .gpx files. The file will be processed and a new track post will be created.', 'flyover-gpx') . '</p>';
+		echo '<label for="fgpx_file"><strong>' . \esc_html__('Select a GPX, FIT or TCX file (max 20MB):', 'flyover-gpx') . '</strong></label>';
+		echo '<input type="file" id="fgpx_file" name="fgpx_file" accept=".gpx,.fit,.tcx,application/gpx+xml,application/xml,text/xml,application/vnd.ant.fit,application/vnd.garmin.tcx+xml" ' . (!$hasPhpGpx ? 'disabled' : 'required') . ' />';
+		echo '<p class="description">' . \esc_html__('Supported formats: .gpx, .fit and .tcx files. FIT and TCX files are converted to GPX in your browser before upload. The file will be processed and a new track post will be created.', 'flyover-gpx') . '</p>';
 		echo '</div>';
 		echo '<p class="submit"><button type="submit" class="button button-primary" ' . (!$hasPhpGpx ? 'disabled' : '') . '>' . \esc_html__('Upload and Parse', 'flyover-gpx') . '</button></p>';
 		echo '</form>';
@@ -566,6 +590,15 @@ final class Admin
 		echo '<input type="text" id="fgpx_satellite_tiles_url" name="fgpx_satellite_tiles_url" class="regular-text" value="' . \esc_attr($satelliteTilesUrl) . '" placeholder="https://api.maptiler.com/tiles/satellite-v2/{z}/{x}/{y}.jpg?key={{API_KEY}}" />';
 		echo '<p class="description">' . \esc_html__('Raster tile URL used as automatic Satellite fallback when your main style has no matching style layer id. Supports {{API_KEY}} placeholder with Smart API key mode.', 'flyover-gpx') . '</p>';
 		echo '</td></tr>';
+		echo '<tr><th scope="row"><label for="fgpx_terrain_dem_url">' . \esc_html__('Terrain DEM tiles URL', 'flyover-gpx') . '</label></th><td>';
+		echo '<input type="text" id="fgpx_terrain_dem_url" name="fgpx_terrain_dem_url" class="regular-text" value="' . \esc_attr($terrainDemUrl) . '" placeholder="https://api.maptiler.com/tiles/terrain-rgb-v2/{z}/{x}/{y}.webp?key={{API_KEY}}" />';
+		echo '<p class="description">' . \esc_html__('Raster DEM tiles (Terrain-RGB, or Terrarium when the URL contains "terrarium") added to any map style for 3D relief, hillshading and sky. Leave empty to use only a raster-dem source from the inline style JSON. Supports {{API_KEY}} placeholder with Smart API key mode.', 'flyover-gpx') . '</p>';
+		echo '</td></tr>';
+		echo '<tr><th scope="row"><label for="fgpx_terrain_exaggeration">' . \esc_html__('Terrain exaggeration (0 – 3)', 'flyover-gpx') . '</label></th><td>';
+		echo '<input type="range" id="fgpx_terrain_exaggeration" name="fgpx_terrain_exaggeration" min="0" max="3" step="0.1" value="' . \esc_attr((string) $terrainExaggeration) . '" style="width:200px;vertical-align:middle" oninput="document.getElementById(\'fgpx_terrain_exaggeration_val\').textContent=this.value" />';
+		echo ' <span id="fgpx_terrain_exaggeration_val">' . \esc_html((string) $terrainExaggeration) . '</span>';
+		echo '<p class="description">' . \esc_html__('Vertical scale of the 3D relief. 0 keeps the map flat; the terrain button on the map toggles relief for visitors.', 'flyover-gpx') . '</p>';
+		echo '</td></tr>';
 		echo '<tr><th scope="row"><label for="fgpx_smart_api_keys_mode">' . \esc_html__('Smart API key mode', 'flyover-gpx') . '</label></th><td>';
 		echo '<select id="fgpx_smart_api_keys_mode" name="fgpx_smart_api_keys_mode">';
 		echo '<option value="off"' . selected($smartApiMode, SmartApiKeys::MODE_OFF, false) . '>' . \esc_html__('Off', 'flyover-gpx') . '</option>';
@@ -594,6 +627,16 @@ final class Admin
 		echo '<input type="number" id="fgpx_default_pitch" name="fgpx_default_pitch" class="small-text" min="0" max="60" step="1" value="' . \esc_attr($defPitch) . '" />';
 		echo '<p class="description">' . \esc_html__('Map viewing angle tilt in degrees. Lower = flatter (top-down).', 'flyover-gpx') . '</p>';
 		echo '</td></tr>';
+		echo '<tr><th scope="row"><label for="fgpx_camera_mode">' . \esc_html__('Camera mode', 'flyover-gpx') . '</label></th><td>';
+		echo '<select id="fgpx_camera_mode" name="fgpx_camera_mode">';
+		echo '<option value="chase"' . selected($cameraMode, 'chase', false) . '>' . \esc_html__('Chase (follow behind the marker)', 'flyover-gpx') . '</option>';
+		echo '<option value="topdown"' . selected($cameraMode, 'topdown', false) . '>' . \esc_html__('Top-down (north up)', 'flyover-gpx') . '</option>';
+		echo '<option value="orbit"' . selected($cameraMode, 'orbit', false) . '>' . \esc_html__('Orbit', 'flyover-gpx') . '</option>';
+		echo '<option value="firstperson"' . selected($cameraMode, 'firstperson', false) . '>' . \esc_html__('First person', 'flyover-gpx') . '</option>';
+		echo '<option value="cinematic"' . selected($cameraMode, 'cinematic', false) . '>' . \esc_html__('Cinematic (auto zoom on straights and bends)', 'flyover-gpx') . '</option>';
+		echo '</select>';
+		echo '<p class="description">' . \esc_html__('Initial camera of the player. Visitors can switch modes in the controls.', 'flyover-gpx') . '</p>';
+		echo '</td></tr>';
 		echo '</table>';
 
 		// Gallery Defaults Section
@@ -650,8 +693,9 @@ final class Admin
 		echo '<select id="fgpx_timeline_orientation" name="fgpx_timeline_orientation">';
 		echo '<option value="vertical"' . selected($timelineOrientation, 'vertical', false) . '>' . \esc_html__('Vertical', 'flyover-gpx') . '</option>';
 		echo '<option value="horizontal"' . selected($timelineOrientation, 'horizontal', false) . '>' . \esc_html__('Horizontal', 'flyover-gpx') . '</option>';
+		echo '<option value="calendar"' . selected($timelineOrientation, 'calendar', false) . '>' . \esc_html__('Calendar heatmap', 'flyover-gpx') . '</option>';
 		echo '</select>';
-		echo '<p class="description">' . \esc_html__('Desktop and tablet default. On mobile, timeline is always rendered vertical.', 'flyover-gpx') . '</p>';
+		echo '<p class="description">' . \esc_html__('Desktop and tablet default. On mobile, the horizontal timeline is rendered vertical.', 'flyover-gpx') . '</p>';
 		echo '</td></tr>';
 		echo '<tr><th scope="row"><label for="fgpx_timeline_card_width">' . \esc_html__('Timeline card width (default)', 'flyover-gpx') . '</label></th><td>';
 		echo '<input type="text" id="fgpx_timeline_card_width" name="fgpx_timeline_card_width" class="regular-text" value="' . \esc_attr($timelineCardWidth) . '" placeholder="280px" />';
@@ -687,6 +731,19 @@ final class Admin
 		echo '<tr><th scope="row"><label for="fgpx_elevation_coloring">' . \esc_html__('Enable elevation-based route coloring', 'flyover-gpx') . '</label></th><td>';
 		echo '<label><input type="checkbox" id="fgpx_elevation_coloring" name="fgpx_elevation_coloring" value="1"' . ($elevationColoring === '1' ? ' checked' : '') . ' /> ' . \esc_html__('Color the progressive route based on elevation gradient (steepness)', 'flyover-gpx') . '</label>';
 		echo '</td></tr>';
+		echo '<tr><th scope="row"><label for="fgpx_route_color_by">' . \esc_html__('Color route by', 'flyover-gpx') . '</label></th><td>';
+		echo '<select id="fgpx_route_color_by" name="fgpx_route_color_by">';
+		echo '<option value="auto"' . selected($routeColorBy, 'auto', false) . '>' . \esc_html__('Auto (elevation / heart-rate zone settings)', 'flyover-gpx') . '</option>';
+		echo '<option value="none"' . selected($routeColorBy, 'none', false) . '>' . \esc_html__('Single color', 'flyover-gpx') . '</option>';
+		echo '<option value="gradient"' . selected($routeColorBy, 'gradient', false) . '>' . \esc_html__('Gradient', 'flyover-gpx') . '</option>';
+		echo '<option value="speed"' . selected($routeColorBy, 'speed', false) . '>' . \esc_html__('Speed', 'flyover-gpx') . '</option>';
+		echo '<option value="hr"' . selected($routeColorBy, 'hr', false) . '>' . \esc_html__('Heart rate', 'flyover-gpx') . '</option>';
+		echo '<option value="power"' . selected($routeColorBy, 'power', false) . '>' . \esc_html__('Power', 'flyover-gpx') . '</option>';
+		echo '<option value="cadence"' . selected($routeColorBy, 'cadence', false) . '>' . \esc_html__('Cadence', 'flyover-gpx') . '</option>';
+		echo '<option value="temperature"' . selected($routeColorBy, 'temperature', false) . '>' . \esc_html__('Temperature', 'flyover-gpx') . '</option>';
+		echo '</select>';
+		echo '<p class="description">' . \esc_html__('Metric used to color the progressive route. Viewers can switch it from the map control; metrics missing from a track fall back to Auto.', 'flyover-gpx') . '</p>';
+		echo '</td></tr>';
 		echo '<tr><th scope="row"><label for="fgpx_elevation_color_flat">' . \esc_html__('Flat terrain color', 'flyover-gpx') . '</label></th><td>';
 		echo '<input type="color" id="fgpx_elevation_color_flat" name="fgpx_elevation_color_flat" value="' . \esc_attr($elevationColorFlat) . '" />';
 		echo '<p class="description">' . \esc_html__('Color for flat or gentle gradients (below threshold).', 'flyover-gpx') . '</p>';
@@ -732,6 +789,17 @@ final class Admin
 		echo '<input type="number" id="fgpx_ftp" name="fgpx_ftp" class="small-text" min="100" max="500" step="1" value="' . \esc_attr($ftp) . '" />';
 		echo '<p class="description">' . \esc_html__('Functional Threshold Power used for power zones (default 250 W).', 'flyover-gpx') . '</p>';
 		echo '</td></tr>';
+		echo '<tr><th scope="row"><label for="fgpx_max_hr">' . \esc_html__('Max heart rate (bpm)', 'flyover-gpx') . '</label></th><td>';
+		echo '<input type="number" id="fgpx_max_hr" name="fgpx_max_hr" class="small-text" min="120" max="230" step="1" value="' . \esc_attr($maxHr) . '" />';
+		echo '<p class="description">' . \esc_html__('Used for heart-rate zones Z1–Z5 (default 190 bpm).', 'flyover-gpx') . '</p>';
+		echo '</td></tr>';
+		echo '<tr><th scope="row"><label for="fgpx_lthr">' . \esc_html__('Lactate threshold HR (bpm)', 'flyover-gpx') . '</label></th><td>';
+		echo '<input type="number" id="fgpx_lthr" name="fgpx_lthr" class="small-text" min="0" max="220" step="1" value="' . \esc_attr($lthr) . '" />';
+		echo '<p class="description">' . \esc_html__('When set, heart-rate zones are based on LTHR instead of max heart rate. 0 = use max heart rate.', 'flyover-gpx') . '</p>';
+		echo '</td></tr>';
+		echo '<tr><th scope="row"><label for="fgpx_hr_zone_coloring">' . \esc_html__('Heart-rate zone route coloring', 'flyover-gpx') . '</label></th><td>';
+		echo '<label><input type="checkbox" id="fgpx_hr_zone_coloring" name="fgpx_hr_zone_coloring" value="1"' . ($hrZoneColoring === '1' ? ' checked' : '') . ' /> ' . \esc_html__('Color the progressive route by heart-rate zone (overrides elevation coloring when the track has heart-rate data)', 'flyover-gpx') . '</label>';
+		echo '</td></tr>';
 		echo '<tr><th scope="row"><label for="fgpx_system_weight_kg">' . \esc_html__('System weight (kg)', 'flyover-gpx') . '</label></th><td>';
 		echo '<input type="number" id="fgpx_system_weight_kg" name="fgpx_system_weight_kg" class="small-text" min="40" max="200" step="0.1" value="' . \esc_attr($systemWeightKg) . '" />';
 		echo '<p class="description">' . \esc_html__('Total rider + bike + gear weight used for estimated power when GPX has no power data.', 'flyover-gpx') . '</p>';
@@ -800,6 +868,18 @@ final class Admin
 		echo '<input type="number" id="fgpx_privacy_km" name="fgpx_privacy_km" class="small-text" min="0" step="0.1" value="' . \esc_attr($privacyKm) . '" />';
 		echo '<p class="description">' . \esc_html__('Each end hidden by this distance when privacy mode is enabled. Default 3 km.', 'flyover-gpx') . '</p>';
 		echo '</td></tr>';
+		echo '<tr><th scope="row"><label for="fgpx_privacy_zones">' . \esc_html__('Privacy zones', 'flyover-gpx') . '</label></th><td>';
+		echo '<textarea id="fgpx_privacy_zones" name="fgpx_privacy_zones" rows="4" style="width:100%;font-family:monospace;" placeholder="Home, 48.20820, 16.37380, 500">' . \esc_textarea($privacyZonesText) . '</textarea>';
+		echo '<p class="description">' . \esc_html__('One zone per line: name, latitude, longitude, radius in meters (50-20000). Track points inside a zone are removed on the server, so they never reach the browser; the route shows a gap there. Also applied to the statistics heatmap and GPX downloads.', 'flyover-gpx') . '</p>';
+		echo '</td></tr>';
+		echo '<tr><th scope="row"><label for="fgpx_poi_attachment_id">' . \esc_html__('Points of interest file', 'flyover-gpx') . '</label></th><td>';
+		$this->render_poi_file_picker('fgpx_poi_attachment_id', $poiAttachmentId);
+		echo '<p class="description">' . \esc_html__('Site-wide GeoJSON file with Point features (e.g. an OpenStreetMap extract of peaks, passes, huts, water sources and cafes). Applies to every track in addition to a file attached in the track editor. Maximum 5 MB.', 'flyover-gpx') . '</p>';
+		echo '</td></tr>';
+		echo '<tr><th scope="row"><label for="fgpx_poi_radius_m">' . \esc_html__('Points of interest radius (m)', 'flyover-gpx') . '</label></th><td>';
+		echo '<input type="number" id="fgpx_poi_radius_m" name="fgpx_poi_radius_m" class="small-text" min="25" max="5000" step="25" value="' . \esc_attr((string) $poiRadius) . '" />';
+		echo '<p class="description">' . \esc_html__('Only points within this distance of the route are shown. Default 300 m.', 'flyover-gpx') . '</p>';
+		echo '</td></tr>';
 		echo '</table>';
 
 		// Weather Integration Section
@@ -1036,6 +1116,10 @@ final class Admin
 		echo '<tr><th scope="row"><label for="fgpx_prefetch_enabled">' . \esc_html__('Enable tile prefetching', 'flyover-gpx') . '</label></th><td>';
 		echo '<label><input type="checkbox" id="fgpx_prefetch_enabled" name="fgpx_prefetch_enabled" value="1"' . ($prefetchEnabled === '1' ? ' checked' : '') . ' /> ' . \esc_html__('Proactively prefetch map tiles (faster feel, more external requests). Uncheck to reduce requests/quotas.', 'flyover-gpx') . '</label>';
 		echo '</td></tr>';
+		echo '<tr><th scope="row"><label for="fgpx_offline_enabled">' . \esc_html__('Save for offline', 'flyover-gpx') . '</label></th><td>';
+		echo '<label><input type="checkbox" id="fgpx_offline_enabled" name="fgpx_offline_enabled" value="1"' . ($offlineEnabled === '1' ? ' checked' : '') . ' /> ' . \esc_html__('Show a "Save for offline" button in the player. Visitors can store the track page, its data, map tiles along the route and photo thumbnails in the browser (service worker).', 'flyover-gpx') . '</label>';
+		echo '<p class="description">' . \esc_html__('Override per player with offline="0|1". Turning this off removes saved tracks from visitors\' browsers on their next visit.', 'flyover-gpx') . '</p>';
+		echo '</td></tr>';
 		echo '<tr><th scope="row"><label for="fgpx_lazy_viewport">' . \esc_html__('Lazy load on viewport', 'flyover-gpx') . '</label></th><td>';
         echo '<label><input type="checkbox" id="fgpx_lazy_viewport" name="fgpx_lazy_viewport" value="1"' . ($lazyViewport === '1' ? ' checked' : '') . ' /> ' .
              \esc_html__('Only load map libraries & tiles when the player scrolls into view.', 'flyover-gpx') . '</label>';
@@ -1133,9 +1217,9 @@ final class Admin
 		echo '<input type="hidden" name="redirect_to_edit" value="1" />';
 		
 		echo '<div class="file-input-wrapper">';
-		echo '<label for="fgpx_file"><strong>' . \esc_html__('Select a GPX file (max 20MB):', 'flyover-gpx') . '</strong></label>';
-		echo '<input type="file" id="fgpx_file" name="fgpx_file" accept=".gpx,application/gpx+xml,application/xml,text/xml" ' . (!$hasPhpGpx ? 'disabled' : 'required') . ' />';
-		echo '<p class="description">' . \esc_html__('Supported formats: .gpx files. After upload, you will be redirected to edit the track details.', 'flyover-gpx') . '</p>';
+		echo '<label for="fgpx_file"><strong>' . \esc_html__('Select a GPX, FIT or TCX file (max 20MB):', 'flyover-gpx') . '</strong></label>';
+		echo '<input type="file" id="fgpx_file" name="fgpx_file" accept=".gpx,.fit,.tcx,application/gpx+xml,application/xml,text/xml,application/vnd.ant.fit,application/vnd.garmin.tcx+xml" ' . (!$hasPhpGpx ? 'disabled' : 'required') . ' />';
+		echo '<p class="description">' . \esc_html__('Supported formats: .gpx, .fit and .tcx files. FIT and TCX files are converted to GPX in your browser before upload. After upload, you will be redirected to edit the track details.', 'flyover-gpx') . '</p>';
 		echo '</div>';
 		
 		echo '<p class="submit"><button type="submit" class="button button-primary" ' . (!$hasPhpGpx ? 'disabled' : '') . '>' . \esc_html__('Upload and Create Track', 'flyover-gpx') . '</button></p>';
@@ -1221,7 +1305,8 @@ final class Admin
 		$originalName = (string) ($file['name'] ?? '');
 		$ext = \strtolower((string) \pathinfo($originalName, PATHINFO_EXTENSION));
 		if ($ext !== 'gpx') {
-			$this->redirect_with_error(\esc_html__('Only .gpx files are allowed.', 'flyover-gpx'));
+			// FIT/TCX are converted to GPX client-side (assets/js/track-import.js), so only GPX reaches the server.
+			$this->redirect_with_error(\esc_html__('Only .gpx files are allowed. FIT and TCX files are converted automatically when JavaScript is enabled.', 'flyover-gpx'));
 		}
 
 		$allowedMimes = [
@@ -1333,6 +1418,10 @@ final class Admin
 			// Activity date (earliest GPX timestamp or post date) for timeline sorting
 			'fgpx_activity_date_unix' => $activityDate,
 		];
+		// Only a GPX <type> fills the activity type, so a re-upload keeps one set by hand
+		if (($parse['activity_type'] ?? '') !== '') {
+			$initialMeta['fgpx_activity_type'] = $parse['activity_type'];
+		}
 		DatabaseOptimizer::bulkUpdatePostMeta($postId, $initialMeta);
 
 		// Store waypoints if any were extracted
@@ -1672,6 +1761,376 @@ final class Admin
 		\add_meta_box('fgpx_weather_debug', \esc_html__('Weather Data Debug', 'flyover-gpx'), [$this, 'render_metabox_weather_debug'], 'fgpx_track', 'side', 'default');
 		\add_meta_box('fgpx_wind_debug', \esc_html__('Wind Data Debug', 'flyover-gpx'), [$this, 'render_metabox_wind_debug'], 'fgpx_track', 'side', 'default');
 		\add_meta_box('fgpx_preview', \esc_html__('Track Preview', 'flyover-gpx'), [$this, 'render_metabox_preview'], 'fgpx_track', 'normal', 'high');
+		\add_meta_box('fgpx_chapters', \esc_html__('Story Chapters', 'flyover-gpx'), [$this, 'render_metabox_chapters'], 'fgpx_track', 'normal', 'default');
+		\add_meta_box('fgpx_camera_keyframes', \esc_html__('Camera Keyframes', 'flyover-gpx'), [$this, 'render_metabox_camera_keyframes'], 'fgpx_track', 'normal', 'default');
+		\add_meta_box('fgpx_trip', \esc_html__('Trip', 'flyover-gpx'), [$this, 'render_metabox_trip'], 'fgpx_track', 'side', 'default');
+		\add_meta_box('fgpx_activity', \esc_html__('Activity', 'flyover-gpx'), [$this, 'render_metabox_activity'], 'fgpx_track', 'side', 'default');
+		\add_meta_box('fgpx_poi', \esc_html__('Points of Interest', 'flyover-gpx'), [$this, 'render_metabox_poi'], 'fgpx_track', 'side', 'default');
+	}
+
+	/**
+	 * Render the trip name field. Tracks sharing a name are played as one multi-day journey.
+	 */
+	public function render_metabox_trip(\WP_Post $post): void
+	{
+		global $wpdb;
+		$current = (string) \get_post_meta((int) $post->ID, Trip::META_NAME, true);
+		$names = (array) $wpdb->get_col($wpdb->prepare(
+			"SELECT DISTINCT meta_value FROM {$wpdb->postmeta} WHERE meta_key = %s AND meta_value <> '' ORDER BY meta_value LIMIT 100",
+			Trip::META_NAME
+		));
+
+		echo '<input type="hidden" name="fgpx_trip_nonce" value="' . \esc_attr(\wp_create_nonce('fgpx_save_trip')) . '" />';
+		echo '<p><label for="fgpx_trip_name">' . \esc_html__('Trip name', 'flyover-gpx') . '</label>';
+		echo '<input type="text" class="widefat" id="fgpx_trip_name" name="fgpx_trip_name" list="fgpx_trip_names" value="' . \esc_attr($current) . '" /></p>';
+		echo '<datalist id="fgpx_trip_names">';
+		foreach ($names as $name) {
+			echo '<option value="' . \esc_attr((string) $name) . '"></option>';
+		}
+		echo '</datalist>';
+		echo '<p class="description">' . \esc_html__('Give each day of a multi-day trip the same name. The timeline shows them as one card, and the trip shortcode plays them as one journey ordered by activity date.', 'flyover-gpx') . '</p>';
+		if ($current !== '') {
+			echo '<p><code>' . \esc_html('[flyover_gpx_trip trip="' . $current . '"]') . '</code></p>';
+		}
+	}
+
+	/**
+	 * Save the trip name posted by the trip metabox.
+	 */
+	public function save_trip_metabox(int $postId, \WP_Post $post, bool $update): void
+	{
+		if (\defined('DOING_AUTOSAVE') && DOING_AUTOSAVE) {
+			return;
+		}
+		if (\wp_is_post_revision($postId)) {
+			return;
+		}
+		if (!isset($_POST['fgpx_trip_name'])) {
+			return;
+		}
+		if (!$this->validateNonce('fgpx_save_trip', 'fgpx_trip_nonce', false) || !\current_user_can('edit_post', $postId)) {
+			return;
+		}
+
+		$name = Trip::sanitize_name((string) \wp_unslash($_POST['fgpx_trip_name']));
+		if ($name === '') {
+			\delete_post_meta($postId, Trip::META_NAME);
+		} else {
+			\update_post_meta($postId, Trip::META_NAME, $name);
+		}
+	}
+
+	/**
+	 * Render the activity type field used by the gallery filters. Prefilled from the GPX <type>.
+	 */
+	public function render_metabox_activity(\WP_Post $post): void
+	{
+		global $wpdb;
+		$current = (string) \get_post_meta((int) $post->ID, 'fgpx_activity_type', true);
+		$types = (array) $wpdb->get_col($wpdb->prepare(
+			"SELECT DISTINCT meta_value FROM {$wpdb->postmeta} WHERE meta_key = %s AND meta_value <> '' ORDER BY meta_value LIMIT 100",
+			'fgpx_activity_type'
+		));
+
+		echo '<input type="hidden" name="fgpx_activity_nonce" value="' . \esc_attr(\wp_create_nonce('fgpx_save_activity')) . '" />';
+		echo '<p><label for="fgpx_activity_type">' . \esc_html__('Activity type', 'flyover-gpx') . '</label>';
+		echo '<input type="text" class="widefat" id="fgpx_activity_type" name="fgpx_activity_type" list="fgpx_activity_types" value="' . \esc_attr($current) . '" /></p>';
+		echo '<datalist id="fgpx_activity_types">';
+		foreach ($types as $type) {
+			echo '<option value="' . \esc_attr((string) $type) . '"></option>';
+		}
+		echo '</datalist>';
+		echo '<p class="description">' . \esc_html__('For example Cycling or Hiking. Gallery visitors can filter by it; tags and categories work the same way.', 'flyover-gpx') . '</p>';
+	}
+
+	/**
+	 * Save the activity type posted by the activity metabox.
+	 */
+	public function save_activity_metabox(int $postId, \WP_Post $post, bool $update): void
+	{
+		if (\defined('DOING_AUTOSAVE') && DOING_AUTOSAVE) {
+			return;
+		}
+		if (\wp_is_post_revision($postId)) {
+			return;
+		}
+		if (!isset($_POST['fgpx_activity_type'])) {
+			return;
+		}
+		if (!$this->validateNonce('fgpx_save_activity', 'fgpx_activity_nonce', false) || !\current_user_can('edit_post', $postId)) {
+			return;
+		}
+
+		$type = \sanitize_text_field((string) \wp_unslash($_POST['fgpx_activity_type']));
+		if ($type === '') {
+			\delete_post_meta($postId, 'fgpx_activity_type');
+		} else {
+			\update_post_meta($postId, 'fgpx_activity_type', $type);
+		}
+	}
+
+	/**
+	 * Render the per-track POI file picker. The site-wide file from the settings applies as well.
+	 */
+	public function render_metabox_poi(\WP_Post $post): void
+	{
+		$attachmentId = (int) \get_post_meta((int) $post->ID, PointsOfInterest::META_ATTACHMENT, true);
+
+		echo '<input type="hidden" name="fgpx_poi_nonce" value="' . \esc_attr(\wp_create_nonce('fgpx_save_poi')) . '" />';
+		$this->render_poi_file_picker('fgpx_poi_attachment_id', $attachmentId);
+		echo '<p class="description">' . \esc_html__('GeoJSON file with Point features, e.g. peaks, passes, huts, water sources and cafes exported from OpenStreetMap. Points near the route are listed in the player, marked on the elevation chart and shown in the simulation.', 'flyover-gpx') . '</p>';
+	}
+
+	/**
+	 * Save the POI file posted by the POI metabox.
+	 */
+	public function save_poi_metabox(int $postId, \WP_Post $post, bool $update): void
+	{
+		if (\defined('DOING_AUTOSAVE') && DOING_AUTOSAVE) {
+			return;
+		}
+		if (\wp_is_post_revision($postId)) {
+			return;
+		}
+		if (!isset($_POST['fgpx_poi_attachment_id'])) {
+			return;
+		}
+		if (!$this->validateNonce('fgpx_save_poi', 'fgpx_poi_nonce', false) || !\current_user_can('edit_post', $postId)) {
+			return;
+		}
+
+		$attachmentId = \absint($_POST['fgpx_poi_attachment_id']);
+		if ($attachmentId > 0) {
+			\update_post_meta($postId, PointsOfInterest::META_ATTACHMENT, $attachmentId);
+		} else {
+			\delete_post_meta($postId, PointsOfInterest::META_ATTACHMENT);
+		}
+	}
+
+	/**
+	 * Hidden attachment ID plus select/remove buttons; the media frame lives in admin.js.
+	 */
+	private function render_poi_file_picker(string $name, int $attachmentId): void
+	{
+		$file = $attachmentId > 0 ? \get_attached_file($attachmentId) : false;
+		$label = $file ? \wp_basename((string) $file) : \__('No file selected', 'flyover-gpx');
+
+		echo '<div class="fgpx-poi-file-box">';
+		echo '<input type="hidden" class="fgpx-poi-file-id" id="' . \esc_attr($name) . '" name="' . \esc_attr($name) . '" value="' . \esc_attr((string) $attachmentId) . '" />';
+		echo '<p><code class="fgpx-poi-file-name">' . \esc_html($label) . '</code></p>';
+		echo '<p><button type="button" class="button fgpx-poi-file-select">' . \esc_html__('Select GeoJSON file', 'flyover-gpx') . '</button> ';
+		echo '<button type="button" class="button-link fgpx-poi-file-clear"' . ($attachmentId > 0 ? '' : ' style="display:none"') . '>' . \esc_html__('Remove', 'flyover-gpx') . '</button></p>';
+		echo '</div>';
+	}
+
+	/**
+	 * Render the story chapters editor: a map to place chapters on the track and the chapter list.
+	 * The list is edited in admin.js and posted back as JSON in fgpx_chapters_json.
+	 */
+	public function render_metabox_chapters(\WP_Post $post): void
+	{
+		if ((\defined('REST_REQUEST') && REST_REQUEST) || (\defined('DOING_AJAX') && DOING_AJAX)) {
+			echo '<p>' . \esc_html__('Chapters are unavailable during save operations.', 'flyover-gpx') . '</p>';
+			return;
+		}
+
+		try {
+			$plugin = new Plugin();
+			$plugin->register_assets();
+		} catch (\Throwable $e) { /* no-op */ }
+		\wp_enqueue_style('maplibre-gl-css');
+		\wp_enqueue_script('maplibre-gl-js');
+
+		$chapters = \get_post_meta((int) $post->ID, 'fgpx_chapters', true);
+		$chapters = \is_array($chapters) ? \array_values($chapters) : [];
+		foreach ($chapters as $i => $chapter) {
+			$imageId = (int) ($chapter['imageId'] ?? 0);
+			$chapters[$i]['imageUrl'] = $imageId > 0 ? (string) \wp_get_attachment_image_url($imageId, 'thumbnail') : '';
+		}
+
+		echo '<div class="fgpx-chapters-editor" data-track-id="' . (int) $post->ID . '">';
+		echo '<input type="hidden" name="fgpx_chapters_nonce" value="' . \esc_attr(\wp_create_nonce('fgpx_save_chapters')) . '" />';
+		echo '<input type="hidden" name="fgpx_chapters_json" class="fgpx-chapters-json" value="' . \esc_attr((string) \wp_json_encode($chapters)) . '" />';
+		echo '<p class="description">' . \esc_html__('Click the map to add a chapter at the nearest point of the track. During playback each chapter is shown as a card and listed as a marker on the progress bar. Leave zoom, pitch or bearing empty to keep the player camera.', 'flyover-gpx') . '</p>';
+		echo '<div class="fgpx-chapters-map"></div>';
+		echo '<p><button type="button" class="button fgpx-chapters-add">' . \esc_html__('Add chapter at start', 'flyover-gpx') . '</button></p>';
+		echo '<div class="fgpx-chapters-list"></div>';
+		echo '</div>';
+	}
+
+	/**
+	 * Save the chapters posted by the chapters metabox.
+	 */
+	public function save_chapters_metabox(int $postId, \WP_Post $post, bool $update): void
+	{
+		if (\defined('DOING_AUTOSAVE') && DOING_AUTOSAVE) {
+			return;
+		}
+		if (\wp_is_post_revision($postId)) {
+			return;
+		}
+		if (!isset($_POST['fgpx_chapters_json'])) {
+			return;
+		}
+		if (!$this->validateNonce('fgpx_save_chapters', 'fgpx_chapters_nonce', false) || !\current_user_can('edit_post', $postId)) {
+			return;
+		}
+
+		$decoded = \json_decode((string) \wp_unslash($_POST['fgpx_chapters_json']), true);
+		$chapters = self::sanitize_chapters(\is_array($decoded) ? $decoded : []);
+		if (empty($chapters)) {
+			\delete_post_meta($postId, 'fgpx_chapters');
+		} else {
+			\update_post_meta($postId, 'fgpx_chapters', $chapters);
+		}
+	}
+
+	/**
+	 * Normalize chapters from the editor: distance in meters along the track, plain-text title,
+	 * kses-filtered rich text, image attachment ID and optional camera override (null = keep).
+	 *
+	 * @param array<int,mixed> $raw
+	 * @return array<int,array<string,mixed>>
+	 */
+	public static function sanitize_chapters(array $raw): array
+	{
+		$optionalFloat = static function ($value, float $min, float $max): ?float {
+			if ($value === null || $value === '' || !\is_numeric($value)) {
+				return null;
+			}
+			return \max($min, \min($max, (float) $value));
+		};
+
+		$chapters = [];
+		foreach ($raw as $chapter) {
+			if (!\is_array($chapter) || !isset($chapter['distance']) || !\is_numeric($chapter['distance'])) {
+				continue;
+			}
+			$chapters[] = [
+				'distance' => \round(\max(0.0, (float) $chapter['distance']), 1),
+				'title' => \sanitize_text_field((string) ($chapter['title'] ?? '')),
+				'text' => \wp_kses_post((string) ($chapter['text'] ?? '')),
+				'imageId' => \max(0, (int) ($chapter['imageId'] ?? 0)),
+				'zoom' => $optionalFloat($chapter['zoom'] ?? null, 1.0, 20.0),
+				'pitch' => $optionalFloat($chapter['pitch'] ?? null, 0.0, 85.0),
+				'bearing' => $optionalFloat($chapter['bearing'] ?? null, -180.0, 360.0),
+				'pause' => !empty($chapter['pause']),
+			];
+			if (\count($chapters) >= self::MAX_CHAPTERS) {
+				break;
+			}
+		}
+
+		\usort($chapters, static function (array $a, array $b): int {
+			return $a['distance'] <=> $b['distance'];
+		});
+
+		return $chapters;
+	}
+
+	/**
+	 * Render the camera keyframe editor: a map with a scrubber along the track to frame
+	 * and capture keyframes, and the keyframe list. Edited in admin.js and posted back as
+	 * JSON in fgpx_camera_keyframes_json.
+	 */
+	public function render_metabox_camera_keyframes(\WP_Post $post): void
+	{
+		if ((\defined('REST_REQUEST') && REST_REQUEST) || (\defined('DOING_AJAX') && DOING_AJAX)) {
+			echo '<p>' . \esc_html__('Camera keyframes are unavailable during save operations.', 'flyover-gpx') . '</p>';
+			return;
+		}
+
+		try {
+			$plugin = new Plugin();
+			$plugin->register_assets();
+		} catch (\Throwable $e) { /* no-op */ }
+		\wp_enqueue_style('maplibre-gl-css');
+		\wp_enqueue_script('maplibre-gl-js');
+
+		$keyframes = \get_post_meta((int) $post->ID, 'fgpx_camera_keyframes', true);
+		$keyframes = \is_array($keyframes) ? \array_values($keyframes) : [];
+
+		echo '<div class="fgpx-keyframes-editor" data-track-id="' . (int) $post->ID . '">';
+		echo '<input type="hidden" name="fgpx_camera_keyframes_nonce" value="' . \esc_attr(\wp_create_nonce('fgpx_save_camera_keyframes')) . '" />';
+		echo '<input type="hidden" name="fgpx_camera_keyframes_json" class="fgpx-keyframes-json" value="' . \esc_attr((string) \wp_json_encode($keyframes)) . '" />';
+		echo '<p class="description">' . \esc_html__('Drag the slider to move along the track, then zoom, tilt, rotate and pan the map to frame the shot and capture a keyframe. During playback and video recording the camera moves smoothly from keyframe to keyframe instead of following the marker automatically. Offset is the distance along the track between the marker and the center of the view.', 'flyover-gpx') . '</p>';
+		echo '<div class="fgpx-keyframes-map"></div>';
+		echo '<p class="fgpx-keyframes-scrub"><input type="range" class="fgpx-keyframes-scrub-input" min="0" max="0" step="10" value="0" aria-label="' . \esc_attr__('Position along the track', 'flyover-gpx') . '" /> <span class="fgpx-keyframes-scrub-label"></span></p>';
+		echo '<p><button type="button" class="button fgpx-keyframes-capture">' . \esc_html__('Capture keyframe', 'flyover-gpx') . '</button></p>';
+		echo '<div class="fgpx-keyframes-list"></div>';
+		echo '</div>';
+	}
+
+	/**
+	 * Save the camera keyframes posted by the keyframes metabox.
+	 */
+	public function save_camera_keyframes_metabox(int $postId, \WP_Post $post, bool $update): void
+	{
+		if (\defined('DOING_AUTOSAVE') && DOING_AUTOSAVE) {
+			return;
+		}
+		if (\wp_is_post_revision($postId)) {
+			return;
+		}
+		if (!isset($_POST['fgpx_camera_keyframes_json'])) {
+			return;
+		}
+		if (!$this->validateNonce('fgpx_save_camera_keyframes', 'fgpx_camera_keyframes_nonce', false) || !\current_user_can('edit_post', $postId)) {
+			return;
+		}
+
+		$decoded = \json_decode((string) \wp_unslash($_POST['fgpx_camera_keyframes_json']), true);
+		$keyframes = self::sanitize_camera_keyframes(\is_array($decoded) ? $decoded : []);
+		if (empty($keyframes)) {
+			\delete_post_meta($postId, 'fgpx_camera_keyframes');
+		} else {
+			\update_post_meta($postId, 'fgpx_camera_keyframes', $keyframes);
+		}
+	}
+
+	/**
+	 * Normalize camera keyframes from the editor: distance in meters along the track, zoom,
+	 * pitch, bearing (0..360) and the offset of the view center along the track in meters.
+	 * Keyframes without a distance or a full camera are dropped.
+	 *
+	 * @param array<int,mixed> $raw
+	 * @return array<int,array<string,float>>
+	 */
+	public static function sanitize_camera_keyframes(array $raw): array
+	{
+		$keyframes = [];
+		foreach ($raw as $keyframe) {
+			if (!\is_array($keyframe)) {
+				continue;
+			}
+			$complete = true;
+			foreach (['distance', 'zoom', 'pitch', 'bearing'] as $key) {
+				if (!isset($keyframe[$key]) || !\is_numeric($keyframe[$key])) {
+					$complete = false;
+				}
+			}
+			if (!$complete) {
+				continue;
+			}
+			$offset = isset($keyframe['offset']) && \is_numeric($keyframe['offset']) ? (float) $keyframe['offset'] : 0.0;
+			$bearing = \fmod((float) $keyframe['bearing'], 360.0);
+			$keyframes[] = [
+				'distance' => \round(\max(0.0, (float) $keyframe['distance']), 1),
+				'zoom' => \round(\max(1.0, \min(20.0, (float) $keyframe['zoom'])), 2),
+				'pitch' => \round(\max(0.0, \min(85.0, (float) $keyframe['pitch'])), 1),
+				'bearing' => \round($bearing < 0.0 ? $bearing + 360.0 : $bearing, 1),
+				'offset' => \round(\max(-2000.0, \min(2000.0, $offset)), 1),
+			];
+			if (\count($keyframes) >= self::MAX_CAMERA_KEYFRAMES) {
+				break;
+			}
+		}
+
+		\usort($keyframes, static function (array $a, array $b): int {
+			return $a['distance'] <=> $b['distance'];
+		});
+
+		return $keyframes;
 	}
 
 	public function render_metabox_preview(\WP_Post $post): void
@@ -2457,6 +2916,17 @@ final class Admin
 			}
 		}
 		\update_option('fgpx_satellite_tiles_url', $satelliteTilesUrl, true);
+		$terrainDemUrlRaw = isset($_POST['fgpx_terrain_dem_url']) ? \trim((string) \wp_unslash($_POST['fgpx_terrain_dem_url'])) : '';
+		$terrainDemUrl = '';
+		if ($terrainDemUrlRaw !== '') {
+			if (\strpos($terrainDemUrlRaw, SmartApiKeys::PLACEHOLDER) !== false) {
+				$terrainDemUrl = \preg_match('#^https?://#i', $terrainDemUrlRaw) ? $terrainDemUrlRaw : '';
+			} else {
+				$terrainDemUrl = (string) \esc_url_raw($terrainDemUrlRaw);
+			}
+		}
+		\update_option('fgpx_terrain_dem_url', $terrainDemUrl, true);
+		\update_option('fgpx_terrain_exaggeration', (string) max(0.0, min(3.0, $this->getValidFloat('fgpx_terrain_exaggeration', 1.0, 0.0, 3.0))), true);
 		\update_option('fgpx_contours_color', $this->getValidColor('fgpx_contours_color', '#ffffff'), true);
 		\update_option('fgpx_contours_width', (string) max(0.1, min(6.0, $this->getValidFloat('fgpx_contours_width', 1.2, 0.1, 6.0))), true);
 		\update_option('fgpx_contours_opacity', (string) max(0.1, min(1.0, $this->getValidFloat('fgpx_contours_opacity', 0.75, 0.1, 1.0))), true);
@@ -2488,6 +2958,11 @@ final class Admin
 		\update_option('fgpx_default_zoom', (string) $zoom, true);
 		\update_option('fgpx_default_speed', (string) $speed, true);
 		\update_option('fgpx_default_pitch', (string) $pitch, true);
+		$cameraMode = isset($_POST['fgpx_camera_mode']) ? \sanitize_key((string) $_POST['fgpx_camera_mode']) : 'chase';
+		if (!\in_array($cameraMode, Options::CAMERA_MODES, true)) {
+			$cameraMode = 'chase';
+		}
+		\update_option('fgpx_camera_mode', $cameraMode, true);
 		$galleryPerPage = $this->getValidInt('fgpx_gallery_per_page', 16, 4, 48);
 		$galleryPlayerHeight = isset($_POST['fgpx_gallery_player_height']) ? \sanitize_text_field((string) $_POST['fgpx_gallery_player_height']) : '636px';
 		if ($galleryPlayerHeight === '' || !\preg_match('/^\d+(\.\d+)?(px|vh|vw|em|rem|%)$/', $galleryPlayerHeight)) {
@@ -2514,7 +2989,7 @@ final class Admin
 		\update_option('fgpx_gallery_auto_speed_value', $galleryAutoSpeedVal, true);
 		$timelinePerPage = $this->getValidInt('fgpx_timeline_per_page', 20, 10, 50);
 		$timelineOrientation = isset($_POST['fgpx_timeline_orientation']) ? \sanitize_key((string) $_POST['fgpx_timeline_orientation']) : 'vertical';
-		if (!\in_array($timelineOrientation, ['vertical', 'horizontal'], true)) {
+		if (!\in_array($timelineOrientation, ['vertical', 'horizontal', 'calendar'], true)) {
 			$timelineOrientation = 'vertical';
 		}
 		$timelineCardWidth = isset($_POST['fgpx_timeline_card_width']) ? \sanitize_text_field((string) $_POST['fgpx_timeline_card_width']) : '280px';
@@ -2551,6 +3026,16 @@ final class Admin
 		$simplifyTarget = $this->getValidInt('fgpx_backend_simplify_target', 1200, 300, 2500);
 		
 		\update_option('fgpx_privacy_km', (string) $privacyKm, true);
+		$privacyZonesBefore = (string) \get_option('fgpx_privacy_zones', '');
+		$privacyZones = PrivacyZones::parse_zones_text(isset($_POST['fgpx_privacy_zones']) ? (string) \wp_unslash($_POST['fgpx_privacy_zones']) : '');
+		$privacyZonesJson = empty($privacyZones) ? '' : (string) \wp_json_encode($privacyZones);
+		\update_option('fgpx_privacy_zones', $privacyZonesJson, true);
+		if ($privacyZonesJson !== $privacyZonesBefore) {
+			// Cached payloads and the stats heatmap were built with the previous zones
+			$this->invalidate_all_track_caches();
+		}
+		if (isset($_POST['fgpx_poi_attachment_id'])) { \update_option('fgpx_poi_attachment_id', (string) \absint($_POST['fgpx_poi_attachment_id']), true); }
+		\update_option('fgpx_poi_radius_m', (string) $this->getValidInt('fgpx_poi_radius_m', 300, 25, 5000), true);
 		\update_option('fgpx_photo_max_distance', (string) $photoMaxDistance, true);
 		\update_option('fgpx_photo_order_mode', $photoOrderMode, true);
 		\update_option('fgpx_backend_simplify_target', (string) $simplifyTarget, true);
@@ -2563,6 +3048,9 @@ final class Admin
 		\update_option('fgpx_chart_color_power', $this->getValidColor('fgpx_chart_color_power', '#059669'), true);
 		\update_option('fgpx_ftp', (string) $this->getValidInt('fgpx_ftp', 250, 100, 500), true);
 		\update_option('fgpx_system_weight_kg', (string) $this->getValidFloat('fgpx_system_weight_kg', 75.0, 40.0, 200.0), true);
+		\update_option('fgpx_max_hr', (string) $this->getValidInt('fgpx_max_hr', 190, 120, 230), true);
+		\update_option('fgpx_lthr', (string) $this->getValidInt('fgpx_lthr', 0, 0, 220), true);
+		\update_option('fgpx_hr_zone_coloring', isset($_POST['fgpx_hr_zone_coloring']) ? '1' : '0', true);
 		\update_option('fgpx_chart_color_wind_impact', $this->getValidColor('fgpx_chart_color_wind_impact', '#ff6b35'), true);
 		\update_option('fgpx_chart_color_wind_rose', $this->getValidColor('fgpx_chart_color_wind_rose', '#4ecdc4'), true);
 		if (isset($_POST['fgpx_wind_rose_color_north'])) { \update_option('fgpx_wind_rose_color_north', \sanitize_hex_color($_POST['fgpx_wind_rose_color_north']), true); }
@@ -2574,6 +3062,11 @@ final class Admin
 		if (isset($_POST['fgpx_daynight_map_color'])) { \update_option('fgpx_daynight_map_color', \sanitize_hex_color($_POST['fgpx_daynight_map_color']), true); }
 		if (isset($_POST['fgpx_daynight_map_opacity'])) { \update_option('fgpx_daynight_map_opacity', (string) max(0.1, min(1.0, (float) $_POST['fgpx_daynight_map_opacity'])), true); }
 		\update_option('fgpx_elevation_coloring', isset($_POST['fgpx_elevation_coloring']) ? '1' : '0', true);
+		$routeColorBy = isset($_POST['fgpx_route_color_by']) ? \sanitize_key((string) $_POST['fgpx_route_color_by']) : 'auto';
+		if (!\in_array($routeColorBy, Options::ROUTE_COLOR_MODES, true)) {
+			$routeColorBy = 'auto';
+		}
+		\update_option('fgpx_route_color_by', $routeColorBy, true);
 		if (isset($_POST['fgpx_elevation_color_flat'])) { \update_option('fgpx_elevation_color_flat', sanitize_hex_color((string) $_POST['fgpx_elevation_color_flat']), true); }
 		if (isset($_POST['fgpx_elevation_color_steep'])) { \update_option('fgpx_elevation_color_steep', sanitize_hex_color((string) $_POST['fgpx_elevation_color_steep']), true); }
 		if (isset($_POST['fgpx_elevation_threshold_min'])) { \update_option('fgpx_elevation_threshold_min', (string) max(0, min(20, (float) $_POST['fgpx_elevation_threshold_min'])), true); }
@@ -2651,6 +3144,7 @@ final class Admin
 		if (isset($_POST['fgpx_wind_interpolation_density'])) { \update_option('fgpx_wind_interpolation_density', (string) max(1, min(5, (int) $_POST['fgpx_wind_interpolation_density'])), true); }
 		
 		\update_option('fgpx_prefetch_enabled', isset($_POST['fgpx_prefetch_enabled']) ? '1' : '0', true);
+		\update_option('fgpx_offline_enabled', isset($_POST['fgpx_offline_enabled']) ? '1' : '0', true);
 		\update_option('fgpx_lazy_viewport', isset($_POST['fgpx_lazy_viewport']) ? '1' : '0', true);
 		\update_option('fgpx_asset_fallbacks_enabled', isset($_POST['fgpx_asset_fallbacks_enabled']) ? '1' : '0', true);
 		\update_option('fgpx_debug_logging', isset($_POST['fgpx_debug_logging']) ? '1' : '0', true);
@@ -3446,12 +3940,14 @@ final class Admin
 	}
 
 	/**
-	 * Allow .gpx uploads by adding the mime and extensions mapping.
+	 * Allow .gpx and .geojson uploads by adding the mime and extensions mapping.
 	 * @param array<string,string> $mimes
 	 */
 	public function allow_gpx_mime(array $mimes): array
 	{
 		$mimes['gpx'] = 'application/gpx+xml';
+		// GeoJSON point-of-interest files
+		$mimes['geojson'] = 'application/geo+json';
 		// Some servers label GPX as XML; keep core XML too
 		if (!isset($mimes['xml'])) {
 			$mimes['xml'] = 'application/xml';
@@ -3460,7 +3956,7 @@ final class Admin
 	}
 
 	/**
-	 * Relax filetype/ext check for .gpx so WordPress does not reject it.
+	 * Relax filetype/ext check for .gpx and .geojson so WordPress does not reject them.
 	 *
 	 * @param array{ext:?string,type:?string,proper_filename:?string} $data
 	 */
@@ -3470,6 +3966,9 @@ final class Admin
 		if ($ext === 'gpx') {
 			$data['ext'] = 'gpx';
 			$data['type'] = 'application/gpx+xml';
+		} elseif ($ext === 'geojson') {
+			$data['ext'] = 'geojson';
+			$data['type'] = 'application/geo+json';
 		}
 		return $data;
 	}
@@ -3496,9 +3995,10 @@ final class Admin
 	$relevant_pages = ['edit-fgpx_track', 'fgpx_track', 'settings_page_flyover-gpx', 'fgpx_track_page_fgpx-add-new-track', 'fgpx_track_page_fgpx-statistics'];
 	if (in_array($screen->id, $relevant_pages, true)) {
 		\wp_enqueue_script('jquery');
-		\wp_enqueue_script('fgpx-admin', \plugin_dir_url(__DIR__) . 'assets/js/admin.js', ['jquery'], FGPX_VERSION, true);
+		\wp_enqueue_script('fgpx-track-import', \plugin_dir_url(__DIR__) . 'assets/js/track-import.js', [], FGPX_VERSION, true);
+		\wp_enqueue_script('fgpx-admin', \plugin_dir_url(__DIR__) . 'assets/js/admin.js', ['jquery', 'fgpx-track-import'], FGPX_VERSION, true);
 		\wp_enqueue_style('fgpx-admin', \plugin_dir_url(__DIR__) . 'assets/css/admin.css', [], '1.0.2');
-		if ($screen->id === 'fgpx_track') {
+		if ($screen->id === 'fgpx_track' || $screen->id === 'settings_page_flyover-gpx') {
 			\wp_enqueue_media();
 		}
 		$options = Options::getAll();
@@ -3535,6 +4035,7 @@ final class Admin
 			'maxPoints' => 15000,
 			'charts' => $chartKeys,
 			'showHeatmap' => true,
+			'showRecords' => true,
 			'mapStyle' => '',
 			'strings' => [
 				'loading' => \esc_html__('Loading statistics...', 'flyover-gpx'),
@@ -3579,6 +4080,13 @@ final class Admin
 				'noTracks' => \esc_html__('No published tracks yet.', 'flyover-gpx'),
 				'noTrendData' => \esc_html__('No trend data available yet.', 'flyover-gpx'),
 				'noHeatmapData' => \esc_html__('No track points available for heatmap yet.', 'flyover-gpx'),
+				'recordsTitle' => \esc_html__('Records', 'flyover-gpx'),
+				'recordFastest' => \esc_html__('Fastest %s', 'flyover-gpx'),
+				'recordLongest' => \esc_html__('Longest track', 'flyover-gpx'),
+				'recordClimb' => \esc_html__('Biggest climb', 'flyover-gpx'),
+				'recordHighest' => \esc_html__('Highest point', 'flyover-gpx'),
+				'recordPower' => \esc_html__('Best %s power', 'flyover-gpx'),
+				'recordHeartRate' => \esc_html__('Best %s heart rate', 'flyover-gpx'),
 			],
 		]);
 	}
@@ -3639,6 +4147,7 @@ final class Admin
 		$cadences = [];
 		$temperatures = [];
 		$powers = [];
+		$lapDistances = []; // cumulative meters where each further <trkseg>/<trk> starts
 		$pointsCount = 0;
 		$totalDistance = 0.0; // meters
 		$totalElevationGain = 0.0;
@@ -3649,11 +4158,16 @@ final class Admin
 		$prev = null;
 		$rawElevations = [];
 		$minActivityTimestamp = null; // Track earliest timestamp for activity date
+		$activityType = '';
 
 		$minLat = 90.0; $minLon = 180.0; $maxLat = -90.0; $maxLon = -180.0;
 
 		foreach ($file->tracks as $track) {
+			if ($activityType === '' && \is_string($track->type ?? null)) {
+				$activityType = \sanitize_text_field($track->type);
+			}
 			foreach ($track->segments as $segment) {
+				$segmentStart = true;
 				foreach ($segment->points as $point) {
 					$lat = (float) $point->latitude;
 					$lon = (float) $point->longitude;
@@ -3672,6 +4186,10 @@ final class Admin
 						$temperature = $ext->aTemp ?? $ext->avgTemperature ?? null;
 						$power = $ext->power ?? $ext->watts ?? null;
 					}
+					// phpGPX has no power field; a plain <power> element (Strava, the FIT/TCX importer) lands in unsupported
+					if ($power === null && $point->extensions && isset($point->extensions->unsupported['power']) && \is_numeric($point->extensions->unsupported['power'])) {
+						$power = (float) $point->extensions->unsupported['power'];
+					}
 
 					// Bounds
 					if ($lat < $minLat) { $minLat = $lat; }
@@ -3705,6 +4223,10 @@ final class Admin
 					$coordinates[] = [$lon, $lat, $eleNullable !== null ? $eleNullable : 0.0];
 					$timestamps[] = $time !== null ? gmdate('c', $time) : null;
 					$cumulative[] = $totalDistance;
+					if ($segmentStart && $pointsCount > 0) {
+						$lapDistances[] = $totalDistance;
+					}
+					$segmentStart = false;
 					$heartRates[] = $heartRate;
 					$cadences[] = $cadence;
 					$temperatures[] = $temperature;
@@ -3731,12 +4253,20 @@ final class Admin
 
 		// Compute total elevation gain with smoothing over raw elevations
 		if (!empty($rawElevations)) {
-			// forward-fill nulls
+			// forward-fill nulls; points before the first elevation take that first value.
+			// Filled values also replace the 0 placeholder in coordinates so the chart has no false dips.
 			$filled = [];
 			$last = null;
 			foreach ($rawElevations as $e) {
+				if ($e !== null) {
+					$last = $e;
+					break;
+				}
+			}
+			foreach ($rawElevations as $i => $e) {
 				if ($e === null) {
 					$filled[] = $last !== null ? $last : 0.0;
+					$coordinates[$i][2] = $last !== null ? $last : 0.0;
 				} else {
 					$filled[] = $e;
 					$last = $e;
@@ -3784,6 +4314,10 @@ final class Admin
 				'powers' => $powers,
 			],
 		];
+		// Segment boundaries double as lap markers in the player's Segments tab
+		if (!empty($lapDistances)) {
+			$geojson['properties']['lapDistances'] = $lapDistances;
+		}
 
 		$stats = [
 			'total_distance_m' => $totalDistance,
@@ -3863,6 +4397,7 @@ final class Admin
 			'points_count' => $pointsCount,
 			'waypoints' => $waypoints,
 			'activity_date_unix' => $minActivityTimestamp ?? time(), // Earliest timestamp, fallback to current time
+			'activity_type' => $activityType,
 		];
 	}
 
@@ -4398,6 +4933,10 @@ final class Admin
 			'fgpx_geojson',
 			'fgpx_weather_points',
 			'fgpx_weather_summary',
+			'fgpx_chapters',
+			'fgpx_camera_keyframes',
+			Trip::META_NAME,
+			PointsOfInterest::META_ATTACHMENT,
 			'fgpx_preview_attachment_id',
 			'fgpx_preview_map_attachment_id',
 			'fgpx_preview_source',
@@ -4405,6 +4944,7 @@ final class Admin
 			'fgpx_preview_mode',
 			'fgpx_preview_custom_attachment_id',
 			'fgpx_activity_date_unix', // Invalidate timeline cache on activity date changes
+			'fgpx_activity_type',
 		];
 		if ((int) $objectId <= 0 || !\in_array($metaKey, $trackedKeys, true)) { return; }
 		
@@ -4648,7 +5188,7 @@ final class Admin
 			}
 
 			if ((int) ($sync['updated'] ?? 0) > 0) {
-				$this->invalidate_all_track_caches_after_caption_sync();
+				$this->invalidate_all_track_caches();
 			}
 
 			return \add_query_arg([
@@ -4896,7 +5436,7 @@ final class Admin
 			$done = !empty($sync['done']);
 
 			if ($done && $updatedTotal > 0) {
-				$this->invalidate_all_track_caches_after_caption_sync();
+				$this->invalidate_all_track_caches();
 			}
 
 			\wp_send_json_success([
@@ -4927,7 +5467,7 @@ final class Admin
 		$errors = (int) ($sync['errors'] ?? 0);
 
 		if ($updated > 0) {
-			$this->invalidate_all_track_caches_after_caption_sync();
+			$this->invalidate_all_track_caches();
 		}
 
 		if ($errors > 0 && $updated <= 0) {
@@ -5292,9 +5832,10 @@ final class Admin
 	}
 
 	/**
-	 * Caption sync updates attachment captions globally, so clear all track caches.
+	 * Clear caches of every track, for changes that affect all payloads
+	 * (caption sync updates attachment captions globally, privacy zones apply site-wide).
 	 */
-	private function invalidate_all_track_caches_after_caption_sync(): void
+	private function invalidate_all_track_caches(): void
 	{
 		global $wpdb;
 
@@ -5317,6 +5858,9 @@ final class Admin
 				self::clear_all_track_caches($trackId);
 			}
 		}
+
+		// Browser caches compare this through Rest::payload_cache_version()
+		\update_option('fgpx_payload_cache_version', (string) \time(), false);
 	}
 
 	/**
@@ -0,0 +1,300 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FGpx;
+
+if (!\defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Personal records across tracks: fastest distances, biggest climb, highest point,
+ * best average power and heart rate over fixed durations, and the longest track.
+ *
+ * Efforts are measured on the stored track after privacy zones are applied and
+ * never span a gap or the hidden start and end, so every record points to a
+ * stretch the player can show.
+ */
+final class BestEfforts
+{
+    public const DISTANCES_M = [1000, 5000, 10000, 20000, 40000];
+    public const DURATIONS_S = [300, 1200, 3600];
+    private const CLIMB_TOLERANCE_M = 10.0;
+    // Windows with pauses longer than half their length are not a continuous effort
+    private const MAX_WINDOW_STRETCH = 1.5;
+    // Share of a power or heart rate window that must have samples
+    private const MIN_COVERAGE = 0.8;
+
+    /**
+     * Record keys in display order.
+     *
+     * @return array<int, string>
+     */
+    public static function keys(): array
+    {
+        $keys = [];
+        foreach (self::DISTANCES_M as $meters) {
+            $keys[] = 'fastest_' . $meters;
+        }
+        $keys[] = 'longest';
+        $keys[] = 'climb';
+        $keys[] = 'highest';
+        foreach (self::DURATIONS_S as $seconds) {
+            $keys[] = 'power_' . $seconds;
+        }
+        foreach (self::DURATIONS_S as $seconds) {
+            $keys[] = 'hr_' . $seconds;
+        }
+        return $keys;
+    }
+
+    /**
+     * Fastest times are better when lower, everything else when higher.
+     */
+    public static function is_better(string $key, float $value, float $current): bool
+    {
+        return \strpos($key, 'fastest_') === 0 ? $value < $current : $value > $current;
+    }
+
+    /**
+     * Best efforts within one track.
+     *
+     * @param array<string, mixed> $geojson LineString with properties.cumulativeDistance and
+     *   optionally timestamps, powers, heartRates and gaps
+     * @param float $trimM Meters hidden at the start and end of the track
+     * @return array<string, array{value:float, startM:float, endM:float}>
+     */
+    public static function for_track(array $geojson, float $trimM = 0.0): array
+    {
+        $coords = isset($geojson['coordinates']) && \is_array($geojson['coordinates']) ? \array_values($geojson['coordinates']) : [];
+        $props = isset($geojson['properties']) && \is_array($geojson['properties']) ? $geojson['properties'] : [];
+        $cumDist = isset($props['cumulativeDistance']) && \is_array($props['cumulativeDistance']) ? \array_values($props['cumulativeDistance']) : [];
+        $count = \count($coords);
+        if ($count < 2 || \count($cumDist) !== $count) {
+            return [];
+        }
+
+        $series = static function (string $key) use ($props, $count): array {
+            $values = isset($props[$key]) && \is_array($props[$key]) ? \array_values($props[$key]) : [];
+            return \count($values) === $count ? $values : [];
+        };
+        $timestamps = $series('timestamps');
+        $powers = $series('powers');
+        $heartRates = $series('heartRates');
+        $gaps = isset($props['gaps']) && \is_array($props['gaps']) ? \array_flip(\array_map('intval', $props['gaps'])) : [];
+
+        $totalM = (float) $cumDist[$count - 1];
+        $runs = [];
+        $run = null;
+        for ($i = 0; $i < $count; $i++) {
+            $d = (float) $cumDist[$i];
+            $visible = $d >= $trimM && $d <= $totalM - $trimM;
+            if (!$visible || isset($gaps[$i])) {
+                if ($run !== null) {
+                    $runs[] = $run;
+                }
+                $run = null;
+            }
+            if (!$visible) {
+                continue;
+            }
+
+            $ele = \is_array($coords[$i]) && isset($coords[$i][2]) && \is_numeric($coords[$i][2]) ? (float) $coords[$i][2] : null;
+            $time = $timestamps !== [] ? self::to_seconds($timestamps[$i]) : null;
+            $run = $run ?? ['d' => [], 't' => [], 'ele' => [], 'power' => [], 'hr' => []];
+            $run['d'][] = $d;
+            $run['t'][] = $time;
+            $run['ele'][] = $ele;
+            $run['power'][] = $powers !== [] && \is_numeric($powers[$i]) && (float) $powers[$i] >= 0.0 ? (float) $powers[$i] : null;
+            $run['hr'][] = $heartRates !== [] && \is_numeric($heartRates[$i]) && (float) $heartRates[$i] > 0.0 ? (float) $heartRates[$i] : null;
+        }
+        if ($run !== null) {
+            $runs[] = $run;
+        }
+
+        $best = [];
+        foreach ($runs as $run) {
+            if (\count($run['d']) < 2) {
+                continue;
+            }
+            $efforts = [
+                'climb' => self::biggest_climb($run['d'], $run['ele']),
+                'highest' => self::highest_point($run['d'], $run['ele']),
+            ];
+            if (!\in_array(null, $run['t'], true)) {
+                foreach (self::DISTANCES_M as $meters) {
+                    $efforts['fastest_' . $meters] = self::fastest_distance($run['d'], $run['t'], (float) $meters);
+                }
+                foreach (self::DURATIONS_S as $seconds) {
+                    $efforts['power_' . $seconds] = self::best_average($run['d'], $run['t'], $run['power'], (float) $seconds);
+                    $efforts['hr_' . $seconds] = self::best_average($run['d'], $run['t'], $run['hr'], (float) $seconds);
+                }
+            }
+            foreach ($efforts as $key => $effort) {
+                if ($effort !== null && (!isset($best[$key]) || self::is_better($key, $effort['value'], $best[$key]['value']))) {
+                    $best[$key] = $effort;
+                }
+            }
+        }
+
+        return $best;
+    }
+
+    /**
+     * Shortest elapsed time over $meters, scaled from the smallest window that covers it.
+     *
+     * @param array<int, float> $d
+     * @param array<int, float> $t
+     * @return array{value:float, startM:float, endM:float}|null
+     */
+    private static function fastest_distance(array $d, array $t, float $meters): ?array
+    {
+        $best = null;
+        $n = \count($d);
+        $i = 0;
+        for ($j = 1; $j < $n; $j++) {
+            while ($i + 1 < $j && $d[$j] - $d[$i + 1] >= $meters) {
+                $i++;
+            }
+            $span = $d[$j] - $d[$i];
+            if ($span < $meters) {
+                continue;
+            }
+            $seconds = ($t[$j] - $t[$i]) * $meters / $span;
+            if ($seconds > 0.0 && ($best === null || $seconds < $best['value'])) {
+                $best = ['value' => $seconds, 'startM' => $d[$i], 'endM' => $d[$j]];
+            }
+        }
+        return $best;
+    }
+
+    /**
+     * Highest time-weighted average of a sensor stream over $seconds.
+     *
+     * @param array<int, float> $d
+     * @param array<int, float> $t
+     * @param array<int, float|null> $values
+     * @return array{value:float, startM:float, endM:float}|null
+     */
+    private static function best_average(array $d, array $t, array $values, float $seconds): ?array
+    {
+        $n = \count($t);
+        $integral = [0.0];
+        $covered = [0.0];
+        $hasValues = false;
+        for ($k = 1; $k < $n; $k++) {
+            $dt = $t[$k] - $t[$k - 1];
+            $integral[$k] = $integral[$k - 1];
+            $covered[$k] = $covered[$k - 1];
+            if ($dt > 0.0 && $values[$k] !== null) {
+                $integral[$k] += $values[$k] * $dt;
+                $covered[$k] += $dt;
+                $hasValues = true;
+            }
+        }
+        if (!$hasValues) {
+            return null;
+        }
+
+        $best = null;
+        $i = 0;
+        for ($j = 1; $j < $n; $j++) {
+            while ($i + 1 < $j && $t[$j] - $t[$i + 1] >= $seconds) {
+                $i++;
+            }
+            $span = $t[$j] - $t[$i];
+            if ($span < $seconds || $span > $seconds * self::MAX_WINDOW_STRETCH) {
+                continue;
+            }
+            $coveredS = $covered[$j] - $covered[$i];
+            if ($coveredS < $seconds * self::MIN_COVERAGE) {
+                continue;
+            }
+            $average = ($integral[$j] - $integral[$i]) / $coveredS;
+            if ($best === null || $average > $best['value']) {
+                $best = ['value' => $average, 'startM' => $d[$i], 'endM' => $d[$j]];
+            }
+        }
+        return $best;
+    }
+
+    /**
+     * Largest continuous rise. A climb ends once the profile drops more than
+     * CLIMB_TOLERANCE_M below its top, matching the climb detection in the player.
+     *
+     * @param array<int, float> $d
+     * @param array<int, float|null> $ele
+     * @return array{value:float, startM:float, endM:float}|null
+     */
+    private static function biggest_climb(array $d, array $ele): ?array
+    {
+        $best = null;
+        $low = null;
+        $high = null;
+        $consider = static function (?int $from, ?int $to) use (&$best, $d, $ele): void {
+            if ($from === null || $to === null || $to <= $from) {
+                return;
+            }
+            $gain = $ele[$to] - $ele[$from];
+            if ($gain > 0.0 && ($best === null || $gain > $best['value'])) {
+                $best = ['value' => $gain, 'startM' => $d[$from], 'endM' => $d[$to]];
+            }
+        };
+
+        foreach ($ele as $k => $value) {
+            if ($value === null) {
+                continue;
+            }
+            if ($low === null) {
+                $low = $high = $k;
+                continue;
+            }
+            if ($value > $ele[$high]) {
+                $high = $k;
+            } elseif ($ele[$high] - $value >= self::CLIMB_TOLERANCE_M) {
+                $consider($low, $high);
+                $low = $high = $k;
+            } elseif ($value < $ele[$low]) {
+                $low = $high = $k;
+            }
+        }
+        $consider($low, $high);
+
+        return $best;
+    }
+
+    /**
+     * @param array<int, float> $d
+     * @param array<int, float|null> $ele
+     * @return array{value:float, startM:float, endM:float}|null
+     */
+    private static function highest_point(array $d, array $ele): ?array
+    {
+        $best = null;
+        foreach ($ele as $k => $value) {
+            if ($value !== null && ($best === null || $value > $best['value'])) {
+                $best = ['value' => $value, 'startM' => $d[$k], 'endM' => $d[$k]];
+            }
+        }
+        return $best;
+    }
+
+    /**
+     * @param mixed $value ISO 8601 string or Unix/relative seconds
+     */
+    private static function to_seconds($value): ?float
+    {
+        if (\is_int($value) || \is_float($value)) {
+            return (float) $value;
+        }
+        if (!\is_string($value) || \trim($value) === '') {
+            return null;
+        }
+        if (\is_numeric($value)) {
+            return (float) $value;
+        }
+        $ts = \strtotime($value);
+        return $ts !== false ? (float) $ts : null;
+    }
+}
@@ -173,6 +173,9 @@ final class CLI
 		update_post_meta($postId, 'fgpx_elevation_gain_m', (float) ($parse['stats']['elevation_gain_m'] ?? 0));
 		update_post_meta($postId, 'fgpx_max_speed_m_s', (float) ($parse['stats']['max_speed_m_s'] ?? 0));
 		update_post_meta($postId, 'fgpx_activity_date_unix', (int) ($parse['activity_date_unix'] ?? time()));
+		if (($parse['activity_type'] ?? '') !== '') {
+			update_post_meta($postId, 'fgpx_activity_type', $parse['activity_type']);
+		}
 		if (!empty($parse['waypoints'])) {
 			update_post_meta($postId, 'fgpx_waypoints', $parse['waypoints']);
 		}
@@ -13,6 +13,17 @@ if (!\defined('ABSPATH')) {
  */
 final class GalleryShortcode
 {
+    /**
+     * Numeric range facets: request parameter prefix => track field.
+     */
+    private const RANGE_FACETS = ['distance' => 'distanceKm', 'gain' => 'elevationGainM', 'duration' => 'durationS'];
+
+    /**
+     * Map view limits: tracks per response and points per simplified route.
+     */
+    private const MAP_MAX_TRACKS = 500;
+    private const MAP_ROUTE_POINTS = 60;
+
     /**
      * Register WordPress hooks.
      */
@@ -91,6 +102,7 @@ final class GalleryShortcode
             'style_url' => $options['fgpx_default_style_url'],
             'show_view_toggle' => $galleryShowViewToggleDefault,
             'show_search' => $galleryShowSearchDefault,
+            'show_filters' => '1',
             'default_sort' => $galleryDefaultSort,
             'photo_order_mode' => $galleryPhotoOrderModeDefault,
         ];
@@ -131,6 +143,7 @@ final class GalleryShortcode
 
         $showViewToggle = \in_array(\strtolower((string) $atts['show_view_toggle']), ['1', 'true', 'yes', 'on'], true);
         $showSearch = \in_array(\strtolower((string) $atts['show_search']), ['1', 'true', 'yes', 'on'], true);
+        $showFilters = \in_array(\strtolower((string) $atts['show_filters']), ['1', 'true', 'yes', 'on'], true);
         $defaultSort = \sanitize_key((string) ($atts['default_sort'] ?? 'newest'));
         if (!\in_array($defaultSort, ['newest', 'distance', 'duration', 'gain', 'title'], true)) {
             $defaultSort = 'newest';
@@ -180,14 +193,21 @@ final class GalleryShortcode
             . '<option value="title">' . \esc_html__('Title', 'flyover-gpx') . '</option>'
             . '</select>'
             . '</label>'
+            . ($showFilters
+                ? '<button type="button" class="fgpx-gallery-filter-toggle" aria-expanded="false" aria-controls="' . \esc_attr($rootId . '-filters') . '">' . \esc_html__('Filters', 'flyover-gpx') . '</button>'
+                : '')
             . ($showViewToggle
                 ? '<div class="fgpx-gallery-view-toggle" role="group" aria-label="' . \esc_attr__('Gallery view', 'flyover-gpx') . '">'
                     . '<button type="button" class="fgpx-gallery-view-btn is-active" data-view="grid" aria-pressed="true">' . \esc_html__('Grid', 'flyover-gpx') . '</button>'
                     . '<button type="button" class="fgpx-gallery-view-btn" data-view="list" aria-pressed="false">' . \esc_html__('List', 'flyover-gpx') . '</button>'
+                    . '<button type="button" class="fgpx-gallery-view-btn" data-view="map" aria-pressed="false">' . \esc_html__('Map', 'flyover-gpx') . '</button>'
                   . '</div>'
                 : '')
             . '</div>'
             . '</div>'
+            . ($showFilters
+                ? '<div id="' . \esc_attr($rootId . '-filters') . '" class="fgpx-gallery-filters" role="group" aria-label="' . \esc_attr__('Track filters', 'flyover-gpx') . '" hidden></div>'
+                : '')
             . '<div class="fgpx-gallery-results fgpx-gallery-results-grid" aria-live="polite" aria-busy="false"></div>'
             . '<div class="fgpx-gallery-footer">'
             . '<button type="button" class="fgpx-gallery-load-more button" hidden>' . \esc_html__('Load more', 'flyover-gpx') . '</button>'
@@ -250,14 +270,42 @@ final class GalleryShortcode
 
         $search = $this->normalizeSearchValue(isset($params['search']) ? (string) $params['search'] : '');
 
+        $allTracks = $tracks;
         if ($search !== '') {
             $tracks = array_values(array_filter($tracks, static function (array $track) use ($search): bool {
                 return strpos((string) ($track['searchText'] ?? ''), $search) !== false;
             }));
         }
 
+        $filters = $this->parseFilters($params);
+        $facets = $this->buildFacets($allTracks, $tracks, $filters);
+        $tracks = array_values(array_filter($tracks, function (array $track) use ($filters): bool {
+            return $this->matchesFilters($track, $filters, '');
+        }));
+
         $tracks = $this->sortTracks($tracks, $sort);
         $total = count($tracks);
+
+        // The map view shows every matching track at once, each with its simplified route.
+        if (isset($params['view']) && \sanitize_key((string) $params['view']) === 'map') {
+            $mapTracks = array_slice($tracks, 0, self::MAP_MAX_TRACKS);
+            $routes = $this->getRoutes(array_map('intval', array_column($mapTracks, 'id')), $options);
+
+            return [
+                'items' => array_map(function (array $track) use ($downloadEnabled, $routes): array {
+                    $item = $this->sanitizeTrackForClient($track, $downloadEnabled);
+                    $item['route'] = $routes[(int) $track['id']] ?? [];
+                    return $item;
+                }, $mapTracks),
+                'pagination' => [
+                    'page' => 1,
+                    'perPage' => count($mapTracks),
+                    'total' => $total,
+                    'hasMore' => false,
+                ],
+                'facets' => $facets,
+            ];
+        }
         $offset = ($page - 1) * $perPage;
         $pageItems = array_slice($tracks, $offset, $perPage);
 
@@ -271,9 +319,337 @@ final class GalleryShortcode
                 'total' => $total,
                 'hasMore' => ($offset + $perPage) < $total,
             ],
+            'facets' => $facets,
+        ];
+    }
+
+    /**
+     * Read facet filters from request parameters. Lists are comma-separated,
+     * ranges use <facet>_min/<facet>_max and dates YYYY-MM-DD.
+     *
+     * @param array<string,mixed> $params
+     * @return array<string,mixed>
+     */
+    private function parseFilters(array $params): array
+    {
+        $filters = [
+            'activity' => $this->parseListParam($params['activity'] ?? ''),
+            'region' => $this->parseListParam($params['region'] ?? ''),
+            'tags' => $this->parseListParam($params['tags'] ?? ''),
+            'date_from' => $this->parseDateParam($params['date_from'] ?? '', false),
+            'date_to' => $this->parseDateParam($params['date_to'] ?? '', true),
+        ];
+        foreach (array_keys(self::RANGE_FACETS) as $facet) {
+            foreach (['_min', '_max'] as $suffix) {
+                $raw = $params[$facet . $suffix] ?? null;
+                $filters[$facet . $suffix] = is_scalar($raw) && is_numeric($raw) ? (float) $raw : null;
+            }
+        }
+
+        return $filters;
+    }
+
+    /**
+     * @param mixed $raw
+     * @return array<int,string>
+     */
+    private function parseListParam($raw): array
+    {
+        if (!is_scalar($raw)) {
+            return [];
+        }
+        $values = array_map(function (string $value): string {
+            return $this->normalizeSearchValue(\sanitize_text_field($value));
+        }, explode(',', (string) $raw));
+
+        return array_values(array_unique(array_filter($values, static function (string $value): bool {
+            return $value !== '';
+        })));
+    }
+
+    /**
+     * @param mixed $raw
+     */
+    private function parseDateParam($raw, bool $endOfDay): ?int
+    {
+        if (!is_scalar($raw) || !preg_match('/^\d{4}-\d{2}-\d{2}$/', (string) $raw)) {
+            return null;
+        }
+        $ts = strtotime((string) $raw . ' 00:00:00 UTC');
+        if ($ts === false) {
+            return null;
+        }
+
+        return $endOfDay ? $ts + DAY_IN_SECONDS - 1 : $ts;
+    }
+
+    /**
+     * Whether a track passes every filter. $skipFacet leaves one facet out, which
+     * is how its option counts are computed.
+     *
+     * @param array<string,mixed> $track
+     * @param array<string,mixed> $filters
+     */
+    private function matchesFilters(array $track, array $filters, string $skipFacet): bool
+    {
+        if ($skipFacet !== 'activity' && $filters['activity'] !== []
+            && !\in_array($this->normalizeSearchValue((string) ($track['activityType'] ?? '')), $filters['activity'], true)) {
+            return false;
+        }
+        if ($skipFacet !== 'region' && $filters['region'] !== []
+            && !\in_array($this->normalizeSearchValue((string) ($track['region'] ?? '')), $filters['region'], true)) {
+            return false;
+        }
+        if ($skipFacet !== 'tags' && $filters['tags'] !== []
+            && array_intersect($this->trackTagKeys($track), $filters['tags']) === []) {
+            return false;
+        }
+        foreach (self::RANGE_FACETS as $facet => $field) {
+            $value = (float) ($track[$field] ?? 0);
+            if ($filters[$facet . '_min'] !== null && $value < $filters[$facet . '_min']) {
+                return false;
+            }
+            if ($filters[$facet . '_max'] !== null && $value > $filters[$facet . '_max']) {
+                return false;
+            }
+        }
+        $dateTs = (int) ($track['dateTs'] ?? 0);
+        if ($filters['date_from'] !== null && $dateTs < $filters['date_from']) {
+            return false;
+        }
+        if ($filters['date_to'] !== null && $dateTs > $filters['date_to']) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Facet options with live counts, plus the value ranges for the sliders.
+     * Options and ranges come from all tracks so the controls stay put while
+     * filtering; counts come from the searched tracks and ignore the facet's own
+     * selection, so each count is what ticking that option would show.
+     *
+     * @param array<int,array<string,mixed>> $allTracks
+     * @param array<int,array<string,mixed>> $candidates
+     * @param array<string,mixed> $filters
+     * @return array<string,mixed>
+     */
+    private function buildFacets(array $allTracks, array $candidates, array $filters): array
+    {
+        $options = ['activity' => [], 'region' => [], 'tags' => []];
+        $ranges = [];
+        $addOption = function (string $facet, string $label) use (&$options): void {
+            $key = $this->normalizeSearchValue($label);
+            if ($key !== '' && !isset($options[$facet][$key])) {
+                $options[$facet][$key] = ['value' => $key, 'label' => $label, 'count' => 0];
+            }
+        };
+
+        foreach ($allTracks as $track) {
+            $addOption('activity', trim((string) ($track['activityType'] ?? '')));
+            $addOption('region', trim((string) ($track['region'] ?? '')));
+            foreach ((array) ($track['tags'] ?? []) as $tag) {
+                $addOption('tags', trim((string) $tag));
+            }
+            foreach (self::RANGE_FACETS as $facet => $field) {
+                $value = (float) ($track[$field] ?? 0);
+                $ranges[$facet]['min'] = min($ranges[$facet]['min'] ?? $value, $value);
+                $ranges[$facet]['max'] = max($ranges[$facet]['max'] ?? $value, $value);
+            }
+            $dateTs = (int) ($track['dateTs'] ?? 0);
+            if ($dateTs > 0) {
+                $ranges['date']['min'] = min($ranges['date']['min'] ?? $dateTs, $dateTs);
+                $ranges['date']['max'] = max($ranges['date']['max'] ?? $dateTs, $dateTs);
+            }
+        }
+
+        foreach ($candidates as $track) {
+            if ($this->matchesFilters($track, $filters, 'activity')) {
+                $key = $this->normalizeSearchValue((string) ($track['activityType'] ?? ''));
+                if (isset($options['activity'][$key])) {
+                    $options['activity'][$key]['count']++;
+                }
+            }
+            if ($this->matchesFilters($track, $filters, 'region')) {
+                $key = $this->normalizeSearchValue((string) ($track['region'] ?? ''));
+                if (isset($options['region'][$key])) {
+                    $options['region'][$key]['count']++;
+                }
+            }
+            if ($this->matchesFilters($track, $filters, 'tags')) {
+                foreach ($this->trackTagKeys($track) as $key) {
+                    if (isset($options['tags'][$key])) {
+                        $options['tags'][$key]['count']++;
+                    }
+                }
+            }
+        }
+
+        if (isset($ranges['date'])) {
+            $ranges['date'] = ['min' => \gmdate('Y-m-d', $ranges['date']['min']), 'max' => \gmdate('Y-m-d', $ranges['date']['max'])];
+        }
+        $sortByLabel = static function (array $left, array $right): int {
+            return strcasecmp($left['label'], $right['label']);
+        };
+        usort($options['activity'], $sortByLabel);
+        usort($options['region'], $sortByLabel);
+        usort($options['tags'], $sortByLabel);
+
+        return [
+            'activity' => array_values($options['activity']),
+            'region' => array_values($options['region']),
+            'tags' => array_values($options['tags']),
+            'ranges' => (object) $ranges,
         ];
     }
 
+    /**
+     * @param array<string,mixed> $track
+     * @return array<int,string>
+     */
+    private function trackTagKeys(array $track): array
+    {
+        $keys = array_map(function ($tag): string {
+            return $this->normalizeSearchValue((string) $tag);
+        }, (array) ($track['tags'] ?? []));
+
+        return array_values(array_unique(array_filter($keys, static function (string $key): bool {
+            return $key !== '';
+        })));
+    }
+
+    /**
+     * Tag and category names of a track; the default category is left out.
+     *
+     * @return array<int,string>
+     */
+    private function getTrackTerms(int $trackId): array
+    {
+        if (!function_exists('wp_get_post_terms')) {
+            return [];
+        }
+        $terms = \wp_get_post_terms($trackId, ['post_tag', 'category'], ['fields' => 'all']);
+        if (!is_array($terms)) {
+            return [];
+        }
+
+        $defaultCategory = (int) \get_option('default_category', 0);
+        $names = [];
+        foreach ($terms as $term) {
+            if (!is_object($term) || ($term->taxonomy === 'category' && (int) $term->term_id === $defaultCategory)) {
+                continue;
+            }
+            $names[] = (string) $term->name;
+        }
+
+        return array_values(array_unique($names));
+    }
+
+    /**
+     * Simplified route lines for the map view, keyed by track ID.
+     *
+     * Each route is built once from fgpx_geojson and cached until the track list
+     * changes. Privacy zones and the privacy distance are applied first, so the
+     * lines never reveal more than the player does; a route is split into parts
+     * where a zone cuts it.
+     *
+     * @param array<int,int> $ids
+     * @param array<string,string> $options
+     * @return array<int,array<int,array<int,array{0:float,1:float}>>>
+     */
+    private function getRoutes(array $ids, array $options): array
+    {
+        $zones = PrivacyZones::get_zones();
+        $trimKm = ($options['fgpx_privacy_enabled'] ?? '0') === '1' ? max(0.0, (float) ($options['fgpx_privacy_km'] ?? 0)) : 0.0;
+        $settingsKey = PrivacyZones::cache_key_suffix($zones) . '|' . $trimKm;
+
+        $cached = \get_transient('fgpx_gallery_routes_v1');
+        $routes = \is_array($cached) && ($cached['settings'] ?? null) === $settingsKey && \is_array($cached['routes'] ?? null)
+            ? $cached['routes']
+            : [];
+
+        $missing = array_diff($ids, array_keys($routes));
+        foreach ($missing as $id) {
+            $geojson = \get_post_meta($id, 'fgpx_geojson', true);
+            $decoded = \is_string($geojson) ? \json_decode($geojson, true) : $geojson;
+            $routes[$id] = \is_array($decoded) ? self::simplifyRoute($decoded, $zones, $trimKm) : [];
+        }
+        if ($missing !== []) {
+            \set_transient('fgpx_gallery_routes_v1', ['settings' => $settingsKey, 'routes' => $routes], DAY_IN_SECONDS);
+        }
+
+        $out = [];
+        foreach ($ids as $id) {
+            $out[$id] = $routes[$id] ?? [];
+        }
+
+        return $out;
+    }
+
+    /**
+     * Reduce a track LineString to at most MAP_ROUTE_POINTS [lon, lat] points.
+     *
+     * @param array<string,mixed> $geojson
+     * @param array<int,array{name:string,lat:float,lon:float,radius:float}> $zones
+     * @return array<int,array<int,array{0:float,1:float}>>
+     */
+    private static function simplifyRoute(array $geojson, array $zones, float $trimKm): array
+    {
+        if ($zones !== []) {
+            $geojson = PrivacyZones::apply_to_geojson($geojson, $zones)['geojson'];
+        }
+        $coords = isset($geojson['coordinates']) && \is_array($geojson['coordinates']) ? array_values($geojson['coordinates']) : [];
+        $cumDist = isset($geojson['properties']['cumulativeDistance']) && \is_array($geojson['properties']['cumulativeDistance'])
+            ? array_values($geojson['properties']['cumulativeDistance'])
+            : [];
+        $gaps = isset($geojson['properties']['gaps']) && \is_array($geojson['properties']['gaps'])
+            ? array_flip(array_map('intval', $geojson['properties']['gaps']))
+            : [];
+
+        $trimM = $trimKm * 1000.0;
+        if ($trimM > 0.0 && \count($cumDist) !== \count($coords)) {
+            // Without distances the start and end cannot be hidden, so show nothing
+            return [];
+        }
+        $totalM = $cumDist !== [] ? (float) end($cumDist) : 0.0;
+
+        $parts = [];
+        $part = [];
+        $pointCount = 0;
+        foreach ($coords as $i => $coord) {
+            if (!\is_array($coord) || !isset($coord[0], $coord[1])) {
+                continue;
+            }
+            if ($trimM > 0.0 && ((float) $cumDist[$i] < $trimM || (float) $cumDist[$i] > $totalM - $trimM)) {
+                continue;
+            }
+            if (isset($gaps[$i]) && $part !== []) {
+                $parts[] = $part;
+                $part = [];
+            }
+            $part[] = [(float) $coord[0], (float) $coord[1]];
+            $pointCount++;
+        }
+        if ($part !== []) {
+            $parts[] = $part;
+        }
+
+        $route = [];
+        foreach ($parts as $part) {
+            if (\count($part) < 2) {
+                continue;
+            }
+            $target = max(2, (int) round(self::MAP_ROUTE_POINTS * \count($part) / $pointCount));
+            $indices = \count($part) > $target ? Rest::dp_choose_and_simplify($part, $target) : array_keys($part);
+            $route[] = array_map(static function (int $index) use ($part): array {
+                return [round($part[$index][0], 5), round($part[$index][1], 5)];
+            }, $indices);
+        }
+
+        return $route;
+    }
+
     /**
      * @param array<string,string> $options
      * @return array<int,array<string,mixed>>
@@ -282,7 +658,7 @@ final class GalleryShortcode
     {
         // Always use the shared cache for bulk metadata — nonces are generated fresh
         // in sanitizeTrackForClient() so the cached payload never contains stale nonces.
-        $cacheKey = 'fgpx_gallery_tracks_v1';
+        $cacheKey = 'fgpx_gallery_tracks_v3';
         $cached = \get_transient($cacheKey);
         if (\is_array($cached)) {
             return $cached;
@@ -367,6 +743,9 @@ final class GalleryShortcode
                 'previewSource' => $previewSource,
                 'previewGeneratedAt' => $previewGeneratedAt,
                 'keywords' => $keywords,
+                'activityType' => trim((string) ($meta[$id]['fgpx_activity_type'] ?? '')),
+                'region' => trim((string) ($meta[$id]['fgpx_location'] ?? '')),
+                'tags' => $this->getTrackTerms($id),
             ];
 
             $track['searchText'] = $this->buildTrackSearchText($track);
@@ -443,6 +822,13 @@ final class GalleryShortcode
             'previewSource' => (string) ($track['previewSource'] ?? ''),
             'previewGeneratedAt' => (string) ($track['previewGeneratedAt'] ?? ''),
             'keywords' => (string) ($track['keywords'] ?? ''),
+            'activityType' => (string) ($track['activityType'] ?? ''),
+            'region' => (string) ($track['region'] ?? ''),
+            'tags' => array_values(array_map('strval', (array) ($track['tags'] ?? []))),
+            // Read at response time so the player's local track cache sees edits immediately.
+            'photoCacheVersion' => (string) (\get_post_meta((int) ($track['id'] ?? 0), 'fgpx_photo_cache_version', true) ?: '0'),
+            'trackModified' => (string) (int) \strtotime((string) \get_post_field('post_modified_gmt', (int) ($track['id'] ?? 0))),
+            'payloadVersion' => Rest::payload_cache_version((int) ($track['id'] ?? 0)),
         ];
     }
 
@@ -601,6 +987,10 @@ final class GalleryShortcode
             'chartColorTemp' => $options['fgpx_chart_color_temp'],
             'chartColorPower' => $options['fgpx_chart_color_power'],
             'ftp' => (int) $options['fgpx_ftp'],
+            'maxHr' => (int) $options['fgpx_max_hr'],
+            'lthr' => (int) $options['fgpx_lthr'],
+            'hrZoneColoring' => $options['fgpx_hr_zone_coloring'] === '1',
+            'routeColorBy' => \in_array((string) $options['fgpx_route_color_by'], Options::ROUTE_COLOR_MODES, true) ? (string) $options['fgpx_route_color_by'] : 'auto',
             'chartColorWindImpact' => $options['fgpx_chart_color_wind_impact'],
             'chartColorWindRose' => $options['fgpx_chart_color_wind_rose'],
             'windRoseColorNorth' => $options['fgpx_wind_rose_color_north'],
@@ -631,6 +1021,9 @@ final class GalleryShortcode
             'defaultZoom' => (int) $options['fgpx_default_zoom'],
             'defaultSpeed' => (int) $options['fgpx_default_speed'],
             'defaultPitch' => (int) $options['fgpx_default_pitch'],
+            'cameraMode' => \in_array((string) $options['fgpx_camera_mode'], Options::CAMERA_MODES, true) ? (string) $options['fgpx_camera_mode'] : 'chase',
+            'terrainDemUrl' => (string) ($options['fgpx_terrain_dem_url'] ?? ''),
+            'terrainExaggeration' => max(0.0, min(3.0, (float) ($options['fgpx_terrain_exaggeration'] ?? '1.0'))),
             'showLabels' => $options['fgpx_show_labels'] !== '0',
             'photosEnabled' => true,
             'photoOrderMode' => (isset($galleryCfg['photoOrderMode']) && \in_array((string) $galleryCfg['photoOrderMode'], ['geo_first', 'time_first'], true)) ? (string) $galleryCfg['photoOrderMode'] : 'geo_first',
@@ -725,6 +1118,21 @@ final class GalleryShortcode
                 'copyFailed' => \esc_html__('Could not copy link', 'flyover-gpx'),
                 'copyShortcode' => \esc_html__('Copy Link', 'flyover-gpx'),
                 'playerLoadFailed' => \esc_html__('Could not load the track player. Please try again.', 'flyover-gpx'),
+                'filters' => \esc_html__('Filters', 'flyover-gpx'),
+                'filterActivity' => \esc_html__('Activity', 'flyover-gpx'),
+                'filterRegion' => \esc_html__('Region', 'flyover-gpx'),
+                'filterTags' => \esc_html__('Tags and categories', 'flyover-gpx'),
+                'filterDistance' => \esc_html__('Distance (km)', 'flyover-gpx'),
+                'filterGain' => \esc_html__('Elevation gain (m)', 'flyover-gpx'),
+                'filterDuration' => \esc_html__('Duration (h)', 'flyover-gpx'),
+                'filterDate' => \esc_html__('Date', 'flyover-gpx'),
+                'filterFrom' => \esc_html__('From', 'flyover-gpx'),
+                'filterTo' => \esc_html__('To', 'flyover-gpx'),
+                'filterClear' => \esc_html__('Clear filters', 'flyover-gpx'),
+                'filterResults' => \esc_html__('%s tracks', 'flyover-gpx'),
+                'mapLabel' => \esc_html__('Map of all tracks', 'flyover-gpx'),
+                'mapLoadFailed' => \esc_html__('Could not load the map. Please try again.', 'flyover-gpx'),
+                'mapTruncated' => \esc_html__('Showing the first %1$s of %2$s tracks. Narrow the search to see the rest.', 'flyover-gpx'),
             ],
         ];
 
@@ -788,7 +1196,8 @@ final class GalleryShortcode
      */
     public static function invalidate_tracks_cache(): void
     {
-        \delete_transient('fgpx_gallery_tracks_v1');
+        \delete_transient('fgpx_gallery_tracks_v3');
+        \delete_transient('fgpx_gallery_routes_v1');
     }
 
     private function formatDuration(int $seconds): string
@@ -0,0 +1,315 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FGpx;
+
+if (!\defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Live tracking: positions appended to a track while it is still being recorded.
+ *
+ * Trackers (or a relay script) POST points to /fgpx/v1/track/{id}/live with an
+ * account that can edit the track, e.g. via an application password. Players
+ * embedded with live="true" poll the same route with ?since=N and extend the
+ * route in place. Live points are stored separately from the imported GPX, so
+ * the cached track payload stays valid while the ride is in progress.
+ */
+final class LiveTracking
+{
+    public const META_POINTS = 'fgpx_live_points';
+    public const MAX_BATCH = 1000;
+    public const MAX_POINTS = 50000;
+
+    public function register(): void
+    {
+        \add_action('rest_api_init', [$this, 'register_routes']);
+    }
+
+    public function register_routes(): void
+    {
+        $idArg = [
+            'id' => [
+                'validate_callback' => static function ($param): bool {
+                    return is_numeric($param) && (int) $param > 0;
+                },
+            ],
+        ];
+
+        \register_rest_route(
+            'fgpx/v1',
+            '/track/(?P<id>\\d+)/live',
+            [
+                [
+                    'methods' => 'GET',
+                    'callback' => [$this, 'get_points'],
+                    'permission_callback' => [$this, 'can_read_track'],
+                    'args' => $idArg + [
+                        'since' => [
+                            'validate_callback' => static function ($param): bool {
+                                return is_numeric($param) && (int) $param >= 0;
+                            },
+                        ],
+                    ],
+                ],
+                [
+                    'methods' => 'POST',
+                    'callback' => [$this, 'post_points'],
+                    'permission_callback' => [$this, 'can_edit_track'],
+                    'args' => $idArg,
+                ],
+                [
+                    'methods' => 'DELETE',
+                    'callback' => [$this, 'delete_points'],
+                    'permission_callback' => [$this, 'can_edit_track'],
+                    'args' => $idArg,
+                ],
+            ]
+        );
+    }
+
+    /**
+     * Same visibility rule as the track endpoint: published tracks are public.
+     */
+    public function can_read_track(\WP_REST_Request $request): bool
+    {
+        $post = self::get_track_post((int) $request->get_param('id'));
+        if (!$post) {
+            return false;
+        }
+
+        return $post->post_status === 'publish' || \current_user_can('read_post', (int) $post->ID);
+    }
+
+    public function can_edit_track(\WP_REST_Request $request): bool
+    {
+        $post = self::get_track_post((int) $request->get_param('id'));
+        return $post !== null && \current_user_can('edit_post', (int) $post->ID);
+    }
+
+    /**
+     * GET: points appended after index `since` (privacy zones applied).
+     */
+    public function get_points(\WP_REST_Request $request): \WP_REST_Response
+    {
+        $data = self::points_since((int) $request->get_param('id'), (int) $request->get_param('since'), PrivacyZones::get_zones());
+        $response = new \WP_REST_Response($data, 200);
+        $response->header('Cache-Control', 'no-cache, must-revalidate, max-age=0');
+        return $response;
+    }
+
+    /**
+     * POST: append a batch sent as {"points": [...]} or as a bare array.
+     */
+    public function post_points(\WP_REST_Request $request): \WP_REST_Response
+    {
+        $body = $request->get_json_params();
+        $raw = \is_array($body) && isset($body['points']) && \is_array($body['points']) ? $body['points'] : $body;
+        if (!\is_array($raw) || $raw === []) {
+            return new \WP_REST_Response(['code' => 'fgpx_live_no_points', 'message' => 'Expected a non-empty "points" array.'], 400);
+        }
+        if (\count($raw) > self::MAX_BATCH) {
+            return new \WP_REST_Response(['code' => 'fgpx_live_batch_too_large', 'message' => 'Send at most ' . self::MAX_BATCH . ' points per request.'], 413);
+        }
+
+        $result = self::append((int) $request->get_param('id'), $raw, \time());
+        if ($result === null) {
+            return new \WP_REST_Response(['code' => 'fgpx_live_track_full', 'message' => 'This track already holds ' . self::MAX_POINTS . ' live points.'], 413);
+        }
+
+        return new \WP_REST_Response($result, 200);
+    }
+
+    /**
+     * DELETE: drop all live points, e.g. before reusing a track for the next event.
+     */
+    public function delete_points(\WP_REST_Request $request): \WP_REST_Response
+    {
+        \delete_post_meta((int) $request->get_param('id'), self::META_POINTS);
+        return new \WP_REST_Response(['total' => 0], 200);
+    }
+
+    /**
+     * Validate incoming points. Accepts `lon` or `lng`, and `time` as ISO 8601 or
+     * Unix seconds. Points without a time get one-second steps in batch order that
+     * end at $now, or start right after $after when that is later.
+     *
+     * @param array<int|string, mixed> $raw
+     * @param int|null $after Unix time of the last stored point
+     * @return array<int, array{lon:float, lat:float, ele:?float, time:string, hr:?float, cadence:?float, temperature:?float, power:?float}>
+     */
+    public static function normalize_points(array $raw, int $now, ?int $after = null): array
+    {
+        $optional = static function (array $point, string $key): ?float {
+            return isset($point[$key]) && \is_numeric($point[$key]) ? (float) $point[$key] : null;
+        };
+
+        $points = [];
+        $timestamps = [];
+        foreach ($raw as $point) {
+            if (!\is_array($point)) {
+                continue;
+            }
+            $lat = $optional($point, 'lat');
+            $lon = $optional($point, 'lon') ?? $optional($point, 'lng');
+            if ($lat === null || $lon === null || $lat < -90.0 || $lat > 90.0 || $lon < -180.0 || $lon > 180.0) {
+                continue;
+            }
+
+            $timestamp = null;
+            if (isset($point['time']) && \is_numeric($point['time'])) {
+                $timestamp = (int) $point['time'];
+            } elseif (isset($point['time']) && \is_string($point['time']) && $point['time'] !== '') {
+                $parsed = \strtotime($point['time']);
+                if ($parsed === false) {
+                    continue;
+                }
+                $timestamp = $parsed;
+            }
+
+            $timestamps[] = $timestamp;
+            $points[] = [
+                'lon' => \round($lon, 7),
+                'lat' => \round($lat, 7),
+                'ele' => $optional($point, 'ele'),
+                'time' => '',
+                'hr' => $optional($point, 'hr'),
+                'cadence' => $optional($point, 'cadence'),
+                'temperature' => $optional($point, 'temperature'),
+                'power' => $optional($point, 'power'),
+            ];
+        }
+
+        $next = $now - \count(\array_keys($timestamps, null, true)) + 1;
+        if ($after !== null) {
+            $next = \max($next, $after + 1);
+        }
+        foreach ($timestamps as $k => $timestamp) {
+            $points[$k]['time'] = \gmdate('Y-m-d\TH:i:s\Z', $timestamp ?? $next++);
+        }
+
+        // Points within the same second keep their batch order
+        $order = \array_keys($points);
+        \array_multisort(\array_column($points, 'time'), \SORT_STRING, $order, \SORT_NUMERIC, $points);
+
+        return $points;
+    }
+
+    /**
+     * Append points to a track. Points older than the last stored point, or stored
+     * already with the same time and position, are skipped, so trackers can resend
+     * a batch after a failed upload.
+     *
+     * @param array<int|string, mixed> $raw
+     * @return array{added:int, total:int, lastSeen:?string}|null Null when the track is full
+     */
+    public static function append(int $trackId, array $raw, int $now): ?array
+    {
+        $stored = self::stored_points($trackId);
+        $last = $stored !== [] ? $stored[\count($stored) - 1]['time'] : '';
+        $lastTs = $last !== '' ? \strtotime($last) : false;
+
+        // Positions stored at the last time, to recognize resent points within that second
+        $seen = [];
+        for ($i = \count($stored) - 1; $i >= 0 && $stored[$i]['time'] === $last; $i--) {
+            $seen[self::position_key($stored[$i])] = true;
+        }
+
+        $added = 0;
+        foreach (self::normalize_points($raw, $now, $lastTs !== false ? $lastTs : null) as $point) {
+            $order = \strcmp($point['time'], $last);
+            if ($order < 0 || ($order === 0 && isset($seen[self::position_key($point)]))) {
+                continue;
+            }
+            if ($order > 0) {
+                $seen = [];
+                $last = $point['time'];
+            }
+            $seen[self::position_key($point)] = true;
+            $stored[] = $point;
+            $added++;
+        }
+
+        if (\count($stored) > self::MAX_POINTS) {
+            return null;
+        }
+        if ($added > 0) {
+            \update_post_meta($trackId, self::META_POINTS, $stored);
+        }
+
+        return ['added' => $added, 'total' => \count($stored), 'lastSeen' => $last !== '' ? $last : null];
+    }
+
+    /**
+     * Points after index $since. Points inside a privacy zone are left out;
+     * `gap` marks a point that follows such a stretch so the player does not
+     * draw a line across the zone. `total` is the cursor for the next request,
+     * and `lastSeen` is the time of the last point outside all zones.
+     *
+     * @param array<int, array{name:string, lat:float, lon:float, radius:float}> $zones
+     * @return array{points: array<int, array<string, mixed>>, total:int, lastSeen:?string}
+     */
+    public static function points_since(int $trackId, int $since, array $zones): array
+    {
+        $stored = self::stored_points($trackId);
+        $total = \count($stored);
+        $since = \max(0, \min($since, $total));
+
+        $points = [];
+        $hiddenBefore = $since > 0 && !empty($zones) && PrivacyZones::contains($zones, $stored[$since - 1]['lat'], $stored[$since - 1]['lon']);
+        for ($i = $since; $i < $total; $i++) {
+            $point = $stored[$i];
+            if (!empty($zones) && PrivacyZones::contains($zones, $point['lat'], $point['lon'])) {
+                $hiddenBefore = true;
+                continue;
+            }
+            if ($hiddenBefore) {
+                $point['gap'] = true;
+                $hiddenBefore = false;
+            }
+            $points[] = $point;
+        }
+
+        $lastSeen = null;
+        for ($i = $total - 1; $i >= 0; $i--) {
+            if (empty($zones) || !PrivacyZones::contains($zones, $stored[$i]['lat'], $stored[$i]['lon'])) {
+                $lastSeen = $stored[$i]['time'];
+                break;
+            }
+        }
+
+        return [
+            'points' => $points,
+            'total' => $total,
+            'lastSeen' => $lastSeen,
+        ];
+    }
+
+    /**
+     * @param array<string, mixed> $point
+     */
+    private static function position_key(array $point): string
+    {
+        return $point['lat'] . ',' . $point['lon'];
+    }
+
+    /**
+     * @return array<int, array<string, mixed>>
+     */
+    private static function stored_points(int $trackId): array
+    {
+        $stored = \get_post_meta($trackId, self::META_POINTS, true);
+        return \is_array($stored) ? \array_values($stored) : [];
+    }
+
+    private static function get_track_post(int $trackId): ?\WP_Post
+    {
+        if ($trackId <= 0) {
+            return null;
+        }
+        $post = \get_post($trackId);
+        return ($post && $post->post_type === 'fgpx_track') ? $post : null;
+    }
+}
@@ -0,0 +1,105 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FGpx;
+
+if (!\defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Serves the "Save for offline" service worker.
+ *
+ * A service worker only controls pages below the path it is served from, so
+ * assets/js/offline-sw.js is streamed through a query endpoint on the home URL
+ * instead of being registered from the plugin directory. While the feature is
+ * disabled the endpoint returns a worker that deletes the saved tracks and
+ * unregisters itself, so turning the setting off also cleans up visitors'
+ * browsers. Embeds that turn the feature on with offline="true" register the
+ * worker with an extra query flag, so they keep the real worker while the
+ * setting is off.
+ */
+final class OfflineWorker
+{
+    public const QUERY_VAR = 'fgpx_offline_sw';
+    public const EMBED_VAR = 'fgpx_offline_embed';
+    public const CACHE_NAME = 'fgpx-offline-v1';
+
+    public function register(): void
+    {
+        \add_action('init', [$this, 'maybe_serve_worker'], 1);
+    }
+
+    /**
+     * Answer ?fgpx_offline_sw requests with the worker script and stop.
+     */
+    public function maybe_serve_worker(): void
+    {
+        if (!isset($_GET[self::QUERY_VAR])) {
+            return;
+        }
+
+        $script = self::worker_script(self::serves_worker($_GET));
+        if ($script === null) {
+            \status_header(404);
+            exit;
+        }
+
+        \header('Content-Type: application/javascript; charset=utf-8');
+        \header('Service-Worker-Allowed: ' . self::scope());
+        \header('Cache-Control: no-cache');
+        \header('X-Content-Type-Options: nosniff');
+        echo $script;
+        exit;
+    }
+
+    /**
+     * Whether a worker request gets the real worker rather than the clean-up one.
+     *
+     * @param array<string,mixed> $query Query arguments of the worker request
+     */
+    public static function serves_worker(array $query): bool
+    {
+        return Options::get('fgpx_offline_enabled') === '1' || !empty($query[self::EMBED_VAR]);
+    }
+
+    /**
+     * @return string|null Worker source, or null when the bundled script is missing
+     */
+    public static function worker_script(bool $enabled): ?string
+    {
+        if (!$enabled) {
+            return "self.addEventListener('install',function(){self.skipWaiting();});"
+                . "self.addEventListener('activate',function(e){e.waitUntil(caches.delete('" . self::CACHE_NAME . "')"
+                . ".then(function(){return self.registration.unregister();}));});";
+        }
+
+        $path = FGPX_DIR_PATH . 'assets/js/offline-sw.js';
+        if (!\is_readable($path)) {
+            return null;
+        }
+
+        $contents = \file_get_contents($path);
+        return \is_string($contents) ? $contents : null;
+    }
+
+    /**
+     * @param bool $embedEnabled True when the embed turns offline on while the setting is off
+     */
+    public static function worker_url(bool $embedEnabled = false): string
+    {
+        $home = \home_url('/');
+        $url = $home . (\strpos($home, '?') === false ? '?' : '&') . self::QUERY_VAR . '=' . \rawurlencode(FGPX_VERSION);
+        return $embedEnabled ? $url . '&' . self::EMBED_VAR . '=1' : $url;
+    }
+
+    /**
+     * Site root path the worker controls, e.g. "/" or "/blog/".
+     */
+    public static function scope(): string
+    {
+        $path = (string) \parse_url(\home_url('/'), PHP_URL_PATH);
+        return $path !== '' ? \trailingslashit($path) : '/';
+    }
+}
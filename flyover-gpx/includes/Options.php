@@ -14,6 +14,16 @@ if (!\defined('ABSPATH')) {
  */
 final class Options
 {
+	/**
+	 * Accepted route coloring modes ('auto' follows the elevation/HR zone coloring settings).
+	 */
+	public const ROUTE_COLOR_MODES = ['auto', 'none', 'gradient', 'speed', 'hr', 'power', 'cadence', 'temperature'];
+
+	/**
+	 * Accepted player camera modes ('chase' is the classic follow camera).
+	 */
+	public const CAMERA_MODES = ['chase', 'topdown', 'orbit', 'firstperson', 'cinematic'];
+
 	/**
 	 * Static cache for options to prevent multiple database queries.
 	 * @var array<string, mixed>|null
@@ -42,6 +52,8 @@ final class Options
 			'fgpx_contours_opacity' => '0.75',
 			'fgpx_contours_minzoom' => '9',
 			'fgpx_contours_maxzoom' => '16',
+			'fgpx_terrain_dem_url' => '',
+			'fgpx_terrain_exaggeration' => '1.0', // 0 turns 3D relief off
 		'fgpx_smart_api_keys_mode' => 'off',
 		'fgpx_smart_api_keys_pool' => '',
 		'fgpx_smart_api_keys_test_url_override' => '',
@@ -49,6 +61,7 @@ final class Options
 		'fgpx_default_zoom' => '11',
 		'fgpx_default_speed' => '25',
 		'fgpx_default_pitch' => '60',
+		'fgpx_camera_mode' => 'chase',
 		'fgpx_show_labels' => '1',
 		'fgpx_custom_css' => '',
 
@@ -60,8 +73,12 @@ final class Options
 		'fgpx_gpx_download_enabled' => '0',
 		'fgpx_privacy_enabled' => '0',
 		'fgpx_privacy_km' => '3',
+		'fgpx_privacy_zones' => '', // JSON list of {name, lat, lon, radius}, see PrivacyZones
+		'fgpx_poi_attachment_id' => '0', // Site-wide GeoJSON POI file, see PointsOfInterest
+		'fgpx_poi_radius_m' => '300',
 		'fgpx_hud_enabled' => '1',
 		'fgpx_prefetch_enabled' => '1',
+		'fgpx_offline_enabled' => '0',
 		'fgpx_lazy_viewport' => '1',
 		'fgpx_gallery_per_page' => '16',
 		'fgpx_gallery_player_height' => '636px',
@@ -94,6 +111,9 @@ final class Options
 		'fgpx_chart_color_power' => '#059669',
 		'fgpx_ftp' => '250',
 		'fgpx_system_weight_kg' => '75',
+		'fgpx_max_hr' => '190',
+		'fgpx_lthr' => '0',
+		'fgpx_hr_zone_coloring' => '0',
 
 		// Chart Colors - Wind Analysis
 		'fgpx_chart_color_wind_impact' => '#ff6b35',
@@ -166,6 +186,7 @@ final class Options
 
 		// Elevation Coloring
 		'fgpx_elevation_coloring' => '0',
+		'fgpx_route_color_by' => 'auto',
 		'fgpx_elevation_color_flat' => '#ff5500',
 		'fgpx_elevation_color_steep' => '#ff0000',
 		'fgpx_elevation_threshold_min' => '3',
@@ -313,6 +334,14 @@ final class Options
 		if (!\in_array($photoOrderMode, ['geo_first', 'time_first'], true)) {
 			$photoOrderMode = 'geo_first';
 		}
+		$routeColorBy = \sanitize_key((string) $options['fgpx_route_color_by']);
+		if (!\in_array($routeColorBy, self::ROUTE_COLOR_MODES, true)) {
+			$routeColorBy = 'auto';
+		}
+		$cameraMode = \sanitize_key((string) $options['fgpx_camera_mode']);
+		if (!\in_array($cameraMode, self::CAMERA_MODES, true)) {
+			$cameraMode = 'chase';
+		}
 		
 		return [
 			// Chart colors
@@ -323,6 +352,10 @@ final class Options
 			'chartColorTemp' => $options['fgpx_chart_color_temp'],
 			'chartColorPower' => $options['fgpx_chart_color_power'],
 			'ftp' => (int) $options['fgpx_ftp'],
+			'maxHr' => (int) $options['fgpx_max_hr'],
+			'lthr' => (int) $options['fgpx_lthr'],
+			'hrZoneColoring' => $options['fgpx_hr_zone_coloring'] === '1',
+			'routeColorBy' => $routeColorBy,
 			'chartColorWindImpact' => $options['fgpx_chart_color_wind_impact'],
 			'chartColorWindRose' => $options['fgpx_chart_color_wind_rose'],
 			
@@ -353,6 +386,7 @@ final class Options
 			// Map settings
 			'defaultZoom' => (int) $options['fgpx_default_zoom'],
 			'defaultPitch' => (int) $options['fgpx_default_pitch'],
+			'cameraMode' => $cameraMode,
 			'styleJson' => $options['fgpx_default_style_json'],
 			
 			// Performance
@@ -55,6 +55,7 @@ final class Plugin
             'show_in_menu' => true,
             'menu_icon' => 'dashicons-location',
             'supports' => ['title'],
+            'taxonomies' => ['post_tag', 'category'],
             'show_in_rest' => true,
             'capability_type' => 'post',
             'map_meta_cap' => true,
@@ -69,6 +70,7 @@ final class Plugin
     public function register_shortcode(): void
     {
         \add_shortcode('flyover_gpx', [$this, 'render_shortcode']);
+        \add_shortcode('flyover_gpx_trip', [$this, 'render_trip_shortcode']);
     }
 
     /**
@@ -113,6 +115,25 @@ final class Plugin
         );
     }
 
+    /**
+     * Render the [flyover_gpx_trip] shortcode: several tracks (one per day) in a
+     * single player. Days come from `ids` or from the tracks tagged with the
+     * `trip` name; every [flyover_gpx] attribute except `id` is passed through.
+     *
+     * @param array<string, mixed>|string $atts
+     */
+    public function render_trip_shortcode($atts = []): string
+    {
+        $atts = \is_array($atts) ? $atts : [];
+        $tripIds = Trip::resolve_ids((string) ($atts['ids'] ?? ''), (string) ($atts['trip'] ?? ''));
+        unset($atts['ids']);
+
+        $atts['id'] = $tripIds !== [] ? (string) $tripIds[0] : '';
+        $atts['trip'] = \implode(',', $tripIds);
+
+        return $this->render_shortcode($atts);
+    }
+
     /**
      * Render the [flyover_gpx] shortcode.
      *
@@ -169,6 +190,27 @@ final class Plugin
             'daynight_map_enabled' => '',
             'daynight_visible_by_default' => '',
             'daynight_map_color' => '',
+            // Ghost-rider comparison: comma-separated track IDs and alignment (time|distance)
+            'compare' => '',
+            'compare_align' => '',
+            // Heart-rate zone overrides (bpm) and zone route coloring toggle
+            'max_hr' => '',
+            'lthr' => '',
+            'hr_zone_coloring' => '',
+            'route_color_by' => '',
+            // Camera mode: chase, topdown, orbit, firstperson or cinematic
+            'camera_mode' => '',
+            // 3D relief scale from the terrain DEM (0 keeps the map flat)
+            'terrain_exaggeration' => '',
+            // Scrollytelling: page scroll through marked sections drives the playback position
+            'scroll_driven' => '',
+            // "Save for offline" button (service worker precache)
+            'offline' => '',
+            // Live tracking: poll for points appended to a track that is still being recorded
+            'live' => '',
+            'live_interval' => '',
+            // Multi-day trip: comma-separated track IDs played as one journey (set by [flyover_gpx_trip])
+            'trip' => '',
         ];
 
         $atts = \shortcode_atts($defaults, $atts, 'flyover_gpx');
@@ -382,6 +424,50 @@ final class Plugin
         // Resolve day/night map color
         $daynightMapColorFinal = $resolveColorAttr((string) ($atts['daynight_map_color'] ?? ''), $options['fgpx_daynight_map_color']);
 
+        // Resolve comparison tracks (max 5, excluding the primary track)
+        $compareIdsFinal = [];
+        foreach (\explode(',', (string) ($atts['compare'] ?? '')) as $compareIdRaw) {
+            $compareId = \absint(\trim($compareIdRaw));
+            if ($compareId > 0 && (string) $compareId !== (string) $trackId && !\in_array($compareId, $compareIdsFinal, true)) {
+                $compareIdsFinal[] = $compareId;
+            }
+        }
+        $compareIdsFinal = \array_slice($compareIdsFinal, 0, 5);
+        $compareAlignFinal = \sanitize_key((string) ($atts['compare_align'] ?? '')) === 'distance' ? 'distance' : 'time';
+        $scrollDrivenFinal = $resolveBooleanAttr((string) ($atts['scroll_driven'] ?? ''), '0');
+        $offlineEnabledFinal = $resolveBooleanAttr((string) ($atts['offline'] ?? ''), (string) ($options['fgpx_offline_enabled'] ?? '0'));
+        $offlineWorkerUrl = OfflineWorker::worker_url($offlineEnabledFinal && (string) ($options['fgpx_offline_enabled'] ?? '0') !== '1');
+        $liveFinal = $resolveBooleanAttr((string) ($atts['live'] ?? ''), '0');
+        $liveIntervalFinal = (int) $resolveFloatRangeAttr((string) ($atts['live_interval'] ?? ''), '15', 5, 300);
+        $tripIds = Trip::resolve_ids((string) ($atts['trip'] ?? ''), '');
+        $tripDaysFinal = \count($tripIds) >= 2 ? Trip::day_configs($tripIds) : [];
+
+        // Resolve heart-rate zone references (LTHR 0 = zones from max HR)
+        $maxHrFinal = (int) $resolveFloatRangeAttr((string) ($atts['max_hr'] ?? ''), $options['fgpx_max_hr'], 120, 230);
+        $lthrAttrRaw = (string) ($atts['lthr'] ?? '');
+        $lthrFinal = ($lthrAttrRaw !== '' && \is_numeric($lthrAttrRaw)) ? (int) $lthrAttrRaw : (int) $options['fgpx_lthr'];
+        $lthrFinal = $lthrFinal > 0 ? max(100, min(220, $lthrFinal)) : 0;
+        $hrZoneColoringFinal = $resolveBooleanAttr((string) ($atts['hr_zone_coloring'] ?? ''), $options['fgpx_hr_zone_coloring']);
+
+        // Resolve route coloring metric (shortcode > admin setting > auto)
+        $routeColorByFinal = \sanitize_key((string) ($atts['route_color_by'] ?? ''));
+        if (!\in_array($routeColorByFinal, Options::ROUTE_COLOR_MODES, true)) {
+            $routeColorByFinal = \sanitize_key((string) ($options['fgpx_route_color_by'] ?? 'auto'));
+        }
+        if (!\in_array($routeColorByFinal, Options::ROUTE_COLOR_MODES, true)) {
+            $routeColorByFinal = 'auto';
+        }
+
+        // Resolve camera mode (shortcode > admin setting > chase)
+        $cameraModeFinal = \sanitize_key((string) ($atts['camera_mode'] ?? ''));
+        if (!\in_array($cameraModeFinal, Options::CAMERA_MODES, true)) {
+            $cameraModeFinal = \sanitize_key((string) ($options['fgpx_camera_mode'] ?? 'chase'));
+        }
+        if (!\in_array($cameraModeFinal, Options::CAMERA_MODES, true)) {
+            $cameraModeFinal = 'chase';
+        }
+        $terrainExaggerationFinal = $resolveFloatRangeAttr((string) ($atts['terrain_exaggeration'] ?? ''), $options['fgpx_terrain_exaggeration'] ?? '1.0', 0, 3);
+
         // Expose prefetch flag to frontend (default on for backward compatibility)
         $prefetchEnabled = $options['fgpx_prefetch_enabled'] === '1';
         $debugLogging = $options['fgpx_debug_logging'] === '1';
@@ -415,6 +501,10 @@ final class Plugin
             'chartColorTemp' => $temperatureChartColorFinal,
             'chartColorPower' => $powerChartColorFinal,
             'ftp' => (int) $options['fgpx_ftp'],
+            'maxHr' => $maxHrFinal,
+            'lthr' => $lthrFinal,
+            'hrZoneColoring' => $hrZoneColoringFinal,
+            'routeColorBy' => $routeColorByFinal,
             'chartColorWindImpact' => $windImpactChartColorFinal,
             'chartColorWindRose' => $windRoseChartColorFinal,
             'windRoseColorNorth' => $windRoseColorNorthFinal,
@@ -447,9 +537,12 @@ final class Plugin
             'contoursOpacity' => (float) ($options['fgpx_contours_opacity'] ?? '0.75'),
             'contoursMinZoom' => (int) ($options['fgpx_contours_minzoom'] ?? '9'),
             'contoursMaxZoom' => (int) ($options['fgpx_contours_maxzoom'] ?? '16'),
+            'terrainDemUrl' => (string) ($options['fgpx_terrain_dem_url'] ?? ''),
+            'terrainExaggeration' => $terrainExaggerationFinal,
             'defaultZoom' => (int) $options['fgpx_default_zoom'],
             'defaultSpeed' => $defaultSpeedFinal,
             'defaultPitch' => (int) $options['fgpx_default_pitch'],
+            'cameraMode' => $cameraModeFinal,
             'showLabels' => $showLabelsFinal,
             'photosEnabled' => $photosEnabledFinal,
             'photoOrderMode' => $photoOrderModeFinal,
@@ -461,6 +554,15 @@ final class Plugin
             'privacyKm' => $privacyKmFinal,
             'hudEnabled' => $hudEnabledFinal,
             'elevationColoring' => $elevationColoringEnabledFinal,
+            'compareTrackIds' => \implode(',', $compareIdsFinal),
+            'compareAlign' => $compareAlignFinal,
+            'scrollDriven' => $scrollDrivenFinal,
+            'offlineEnabled' => $offlineEnabledFinal,
+            'offlineWorkerUrl' => $offlineWorkerUrl,
+            'offlineScope' => OfflineWorker::scope(),
+            'live' => $liveFinal,
+            'liveInterval' => $liveIntervalFinal,
+            'trip' => $tripDaysFinal,
             'backendSimplify' => $options['fgpx_backend_simplify_enabled'] === '1',
             'backendSimplifyTarget' => (int) $options['fgpx_backend_simplify_target'],
             'preferAjaxFirst' => ($options['fgpx_ajax_first'] ?? '0') === '1',
@@ -509,6 +611,7 @@ final class Plugin
                 'mapModeLabel' => \esc_html__('Map mode', 'flyover-gpx'),
                 'mapModeSatellite' => \esc_html__('Satellite', 'flyover-gpx'),
                 'mapModeSatelliteContours' => \esc_html__('Satellite + Contours', 'flyover-gpx'),
+                'mapModeTerrain' => \esc_html__('3D terrain', 'flyover-gpx'),
                 'weatherOverviewTab'           => \esc_html__('Weather', 'flyover-gpx'),
                 'weatherOverviewSlice'         => \esc_html__('%s to %s', 'flyover-gpx'),
                 'weatherOverviewTemp'          => \esc_html__('Temp', 'flyover-gpx'),
@@ -525,6 +628,119 @@ final class Plugin
                 'weatherOverviewPartCloudCond' => \esc_html__('Partly Cloudy', 'flyover-gpx'),
                 'weatherOverviewStormCond'     => \esc_html__('Heavy Rain', 'flyover-gpx'),
                 'weatherOverviewBlizCond'      => \esc_html__('Blizzard', 'flyover-gpx'),
+                'ghostAhead' => \esc_html__('ahead', 'flyover-gpx'),
+                'ghostBehind' => \esc_html__('behind', 'flyover-gpx'),
+                'hrZonesTab' => \esc_html__('HR Zones', 'flyover-gpx'),
+                'routeColorLabel' => \esc_html__('Route color', 'flyover-gpx'),
+                'routeColorNone' => \esc_html__('Single color', 'flyover-gpx'),
+                'routeColorGradient' => \esc_html__('Gradient', 'flyover-gpx'),
+                'routeColorSpeed' => \esc_html__('Speed', 'flyover-gpx'),
+                'routeColorHr' => \esc_html__('Heart rate', 'flyover-gpx'),
+                'routeColorPower' => \esc_html__('Power', 'flyover-gpx'),
+                'routeColorCadence' => \esc_html__('Cadence', 'flyover-gpx'),
+                'routeColorTemperature' => \esc_html__('Temperature', 'flyover-gpx'),
+                'cameraLabel' => \esc_html__('Camera', 'flyover-gpx'),
+                'cameraChase' => \esc_html__('Chase', 'flyover-gpx'),
+                'cameraTopdown' => \esc_html__('Top-down', 'flyover-gpx'),
+                'cameraOrbit' => \esc_html__('Orbit', 'flyover-gpx'),
+                'cameraFirstperson' => \esc_html__('First person', 'flyover-gpx'),
+                'cameraCinematic' => \esc_html__('Cinematic', 'flyover-gpx'),
+                'cameraKeyframes' => \esc_html__('Keyframes', 'flyover-gpx'),
+                'chapterLabel' => \esc_html__('Chapter', 'flyover-gpx'),
+                'chapterClose' => \esc_html__('Close', 'flyover-gpx'),
+                'chapterContinue' => \esc_html__('Continue', 'flyover-gpx'),
+                'offlineSave' => \esc_html__('Save for offline', 'flyover-gpx'),
+                'offlineUpdate' => \esc_html__('Update offline copy', 'flyover-gpx'),
+                'offlineRemove' => \esc_html__('Remove', 'flyover-gpx'),
+                'offlineSaving' => \esc_html__('Saving… %s', 'flyover-gpx'),
+                'offlineSaved' => \esc_html__('Saved for offline (%s)', 'flyover-gpx'),
+                'offlineOpaque' => \esc_html__('The size does not include files from other sites (%s).', 'flyover-gpx'),
+                'offlineNotSaved' => \esc_html__('This track is not saved on this device.', 'flyover-gpx'),
+                'offlineFailed' => \esc_html__('Saving failed:', 'flyover-gpx'),
+                'offlineStorage' => \esc_html__('Storage used: %1$s of %2$s', 'flyover-gpx'),
+                'offlineSavedTracks' => \esc_html__('Saved tracks', 'flyover-gpx'),
+                'liveBadge' => \esc_html__('Live', 'flyover-gpx'),
+                'liveJustNow' => \esc_html__('Last seen just now', 'flyover-gpx'),
+                'liveMinutesAgo' => \esc_html__('Last seen %s min ago', 'flyover-gpx'),
+                'liveHoursAgo' => \esc_html__('Last seen %1$s h %2$s min ago', 'flyover-gpx'),
+                'liveWaiting' => \esc_html__('Waiting for the first position…', 'flyover-gpx'),
+                'tripDay' => \esc_html__('Day %1$s of %2$s', 'flyover-gpx'),
+                'tripDayShort' => \esc_html__('Day %s', 'flyover-gpx'),
+                'segmentsTab' => \esc_html__('Segments', 'flyover-gpx'),
+                'segmentsClimbs' => \esc_html__('Climbs and descents', 'flyover-gpx'),
+                'segmentsNoClimbs' => \esc_html__('No significant climbs or descents detected.', 'flyover-gpx'),
+                'segmentsLaps' => \esc_html__('Laps', 'flyover-gpx'),
+                'segmentsLapMode' => \esc_html__('Lap length', 'flyover-gpx'),
+                'segmentsLapAuto' => \esc_html__('Auto', 'flyover-gpx'),
+                'segmentsLapMarkers' => \esc_html__('GPX laps', 'flyover-gpx'),
+                'segmentsStart' => \esc_html__('Start', 'flyover-gpx'),
+                'segmentsLength' => \esc_html__('Length', 'flyover-gpx'),
+                'segmentsGain' => \esc_html__('Gain', 'flyover-gpx'),
+                'segmentsAvgGrade' => \esc_html__('Avg', 'flyover-gpx'),
+                'segmentsMaxGrade' => \esc_html__('Max', 'flyover-gpx'),
+                'segmentsCategory' => \esc_html__('Cat.', 'flyover-gpx'),
+                'segmentsCat' => \esc_html__('Cat', 'flyover-gpx'),
+                'segmentsTime' => \esc_html__('Time', 'flyover-gpx'),
+                'segmentsSpeed' => \esc_html__('Speed', 'flyover-gpx'),
+                'segmentsPois' => \esc_html__('Points of interest', 'flyover-gpx'),
+                'segmentsPoiName' => \esc_html__('Name', 'flyover-gpx'),
+                'segmentsPoiAt' => \esc_html__('At', 'flyover-gpx'),
+                'segmentsPoiOffset' => \esc_html__('Off route', 'flyover-gpx'),
+                'segmentsPoiElevation' => \esc_html__('Elevation', 'flyover-gpx'),
+                'poiPeak' => \esc_html__('Peak', 'flyover-gpx'),
+                'poiPass' => \esc_html__('Pass', 'flyover-gpx'),
+                'poiHut' => \esc_html__('Hut', 'flyover-gpx'),
+                'poiWater' => \esc_html__('Water', 'flyover-gpx'),
+                'poiCafe' => \esc_html__('Café', 'flyover-gpx'),
+                'poiOther' => \esc_html__('Point of interest', 'flyover-gpx'),
+                'mapLabel' => \esc_html__('Route map', 'flyover-gpx'),
+                'playerControls' => \esc_html__('Player controls', 'flyover-gpx'),
+                'progressLabel' => \esc_html__('Playback position', 'flyover-gpx'),
+                'progressValue' => \esc_html__('%1$s of %2$s km', 'flyover-gpx'),
+                'chartTabsLabel' => \esc_html__('Charts', 'flyover-gpx'),
+                'announcePosition' => \esc_html__('%1$s km, elevation %2$s m', 'flyover-gpx'),
+                'announceDistance' => \esc_html__('%s km', 'flyover-gpx'),
+                'shortcutsTitle' => \esc_html__('Keyboard shortcuts', 'flyover-gpx'),
+                'shortcutPlayPause' => \esc_html__('Play or pause', 'flyover-gpx'),
+                'shortcutSeek' => \esc_html__('Seek back or forward by 1%', 'flyover-gpx'),
+                'shortcutSeekKm' => \esc_html__('Seek back or forward by 1 km', 'flyover-gpx'),
+                'shortcutSpeed' => \esc_html__('Slower or faster playback', 'flyover-gpx'),
+                'shortcutTabs' => \esc_html__('Switch chart tab', 'flyover-gpx'),
+                'shortcutMapMode' => \esc_html__('Switch map mode', 'flyover-gpx'),
+                'shortcutFullscreen' => \esc_html__('Toggle fullscreen', 'flyover-gpx'),
+                'shortcutHelp' => \esc_html__('Show keyboard shortcuts', 'flyover-gpx'),
+                'routeSummary' => \esc_html__('Route summary', 'flyover-gpx'),
+                'summaryTotals' => \esc_html__('Totals', 'flyover-gpx'),
+                'summaryDistance' => \esc_html__('Distance', 'flyover-gpx'),
+                'summaryMovingTime' => \esc_html__('Moving time', 'flyover-gpx'),
+                'summaryAvgSpeed' => \esc_html__('Average speed', 'flyover-gpx'),
+                'summaryMaxSpeed' => \esc_html__('Maximum speed', 'flyover-gpx'),
+                'summaryGain' => \esc_html__('Elevation gain', 'flyover-gpx'),
+                'summaryLowest' => \esc_html__('Lowest point', 'flyover-gpx'),
+                'summaryHighest' => \esc_html__('Highest point', 'flyover-gpx'),
+                'summaryClimb' => \esc_html__('Climb', 'flyover-gpx'),
+                'summaryDescent' => \esc_html__('Descent', 'flyover-gpx'),
+                'summaryFromTo' => \esc_html__('from %1$s to %2$s', 'flyover-gpx'),
+                'summaryAverage' => \esc_html__('%s average', 'flyover-gpx'),
+                'summaryMax' => \esc_html__('%s max', 'flyover-gpx'),
+                'summaryAt' => \esc_html__('at %s', 'flyover-gpx'),
+                'summaryPhotos' => \esc_html__('Photos', 'flyover-gpx'),
+                'summaryPhoto' => \esc_html__('Photo', 'flyover-gpx'),
+                'summaryWaypoints' => \esc_html__('Waypoints', 'flyover-gpx'),
+                'summaryWaypoint' => \esc_html__('Waypoint', 'flyover-gpx'),
+                'dataTableTab' => \esc_html__('Data table', 'flyover-gpx'),
+                'dataTableDistance' => \esc_html__('Distance (km)', 'flyover-gpx'),
+                'dataTableTime' => \esc_html__('Time', 'flyover-gpx'),
+                'dataTableElevation' => \esc_html__('Elevation (m)', 'flyover-gpx'),
+                'dataTableSpeed' => \esc_html__('Speed (km/h)', 'flyover-gpx'),
+                'dataTableHeartRate' => \esc_html__('Heart rate (bpm)', 'flyover-gpx'),
+                'dataTablePower' => \esc_html__('Power (W)', 'flyover-gpx'),
+                'dataTableCaption' => \esc_html__('Track data, %1$s rows, page %2$s of %3$s', 'flyover-gpx'),
+                'dataTableCsv' => \esc_html__('Download CSV', 'flyover-gpx'),
+                'dataTablePrev' => \esc_html__('Previous', 'flyover-gpx'),
+                'dataTableNext' => \esc_html__('Next', 'flyover-gpx'),
+                'dataTablePage' => \esc_html__('Page %1$s of %2$s', 'flyover-gpx'),
+                'dataTableEmpty' => \esc_html__('No track data to show.', 'flyover-gpx'),
             ],
             'deferViewport' => $lazyViewportEnabled,
             'gpxDownloadUrl' => $gpxDownloadUrl,
@@ -532,6 +748,8 @@ final class Plugin
             'playbackTrackingNonce' => \wp_create_nonce('fgpx_record_playback'),
             'resolvedApiKey' => $resolvedApiKey,
             'photoCacheVersion' => (string) (\get_post_meta((int) $trackId, 'fgpx_photo_cache_version', true) ?: '0'),
+            'trackModified' => (string) (int) \strtotime((string) \get_post_field('post_modified_gmt', (int) $trackId)),
+            'payloadVersion' => Rest::payload_cache_version((int) $trackId),
             'clouds3dEnabled' => $options['fgpx_clouds_3d_enabled'] === '1',
             'clouds3dQuality' => \sanitize_key((string) ($options['fgpx_clouds_3d_quality'] ?? 'medium')),
             'clouds3dIntensity' => (float) ($options['fgpx_clouds_3d_intensity'] ?? '0.7'),
@@ -665,6 +883,11 @@ final class Plugin
                   'chartColorTemp:"' . \esc_js($temperatureChartColorFinal) . '",' .
                   'chartColorPower:"' . \esc_js($powerChartColorFinal) . '",' .
                   'ftp:' . \intval($options['fgpx_ftp']) . ',' .
+                  'maxHr:' . \intval($maxHrFinal) . ',' .
+                  'lthr:' . \intval($lthrFinal) . ',' .
+                  'hrZoneColoring:' . ($hrZoneColoringFinal ? 'true' : 'false') . ',' .
+                  'routeColorBy:"' . \esc_js($routeColorByFinal) . '",' .
+                  'cameraMode:"' . \esc_js($cameraModeFinal) . '",' .
                   'chartColorWindImpact:"' . \esc_js($windImpactChartColorFinal) . '",' .
                   'chartColorWindRose:"' . \esc_js($windRoseChartColorFinal) . '",' .
                   'windRoseColorNorth:"' . \esc_js($windRoseColorNorthFinal) . '",' .
@@ -683,6 +906,14 @@ final class Plugin
                   'privacyKm:' . \floatval($privacyKmFinal) . ',' .
                   'hudEnabled:' . ($hudEnabledFinal ? 'true' : 'false') . ',' .
                   'elevationColoring:' . ($elevationColoringEnabledFinal ? 'true' : 'false') . ',' .
+                  'compareTrackIds:"' . \esc_js(\implode(',', $compareIdsFinal)) . '",' .
+                  'compareAlign:"' . \esc_js($compareAlignFinal) . '",' .
+                  'scrollDriven:' . ($scrollDrivenFinal ? 'true' : 'false') . ',' .
+                  'offlineEnabled:' . ($offlineEnabledFinal ? 'true' : 'false') . ',' .
+                  'offlineWorkerUrl:"' . \esc_js($offlineWorkerUrl) . '",' .
+                  'live:' . ($liveFinal ? 'true' : 'false') . ',' .
+                  'liveInterval:' . \intval($liveIntervalFinal) . ',' .
+                  'trip:' . \wp_json_encode($tripDaysFinal) . ',' .
                   'elevationColorFlat:"' . \esc_js($elevationColorFlatFinal) . '",' .
                   'elevationColorSteep:"' . \esc_js($elevationColorSteepFinal) . '",' .
                   'elevationThresholdMin:"' . \esc_js($options['fgpx_elevation_threshold_min']) . '",' .
@@ -711,6 +942,8 @@ final class Plugin
                   'contoursOpacity:' . \floatval($options['fgpx_contours_opacity'] ?? '0.75') . ',' .
                   'contoursMinZoom:' . \intval($options['fgpx_contours_minzoom'] ?? '9') . ',' .
                   'contoursMaxZoom:' . \intval($options['fgpx_contours_maxzoom'] ?? '16') . ',' .
+                  'terrainDemUrl:"' . \esc_js((string) ($options['fgpx_terrain_dem_url'] ?? '')) . '",' .
+                  'terrainExaggeration:' . \floatval($terrainExaggerationFinal) . ',' .
                                     'weatherFogThreshold:' . \floatval($options['fgpx_weather_fog_threshold']) . ',' .
                                     'weatherRainThreshold:' . \floatval($options['fgpx_weather_rain_threshold']) . ',' .
                                     'weatherSnowThreshold:' . \floatval($options['fgpx_weather_snow_threshold']) . ',' .
@@ -726,6 +959,8 @@ final class Plugin
                                     'arrowsEnabled:' . ($arrowsEnabledFinal ? 'true' : 'false') . ',' .
                                     'arrowsKm:' . \floatval($arrowsKmFinal) . ',' .
                                     'photoCacheVersion:"' . \esc_js((string) (\get_post_meta((int) $trackId, 'fgpx_photo_cache_version', true) ?: '0')) . '",' .
+                                    'trackModified:"' . \esc_js((string) (int) \strtotime((string) \get_post_field('post_modified_gmt', (int) $trackId))) . '",' .
+                                    'payloadVersion:"' . \esc_js(Rest::payload_cache_version((int) $trackId)) . '",' .
                                     'clouds3dEnabled:' . ($options['fgpx_clouds_3d_enabled'] === '1' ? 'true' : 'false') . ',' .
                                     'clouds3dQuality:"' . \esc_js(\sanitize_key((string) ($options['fgpx_clouds_3d_quality'] ?? 'medium'))) . '",' .
                                     'clouds3dIntensity:' . \floatval($options['fgpx_clouds_3d_intensity'] ?? '0.7') .
@@ -0,0 +1,343 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FGpx;
+
+if (!\defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Points of interest (peaks, passes, huts, water sources, cafes) from an uploaded
+ * GeoJSON file, e.g. an OSM extract exported with overpass-turbo or osmium.
+ *
+ * A file can be attached site-wide in the settings and per track in the editor.
+ * Only Point features within the configured radius of the route are kept; each
+ * one gets its distance along the route so the player can place it on the chart
+ * and in the simulation ruler, independent of the map style.
+ */
+final class PointsOfInterest
+{
+    public const OPTION_ATTACHMENT = 'fgpx_poi_attachment_id';
+    public const OPTION_RADIUS = 'fgpx_poi_radius_m';
+    public const META_ATTACHMENT = 'fgpx_poi_attachment_id';
+    public const TYPES = ['peak', 'pass', 'hut', 'water', 'cafe', 'poi'];
+    public const MAX_FILE_BYTES = 5242880;
+    public const MAX_POIS = 500;
+    public const MIN_RADIUS_M = 25.0;
+    public const MAX_RADIUS_M = 5000.0;
+    private const METERS_PER_DEGREE = 111320.0;
+
+    public static function radius(): float
+    {
+        $radius = (float) Options::get(self::OPTION_RADIUS, '300');
+        return \max(self::MIN_RADIUS_M, \min(self::MAX_RADIUS_M, $radius > 0 ? $radius : 300.0));
+    }
+
+    /**
+     * Attachment IDs that apply to a track: its own file first, then the site-wide one.
+     *
+     * @return array<int, int>
+     */
+    public static function attachment_ids(int $trackId): array
+    {
+        $ids = [
+            (int) \get_post_meta($trackId, self::META_ATTACHMENT, true),
+            (int) Options::get(self::OPTION_ATTACHMENT, '0'),
+        ];
+        return \array_values(\array_unique(\array_filter($ids, static function (int $id): bool {
+            return $id > 0;
+        })));
+    }
+
+    /**
+     * Cache key suffix covering the attached files and the radius.
+     * Empty when no POI file applies to keep existing keys stable.
+     */
+    public static function cache_key_suffix(int $trackId): string
+    {
+        $parts = [];
+        foreach (self::attachment_ids($trackId) as $attachmentId) {
+            $file = \get_attached_file($attachmentId);
+            $parts[] = $attachmentId . ':' . ($file && \is_readable($file) ? (int) \filemtime($file) : 0);
+        }
+        if ($parts === []) {
+            return '';
+        }
+        return '_poi_' . \substr(\md5(\implode(',', $parts) . '|' . self::radius()), 0, 10);
+    }
+
+    /**
+     * POIs near a track's route, sorted by distance along it.
+     *
+     * @param array<string, mixed> $geojson Track LineString with properties.cumulativeDistance
+     * @return array<int, array{name:string, type:string, lat:float, lon:float, ele:float|null, distanceMeters:float, offsetMeters:float}>
+     */
+    public static function for_track(int $trackId, array $geojson): array
+    {
+        $coords = isset($geojson['coordinates']) && \is_array($geojson['coordinates']) ? \array_values($geojson['coordinates']) : [];
+        $cumDist = isset($geojson['properties']['cumulativeDistance']) && \is_array($geojson['properties']['cumulativeDistance'])
+            ? \array_values($geojson['properties']['cumulativeDistance'])
+            : [];
+        if (\count($coords) < 2 || \count($cumDist) !== \count($coords)) {
+            return [];
+        }
+
+        $pois = [];
+        foreach (self::attachment_ids($trackId) as $attachmentId) {
+            $file = \get_attached_file($attachmentId);
+            if (!$file || !\is_readable($file)) {
+                continue;
+            }
+            $size = (int) \filesize($file);
+            if ($size <= 0 || $size > self::MAX_FILE_BYTES) {
+                ErrorHandler::debug('POI file skipped', ['attachment_id' => $attachmentId, 'bytes' => $size]);
+                continue;
+            }
+            $pois = \array_merge($pois, self::parse_geojson((string) \file_get_contents($file)));
+        }
+
+        return $pois === [] ? [] : self::along_route($pois, $coords, $cumDist, self::radius());
+    }
+
+    /**
+     * Read Point features from a GeoJSON FeatureCollection.
+     *
+     * @return array<int, array{name:string, type:string, lat:float, lon:float, ele:float|null}>
+     */
+    public static function parse_geojson(string $json): array
+    {
+        $decoded = \json_decode($json, true);
+        if (!\is_array($decoded)) {
+            return [];
+        }
+        $features = ($decoded['type'] ?? '') === 'Feature' ? [$decoded] : ($decoded['features'] ?? []);
+        if (!\is_array($features)) {
+            return [];
+        }
+
+        $pois = [];
+        foreach ($features as $feature) {
+            if (!\is_array($feature) || ($feature['geometry']['type'] ?? '') !== 'Point') {
+                continue;
+            }
+            $point = $feature['geometry']['coordinates'] ?? null;
+            if (!\is_array($point) || !isset($point[0], $point[1]) || !\is_numeric($point[0]) || !\is_numeric($point[1])) {
+                continue;
+            }
+            $lon = (float) $point[0];
+            $lat = (float) $point[1];
+            if ($lat < -90.0 || $lat > 90.0 || $lon < -180.0 || $lon > 180.0) {
+                continue;
+            }
+            $props = isset($feature['properties']) && \is_array($feature['properties']) ? $feature['properties'] : [];
+            // overpass-turbo exports nest OSM tags under "tags"
+            if (isset($props['tags']) && \is_array($props['tags'])) {
+                $props = \array_merge($props['tags'], $props);
+            }
+
+            $type = self::classify($props);
+            $name = \sanitize_text_field((string) ($props['name'] ?? ''));
+            $ele = $props['ele'] ?? ($point[2] ?? null);
+            $pois[] = [
+                'name' => $name,
+                'type' => $type,
+                'lat' => \round($lat, 6),
+                'lon' => \round($lon, 6),
+                'ele' => \is_numeric($ele) ? \round((float) $ele, 1) : null,
+            ];
+        }
+
+        return $pois;
+    }
+
+    /**
+     * Map OSM tags (or an explicit "type"/"category" property) to a POI type.
+     *
+     * @param array<string, mixed> $props
+     */
+    public static function classify(array $props): string
+    {
+        foreach (['type', 'category'] as $key) {
+            $explicit = \is_string($props[$key] ?? null) ? \strtolower(\trim($props[$key])) : '';
+            if (\in_array($explicit, self::TYPES, true)) {
+                return $explicit;
+            }
+        }
+
+        $natural = (string) ($props['natural'] ?? '');
+        $tourism = (string) ($props['tourism'] ?? '');
+        $amenity = (string) ($props['amenity'] ?? '');
+        $mountainPass = (string) ($props['mountain_pass'] ?? '');
+
+        if ($natural === 'peak' || $natural === 'volcano') {
+            return 'peak';
+        }
+        if ($natural === 'saddle' || $mountainPass === 'yes') {
+            return 'pass';
+        }
+        if (\in_array($tourism, ['alpine_hut', 'wilderness_hut'], true) || $amenity === 'shelter') {
+            return 'hut';
+        }
+        if ($amenity === 'drinking_water' || $amenity === 'water_point' || $natural === 'spring') {
+            return 'water';
+        }
+        if (\in_array($amenity, ['cafe', 'restaurant', 'fast_food', 'pub', 'biergarten'], true)) {
+            return 'cafe';
+        }
+        return 'poi';
+    }
+
+    /**
+     * Keep POIs within $radius meters of the route and project them onto it.
+     *
+     * Segments are bucketed into the radius-sized grid cells they cross, so each POI
+     * is only measured against the few segments around it. Distances use a local
+     * equirectangular approximation, which is accurate well below a meter at
+     * these ranges.
+     *
+     * @param array<int, array{name:string, type:string, lat:float, lon:float, ele:float|null}> $pois
+     * @param array<int, mixed> $coords [lon, lat(, ele)] points
+     * @param array<int, mixed> $cumDist Cumulative distance in meters per point
+     * @return array<int, array{name:string, type:string, lat:float, lon:float, ele:float|null, distanceMeters:float, offsetMeters:float}>
+     */
+    public static function along_route(array $pois, array $coords, array $cumDist, float $radius): array
+    {
+        $points = [];
+        $minLat = $minLon = INF;
+        $maxLat = $maxLon = -INF;
+        foreach ($coords as $i => $coord) {
+            if (!\is_array($coord) || !isset($coord[0], $coord[1], $cumDist[$i]) || !\is_numeric($cumDist[$i])) {
+                continue;
+            }
+            $points[] = [(float) $coord[1], (float) $coord[0], (float) $cumDist[$i]];
+            $minLat = \min($minLat, (float) $coord[1]);
+            $maxLat = \max($maxLat, (float) $coord[1]);
+            $minLon = \min($minLon, (float) $coord[0]);
+            $maxLon = \max($maxLon, (float) $coord[0]);
+        }
+        if (\count($points) < 2) {
+            return [];
+        }
+
+        $cosLat = \max(0.01, \cos(\deg2rad(($minLat + $maxLat) / 2)));
+        $cellLat = $radius / self::METERS_PER_DEGREE;
+        $cellLon = $cellLat / $cosLat;
+        $padLat = $cellLat;
+        $padLon = $cellLon;
+
+        $grid = [];
+        $segmentCount = \count($points) - 1;
+        for ($s = 0; $s < $segmentCount; $s++) {
+            [$lat0, $lon0] = $points[$s];
+            [$lat1, $lon1] = $points[$s + 1];
+            foreach (self::segment_cells($lat0 / $cellLat, $lon0 / $cellLon, $lat1 / $cellLat, $lon1 / $cellLon) as $key) {
+                $grid[$key][] = $s;
+            }
+        }
+
+        $result = [];
+        foreach ($pois as $poi) {
+            $lat = (float) $poi['lat'];
+            $lon = (float) $poi['lon'];
+            if ($lat < $minLat - $padLat || $lat > $maxLat + $padLat || $lon < $minLon - $padLon || $lon > $maxLon + $padLon) {
+                continue;
+            }
+
+            $row = (int) \floor($lat / $cellLat);
+            $col = (int) \floor($lon / $cellLon);
+            $best = null;
+            for ($r = $row - 1; $r <= $row + 1; $r++) {
+                for ($c = $col - 1; $c <= $col + 1; $c++) {
+                    foreach ($grid[$r . ':' . $c] ?? [] as $s) {
+                        $hit = self::project($lat, $lon, $points[$s], $points[$s + 1], $cosLat);
+                        if ($best === null || $hit[0] < $best[0]) {
+                            $best = $hit;
+                        }
+                    }
+                }
+            }
+            if ($best === null || $best[0] > $radius) {
+                continue;
+            }
+
+            $poi['distanceMeters'] = \round($best[1], 1);
+            $poi['offsetMeters'] = \round($best[0], 1);
+            $result[] = $poi;
+        }
+
+        \usort($result, static function (array $a, array $b): int {
+            return $a['distanceMeters'] <=> $b['distanceMeters'];
+        });
+
+        return \array_slice($result, 0, self::MAX_POIS);
+    }
+
+    /**
+     * Grid cells a segment passes through, walked cell by cell (Amanatides–Woo).
+     *
+     * Only the crossed cells are returned, so a long straight segment (a GPS gap,
+     * a transfer between track segments) costs cells in proportion to its length
+     * rather than to the area of its bounding box.
+     *
+     * @return array<int, string> "row:col" keys
+     */
+    private static function segment_cells(float $row0, float $col0, float $row1, float $col1): array
+    {
+        $row = (int) \floor($row0);
+        $col = (int) \floor($col0);
+        $rowEnd = (int) \floor($row1);
+        $colEnd = (int) \floor($col1);
+        $dRow = $row1 - $row0;
+        $dCol = $col1 - $col0;
+        $stepRow = $dRow > 0 ? 1 : -1;
+        $stepCol = $dCol > 0 ? 1 : -1;
+        $tDeltaRow = $dRow != 0.0 ? 1.0 / \abs($dRow) : INF;
+        $tDeltaCol = $dCol != 0.0 ? 1.0 / \abs($dCol) : INF;
+        $tMaxRow = $dRow != 0.0 ? ($dRow > 0 ? $row + 1 - $row0 : $row0 - $row) * $tDeltaRow : INF;
+        $tMaxCol = $dCol != 0.0 ? ($dCol > 0 ? $col + 1 - $col0 : $col0 - $col) * $tDeltaCol : INF;
+
+        $cells = [$row . ':' . $col];
+        // Bounded by the cell distance between the ends, so rounding can never loop forever
+        $steps = \abs($rowEnd - $row) + \abs($colEnd - $col);
+        for ($i = 0; $i < $steps; $i++) {
+            if ($tMaxRow < $tMaxCol) {
+                $row += $stepRow;
+                $tMaxRow += $tDeltaRow;
+            } else {
+                $col += $stepCol;
+                $tMaxCol += $tDeltaCol;
+            }
+            $cells[] = $row . ':' . $col;
+        }
+        if ($row !== $rowEnd || $col !== $colEnd) {
+            $cells[] = $rowEnd . ':' . $colEnd;
+        }
+
+        return $cells;
+    }
+
+    /**
+     * Distance from a point to a segment and the distance along the route at the foot point.
+     *
+     * @param array{0:float, 1:float, 2:float} $a
+     * @param array{0:float, 1:float, 2:float} $b
+     * @return array{0:float, 1:float}
+     */
+    private static function project(float $lat, float $lon, array $a, array $b, float $cosLat): array
+    {
+        $ax = ($a[1] - $lon) * $cosLat * self::METERS_PER_DEGREE;
+        $ay = ($a[0] - $lat) * self::METERS_PER_DEGREE;
+        $bx = ($b[1] - $lon) * $cosLat * self::METERS_PER_DEGREE;
+        $by = ($b[0] - $lat) * self::METERS_PER_DEGREE;
+        $dx = $bx - $ax;
+        $dy = $by - $ay;
+        $lengthSq = $dx * $dx + $dy * $dy;
+        $t = $lengthSq > 0.0 ? \max(0.0, \min(1.0, -($ax * $dx + $ay * $dy) / $lengthSq)) : 0.0;
+        $px = $ax + $t * $dx;
+        $py = $ay + $t * $dy;
+
+        return [\sqrt($px * $px + $py * $py), $a[2] + $t * ($b[2] - $a[2])];
+    }
+}
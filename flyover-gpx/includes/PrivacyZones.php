@@ -0,0 +1,424 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FGpx;
+
+if (!\defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Circular privacy zones (center + radius) that are stripped from track data
+ * on the server, before coordinates reach the browser or a GPX download.
+ */
+final class PrivacyZones
+{
+    public const OPTION = 'fgpx_privacy_zones';
+    public const MAX_ZONES = 20;
+    public const MIN_RADIUS_M = 50.0;
+    public const MAX_RADIUS_M = 20000.0;
+    private const EARTH_RADIUS_M = 6371000.0;
+
+    /**
+     * Configured zones from the settings option.
+     *
+     * @return array<int, array{name:string, lat:float, lon:float, radius:float}>
+     */
+    public static function get_zones(): array
+    {
+        $raw = Options::get(self::OPTION, '');
+        if (!\is_string($raw) || $raw === '') {
+            return [];
+        }
+        $decoded = \json_decode($raw, true);
+        return \is_array($decoded) ? self::sanitize_zones($decoded) : [];
+    }
+
+    /**
+     * Validate zone rows, dropping anything without a usable center.
+     *
+     * @param array<int|string, mixed> $zones
+     * @return array<int, array{name:string, lat:float, lon:float, radius:float}>
+     */
+    public static function sanitize_zones(array $zones): array
+    {
+        $clean = [];
+        foreach ($zones as $zone) {
+            if (!\is_array($zone) || !isset($zone['lat'], $zone['lon']) || !\is_numeric($zone['lat']) || !\is_numeric($zone['lon'])) {
+                continue;
+            }
+            $lat = (float) $zone['lat'];
+            $lon = (float) $zone['lon'];
+            if ($lat < -90.0 || $lat > 90.0 || $lon < -180.0 || $lon > 180.0) {
+                continue;
+            }
+            $radius = isset($zone['radius']) && \is_numeric($zone['radius']) ? (float) $zone['radius'] : 500.0;
+            $name = \sanitize_text_field((string) ($zone['name'] ?? ''));
+            $clean[] = [
+                'name' => $name !== '' ? $name : 'Zone ' . (\count($clean) + 1),
+                'lat' => \round($lat, 6),
+                'lon' => \round($lon, 6),
+                'radius' => \round(\max(self::MIN_RADIUS_M, \min(self::MAX_RADIUS_M, $radius))),
+            ];
+            if (\count($clean) >= self::MAX_ZONES) {
+                break;
+            }
+        }
+        return $clean;
+    }
+
+    /**
+     * Parse the settings textarea: one zone per line as "Name, lat, lon, radius_m".
+     * The name is optional; everything before the last three numbers is used as the name.
+     *
+     * @return array<int, array{name:string, lat:float, lon:float, radius:float}>
+     */
+    public static function parse_zones_text(string $raw): array
+    {
+        $rows = [];
+        $lines = \preg_split('/\R/', $raw) ?: [];
+        foreach ($lines as $line) {
+            $parts = \array_map('trim', \explode(',', (string) $line));
+            if (\count($parts) < 3) {
+                continue;
+            }
+            $numbers = \array_slice($parts, -3);
+            $name = \implode(', ', \array_slice($parts, 0, -3));
+            if ($name === '' && \count($parts) === 3) {
+                // "lat, lon, radius" without a name
+                $numbers = $parts;
+            }
+            $rows[] = ['name' => $name, 'lat' => $numbers[0], 'lon' => $numbers[1], 'radius' => $numbers[2]];
+        }
+        return self::sanitize_zones($rows);
+    }
+
+    /**
+     * Inverse of parse_zones_text() for the settings form.
+     *
+     * @param array<int, array{name:string, lat:float, lon:float, radius:float}> $zones
+     */
+    public static function format_zones_text(array $zones): string
+    {
+        $lines = [];
+        foreach ($zones as $zone) {
+            $lines[] = $zone['name'] . ', ' . $zone['lat'] . ', ' . $zone['lon'] . ', ' . (int) $zone['radius'];
+        }
+        return \implode("\n", $lines);
+    }
+
+    /**
+     * Cache key suffix, so cached payloads never outlive a zone change.
+     * Empty when no zones are configured to keep existing keys stable.
+     *
+     * @param array<int, array{name:string, lat:float, lon:float, radius:float}> $zones
+     */
+    public static function cache_key_suffix(array $zones): string
+    {
+        if (empty($zones)) {
+            return '';
+        }
+        return '_pz_' . \substr(\md5((string) \wp_json_encode($zones)), 0, 10);
+    }
+
+    /**
+     * Whether a point falls inside any zone (haversine distance to the center).
+     *
+     * @param array<int, array{name:string, lat:float, lon:float, radius:float}> $zones
+     */
+    public static function contains(array $zones, float $lat, float $lon): bool
+    {
+        foreach ($zones as $zone) {
+            $dLat = \deg2rad($lat - $zone['lat']);
+            $dLon = \deg2rad($lon - $zone['lon']);
+            $a = \sin($dLat / 2) ** 2 + \cos(\deg2rad($zone['lat'])) * \cos(\deg2rad($lat)) * \sin($dLon / 2) ** 2;
+            $distance = 2 * self::EARTH_RADIUS_M * \asin(\min(1.0, \sqrt($a)));
+            if ($distance <= $zone['radius']) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Remove points inside zones from a LineString and its per-point property arrays.
+     *
+     * properties.gaps lists the indices that follow a removed stretch, so the player
+     * can break the route line there instead of drawing a chord across the zone.
+     * cumulativeDistance is rebased so the first visible point is 0 m.
+     *
+     * @param array<string, mixed> $geojson
+     * @param array<int, array{name:string, lat:float, lon:float, radius:float}> $zones
+     * @return array{geojson: array<string, mixed>, removed: int, offset: float}
+     */
+    public static function apply_to_geojson(array $geojson, array $zones): array
+    {
+        $coords = isset($geojson['coordinates']) && \is_array($geojson['coordinates']) ? \array_values($geojson['coordinates']) : [];
+        if (empty($zones) || $coords === []) {
+            return ['geojson' => $geojson, 'removed' => 0, 'offset' => 0.0];
+        }
+
+        $keep = [];
+        $gaps = [];
+        $pendingGap = false;
+        foreach ($coords as $i => $coord) {
+            $inside = \is_array($coord) && isset($coord[0], $coord[1]) && self::contains($zones, (float) $coord[1], (float) $coord[0]);
+            if ($inside) {
+                $pendingGap = $keep !== [];
+                continue;
+            }
+            if ($pendingGap) {
+                $gaps[] = \count($keep);
+                $pendingGap = false;
+            }
+            $keep[] = $i;
+        }
+
+        $count = \count($coords);
+        $removed = $count - \count($keep);
+        if ($removed === 0) {
+            return ['geojson' => $geojson, 'removed' => 0, 'offset' => 0.0];
+        }
+
+        $pick = static function (array $values) use ($keep): array {
+            return \array_map(static function (int $idx) use ($values) { return $values[$idx]; }, $keep);
+        };
+
+        $geojson['coordinates'] = $pick($coords);
+        $props = isset($geojson['properties']) && \is_array($geojson['properties']) ? $geojson['properties'] : [];
+        foreach ($props as $key => $values) {
+            if (\is_array($values) && \count($values) === $count) {
+                $props[$key] = $pick(\array_values($values));
+            }
+        }
+
+        $offset = 0.0;
+        if (isset($props['cumulativeDistance']) && \is_array($props['cumulativeDistance']) && $props['cumulativeDistance'] !== []) {
+            $offset = (float) $props['cumulativeDistance'][0];
+            if ($offset > 0.0) {
+                $props['cumulativeDistance'] = \array_map(static function ($d) use ($offset): float {
+                    return \round((float) $d - $offset, 2);
+                }, $props['cumulativeDistance']);
+            }
+        }
+
+        $props['gaps'] = $gaps;
+        $geojson['properties'] = $props;
+
+        return ['geojson' => $geojson, 'removed' => $removed, 'offset' => $offset];
+    }
+
+    /**
+     * Apply zones to a full /track response: geometry, bounds, photos, waypoints, POIs,
+     * chapters, camera keyframes and weather.
+     *
+     * @param array<string, mixed> $data
+     * @param array<int, array{name:string, lat:float, lon:float, radius:float}> $zones
+     * @return array<string, mixed>
+     */
+    public static function apply_to_payload(array $data, array $zones): array
+    {
+        if (empty($zones)) {
+            return $data;
+        }
+
+        $result = ['removed' => 0, 'offset' => 0.0];
+        $original = isset($data['geojson']) && \is_array($data['geojson']) ? $data['geojson'] : [];
+        if (isset($data['geojson']) && \is_array($data['geojson'])) {
+            $result = self::apply_to_geojson($data['geojson'], $zones);
+            $data['geojson'] = $result['geojson'];
+        }
+        if ($result['removed'] > 0) {
+            $data['bounds'] = self::bounds_of($data['geojson']['coordinates']);
+        }
+
+        if (isset($data['photos']) && \is_array($data['photos'])) {
+            foreach ($data['photos'] as $i => $photo) {
+                if (\is_array($photo) && isset($photo['lat'], $photo['lon']) && self::contains($zones, (float) $photo['lat'], (float) $photo['lon'])) {
+                    // Keep the photo, drop its location
+                    $data['photos'][$i]['lat'] = null;
+                    $data['photos'][$i]['lon'] = null;
+                }
+            }
+        }
+
+        foreach (['waypoints', 'pois'] as $key) {
+            if (!isset($data[$key]) || !\is_array($data[$key])) {
+                continue;
+            }
+            $points = [];
+            foreach ($data[$key] as $point) {
+                if (\is_array($point) && isset($point['lat'], $point['lon']) && self::contains($zones, (float) $point['lat'], (float) $point['lon'])) {
+                    continue;
+                }
+                if (\is_array($point) && $result['offset'] > 0.0 && isset($point['distanceMeters']) && \is_numeric($point['distanceMeters'])) {
+                    $point['distanceMeters'] = \max(0.0, (float) $point['distanceMeters'] - $result['offset']);
+                }
+                $points[] = $point;
+            }
+            $data[$key] = $points;
+        }
+
+        // Chapters and camera keyframes only carry a route distance: drop those in a zone
+        // or in a trimmed end, rebase the rest
+        if ($result['removed'] > 0) {
+            foreach (['chapters', 'cameraKeyframes'] as $key) {
+                if (isset($data[$key]) && \is_array($data[$key])) {
+                    $data[$key] = self::filter_route_marks($data[$key], $original, $data['geojson'], $result['offset'], $zones);
+                }
+            }
+        }
+
+        if (isset($data['weather']['features']) && \is_array($data['weather']['features'])) {
+            $data['weather']['features'] = \array_values(\array_filter($data['weather']['features'], static function ($feature) use ($zones): bool {
+                $point = \is_array($feature) ? ($feature['geometry']['coordinates'] ?? null) : null;
+                return !(\is_array($point) && isset($point[0], $point[1]) && self::contains($zones, (float) $point[1], (float) $point[0]));
+            }));
+        }
+
+        return $data;
+    }
+
+    /**
+     * Keep entries whose "distance" lies on the visible route and shift them by the trimmed start.
+     *
+     * The position at each distance is interpolated on the unfiltered route, so an
+     * entry inside a zone is dropped even when it falls between two route points.
+     *
+     * @param array<int, mixed> $marks Entries with a "distance" in meters
+     * @param array<string, mixed> $original LineString before zones were applied
+     * @param array<string, mixed> $filtered LineString after zones were applied
+     * @param array<int, array{name:string, lat:float, lon:float, radius:float}> $zones
+     * @return array<int, mixed>
+     */
+    private static function filter_route_marks(array $marks, array $original, array $filtered, float $offset, array $zones): array
+    {
+        $coords = \array_values((array) ($original['coordinates'] ?? []));
+        $cumDist = \array_values((array) ($original['properties']['cumulativeDistance'] ?? []));
+        $visible = (array) ($filtered['properties']['cumulativeDistance'] ?? []);
+        $count = \count($coords);
+        if ($count < 2 || \count($cumDist) !== $count || $visible === []) {
+            return $marks;
+        }
+        $lastVisible = (float) \end($visible) + $offset;
+
+        $kept = [];
+        foreach ($marks as $mark) {
+            if (!\is_array($mark) || !isset($mark['distance']) || !\is_numeric($mark['distance'])) {
+                continue;
+            }
+            $distance = (float) $mark['distance'];
+            if ($distance < $offset || $distance > $lastVisible) {
+                continue;
+            }
+
+            $i = 1;
+            while ($i < $count - 1 && (float) $cumDist[$i] < $distance) {
+                $i++;
+            }
+            $from = (float) $cumDist[$i - 1];
+            $span = (float) $cumDist[$i] - $from;
+            $t = $span > 0.0 ? \max(0.0, \min(1.0, ($distance - $from) / $span)) : 0.0;
+            $lat = (float) $coords[$i - 1][1] + $t * ((float) $coords[$i][1] - (float) $coords[$i - 1][1]);
+            $lon = (float) $coords[$i - 1][0] + $t * ((float) $coords[$i][0] - (float) $coords[$i - 1][0]);
+            if (self::contains($zones, $lat, $lon)) {
+                continue;
+            }
+
+            $mark['distance'] = \round($distance - $offset, 1);
+            $kept[] = $mark;
+        }
+
+        return $kept;
+    }
+
+    /**
+     * Strip zone points from a GPX document. Track segments are split where points
+     * were removed; route points and waypoints inside a zone are dropped.
+     *
+     * @param array<int, array{name:string, lat:float, lon:float, radius:float}> $zones
+     * @return string|null Filtered XML, or null when the document cannot be parsed
+     */
+    public static function filter_gpx(string $xml, array $zones): ?string
+    {
+        $doc = new \DOMDocument();
+        $previous = \libxml_use_internal_errors(true);
+        $loaded = $doc->loadXML($xml, LIBXML_NONET);
+        \libxml_clear_errors();
+        \libxml_use_internal_errors($previous);
+        if (!$loaded) {
+            return null;
+        }
+        if (empty($zones)) {
+            return $xml;
+        }
+
+        $inside = static function (\DOMElement $point) use ($zones): bool {
+            $lat = $point->getAttribute('lat');
+            $lon = $point->getAttribute('lon');
+            return \is_numeric($lat) && \is_numeric($lon) && self::contains($zones, (float) $lat, (float) $lon);
+        };
+
+        foreach (['wpt', 'rtept'] as $tag) {
+            foreach (\iterator_to_array($doc->getElementsByTagName($tag)) as $point) {
+                if ($inside($point) && $point->parentNode) {
+                    $point->parentNode->removeChild($point);
+                }
+            }
+        }
+
+        foreach (\iterator_to_array($doc->getElementsByTagName('trkseg')) as $segment) {
+            $current = $segment;
+            $keptInCurrent = 0;
+            $splitPending = false;
+            foreach (\iterator_to_array($segment->childNodes) as $node) {
+                if (!($node instanceof \DOMElement) || $node->localName !== 'trkpt') {
+                    continue;
+                }
+                if ($inside($node)) {
+                    $segment->removeChild($node);
+                    $splitPending = $keptInCurrent > 0 || $splitPending;
+                    continue;
+                }
+                if ($splitPending) {
+                    $next = $doc->createElementNS((string) $segment->namespaceURI, $segment->nodeName);
+                    $current->parentNode->insertBefore($next, $current->nextSibling);
+                    $current = $next;
+                    $keptInCurrent = 0;
+                    $splitPending = false;
+                }
+                if ($current !== $segment) {
+                    $current->appendChild($node);
+                }
+                $keptInCurrent++;
+            }
+            if ($segment->getElementsByTagName('trkpt')->length === 0 && $segment->parentNode) {
+                $segment->parentNode->removeChild($segment);
+            }
+        }
+
+        $filtered = $doc->saveXML();
+        return $filtered === false ? null : $filtered;
+    }
+
+    /**
+     * @param array<int, mixed> $coords
+     * @return array<int, float>
+     */
+    private static function bounds_of(array $coords): array
+    {
+        $minLon = $minLat = INF;
+        $maxLon = $maxLat = -INF;
+        foreach ($coords as $coord) {
+            if (!\is_array($coord) || !isset($coord[0], $coord[1])) {
+                continue;
+            }
+            $minLon = \min($minLon, (float) $coord[0]);
+            $maxLon = \max($maxLon, (float) $coord[0]);
+            $minLat = \min($minLat, (float) $coord[1]);
+            $maxLat = \max($maxLat, (float) $coord[1]);
+        }
+        return \is_finite($minLon) ? [$minLon, $minLat, $maxLon, $maxLat] : [];
+    }
+}
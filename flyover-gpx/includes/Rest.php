@@ -21,6 +21,68 @@ final class Rest
         return \in_array($mode, ['geo_first', 'time_first'], true) ? $mode : 'geo_first';
     }
 
+    /**
+     * Version token for the player's browser cache. Covers the settings and track
+     * data that shape the payload without changing the post (privacy zones, POI
+     * files, weather, wind, simplification, photo order, system weight) and a
+     * counter bumped whenever all track caches are cleared.
+     */
+    public static function payload_cache_version(int $trackId): string
+    {
+        $weatherPoints = \get_post_meta($trackId, 'fgpx_weather_points', true);
+        $parts = [
+            (string) \get_option('fgpx_payload_cache_version', '0'),
+            (string) \get_option('fgpx_backend_simplify_enabled', '0'),
+            (string) \get_option('fgpx_backend_simplify_target', '1500'),
+            (string) \get_option('fgpx_wind_analysis_enabled', '0'),
+            (string) \get_option('fgpx_system_weight_kg', '75'),
+            self::resolve_photo_order_mode(),
+            (\is_string($weatherPoints) && $weatherPoints !== '') ? '1' : '0',
+            PrivacyZones::cache_key_suffix(PrivacyZones::get_zones()),
+            PointsOfInterest::cache_key_suffix($trackId),
+        ];
+        return \substr(\md5(\implode('|', $parts)), 0, 10);
+    }
+
+    /**
+     * Story chapters saved in the track editor, with image attachment IDs resolved to URLs.
+     *
+     * @return array<int,array<string,mixed>>
+     */
+    private static function get_track_chapters(int $trackId): array
+    {
+        $raw = \get_post_meta($trackId, 'fgpx_chapters', true);
+        if (!\is_array($raw)) {
+            return [];
+        }
+        $chapters = [];
+        foreach ($raw as $chapter) {
+            if (!\is_array($chapter) || !isset($chapter['distance'])) {
+                continue;
+            }
+            $imageId = (int) ($chapter['imageId'] ?? 0);
+            $chapter['imageUrl'] = $imageId > 0 ? (string) \wp_get_attachment_image_url($imageId, 'large') : '';
+            $chapters[] = $chapter;
+        }
+        return $chapters;
+    }
+
+    /**
+     * Camera keyframes saved in the track editor, ordered by distance.
+     *
+     * @return array<int,array<string,float>>
+     */
+    private static function get_track_camera_keyframes(int $trackId): array
+    {
+        $raw = \get_post_meta($trackId, 'fgpx_camera_keyframes', true);
+        if (!\is_array($raw)) {
+            return [];
+        }
+        return \array_values(\array_filter($raw, static function ($keyframe): bool {
+            return \is_array($keyframe) && isset($keyframe['distance']) && \is_numeric($keyframe['distance']);
+        }));
+    }
+
     /**
      * Normalize external strategy input so cache keys cannot be exploded by arbitrary values.
      */
@@ -253,7 +315,7 @@ final class Rest
      * @param array<int,array{0:float,1:float,2?:float}> $coords
      * @return array<int,int>
      */
-    private static function dp_choose_and_simplify(array $coords, int $targetPoints): array
+    public static function dp_choose_and_simplify(array $coords, int $targetPoints): array
     {
         $n = count($coords);
         if ($n <= 2 || $targetPoints <= 2) {
@@ -458,6 +520,7 @@ final class Rest
         $simplifyEnabled = (string) \get_option('fgpx_backend_simplify_enabled', '0') === '1';
         $simplifyTarget = (int) \get_option('fgpx_backend_simplify_target', '1500');
         $windAnalysisEnabled = (string) \get_option('fgpx_wind_analysis_enabled', '0');
+        $privacyZones = PrivacyZones::get_zones();
         $hostPostForCache = self::normalize_host_post_id((int) $request->get_param('host_post'));
         $strategy = self::normalize_track_strategy((string) $request->get_param('strategy'));
         $resolvedHostPostForCache = $hostPostForCache;
@@ -476,7 +539,7 @@ final class Rest
         }
         $weatherPoints = \get_post_meta($id, 'fgpx_weather_points', true);
         $hasWeather = (\is_string($weatherPoints) && $weatherPoints !== '') ? '1' : '0';
-        $cache_key = 'fgpx_json_v3_' . $id . '_' . $modified . '_rh_' . $resolvedHostPostForCache . '_sm_' . $sourcePostModifiedToken . '_simp_' . ($simplifyEnabled ? $simplifyTarget : 0) . '_w_' . $hasWeather . '_wind_' . $windAnalysisEnabled . '_st_' . ($strategy ?: 'default');
+        $cache_key = 'fgpx_json_v3_' . $id . '_' . $modified . '_rh_' . $resolvedHostPostForCache . '_sm_' . $sourcePostModifiedToken . '_simp_' . ($simplifyEnabled ? $simplifyTarget : 0) . '_w_' . $hasWeather . '_wind_' . $windAnalysisEnabled . '_st_' . ($strategy ?: 'default') . PrivacyZones::cache_key_suffix($privacyZones) . PointsOfInterest::cache_key_suffix($id);
 
         $cached = \get_transient($cache_key);
         if (\is_array($cached)) {
@@ -868,6 +931,9 @@ final class Rest
             'photos' => self::dedupe_photos_by_location($photos),
             'photoOrderMode' => self::resolve_photo_order_mode(),
             'waypoints' => $waypoints,
+            'chapters' => self::get_track_chapters($id),
+            'cameraKeyframes' => self::get_track_camera_keyframes($id),
+            'pois' => PointsOfInterest::for_track($id, \is_array($decodedGeo) ? $decodedGeo : []),
             'simplified' => $simplifyEnabled ? true : false,
             'estimatedPower' => $estimatedPower,
             'source_post_id' => $responseSourcePostId,
@@ -884,6 +950,9 @@ final class Rest
             'strategy' => $strategy,
         ]);
 
+        // Strip privacy zone points before the payload is cached or sent
+        $data = PrivacyZones::apply_to_payload($data, $privacyZones);
+
         \set_transient($cache_key, $data, 6 * HOUR_IN_SECONDS);
         \update_post_meta($id, 'fgpx_cached_key', $cache_key);
 
@@ -934,12 +1003,13 @@ final class Rest
         $simplifyEnabled = (string) \get_option('fgpx_backend_simplify_enabled', '0') === '1';
         $simplifyTarget = (int) \get_option('fgpx_backend_simplify_target', '1500');
         $windAnalysisEnabled = (string) \get_option('fgpx_wind_analysis_enabled', '0');
+        $privacyZones = PrivacyZones::get_zones();
         
         // Include weather data status in cache key to invalidate cache when weather data changes
         $weatherPoints = \get_post_meta($id, 'fgpx_weather_points', true);
         $hasWeather = (\is_string($weatherPoints) && $weatherPoints !== '') ? '1' : '0';
         
-        $cache_key = 'fgpx_json_v3_' . $id . '_' . $modified . '_rh_' . $hostPost . '_sm_' . $sourcePostModifiedToken . '_simp_' . ($simplifyEnabled ? $simplifyTarget : 0) . '_w_' . $hasWeather . '_wind_' . $windAnalysisEnabled . '_st_' . ($strategy ?: 'default');
+        $cache_key = 'fgpx_json_v3_' . $id . '_' . $modified . '_rh_' . $hostPost . '_sm_' . $sourcePostModifiedToken . '_simp_' . ($simplifyEnabled ? $simplifyTarget : 0) . '_w_' . $hasWeather . '_wind_' . $windAnalysisEnabled . '_st_' . ($strategy ?: 'default') . PrivacyZones::cache_key_suffix($privacyZones) . PointsOfInterest::cache_key_suffix($id);
         $cached = \get_transient($cache_key);
         if (\is_array($cached)) {
             header('Cache-Control: public, max-age=300');
@@ -1277,6 +1347,9 @@ final class Rest
             'photos' => self::dedupe_photos_by_location($photos),
             'photoOrderMode' => self::resolve_photo_order_mode(),
             'waypoints' => $waypoints,
+            'chapters' => self::get_track_chapters($id),
+            'cameraKeyframes' => self::get_track_camera_keyframes($id),
+            'pois' => PointsOfInterest::for_track($id, is_array($decodedGeo) ? $decodedGeo : []),
             'simplified' => $simplifyEnabled ? true : false,
             'estimatedPower' => $estimatedPower,
             'source_post_id' => $responseSourcePostId,
@@ -1293,6 +1366,9 @@ final class Rest
             'strategy' => $strategy,
         ]);
 
+        // Strip privacy zone points before the payload is cached or sent
+        $data = PrivacyZones::apply_to_payload($data, $privacyZones);
+
         \set_transient($cache_key, $data, 6 * HOUR_IN_SECONDS);
         \update_post_meta($id, 'fgpx_cached_key', $cache_key);
 
@@ -1337,6 +1413,16 @@ final class Rest
             \wp_die('File not found', '', ['response' => 404]);
         }
 
+        // With privacy zones configured, serve a filtered copy instead of the original file
+        $privacyZones = PrivacyZones::get_zones();
+        $filtered = null;
+        if (!empty($privacyZones)) {
+            $filtered = PrivacyZones::filter_gpx((string) \file_get_contents($realPath), $privacyZones);
+            if ($filtered === null) {
+                \wp_die('GPX file could not be processed', '', ['response' => 500]);
+            }
+        }
+
         $filename = \basename($realPath);
         \header('Content-Type: application/gpx+xml');
         if (\preg_match('/^[a-zA-Z0-9._-]+$/', $filename)) {
@@ -1344,9 +1430,13 @@ final class Rest
         } else {
             \header("Content-Disposition: attachment; filename*=UTF-8''" . \rawurlencode($filename));
         }
-        \header('Content-Length: ' . \filesize($realPath));
+        \header('Content-Length: ' . ($filtered !== null ? \strlen($filtered) : \filesize($realPath)));
         \header('Cache-Control: no-store');
-        \readfile($realPath);
+        if ($filtered !== null) {
+            echo $filtered;
+        } else {
+            \readfile($realPath);
+        }
         exit;
     }
 
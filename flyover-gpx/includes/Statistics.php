@@ -146,6 +146,7 @@ final class Statistics
             'show_charts' => '1',
             'charts' => '',
             'show_heatmap' => '1',
+            'show_records' => '1',
         ];
         $atts = \shortcode_atts($defaults, $atts, 'flyover_gpx_stats');
 
@@ -194,6 +195,7 @@ final class Statistics
             $charts = [];
         }
         $showHeatmap = $this->is_truthy((string) $atts['show_heatmap']);
+        $showRecords = $this->is_truthy((string) $atts['show_records']);
 
         $rootId = 'fgpx-stats-' . \wp_generate_uuid4();
         $this->enqueue_assets();
@@ -206,6 +208,7 @@ final class Statistics
             'maxPoints' => $maxPoints,
             'charts' => $charts,
             'showHeatmap' => $showHeatmap,
+            'showRecords' => $showRecords,
             'mapStyle' => '',
             'strings' => [
                 'loading' => \esc_html__('Loading statistics...', 'flyover-gpx'),
@@ -247,6 +250,13 @@ final class Statistics
                 'noTracks' => \esc_html__('No published tracks yet.', 'flyover-gpx'),
                 'noTrendData' => \esc_html__('No trend data available yet.', 'flyover-gpx'),
                 'noHeatmapData' => \esc_html__('No track points available for heatmap yet.', 'flyover-gpx'),
+                'recordsTitle' => \esc_html__('Records', 'flyover-gpx'),
+                'recordFastest' => \esc_html__('Fastest %s', 'flyover-gpx'),
+                'recordLongest' => \esc_html__('Longest track', 'flyover-gpx'),
+                'recordClimb' => \esc_html__('Biggest climb', 'flyover-gpx'),
+                'recordHighest' => \esc_html__('Highest point', 'flyover-gpx'),
+                'recordPower' => \esc_html__('Best %s power', 'flyover-gpx'),
+                'recordHeartRate' => \esc_html__('Best %s heart rate', 'flyover-gpx'),
             ],
         ];
 
@@ -384,7 +394,12 @@ final class Statistics
         $maxPoints = max(1000, min(50000, $maxPoints));
         $includeHeatmap = !isset($params['include_heatmap']) || $this->is_truthy((string) $params['include_heatmap']);
 
-        $cacheKey = self::CACHE_KEY_PREFIX . 'mp_' . $maxPoints . '_hm_' . ($includeHeatmap ? '1' : '0');
+        // Zones also shape the records, which only cover what the player shows
+        $privacyZones = PrivacyZones::get_zones();
+        $options = Options::getAll();
+        $trimKm = ($options['fgpx_privacy_enabled'] ?? '0') === '1' ? max(0.0, (float) ($options['fgpx_privacy_km'] ?? 0)) : 0.0;
+        $cacheKey = self::CACHE_KEY_PREFIX . 'mp_' . $maxPoints . '_hm_' . ($includeHeatmap ? '1' : '0') . PrivacyZones::cache_key_suffix($privacyZones)
+            . ($trimKm > 0.0 ? '_pk_' . $trimKm : '');
         $cached = \get_transient($cacheKey);
         if (\is_array($cached)) {
             return $this->append_playback_data($cached);
@@ -432,6 +447,7 @@ final class Statistics
         $hourDistribution = [];
         $trackLengthHistogram = $this->get_track_length_histogram_template();
         $heatmapPoints = [];
+        $records = [];
 
         foreach ($ids as $id) {
             $stats = isset($meta[$id]['fgpx_stats']) && \is_array($meta[$id]['fgpx_stats'])
@@ -465,6 +481,18 @@ final class Statistics
             $maxDistanceM = max($maxDistanceM, $distanceM);
             $maxGainM = max($maxGainM, $gainM);
 
+            if ($distanceM > 0.0 && (!isset($records['longest']) || $distanceM > $records['longest']['value'])) {
+                $records['longest'] = ['value' => $distanceM, 'trackId' => $id, 'startM' => null, 'endM' => null];
+            }
+            if (!empty($geojson)) {
+                $visible = PrivacyZones::apply_to_geojson($geojson, $privacyZones)['geojson'];
+                foreach (BestEfforts::for_track($visible, $trimKm * 1000.0) as $key => $effort) {
+                    if (!isset($records[$key]) || BestEfforts::is_better($key, $effort['value'], $records[$key]['value'])) {
+                        $records[$key] = $effort + ['trackId' => $id];
+                    }
+                }
+            }
+
             $dateTs = $this->resolve_track_period_timestamp($id, $geojson);
             $monthKey = \gmdate('Y-m', $dateTs);
             $yearKey = \gmdate('Y', $dateTs);
@@ -582,6 +610,9 @@ final class Statistics
                 }
                 $lon = (float) $coord[0];
                 $lat = (float) $coord[1];
+                if ($privacyZones && PrivacyZones::contains($privacyZones, $lat, $lon)) {
+                    continue;
+                }
                 $heatmapPoints[] = [$lat, $lon, 1.0];
             }
         }
@@ -679,6 +710,7 @@ final class Statistics
                 'pointCount' => $includeHeatmap ? count($heatmapPoints) : 0,
                 'points' => $includeHeatmap ? $heatmapPoints : [],
             ],
+            'records' => $this->format_records($records),
             'generatedAt' => \gmdate('c'),
         ];
 
@@ -727,10 +759,96 @@ final class Statistics
                 'pointCount' => 0,
                 'points' => [],
             ],
+            'records' => [],
             'generatedAt' => \gmdate('c'),
         ];
     }
 
+    /**
+     * Records in display order, each linked to the latest post embedding its track.
+     * The link targets the record's stretch so the player opens on that segment.
+     *
+     * @param array<string, array{value:float, trackId:int, startM:float|null, endM:float|null}> $records
+     * @return array<int, array<string, mixed>>
+     */
+    private function format_records(array $records): array
+    {
+        $permalinks = $this->find_embedding_permalinks(array_values(array_unique(array_column($records, 'trackId'))));
+
+        $result = [];
+        foreach (BestEfforts::keys() as $key) {
+            if (!isset($records[$key])) {
+                continue;
+            }
+            $record = $records[$key];
+            $trackId = (int) $record['trackId'];
+            $url = $permalinks[$trackId] ?? '';
+            if ($url !== '' && $record['startM'] !== null) {
+                $url .= '#fgpx-segment=' . $trackId . ':' . (int) round((float) $record['startM']) . '-' . (int) round((float) $record['endM']);
+            }
+            $result[] = [
+                'key' => $key,
+                'value' => round((float) $record['value'], 2),
+                'trackId' => $trackId,
+                'trackTitle' => \get_the_title($trackId),
+                'startM' => $record['startM'] !== null ? round((float) $record['startM'], 1) : null,
+                'endM' => $record['endM'] !== null ? round((float) $record['endM'], 1) : null,
+                'url' => $url,
+            ];
+        }
+
+        return $result;
+    }
+
+    /**
+     * Permalinks of the latest published post embedding each track, in one query.
+     * Mirrors the embedding lookup of the Rest class.
+     *
+     * @param array<int,int> $trackIds
+     * @return array<int,string>
+     */
+    private function find_embedding_permalinks(array $trackIds): array
+    {
+        global $wpdb;
+        if (empty($trackIds) || !isset($wpdb->posts) || !method_exists($wpdb, 'get_results')) {
+            return [];
+        }
+
+        $postTypes = array_values(array_diff(array_map('strval', (array) \get_post_types(['public' => true], 'names')), ['fgpx_track', 'attachment', '']));
+        if (empty($postTypes)) {
+            $postTypes = ['post', 'page'];
+        }
+        $typePlaceholders = implode(', ', array_fill(0, count($postTypes), '%s'));
+        $query = $wpdb->prepare(
+            "SELECT ID, post_content FROM {$wpdb->posts} WHERE post_status = %s AND post_type IN ({$typePlaceholders}) AND post_content LIKE %s ORDER BY post_date_gmt DESC, ID DESC",
+            ...array_merge(['publish'], $postTypes, ['%[flyover_gpx%'])
+        );
+        $rows = $wpdb->get_results($query);
+        if (!\is_array($rows)) {
+            return [];
+        }
+
+        $permalinks = [];
+        foreach ($rows as $row) {
+            $postId = isset($row->ID) ? (int) $row->ID : 0;
+            $content = isset($row->post_content) ? (string) $row->post_content : '';
+            if ($postId <= 0 || !\preg_match_all('/\[flyover_gpx\b[^\]]*\bid\s*=\s*(["\']?)(\d+)\1[^\]]*\]/i', $content, $matches)) {
+                continue;
+            }
+            foreach (array_map('intval', $matches[2]) as $trackId) {
+                if (!isset($permalinks[$trackId]) && \in_array($trackId, $trackIds, true)) {
+                    $link = \get_permalink($postId);
+                    $permalinks[$trackId] = \is_string($link) ? $link : '';
+                }
+            }
+            if (count($permalinks) === count($trackIds)) {
+                break;
+            }
+        }
+
+        return $permalinks;
+    }
+
     /**
      * Public static helper to get statistics data for dashboard widgets.
      * Creates a temporary instance and returns aggregated stats.
@@ -68,7 +68,7 @@ final class TimelineShortcode
         $frontendOptions = Options::getForFrontend();
 
         $timelineDefaultOrientation = \sanitize_key((string) ($options['fgpx_timeline_orientation'] ?? 'vertical'));
-        if (!\in_array($timelineDefaultOrientation, ['vertical', 'horizontal'], true)) {
+        if (!\in_array($timelineDefaultOrientation, ['vertical', 'horizontal', 'calendar'], true)) {
             $timelineDefaultOrientation = 'vertical';
         }
 
@@ -81,6 +81,7 @@ final class TimelineShortcode
             'card_width' => (string) ($options['fgpx_timeline_card_width'] ?? '280px'),
             'card_height' => (string) ($options['fgpx_timeline_card_height'] ?? '280px'),
             'month_grouping' => (string) ($options['fgpx_timeline_month_grouping'] ?? '1'),
+            'calendar_metric' => 'distance',
             'style' => $options['fgpx_default_style'],
             'style_url' => $options['fgpx_default_style_url'],
             'photo_order_mode' => \sanitize_key((string) ($options['fgpx_photo_order_mode'] ?? 'geo_first')),
@@ -89,10 +90,15 @@ final class TimelineShortcode
         $atts = \shortcode_atts($defaults, $atts, 'flyover_gpx_timeline');
 
         $orientation = \sanitize_key((string) $atts['orientation']);
-        if (!\in_array($orientation, ['vertical', 'horizontal'], true)) {
+        if (!\in_array($orientation, ['vertical', 'horizontal', 'calendar'], true)) {
             $orientation = 'vertical';
         }
 
+        $calendarMetric = \sanitize_key((string) ($atts['calendar_metric'] ?? 'distance'));
+        if (!\in_array($calendarMetric, ['distance', 'elevation'], true)) {
+            $calendarMetric = 'distance';
+        }
+
         $perPage = (int) $atts['per_page'];
         if ($perPage < 10) {
             $perPage = 10;
@@ -174,6 +180,8 @@ final class TimelineShortcode
                 'contoursOpacity' => (float) ($options['fgpx_contours_opacity'] ?? '0.75'),
                 'contoursMinZoom' => (int) ($options['fgpx_contours_minzoom'] ?? '9'),
                 'contoursMaxZoom' => (int) ($options['fgpx_contours_maxzoom'] ?? '16'),
+                'terrainDemUrl' => (string) ($options['fgpx_terrain_dem_url'] ?? ''),
+                'terrainExaggeration' => max(0.0, min(3.0, (float) ($options['fgpx_terrain_exaggeration'] ?? '1.0'))),
                 'weatherEnabled' => (($options['fgpx_weather_enabled'] ?? '0') === '1'),
                 'weatherOpacity' => (float) ($options['fgpx_weather_opacity'] ?? '0.7'),
                 'weatherVisibleByDefault' => (($options['fgpx_weather_visible_by_default'] ?? '0') === '1'),
@@ -203,6 +211,8 @@ final class TimelineShortcode
             'cardWidth' => $cardWidth,
             'cardHeight' => $cardHeight,
             'monthGrouping' => $monthGrouping,
+            'calendarMetric' => $calendarMetric,
+            'weekStart' => max(0, min(6, (int) \get_option('start_of_week', 1))),
             'style' => $style,
             'styleUrl' => $styleUrl,
             'styleJson' => (string) $styleJson,
@@ -251,11 +261,22 @@ final class TimelineShortcode
                 'elevationGainLabel' => \esc_attr__('Elevation Gain', 'flyover-gpx'),
                 'distanceUnitKm' => \esc_attr__('km', 'flyover-gpx'),
                 'elevationUnitM' => \esc_attr__('m', 'flyover-gpx'),
+                'tripDayLabel' => \esc_attr__('Day %s', 'flyover-gpx'),
                 'viewTrackLabelPrefix' => \esc_attr__('View track: ', 'flyover-gpx'),
                 'closeLabel' => \esc_attr__('Close', 'flyover-gpx'),
                 'noTracksTitle' => \esc_attr__('No tracks found', 'flyover-gpx'),
                 'noTracksMessage' => \esc_attr__('Start by uploading your first GPX file to see tracks here.', 'flyover-gpx'),
                 'playerLoadFailed' => \esc_attr__('Unable to load player. Please try again.', 'flyover-gpx'),
+                'calendarLabel' => \esc_attr__('Activity calendar', 'flyover-gpx'),
+                'calendarPrevYear' => \esc_attr__('Previous year', 'flyover-gpx'),
+                'calendarNextYear' => \esc_attr__('Next year', 'flyover-gpx'),
+                'calendarMetricDistance' => \esc_attr__('Distance', 'flyover-gpx'),
+                'calendarMetricElevation' => \esc_attr__('Elevation', 'flyover-gpx'),
+                'calendarTracks' => \esc_attr__('Tracks', 'flyover-gpx'),
+                'calendarActiveDays' => \esc_attr__('Active days', 'flyover-gpx'),
+                'calendarNoActivity' => \esc_attr__('No activity', 'flyover-gpx'),
+                'calendarLess' => \esc_attr__('Less', 'flyover-gpx'),
+                'calendarMore' => \esc_attr__('More', 'flyover-gpx'),
             ]
         );
 
@@ -345,7 +366,7 @@ final class TimelineShortcode
     private function buildTimelinePayload(array $params): array
     {
         $options = Options::getAll();
-        $tracks = $this->getTracks($options);
+        $tracks = $this->groupTrips($this->getTracks($options));
 
         $downloadEnabled = ($options['fgpx_gpx_download_enabled'] ?? '0') === '1';
 
@@ -422,6 +443,7 @@ final class TimelineShortcode
             'fgpx_track_keywords',
             'fgpx_location',
             'fgpx_activity_type',
+            Trip::META_NAME,
         ]);
 
         $tracks = [];
@@ -475,6 +497,7 @@ final class TimelineShortcode
                 'previewSource' => $previewSource,
                 'previewGeneratedAt' => $previewGeneratedAt,
                 'keywords' => $keywords,
+                'trip' => Trip::sanitize_name((string) ($meta[$id][Trip::META_NAME] ?? '')),
             ];
 
             $tracks[] = $track;
@@ -490,6 +513,74 @@ final class TimelineShortcode
         return $tracks;
     }
 
+    /**
+     * Collapse tracks that share a trip name into one entry at the position of
+     * the first day. The entry keeps the per-day summaries and sums the stats.
+     *
+     * @param array<int,array<string,mixed>> $tracks Sorted by activity date
+     * @return array<int,array<string,mixed>>
+     */
+    private function groupTrips(array $tracks): array
+    {
+        $daysByTrip = [];
+        $tripOfTrack = [];
+        foreach ($tracks as $track) {
+            $name = (string) ($track['trip'] ?? '');
+            if ($name !== '' && \count($daysByTrip[$name] ?? []) < Trip::MAX_DAYS) {
+                $daysByTrip[$name][] = $track;
+                $tripOfTrack[(int) ($track['id'] ?? 0)] = $name;
+            }
+        }
+
+        $result = [];
+        $emitted = [];
+        foreach ($tracks as $track) {
+            $name = $tripOfTrack[(int) ($track['id'] ?? 0)] ?? '';
+            if ($name === '' || \count($daysByTrip[$name]) < 2) {
+                $result[] = $track;
+                continue;
+            }
+            if (isset($emitted[$name])) {
+                continue;
+            }
+            $emitted[$name] = true;
+
+            $days = $daysByTrip[$name];
+            $first = $days[0];
+            $last = $days[\count($days) - 1];
+            $distanceKm = 0.0;
+            $durationS = 0;
+            $elevationGainM = 0;
+            $previewAttachmentId = 0;
+            $keywords = [];
+            foreach ($days as $day) {
+                $distanceKm += (float) ($day['distanceKm'] ?? 0);
+                $durationS += (int) ($day['durationS'] ?? 0);
+                $elevationGainM += (int) ($day['elevationGainM'] ?? 0);
+                if ($previewAttachmentId === 0) {
+                    $previewAttachmentId = (int) ($day['previewAttachmentId'] ?? 0);
+                }
+                $keywords = array_merge($keywords, (array) ($day['keywords'] ?? []));
+            }
+
+            $result[] = array_merge($first, [
+                'title' => $name,
+                'distanceKm' => round($distanceKm, 2),
+                'durationS' => $durationS,
+                'durationLabel' => $this->formatDuration($durationS),
+                'elevationGainM' => $elevationGainM,
+                'elevationGainLabel' => \number_format($elevationGainM, 0),
+                'dateLabel' => (string) ($first['dateLabel'] ?? '') . ' – ' . (string) ($last['dateLabel'] ?? ''),
+                'filePath' => '',
+                'previewAttachmentId' => $previewAttachmentId,
+                'keywords' => array_values(array_filter(array_unique($keywords))),
+                'days' => $days,
+            ]);
+        }
+
+        return $result;
+    }
+
     /**
      * Group tracks by month (e.g., "March 2025").
      *
@@ -548,17 +639,39 @@ final class TimelineShortcode
             ? \wp_create_nonce('fgpx_download_' . $trackId)
             : null;
 
-        return [
+        $client = [
             'id' => $trackId,
             'title' => (string) ($track['title'] ?? ''),
             'distanceKm' => (float) ($track['distanceKm'] ?? 0),
             'durationLabel' => (string) ($track['durationLabel'] ?? ''),
+            'elevationGainM' => (int) ($track['elevationGainM'] ?? 0),
             'elevationGainLabel' => (string) ($track['elevationGainLabel'] ?? ''),
             'dateLabel' => (string) ($track['dateLabel'] ?? ''),
             'activityDateTs' => (int) ($track['activityDateTs'] ?? 0),
             'previewUrl' => $previewUrl,
             'gpxDownloadNonce' => $gpxDownloadNonce,
+            'photoCacheVersion' => (string) (\get_post_meta($trackId, 'fgpx_photo_cache_version', true) ?: '0'),
+            'trackModified' => (string) (int) \strtotime((string) \get_post_field('post_modified_gmt', $trackId)),
+            'payloadVersion' => Rest::payload_cache_version($trackId),
         ];
+
+        if (!empty($track['days']) && \is_array($track['days'])) {
+            $client['days'] = array_map(static function (array $day): array {
+                return [
+                    'id' => (int) ($day['id'] ?? 0),
+                    'title' => (string) ($day['title'] ?? ''),
+                    'distanceKm' => (float) ($day['distanceKm'] ?? 0),
+                    'durationLabel' => (string) ($day['durationLabel'] ?? ''),
+                    'elevationGainM' => (int) ($day['elevationGainM'] ?? 0),
+                    'elevationGainLabel' => (string) ($day['elevationGainLabel'] ?? ''),
+                    'dateLabel' => (string) ($day['dateLabel'] ?? ''),
+                    'activityDateTs' => (int) ($day['activityDateTs'] ?? 0),
+                ];
+            }, $track['days']);
+            $client['trip'] = Trip::day_configs(array_column($client['days'], 'id'));
+        }
+
+        return $client;
     }
 
     /**
@@ -0,0 +1,121 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FGpx;
+
+if (!\defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Multi-day trips: several Track posts (one per day) played as one journey.
+ *
+ * A trip is either an explicit list of track IDs ([flyover_gpx_trip ids="1,2,3"])
+ * or every track that shares the same "Trip" name set in the track editor. The
+ * player loads each day through the normal track endpoint and stitches the
+ * payloads in the browser, so cached day payloads are reused as they are.
+ */
+final class Trip
+{
+    public const META_NAME = 'fgpx_trip';
+    public const MAX_DAYS = 30;
+
+    public static function sanitize_name(string $name): string
+    {
+        return \trim(\sanitize_text_field($name));
+    }
+
+    /**
+     * Resolve the days of a trip. Explicit IDs keep their order; a trip name
+     * yields its tracks sorted by activity date. Tracks the current visitor
+     * cannot read are dropped.
+     *
+     * @return array<int, int>
+     */
+    public static function resolve_ids(string $idsRaw, string $name): array
+    {
+        $ids = [];
+        foreach (\explode(',', $idsRaw) as $idRaw) {
+            $id = \absint(\trim($idRaw));
+            if ($id > 0 && !\in_array($id, $ids, true)) {
+                $ids[] = $id;
+            }
+        }
+
+        $name = self::sanitize_name($name);
+        if ($ids === [] && $name !== '') {
+            $ids = self::ids_for_name($name);
+        }
+
+        $ids = \array_values(\array_filter($ids, [self::class, 'is_readable_track']));
+        return \array_slice($ids, 0, self::MAX_DAYS);
+    }
+
+    /**
+     * Published tracks tagged with a trip name, oldest activity first.
+     *
+     * @return array<int, int>
+     */
+    public static function ids_for_name(string $name): array
+    {
+        $query = new \WP_Query([
+            'post_type' => 'fgpx_track',
+            'post_status' => 'publish',
+            'posts_per_page' => self::MAX_DAYS,
+            'fields' => 'ids',
+            'no_found_rows' => true,
+            'meta_query' => [
+                [
+                    'key' => self::META_NAME,
+                    'value' => $name,
+                ],
+            ],
+        ]);
+
+        $ids = \array_map('intval', $query->posts);
+        $dates = [];
+        foreach ($ids as $id) {
+            $activity = (int) \get_post_meta($id, 'fgpx_activity_date_unix', true);
+            $dates[$id] = $activity > 0 ? $activity : (int) \get_post_time('U', true, $id);
+        }
+        \usort($ids, static function (int $a, int $b) use ($dates): int {
+            return [$dates[$a], $a] <=> [$dates[$b], $b];
+        });
+
+        return $ids;
+    }
+
+    /**
+     * Per-day entries for the player config. The version tokens let the
+     * browser cache each day payload exactly like a single-track embed.
+     *
+     * @param array<int, int> $ids
+     * @return array<int, array{id:string, trackModified:string, photoCacheVersion:string, payloadVersion:string}>
+     */
+    public static function day_configs(array $ids): array
+    {
+        $days = [];
+        foreach ($ids as $id) {
+            $id = (int) $id;
+            $days[] = [
+                'id' => (string) $id,
+                'trackModified' => (string) (int) \strtotime((string) \get_post_field('post_modified_gmt', $id)),
+                'photoCacheVersion' => (string) (\get_post_meta($id, 'fgpx_photo_cache_version', true) ?: '0'),
+                'payloadVersion' => Rest::payload_cache_version($id),
+            ];
+        }
+
+        return $days;
+    }
+
+    private static function is_readable_track(int $trackId): bool
+    {
+        $post = \get_post($trackId);
+        if (!$post || $post->post_type !== 'fgpx_track') {
+            return false;
+        }
+
+        return $post->post_status === 'publish' || \current_user_can('read_post', $trackId);
+    }
+}
@@ -0,0 +1,68 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FGpx\Tests\Unit;
+
+use FGpx\Admin;
+use PHPUnit\Framework\TestCase;
+use WP_Post;
+
+final class AdminCameraKeyframesTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        $GLOBALS['fgpx_test_post_meta'] = [];
+        $GLOBALS['fgpx_test_wp_verify_nonce'] = null;
+        $GLOBALS['fgpx_test_current_user_can'] = null;
+        $_POST = [];
+    }
+
+    protected function tearDown(): void
+    {
+        $GLOBALS['fgpx_test_post_meta'] = [];
+        $GLOBALS['fgpx_test_wp_verify_nonce'] = null;
+        $GLOBALS['fgpx_test_current_user_can'] = null;
+        $_POST = [];
+    }
+
+    public function test_sanitize_camera_keyframes_sorts_drops_incomplete_and_clamps(): void
+    {
+        $keyframes = Admin::sanitize_camera_keyframes([
+            ['distance' => '5200.44', 'zoom' => '25', 'pitch' => '70', 'bearing' => '-90', 'offset' => '-3000'],
+            ['distance' => 1000, 'zoom' => 13, 'pitch' => '', 'bearing' => 0],
+            'not a keyframe',
+            ['distance' => -10, 'zoom' => '12.345', 'pitch' => 90, 'bearing' => 725],
+        ]);
+
+        $this->assertCount(2, $keyframes);
+        $this->assertSame(['distance' => 0.0, 'zoom' => 12.35, 'pitch' => 85.0, 'bearing' => 5.0, 'offset' => 0.0], $keyframes[0]);
+        $this->assertSame(['distance' => 5200.4, 'zoom' => 20.0, 'pitch' => 70.0, 'bearing' => 270.0, 'offset' => -2000.0], $keyframes[1]);
+    }
+
+    public function test_save_camera_keyframes_metabox_requires_nonce_and_capability(): void
+    {
+        $admin = new Admin();
+        $post = new WP_Post(['ID' => 42, 'post_type' => 'fgpx_track']);
+        $_POST['fgpx_camera_keyframes_nonce'] = 'nonce';
+        $_POST['fgpx_camera_keyframes_json'] = '[{"distance":1200,"zoom":14,"pitch":50,"bearing":120,"offset":80}]';
+
+        $GLOBALS['fgpx_test_wp_verify_nonce'] = static function (): bool { return false; };
+        $admin->save_camera_keyframes_metabox(42, $post, true);
+        $this->assertArrayNotHasKey(42, $GLOBALS['fgpx_test_post_meta']);
+
+        $GLOBALS['fgpx_test_wp_verify_nonce'] = null;
+        $GLOBALS['fgpx_test_current_user_can'] = static function (): bool { return false; };
+        $admin->save_camera_keyframes_metabox(42, $post, true);
+        $this->assertArrayNotHasKey(42, $GLOBALS['fgpx_test_post_meta']);
+
+        $GLOBALS['fgpx_test_current_user_can'] = null;
+        $admin->save_camera_keyframes_metabox(42, $post, true);
+        $this->assertSame(1200.0, $GLOBALS['fgpx_test_post_meta'][42]['fgpx_camera_keyframes'][0]['distance']);
+        $this->assertSame(80.0, $GLOBALS['fgpx_test_post_meta'][42]['fgpx_camera_keyframes'][0]['offset']);
+
+        $_POST['fgpx_camera_keyframes_json'] = '[]';
+        $admin->save_camera_keyframes_metabox(42, $post, true);
+        $this->assertArrayNotHasKey('fgpx_camera_keyframes', $GLOBALS['fgpx_test_post_meta'][42]);
+    }
+}
@@ -0,0 +1,79 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FGpx\Tests\Unit;
+
+use FGpx\Admin;
+use PHPUnit\Framework\TestCase;
+use WP_Post;
+
+final class AdminChaptersTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        $GLOBALS['fgpx_test_post_meta'] = [];
+        $GLOBALS['fgpx_test_wp_verify_nonce'] = null;
+        $GLOBALS['fgpx_test_current_user_can'] = null;
+        $_POST = [];
+    }
+
+    protected function tearDown(): void
+    {
+        $GLOBALS['fgpx_test_post_meta'] = [];
+        $GLOBALS['fgpx_test_wp_verify_nonce'] = null;
+        $GLOBALS['fgpx_test_current_user_can'] = null;
+        $_POST = [];
+    }
+
+    public function test_sanitize_chapters_sorts_drops_invalid_and_clamps_camera(): void
+    {
+        $chapters = Admin::sanitize_chapters([
+            ['distance' => '5200.44', 'title' => '  Summit ', 'text' => '<p>Top</p>', 'imageId' => '17', 'zoom' => '25', 'pitch' => '', 'bearing' => 'north', 'pause' => '1'],
+            ['distance' => 'far', 'title' => 'Broken'],
+            'not a chapter',
+            ['distance' => -10, 'title' => 'Start', 'zoom' => '13.5'],
+        ]);
+
+        $this->assertCount(2, $chapters);
+        $this->assertSame('Start', $chapters[0]['title']);
+        $this->assertSame(0.0, $chapters[0]['distance']);
+        $this->assertSame(13.5, $chapters[0]['zoom']);
+        $this->assertFalse($chapters[0]['pause']);
+
+        $this->assertSame(5200.4, $chapters[1]['distance']);
+        $this->assertSame('Summit', $chapters[1]['title']);
+        $this->assertSame('<p>Top</p>', $chapters[1]['text']);
+        $this->assertSame(17, $chapters[1]['imageId']);
+        $this->assertSame(20.0, $chapters[1]['zoom']);
+        $this->assertNull($chapters[1]['pitch']);
+        $this->assertNull($chapters[1]['bearing']);
+        $this->assertTrue($chapters[1]['pause']);
+    }
+
+    public function test_save_chapters_metabox_requires_nonce_and_capability(): void
+    {
+        $admin = new Admin();
+        $post = new WP_Post(['ID' => 42, 'post_type' => 'fgpx_track']);
+        $_POST['fgpx_chapters_nonce'] = 'nonce';
+        $_POST['fgpx_chapters_json'] = '[{"distance":1200,"title":"Bridge"}]';
+
+        $GLOBALS['fgpx_test_wp_verify_nonce'] = static function (): bool { return false; };
+        $admin->save_chapters_metabox(42, $post, true);
+        $this->assertArrayNotHasKey(42, $GLOBALS['fgpx_test_post_meta']);
+
+        $GLOBALS['fgpx_test_wp_verify_nonce'] = null;
+        $GLOBALS['fgpx_test_current_user_can'] = static function (): bool { return false; };
+        $admin->save_chapters_metabox(42, $post, true);
+        $this->assertArrayNotHasKey(42, $GLOBALS['fgpx_test_post_meta']);
+
+        $GLOBALS['fgpx_test_current_user_can'] = null;
+        $admin->save_chapters_metabox(42, $post, true);
+        $this->assertSame('Bridge', $GLOBALS['fgpx_test_post_meta'][42]['fgpx_chapters'][0]['title']);
+        $this->assertSame(1200.0, $GLOBALS['fgpx_test_post_meta'][42]['fgpx_chapters'][0]['distance']);
+
+        $_POST['fgpx_chapters_json'] = '[]';
+        $admin->save_chapters_metabox(42, $post, true);
+        $this->assertArrayNotHasKey('fgpx_chapters', $GLOBALS['fgpx_test_post_meta'][42]);
+    }
+}
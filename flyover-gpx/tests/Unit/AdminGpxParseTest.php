@@ -0,0 +1,27 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FGpx\Tests\Unit;
+
+use FGpx\Admin;
+use PHPUnit\Framework\TestCase;
+
+final class AdminGpxParseTest extends TestCase
+{
+    public function test_imported_gpx_keeps_plain_power_and_fills_missing_elevation(): void
+    {
+        // Written by the FIT/TCX importer; tests/js/track-import.test.js checks it matches toGpx output
+        $parsed = Admin::parse_gpx_and_stats(\dirname(__DIR__) . '/fixtures/imported-no-altitude.gpx');
+
+        $this->assertIsArray($parsed);
+        $properties = $parsed['geojson']['properties'];
+        $this->assertSame([210.0, 225.0, 240.0], $properties['powers']);
+        $this->assertEquals([120, null, 128], $properties['heartRates']);
+
+        // The point without <ele> follows its neighbours instead of dropping to 0
+        $this->assertEqualsWithDelta(200.0, $parsed['geojson']['coordinates'][1][2], 0.001);
+        $this->assertEqualsWithDelta(200.0, $parsed['stats']['min_elevation_m'], 0.001);
+        $this->assertLessThan(3.0, $parsed['stats']['elevation_gain_m']);
+    }
+}
@@ -28,6 +28,28 @@ final class AdminSettingsValidationTest extends TestCase
         $this->assertStringContainsString('\\update_option(\'fgpx_photo_order_mode\', $photoOrderMode, true);', $source);
     }
 
+    public function test_route_color_by_is_whitelisted_to_known_modes(): void
+    {
+        $adminFile = dirname(__DIR__, 2) . '/includes/Admin.php';
+        $source = (string) file_get_contents($adminFile);
+
+        $this->assertStringContainsString('<select id="fgpx_route_color_by" name="fgpx_route_color_by">', $source);
+        $this->assertStringContainsString('\\sanitize_key((string) $_POST[\'fgpx_route_color_by\'])', $source);
+        $this->assertStringContainsString('if (!\\in_array($routeColorBy, Options::ROUTE_COLOR_MODES, true))', $source);
+        $this->assertStringContainsString('\\update_option(\'fgpx_route_color_by\', $routeColorBy, true);', $source);
+    }
+
+    public function test_camera_mode_is_whitelisted_to_known_modes(): void
+    {
+        $adminFile = dirname(__DIR__, 2) . '/includes/Admin.php';
+        $source = (string) file_get_contents($adminFile);
+
+        $this->assertStringContainsString('<select id="fgpx_camera_mode" name="fgpx_camera_mode">', $source);
+        $this->assertStringContainsString('\\sanitize_key((string) $_POST[\'fgpx_camera_mode\'])', $source);
+        $this->assertStringContainsString('if (!\\in_array($cameraMode, Options::CAMERA_MODES, true))', $source);
+        $this->assertStringContainsString('\\update_option(\'fgpx_camera_mode\', $cameraMode, true);', $source);
+    }
+
     public function test_photo_queue_rotation_setting_is_rendered_and_persisted_as_boolean(): void
     {
         $adminFile = dirname(__DIR__, 2) . '/includes/Admin.php';
@@ -81,6 +103,18 @@ final class AdminSettingsValidationTest extends TestCase
         $this->assertStringContainsString('\\update_option(\'fgpx_satellite_tiles_url\', $satelliteTilesUrl, true);', $source);
     }
 
+    public function test_terrain_settings_are_rendered_and_persisted_with_bounds(): void
+    {
+        $adminFile = dirname(__DIR__, 2) . '/includes/Admin.php';
+        $source = (string) file_get_contents($adminFile);
+
+        $this->assertStringContainsString('id="fgpx_terrain_dem_url" name="fgpx_terrain_dem_url"', $source);
+        $this->assertStringContainsString('id="fgpx_terrain_exaggeration" name="fgpx_terrain_exaggeration" min="0" max="3" step="0.1"', $source);
+        $this->assertStringContainsString('$terrainDemUrlRaw = isset($_POST[\'fgpx_terrain_dem_url\']) ? \trim((string) \wp_unslash($_POST[\'fgpx_terrain_dem_url\'])) : \'\';', $source);
+        $this->assertStringContainsString('\\update_option(\'fgpx_terrain_dem_url\', $terrainDemUrl, true);', $source);
+        $this->assertStringContainsString("\\update_option('fgpx_terrain_exaggeration', (string) max(0.0, min(3.0, \$this->getValidFloat('fgpx_terrain_exaggeration', 1.0, 0.0, 3.0))), true);", $source);
+    }
+
     public function test_weather_priority_order_filters_unknown_tokens_and_restores_defaults(): void
     {
         $adminFile = dirname(__DIR__, 2) . '/includes/Admin.php';
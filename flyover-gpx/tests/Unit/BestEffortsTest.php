@@ -0,0 +1,113 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FGpx\Tests\Unit;
+
+use FGpx\BestEfforts;
+use PHPUnit\Framework\TestCase;
+
+final class BestEffortsTest extends TestCase
+{
+    /**
+     * Straight track sampled every 10 s.
+     *
+     * @param array<int, float> $cumDist
+     * @param array<string, mixed> $properties
+     * @param array<int, float>|null $elevations
+     * @return array<string, mixed>
+     */
+    private function track(array $cumDist, array $properties = [], ?array $elevations = null): array
+    {
+        $coords = [];
+        $timestamps = [];
+        foreach ($cumDist as $i => $d) {
+            $coords[] = [16.0 + $d / 76000.0, 47.0, $elevations[$i] ?? 500.0];
+            $timestamps[] = $i * 10;
+        }
+        return [
+            'type' => 'LineString',
+            'coordinates' => $coords,
+            'properties' => \array_merge(['cumulativeDistance' => $cumDist, 'timestamps' => $timestamps], $properties),
+        ];
+    }
+
+    public function test_fastest_distance_scales_the_shortest_covering_window(): void
+    {
+        // 50 m per sample, then 100 m per sample from 1 km on
+        $cumDist = [];
+        for ($i = 0, $d = 0.0; $i <= 40; $i++) {
+            $cumDist[] = $d;
+            $d += $d < 1000.0 ? 50.0 : 100.0;
+        }
+
+        $efforts = BestEfforts::for_track($this->track($cumDist));
+
+        $this->assertSame(100.0, $efforts['fastest_1000']['value']);
+        $this->assertGreaterThanOrEqual(1000.0, $efforts['fastest_1000']['startM']);
+        $this->assertSame(1000.0, $efforts['fastest_1000']['endM'] - $efforts['fastest_1000']['startM']);
+        $this->assertArrayNotHasKey('fastest_5000', $efforts);
+    }
+
+    public function test_power_and_heart_rate_windows_need_continuous_samples(): void
+    {
+        $cumDist = [];
+        $powers = [];
+        $heartRates = [];
+        for ($i = 0; $i <= 90; $i++) {
+            $cumDist[] = $i * 50.0;
+            $powers[] = $i > 30 && $i <= 60 ? 300 : 150;
+            // Strap dropout reports zero, which must not drag the average down
+            $heartRates[] = $i > 60 ? 0 : 140;
+        }
+
+        $efforts = BestEfforts::for_track($this->track($cumDist, ['powers' => $powers, 'heartRates' => $heartRates]));
+
+        $this->assertSame(300.0, $efforts['power_300']['value']);
+        $this->assertSame(1500.0, $efforts['power_300']['startM']);
+        $this->assertSame(3000.0, $efforts['power_300']['endM']);
+        $this->assertArrayNotHasKey('power_1200', $efforts);
+        $this->assertSame(140.0, $efforts['hr_300']['value']);
+    }
+
+    public function test_climb_survives_dips_within_tolerance(): void
+    {
+        $efforts = BestEfforts::for_track($this->track(
+            [0.0, 100.0, 200.0, 300.0, 400.0, 500.0, 600.0],
+            [],
+            [500.0, 540.0, 532.0, 580.0, 560.0, 565.0, 600.0]
+        ));
+
+        // The 8 m dip keeps the first climb going; the 20 m drop ends it
+        $this->assertSame(80.0, $efforts['climb']['value']);
+        $this->assertSame(0.0, $efforts['climb']['startM']);
+        $this->assertSame(300.0, $efforts['climb']['endM']);
+        $this->assertSame(600.0, $efforts['highest']['value']);
+        $this->assertSame(600.0, $efforts['highest']['startM']);
+    }
+
+    public function test_efforts_stay_within_privacy_gaps_and_trim(): void
+    {
+        $cumDist = [];
+        for ($i = 0; $i <= 20; $i++) {
+            $cumDist[] = $i * 100.0;
+        }
+        $elevations = [500.0, 900.0, 500.0, 510.0, 520.0, 530.0, 540.0, 550.0, 560.0, 570.0, 580.0, 590.0, 600.0, 600.0, 600.0, 600.0, 600.0, 600.0, 600.0, 600.0, 950.0];
+
+        $efforts = BestEfforts::for_track($this->track($cumDist, ['gaps' => [12]], $elevations), 150.0);
+
+        // Start and end spikes are trimmed, and the climb cannot cross the gap before index 12
+        $this->assertSame(600.0, $efforts['highest']['value']);
+        $this->assertSame(90.0, $efforts['climb']['value']);
+        $this->assertSame(1100.0, $efforts['climb']['endM']);
+        $this->assertArrayNotHasKey('fastest_1000', $efforts);
+    }
+
+    public function test_is_better_prefers_lower_times_and_higher_values(): void
+    {
+        $this->assertTrue(BestEfforts::is_better('fastest_5000', 900.0, 1000.0));
+        $this->assertFalse(BestEfforts::is_better('fastest_5000', 1100.0, 1000.0));
+        $this->assertTrue(BestEfforts::is_better('power_300', 310.0, 300.0));
+        $this->assertSame([], BestEfforts::for_track(['type' => 'LineString', 'coordinates' => [[16.0, 47.0]]]));
+    }
+}
@@ -75,6 +75,10 @@ final class GalleryShortcodeIntegrationTest extends TestCase
         unset($GLOBALS['fgpx_test_dates']);
         unset($GLOBALS['fgpx_test_post_meta']);
         unset($GLOBALS['fgpx_test_transients']);
+        unset($GLOBALS['fgpx_test_post_terms']);
+        unset($GLOBALS['fgpx_test_options']['default_category']);
+        unset($GLOBALS['fgpx_test_options']['fgpx_privacy_enabled'], $GLOBALS['fgpx_test_options']['fgpx_privacy_km']);
+        \FGpx\Options::clearCache();
     }
 
     public function test_get_tracks_extracts_expected_metadata(): void
@@ -111,4 +115,97 @@ final class GalleryShortcodeIntegrationTest extends TestCase
         $this->assertSame('', $tracks[1]['previewSource']);
         $this->assertSame('', $tracks[1]['previewGeneratedAt']);
     }
+
+    public function test_build_track_payload_applies_filters_and_returns_facets(): void
+    {
+        $GLOBALS['fgpx_test_post_meta'][11]['fgpx_activity_type'] = 'Cycling';
+        $GLOBALS['fgpx_test_post_meta'][22]['fgpx_activity_type'] = 'Running';
+        $GLOBALS['fgpx_test_post_meta'][11]['fgpx_location'] = 'Tyrol ';
+        $GLOBALS['fgpx_test_post_meta'][22]['fgpx_location'] = 'Vienna';
+        $GLOBALS['fgpx_test_options']['default_category'] = 1;
+        $GLOBALS['fgpx_test_post_terms'] = [
+            11 => [
+                (object) ['term_id' => 5, 'name' => 'Alps', 'taxonomy' => 'post_tag'],
+                (object) ['term_id' => 1, 'name' => 'Uncategorized', 'taxonomy' => 'category'],
+            ],
+            22 => [(object) ['term_id' => 7, 'name' => 'City', 'taxonomy' => 'category']],
+        ];
+
+        $method = new ReflectionMethod(GalleryShortcode::class, 'buildTrackPayload');
+        $method->setAccessible(true);
+        $shortcode = new GalleryShortcode();
+
+        $payload = $method->invoke($shortcode, []);
+        $this->assertSame(2, $payload['pagination']['total']);
+        $this->assertSame('Cycling', $payload['items'][1]['activityType']);
+        $this->assertSame(['Alps'], $payload['items'][1]['tags']);
+        $this->assertSame([
+            ['value' => 'cycling', 'label' => 'Cycling', 'count' => 1],
+            ['value' => 'running', 'label' => 'Running', 'count' => 1],
+        ], $payload['facets']['activity']);
+        $this->assertSame(['min' => 9.48, 'max' => 15.32], (array) $payload['facets']['ranges']->distance);
+        $this->assertSame(['min' => '2023-11-14', 'max' => '2024-03-09'], (array) $payload['facets']['ranges']->date);
+
+        $payload = $method->invoke($shortcode, ['activity' => 'running,cycling', 'distance_min' => '10']);
+        $this->assertSame([11], array_column($payload['items'], 'id'));
+        // The activity facet ignores its own selection but follows the distance filter
+        $this->assertSame([1, 0], array_column($payload['facets']['activity'], 'count'));
+        $this->assertSame([['value' => 'alps', 'label' => 'Alps', 'count' => 1], ['value' => 'city', 'label' => 'City', 'count' => 0]], $payload['facets']['tags']);
+
+        $payload = $method->invoke($shortcode, ['tags' => 'City', 'date_to' => '2024-03-09']);
+        $this->assertSame([22], array_column($payload['items'], 'id'));
+
+        $payload = $method->invoke($shortcode, ['region' => 'tyrol']);
+        $this->assertSame([11], array_column($payload['items'], 'id'));
+        $this->assertSame('Tyrol', $payload['items'][0]['region']);
+        $this->assertSame([
+            ['value' => 'tyrol', 'label' => 'Tyrol', 'count' => 1],
+            ['value' => 'vienna', 'label' => 'Vienna', 'count' => 1],
+        ], $payload['facets']['region']);
+        $this->assertSame([1, 0], array_column($payload['facets']['activity'], 'count'));
+
+        $payload = $method->invoke($shortcode, ['date_from' => '2024-03-10', 'date_to' => 'not-a-date']);
+        $this->assertSame(0, $payload['pagination']['total']);
+    }
+
+    public function test_map_view_returns_all_matching_tracks_with_simplified_routes(): void
+    {
+        // Zigzag of 201 points, 75 m apart, so simplification has something to drop
+        $coords = [];
+        $cumDist = [];
+        for ($i = 0; $i <= 200; $i++) {
+            $coords[] = [16.0 + $i * 0.001, 47.0 + ($i % 2) * 0.0005, 500.0];
+            $cumDist[] = $i * 75.0;
+        }
+        $GLOBALS['fgpx_test_post_meta'][11]['fgpx_geojson'] = (string) json_encode([
+            'type' => 'LineString',
+            'coordinates' => $coords,
+            'properties' => ['cumulativeDistance' => $cumDist],
+        ]);
+
+        $method = new ReflectionMethod(GalleryShortcode::class, 'buildTrackPayload');
+        $method->setAccessible(true);
+
+        $payload = $method->invoke(new GalleryShortcode(), ['view' => 'map', 'per_page' => '4']);
+
+        $this->assertSame([22, 11], array_column($payload['items'], 'id'));
+        $this->assertFalse($payload['pagination']['hasMore']);
+        $this->assertSame([], $payload['items'][0]['route']);
+        $route = $payload['items'][1]['route'];
+        $this->assertCount(1, $route);
+        $this->assertLessThanOrEqual(60, count($route[0]));
+        $this->assertGreaterThan(2, count($route[0]));
+        $this->assertSame([16.0, 47.0], $route[0][0]);
+        $this->assertSame([16.2, 47.0], $route[0][count($route[0]) - 1]);
+
+        // Privacy mode hides the first and last kilometer on the map as in the player
+        $GLOBALS['fgpx_test_options']['fgpx_privacy_enabled'] = '1';
+        $GLOBALS['fgpx_test_options']['fgpx_privacy_km'] = '1';
+        \FGpx\Options::clearCache();
+
+        $payload = $method->invoke(new GalleryShortcode(), ['view' => 'map']);
+        $route = $payload['items'][1]['route'];
+        $this->assertEqualsWithDelta(16.014, $route[0][0][0], 1e-9);
+        $this->assertEqualsWithDelta(16.186, $route[0][count($route[0]) - 1][0], 1e-9);
+    }
 }
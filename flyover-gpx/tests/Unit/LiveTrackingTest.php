@@ -0,0 +1,117 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FGpx\Tests\Unit;
+
+use FGpx\LiveTracking;
+use PHPUnit\Framework\TestCase;
+
+final class LiveTrackingTest extends TestCase
+{
+    private const TRACK_ID = 4242;
+    private const NOW = 1767254400; // 2026-01-01T08:00:00Z
+
+    protected function tearDown(): void
+    {
+        unset($GLOBALS['fgpx_test_post_meta'][self::TRACK_ID]);
+    }
+
+    public function test_normalize_points_validates_coordinates_and_times(): void
+    {
+        $points = LiveTracking::normalize_points([
+            ['lat' => 48.2, 'lng' => 16.4, 'time' => self::NOW + 60, 'hr' => '151', 'ele' => 'n/a'],
+            ['lat' => 48.1, 'lon' => 16.3, 'time' => '2026-01-01T08:00:30Z', 'power' => 220],
+            ['lat' => 95.0, 'lon' => 16.3],
+            ['lat' => 48.1, 'lon' => 16.3, 'time' => 'not a date'],
+            'garbage',
+            ['lat' => 48.3, 'lon' => 16.5],
+        ], self::NOW + 120);
+
+        $this->assertCount(3, $points);
+        $this->assertSame('2026-01-01T08:00:30Z', $points[0]['time']);
+        $this->assertSame(220.0, $points[0]['power']);
+        $this->assertSame(16.4, $points[1]['lon']);
+        $this->assertSame(151.0, $points[1]['hr']);
+        $this->assertNull($points[1]['ele']);
+        $this->assertSame('2026-01-01T08:02:00Z', $points[2]['time']);
+    }
+
+    public function test_append_skips_resent_points_and_returns_the_cursor(): void
+    {
+        $first = LiveTracking::append(self::TRACK_ID, [
+            ['lat' => 48.0, 'lon' => 16.0, 'time' => self::NOW],
+            ['lat' => 48.0, 'lon' => 16.01, 'time' => self::NOW + 30],
+        ], self::NOW);
+        $this->assertSame(['added' => 2, 'total' => 2, 'lastSeen' => '2026-01-01T08:00:30Z'], $first);
+
+        $second = LiveTracking::append(self::TRACK_ID, [
+            ['lat' => 48.0, 'lon' => 16.01, 'time' => self::NOW + 30],
+            ['lat' => 48.0, 'lon' => 16.02, 'time' => self::NOW + 60],
+        ], self::NOW);
+        $this->assertSame(1, $second['added']);
+        $this->assertSame(3, $second['total']);
+
+        $stored = $GLOBALS['fgpx_test_post_meta'][self::TRACK_ID][LiveTracking::META_POINTS];
+        $this->assertCount(3, $stored);
+        $this->assertSame(16.02, $stored[2]['lon']);
+    }
+
+    public function test_append_keeps_untimed_batches_and_points_within_one_second(): void
+    {
+        $untimed = [];
+        for ($i = 0; $i < 3; $i++) {
+            $untimed[] = ['lat' => 48.0, 'lon' => 16.0 + $i * 0.001];
+        }
+        $first = LiveTracking::append(self::TRACK_ID, $untimed, self::NOW);
+        $this->assertSame(['added' => 3, 'total' => 3, 'lastSeen' => '2026-01-01T08:00:00Z'], $first);
+
+        // A second untimed upload within the same second continues after the stored points
+        $second = LiveTracking::append(self::TRACK_ID, [['lat' => 48.0, 'lon' => 16.003]], self::NOW);
+        $this->assertSame(['added' => 1, 'total' => 4, 'lastSeen' => '2026-01-01T08:00:01Z'], $second);
+
+        $sameSecond = [
+            ['lat' => 48.0, 'lon' => 16.004, 'time' => self::NOW + 5],
+            ['lat' => 48.0, 'lon' => 16.005, 'time' => self::NOW + 5],
+        ];
+        $this->assertSame(2, LiveTracking::append(self::TRACK_ID, $sameSecond, self::NOW)['added']);
+        $this->assertSame(0, LiveTracking::append(self::TRACK_ID, $sameSecond, self::NOW)['added']);
+
+        $stored = $GLOBALS['fgpx_test_post_meta'][self::TRACK_ID][LiveTracking::META_POINTS];
+        $this->assertSame(['2026-01-01T07:59:58Z', '2026-01-01T07:59:59Z', '2026-01-01T08:00:00Z', '2026-01-01T08:00:01Z', '2026-01-01T08:00:05Z', '2026-01-01T08:00:05Z'], \array_column($stored, 'time'));
+        $this->assertSame([16.0, 16.001, 16.002, 16.003, 16.004, 16.005], \array_column($stored, 'lon'));
+    }
+
+    public function test_points_since_hides_privacy_zone_points_and_marks_gaps(): void
+    {
+        $raw = [];
+        for ($i = 0; $i < 6; $i++) {
+            $raw[] = ['lat' => 48.0, 'lon' => 16.0 + $i * 0.01, 'time' => self::NOW + $i * 30];
+        }
+        LiveTracking::append(self::TRACK_ID, $raw, self::NOW);
+        $zones = [['name' => 'Home', 'lat' => 48.0, 'lon' => 16.03, 'radius' => 500.0]];
+
+        $all = LiveTracking::points_since(self::TRACK_ID, 0, $zones);
+        $this->assertSame(6, $all['total']);
+        $this->assertSame('2026-01-01T08:02:30Z', $all['lastSeen']);
+        $this->assertCount(5, $all['points']);
+        $this->assertArrayNotHasKey('gap', $all['points'][2]);
+        $this->assertTrue($all['points'][3]['gap']);
+        $this->assertEqualsWithDelta(16.04, $all['points'][3]['lon'], 1e-9);
+
+        $tail = LiveTracking::points_since(self::TRACK_ID, 4, $zones);
+        $this->assertCount(2, $tail['points']);
+        $this->assertTrue($tail['points'][0]['gap']);
+
+        // The rider is back inside the zone: lastSeen stays at the last visible point
+        LiveTracking::append(self::TRACK_ID, [['lat' => 48.0, 'lon' => 16.03, 'time' => self::NOW + 600]], self::NOW);
+        $home = LiveTracking::points_since(self::TRACK_ID, 6, $zones);
+        $this->assertSame([], $home['points']);
+        $this->assertSame(7, $home['total']);
+        $this->assertSame('2026-01-01T08:02:30Z', $home['lastSeen']);
+        $this->assertSame('2026-01-01T08:10:00Z', LiveTracking::points_since(self::TRACK_ID, 6, [])['lastSeen']);
+
+        $this->assertSame([], LiveTracking::points_since(self::TRACK_ID, 99, [])['points']);
+        $this->assertSame(['points' => [], 'total' => 0, 'lastSeen' => null], LiveTracking::points_since(self::TRACK_ID + 1, 0, []));
+    }
+}
@@ -0,0 +1,63 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FGpx\Tests\Unit;
+
+use FGpx\OfflineWorker;
+use FGpx\Options;
+use FGpx\Plugin;
+use PHPUnit\Framework\TestCase;
+
+final class OfflineWorkerTest extends TestCase
+{
+    public function test_worker_is_served_from_the_site_root(): void
+    {
+        $this->assertSame('https://example.test/?fgpx_offline_sw=' . FGPX_VERSION, OfflineWorker::worker_url());
+        $this->assertSame('/', OfflineWorker::scope());
+    }
+
+    public function test_worker_script_uses_the_shared_cache_and_cleans_up_when_disabled(): void
+    {
+        $enabled = OfflineWorker::worker_script(true);
+        $this->assertIsString($enabled);
+        $this->assertStringContainsString("'" . OfflineWorker::CACHE_NAME . "'", $enabled);
+        $this->assertStringContainsString("addEventListener('fetch'", $enabled);
+
+        $disabled = OfflineWorker::worker_script(false);
+        $this->assertStringContainsString("caches.delete('" . OfflineWorker::CACHE_NAME . "')", $disabled);
+        $this->assertStringContainsString('self.registration.unregister()', $disabled);
+        $this->assertStringNotContainsString("addEventListener('fetch'", $disabled);
+    }
+
+    public function test_embed_with_offline_attribute_gets_the_real_worker_while_the_setting_is_off(): void
+    {
+        $GLOBALS['fgpx_test_options'] = ['fgpx_offline_enabled' => '0'];
+        $GLOBALS['fgpx_test_localized_scripts'] = [];
+        $GLOBALS['fgpx_test_inline_scripts'] = [];
+        Options::clearCache();
+        $counter = (new \ReflectionClass(Plugin::class))->getProperty('instanceCounter');
+        $counter->setAccessible(true);
+        $counter->setValue(null, 0);
+
+        (new Plugin())->render_shortcode(['id' => '1', 'offline' => 'true']);
+        $config = $GLOBALS['fgpx_test_localized_scripts']['fgpx-lazy']['FGPX'] ?? null;
+        $this->assertIsArray($config);
+        $this->assertTrue($config['offlineEnabled']);
+
+        \parse_str((string) \parse_url($config['offlineWorkerUrl'], PHP_URL_QUERY), $query);
+        $this->assertSame('1', $query[OfflineWorker::EMBED_VAR] ?? null);
+        $this->assertTrue(OfflineWorker::serves_worker($query));
+        $this->assertStringContainsString("addEventListener('fetch'", (string) OfflineWorker::worker_script(OfflineWorker::serves_worker($query)));
+
+        // Without the embed flag the setting decides, so switching it off still cleans up
+        $this->assertFalse(OfflineWorker::serves_worker([OfflineWorker::QUERY_VAR => FGPX_VERSION]));
+        $GLOBALS['fgpx_test_options']['fgpx_offline_enabled'] = '1';
+        Options::clearCache();
+        $this->assertTrue(OfflineWorker::serves_worker([OfflineWorker::QUERY_VAR => FGPX_VERSION]));
+        $this->assertStringNotContainsString(OfflineWorker::EMBED_VAR, OfflineWorker::worker_url());
+
+        $GLOBALS['fgpx_test_options'] = [];
+        Options::clearCache();
+    }
+}
@@ -73,6 +73,8 @@ final class OptionsTest extends TestCase
             'contours_source_layer'    => ['fgpx_contours_source_layer'],
             'satellite_layer_id'       => ['fgpx_satellite_layer_id'],
             'satellite_tiles_url'      => ['fgpx_satellite_tiles_url'],
+            'terrain_dem_url'          => ['fgpx_terrain_dem_url'],
+            'terrain_exaggeration'     => ['fgpx_terrain_exaggeration'],
             'smart_api_mode'           => ['fgpx_smart_api_keys_mode'],
             'smart_api_pool'           => ['fgpx_smart_api_keys_pool'],
             'smart_api_test_override'  => ['fgpx_smart_api_keys_test_url_override'],
@@ -101,6 +103,11 @@ final class OptionsTest extends TestCase
             'weather_enabled'          => ['fgpx_weather_enabled'],
             'daynight_enabled'         => ['fgpx_daynight_enabled'],
             'elevation_coloring'       => ['fgpx_elevation_coloring'],
+            'max_hr'                   => ['fgpx_max_hr'],
+            'lthr'                     => ['fgpx_lthr'],
+            'hr_zone_coloring'         => ['fgpx_hr_zone_coloring'],
+            'route_color_by'           => ['fgpx_route_color_by'],
+            'camera_mode'              => ['fgpx_camera_mode'],
             // Theme / dark mode
             'theme_mode'               => ['fgpx_theme_mode'],
             'theme_auto_dark_start'    => ['fgpx_theme_auto_dark_start'],
@@ -131,6 +138,8 @@ final class OptionsTest extends TestCase
         $this->assertSame('#ffffff', Options::get('fgpx_contours_color'));
         $this->assertSame('1.2', Options::get('fgpx_contours_width'));
         $this->assertSame('0.75', Options::get('fgpx_contours_opacity'));
+        $this->assertSame('',     Options::get('fgpx_terrain_dem_url'));
+        $this->assertSame('1.0',  Options::get('fgpx_terrain_exaggeration'));
         $this->assertSame('off',   Options::get('fgpx_smart_api_keys_mode'));
         $this->assertSame('',      Options::get('fgpx_smart_api_keys_pool'));
         $this->assertSame('',      Options::get('fgpx_smart_api_keys_test_url_override'));
@@ -245,14 +254,14 @@ final class OptionsTest extends TestCase
         $required = [
             'chartColor', 'chartColor2', 'chartColorHr',
             'chartColorCad', 'chartColorTemp', 'chartColorPower',
-            'ftp',
+            'ftp', 'maxHr', 'lthr', 'hrZoneColoring', 'routeColorBy',
             'chartColorWindImpact', 'chartColorWindRose',
             'windRoseColorNorth', 'windRoseColorSouth',
             'windRoseColorEast', 'windRoseColorWest',
             'daynightEnabled', 'daynightMapEnabled',
             'daynightMapColor', 'daynightMapOpacity',
             'photosEnabled', 'photoOrderMode', 'photoQueueRotationEnabled', 'photoMaxDistance', 'showLabels',
-            'defaultZoom', 'defaultPitch', 'styleJson',
+            'defaultZoom', 'defaultPitch', 'cameraMode', 'styleJson',
             'backendSimplify', 'backendSimplifyTarget',
             'debugWeatherData',
             'weatherFogThreshold', 'weatherRainThreshold',
@@ -278,6 +287,7 @@ final class OptionsTest extends TestCase
         $this->assertIsBool($f['showLabels'],          'showLabels must be bool');
         $this->assertIsBool($f['backendSimplify'],     'backendSimplify must be bool');
         $this->assertIsBool($f['debugWeatherData'],    'debugWeatherData must be bool');
+        $this->assertIsBool($f['hrZoneColoring'],      'hrZoneColoring must be bool');
 
         // Integers
         $this->assertIsInt($f['defaultZoom'],              'defaultZoom must be int');
@@ -285,6 +295,8 @@ final class OptionsTest extends TestCase
         $this->assertIsInt($f['backendSimplifyTarget'],    'backendSimplifyTarget must be int');
         $this->assertIsInt($f['photoMaxDistance'],         'photoMaxDistance must be int');
         $this->assertIsInt($f['ftp'],                      'ftp must be int');
+        $this->assertIsInt($f['maxHr'],                    'maxHr must be int');
+        $this->assertIsInt($f['lthr'],                     'lthr must be int');
 
         // Floats / numbers
         $this->assertIsFloat($f['daynightMapOpacity'],     'daynightMapOpacity must be float');
@@ -298,6 +310,8 @@ final class OptionsTest extends TestCase
         $this->assertIsString($f['chartColor'],    'chartColor must be string');
         $this->assertIsString($f['chartColor2'],   'chartColor2 must be string');
         $this->assertIsString($f['photoOrderMode'], 'photoOrderMode must be string');
+        $this->assertContains($f['routeColorBy'], Options::ROUTE_COLOR_MODES, 'routeColorBy must be a known mode');
+        $this->assertContains($f['cameraMode'], Options::CAMERA_MODES, 'cameraMode must be a known mode');
         $this->assertIsString($f['styleJson'],     'styleJson must be string');
         $this->assertIsString($f['themeMode'],          'themeMode must be string');
         $this->assertIsString($f['themeAutoDarkStart'], 'themeAutoDarkStart must be string');
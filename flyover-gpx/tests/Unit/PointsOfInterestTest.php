@@ -0,0 +1,132 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FGpx\Tests\Unit;
+
+use FGpx\PointsOfInterest;
+use FGpx\PrivacyZones;
+use PHPUnit\Framework\TestCase;
+
+final class PointsOfInterestTest extends TestCase
+{
+    // West-east line along 47°N; 0.01° of longitude is ~759 m there
+    private const COORDS = [[16.0, 47.0, 500.0], [16.01, 47.0, 520.0], [16.02, 47.0, 540.0]];
+    private const CUM_DIST = [0.0, 759.2, 1518.4];
+
+    protected function setUp(): void
+    {
+        \FGpx\Options::clearCache();
+    }
+
+    protected function tearDown(): void
+    {
+        unset($GLOBALS['fgpx_test_options']['fgpx_poi_radius_m']);
+        \FGpx\Options::clearCache();
+    }
+
+    public function test_parse_geojson_reads_points_and_classifies_osm_tags(): void
+    {
+        $json = (string) \json_encode([
+            'type' => 'FeatureCollection',
+            'features' => [
+                ['type' => 'Feature', 'geometry' => ['type' => 'Point', 'coordinates' => [16.01, 47.001]], 'properties' => ['name' => 'Hochkogel', 'natural' => 'peak', 'ele' => '1612']],
+                ['type' => 'Feature', 'geometry' => ['type' => 'Point', 'coordinates' => [16.02, 47.0, 830]], 'properties' => ['tags' => ['amenity' => 'drinking_water']]],
+                ['type' => 'Feature', 'geometry' => ['type' => 'Point', 'coordinates' => [16.0, 47.0]], 'properties' => ['name' => 'Joch', 'mountain_pass' => 'yes']],
+                ['type' => 'Feature', 'geometry' => ['type' => 'Point', 'coordinates' => [16.0, 47.0]], 'properties' => ['name' => 'Custom', 'type' => 'Hut']],
+                ['type' => 'Feature', 'geometry' => ['type' => 'LineString', 'coordinates' => [[16.0, 47.0], [16.1, 47.0]]], 'properties' => []],
+                ['type' => 'Feature', 'geometry' => ['type' => 'Point', 'coordinates' => [200.0, 47.0]], 'properties' => []],
+            ],
+        ]);
+
+        $pois = PointsOfInterest::parse_geojson($json);
+
+        $this->assertCount(4, $pois);
+        $this->assertSame(['name' => 'Hochkogel', 'type' => 'peak', 'lat' => 47.001, 'lon' => 16.01, 'ele' => 1612.0], $pois[0]);
+        $this->assertSame('water', $pois[1]['type']);
+        $this->assertSame('', $pois[1]['name']);
+        $this->assertSame(830.0, $pois[1]['ele']);
+        $this->assertSame('pass', $pois[2]['type']);
+        $this->assertSame('hut', $pois[3]['type']);
+        $this->assertSame([], PointsOfInterest::parse_geojson('not json'));
+    }
+
+    public function test_classify_falls_back_to_generic_poi(): void
+    {
+        $this->assertSame('cafe', PointsOfInterest::classify(['amenity' => 'restaurant']));
+        $this->assertSame('hut', PointsOfInterest::classify(['tourism' => 'alpine_hut']));
+        $this->assertSame('water', PointsOfInterest::classify(['natural' => 'spring']));
+        $this->assertSame('poi', PointsOfInterest::classify(['shop' => 'bakery']));
+    }
+
+    public function test_along_route_keeps_nearby_points_with_route_distance(): void
+    {
+        $pois = [
+            ['name' => 'Far', 'type' => 'peak', 'lat' => 47.01, 'lon' => 16.01, 'ele' => null],
+            ['name' => 'Summit', 'type' => 'peak', 'lat' => 47.001, 'lon' => 16.015, 'ele' => 1612.0],
+            ['name' => 'Spring', 'type' => 'water', 'lat' => 46.9995, 'lon' => 16.005, 'ele' => null],
+            ['name' => 'Elsewhere', 'type' => 'cafe', 'lat' => 47.0, 'lon' => 17.0, 'ele' => null],
+        ];
+
+        $near = PointsOfInterest::along_route($pois, self::COORDS, self::CUM_DIST, 300.0);
+
+        $this->assertSame(['Spring', 'Summit'], \array_column($near, 'name'));
+        $this->assertEqualsWithDelta(379.6, $near[0]['distanceMeters'], 1.0);
+        $this->assertEqualsWithDelta(55.7, $near[0]['offsetMeters'], 1.0);
+        $this->assertEqualsWithDelta(1138.8, $near[1]['distanceMeters'], 1.0);
+        $this->assertEqualsWithDelta(111.3, $near[1]['offsetMeters'], 1.0);
+
+        $this->assertSame(['Spring'], \array_column(PointsOfInterest::along_route($pois, self::COORDS, self::CUM_DIST, 100.0), 'name'));
+        $this->assertSame([], PointsOfInterest::along_route($pois, [self::COORDS[0]], [0.0], 300.0));
+    }
+
+    public function test_along_route_handles_a_long_straight_segment(): void
+    {
+        // A ~550 km diagonal gap; bucketing its bounding box at 25 m would need hundreds of millions of cells
+        $coords = [[16.0, 47.0], [16.001, 47.0], [21.0, 50.0], [21.001, 50.0]];
+        $cumDist = [0.0, 76.0];
+        $cumDist[] = $cumDist[1] + 520000.0;
+        $cumDist[] = $cumDist[2] + 71.0;
+        $pois = [
+            ['name' => 'Midway', 'type' => 'poi', 'lat' => 48.5, 'lon' => 18.5005, 'ele' => null],
+            ['name' => 'Aside', 'type' => 'poi', 'lat' => 48.5, 'lon' => 18.6, 'ele' => null],
+        ];
+
+        $before = \memory_get_usage();
+        $near = PointsOfInterest::along_route($pois, $coords, $cumDist, 25.0);
+
+        $this->assertSame(['Midway'], \array_column($near, 'name'));
+        $this->assertLessThan(25.0, $near[0]['offsetMeters']);
+        $this->assertEqualsWithDelta(76.0 + 260000.0, $near[0]['distanceMeters'], 1.0);
+        $this->assertLessThan(32 * 1024 * 1024, \memory_get_usage() - $before);
+    }
+
+    public function test_radius_option_is_clamped(): void
+    {
+        $this->assertSame(300.0, PointsOfInterest::radius());
+
+        $GLOBALS['fgpx_test_options']['fgpx_poi_radius_m'] = '99999';
+        \FGpx\Options::clearCache();
+        $this->assertSame(PointsOfInterest::MAX_RADIUS_M, PointsOfInterest::radius());
+    }
+
+    public function test_privacy_zones_drop_and_shift_pois(): void
+    {
+        $data = [
+            'geojson' => [
+                'type' => 'LineString',
+                'coordinates' => self::COORDS,
+                'properties' => ['cumulativeDistance' => self::CUM_DIST],
+            ],
+            'pois' => [
+                ['name' => 'Doorstep', 'type' => 'poi', 'lat' => 47.0, 'lon' => 16.0005, 'distanceMeters' => 38.0],
+                ['name' => 'Summit', 'type' => 'peak', 'lat' => 47.001, 'lon' => 16.015, 'distanceMeters' => 1138.8],
+            ],
+        ];
+
+        $filtered = PrivacyZones::apply_to_payload($data, [['name' => 'Home', 'lat' => 47.0, 'lon' => 16.0, 'radius' => 100.0]]);
+
+        $this->assertSame(['Summit'], \array_column($filtered['pois'], 'name'));
+        $this->assertEqualsWithDelta(1138.8 - 759.2, $filtered['pois'][0]['distanceMeters'], 1e-6);
+    }
+}
@@ -0,0 +1,217 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FGpx\Tests\Unit;
+
+use FGpx\PrivacyZones;
+use PHPUnit\Framework\TestCase;
+
+final class PrivacyZonesTest extends TestCase
+{
+    private const ZONES = [
+        ['name' => 'Home', 'lat' => 48.0, 'lon' => 16.05, 'radius' => 500.0],
+        ['name' => 'Start', 'lat' => 48.0, 'lon' => 16.0, 'radius' => 100.0],
+    ];
+
+    protected function setUp(): void
+    {
+        \FGpx\Options::clearCache();
+    }
+
+    protected function tearDown(): void
+    {
+        unset($GLOBALS['fgpx_test_options']['fgpx_privacy_zones']);
+        \FGpx\Options::clearCache();
+    }
+
+    public function test_parse_zones_text_reads_names_and_clamps_radius(): void
+    {
+        $zones = PrivacyZones::parse_zones_text("Home, 48.2082, 16.3738, 500\n\n48.1, 16.2, 10\nbad line\nOffice, Main St, 48.3, 16.4, 999999\nNowhere, 95, 16, 500");
+
+        $this->assertCount(3, $zones);
+        $this->assertSame(['name' => 'Home', 'lat' => 48.2082, 'lon' => 16.3738, 'radius' => 500.0], $zones[0]);
+        $this->assertSame('Zone 2', $zones[1]['name']);
+        $this->assertSame(50.0, $zones[1]['radius']);
+        $this->assertSame('Office, Main St', $zones[2]['name']);
+        $this->assertSame(20000.0, $zones[2]['radius']);
+
+        $this->assertSame($zones, PrivacyZones::parse_zones_text(PrivacyZones::format_zones_text($zones)));
+    }
+
+    public function test_get_zones_reads_the_option_and_cache_suffix_tracks_changes(): void
+    {
+        $this->assertSame([], PrivacyZones::get_zones());
+        $this->assertSame('', PrivacyZones::cache_key_suffix([]));
+
+        $GLOBALS['fgpx_test_options']['fgpx_privacy_zones'] = wp_json_encode(self::ZONES);
+        \FGpx\Options::clearCache();
+
+        $this->assertCount(2, PrivacyZones::get_zones());
+        $suffix = PrivacyZones::cache_key_suffix(PrivacyZones::get_zones());
+        $this->assertStringStartsWith('_pz_', $suffix);
+        $this->assertNotSame($suffix, PrivacyZones::cache_key_suffix([self::ZONES[0]]));
+    }
+
+    public function test_apply_to_geojson_removes_zone_points_records_gaps_and_rebases_distance(): void
+    {
+        $geojson = $this->lineString();
+        $geojson['properties']['summary'] = [1, 2];
+
+        $result = PrivacyZones::apply_to_geojson($geojson, self::ZONES);
+
+        $this->assertSame(2, $result['removed']);
+        $this->assertSame(740.0, $result['offset']);
+        $filtered = $result['geojson'];
+        $this->assertCount(8, $filtered['coordinates']);
+        $this->assertEqualsWithDelta(16.01, $filtered['coordinates'][0][0], 1e-9);
+        $this->assertEqualsWithDelta(16.06, $filtered['coordinates'][4][0], 1e-9);
+        $this->assertSame([4], $filtered['properties']['gaps']);
+        $this->assertSame([0.0, 740.0, 1480.0, 2220.0, 3700.0, 4440.0, 5180.0, 5920.0], $filtered['properties']['cumulativeDistance']);
+        $this->assertSame([101, 102, 103, 104, 106, 107, 108, 109], $filtered['properties']['heartRates']);
+        $this->assertCount(8, $filtered['properties']['timestamps']);
+        $this->assertSame([1, 2], $filtered['properties']['summary']);
+
+        $untouched = PrivacyZones::apply_to_geojson($geojson, [['name' => 'Far', 'lat' => 10.0, 'lon' => 10.0, 'radius' => 500.0]]);
+        $this->assertSame(0, $untouched['removed']);
+        $this->assertSame($geojson, $untouched['geojson']);
+    }
+
+    public function test_apply_to_payload_filters_bounds_photos_waypoints_and_weather(): void
+    {
+        $data = [
+            'geojson' => $this->lineString(),
+            'bounds' => [16.0, 48.0, 16.09, 48.0],
+            'photos' => [
+                ['id' => 1, 'lat' => 48.0005, 'lon' => 16.05],
+                ['id' => 2, 'lat' => 48.0, 'lon' => 16.08],
+            ],
+            'waypoints' => [
+                ['name' => 'Door', 'lat' => 48.0, 'lon' => 16.0501, 'distanceMeters' => 3700.0],
+                ['name' => 'Cafe', 'lat' => 48.0, 'lon' => 16.07, 'distanceMeters' => 5180.0],
+            ],
+            'weather' => ['type' => 'FeatureCollection', 'features' => [
+                ['type' => 'Feature', 'geometry' => ['type' => 'Point', 'coordinates' => [16.0, 48.0]]],
+                ['type' => 'Feature', 'geometry' => ['type' => 'Point', 'coordinates' => [16.03, 48.0]]],
+            ]],
+        ];
+
+        $filtered = PrivacyZones::apply_to_payload($data, self::ZONES);
+
+        $this->assertEqualsWithDelta(16.01, $filtered['bounds'][0], 1e-9);
+        $this->assertEqualsWithDelta(16.09, $filtered['bounds'][2], 1e-9);
+        $this->assertNull($filtered['photos'][0]['lat']);
+        $this->assertNull($filtered['photos'][0]['lon']);
+        $this->assertSame(16.08, $filtered['photos'][1]['lon']);
+        $this->assertCount(1, $filtered['waypoints']);
+        $this->assertSame('Cafe', $filtered['waypoints'][0]['name']);
+        $this->assertSame(4440.0, $filtered['waypoints'][0]['distanceMeters']);
+        $this->assertCount(1, $filtered['weather']['features']);
+        $this->assertSame([16.03, 48.0], $filtered['weather']['features'][0]['geometry']['coordinates']);
+
+        $this->assertSame($data, PrivacyZones::apply_to_payload($data, []));
+    }
+
+    public function test_apply_to_payload_drops_chapters_in_zones_or_trimmed_ends_and_rebases_the_rest(): void
+    {
+        $zones = \array_merge(self::ZONES, [['name' => 'End', 'lat' => 48.0, 'lon' => 16.09, 'radius' => 100.0]]);
+        $data = [
+            'geojson' => $this->lineString(),
+            'chapters' => [
+                ['distance' => 300.0, 'title' => 'Leaving home'],
+                ['distance' => 1480.0, 'title' => 'Bridge'],
+                ['distance' => 3500.0, 'title' => 'Near the door'],
+                ['distance' => 3700.0, 'title' => 'Door'],
+                ['distance' => 5180.0, 'title' => 'Cafe'],
+                ['distance' => 6300.0, 'title' => 'Almost back'],
+            ],
+        ];
+
+        $filtered = PrivacyZones::apply_to_payload($data, $zones);
+
+        $this->assertSame(['Bridge', 'Cafe'], \array_column($filtered['chapters'], 'title'));
+        $this->assertSame([740.0, 4440.0], \array_column($filtered['chapters'], 'distance'));
+    }
+
+    public function test_apply_to_payload_rebases_camera_keyframes_on_the_trimmed_start(): void
+    {
+        $data = [
+            'geojson' => $this->lineString(),
+            'cameraKeyframes' => [
+                ['distance' => 0.0, 'zoom' => 14.0, 'pitch' => 60.0, 'bearing' => 0.0, 'offset' => 0.0],
+                ['distance' => 2220.0, 'zoom' => 12.0, 'pitch' => 45.0, 'bearing' => 90.0, 'offset' => 0.0],
+                ['distance' => 3700.0, 'zoom' => 16.0, 'pitch' => 70.0, 'bearing' => 180.0, 'offset' => 0.0],
+                ['distance' => 5920.0, 'zoom' => 13.0, 'pitch' => 50.0, 'bearing' => 270.0, 'offset' => 0.0],
+            ],
+        ];
+
+        $filtered = PrivacyZones::apply_to_payload($data, self::ZONES);
+
+        $this->assertSame([1480.0, 5180.0], \array_column($filtered['cameraKeyframes'], 'distance'));
+        $this->assertSame([12.0, 13.0], \array_column($filtered['cameraKeyframes'], 'zoom'));
+
+        $untouched = PrivacyZones::apply_to_payload($data, [['name' => 'Far', 'lat' => 10.0, 'lon' => 10.0, 'radius' => 500.0]]);
+        $this->assertSame($data['cameraKeyframes'], $untouched['cameraKeyframes']);
+    }
+
+    public function test_filter_gpx_splits_track_segments_and_drops_zone_waypoints(): void
+    {
+        $gpx = '<?xml version="1.0" encoding="UTF-8"?>'
+            . '<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">'
+            . '<wpt lat="48.0" lon="16.05"><name>Home</name></wpt>'
+            . '<wpt lat="48.0" lon="16.07"><name>Cafe</name></wpt>'
+            . '<trk><name>Ride</name><trkseg>'
+            . '<trkpt lat="48.0" lon="16.02"></trkpt>'
+            . '<trkpt lat="48.0" lon="16.03"></trkpt>'
+            . '<trkpt lat="48.0" lon="16.05"></trkpt>'
+            . '<trkpt lat="48.0" lon="16.051"></trkpt>'
+            . '<trkpt lat="48.0" lon="16.07"></trkpt>'
+            . '<trkpt lat="48.0" lon="16.08"></trkpt>'
+            . '</trkseg></trk></gpx>';
+
+        $filtered = PrivacyZones::filter_gpx($gpx, self::ZONES);
+        $this->assertIsString($filtered);
+
+        $doc = new \DOMDocument();
+        $doc->loadXML($filtered);
+        $segments = $doc->getElementsByTagName('trkseg');
+        $this->assertSame(2, $segments->length);
+        $this->assertSame(2, $segments->item(0)->getElementsByTagName('trkpt')->length);
+        $this->assertSame('16.07', $segments->item(1)->getElementsByTagName('trkpt')->item(0)->getAttribute('lon'));
+        $this->assertSame('http://www.topografix.com/GPX/1/1', $segments->item(1)->namespaceURI);
+        $waypoints = $doc->getElementsByTagName('wpt');
+        $this->assertSame(1, $waypoints->length);
+        $this->assertSame('16.07', $waypoints->item(0)->getAttribute('lon'));
+
+        $this->assertNull(PrivacyZones::filter_gpx('<gpx><trk>', self::ZONES));
+    }
+
+    /**
+     * Ten points ~740 m apart along 48°N, from 16.00°E to 16.09°E.
+     *
+     * @return array<string, mixed>
+     */
+    private function lineString(): array
+    {
+        $coords = [];
+        $cum = [];
+        $timestamps = [];
+        $heartRates = [];
+        for ($i = 0; $i < 10; $i++) {
+            $coords[] = [16.0 + $i * 0.01, 48.0, 200.0];
+            $cum[] = $i * 740.0;
+            $timestamps[] = gmdate('c', 1767254400 + $i * 60);
+            $heartRates[] = 100 + $i;
+        }
+
+        return [
+            'type' => 'LineString',
+            'coordinates' => $coords,
+            'properties' => [
+                'timestamps' => $timestamps,
+                'cumulativeDistance' => $cum,
+                'heartRates' => $heartRates,
+            ],
+        ];
+    }
+}
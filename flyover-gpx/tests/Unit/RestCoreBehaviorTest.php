@@ -266,4 +266,26 @@ final class RestCoreBehaviorTest extends TestCase
         $this->assertFalse($result['estimatedPower']);
         $this->assertNull($result['geojson']);
     }
+
+    public function test_payload_cache_version_follows_settings_that_do_not_touch_the_post(): void
+    {
+        $options = $GLOBALS['fgpx_test_options'] ?? [];
+        try {
+            unset($GLOBALS['fgpx_test_options']['fgpx_privacy_zones'], $GLOBALS['fgpx_test_options']['fgpx_payload_cache_version']);
+            \FGpx\Options::clearCache();
+            $base = Rest::payload_cache_version(77);
+            $this->assertSame($base, Rest::payload_cache_version(77));
+
+            $GLOBALS['fgpx_test_options']['fgpx_privacy_zones'] = wp_json_encode([['name' => 'Home', 'lat' => 48.2, 'lon' => 16.4, 'radius' => 500.0]]);
+            \FGpx\Options::clearCache();
+            $withZones = Rest::payload_cache_version(77);
+            $this->assertNotSame($base, $withZones);
+
+            $GLOBALS['fgpx_test_options']['fgpx_payload_cache_version'] = '1767254400';
+            $this->assertNotSame($withZones, Rest::payload_cache_version(77));
+        } finally {
+            $GLOBALS['fgpx_test_options'] = $options;
+            \FGpx\Options::clearCache();
+        }
+    }
 }
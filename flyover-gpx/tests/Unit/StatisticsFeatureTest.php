@@ -334,6 +334,76 @@ final class StatisticsFeatureTest extends TestCase
         $this->assertNotEmpty($payload['charts']['hour_distribution']);
     }
 
+    public function test_build_payload_includes_records_linked_to_embedding_post_segments(): void
+    {
+        $GLOBALS['fgpx_test_wp_query_posts'] = [501, 502];
+        $GLOBALS['fgpx_test_post_times'][501] = strtotime('2025-06-01 08:00:00 UTC');
+        $GLOBALS['fgpx_test_post_times'][502] = strtotime('2025-06-02 08:00:00 UTC');
+        $GLOBALS['fgpx_test_titles'] = [501 => 'Alpine loop', 502 => 'Sprint'];
+        $GLOBALS['fgpx_test_posts'][900] = [
+            'post_status' => 'publish',
+            'post_type' => 'post',
+            'post_content' => 'Ride report [flyover_gpx id="501"]',
+        ];
+
+        // 6 km at a steady 5 m/s with 150 bpm, climbing 60 m to the halfway point
+        $coords = [];
+        $cumDist = [];
+        $timestamps = [];
+        $heartRates = [];
+        for ($i = 0; $i <= 12; $i++) {
+            $coords[] = [16.0 + $i * 0.0066, 48.0, 100.0 + 10.0 * (6 - \abs(6 - $i))];
+            $cumDist[] = $i * 500.0;
+            $timestamps[] = $i * 100;
+            $heartRates[] = 150;
+        }
+        $GLOBALS['fgpx_test_post_meta'][501] = [
+            'fgpx_stats' => ['total_distance_m' => 6000.0, 'moving_time_s' => 1200.0, 'elevation_gain_m' => 60.0],
+            'fgpx_geojson' => wp_json_encode([
+                'type' => 'LineString',
+                'coordinates' => $coords,
+                'properties' => ['cumulativeDistance' => $cumDist, 'timestamps' => $timestamps, 'heartRates' => $heartRates],
+            ]),
+        ];
+        $GLOBALS['fgpx_test_post_meta'][502] = [
+            'fgpx_stats' => ['total_distance_m' => 1000.0, 'moving_time_s' => 150.0, 'elevation_gain_m' => 0.0],
+            'fgpx_geojson' => wp_json_encode([
+                'type' => 'LineString',
+                'coordinates' => [[16.0, 48.0, 100.0], [16.0134, 48.0, 100.0]],
+                'properties' => ['cumulativeDistance' => [0.0, 1000.0], 'timestamps' => [0, 150]],
+            ]),
+        ];
+
+        $statistics = new Statistics();
+        $buildPayload = new ReflectionMethod(Statistics::class, 'build_payload');
+        $buildPayload->setAccessible(true);
+
+        $payload = $buildPayload->invoke($statistics, ['max_points' => 15000, 'include_heatmap' => '0']);
+        unset($GLOBALS['fgpx_test_titles']);
+
+        $records = array_column($payload['records'], null, 'key');
+        $this->assertSame(
+            ['fastest_1000', 'fastest_5000', 'longest', 'climb', 'highest', 'hr_300', 'hr_1200'],
+            array_column($payload['records'], 'key')
+        );
+
+        $this->assertSame(150.0, $records['fastest_1000']['value']);
+        $this->assertSame(502, $records['fastest_1000']['trackId']);
+        $this->assertSame('Sprint', $records['fastest_1000']['trackTitle']);
+        $this->assertSame('', $records['fastest_1000']['url']);
+
+        $this->assertSame(1000.0, $records['fastest_5000']['value']);
+        $this->assertSame(6000.0, $records['longest']['value']);
+        $this->assertNull($records['longest']['startM']);
+        $this->assertSame('https://example.test/?p=900', $records['longest']['url']);
+
+        $this->assertSame(60.0, $records['climb']['value']);
+        $this->assertSame('Alpine loop', $records['climb']['trackTitle']);
+        $this->assertSame('https://example.test/?p=900#fgpx-segment=501:0-3000', $records['climb']['url']);
+        $this->assertSame(160.0, $records['highest']['value']);
+        $this->assertSame(150.0, $records['hr_1200']['value']);
+    }
+
     public function test_track_length_histogram_template_includes_extended_ultra_distance_buckets(): void
     {
         $statistics = new Statistics();
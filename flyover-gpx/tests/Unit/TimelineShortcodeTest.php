@@ -261,6 +261,8 @@ class TimelineShortcodeTest extends TestCase
         $this->assertIsFloat($sanitized['distanceKm']);
         $this->assertIsString($sanitized['previewUrl']);
         $this->assertIsInt($sanitized['activityDateTs']);
+        $this->assertSame('0', $sanitized['photoCacheVersion']);
+        $this->assertSame('0', $sanitized['trackModified']);
     }
 
     /**
@@ -336,6 +338,31 @@ class TimelineShortcodeTest extends TestCase
         $this->assertFalse($configJson['monthGrouping']);
     }
 
+    public function test_render_shortcode_accepts_calendar_orientation_and_metric(): void
+    {
+        $GLOBALS['fgpx_test_inline_scripts'] = [];
+        $this->timeline->render_shortcode([
+            'orientation' => 'calendar',
+            'calendar_metric' => 'elevation',
+        ]);
+
+        $configJson = $this->extractTimelineInlineConfig();
+
+        $this->assertSame('calendar', $configJson['orientation']);
+        $this->assertSame('elevation', $configJson['calendarMetric']);
+        $this->assertSame(1, $configJson['weekStart']);
+
+        $GLOBALS['fgpx_test_options']['start_of_week'] = 6;
+        $GLOBALS['fgpx_test_inline_scripts'] = [];
+        $this->timeline->render_shortcode(['orientation' => 'calendar']);
+        $this->assertSame(6, $this->extractTimelineInlineConfig()['weekStart']);
+        unset($GLOBALS['fgpx_test_options']['start_of_week']);
+
+        $GLOBALS['fgpx_test_inline_scripts'] = [];
+        $this->timeline->render_shortcode(['orientation' => 'calendar', 'calendar_metric' => 'speed']);
+        $this->assertSame('distance', $this->extractTimelineInlineConfig()['calendarMetric']);
+    }
+
     /**
      * Test formatDuration with negative seconds returns '0m'.
      */
@@ -378,6 +405,57 @@ class TimelineShortcodeTest extends TestCase
         $this->assertLessThan($grouped[1]['monthTs'], $grouped[0]['monthTs']);
     }
 
+    /**
+     * Test tracks sharing a trip name collapse into one card with summed stats.
+     */
+    public function test_group_trips_collapses_days_into_one_entry(): void
+    {
+        $day = static function (int $id, string $trip, float $km, int $seconds, int $gain, string $date): array {
+            return [
+                'id' => $id,
+                'title' => 'Track ' . $id,
+                'distanceKm' => $km,
+                'durationS' => $seconds,
+                'durationLabel' => '',
+                'elevationGainM' => $gain,
+                'elevationGainLabel' => (string) $gain,
+                'activityDateTs' => (int) \strtotime($date),
+                'dateLabel' => $date,
+                'filePath' => '/tmp/' . $id . '.gpx',
+                'previewAttachmentId' => 0,
+                'keywords' => ['bikepacking'],
+                'trip' => $trip,
+            ];
+        };
+        $tracks = [
+            $day(1, '', 10.0, 1800, 100, '2025-05-01'),
+            $day(2, 'Alps Tour', 95.2, 21600, 1900, '2025-05-02'),
+            $day(3, 'Alps Tour', 85.3, 18300, 1300, '2025-05-03'),
+            $day(4, 'Solo', 12.0, 2400, 80, '2025-05-04'),
+        ];
+
+        $grouped = $this->invokeMethod($this->timeline, 'groupTrips', [$tracks]);
+
+        $this->assertSame([1, 2, 4], array_column($grouped, 'id'));
+        $trip = $grouped[1];
+        $this->assertSame('Alps Tour', $trip['title']);
+        $this->assertSame(180.5, $trip['distanceKm']);
+        $this->assertSame('11h 5m', $trip['durationLabel']);
+        $this->assertSame('3,200', $trip['elevationGainLabel']);
+        $this->assertSame('2025-05-02 – 2025-05-03', $trip['dateLabel']);
+        $this->assertSame('', $trip['filePath']);
+        $this->assertCount(2, $trip['days']);
+
+        $client = $this->invokeMethod($this->timeline, 'sanitizeTrackForClient', [$trip, false, '']);
+        $this->assertSame([2, 3], array_column($client['days'], 'id'));
+        $this->assertSame(85.3, $client['days'][1]['distanceKm']);
+        $this->assertSame(1300, $client['days'][1]['elevationGainM']);
+        $this->assertSame((int) \strtotime('2025-05-03'), $client['days'][1]['activityDateTs']);
+        $this->assertSame(3200, $client['elevationGainM']);
+        $this->assertSame(['2', '3'], array_column($client['trip'], 'id'));
+        $this->assertArrayNotHasKey('days', $this->invokeMethod($this->timeline, 'sanitizeTrackForClient', [$grouped[0], false, '']));
+    }
+
     /**
      * Test timeline style resolver replaces placeholder in style JSON and returns resolved key.
      */
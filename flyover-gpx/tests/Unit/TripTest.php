@@ -0,0 +1,60 @@
+<?php
+
+declare(strict_types=1);
+
+namespace FGpx\Tests\Unit;
+
+use FGpx\Rest;
+use FGpx\Trip;
+use PHPUnit\Framework\TestCase;
+
+final class TripTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        $GLOBALS['fgpx_test_posts'] = [
+            501 => ['post_type' => 'fgpx_track', 'post_status' => 'publish', 'post_modified_gmt' => '2026-05-04 10:00:00'],
+            502 => ['post_type' => 'fgpx_track', 'post_status' => 'publish', 'post_modified_gmt' => '2026-05-05 10:00:00'],
+            503 => ['post_type' => 'fgpx_track', 'post_status' => 'draft'],
+            504 => ['post_type' => 'post', 'post_status' => 'publish'],
+        ];
+        $GLOBALS['fgpx_test_post_meta'] = [];
+        $GLOBALS['fgpx_test_current_user_can'] = static function (): bool { return false; };
+    }
+
+    protected function tearDown(): void
+    {
+        $GLOBALS['fgpx_test_posts'] = [];
+        $GLOBALS['fgpx_test_post_meta'] = [];
+        $GLOBALS['fgpx_test_wp_query_posts'] = [];
+        $GLOBALS['fgpx_test_current_user_can'] = null;
+    }
+
+    public function test_explicit_ids_keep_their_order_and_drop_unreadable_posts(): void
+    {
+        $this->assertSame([502, 501], Trip::resolve_ids('502, 503,abc,504,501,502', 'ignored'));
+
+        $GLOBALS['fgpx_test_current_user_can'] = null;
+        $this->assertSame([502, 503, 501], Trip::resolve_ids('502,503,501', ''));
+    }
+
+    public function test_trip_name_resolves_tracks_ordered_by_activity_date(): void
+    {
+        $GLOBALS['fgpx_test_wp_query_posts'] = [501, 502];
+        $GLOBALS['fgpx_test_post_meta'][501]['fgpx_activity_date_unix'] = 1777800000;
+        $GLOBALS['fgpx_test_post_meta'][502]['fgpx_activity_date_unix'] = 1777700000;
+
+        $this->assertSame([502, 501], Trip::resolve_ids('', '  Alps Tour '));
+        $this->assertSame([], Trip::resolve_ids('', ''));
+    }
+
+    public function test_day_configs_carry_cache_version_tokens(): void
+    {
+        $GLOBALS['fgpx_test_post_meta'][502]['fgpx_photo_cache_version'] = '4';
+
+        $this->assertSame([
+            ['id' => '501', 'trackModified' => (string) \strtotime('2026-05-04 10:00:00'), 'photoCacheVersion' => '0', 'payloadVersion' => Rest::payload_cache_version(501)],
+            ['id' => '502', 'trackModified' => (string) \strtotime('2026-05-05 10:00:00'), 'photoCacheVersion' => '4', 'payloadVersion' => Rest::payload_cache_version(502)],
+        ], Trip::day_configs([501, 502]));
+    }
+}
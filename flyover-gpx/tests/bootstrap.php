@@ -478,6 +478,13 @@ if (!function_exists('site_url')) {
     }
 }
 
+if (!function_exists('home_url')) {
+    function home_url(string $path = ''): string
+    {
+        return 'https://example.test/' . ltrim($path, '/');
+    }
+}
+
 if (!function_exists('rest_url')) {
     function rest_url(string $path = ''): string
     {
@@ -762,6 +769,10 @@ if (!defined('MINUTE_IN_SECONDS')) {
     define('MINUTE_IN_SECONDS', 60);
 }
 
+if (!defined('DAY_IN_SECONDS')) {
+    define('DAY_IN_SECONDS', 86400);
+}
+
 if (!function_exists('maybe_unserialize')) {
     function maybe_unserialize($value)
     {
@@ -1064,6 +1075,13 @@ if (!function_exists('get_the_title')) {
     }
 }
 
+if (!function_exists('get_permalink')) {
+    function get_permalink(int $postId)
+    {
+        return 'https://example.test/?p=' . $postId;
+    }
+}
+
 if (!function_exists('get_post_time')) {
     function get_post_time(string $format = 'U', bool $gmt = true, int $postId = 0)
     {
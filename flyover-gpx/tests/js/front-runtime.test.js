@@ -91,7 +91,8 @@ function installMapLibreMock() {
     setCenter() { return this; }
     setZoom() { return this; }
     setPitch() { return this; }
-    setTerrain() { return this; }
+    setTerrain(terrain) { this._terrain = terrain; return this; }
+    getTerrain() { return this._terrain || null; }
     hasImage() { return false; }
     addImage() { return this; }
     getCanvas() { return document.createElement('canvas'); }
@@ -398,7 +399,8 @@ describe('front.js runtime minimal regressions', () => {
 
   test('cache key builder includes strategy token for differentiation', () => {
     expect(FRONT_SRC.includes("var strategy = hasGalleryStrategy ? 'latest_embed' : 'default';")).toBe(true);
-    expect(FRONT_SRC.includes("return 'fgpx_cache_v4_' + trackId + '_hp_' + hostPost + '_s_' + simplify + '_t_' + target + '_st_' + strategy + '_pcv_' + photoCacheVersion;")).toBe(true);
+    expect(FRONT_SRC.includes("return 'track_' + src.id + '_hp_' + hostPost + '_s_' + simplify + '_t_' + target + '_st_' + strategy;")).toBe(true);
+    expect(FRONT_SRC.includes("return TRACK_CACHE_FORMAT + '_pcv_' + photoCacheVersion + '_mod_' + trackModified + '_pv_' + payloadVersion;")).toBe(true);
   });
 
   test('fetch pipeline uses timeout/abort helper with configurable timeout', () => {
@@ -1168,4 +1170,1883 @@ describe('front.js runtime minimal regressions', () => {
       data: expect.any(Uint8ClampedArray)
     });
   });
+  test('compare tracks are loaded as ghost riders with their own route, marker and HUD gap', async () => {
+    document.body.innerHTML = '<div id="fgpx-app" class="fgpx" data-track-id="1"></div>';
+    installMapLibreMock();
+    const addSourceSpy = jest.spyOn(window.maplibregl.Map.prototype, 'addSource');
+    const addLayerSpy = jest.spyOn(window.maplibregl.Map.prototype, 'addLayer');
+
+    window.Chart = function ChartStub() { return { destroy: jest.fn(), update: jest.fn(), resize: jest.fn() }; };
+
+    const trackPayload = (name, minutes) => ({
+      name,
+      geojson: {
+        coordinates: [[16, 48, 100], [16.04, 48.04, 110]],
+        properties: {
+          timestamps: ['2026-01-01T00:00:00Z', '2026-01-01T00:' + String(minutes).padStart(2, '0') + ':00Z'],
+          cumulativeDistance: [0, 4000],
+        },
+      },
+      bounds: [16, 48, 16.04, 48.04],
+      stats: {},
+      photos: [],
+    });
+    const fetchMock = jest.fn((url) => Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve(String(url).indexOf('/track/124') >= 0 ? trackPayload('Second lap', 20) : trackPayload('First lap', 10)),
+    }));
+    global.fetch = fetchMock;
+    window.fetch = fetchMock;
+
+    window.FGPX = baseFGPX({ ajaxUrl: null, compareTrackIds: '124,1,abc', compareAlign: 'time' });
+
+    loadFront();
+    window.FGPX.boot();
+
+    for (let i = 0; i < 5; i += 1) await flushAsync();
+
+    const calledUrls = fetchMock.mock.calls.map((args) => String(args[0]));
+    expect(calledUrls.filter((u) => u.indexOf('/track/124') >= 0)).toHaveLength(1);
+    expect(calledUrls.some((u) => u.indexOf('/track/abc') >= 0)).toBe(false);
+
+    const ghostSources = addSourceSpy.mock.calls.map((c) => c[0]).filter((id) => String(id).indexOf('fgpx-ghost-') === 0);
+    expect(ghostSources).toEqual(['fgpx-ghost-route-0', 'fgpx-ghost-point-0']);
+    const ghostMarkerLayer = addLayerSpy.mock.calls.find((c) => c[0] && c[0].id === 'fgpx-ghost-point-0-circle');
+    expect(ghostMarkerLayer).toBeDefined();
+    expect(ghostMarkerLayer[1]).toBe('fgpx-point-circle');
+
+    const gapBox = document.querySelector('#fgpx-app .fgpx-metrics-gap');
+    expect(gapBox).not.toBeNull();
+    expect(gapBox.textContent).toContain('Second lap');
+  });
+});
+
+describe('front.js segment analysis', () => {
+  // 100 m spacing: 1 km flat, 1.5 km at 6%, 1 km flat, 800 m at -8%, then flat.
+  function profile() {
+    const cumDist = [];
+    const elev = [];
+    let e = 100;
+    for (let i = 0; i <= 60; i += 1) {
+      if (i > 10 && i <= 25) e += 6;
+      if (i > 35 && i <= 43) e -= 8;
+      cumDist.push(i * 100);
+      elev.push(e);
+    }
+    return { cumDist, elev };
+  }
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    delete window.FGPX;
+    delete window.maplibregl;
+    delete window.Chart;
+  });
+
+  test('detectClimbSegments finds the climb and descent with grades and category', () => {
+    window.FGPX = baseFGPX();
+    loadFront();
+    const { detectClimbSegments } = window.FGPX.internals.segmentAnalysis;
+    const { cumDist, elev } = profile();
+    elev[3] = null;
+
+    const segments = detectClimbSegments(cumDist, elev);
+
+    expect(segments.map((s) => s.type)).toEqual(['climb', 'descent']);
+    const [climb, descent] = segments;
+    expect(climb.startDistance).toBe(1000);
+    expect(climb.endDistance).toBe(2500);
+    expect(climb.gain).toBe(90);
+    expect(climb.avgGrade).toBeCloseTo(6, 5);
+    expect(climb.maxGrade).toBeCloseTo(6, 5);
+    expect(climb.category).toBe('4');
+    expect(descent.gain).toBe(-64);
+    expect(descent.maxGrade).toBeCloseTo(-8, 5);
+    expect(descent.category).toBeNull();
+
+    // Restricting to a window that ends before the descent (privacy trimming)
+    expect(detectClimbSegments(cumDist, elev, { endDistance: 3000 }).map((s) => s.type)).toEqual(['climb']);
+    // Small bumps inside the hysteresis band are ignored
+    expect(detectClimbSegments([0, 100, 200, 300, 400], [100, 105, 100, 106, 100])).toEqual([]);
+  });
+
+  test('climbCategory and autoLapMeters follow the documented thresholds', () => {
+    window.FGPX = baseFGPX();
+    loadFront();
+    const { climbCategory, autoLapMeters } = window.FGPX.internals.segmentAnalysis;
+
+    expect(climbCategory(1000, 5)).toBeNull();
+    expect(climbCategory(2000, 4)).toBe('4');
+    expect(climbCategory(10000, 7)).toBe('1');
+    expect(climbCategory(15000, 7)).toBe('HC');
+    expect(autoLapMeters(12000)).toBe(1000);
+    expect(autoLapMeters(42000)).toBe(5000);
+    expect(autoLapMeters(160000)).toBe(10000);
+  });
+
+  test('computeLaps splits by distance or by GPX segment markers', () => {
+    window.FGPX = baseFGPX();
+    loadFront();
+    const { computeLaps } = window.FGPX.internals.segmentAnalysis;
+    const { cumDist, elev } = profile();
+    const times = cumDist.map((d) => d / 5); // 18 km/h
+
+    const laps = computeLaps(cumDist, elev, { lapMeters: 1000, timeOffsets: times });
+    expect(laps).toHaveLength(6);
+    expect(laps[1]).toMatchObject({ number: 2, startDistance: 1000, endDistance: 2000, duration: 200 });
+    expect(laps[1].gain).toBe(60);
+    expect(laps[1].avgSpeed).toBeCloseTo(18, 5);
+
+    const byMarkers = computeLaps(cumDist, elev, { markers: [4200, 'x', 1500], startDistance: 500 });
+    expect(byMarkers.map((l) => [l.startDistance, l.endDistance])).toEqual([[500, 1500], [1500, 4200], [4200, 6000]]);
+    expect(byMarkers[0].duration).toBeNull();
+  });
+
+  test('Segments tab lists climbs and laps and highlights a clicked segment', async () => {
+    document.body.innerHTML = '<div id="fgpx-app" class="fgpx" data-track-id="77"></div>';
+    installMapLibreMock();
+    const addLayerSpy = jest.spyOn(window.maplibregl.Map.prototype, 'addLayer');
+    window.Chart = function ChartStub() { return { destroy: jest.fn(), update: jest.fn(), resize: jest.fn() }; };
+
+    const { cumDist, elev } = profile();
+    const t0 = Date.parse('2026-01-01T08:00:00Z');
+    const payload = {
+      name: 'Hill loop',
+      geojson: {
+        coordinates: cumDist.map((d, i) => [16 + d / 75000, 48, elev[i]]),
+        properties: {
+          timestamps: cumDist.map((d) => new Date(t0 + d * 200).toISOString().replace('.000', '')),
+          cumulativeDistance: cumDist,
+          lapDistances: [3000],
+        },
+      },
+      bounds: [16, 48, 16.08, 48],
+      stats: {},
+      photos: [],
+    };
+    const fetchMock = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(payload) }));
+    global.fetch = fetchMock;
+    window.fetch = fetchMock;
+
+    window.FGPX = baseFGPX({ ajaxUrl: null, i18n: { segmentsTab: 'Abschnitte' } });
+    loadFront();
+    window.FGPX.boot();
+    for (let i = 0; i < 5; i += 1) await flushAsync();
+
+    const tab = Array.from(document.querySelectorAll('#fgpx-app .fgpx-chart-tab')).find((b) => b.textContent === 'Abschnitte');
+    expect(tab).toBeTruthy();
+    tab.click();
+    await flushAsync();
+
+    const panel = document.querySelector('#fgpx-app .fgpx-segments-panel');
+    expect(panel.style.display).toBe('block');
+    expect(tab.className).toContain('fgpx-chart-tab-active');
+    const climbRows = panel.querySelectorAll('.fgpx-segment-row-climb');
+    expect(climbRows).toHaveLength(1);
+    expect(climbRows[0].textContent).toContain('Cat 4');
+    // GPX segment boundaries are the default lap source when present
+    expect(panel.querySelector('.fgpx-segments-lap-mode').value).toBe('markers');
+    expect(panel.querySelectorAll('.fgpx-segment-row-lap')).toHaveLength(2);
+
+    climbRows[0].click();
+    expect(climbRows[0].classList.contains('fgpx-segment-row-active')).toBe(true);
+    const highlight = addLayerSpy.mock.calls.find((c) => c[0] && c[0].id === 'fgpx-segment-highlight-line');
+    expect(highlight).toBeDefined();
+
+    const lapSelect = panel.querySelector('.fgpx-segments-lap-mode');
+    lapSelect.value = '1000';
+    lapSelect.dispatchEvent(new Event('change'));
+    expect(panel.querySelectorAll('.fgpx-segment-row-lap')).toHaveLength(6);
+
+    document.querySelector('#fgpx-app .fgpx-chart-tab').click();
+    await flushAsync();
+    expect(panel.style.display).toBe('none');
+  });
+});
+
+describe('front.js heart-rate zones', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    delete window.FGPX;
+    delete window.maplibregl;
+    delete window.Chart;
+  });
+
+  test('resolveHrZones uses max HR bands and switches to LTHR when configured', () => {
+    window.FGPX = baseFGPX();
+    loadFront();
+    const { resolveHrZones, hrZoneIndex } = window.FGPX.internals.heartRateZones;
+
+    const byMax = resolveHrZones({ maxHr: 200, lthr: 0 });
+    expect(byMax.basis).toBe('maxhr');
+    expect(byMax.zones.map((z) => z.min)).toEqual([0, 120, 140, 160, 180]);
+    expect(byMax.zones[4].max).toBe(Infinity);
+    expect(hrZoneIndex(119, byMax.zones)).toBe(0);
+    expect(hrZoneIndex(150, byMax.zones)).toBe(2);
+    expect(hrZoneIndex(195, byMax.zones)).toBe(4);
+    expect(hrZoneIndex(null, byMax.zones)).toBe(-1);
+
+    const byLthr = resolveHrZones({ maxHr: 200, lthr: 170 });
+    expect(byLthr.basis).toBe('lthr');
+    expect(byLthr.zones.map((z) => z.min)).toEqual([0, 145, 153, 162, 170]);
+
+    // Out-of-range config is clamped; missing config falls back to 190 bpm
+    expect(resolveHrZones({ maxHr: 400 }).reference).toBe(230);
+    expect(resolveHrZones(null).reference).toBe(190);
+  });
+
+  test('hrZoneSeconds weights samples by elapsed time and skips missing readings', () => {
+    window.FGPX = baseFGPX();
+    loadFront();
+    const { resolveHrZones, hrZoneSeconds } = window.FGPX.internals.heartRateZones;
+    const zones = resolveHrZones({ maxHr: 200 }).zones;
+
+    expect(hrZoneSeconds([100, 130, null, 185, 185], [0, 10, 20, 50, 60], zones)).toEqual([0, 10, 0, 0, 40]);
+    expect(hrZoneSeconds([100, 130, 0], null, zones)).toEqual([1, 1, 0, 0, 0]);
+  });
+
+  test('HR Zones tab renders a time-in-zone bar chart and colors the route by zone', async () => {
+    document.body.innerHTML = '<div id="fgpx-app" class="fgpx" data-track-id="78"></div>';
+    installMapLibreMock();
+    const addLayerSpy = jest.spyOn(window.maplibregl.Map.prototype, 'addLayer');
+    const chartConfigs = [];
+    window.Chart = function ChartStub(_canvas, config) {
+      chartConfigs.push(config);
+      return { destroy: jest.fn(), update: jest.fn(), resize: jest.fn() };
+    };
+
+    const t0 = Date.parse('2026-01-01T08:00:00Z');
+    const hrs = [110, 125, 145, 165, 185, 185];
+    const payload = {
+      name: 'Intervals',
+      geojson: {
+        coordinates: hrs.map((_, i) => [16 + i * 0.01, 48, 200]),
+        properties: {
+          timestamps: hrs.map((_, i) => new Date(t0 + i * 60000).toISOString().replace('.000', '')),
+          cumulativeDistance: hrs.map((_, i) => i * 740),
+          heartRates: hrs,
+        },
+      },
+      bounds: [16, 48, 16.05, 48],
+      stats: {},
+      photos: [],
+    };
+    const fetchMock = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(payload) }));
+    global.fetch = fetchMock;
+    window.fetch = fetchMock;
+
+    window.FGPX = baseFGPX({ ajaxUrl: null, maxHr: 200, lthr: 0, hrZoneColoring: true });
+    loadFront();
+    window.FGPX.boot();
+    for (let i = 0; i < 5; i += 1) await flushAsync();
+
+    const zoneLayer = addLayerSpy.mock.calls.find((c) => c[0] && c[0].id === 'fgpx-route-metric-line');
+    expect(zoneLayer).toBeDefined();
+    expect(zoneLayer[0].layout.visibility).toBe('visible');
+    expect(zoneLayer[0].paint['line-color']).toEqual(['get', 'key']);
+
+    const tab = Array.from(document.querySelectorAll('#fgpx-app .fgpx-chart-tab')).find((b) => b.textContent === 'HR Zones');
+    expect(tab).toBeTruthy();
+    tab.click();
+    await flushAsync();
+
+    const barConfig = chartConfigs.filter((c) => c && c.type === 'bar').pop();
+    expect(barConfig).toBeDefined();
+    expect(barConfig.data.labels).toHaveLength(5);
+    expect(barConfig.data.labels[1]).toBe('Z2 Endurance (120-140 bpm)');
+    expect(barConfig.data.labels[4]).toBe('Z5 VO2 Max (≥180 bpm)');
+    expect(barConfig.data.datasets[0].data).toEqual([0, 1, 1, 1, 2]);
+  });
+});
+
+describe('front.js route coloring modes', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    delete window.FGPX;
+    delete window.maplibregl;
+    delete window.Chart;
+  });
+
+  test('createHeatmapColorRamp keeps the weather ramp and scales to a metric range', () => {
+    window.FGPX = baseFGPX();
+    loadFront();
+    const { createHeatmapColorRamp, normalizeRouteColorBy } = window.FGPX.internals.routeColoring;
+
+    expect(createHeatmapColorRamp('#4169e1')).toEqual([
+      'interpolate', ['linear'], ['heatmap-density'],
+      0, 'rgba(255,255,255,0)',
+      0.2, 'rgba(65,105,225,0.4)',
+      0.4, 'rgba(65,105,225,0.6)',
+      0.6, 'rgba(65,105,225,0.75)',
+      0.8, 'rgba(65,105,225,0.85)',
+      1, 'rgba(65,105,225,1)',
+    ]);
+
+    const ramp = createHeatmapColorRamp('#000000', { input: ['get', 'key'], min: 100, max: 300, background: '#ffffff' });
+    expect(ramp[2]).toEqual(['get', 'key']);
+    expect(ramp[3]).toBe(100);
+    expect(ramp[4]).toBe('rgb(191,191,191)');
+    expect(ramp[13]).toBe(300);
+    expect(ramp[14]).toBe('rgb(0,0,0)');
+
+    expect(normalizeRouteColorBy(' Power ')).toBe('power');
+    expect(normalizeRouteColorBy('altitude')).toBe('auto');
+  });
+
+  test('routeColorRange ignores outliers and routeColorBucketValues forward-fills gaps', () => {
+    window.FGPX = baseFGPX();
+    loadFront();
+    const { routeColorRange, routeColorBucketValues } = window.FGPX.internals.routeColoring;
+    const positive = (v) => v > 0;
+
+    const values = [];
+    for (let i = 0; i <= 100; i += 1) values.push(100 + i);
+    values[50] = 2000;
+    expect(routeColorRange(values, positive)).toEqual({ min: 105, max: 196 });
+    expect(routeColorRange([0, null, 150], positive)).toBeNull();
+
+    expect(routeColorBucketValues([null, 0, 100, null, 199, 260], { min: 100, max: 200 }, positive, 4))
+      .toEqual([null, null, 112.5, 112.5, 187.5, 187.5]);
+  });
+
+  test('route_color_by colors the driven route by power and the map control switches modes', async () => {
+    document.body.innerHTML = '<div id="fgpx-app" class="fgpx" data-track-id="79"></div>';
+    installMapLibreMock();
+    const addLayerSpy = jest.spyOn(window.maplibregl.Map.prototype, 'addLayer');
+    const controls = [];
+    jest.spyOn(window.maplibregl.Map.prototype, 'addControl').mockImplementation(function addControl(ctrl) {
+      controls.push({ ctrl, map: this });
+      return this;
+    });
+    window.Chart = function ChartStub() {
+      return { destroy: jest.fn(), update: jest.fn(), resize: jest.fn() };
+    };
+
+    const t0 = Date.parse('2026-01-01T08:00:00Z');
+    const powers = [150, 180, 210, 240, 270, 300];
+    const payload = {
+      name: 'Power ride',
+      geojson: {
+        coordinates: powers.map((_, i) => [16 + i * 0.01, 48, 200 + i * 10]),
+        properties: {
+          timestamps: powers.map((_, i) => new Date(t0 + i * 60000).toISOString().replace('.000', '')),
+          cumulativeDistance: powers.map((_, i) => i * 740),
+          powers,
+        },
+      },
+      bounds: [16, 48, 16.05, 48],
+      stats: {},
+      photos: [],
+    };
+    const fetchMock = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(payload) }));
+    global.fetch = fetchMock;
+    window.fetch = fetchMock;
+
+    window.FGPX = baseFGPX({ ajaxUrl: null, routeColorBy: 'power', chartColorPower: '#059669' });
+    loadFront();
+    window.FGPX.boot();
+    for (let i = 0; i < 5; i += 1) await flushAsync();
+
+    const metricLayer = addLayerSpy.mock.calls.find((c) => c[0] && c[0].id === 'fgpx-route-metric-line');
+    expect(metricLayer).toBeDefined();
+    expect(metricLayer[0].layout.visibility).toBe('visible');
+    expect(metricLayer[0].paint['line-color'].slice(0, 3)).toEqual(['interpolate', ['linear'], ['get', 'key']]);
+    expect(addLayerSpy.mock.calls.some((c) => c[0] && c[0].id === 'fgpx-progress-segment-0')).toBe(false);
+
+    const legend = document.querySelector('#fgpx-app .fgpx-route-legend');
+    expect(legend).toBeTruthy();
+    expect(legend.querySelector('.fgpx-route-legend-title').textContent).toBe('Power (W)');
+    expect(legend.querySelector('.fgpx-route-legend-bar')).toBeTruthy();
+    expect(Array.from(legend.querySelectorAll('.fgpx-route-legend-scale span')).map((el) => el.textContent)).toEqual(['150', '300']);
+
+    const entry = controls.find((c) => c.ctrl && typeof c.ctrl.onAdd === 'function' && c.ctrl.onAdd(c.map).classList.contains('fgpx-route-color-ctrl'));
+    expect(entry).toBeDefined();
+    const select = entry.ctrl._container.querySelector('select.fgpx-route-color-select');
+    expect(Array.from(select.options).map((o) => o.value)).toEqual(['none', 'gradient', 'speed', 'power']);
+    expect(select.value).toBe('power');
+
+    select.value = 'gradient';
+    select.dispatchEvent(new window.Event('change'));
+
+    expect(entry.map._layout['fgpx-route-metric-line'].visibility).toBe('none');
+    expect(entry.map.getLayer('fgpx-progress-segment-0')).toBeTruthy();
+    expect(legend.querySelector('.fgpx-route-legend-title').textContent).toBe('Gradient');
+  });
+});
+
+describe('front.js player API', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    delete window.FGPX;
+    delete window.maplibregl;
+    delete window.Chart;
+  });
+
+  function hillPayload() {
+    // 100 m spacing with a 1.5 km climb at 6% starting at 1 km
+    const cumDist = [];
+    const elev = [];
+    let e = 100;
+    for (let i = 0; i <= 40; i += 1) {
+      if (i > 10 && i <= 25) e += 6;
+      cumDist.push(i * 100);
+      elev.push(e);
+    }
+    const t0 = Date.parse('2026-01-01T08:00:00Z');
+    return {
+      name: 'API ride',
+      geojson: {
+        coordinates: cumDist.map((d, i) => [16 + d / 75000, 48, elev[i]]),
+        properties: {
+          timestamps: cumDist.map((d) => new Date(t0 + d * 200).toISOString().replace('.000', '')),
+          cumulativeDistance: cumDist,
+        },
+      },
+      bounds: [16, 48, 16.06, 48],
+      stats: {},
+      photos: [],
+    };
+  }
+
+  async function bootWithPayload(payload, trackId, overrides = {}) {
+    document.body.innerHTML = `<div id="fgpx-app" class="fgpx" data-track-id="${trackId}"></div>`;
+    installMapLibreMock();
+    window.Chart = function ChartStub() { return { destroy: jest.fn(), update: jest.fn(), resize: jest.fn() }; };
+    const fetchMock = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(payload) }));
+    global.fetch = fetchMock;
+    window.fetch = fetchMock;
+    window.FGPX = baseFGPX(Object.assign({ ajaxUrl: null }, overrides));
+    loadFront();
+    window.FGPX.boot();
+  }
+
+  test('handle exists before load, queues calls and fires ready with the resolved state', async () => {
+    await bootWithPayload(hillPayload(), 80);
+    const player = window.FGPX.player('fgpx-app');
+    expect(player).toBeTruthy();
+    expect(window.FGPX.players['fgpx-app']).toBe(player);
+    expect(player.getState().ready).toBe(false);
+
+    const ready = jest.fn();
+    const domReady = jest.fn();
+    player.on('ready', ready);
+    document.getElementById('fgpx-app').addEventListener('fgpx:ready', domReady);
+    player.seek({ distance: 2000 }).setSpeed(75);
+
+    for (let i = 0; i < 5; i += 1) await flushAsync();
+
+    expect(ready).toHaveBeenCalledTimes(1);
+    expect(domReady.mock.calls[0][0].detail.player).toBe(player);
+    const state = player.getState();
+    expect(state.ready).toBe(true);
+    expect(state.playing).toBe(false);
+    expect(state.distance).toBeCloseTo(2000, 5);
+    expect(state.fraction).toBeCloseTo(0.5, 5);
+    expect(state.time).toBeCloseTo(400, 5);
+    expect(state.speed).toBe(75);
+    expect(document.querySelector('#fgpx-app .fgpx-select').value).toBe('75');
+
+    // Late ready subscribers are called immediately
+    const lateReady = jest.fn();
+    player.on('ready', lateReady);
+    expect(lateReady).toHaveBeenCalledTimes(1);
+  });
+
+  test('seek emits progress and segment events; destroy tears the player down', async () => {
+    await bootWithPayload(hillPayload(), 81);
+    for (let i = 0; i < 5; i += 1) await flushAsync();
+    const player = window.FGPX.player(document.getElementById('fgpx-app'));
+
+    const progress = jest.fn();
+    const segment = jest.fn();
+    const destroyed = jest.fn();
+    const off = player.on('progress', progress);
+    player.on('segment', segment);
+    player.on('destroy', destroyed);
+    expect(player.on('bogus', () => {})).toEqual(expect.any(Function));
+
+    player.seek({ time: 300 });
+    expect(progress).toHaveBeenCalled();
+    expect(progress.mock.calls[progress.mock.calls.length - 1][0].distance).toBeCloseTo(1500, 5);
+    expect(segment).toHaveBeenCalledTimes(1);
+    expect(segment.mock.calls[0][0].segment.type).toBe('climb');
+
+    off();
+    progress.mockClear();
+    player.seek(0.9);
+    expect(progress).not.toHaveBeenCalled();
+    expect(player.getState().distance).toBeCloseTo(3600, 5);
+
+    player.destroy();
+    expect(destroyed).toHaveBeenCalledTimes(1);
+    expect(window.FGPX.player('fgpx-app')).toBeNull();
+    expect(window.FGPX.players['fgpx-app']).toBeUndefined();
+    expect(document.getElementById('fgpx-app').hasAttribute('data-fgpx-initialized')).toBe(false);
+    expect(document.getElementById('fgpx-app').children).toHaveLength(0);
+  });
+
+  test('showSegment highlights a stretch and #fgpx-segment links open the matching player on it', async () => {
+    window.history.replaceState(null, '', '#fgpx-segment=83:1200-2600');
+    Element.prototype.scrollIntoView = jest.fn();
+    try {
+      await bootWithPayload(hillPayload(), 83);
+      const addSource = jest.spyOn(window.maplibregl.Map.prototype, 'addSource');
+      for (let i = 0; i < 5; i += 1) await flushAsync();
+      const player = window.FGPX.player('fgpx-app');
+
+      expect(player.getState().distance).toBeCloseTo(1200, 5);
+      const highlight = addSource.mock.calls.find((call) => call[0] === 'fgpx-segment-highlight');
+      const line = highlight[1].data.geometry.coordinates;
+      expect(line).toHaveLength(15);
+      expect(line[0][0]).toBeCloseTo(16 + 1200 / 75000, 9);
+      expect(line[line.length - 1][0]).toBeCloseTo(16 + 2600 / 75000, 9);
+      expect(Element.prototype.scrollIntoView).toHaveBeenCalledTimes(1);
+
+      // Reversed and out-of-range bounds are normalized to the track
+      player.showSegment({ start: 5000, end: 3500 });
+      expect(player.getState().distance).toBeCloseTo(3500, 5);
+      player.showSegment({ start: 'x' });
+      expect(player.getState().distance).toBeCloseTo(3500, 5);
+
+      // Links for another track leave the player alone
+      await bootWithPayload(hillPayload(), 84);
+      for (let i = 0; i < 5; i += 1) await flushAsync();
+      expect(window.FGPX.player('fgpx-app').getState().distance).toBe(0);
+      expect(Element.prototype.scrollIntoView).toHaveBeenCalledTimes(1);
+    } finally {
+      window.history.replaceState(null, '', window.location.pathname);
+      delete Element.prototype.scrollIntoView;
+    }
+  });
+
+  test('camera mode starts from the config and follows the selector and setCameraMode()', async () => {
+    await bootWithPayload(hillPayload(), 85, { cameraMode: 'orbit' });
+    for (let i = 0; i < 5; i += 1) await flushAsync();
+    const player = window.FGPX.player('fgpx-app');
+    const select = document.querySelector('#fgpx-app .fgpx-camera-select');
+
+    expect(select.value).toBe('orbit');
+    expect(Array.from(select.options).map((opt) => opt.value)).toEqual(['chase', 'topdown', 'orbit', 'firstperson', 'cinematic']);
+    expect(player.getState().cameraMode).toBe('orbit');
+
+    select.value = 'topdown';
+    select.dispatchEvent(new Event('change'));
+    expect(player.getState().cameraMode).toBe('topdown');
+
+    player.setCameraMode('First-Person');
+    expect(player.getState().cameraMode).toBe('firstperson');
+    expect(select.value).toBe('firstperson');
+
+    player.setCameraMode('bogus');
+    expect(player.getState().cameraMode).toBe('chase');
+
+    // Keyframes are only a mode on tracks that have them
+    player.setCameraMode('keyframes');
+    expect(player.getState().cameraMode).toBe('chase');
+  });
+
+  test('authored camera keyframes become the default camera mode', async () => {
+    const payload = hillPayload();
+    payload.cameraKeyframes = [
+      { distance: 3000, zoom: 15, pitch: 20, bearing: 180, offset: 0 },
+      { distance: 1000, zoom: 13, pitch: 60, bearing: 90, offset: 100 },
+      { distance: 'x', zoom: 12, pitch: 0, bearing: 0 },
+    ];
+    await bootWithPayload(payload, 86, { cameraMode: 'orbit' });
+    for (let i = 0; i < 5; i += 1) await flushAsync();
+    const player = window.FGPX.player('fgpx-app');
+    const select = document.querySelector('#fgpx-app .fgpx-camera-select');
+
+    expect(player.getState().cameraMode).toBe('keyframes');
+    expect(select.options[0].value).toBe('keyframes');
+    expect(select.value).toBe('keyframes');
+
+    player.setCameraMode('cinematic');
+    expect(player.getState().cameraMode).toBe('cinematic');
+    player.setCameraMode('keyframes');
+    expect(player.getState().cameraMode).toBe('keyframes');
+  });
+
+  test('a DEM tiles URL adds terrain, hillshade and a terrain toggle to any style', async () => {
+    document.body.innerHTML = '<div id="fgpx-app" class="fgpx" data-track-id="87"></div>';
+    installMapLibreMock();
+    const controls = [];
+    jest.spyOn(window.maplibregl.Map.prototype, 'addControl').mockImplementation(function addControl(ctrl) {
+      controls.push({ ctrl, map: this });
+      return this;
+    });
+    window.Chart = function ChartStub() { return { destroy: jest.fn(), update: jest.fn(), resize: jest.fn() }; };
+    const payload = hillPayload();
+    const fetchMock = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(payload) }));
+    global.fetch = fetchMock;
+    window.fetch = fetchMock;
+    window.FGPX = baseFGPX({ ajaxUrl: null, terrainDemUrl: 'https://dem.example.test/terrarium/{z}/{x}/{y}.png', terrainExaggeration: 1.5 });
+    loadFront();
+    window.FGPX.boot();
+    for (let i = 0; i < 5; i += 1) await flushAsync();
+
+    const entry = controls.find((c) => c.ctrl && typeof c.ctrl.onAdd === 'function' && c.ctrl.onAdd(c.map).classList.contains('fgpx-map-mode-ctrl'));
+    expect(entry).toBeDefined();
+    const map = entry.map;
+    expect(map.getSource('fgpx-terrain-fgpx-app')).toMatchObject({ type: 'raster-dem', encoding: 'terrarium' });
+    expect(map.getTerrain()).toEqual({ source: 'fgpx-terrain-fgpx-app', exaggeration: 1.5 });
+    expect(map.getLayer('fgpx-hillshade-fgpx-app-layer').source).toBe('fgpx-hillshade-fgpx-app');
+    expect(map._layout['fgpx-hillshade-fgpx-app-layer'].visibility).toBe('visible');
+
+    const button = entry.ctrl._container.querySelector('.fgpx-map-mode-terrain-button');
+    expect(button.getAttribute('aria-pressed')).toBe('true');
+    button.click();
+    expect(map.getTerrain()).toBeNull();
+    expect(map._layout['fgpx-hillshade-fgpx-app-layer'].visibility).toBe('none');
+    expect(button.getAttribute('aria-pressed')).toBe('false');
+    button.click();
+    expect(map.getTerrain().exaggeration).toBe(1.5);
+  });
+
+  test('keyboard shortcuts seek, step the speed, switch tabs and open the help dialog', async () => {
+    await bootWithPayload(hillPayload(), 88);
+    for (let i = 0; i < 5; i += 1) await flushAsync();
+    const player = window.FGPX.player('fgpx-app');
+    const root = document.getElementById('fgpx-app');
+    const slider = root.querySelector('.fgpx-progress');
+    const press = (target, key, init = {}) => target.dispatchEvent(new KeyboardEvent('keydown', Object.assign({ key, bubbles: true, cancelable: true }, init)));
+
+    expect(slider.getAttribute('role')).toBe('slider');
+    expect(slider.getAttribute('tabindex')).toBe('0');
+    expect(root.querySelector('.fgpx-controls').getAttribute('role')).toBe('toolbar');
+    expect(root.querySelector('.fgpx-chart-tabs').getAttribute('role')).toBe('tablist');
+
+    // Keys pressed with focus outside the player are not shortcuts
+    const selectedTabs = () => Array.from(root.querySelectorAll('.fgpx-chart-tab')).map((tab) => tab.getAttribute('aria-selected'));
+    const tabsBefore = selectedTabs();
+    press(document.body, 'ArrowRight');
+    press(document.body, '+');
+    press(document.body, '2');
+    expect(player.getState().distance).toBe(0);
+    expect(player.getState().speed).toBe(25);
+    expect(selectedTabs()).toEqual(tabsBefore);
+
+    press(slider, 'ArrowRight');
+    expect(player.getState().distance).toBeCloseTo(40, 5);
+    press(slider, 'ArrowRight', { shiftKey: true });
+    expect(player.getState().distance).toBeCloseTo(1040, 5);
+    expect(slider.getAttribute('aria-valuenow')).toBe('26');
+    expect(slider.getAttribute('aria-valuetext')).toBe('1.04 of 4.00 km');
+    expect(root.querySelector('.fgpx-sr-only[aria-live="polite"]').textContent).toBe('1.04 km, elevation 106 m');
+    press(slider, 'Home');
+    expect(player.getState().distance).toBe(0);
+
+    // Typing elsewhere on the page never drives the player
+    const input = document.createElement('input');
+    document.body.appendChild(input);
+    press(input, 'ArrowRight');
+    press(input, '+');
+    expect(player.getState().distance).toBe(0);
+    expect(player.getState().speed).toBe(25);
+
+    const playButton = root.querySelector('.fgpx-controls button');
+    press(playButton, '+');
+    expect(player.getState().speed).toBe(50);
+    expect(root.querySelector('.fgpx-select').value).toBe('50');
+    press(playButton, '-');
+    press(slider, '-');
+    expect(player.getState().speed).toBe(10);
+
+    const tabs = root.querySelectorAll('.fgpx-chart-tab');
+    press(slider, '2');
+    expect(tabs[1].getAttribute('aria-selected')).toBe('true');
+    expect(tabs[0].getAttribute('aria-selected')).toBe('false');
+
+    press(playButton, '?', { shiftKey: true });
+    const dialog = root.querySelector('.fgpx-shortcuts[role="dialog"]');
+    expect(dialog.style.display).toBe('flex');
+    expect(dialog.querySelectorAll('dt')).toHaveLength(8);
+    expect(document.activeElement).toBe(dialog.querySelector('.fgpx-shortcuts-close'));
+    press(document.activeElement, 'ArrowRight');
+    expect(player.getState().distance).toBe(0);
+    press(document.activeElement, 'Escape');
+    expect(dialog.style.display).toBe('none');
+  });
+
+  test('data table helpers sort missing values last and quote CSV cells', () => {
+    loadFront();
+    const rows = [{ d: 3, hr: null }, { d: 1, hr: 150 }, { d: 2, hr: 120 }, { d: 4, hr: 150 }];
+    expect(window.FGPX.internals.dataTable.sortRows(rows, 'hr', 1).map((r) => r.d)).toEqual([2, 1, 4, 3]);
+    expect(window.FGPX.internals.dataTable.sortRows(rows, 'hr', -1).map((r) => r.d)).toEqual([1, 4, 2, 3]);
+    expect(rows.map((r) => r.d)).toEqual([3, 1, 2, 4]);
+
+    const columns = [
+      { key: 'd', label: 'Distance, "km"', format: (v) => v.toFixed(1) },
+      { key: 'hr', label: 'HR', format: (v) => String(v) },
+    ];
+    expect(window.FGPX.internals.dataTable.toCsv(columns, rows.slice(0, 2))).toBe('"Distance, ""km""",HR\r\n3.0,\r\n1.0,150\r\n');
+  });
+
+  test('the data tab pages and sorts the sampled stream and downloads it as CSV', async () => {
+    const payload = hillPayload();
+    // 121 samples: three pages of the data table
+    const cumDist = Array.from({ length: 121 }, (_, i) => i * 50);
+    payload.geojson.coordinates = cumDist.map((d, i) => [16 + d / 75000, 48, 100 + (i % 30)]);
+    payload.geojson.properties.cumulativeDistance = cumDist;
+    payload.geojson.properties.timestamps = cumDist.map((d) => new Date(Date.parse('2026-01-01T08:00:00Z') + d * 200).toISOString());
+    payload.geojson.properties.heartRates = cumDist.map((d, i) => (i === 0 ? 0 : 120 + (i % 10)));
+    await bootWithPayload(payload, 89);
+    for (let i = 0; i < 5; i += 1) await flushAsync();
+    const root = document.getElementById('fgpx-app');
+    const tab = Array.from(root.querySelectorAll('.fgpx-chart-tab')).find((btn) => btn.textContent === 'Data table');
+    tab.click();
+
+    const panel = root.querySelector('.fgpx-data-table-panel');
+    expect(panel.style.display).toBe('block');
+    expect(tab.getAttribute('aria-selected')).toBe('true');
+    expect(root.querySelector('.fgpx-chart-wrap').style.display).toBe('none');
+    const headers = () => Array.from(panel.querySelectorAll('th')).map((th) => th.textContent);
+    expect(headers()).toEqual(['Distance (km) ▲', 'Time', 'Elevation (m)', 'Speed (km/h)', 'Heart rate (bpm)']);
+    expect(panel.querySelectorAll('tbody tr')).toHaveLength(50);
+    expect(panel.querySelector('.fgpx-data-table-page-info').textContent).toBe('Page 1 of 3');
+    const firstCells = () => Array.from(panel.querySelector('tbody tr').children).map((td) => td.textContent);
+    expect(firstCells()).toEqual(['0.00', '00:00:00', '100', '0.0', '—']);
+
+    panel.querySelector('.fgpx-data-table-next').click();
+    expect(firstCells()[0]).toBe('2.50');
+    panel.querySelector('.fgpx-data-table-sort[data-sort-key="elevation"]').click();
+    panel.querySelector('.fgpx-data-table-sort[data-sort-key="elevation"]').click();
+    expect(panel.querySelector('.fgpx-data-table-page-info').textContent).toBe('Page 1 of 3');
+    expect(panel.querySelectorAll('th')[2].getAttribute('aria-sort')).toBe('descending');
+    expect(firstCells().slice(0, 3)).toEqual(['1.45', '00:04:50', '129']);
+    expect(document.activeElement).toBe(panel.querySelector('.fgpx-data-table-sort[data-sort-key="elevation"]'));
+
+    const blobs = [];
+    const downloads = [];
+    URL.createObjectURL = jest.fn((blob) => { blobs.push(blob); return 'blob:csv'; });
+    URL.revokeObjectURL = jest.fn();
+    jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function click() { downloads.push(this.download); });
+    try {
+      panel.querySelector('.fgpx-data-table-csv').click();
+      expect(downloads).toEqual(['api-ride.csv']);
+      const text = await new Promise((resolve) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(blobs[0]);
+      });
+      const lines = text.replace(/^﻿/, '').split('\r\n');
+      expect(lines[0]).toBe('Distance (km),Time,Elevation (m),Speed (km/h),Heart rate (bpm)');
+      expect(lines[1]).toBe('1.45,00:04:50,129,18.0,129');
+      expect(lines).toHaveLength(123);
+    } finally {
+      HTMLAnchorElement.prototype.click.mockRestore();
+      delete URL.createObjectURL;
+      delete URL.revokeObjectURL;
+    }
+  });
+
+  test('the route summary lists totals, main climbs and waypoints in route order', async () => {
+    const payload = hillPayload();
+    payload.stats = { moving_time_s: 800, elevation_gain_m: 90, max_speed_m_s: 6 };
+    payload.waypoints = [
+      { name: 'Summit', distanceMeters: 2500 },
+      { name: 'Bakery', lat: 48, lon: 16 + 500 / 75000 },
+      { name: 'Nowhere' },
+    ];
+    await bootWithPayload(payload, 90);
+    for (let i = 0; i < 5; i += 1) await flushAsync();
+    const root = document.getElementById('fgpx-app');
+    const summary = root.querySelector('details.fgpx-route-summary');
+    expect(summary.querySelector('summary').textContent).toBe('Route summary');
+    expect(summary.nextElementSibling.classList.contains('fgpx-chart-tabs')).toBe(true);
+
+    summary.open = true;
+    // jsdom fires the toggle event on a task, like browsers
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    const titles = Array.from(summary.querySelectorAll('h4')).map((h) => h.textContent);
+    expect(titles).toEqual(['Totals', 'Climbs and descents', 'Waypoints']);
+    const lists = summary.querySelectorAll('.fgpx-route-summary-list');
+    expect(Array.from(lists[0].children).map((li) => li.textContent)).toEqual([
+      'Distance: 4.00 km',
+      'Moving time: 00:13:20',
+      'Average speed: 18.0 km/h',
+      'Maximum speed: 21.6 km/h',
+      'Elevation gain: 90 m',
+      'Lowest point: 100 m, at 0.00 km',
+      'Highest point: 190 m, at 2.50 km',
+    ]);
+    expect(lists[1].tagName).toBe('OL');
+    expect(lists[1].children).toHaveLength(1);
+    expect(lists[1].children[0].textContent).toMatch(/^Climb from 1\.00 km to 2\.50 km: \+90 m, 1\.50 km, 6\.0% average, 6\.0% max/);
+    expect(Array.from(lists[2].children).map((li) => li.textContent)).toEqual(['Bakery, at 0.50 km', 'Summit, at 2.50 km']);
+  });
+});
+
+describe('front.js camera modes', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    delete window.FGPX;
+    delete window.maplibregl;
+    delete window.Chart;
+  });
+
+  function line(points) {
+    // points are [east meters, north meters, elevation]; ~75 km per degree of longitude at 48°N
+    const coords = points.map((p) => [16 + p[0] / 74500, 48 + p[1] / 111200, p[2]]);
+    const cumDist = [0];
+    for (let i = 1; i < points.length; i += 1) {
+      cumDist.push(cumDist[i - 1] + Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]));
+    }
+    return { coords, cumDist };
+  }
+
+  test('cinematicZoomOffset pulls back on flat straights and pushes in on switchbacks and ramps', () => {
+    window.FGPX = baseFGPX();
+    loadFront();
+    const { cinematicZoomOffset, normalizeCameraMode } = window.FGPX.internals.camera;
+
+    const straight = [];
+    const steep = [];
+    const switchback = [];
+    for (let i = 0; i <= 20; i += 1) {
+      straight.push([i * 50, 0, 300]);
+      steep.push([i * 50, 0, 300 + i * 5]);
+      // 500 m out, a hairpin and 500 m back
+      switchback.push(i <= 10 ? [i * 50, 0, 300] : [(20 - i) * 50, 30, 300]);
+    }
+
+    const flat = line(straight);
+    expect(cinematicZoomOffset(flat.coords, flat.cumDist, 500)).toBeCloseTo(-1.2, 2);
+    const ramp = line(steep);
+    expect(cinematicZoomOffset(ramp.coords, ramp.cumDist, 500)).toBeCloseTo(-1.2 + 2.2 * 0.6, 2);
+    const hairpin = line(switchback);
+    expect(cinematicZoomOffset(hairpin.coords, hairpin.cumDist, 515)).toBeCloseTo(1.0, 2);
+
+    // Windows near the ends stay inside the track; too-short tracks are neutral
+    expect(cinematicZoomOffset(flat.coords, flat.cumDist, 0)).toBeCloseTo(-1.2, 2);
+    expect(cinematicZoomOffset([[16, 48]], [0], 0)).toBe(0);
+
+    expect(normalizeCameraMode(' TopDown ')).toBe('topdown');
+    expect(normalizeCameraMode('')).toBe('chase');
+  });
+
+  test('cameraKeyframeAt eases between keyframes and holds the ends', () => {
+    window.FGPX = baseFGPX();
+    loadFront();
+    const { normalizeCameraKeyframes, cameraKeyframeAt } = window.FGPX.internals.camera;
+
+    const keyframes = normalizeCameraKeyframes([
+      { distance: 2000, zoom: 16, pitch: 20, bearing: 10, offset: -100 },
+      { distance: 1000, zoom: 12, pitch: 60, bearing: 350 },
+      { distance: 1500, zoom: 'near', pitch: 0, bearing: 0 },
+      null,
+    ]);
+    expect(keyframes.map((k) => k.distance)).toEqual([1000, 2000]);
+    expect(keyframes[0].offset).toBe(0);
+
+    expect(cameraKeyframeAt(keyframes, 0)).toEqual({ zoom: 12, pitch: 60, bearing: 350, offset: 0 });
+    expect(cameraKeyframeAt(keyframes, 5000)).toEqual({ zoom: 16, pitch: 20, bearing: 10, offset: -100 });
+
+    // Halfway is halfway for easeInOutCubic; the bearing turns through north
+    const mid = cameraKeyframeAt(keyframes, 1500);
+    expect(mid.zoom).toBeCloseTo(14, 9);
+    expect(mid.pitch).toBeCloseTo(40, 9);
+    expect(mid.bearing).toBeCloseTo(0, 9);
+    expect(mid.offset).toBeCloseTo(-50, 9);
+    // A quarter of the way the ease has covered only 1/16 of the change
+    expect(cameraKeyframeAt(keyframes, 1250).zoom).toBeCloseTo(12 + 4 / 16, 9);
+
+    expect(cameraKeyframeAt([], 100)).toBeNull();
+  });
+
+  test('terrain helpers pick the DEM encoding and lower the pitch behind rising ground', () => {
+    window.FGPX = baseFGPX();
+    loadFront();
+    const { demSource, clearancePitch } = window.FGPX.internals.terrain;
+
+    expect(demSource('https://s3.example.test/terrarium/{z}/{x}/{y}.png')).toMatchObject({ type: 'raster-dem', tileSize: 256, encoding: 'terrarium' });
+    expect(demSource('https://tiles.example.test/terrain-rgb/{z}/{x}/{y}.webp')).toMatchObject({ tileSize: 512, encoding: 'mapbox' });
+
+    // Heading north, so the camera sits to the south; the ground there rises at 1:2
+    const slopeSouth = (p) => 500 + Math.max(0, 48 - p[1]) * 111320 * 0.5;
+    const rise = Math.atan(0.5) * 180 / Math.PI;
+    expect(clearancePitch(slopeSouth, [16, 48], 0, 1500, 85)).toBeCloseTo(90 - rise - 4, 6);
+    // Facing south the same slope lies ahead of the marker and is out of the way
+    expect(clearancePitch(slopeSouth, [16, 48], 180, 1500, 85)).toBe(85);
+    expect(clearancePitch(() => null, [16, 48], 0, 1500, 85)).toBe(85);
+  });
+});
+
+describe('front.js scroll-driven mode', () => {
+  const originalRaf = window.requestAnimationFrame;
+  const originalCancelRaf = window.cancelAnimationFrame;
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    delete window.FGPX;
+    delete window.maplibregl;
+    delete window.Chart;
+  });
+
+  afterEach(() => {
+    window.requestAnimationFrame = originalRaf;
+    window.cancelAnimationFrame = originalCancelRaf;
+    jest.restoreAllMocks();
+  });
+
+  test('marked sections drive the position and fly the camera on section changes', async () => {
+    const cumDist = [];
+    for (let i = 0; i <= 40; i += 1) cumDist.push(i * 100);
+    const payload = {
+      name: 'Scroll ride',
+      geojson: {
+        coordinates: cumDist.map((d) => [16 + d / 75000, 48, 100]),
+        properties: { cumulativeDistance: cumDist },
+      },
+      bounds: [16, 48, 16.06, 48],
+      stats: {},
+      photos: [],
+      waypoints: [{ name: 'Summit', lat: 48, lon: 16.0333, elevation: 100, distanceMeters: 2500, timeSeconds: null }],
+    };
+
+    document.body.innerHTML =
+      '<div id="fgpx-app" class="fgpx" data-track-id="82"></div>' +
+      '<section id="s1" data-fgpx-km="1"></section>' +
+      '<section data-fgpx-km="3" data-fgpx-player="fgpx-other"></section>' +
+      '<section data-fgpx-waypoint="Nowhere"></section>' +
+      '<section id="s2" data-fgpx-waypoint=" summit "></section>';
+    let scrolled = 0;
+    const offsets = { s1: 1000, s2: 2000 };
+    Object.keys(offsets).forEach((id) => {
+      document.getElementById(id).getBoundingClientRect = () => ({ top: offsets[id] - scrolled });
+    });
+    const line = window.innerHeight * 0.5;
+
+    installMapLibreMock();
+    const flyTo = jest.fn();
+    const jumpTo = jest.fn();
+    Object.assign(window.maplibregl.Map.prototype, { flyTo, jumpTo, getCenter: () => ({ lng: 16, lat: 48 }) });
+    window.requestAnimationFrame = (cb) => setTimeout(() => cb(performance.now()), 0);
+    window.cancelAnimationFrame = (id) => clearTimeout(id);
+    window.Chart = function ChartStub() { return { destroy: jest.fn(), update: jest.fn(), resize: jest.fn() }; };
+    const fetchMock = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(payload) }));
+    global.fetch = fetchMock;
+    window.fetch = fetchMock;
+    window.FGPX = baseFGPX({ ajaxUrl: null, scrollDriven: true });
+    loadFront();
+    window.FGPX.boot();
+    for (let i = 0; i < 6; i += 1) await flushAsync();
+
+    const root = document.getElementById('fgpx-app');
+    const player = window.FGPX.player('fgpx-app');
+    expect(root.classList.contains('fgpx-scroll-driven')).toBe(true);
+    expect(root.querySelector('.fgpx-splash').style.display).toBe('none');
+    expect(player.getState().distance).toBe(0);
+
+    // Entering the first section seeks to the reading position and flies there
+    let now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    scrolled = 1000 - line + 10;
+    window.dispatchEvent(new Event('scroll'));
+    await flushAsync();
+    expect(player.getState().distance).toBeCloseTo(1015, 5);
+    expect(player.getState().playing).toBe(false);
+    expect(flyTo).toHaveBeenCalledTimes(1);
+    expect(flyTo.mock.calls[0][0]).toEqual(expect.objectContaining({ duration: 1200 }));
+
+    // Halfway to the waypoint section interpolates towards its distance
+    now += 1500;
+    scrolled = 1000 - line + 500;
+    window.dispatchEvent(new Event('scroll'));
+    await flushAsync();
+    expect(player.getState().distance).toBeCloseTo(1750, 5);
+    expect(flyTo).toHaveBeenCalledTimes(1);
+
+    // The waypoint section is a new flight target
+    scrolled = 2000 - line + 5;
+    window.dispatchEvent(new Event('scroll'));
+    await flushAsync();
+    expect(player.getState().distance).toBeCloseTo(2500, 5);
+    expect(flyTo).toHaveBeenCalledTimes(2);
+
+    // Back above the first section returns to the start
+    now += 1500;
+    scrolled = 0;
+    window.dispatchEvent(new Event('scroll'));
+    await flushAsync();
+    expect(player.getState().distance).toBe(0);
+  });
+});
+
+describe('front.js story chapters', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    delete window.FGPX;
+    delete window.maplibregl;
+    delete window.Chart;
+  });
+
+  async function bootWithChapters(chapters, trackId) {
+    const cumDist = [];
+    for (let i = 0; i <= 40; i += 1) cumDist.push(i * 100);
+    const t0 = Date.parse('2026-01-01T08:00:00Z');
+    const payload = {
+      name: 'Chapter ride',
+      geojson: {
+        coordinates: cumDist.map((d) => [16 + d / 75000, 48, 100]),
+        properties: {
+          timestamps: cumDist.map((d) => new Date(t0 + d * 200).toISOString().replace('.000', '')),
+          cumulativeDistance: cumDist,
+        },
+      },
+      bounds: [16, 48, 16.06, 48],
+      stats: {},
+      photos: [],
+      chapters,
+    };
+    document.body.innerHTML = `<div id="fgpx-app" class="fgpx" data-track-id="${trackId}"></div>`;
+    installMapLibreMock();
+    window.Chart = function ChartStub() { return { destroy: jest.fn(), update: jest.fn(), resize: jest.fn() }; };
+    const fetchMock = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(payload) }));
+    global.fetch = fetchMock;
+    window.fetch = fetchMock;
+    window.FGPX = baseFGPX({ ajaxUrl: null });
+    loadFront();
+    window.FGPX.boot();
+    for (let i = 0; i < 6; i += 1) await flushAsync();
+    return window.FGPX.player('fgpx-app');
+  }
+
+  test('chapters become progress-bar ticks that seek and open their card', async () => {
+    const player = await bootWithChapters([
+      { distance: 3000, title: '', text: '<p>Last <b>climb</b></p>', imageUrl: 'https://example.test/c.jpg' },
+      { distance: 'bad', title: 'Broken' },
+      { distance: 1000, title: 'Bridge', text: 'Old bridge', zoom: 14, pitch: '', bearing: 90 },
+    ], 83);
+    const chapterEvents = [];
+    player.on('chapter', (data) => chapterEvents.push(data));
+
+    const ticks = Array.from(document.querySelectorAll('#fgpx-app .fgpx-progress .fgpx-chapter-tick'));
+    expect(ticks.map((t) => t.style.left)).toEqual(['25%', '75%']);
+    expect(ticks.map((t) => t.title)).toEqual(['Bridge', 'Chapter 2']);
+
+    const card = document.querySelector('#fgpx-app .fgpx-chapter-card');
+    expect(card.style.display).toBe('none');
+
+    ticks[1].click();
+    expect(player.getState().distance).toBeCloseTo(3000, 5);
+    expect(player.getState().playing).toBe(false);
+    expect(card.style.display).toBe('block');
+    expect(card.querySelector('.fgpx-chapter-title').textContent).toBe('Chapter 2');
+    expect(card.querySelector('.fgpx-chapter-text b').textContent).toBe('climb');
+    expect(card.querySelector('.fgpx-chapter-image').getAttribute('src')).toBe('https://example.test/c.jpg');
+    expect(card.querySelector('.fgpx-chapter-close').textContent).toBe('Close');
+    expect(chapterEvents).toHaveLength(1);
+    expect(chapterEvents[0].index).toBe(1);
+
+    ticks[0].click();
+    expect(card.querySelector('.fgpx-chapter-title').textContent).toBe('Bridge');
+    expect(card.querySelector('.fgpx-chapter-image').style.display).toBe('none');
+    expect(chapterEvents[1].chapter).toEqual(expect.objectContaining({ zoom: 14, pitch: null, bearing: 90 }));
+
+    card.querySelector('.fgpx-chapter-close').click();
+    expect(card.style.display).toBe('none');
+  });
+
+  test('a pausing chapter stops playback when crossed and Continue resumes it', async () => {
+    const player = await bootWithChapters([{ distance: 400, title: 'Cafe', text: 'Coffee stop', pause: true }], 84);
+    player.setSpeed(250);
+    player.play();
+    const card = document.querySelector('#fgpx-app .fgpx-chapter-card');
+    for (let i = 0; i < 200 && card.style.display !== 'block'; i += 1) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    expect(card.style.display).toBe('block');
+    expect(player.getState().playing).toBe(false);
+    expect(player.getState().distance).toBeGreaterThanOrEqual(400);
+    const btn = card.querySelector('.fgpx-chapter-close');
+    expect(btn.textContent).toBe('Continue');
+    btn.click();
+    expect(card.style.display).toBe('none');
+    expect(player.getState().playing).toBe(true);
+    player.pause();
+  });
+});
+
+describe('front.js privacy zone gaps', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    delete window.FGPX;
+    delete window.maplibregl;
+    delete window.Chart;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('route lines break at server-side gaps instead of bridging the zone', async () => {
+    document.body.innerHTML = '<div id="fgpx-app" class="fgpx" data-track-id="85"></div>';
+    installMapLibreMock();
+    const addSourceSpy = jest.spyOn(window.maplibregl.Map.prototype, 'addSource');
+    window.Chart = function ChartStub() { return { destroy: jest.fn(), update: jest.fn(), resize: jest.fn() }; };
+    const coords = [0, 1, 2, 3, 6, 7, 8, 9].map((i) => [16 + i * 0.01, 48, 100]);
+    const payload = {
+      name: 'Gap ride',
+      geojson: {
+        coordinates: coords,
+        properties: { cumulativeDistance: [0, 740, 1480, 2220, 4440, 5180, 5920, 6660], gaps: [4] },
+      },
+      bounds: [16, 48, 16.09, 48],
+      stats: {},
+      photos: [],
+    };
+    const fetchMock = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(payload) }));
+    global.fetch = fetchMock;
+    window.fetch = fetchMock;
+    window.FGPX = baseFGPX({ ajaxUrl: null });
+    loadFront();
+    window.FGPX.boot();
+    for (let i = 0; i < 6; i += 1) await flushAsync();
+
+    const routeCall = addSourceSpy.mock.calls.findIndex((c) => c[0] === 'fgpx-route');
+    const route = addSourceSpy.mock.calls[routeCall][1].data.geometry;
+    expect(route.type).toBe('MultiLineString');
+    expect(route.coordinates).toHaveLength(2);
+    expect(route.coordinates[0][route.coordinates[0].length - 1]).toEqual(coords[3].slice(0, 2));
+    expect(route.coordinates[1][0]).toEqual(coords[4].slice(0, 2));
+
+    window.FGPX.player('fgpx-app').seek({ distance: 6000 });
+    const map = addSourceSpy.mock.instances[routeCall];
+    const progressCalls = map.getSource('fgpx-route-progress').setData.mock.calls;
+    const progress = progressCalls[progressCalls.length - 1][0].geometry;
+    expect(progress.type).toBe('MultiLineString');
+    expect(progress.coordinates[0][progress.coordinates[0].length - 1]).toEqual(coords[3].slice(0, 2));
+    expect(progress.coordinates[1][0]).toEqual(coords[4].slice(0, 2));
+  });
+});
+
+function installIndexedDbMock() {
+  const stores = new Map();
+  const later = (fn) => Promise.resolve().then(fn);
+
+  function transaction(name) {
+    const data = stores.get(name);
+    const tx = { pending: 0, done: false, oncomplete: null, onerror: null, onabort: null };
+    const maybeComplete = () => later(() => {
+      if (tx.pending === 0 && !tx.done) {
+        tx.done = true;
+        if (tx.oncomplete) tx.oncomplete();
+      }
+    });
+    const request = (compute) => {
+      const req = { result: undefined, onsuccess: null };
+      tx.pending += 1;
+      later(() => {
+        req.result = compute();
+        if (req.onsuccess) req.onsuccess();
+        tx.pending -= 1;
+        maybeComplete();
+      });
+      return req;
+    };
+    tx.objectStore = () => ({
+      get: (key) => request(() => data.get(key)),
+      put: (value) => request(() => { data.set(value.key, value); return value.key; }),
+      delete: (key) => request(() => { data.delete(key); }),
+      clear: () => request(() => { data.clear(); }),
+      index: () => ({
+        openCursor: (range, direction) => {
+          const entries = Array.from(data.values()).sort((a, b) => a.lastAccess - b.lastAccess);
+          if (direction === 'prev') entries.reverse();
+          let pos = 0;
+          const cursorReq = { result: null, onsuccess: null };
+          const step = () => {
+            tx.pending += 1;
+            later(() => {
+              const value = entries[pos];
+              cursorReq.result = value ? {
+                value,
+                primaryKey: value.key,
+                delete: () => data.delete(value.key),
+                continue: () => { pos += 1; step(); },
+              } : null;
+              if (cursorReq.onsuccess) cursorReq.onsuccess();
+              tx.pending -= 1;
+              maybeComplete();
+            });
+          };
+          step();
+          return cursorReq;
+        },
+      }),
+    });
+    maybeComplete();
+    return tx;
+  }
+
+  const db = {
+    objectStoreNames: { contains: (name) => stores.has(name) },
+    createObjectStore: (name) => { stores.set(name, new Map()); return { createIndex() {} }; },
+    deleteObjectStore: (name) => { stores.delete(name); },
+    transaction,
+  };
+  window.indexedDB = {
+    open: () => {
+      const req = { result: db, onsuccess: null, onupgradeneeded: null };
+      later(() => {
+        if (stores.size === 0 && req.onupgradeneeded) req.onupgradeneeded();
+        if (req.onsuccess) req.onsuccess();
+      });
+      return req;
+    },
+  };
+  return stores;
+}
+
+describe('front.js IndexedDB track cache', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    localStorage.clear();
+    delete window.FGPX;
+    delete window.maplibregl;
+    delete window.Chart;
+  });
+
+  afterEach(() => {
+    delete window.indexedDB;
+    jest.restoreAllMocks();
+  });
+
+  function samplePayload(n) {
+    const coords = [];
+    const timestamps = [];
+    const cum = [];
+    const heartRates = [];
+    for (let i = 0; i < n; i += 1) {
+      coords.push(i === 1 ? [16 + i * 0.001234567, 48.000987654] : [16 + i * 0.001234567, 48.000987654, 200.25 + i]);
+      timestamps.push(i === 2 ? null : new Date(Date.UTC(2026, 0, 1, 8, 0, i)).toISOString());
+      cum.push(i * 91.5);
+      heartRates.push(i === 0 ? null : 120 + i);
+    }
+    return {
+      name: 'Cached ride',
+      geojson: {
+        type: 'LineString',
+        coordinates: coords,
+        properties: { timestamps, cumulativeDistance: cum, heartRates, gaps: [2], labels: coords.map((c, i) => 'p' + i) },
+      },
+      bounds: [16, 48, 16.01, 48.01],
+      stats: { total_distance_m: 91.5 * (n - 1) },
+      photos: [{ id: 3, lat: 48, lon: 16, title: 'Cafe' }],
+    };
+  }
+
+  test('payloads round-trip through typed-array encoding without losing precision', () => {
+    loadFront();
+    const payload = samplePayload(5);
+    const encoded = window.FGPX.internals.trackCacheCodec.encode(payload);
+
+    expect(encoded.coords.constructor.name).toBe('Float64Array');
+    expect(encoded.stride).toBe(3);
+    expect(encoded.streams.timestamps.type).toBe('time');
+    expect(encoded.streams.heartRates.type).toBe('number');
+    expect(encoded.streams.cumulativeDistance.data.constructor.name).toBe('Float64Array');
+    expect(encoded.meta.geojson.coordinates).toBeNull();
+    expect(encoded.meta.geojson.properties.labels).toEqual(['p0', 'p1', 'p2', 'p3', 'p4']);
+    expect(encoded.meta.geojson.properties.gaps).toEqual([2]);
+    expect(encoded.bytes).toBeGreaterThan(encoded.coords.byteLength);
+
+    expect(window.FGPX.internals.trackCacheCodec.decode(encoded)).toEqual(payload);
+  });
+
+  test('entries are invalidated by version and evicted least recently used first', async () => {
+    installIndexedDbMock();
+    loadFront();
+    const cache = window.FGPX.trackCache;
+    let now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    await cache.set('a', 'v1', samplePayload(4));
+    now += 10;
+    await cache.set('b', 'v1', samplePayload(4));
+    now += 10;
+    await cache.set('c', 'v1', samplePayload(4));
+
+    expect(await cache.get('a', 'v2')).toBeNull();
+    expect(await cache.get('a', 'v1')).toBeNull();
+
+    now += 10;
+    const hit = await cache.get('b', 'v1');
+    expect(hit.geojson.coordinates).toHaveLength(4);
+    expect(hit.photos[0].title).toBe('Cafe');
+
+    now += 10;
+    await cache.set('d', 'v1', samplePayload(4));
+    const entryBytes = window.FGPX.internals.trackCacheCodec.encode(samplePayload(4)).bytes;
+    expect(await cache.evict(entryBytes * 2)).toBe(1);
+
+    expect(await cache.get('c', 'v1')).toBeNull();
+    expect(await cache.get('b', 'v1')).not.toBeNull();
+    expect(await cache.get('d', 'v1')).not.toBeNull();
+  });
+
+  test('gallery players reuse cached payloads once version tokens are present', async () => {
+    installIndexedDbMock();
+    installMapLibreMock();
+    window.Chart = function ChartStub() { return { destroy: jest.fn(), update: jest.fn(), resize: jest.fn() }; };
+    localStorage.setItem('fgpx_cache_v4_86_hp_0_s_0_t_1200_st_default_pcv_0', '{}');
+    document.body.innerHTML = '<div id="fgpx-player-a" class="fgpx" data-track-id="86"></div>';
+
+    const payload = samplePayload(6);
+    const fetchMock = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(payload) }));
+    global.fetch = fetchMock;
+    window.fetch = fetchMock;
+    const galleryConfig = { galleryPhotoStrategy: 'latest_embed', photoCacheVersion: '5', trackModified: '1767254400' };
+    window.FGPX = baseFGPX({ ajaxUrl: null, instances: { 'fgpx-player-a': galleryConfig } });
+    loadFront();
+    window.FGPX.boot();
+    for (let i = 0; i < 6; i += 1) await flushAsync();
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(localStorage.getItem('fgpx_cache_v4_86_hp_0_s_0_t_1200_st_default_pcv_0')).toBeNull();
+
+    const second = document.createElement('div');
+    second.id = 'fgpx-player-b';
+    second.className = 'fgpx';
+    second.setAttribute('data-track-id', '86');
+    document.body.appendChild(second);
+    window.FGPX.instances['fgpx-player-b'] = Object.assign({}, galleryConfig);
+    window.FGPX.initContainer(second);
+    for (let i = 0; i < 6; i += 1) await flushAsync();
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(second.querySelector('.fgpx-error').style.display).not.toBe('block');
+
+    const third = document.createElement('div');
+    third.id = 'fgpx-player-c';
+    third.className = 'fgpx';
+    third.setAttribute('data-track-id', '86');
+    document.body.appendChild(third);
+    window.FGPX.instances['fgpx-player-c'] = Object.assign({}, galleryConfig, { trackModified: '1767258000' });
+    window.FGPX.initContainer(third);
+    for (let i = 0; i < 6; i += 1) await flushAsync();
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('front.js save for offline', () => {
+  class MockResponse {
+    constructor(body, init) {
+      this._body = String(body);
+      this.ok = true;
+      this.status = 200;
+      this.type = 'default';
+      this.headers = (init && init.headers) || {};
+    }
+
+    clone() { return this; }
+    blob() { return Promise.resolve({ size: this._body.length }); }
+    json() { return Promise.resolve(JSON.parse(this._body)); }
+  }
+
+  function installCacheStorageMock() {
+    const stores = new Map();
+    window.caches = {
+      open: (name) => {
+        if (!stores.has(name)) stores.set(name, new Map());
+        const store = stores.get(name);
+        return Promise.resolve({
+          match: (url) => Promise.resolve(store.get(String(url))),
+          put: (url, response) => { store.set(String(url), response); return Promise.resolve(); },
+          delete: (url) => Promise.resolve(store.delete(String(url))),
+        });
+      },
+    };
+    return stores;
+  }
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    delete window.FGPX;
+    delete window.maplibregl;
+    delete window.Chart;
+  });
+
+  afterEach(() => {
+    delete window.caches;
+    delete window.Response;
+    delete window.navigator.serviceWorker;
+    delete window.navigator.storage;
+    jest.restoreAllMocks();
+  });
+
+  test('saves page, payload, tiles, sprite and thumbnails and removes them again', async () => {
+    document.body.innerHTML = '<div id="fgpx-app" class="fgpx" data-track-id="87"></div>';
+    installMapLibreMock();
+    jest.spyOn(window.maplibregl.Map.prototype, 'getStyle').mockReturnValue({
+      sources: { osm: { type: 'raster', tiles: ['https://tiles.example/{z}/{x}/{y}.png'], maxzoom: 19 } },
+      layers: [],
+      sprite: 'https://styles.example/sprite',
+    });
+    window.Chart = function ChartStub() { return { destroy: jest.fn(), update: jest.fn(), resize: jest.fn() }; };
+    window.Response = MockResponse;
+    const stores = installCacheStorageMock();
+    const unregister = jest.fn(() => Promise.resolve(true));
+    const register = jest.fn(() => Promise.resolve({}));
+    Object.defineProperty(window.navigator, 'serviceWorker', {
+      configurable: true,
+      value: { register, getRegistration: jest.fn(() => Promise.resolve({ unregister })) },
+    });
+    Object.defineProperty(window.navigator, 'storage', {
+      configurable: true,
+      value: { estimate: () => Promise.resolve({ usage: 5 * 1048576, quota: 1024 * 1048576 }) },
+    });
+
+    const payload = {
+      name: 'Alpine loop',
+      geojson: {
+        coordinates: [[11.0, 47.0, 900], [11.01, 47.0, 920], [11.02, 47.01, 950]],
+        properties: { cumulativeDistance: [0, 760, 1700] },
+      },
+      bounds: [11.0, 47.0, 11.02, 47.01],
+      stats: {},
+      photos: [{ id: 4, lat: 47.0, lon: 11.01, thumbUrl: 'https://example.test/uploads/lake-150x150.jpg', fullUrl: 'https://example.test/uploads/lake.jpg' }],
+    };
+    const fetchMock = jest.fn((url, init) => {
+      if (String(url).indexOf('/track/') !== -1) {
+        return Promise.resolve({ ok: true, json: () => Promise.resolve(payload) });
+      }
+      if (init && init.mode === 'no-cors') {
+        return Promise.resolve({ ok: false, status: 0, type: 'opaque', clone() { return this; }, blob: () => Promise.resolve({ size: 0 }) });
+      }
+      return Promise.resolve({ ok: true, type: 'cors', clone() { return this; }, blob: () => Promise.resolve({ size: 100 }) });
+    });
+    global.fetch = fetchMock;
+    window.fetch = fetchMock;
+    window.FGPX = baseFGPX({
+      ajaxUrl: null,
+      defaultZoom: 12,
+      offlineEnabled: true,
+      offlineWorkerUrl: 'https://example.test/?fgpx_offline_sw=1',
+      offlineScope: '/',
+    });
+    loadFront();
+    window.FGPX.boot();
+    for (let i = 0; i < 6; i += 1) await flushAsync();
+
+    const root = document.getElementById('fgpx-app');
+    const button = root.querySelector('.fgpx-btn-offline');
+    button.click();
+    for (let i = 0; i < 3; i += 1) await flushAsync();
+    const panel = root.querySelector('.fgpx-offline-panel');
+    expect(panel.style.display).toBe('block');
+    expect(button.getAttribute('aria-expanded')).toBe('true');
+    expect(panel.querySelector('.fgpx-offline-status').textContent).toBe('This track is not saved on this device.');
+    expect(panel.querySelector('.fgpx-offline-storage').textContent).toBe('Storage used: 5.0 MB of 1.0 GB');
+
+    panel.querySelector('.fgpx-offline-save').click();
+    for (let i = 0; i < 12; i += 1) await flushAsync();
+
+    expect(register).toHaveBeenCalledWith('https://example.test/?fgpx_offline_sw=1', { scope: '/' });
+    const store = stores.get('fgpx-offline-v1');
+    const urls = Array.from(store.keys());
+    expect(urls).toContain(window.location.href);
+    expect(urls).toContain('https://example.test/uploads/lake-150x150.jpg');
+    expect(urls).toContain('https://styles.example/sprite.json');
+    expect(urls.some((url) => url.indexOf('https://tiles.example/12/') === 0)).toBe(true);
+    expect(urls.some((url) => url.indexOf('https://tiles.example/8/') === 0)).toBe(true);
+    const saved = await store.get('https://example.test/wp-json/fgpx/v1/track/87').json();
+    expect(saved.name).toBe('Alpine loop');
+
+    const manifest = await store.get('http://localhost/fgpx-offline-manifest.json').json();
+    const entry = manifest.tracks['87@' + window.location.href];
+    expect(entry.title).toBe('Alpine loop');
+    expect(entry.urls).toHaveLength(urls.length - 1);
+    expect(entry.bytes).toBeGreaterThan(0);
+    // The thumbnail comes from another site without CORS, so its size is unknown
+    expect(entry.opaque).toBe(1);
+    const pageFetch = fetchMock.mock.calls.find((call) => call[0] === window.location.href);
+    expect(pageFetch[1]).toEqual({ mode: 'same-origin', credentials: 'omit' });
+    expect(panel.querySelector('.fgpx-offline-status').textContent).toMatch(/^Saved for offline \(.*\) The size does not include files from other sites \(1\)\.$/);
+    expect(panel.querySelectorAll('.fgpx-offline-list li')).toHaveLength(1);
+
+    panel.querySelector('.fgpx-offline-remove').click();
+    for (let i = 0; i < 6; i += 1) await flushAsync();
+
+    expect(Array.from(store.keys())).toEqual(['http://localhost/fgpx-offline-manifest.json']);
+    expect(unregister).toHaveBeenCalled();
+    expect(panel.querySelectorAll('.fgpx-offline-list li')).toHaveLength(0);
+  });
+
+  test('the button only appears when enabled and the browser supports service workers', async () => {
+    document.body.innerHTML = '<div id="fgpx-app" class="fgpx" data-track-id="88"></div>';
+    installMapLibreMock();
+    window.Chart = function ChartStub() { return { destroy: jest.fn(), update: jest.fn(), resize: jest.fn() }; };
+    global.fetch = jest.fn(() => new Promise(() => {}));
+    window.fetch = global.fetch;
+    window.FGPX = baseFGPX({ ajaxUrl: null, offlineEnabled: true });
+    loadFront();
+    window.FGPX.boot();
+    await flushAsync();
+
+    expect(document.querySelector('.fgpx-btn-offline')).toBeNull();
+  });
+});
+
+describe('front.js live tracking', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    delete window.FGPX;
+    delete window.maplibregl;
+    delete window.Chart;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('polls appended points, extends the running player in place and follows the newest position', async () => {
+    document.body.innerHTML = '<div id="fgpx-app" class="fgpx" data-track-id="89"></div>';
+    installMapLibreMock();
+    const addSourceSpy = jest.spyOn(window.maplibregl.Map.prototype, 'addSource');
+    const setCenterSpy = jest.spyOn(window.maplibregl.Map.prototype, 'setCenter');
+    const timeoutSpy = jest.spyOn(window, 'setTimeout');
+    const chartInstances = [];
+    window.Chart = function ChartStub(ctx, cfg) {
+      const instance = { destroy: jest.fn(), update: jest.fn(), resize: jest.fn(), data: cfg ? cfg.data : null };
+      chartInstances.push(instance);
+      return instance;
+    };
+
+    const t0 = Date.now() - 20 * 60000;
+    const iso = (min) => new Date(t0 + min * 60000).toISOString();
+    const payload = {
+      name: 'Event ride',
+      geojson: {
+        coordinates: [[16, 48, 100], [16.01, 48, 110], [16.02, 48, 120]],
+        properties: { timestamps: [iso(0), iso(1), iso(2)], cumulativeDistance: [0, 744, 1488] },
+      },
+      bounds: [16, 48, 16.02, 48],
+      stats: {},
+      photos: [],
+    };
+    const liveResponses = {
+      0: { points: [{ lat: 48, lon: 16.03, ele: 130, time: iso(3) }], total: 1, lastSeen: iso(3) },
+      1: {
+        points: [
+          { lat: 48, lon: 16.04, ele: 140, time: iso(15) },
+          { lat: 48, lon: 16.07, ele: 150, time: iso(17), gap: true },
+        ],
+        total: 4,
+        lastSeen: iso(17),
+      },
+    };
+    const fetchMock = jest.fn((url) => {
+      const live = /\/track\/89\/live\?since=(\d+)$/.exec(String(url));
+      const body = live ? liveResponses[live[1]] : payload;
+      return Promise.resolve({ ok: true, json: () => Promise.resolve(body) });
+    });
+    global.fetch = fetchMock;
+    window.fetch = fetchMock;
+    window.FGPX = baseFGPX({ ajaxUrl: null, live: true, liveInterval: 5 });
+    loadFront();
+    window.FGPX.boot();
+    for (let i = 0; i < 8; i += 1) await flushAsync();
+
+    const player = window.FGPX.player('fgpx-app');
+    const liveEvents = jest.fn();
+    player.on('live', liveEvents);
+    const badge = document.querySelector('#fgpx-app .fgpx-live-badge');
+    expect(badge.textContent).toBe('LiveLast seen 17 min ago');
+    expect(badge.classList.contains('fgpx-live-stale')).toBe(true);
+    let state = player.getState();
+    expect(state.fraction).toBe(1);
+    expect(state.totalDistance).toBeGreaterThan(2200);
+    expect(state.time).toBeCloseTo(180, 5);
+
+    const routeCall = addSourceSpy.mock.calls.findIndex((c) => c[0] === 'fgpx-route');
+    const map = addSourceSpy.mock.instances[routeCall];
+    const pollCall = timeoutSpy.mock.calls.findIndex((c) => c[1] === 5000);
+    expect(pollCall).toBeGreaterThanOrEqual(0);
+    clearTimeout(timeoutSpy.mock.results[pollCall].value);
+    const chartsBefore = chartInstances.length;
+    timeoutSpy.mock.calls[pollCall][0]();
+    for (let i = 0; i < 4; i += 1) await flushAsync();
+
+    expect(fetchMock).toHaveBeenCalledWith('https://example.test/wp-json/fgpx/v1/track/89/live?since=1', expect.objectContaining({ cache: 'no-store' }));
+    expect(liveEvents).toHaveBeenCalledTimes(1);
+    expect(liveEvents.mock.calls[0][0].added).toBe(2);
+    state = player.getState();
+    expect(state.fraction).toBe(1);
+    expect(state.time).toBeCloseTo(17 * 60, 5);
+    expect(setCenterSpy.mock.calls[setCenterSpy.mock.calls.length - 1][0]).toEqual([16.07, 48]);
+    expect(badge.textContent).toBe('LiveLast seen 3 min ago');
+    expect(badge.classList.contains('fgpx-live-stale')).toBe(false);
+    expect(chartInstances.length).toBe(chartsBefore + 1);
+
+    const routeSource = map.getSource('fgpx-route');
+    let route = routeSource.setData.mock.calls[routeSource.setData.mock.calls.length - 1][0].geometry;
+    // The point after the gap cannot form a line on its own yet
+    expect(route.type).toBe('LineString');
+    expect(route.coordinates[route.coordinates.length - 1]).toEqual([16.04, 48]);
+
+    // Pushed points use the same path; a viewer looking at an earlier part is not moved
+    player.pause();
+    player.seek(0.5);
+    const distanceBefore = player.getState().distance;
+    player.appendPoints([{ lat: 48, lon: 16.08, time: iso(18) }]);
+    expect(liveEvents).toHaveBeenCalledTimes(2);
+    expect(player.getState().distance).toBeCloseTo(distanceBefore, 5);
+    expect(player.getState().fraction).toBeLessThan(0.5);
+    route = routeSource.setData.mock.calls[routeSource.setData.mock.calls.length - 1][0].geometry;
+    expect(route.type).toBe('MultiLineString');
+    expect(route.coordinates[1]).toEqual([[16.07, 48], [16.08, 48]]);
+
+    player.destroy();
+    expect(document.querySelector('.fgpx-live-badge')).toBeNull();
+  });
+
+  test('privacy mode trims the end of a live track only once the ride has finished', async () => {
+    document.body.innerHTML = '<div id="fgpx-app" class="fgpx" data-track-id="90"></div>';
+    installMapLibreMock();
+    window.Chart = function ChartStub(ctx, cfg) {
+      return { destroy: jest.fn(), update: jest.fn(), resize: jest.fn(), data: cfg ? cfg.data : null };
+    };
+
+    // The last point is 20 minutes old: the ride is over
+    const t0 = Date.now() - 30 * 60000;
+    const iso = (min) => new Date(t0 + min * 60000).toISOString();
+    const coordinates = Array.from({ length: 6 }, (_, i) => [16 + i * 0.01, 48, 100]);
+    const payload = {
+      name: 'Finished ride',
+      geojson: {
+        coordinates,
+        properties: { timestamps: coordinates.map((_, i) => iso(i * 2)), cumulativeDistance: coordinates.map((_, i) => i * 744) },
+      },
+      bounds: [16, 48, 16.05, 48],
+      stats: {},
+      photos: [],
+    };
+    const fetchMock = jest.fn((url) => {
+      const body = /\/live\?since=/.test(String(url)) ? { points: [], total: 0, lastSeen: iso(10) } : payload;
+      return Promise.resolve({ ok: true, json: () => Promise.resolve(body) });
+    });
+    global.fetch = fetchMock;
+    window.fetch = fetchMock;
+    window.FGPX = baseFGPX({ ajaxUrl: null, live: true, liveInterval: 5, privacyEnabled: true, privacyKm: 0.5 });
+    loadFront();
+    window.FGPX.boot();
+    for (let i = 0; i < 8; i += 1) await flushAsync();
+
+    const player = window.FGPX.player('fgpx-app');
+    let state = player.getState();
+    expect(state.fraction).toBe(1);
+    expect(state.distance).toBeCloseTo(3720 - 500, 5);
+
+    // A fresh point means the ride is under way again: the newest position is shown
+    player.appendPoints([{ lat: 48, lon: 16.06, time: new Date().toISOString() }]);
+    state = player.getState();
+    expect(state.fraction).toBe(1);
+    expect(state.distance).toBeCloseTo(state.totalDistance, 5);
+
+    player.destroy();
+  });
+});
+
+describe('front.js multi-day trips', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    delete window.FGPX;
+    delete window.maplibregl;
+    delete window.Chart;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function dayPayload(id, name, startIso, lon0, extra = {}) {
+    const t0 = Date.parse(startIso);
+    return Object.assign({
+      id,
+      name,
+      geojson: {
+        coordinates: [[lon0, 48, 100], [lon0 + 0.01, 48, 150], [lon0 + 0.02, 48, 120]],
+        properties: {
+          timestamps: [0, 1, 2].map((m) => new Date(t0 + m * 60000).toISOString()),
+          heartRates: [120, 130, 140],
+          cumulativeDistance: [0, 744, 1488],
+        },
+      },
+      bounds: [lon0, 48, lon0 + 0.02, 48],
+      stats: { total_distance_m: 1488, moving_time_s: 120, elevation_gain_m: 50, max_speed_m_s: 13, min_elevation_m: 100, max_elevation_m: 150 },
+      photos: [],
+    }, extra);
+  }
+
+  test('stitch concatenates days with offsets, gaps and per-day summaries', () => {
+    loadFront();
+    expect(window.FGPX.internals.trip.normalizeDays('90, 91,90,x')).toEqual([
+      { id: '90', trackModified: '', photoCacheVersion: '', payloadVersion: '' },
+      { id: '91', trackModified: '', photoCacheVersion: '', payloadVersion: '' },
+    ]);
+    expect(window.FGPX.internals.trip.normalizeDays([{ id: 90 }])).toEqual([]);
+
+    const day1 = dayPayload(90, 'Into the hills', '2026-05-02T08:00:00Z', 16, {
+      chapters: [{ distance: 500, title: 'Lake' }],
+      waypoints: [{ name: 'Hut', distanceMeters: 1400 }],
+    });
+    const day2 = dayPayload(91, 'Back down', '2026-05-03T08:00:00Z', 16.1, {
+      chapters: [{ distance: 200, title: 'Pass' }],
+      cameraKeyframes: [{ distance: 300, zoom: 14, pitch: 50, bearing: 90, offset: 0 }],
+    });
+    delete day2.geojson.properties.heartRates;
+    const trip = window.FGPX.internals.trip.stitch([day1, day2]);
+
+    expect(trip.geojson.coordinates).toHaveLength(6);
+    expect(trip.geojson.properties.cumulativeDistance).toEqual([0, 744, 1488, 1488, 2232, 2976]);
+    expect(trip.geojson.properties.heartRates).toEqual([120, 130, 140, null, null, null]);
+    expect(trip.geojson.properties.gaps).toEqual([3]);
+    expect(trip.stats.total_distance_m).toBe(2976);
+    expect(trip.stats.moving_time_s).toBe(240);
+    expect(trip.stats.max_elevation_m).toBe(150);
+    expect(trip.bounds).toEqual([16, 48, 16.12, 48]);
+    expect(trip.chapters.map((c) => c.distance)).toEqual([500, 1688]);
+    expect(trip.cameraKeyframes.map((k) => k.distance)).toEqual([1788]);
+    expect(trip.waypoints[0].distanceMeters).toBe(1400);
+    expect(trip.trip.days.map((d) => [d.id, d.name, d.startIndex, d.startDistance])).toEqual([
+      [90, 'Into the hills', 0, 0],
+      [91, 'Back down', 3, 1488],
+    ]);
+  });
+
+  test('a trip loads every day, cuts the night from playback and marks day boundaries', async () => {
+    document.body.innerHTML = '<div id="fgpx-app" class="fgpx" data-track-id="90"></div>';
+    installMapLibreMock();
+    window.Chart = function ChartStub() { return { destroy: jest.fn(), update: jest.fn(), resize: jest.fn() }; };
+    const days = {
+      90: dayPayload(90, 'Into the hills', '2026-05-02T08:00:00Z', 16),
+      91: dayPayload(91, 'Back down', '2026-05-03T08:00:00Z', 16.1),
+    };
+    const fetchMock = jest.fn((url) => {
+      const match = /\/track\/(\d+)$/.exec(String(url));
+      return Promise.resolve({ ok: true, json: () => Promise.resolve(days[match[1]]) });
+    });
+    global.fetch = fetchMock;
+    window.fetch = fetchMock;
+    window.FGPX = baseFGPX({
+      ajaxUrl: null,
+      trip: [{ id: '90', trackModified: '1', photoCacheVersion: '0' }, { id: '91', trackModified: '2', photoCacheVersion: '0' }],
+    });
+    loadFront();
+    window.FGPX.boot();
+    for (let i = 0; i < 8; i += 1) await flushAsync();
+
+    expect(fetchMock).toHaveBeenCalledWith('https://example.test/wp-json/fgpx/v1/track/90', expect.anything());
+    expect(fetchMock).toHaveBeenCalledWith('https://example.test/wp-json/fgpx/v1/track/91', expect.anything());
+
+    const player = window.FGPX.player('fgpx-app');
+    expect(player.getState().totalDistance).toBeCloseTo(2976, 5);
+
+    const ticks = Array.from(document.querySelectorAll('#fgpx-app .fgpx-progress .fgpx-day-tick'));
+    expect(ticks).toHaveLength(1);
+    expect(ticks[0].style.left).toBe('50%');
+    expect(ticks[0].title).toBe('Day 2: Back down');
+
+    const dayBox = document.querySelector('#fgpx-app .fgpx-metrics-trip-day');
+    expect(dayBox.textContent).toBe('Day 1 of 2 · 0.00 / 1.49 km · 00:00:00');
+
+    ticks[0].click();
+    let state = player.getState();
+    expect(state.distance).toBeCloseTo(1488, 5);
+    expect(state.time).toBeCloseTo(120, 5);
+
+    player.seek(1);
+    for (let i = 0; i < 4; i += 1) await flushAsync();
+    state = player.getState();
+    // 2 x 2 minutes of riding; the 22 hours between the days are not played back
+    expect(state.time).toBeCloseTo(240, 5);
+    expect(dayBox.textContent).toBe('Day 2 of 2 · 1.49 / 1.49 km · 00:02:00');
+
+    player.destroy();
+    expect(document.querySelector('.fgpx-metrics-trip-day')).toBeNull();
+  });
+});
+
+describe('front.js route points of interest', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    delete window.FGPX;
+    delete window.maplibregl;
+    delete window.Chart;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('trip stitching offsets POI distances by the day start', () => {
+    loadFront();
+    const day = (id, pois) => ({
+      id,
+      geojson: { coordinates: [[16, 48], [16.01, 48]], properties: { cumulativeDistance: [0, 744] } },
+      stats: { total_distance_m: 744 },
+      pois,
+    });
+    const trip = window.FGPX.internals.trip.stitch([
+      day(92, [{ name: 'Spring', type: 'water', lat: 48, lon: 16.005, distanceMeters: 372 }]),
+      day(93, [{ name: 'Summit', type: 'peak', lat: 48, lon: 16.005, distanceMeters: 100 }, { name: 'Lost' }]),
+    ]);
+    expect(trip.pois.map((p) => [p.name, p.distanceMeters])).toEqual([['Spring', 372], ['Summit', 844]]);
+  });
+
+  test('Segments tab lists POIs along the route and a row seeks to it', async () => {
+    document.body.innerHTML = '<div id="fgpx-app" class="fgpx" data-track-id="92"></div>';
+    installMapLibreMock();
+    window.Chart = function ChartStub() { return { destroy: jest.fn(), update: jest.fn(), resize: jest.fn() }; };
+    const t0 = Date.parse('2026-06-01T08:00:00Z');
+    const cumDist = [0, 1000, 2000, 3000, 4000];
+    const payload = {
+      name: 'Ridge walk',
+      geojson: {
+        coordinates: cumDist.map((d) => [16 + d / 75000, 47, 1200 + d / 10]),
+        properties: {
+          timestamps: cumDist.map((d) => new Date(t0 + d * 1000).toISOString()),
+          cumulativeDistance: cumDist,
+        },
+      },
+      bounds: [16, 47, 16.06, 47],
+      stats: {},
+      photos: [],
+      pois: [
+        { name: 'Hochkogel', type: 'peak', lat: 47.001, lon: 16.04, ele: 1612, distanceMeters: 3000, offsetMeters: 111.3 },
+        { name: '', type: 'water', lat: 47, lon: 16.0133, ele: null, distanceMeters: 1000, offsetMeters: 4 },
+        { name: 'Broken', type: 'peak', lat: 'x', lon: 16, distanceMeters: 500 },
+      ],
+    };
+    const fetchMock = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(payload) }));
+    global.fetch = fetchMock;
+    window.fetch = fetchMock;
+
+    window.FGPX = baseFGPX({ ajaxUrl: null, i18n: { segmentsTab: 'Abschnitte', poiWater: 'Wasser' } });
+    loadFront();
+    window.FGPX.boot();
+    for (let i = 0; i < 5; i += 1) await flushAsync();
+
+    const tab = Array.from(document.querySelectorAll('#fgpx-app .fgpx-chart-tab')).find((b) => b.textContent === 'Abschnitte');
+    tab.click();
+    await flushAsync();
+
+    const panel = document.querySelector('#fgpx-app .fgpx-segments-panel');
+    const titles = Array.from(panel.querySelectorAll('.fgpx-segments-title')).map((el) => el.textContent);
+    expect(titles).toContain('Points of interest');
+    const water = panel.querySelector('.fgpx-segment-row-water');
+    const peak = panel.querySelector('.fgpx-segment-row-peak');
+    expect(Array.from(water.cells).map((c) => c.textContent)).toEqual(['💧', 'Wasser', '1.00 km', '4 m', '—']);
+    expect(Array.from(peak.cells).map((c) => c.textContent)).toEqual(['🏔', 'Hochkogel', '3.00 km', '111 m', '1612 m']);
+    expect(panel.querySelectorAll('.fgpx-segment-row-peak')).toHaveLength(1);
+
+    peak.click();
+    expect(peak.classList.contains('fgpx-segment-row-active')).toBe(true);
+    expect(window.FGPX.player('fgpx-app').getState().distance).toBeCloseTo(3000, 5);
+
+    window.FGPX.player('fgpx-app').destroy();
+  });
 });
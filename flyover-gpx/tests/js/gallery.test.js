@@ -79,6 +79,7 @@ function setupGalleryDom(markup) {
         <div class="fgpx-gallery-view-toggle">
           <button type="button" class="fgpx-gallery-view-btn is-active" data-view="grid" aria-pressed="true">Grid</button>
           <button type="button" class="fgpx-gallery-view-btn" data-view="list" aria-pressed="false">List</button>
+          <button type="button" class="fgpx-gallery-view-btn" data-view="map" aria-pressed="false">Map</button>
         </div>
       </div>
       <div class="fgpx-gallery-results fgpx-gallery-results-grid" aria-live="polite"></div>
@@ -101,6 +102,127 @@ function setupGalleryDom(markup) {
   `;
 }
 
+function addFilterMarkup() {
+  const toolbar = document.querySelector('.fgpx-gallery-toolbar');
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'fgpx-gallery-filter-toggle';
+  toggle.setAttribute('aria-expanded', 'false');
+  toggle.textContent = 'Filters';
+  toolbar.appendChild(toggle);
+
+  const panel = document.createElement('div');
+  panel.className = 'fgpx-gallery-filters';
+  panel.hidden = true;
+  document.querySelector('.fgpx-gallery-results').before(panel);
+}
+
+function makeFacetTracks() {
+  return makeTracks(6).map((track) => Object.assign(track, {
+    activityType: track.id % 2 ? 'Cycling' : 'Hiking',
+    region: track.id <= 2 ? 'Tyrol' : (track.id === 6 ? '' : 'Vienna'),
+    tags: track.id <= 3 ? ['Alps'] : ['Coast'],
+    distanceKm: track.id * 10,
+    dateTs: Date.UTC(2026, 0, track.id) / 1000,
+  }));
+}
+
+function facetLabel(facet, value) {
+  return document.querySelector(`[data-facet="${facet}"] input[value="${value}"]`).parentNode;
+}
+
+function installMapLibreMock() {
+  const created = { maps: [], popups: [] };
+
+  class FakeMap {
+    constructor(options) {
+      this.options = options;
+      this.handlers = {};
+      this.sources = {};
+      this.layers = {};
+      this.filters = {};
+      this.canvas = document.createElement('canvas');
+      this.fitBounds = jest.fn();
+      this.easeTo = jest.fn();
+      this.resize = jest.fn();
+      created.maps.push(this);
+    }
+
+    addControl() {}
+
+    on(type, layerOrHandler, handler) {
+      this.handlers[handler ? `${type}:${layerOrHandler}` : type] = handler || layerOrHandler;
+    }
+
+    fire(key, ev) {
+      this.handlers[key](ev || {});
+    }
+
+    addSource(id, source) {
+      this.sources[id] = {
+        options: source,
+        data: source.data,
+        setData(data) {
+          this.data = data;
+        },
+        getClusterExpansionZoom: () => Promise.resolve(8),
+      };
+    }
+
+    getSource(id) {
+      return this.sources[id];
+    }
+
+    addLayer(layer) {
+      this.layers[layer.id] = layer;
+    }
+
+    setFilter(id, filter) {
+      this.filters[id] = filter;
+    }
+
+    getCanvas() {
+      return this.canvas;
+    }
+  }
+
+  class FakePopup {
+    constructor() {
+      this.html = '';
+      this.open = false;
+      created.popups.push(this);
+    }
+
+    setHTML(html) {
+      this.html = html;
+      return this;
+    }
+
+    setLngLat() {
+      return this;
+    }
+
+    addTo() {
+      this.open = true;
+      return this;
+    }
+
+    remove() {
+      this.open = false;
+      return this;
+    }
+  }
+
+  window.maplibregl = { Map: FakeMap, Popup: FakePopup, NavigationControl: function NavigationControl() {} };
+  return created;
+}
+
+function withRoutes(items) {
+  return items.map((track) => Object.assign(track, {
+    route: [[[16 + track.id / 100, 47], [16 + track.id / 100, 47.05]]],
+  }));
+}
+
 function baseStrings() {
   return {
     loadMore: 'Load more',
@@ -151,6 +273,7 @@ describe('gallery.js', () => {
     delete window.__FGPXGalleryPlayerAssetsPromise;
     delete window.__FGPXGalleryConsumedHash;
     delete window.matchMedia;
+    delete window.maplibregl;
     window.location.hash = '';
     global.Date = RealDate;
   });
@@ -764,4 +887,212 @@ describe('gallery.js', () => {
     expect(mountA.getAttribute('data-track-id')).toBe('15');
     expect(mountB.getAttribute('data-track-id')).toBe('15');
   });
+  test('filters narrow client-mode results, update facet counts and share state in the hash', () => {
+    addFilterMarkup();
+    window.FGPXGallery.tracks = makeFacetTracks();
+
+    loadGallery();
+
+    const toggle = document.querySelector('.fgpx-gallery-filter-toggle');
+    const panel = document.querySelector('.fgpx-gallery-filters');
+    expect(panel.hidden).toBe(true);
+    toggle.click();
+    expect(panel.hidden).toBe(false);
+    expect(toggle.getAttribute('aria-expanded')).toBe('true');
+
+    expect(facetLabel('activity', 'cycling').textContent).toContain('3');
+    expect(facetLabel('tags', 'alps').textContent).toContain('3');
+
+    const cycling = facetLabel('activity', 'cycling').querySelector('input');
+    cycling.checked = true;
+    cycling.dispatchEvent(new Event('change', { bubbles: true }));
+
+    expect(Array.from(document.querySelectorAll('.fgpx-gallery-card')).map((card) => card.getAttribute('data-track-id')).sort()).toEqual(['1', '3', '5']);
+    // Activity counts ignore their own selection, tag counts follow it
+    expect(facetLabel('activity', 'hiking').textContent).toContain('3');
+    expect(facetLabel('tags', 'alps').textContent).toContain('2');
+    expect(facetLabel('tags', 'coast').textContent).toContain('1');
+    expect(toggle.textContent).toBe('Filters (1)');
+
+    const distanceMin = document.querySelector('[data-range="distance_min"]');
+    expect(distanceMin.min).toBe('10');
+    expect(document.querySelector('[data-range="distance_max"]').max).toBe('60');
+    distanceMin.value = '20';
+    distanceMin.dispatchEvent(new Event('input', { bubbles: true }));
+
+    expect(Array.from(document.querySelectorAll('.fgpx-gallery-card')).map((card) => card.getAttribute('data-track-id')).sort()).toEqual(['3', '5']);
+    expect(document.querySelector('.fgpx-gallery-result-count').textContent).toBe('2 tracks');
+    expect(window.location.hash).toBe('#gallery?activity=cycling&distance_min=20');
+
+    document.querySelector('.fgpx-gallery-filter-clear').click();
+    expect(document.querySelectorAll('.fgpx-gallery-card').length).toBe(6);
+    expect(window.location.hash).toBe('');
+    expect(toggle.textContent).toBe('Filters');
+  });
+
+  test('the region facet lists track locations and filters like activity', () => {
+    addFilterMarkup();
+    window.FGPXGallery.tracks = makeFacetTracks();
+
+    loadGallery();
+    document.querySelector('.fgpx-gallery-filter-toggle').click();
+
+    const options = Array.from(document.querySelectorAll('[data-facet="region"] input')).map((input) => input.value);
+    expect(options).toEqual(['tyrol', 'vienna']);
+    expect(facetLabel('region', 'vienna').textContent).toContain('3');
+
+    const vienna = facetLabel('region', 'vienna').querySelector('input');
+    vienna.checked = true;
+    vienna.dispatchEvent(new Event('change', { bubbles: true }));
+
+    expect(Array.from(document.querySelectorAll('.fgpx-gallery-card')).map((card) => card.getAttribute('data-track-id')).sort()).toEqual(['3', '4', '5']);
+    // Region counts ignore their own selection, activity counts follow it
+    expect(facetLabel('region', 'tyrol').textContent).toContain('2');
+    expect(facetLabel('activity', 'cycling').textContent).toContain('2');
+    expect(window.location.hash).toBe('#gallery?region=vienna');
+  });
+
+  test('filter state is restored from a shared hash', () => {
+    addFilterMarkup();
+    window.FGPXGallery.tracks = makeFacetTracks();
+    window.location.hash = '#gallery?tags=alps&date_from=2026-01-02&sort=title';
+
+    loadGallery();
+
+    expect(document.querySelector('.fgpx-gallery-filters').hidden).toBe(false);
+    expect(document.querySelector('.fgpx-gallery-filter-toggle').textContent).toBe('Filters (2)');
+    expect(document.querySelector('.fgpx-gallery-sort').value).toBe('title');
+    expect(facetLabel('tags', 'alps').querySelector('input').checked).toBe(true);
+    expect(document.querySelector('[data-date="date_from"]').value).toBe('2026-01-02');
+    expect(Array.from(document.querySelectorAll('.fgpx-gallery-card')).map((card) => card.getAttribute('data-track-id'))).toEqual(['2', '3']);
+  });
+
+  test('server mode passes filters to the endpoint and renders returned facets', async () => {
+    addFilterMarkup();
+    delete window.FGPXGallery.tracks;
+    Object.assign(window.FGPXGallery, {
+      endpointUrl: '/wp-json/fgpx/v1/gallery/tracks',
+      ajaxUrl: '/wp-admin/admin-ajax.php',
+      ajaxAction: 'fgpx_gallery_tracks',
+    });
+    const facets = {
+      activity: [{ value: 'cycling', label: 'Cycling', count: 4 }, { value: 'hiking', label: 'Hiking', count: 2 }],
+      tags: [],
+      ranges: { distance: { min: 5, max: 80 } },
+    };
+
+    window.fetch = jest.fn(() => Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve(Object.assign(buildPayload(makeTracks(4), 1, 1), { facets })),
+    }));
+
+    loadGallery();
+    await flushPromises();
+    await flushPromises();
+
+    expect(facetLabel('activity', 'hiking').textContent).toContain('2');
+    expect(document.querySelector('[data-facet="tags"]').hidden).toBe(true);
+    expect(document.querySelector('[data-facet="distance"]').hidden).toBe(false);
+    expect(document.querySelector('[data-facet="gain"]').hidden).toBe(true);
+
+    jest.useFakeTimers();
+    const hiking = facetLabel('activity', 'hiking').querySelector('input');
+    hiking.checked = true;
+    hiking.dispatchEvent(new Event('change', { bubbles: true }));
+    const distanceMax = document.querySelector('[data-range="distance_max"]');
+    distanceMax.value = '40';
+    distanceMax.dispatchEvent(new Event('input', { bubbles: true }));
+
+    expect(window.fetch).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(200);
+    expect(window.fetch).toHaveBeenCalledTimes(2);
+
+    const url = new URL(window.fetch.mock.calls[1][0], 'http://localhost');
+    expect(url.searchParams.get('activity')).toBe('hiking');
+    expect(url.searchParams.get('distance_max')).toBe('40');
+    expect(url.searchParams.get('page')).toBe('1');
+    expect(url.searchParams.has('distance_min')).toBe(false);
+    jest.useRealTimers();
+  });
+  test('map view draws the filtered tracks and opens the player from a route', async () => {
+    const created = installMapLibreMock();
+    window.FGPXGallery.tracks = withRoutes(makeTracks(5));
+    window.FGPXGallery.tracks[4].route = [];
+
+    loadGallery();
+    document.querySelector('[data-view="map"]').click();
+    await flushPromises();
+
+    expect(document.querySelector('.fgpx-gallery-results').hidden).toBe(true);
+    expect(document.querySelector('.fgpx-gallery-map').hidden).toBe(false);
+    expect(document.querySelector('.fgpx-gallery-load-more').hidden).toBe(true);
+    expect(created.maps).toHaveLength(1);
+
+    const map = created.maps[0];
+    map.fire('load');
+    const lines = map.getSource('fgpx-gallery-routes').data.features;
+    expect(lines.map((feature) => feature.properties.id)).toEqual([4, 3, 2, 1]);
+    expect(lines[0].geometry.type).toBe('MultiLineString');
+    expect(map.getSource('fgpx-gallery-starts').options.cluster).toBe(true);
+    expect(map.getSource('fgpx-gallery-starts').data.features[0].geometry.coordinates).toEqual([16.04, 47]);
+    expect(map.fitBounds).toHaveBeenCalledTimes(1);
+
+    map.fire('mousemove:fgpx-gallery-routes-line', { features: [{ properties: { id: 2 } }], lngLat: { lng: 16.02, lat: 47 } });
+    expect(created.popups[0].open).toBe(true);
+    expect(created.popups[0].html).toContain('Track 2');
+    expect(map.filters['fgpx-gallery-routes-highlight']).toEqual(['in', ['get', 'id'], ['literal', [2]]]);
+
+    const search = document.querySelector('.fgpx-gallery-search');
+    search.value = 'Track 3';
+    search.dispatchEvent(new Event('input'));
+    await flushPromises();
+    expect(map.getSource('fgpx-gallery-routes').data.features.map((feature) => feature.properties.id)).toEqual([3]);
+    expect(map.fitBounds).toHaveBeenCalledTimes(2);
+
+    map.fire('click:fgpx-gallery-routes-line', { features: [{ properties: { id: 3 } }] });
+    expect(created.popups[0].open).toBe(false);
+    expect(document.querySelector('.fgpx-gallery-player-title').textContent).toBe('Track 3');
+    expect(window.FGPX.initContainer).toHaveBeenCalledTimes(1);
+
+    document.querySelector('[data-view="grid"]').click();
+    expect(document.querySelector('.fgpx-gallery-results').hidden).toBe(false);
+    expect(document.querySelector('.fgpx-gallery-map').hidden).toBe(true);
+  });
+
+  test('server mode map view requests every matching track with its route', async () => {
+    installMapLibreMock();
+    delete window.FGPXGallery.tracks;
+    Object.assign(window.FGPXGallery, {
+      endpointUrl: '/wp-json/fgpx/v1/gallery/tracks',
+      ajaxUrl: '/wp-admin/admin-ajax.php',
+      ajaxAction: 'fgpx_gallery_tracks',
+    });
+
+    window.fetch = jest.fn((url) => {
+      const isMap = String(url).includes('view=map');
+      const payload = buildPayload(isMap ? withRoutes(makeTracks(8)) : makeTracks(4), 1, isMap ? 1 : 2);
+      payload.pagination.total = isMap ? 600 : 8;
+      return Promise.resolve({ ok: true, json: () => Promise.resolve(payload) });
+    });
+
+    loadGallery();
+    await flushPromises();
+    await flushPromises();
+    expect(window.fetch).toHaveBeenCalledTimes(1);
+
+    document.querySelector('[data-view="map"]').click();
+    await flushPromises();
+    await flushPromises();
+
+    expect(window.fetch).toHaveBeenCalledTimes(2);
+    expect(String(window.fetch.mock.calls[1][0])).toContain('view=map');
+    expect(document.querySelector('.fgpx-gallery-map-note').textContent).toContain('8 of 600');
+
+    document.querySelector('[data-view="list"]').click();
+    await flushPromises();
+    await flushPromises();
+    expect(window.fetch).toHaveBeenCalledTimes(3);
+    expect(String(window.fetch.mock.calls[2][0])).not.toContain('view=map');
+    expect(document.querySelectorAll('.fgpx-gallery-card-list')).toHaveLength(4);
+  });
 });
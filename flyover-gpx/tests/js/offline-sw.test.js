@@ -0,0 +1,115 @@
+/**
+ * Tests for offline-sw.js — the "Save for offline" service worker.
+ *
+ * The worker is evaluated with a stand-in `self` that records its event
+ * listeners, an in-memory Cache API and a mocked fetch, so fetch events can
+ * be dispatched by hand.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const SW_SRC = fs.readFileSync(
+  path.resolve(__dirname, '../../assets/js/offline-sw.js'),
+  'utf8'
+);
+
+const ORIGIN = 'https://example.test';
+const PAGE_URL = ORIGIN + '/rides/alpine-loop/';
+const TRACK_URL = ORIGIN + '/wp-json/fgpx/v1/track/87';
+const TILE_URL = 'https://tiles.example/12/2170/1432.png';
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function installWorker(savedUrls) {
+  const listeners = {};
+  const store = new Map();
+  const cache = {
+    match: (request) => Promise.resolve(store.get(typeof request === 'string' ? request : request.url)),
+  };
+  store.set(ORIGIN + '/fgpx-offline-manifest.json', {
+    json: () => Promise.resolve({ tracks: { ['87@' + PAGE_URL]: { urls: savedUrls } } }),
+  });
+  savedUrls.forEach((url) => store.set(url, { status: 200, body: 'cached ' + url }));
+
+  const self = {
+    location: new URL(ORIGIN + '/'),
+    registration: { scope: ORIGIN + '/' },
+    clients: { claim: jest.fn() },
+    skipWaiting: jest.fn(),
+    addEventListener: (type, fn) => { listeners[type] = fn; },
+  };
+  const caches = { open: () => Promise.resolve(cache), keys: () => Promise.resolve([]) };
+  const fetchMock = jest.fn((request) => Promise.resolve({ status: 200, body: 'network ' + request.url }));
+
+  // eslint-disable-next-line no-new-func
+  new Function('self', 'caches', 'fetch', SW_SRC)(self, caches, fetchMock);
+
+  function dispatchFetch(url, mode) {
+    const event = {
+      request: { url, method: 'GET', mode: mode || 'cors' },
+      respondWith: jest.fn(),
+    };
+    listeners.fetch(event);
+    return event;
+  }
+
+  return { listeners, store, fetchMock, dispatchFetch };
+}
+
+describe('offline-sw.js', () => {
+  test('answers saved URLs only and never touches admin or REST requests', async () => {
+    const worker = installWorker([PAGE_URL, TRACK_URL, TILE_URL]);
+    await flushPromises();
+
+    const tile = worker.dispatchFetch(TILE_URL);
+    expect(tile.respondWith).toHaveBeenCalledTimes(1);
+    await expect(tile.respondWith.mock.calls[0][0]).resolves.toEqual({ status: 200, body: 'cached ' + TILE_URL });
+
+    [
+      ORIGIN + '/wp-admin/post.php?post=87&action=edit',
+      ORIGIN + '/wp-admin/admin-ajax.php?action=heartbeat',
+      ORIGIN + '/wp-json/wp/v2/users/me',
+      ORIGIN + '/?rest_route=/wp/v2/posts',
+      ORIGIN + '/wp-login.php',
+      ORIGIN + '/rides/another-ride/',
+      'https://tiles.example/12/2171/1432.png',
+    ].forEach((url) => {
+      expect(worker.dispatchFetch(url, 'navigate').respondWith).not.toHaveBeenCalled();
+    });
+
+    const post = { request: { url: PAGE_URL, method: 'POST', mode: 'navigate' }, respondWith: jest.fn() };
+    worker.listeners.fetch(post);
+    expect(post.respondWith).not.toHaveBeenCalled();
+  });
+
+  test('saved pages and track data still go to the network first', async () => {
+    const worker = installWorker([PAGE_URL, TRACK_URL]);
+    await flushPromises();
+
+    const page = worker.dispatchFetch(PAGE_URL, 'navigate');
+    await expect(page.respondWith.mock.calls[0][0]).resolves.toEqual({ status: 200, body: 'network ' + PAGE_URL });
+
+    worker.fetchMock.mockImplementation(() => Promise.reject(new TypeError('offline')));
+    const data = worker.dispatchFetch(TRACK_URL);
+    await expect(data.respondWith.mock.calls[0][0]).resolves.toEqual({ status: 200, body: 'cached ' + TRACK_URL });
+  });
+
+  test('requests before the manifest is read wait for it and pass unsaved URLs through', async () => {
+    const worker = installWorker([TILE_URL]);
+    expect(worker.dispatchFetch(ORIGIN + '/wp-admin/', 'navigate').respondWith).not.toHaveBeenCalled();
+
+    const early = worker.dispatchFetch(ORIGIN + '/rides/another-ride/', 'navigate');
+    expect(early.respondWith).toHaveBeenCalledTimes(1);
+    await expect(early.respondWith.mock.calls[0][0]).resolves.toEqual({ status: 200, body: 'network ' + ORIGIN + '/rides/another-ride/' });
+
+    // A newly saved track is picked up once the player reports the manifest change
+    worker.store.get(ORIGIN + '/fgpx-offline-manifest.json').json = () => Promise.resolve({ tracks: { a: { urls: [TILE_URL, PAGE_URL] } } });
+    worker.store.set(PAGE_URL, { status: 200, body: 'cached ' + PAGE_URL });
+    expect(worker.dispatchFetch(PAGE_URL, 'navigate').respondWith).not.toHaveBeenCalled();
+    const waitUntil = jest.fn();
+    worker.listeners.message({ data: { type: 'fgpx-offline-manifest' }, waitUntil });
+    await waitUntil.mock.calls[0][0];
+    expect(worker.dispatchFetch(PAGE_URL, 'navigate').respondWith).toHaveBeenCalledTimes(1);
+  });
+});
@@ -281,6 +281,71 @@ describe('stats.js runtime', () => {
     expect(sourceIds.length).toBe(0);
   });
 
+  test('renders records with segment links and respects showRecords', async () => {
+    document.body.innerHTML = '<div id="fgpx-stats-admin-root"></div>';
+
+    const sourceIds = [];
+    installMapLibreMock(sourceIds);
+    window.Chart = function ChartStub() {};
+
+    const fetchMock = jest.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({
+        summary: { totalTracks: 2 },
+        trends: { monthly: [], yearly: [] },
+        heatmap: { points: [] },
+        records: [
+          { key: 'fastest_5000', value: 754, trackId: 7, trackTitle: 'Lake loop', startM: 1200, endM: 6200, url: 'https://example.test/lake/#fgpx-segment=7:1200-6200' },
+          { key: 'longest', value: 84250, trackId: 9, trackTitle: '', startM: null, endM: null, url: '' },
+          { key: 'power_1200', value: 251.6, trackId: 7, trackTitle: 'Lake loop', startM: 300, endM: 9100, url: 'https://example.test/lake/#fgpx-segment=7:300-9100' },
+          { key: 'hr_3600', value: 162.2, trackId: 7, trackTitle: 'Lake loop', startM: 0, endM: 30000, url: '' },
+          { key: 'unknown', value: 1, trackId: 7 },
+        ],
+      }),
+    });
+    global.fetch = fetchMock;
+    window.fetch = fetchMock;
+
+    window.FGPXStatsAdmin = {
+      rootId: 'fgpx-stats-admin-root',
+      endpointUrl: 'https://example.test/wp-json/fgpx/v1/stats/aggregate',
+      ajaxUrl: 'https://example.test/wp-admin/admin-ajax.php',
+      ajaxAction: 'fgpx_stats',
+      strings: { recordsTitle: 'Bestwerte', recordFastest: 'Schnellste %s' },
+    };
+
+    loadStatsScript();
+    await flushAsync();
+    await flushAsync();
+
+    const root = document.getElementById('fgpx-stats-admin-root');
+    expect(root.querySelector('.fgpx-stats-records .fgpx-stats-chart-title').textContent).toBe('Bestwerte');
+    const rows = Array.from(root.querySelectorAll('.fgpx-stats-record')).map((row) => [
+      row.querySelector('.fgpx-stats-record-label').textContent,
+      row.querySelector('.fgpx-stats-record-value').textContent,
+      row.querySelector('.fgpx-stats-record-track').textContent,
+    ]);
+    expect(rows).toEqual([
+      ['Schnellste 5 km', '12:34', 'Lake loop'],
+      ['Longest track', '84.25 km', '#9'],
+      ['Best 20 min power', '252 W', 'Lake loop'],
+      ['Best 60 min heart rate', '162 bpm', 'Lake loop'],
+    ]);
+
+    const link = root.querySelector('[data-record="fastest_5000"] a.fgpx-stats-record-track');
+    expect(link.getAttribute('href')).toBe('https://example.test/lake/#fgpx-segment=7:1200-6200');
+    expect(root.querySelector('[data-record="longest"] a')).toBeNull();
+
+    document.body.innerHTML = '<div id="fgpx-stats-admin-root"></div>';
+    window.FGPXStatsAdmin.showRecords = false;
+    loadStatsScript();
+    await flushAsync();
+    await flushAsync();
+
+    expect(document.querySelector('.fgpx-stats-records')).toBeNull();
+    expect(document.querySelectorAll('.fgpx-stats-kpi').length).toBe(9);
+  });
+
   test('uses unique map source IDs per instance to avoid collisions', async () => {
     document.body.innerHTML = '<div id="stats-a"></div><div id="stats-b"></div>';
 
@@ -474,6 +474,164 @@ describe('Timeline Component', () => {
 		expect(modalContent.style.maxHeight).toBe('');
 	});
 
+	test('trip cards list each day and open one player for the whole trip', async () => {
+		const trip = [
+			{ id: '7', trackModified: '100', photoCacheVersion: '0' },
+			{ id: '8', trackModified: '200', photoCacheVersion: '3' },
+		];
+		mockFetchSuccess(makePayload([makeMonth(1746144000, [
+			{
+				id: 7, title: 'Alps Tour', distanceKm: 180.5, durationLabel: '11h 5m', elevationGainLabel: '3,200', dateLabel: 'May 2, 2025 – May 3, 2025', activityDateTs: 1746144000, previewUrl: '',
+				days: [
+					{ id: 7, title: 'Day one', distanceKm: 95.2, durationLabel: '6h 0m', elevationGainLabel: '1,900', dateLabel: 'May 2, 2025' },
+					{ id: 8, title: 'Day two', distanceKm: 85.3, durationLabel: '5h 5m', elevationGainLabel: '', dateLabel: 'May 3, 2025' },
+				],
+				trip,
+			},
+		])]));
+		window.FGPX = { instances: {}, initContainer: jest.fn() };
+
+		eval(TIMELINE_SRC);
+		await flushPromises();
+		await flushPromises();
+
+		const card = container.querySelector('.timeline-track-card');
+		expect(card.classList.contains('timeline-trip-card')).toBe(true);
+		const days = card.querySelectorAll('.timeline-trip-days span');
+		expect(days.length).toBe(2);
+		expect(days[0].textContent).toBe('Day 1: 95.2 km · 6h 0m · 1,900 m');
+		expect(days[1].textContent).toBe('Day 2: 85.3 km · 5h 5m');
+		expect(days[1].title).toBe('Day two (May 3, 2025)');
+		expect(card.querySelector('.timeline-track-stats').textContent).toContain('Distance: 180.5 km');
+
+		card.click();
+		await flushPromises();
+
+		const playerRoot = document.getElementById('fgpx-timeline-player-7');
+		expect(playerRoot.getAttribute('data-track-id')).toBe('7');
+		expect(window.FGPX.instances[playerRoot.id].trip).toEqual(trip);
+	});
+
+	function mockCalendarPages() {
+		const track = (id, title, km, gain, ts, extra) => Object.assign({
+			id, title, distanceKm: km, elevationGainM: gain, elevationGainLabel: String(gain), durationLabel: '1h 0m', dateLabel: title + ' date', activityDateTs: ts, previewUrl: '',
+		}, extra || {});
+		const pages = {
+			1: {
+				months: [
+					makeMonth(1717200000, [track(1, 'June ride', 40, 300, 1718020800)]),
+					makeMonth(1740787200, [track(2, 'Morning loop', 20, 100, 1742036400), track(3, 'Evening loop', 10, 50, 1742054400)]),
+				],
+				pagination: { page: 1, perPage: 50, hasMore: true },
+			},
+			2: {
+				months: [makeMonth(1746057600, [track(7, 'Alps Tour', 180, 3200, 1746187200, {
+					days: [
+						{ id: 7, title: 'Day one', distanceKm: 100, elevationGainM: 2000, dateLabel: 'May 2, 2025', activityDateTs: 1746187200 },
+						{ id: 8, title: 'Day two', distanceKm: 80, elevationGainM: 1200, dateLabel: 'May 3, 2025', activityDateTs: 1746273600 },
+					],
+					trip: [{ id: '7', trackModified: '100', photoCacheVersion: '0' }, { id: '8', trackModified: '200', photoCacheVersion: '3' }],
+				})])],
+				pagination: { page: 2, perPage: 50, hasMore: false },
+			},
+		};
+		window.fetch = jest.fn((url) => {
+			const page = /[?&]page=2/.test(url) ? 2 : 1;
+			return Promise.resolve({ ok: true, json: () => Promise.resolve(pages[page]) });
+		});
+	}
+
+	async function bootCalendar() {
+		for (let i = 0; i < 6; i++) {
+			await flushPromises();
+		}
+	}
+
+	test('calendar orientation loads every page into a yearly heatmap with totals', async () => {
+		mockConfig.orientation = 'calendar';
+		mockCalendarPages();
+
+		eval(TIMELINE_SRC);
+		await bootCalendar();
+
+		expect(window.fetch).toHaveBeenCalledTimes(2);
+		expect(window.fetch.mock.calls[0][0]).toContain('page=1&per_page=50');
+		expect(window.fetch.mock.calls[1][0]).toContain('page=2&per_page=50');
+
+		const content = container.querySelector('.timeline-content');
+		expect(content.classList.contains('timeline-calendar')).toBe(true);
+		expect(content.querySelector('.timeline-calendar-year').textContent).toBe('2025');
+		const totals = () => Array.from(content.querySelectorAll('.timeline-calendar-totals span')).map((span) => span.textContent);
+		expect(totals()).toEqual(['Tracks: 4', 'Distance: 210 km', 'Elevation Gain: 3,350 m', 'Active days: 3']);
+
+		const cell = (date) => content.querySelector('.timeline-calendar-cell[data-date="' + date + '"]');
+		expect(cell('2025-05-02').getAttribute('data-level')).toBe('4');
+		expect(cell('2025-05-03').getAttribute('data-level')).toBe('4');
+		expect(cell('2025-03-15').getAttribute('data-level')).toBe('2');
+		expect(cell('2025-03-15').tagName).toBe('BUTTON');
+		expect(cell('2025-03-16').getAttribute('data-level')).toBe('0');
+		expect(cell('2025-03-16').tagName).toBe('SPAN');
+		expect(content.querySelectorAll('.timeline-calendar-grid .timeline-calendar-cell:not(.timeline-calendar-cell-outside)').length).toBe(365);
+
+		content.querySelector('.timeline-calendar-metric[data-metric="elevation"]').click();
+		expect(cell('2025-03-15').getAttribute('data-level')).toBe('1');
+		expect(cell('2025-05-03').getAttribute('data-level')).toBe('3');
+		expect(content.querySelector('.timeline-calendar-metric[data-metric="elevation"]').getAttribute('aria-pressed')).toBe('true');
+
+		expect(content.querySelector('.timeline-calendar-year-next').disabled).toBe(true);
+		content.querySelector('.timeline-calendar-year-prev').click();
+		expect(content.querySelector('.timeline-calendar-year').textContent).toBe('2024');
+		expect(totals()).toEqual(['Tracks: 1', 'Distance: 40 km', 'Elevation Gain: 300 m', 'Active days: 1']);
+		expect(content.querySelector('.timeline-calendar-year-prev').disabled).toBe(true);
+		expect(cell('2024-06-10').getAttribute('data-level')).toBe('4');
+	});
+
+	test('calendar columns start on the site week start day, including Saturday', async () => {
+		mockConfig.orientation = 'calendar';
+		mockConfig.weekStart = 6;
+		mockCalendarPages();
+
+		eval(TIMELINE_SRC);
+		await bootCalendar();
+
+		const cells = Array.from(container.querySelectorAll('.timeline-calendar-grid .timeline-calendar-cell'));
+		// 1 January 2025 is a Wednesday: Saturday to Tuesday of the first column fall in 2024
+		expect(cells.slice(0, 4).every((cell) => cell.classList.contains('timeline-calendar-cell-outside'))).toBe(true);
+		expect(cells[4].getAttribute('data-date')).toBe('2025-01-01');
+		expect(cells[7].getAttribute('data-date')).toBe('2025-01-04');
+		expect(new Date(2025, 0, 4).getDay()).toBe(6);
+		expect(cells.length % 7).toBe(0);
+	});
+
+	test('calendar day opens its track, or lists the tracks when there are several', async () => {
+		mockConfig.orientation = 'calendar';
+		mockCalendarPages();
+		window.FGPX = { instances: {}, initContainer: jest.fn() };
+
+		eval(TIMELINE_SRC);
+		await bootCalendar();
+
+		const content = container.querySelector('.timeline-content');
+		content.querySelector('.timeline-calendar-cell[data-date="2025-05-03"]').click();
+		await flushPromises();
+
+		const playerRoot = document.getElementById('fgpx-timeline-player-8');
+		expect(playerRoot).not.toBeNull();
+		expect(window.FGPX.instances[playerRoot.id].photoCacheVersion).toBe('3');
+		expect(window.FGPX.instances[playerRoot.id].trackModified).toBe('200');
+		playerRoot.parentNode.querySelector('.timeline-modal-close').click();
+
+		content.querySelector('.timeline-calendar-cell[data-date="2025-03-15"]').click();
+		const items = content.querySelectorAll('.timeline-calendar-day .timeline-track-item');
+		expect(Array.from(items).map((item) => item.getAttribute('data-track-id'))).toEqual(['2', '3']);
+		expect(content.querySelector('.timeline-calendar-day-label').textContent).toBe('Morning loop date');
+		expect(content.querySelector('.timeline-calendar-cell.is-selected').getAttribute('data-date')).toBe('2025-03-15');
+		expect(document.getElementById('fgpx-timeline-player-2')).toBeNull();
+
+		items[1].querySelector('.timeline-track-card').click();
+		expect(document.getElementById('fgpx-timeline-player-3')).not.toBeNull();
+	});
+
 	test('boot applies card sizing css variables from timeline config', () => {
 		eval(TIMELINE_SRC);
 
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+
+const IMPORT_SRC = fs.readFileSync(
+  path.resolve(__dirname, '../../assets/js/track-import.js'),
+  'utf8'
+);
+
+function loadImporter() {
+  // eslint-disable-next-line no-eval
+  eval(IMPORT_SRC);
+  return window.FGPXTrackImport;
+}
+
+const FIT_EPOCH_OFFSET = 631065600;
+const DEG_TO_SEMICIRCLE = Math.pow(2, 31) / 180;
+
+// Minimal FIT writer: file_id message (skipped by the parser) + record messages.
+function buildFit(records, { compressedLast = false } = {}) {
+  const bytes = [];
+  const u8 = (v) => bytes.push(v & 0xFF);
+  const u16 = (v) => { u8(v); u8(v >> 8); };
+  const u32 = (v) => { u16(v & 0xFFFF); u16((v >>> 16) & 0xFFFF); };
+
+  // Definition: local 1 → global 0 (file_id) with a single enum field
+  u8(0x41); u8(0); u8(0); u16(0); u8(1); u8(0); u8(1); u8(0x00);
+  u8(0x01); u8(4); // data: type=activity
+
+  // Definition: local 0 → global 20 (record)
+  const fields = [[253, 4, 0x86], [0, 4, 0x85], [1, 4, 0x85], [2, 2, 0x84], [3, 1, 0x02], [4, 1, 0x02], [7, 2, 0x84], [13, 1, 0x01]];
+  u8(0x40); u8(0); u8(0); u16(20); u8(fields.length);
+  fields.forEach(([num, size, type]) => { u8(num); u8(size); u8(type); });
+
+  records.forEach((r, i) => {
+    const compressed = compressedLast && i === records.length - 1;
+    const fitTs = r.time - FIT_EPOCH_OFFSET;
+    u8(compressed ? (0x80 | (fitTs & 0x1F)) : 0x00);
+    u32(compressed ? 0xFFFFFFFF : fitTs);
+    u32(Math.round(r.lat * DEG_TO_SEMICIRCLE));
+    u32(Math.round(r.lon * DEG_TO_SEMICIRCLE));
+    u16(Math.round((r.ele + 500) * 5));
+    u8(r.hr == null ? 0xFF : r.hr);
+    u8(r.cad == null ? 0xFF : r.cad);
+    u16(r.power == null ? 0xFFFF : r.power);
+    u8(r.temp == null ? 0x7F : r.temp);
+  });
+
+  const header = [14, 0x20, 0, 0, 0, 0, 0, 0, 0x2E, 0x46, 0x49, 0x54, 0, 0];
+  const dataSize = bytes.length;
+  header[4] = dataSize & 0xFF; header[5] = (dataSize >> 8) & 0xFF;
+  const all = new Uint8Array(header.concat(bytes, [0, 0]));
+  return all.buffer;
+}
+
+const TCX = `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2" xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">
+  <Activities><Activity Sport="Biking"><Lap StartTime="2026-01-01T08:00:00Z"><Track>
+    <Trackpoint><Time>2026-01-01T08:00:00Z</Time><Position><LatitudeDegrees>48.0</LatitudeDegrees><LongitudeDegrees>16.0</LongitudeDegrees></Position><AltitudeMeters>200</AltitudeMeters><HeartRateBpm><Value>120</Value></HeartRateBpm><Cadence>80</Cadence><Extensions><ns3:TPX><ns3:Watts>210</ns3:Watts></ns3:TPX></Extensions></Trackpoint>
+    <Trackpoint><Time>2026-01-01T08:00:05Z</Time><HeartRateBpm><Value>121</Value></HeartRateBpm></Trackpoint>
+    <Trackpoint><Time>2026-01-01T08:10:00Z</Time><Position><LatitudeDegrees>48.01</LatitudeDegrees><LongitudeDegrees>16.0</LongitudeDegrees></Position><AltitudeMeters>215.5</AltitudeMeters><HeartRateBpm><Value>135</Value></HeartRateBpm><Cadence>85</Cadence><Extensions><ns3:TPX><ns3:Watts>230</ns3:Watts></ns3:TPX></Extensions></Trackpoint>
+  </Track></Lap></Activity></Activities>
+</TrainingCenterDatabase>`;
+
+// Second point has no altitude; the GPX it converts to is parsed by the PHP tests too
+const TCX_NO_ALTITUDE = `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2" xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">
+  <Activities><Activity Sport="Biking"><Lap StartTime="2026-01-01T08:00:00Z"><Track>
+    <Trackpoint><Time>2026-01-01T08:00:00Z</Time><Position><LatitudeDegrees>48.0</LatitudeDegrees><LongitudeDegrees>16.0</LongitudeDegrees></Position><AltitudeMeters>200</AltitudeMeters><HeartRateBpm><Value>120</Value></HeartRateBpm><Extensions><ns3:TPX><ns3:Watts>210</ns3:Watts></ns3:TPX></Extensions></Trackpoint>
+    <Trackpoint><Time>2026-01-01T08:01:00Z</Time><Position><LatitudeDegrees>48.002</LatitudeDegrees><LongitudeDegrees>16.0</LongitudeDegrees></Position><Extensions><ns3:TPX><ns3:Watts>225</ns3:Watts></ns3:TPX></Extensions></Trackpoint>
+    <Trackpoint><Time>2026-01-01T08:02:00Z</Time><Position><LatitudeDegrees>48.004</LatitudeDegrees><LongitudeDegrees>16.0</LongitudeDegrees></Position><AltitudeMeters>202</AltitudeMeters><HeartRateBpm><Value>128</Value></HeartRateBpm><Extensions><ns3:TPX><ns3:Watts>240</ns3:Watts></ns3:TPX></Extensions></Trackpoint>
+  </Track></Lap></Activity></Activities>
+</TrainingCenterDatabase>`;
+
+describe('track-import.js (FIT/TCX → GPX)', () => {
+  let importer;
+
+  beforeEach(() => {
+    delete window.FGPXTrackImport;
+    importer = loadImporter();
+  });
+
+  test('detectFormat recognizes supported extensions case-insensitively', () => {
+    expect(importer.detectFormat('ride.FIT')).toBe('fit');
+    expect(importer.detectFormat('ride.tcx')).toBe('tcx');
+    expect(importer.detectFormat('ride.gpx')).toBe('gpx');
+    expect(importer.detectFormat('ride.kml')).toBeNull();
+  });
+
+  test('parseFit decodes record messages into the REST payload structure', () => {
+    const t0 = Date.parse('2026-01-01T08:00:00Z') / 1000;
+    const fit = buildFit([
+      { time: t0, lat: 48, lon: 16, ele: 200, hr: 120, cad: 80, power: 210, temp: 12 },
+      { time: t0 + 600, lat: 48.01, lon: 16, ele: 215, hr: null, cad: 85, power: null, temp: 13 },
+      { time: t0 + 601, lat: 48.02, lon: 16, ele: 220, hr: 140, cad: 90, power: 250, temp: 13 },
+    ], { compressedLast: true });
+
+    const track = importer.parseFit(fit);
+
+    expect(track.coordinates).toHaveLength(3);
+    expect(track.coordinates[0][0]).toBeCloseTo(16, 5);
+    expect(track.coordinates[0][1]).toBeCloseTo(48, 5);
+    expect(track.coordinates[1][2]).toBeCloseTo(215, 1);
+    expect(track.properties.timestamps).toEqual([
+      '2026-01-01T08:00:00Z',
+      '2026-01-01T08:10:00Z',
+      '2026-01-01T08:10:01Z',
+    ]);
+    expect(track.properties.heartRates).toEqual([120, null, 140]);
+    expect(track.properties.powers).toEqual([210, null, 250]);
+    expect(track.properties.temperatures).toEqual([12, 13, 13]);
+    expect(track.properties.cumulativeDistance[1]).toBeGreaterThan(1100);
+    expect(track.properties.cumulativeDistance[1]).toBeLessThan(1125);
+  });
+
+  test('parseFit rejects non-FIT buffers', () => {
+    const junk = new Uint8Array(32).buffer;
+    expect(() => importer.parseFit(junk)).toThrow('Not a valid FIT file.');
+  });
+
+  test('parseTcx skips trackpoints without a position and reads TPX watts', () => {
+    const track = importer.parseTcx(TCX);
+
+    expect(track.coordinates).toHaveLength(2);
+    expect(track.coordinates[1]).toEqual([16, 48.01, 215.5]);
+    expect(track.properties.heartRates).toEqual([120, 135]);
+    expect(track.properties.cadences).toEqual([80, 85]);
+    expect(track.properties.powers).toEqual([210, 230]);
+    expect(track.properties.temperatures).toEqual([null, null]);
+  });
+
+  test('parseTcx rejects non-TCX documents', () => {
+    expect(() => importer.parseTcx('<gpx></gpx>')).toThrow('Not a valid TCX file.');
+  });
+
+  test('summarize reports points, distance, duration and detected streams', () => {
+    const summary = importer.summarize(importer.parseTcx(TCX));
+
+    expect(summary.points).toBe(2);
+    expect(summary.durationSeconds).toBe(600);
+    expect(summary.distanceMeters).toBeGreaterThan(1100);
+    expect(summary.streams).toEqual(['time', 'heart rate', 'cadence', 'power']);
+  });
+
+  test('toGpx emits Garmin TrackPointExtension fields the server parser understands', () => {
+    const gpx = importer.toGpx(importer.parseTcx(TCX), 'Morning <ride>');
+    const doc = new window.DOMParser().parseFromString(gpx, 'application/xml');
+
+    expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+    expect(gpx).toContain('<name>Morning &lt;ride&gt;</name>');
+    const pts = doc.getElementsByTagName('trkpt');
+    expect(pts).toHaveLength(2);
+    expect(pts[0].getAttribute('lat')).toBe('48.0000000');
+    expect(gpx).toContain('<time>2026-01-01T08:10:00Z</time>');
+    expect(gpx).toContain('<gpxtpx:hr>135</gpxtpx:hr>');
+    expect(gpx).toContain('<power>230</power>');
+  });
+
+  test('points without altitude get no <ele>, and the GPX matches the fixture the server parser reads', () => {
+    const track = importer.parseTcx(TCX_NO_ALTITUDE);
+    expect(track.coordinates.map((c) => c[2])).toEqual([200, null, 202]);
+
+    const gpx = importer.toGpx(track, 'No altitude');
+    const doc = new window.DOMParser().parseFromString(gpx, 'application/xml');
+    const pts = doc.getElementsByTagName('trkpt');
+    expect(pts[1].getElementsByTagName('ele')).toHaveLength(0);
+    expect(pts[1].getElementsByTagName('power')[0].textContent).toBe('225');
+
+    // tests/Unit/AdminGpxParseTest.php parses this file and checks watts and elevation gain
+    const fixture = fs.readFileSync(path.resolve(__dirname, '../fixtures/imported-no-altitude.gpx'), 'utf8');
+    expect(gpx + '\n').toBe(fixture);
+  });
+});
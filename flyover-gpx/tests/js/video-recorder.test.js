@@ -645,3 +645,222 @@ describe('VideoRecorder Regression Tests - Critical Fixes', () => {
     expect(resetSection[0]).toContain('this.sessionToken');
   });
 });
+
+describe('Frame capture encoders (GIF / PNG ZIP)', () => {
+  let encoders;
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    loadFront();
+    encoders = window.FGPX.internals.frameEncoders;
+  });
+
+  function blobBytes(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(new Uint8Array(reader.result));
+      reader.onerror = reject;
+      reader.readAsArrayBuffer(blob);
+    });
+  }
+
+  // Minimal GIF reader: returns per-frame delay and decoded RGB pixels.
+  function decodeGif(bytes) {
+    const ascii = (from, len) => String.fromCharCode(...bytes.slice(from, from + len));
+    const u16 = (at) => bytes[at] | (bytes[at + 1] << 8);
+    const width = u16(6);
+    const height = u16(8);
+    let pos = 13;
+    const frames = [];
+    let loops = false;
+    let delay = 0;
+    while (bytes[pos] !== 0x3B) {
+      if (bytes[pos] === 0x21) {
+        const label = bytes[pos + 1];
+        if (label === 0xF9) delay = u16(pos + 4);
+        if (label === 0xFF && ascii(pos + 3, 11) === 'NETSCAPE2.0') loops = true;
+        pos += 2;
+        while (bytes[pos] !== 0) pos += bytes[pos] + 1;
+        pos += 1;
+      } else if (bytes[pos] === 0x2C) {
+        const palette = bytes.slice(pos + 10, pos + 10 + 768);
+        pos += 10 + 768;
+        const minCodeSize = bytes[pos++];
+        const data = [];
+        while (bytes[pos] !== 0) { data.push(...bytes.slice(pos + 1, pos + 1 + bytes[pos])); pos += bytes[pos] + 1; }
+        pos += 1;
+
+        const clear = 1 << minCodeSize;
+        const indices = [];
+        let dict = [];
+        let codeSize = minCodeSize + 1;
+        let prev = null;
+        let bit = 0;
+        for (;;) {
+          let code = 0;
+          for (let i = 0; i < codeSize; i++, bit++) code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i;
+          if (code === clear) { dict = []; for (let c = 0; c < clear; c++) dict[c] = [c]; dict[clear] = dict[clear + 1] = null; codeSize = minCodeSize + 1; prev = null; continue; }
+          if (code === clear + 1) break;
+          const entry = code < dict.length ? dict[code] : prev.concat(prev[0]);
+          indices.push(...entry);
+          if (prev) dict.push(prev.concat(entry[0]));
+          if (dict.length === (1 << codeSize) && codeSize < 12) codeSize++;
+          prev = entry;
+        }
+        const rgb = indices.map((idx) => [palette[idx * 3], palette[idx * 3 + 1], palette[idx * 3 + 2]]);
+        frames.push({ delay, rgb });
+      } else {
+        throw new Error('Unexpected GIF block 0x' + bytes[pos].toString(16));
+      }
+    }
+    return { header: ascii(0, 6), width, height, loops, frames };
+  }
+
+  function makeFrame(width, height, colorAt) {
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+      const [r, g, b] = colorAt(i);
+      rgba.set([r, g, b, 255], i * 4);
+    }
+    return rgba;
+  }
+
+  test('GifEncoder round-trips frames through LZW with per-frame delays', async () => {
+    // 200 distinct colors on the 5-bit grid survive the 256-color quantizer exactly;
+    // 96x96 pseudo-random pixels overflow the 4096-code table and force clear codes.
+    const width = 96;
+    const height = 96;
+    let seed = 7;
+    const rand = () => { seed = (seed * 1103515245 + 12345) & 0x7fffffff; return seed; };
+    const palette = Array.from({ length: 200 }, (_, i) => [(i * 8) & 0xF8, (i * 40) & 0xF8, (255 - i) & 0xF8]);
+    const pixelsA = Array.from({ length: width * height }, () => palette[rand() % palette.length]);
+    const pixelsB = Array.from({ length: width * height }, (_, i) => palette[i % 3]);
+
+    const gif = new encoders.GifEncoder(width, height, { fps: 25 });
+    gif.addFrame(makeFrame(width, height, (i) => pixelsA[i]), 120);
+    gif.addFrame(makeFrame(width, height, (i) => pixelsB[i]));
+    const blob = gif.finish();
+
+    expect(blob.type).toBe('image/gif');
+    const decoded = decodeGif(await blobBytes(blob));
+    expect(decoded.header).toBe('GIF89a');
+    expect(decoded.loops).toBe(true);
+    expect([decoded.width, decoded.height]).toEqual([96, 96]);
+    expect(decoded.frames.map((f) => f.delay)).toEqual([12, 4]);
+    expect(decoded.frames[0].rgb).toEqual(pixelsA);
+    expect(decoded.frames[1].rgb).toEqual(pixelsB);
+  });
+
+  test('GifEncoder maps colors beyond the 256-color palette to the nearest entry', async () => {
+    // 300 gray levels, one per 5-bit bin: the 44 least-used bins must fall back to neighbours
+    const width = 300;
+    const height = 2;
+    const gif = new encoders.GifEncoder(width, height);
+    gif.addFrame(makeFrame(width, height, (i) => {
+      const x = i % width;
+      const v = x < 256 ? x : 255;
+      return [v & 0xF8, v & 0xF8, v & 0xF8];
+    }));
+    const decoded = decodeGif(await blobBytes(gif.finish()));
+
+    decoded.frames[0].rgb.forEach(([r, g, b], i) => {
+      const x = i % width;
+      const v = (x < 256 ? x : 255) & 0xF8;
+      expect(Math.abs(r - v)).toBeLessThanOrEqual(8);
+      expect(g).toBe(r);
+      expect(b).toBe(r);
+    });
+  });
+
+  test('crc32 matches the standard check value', () => {
+    const bytes = new Uint8Array('123456789'.split('').map((c) => c.charCodeAt(0)));
+    expect(encoders.crc32(bytes)).toBe(0xCBF43926);
+  });
+
+  test('buildStoredZip writes local headers, central directory and end record', async () => {
+    const files = [
+      { name: 'frame-00001.png', data: new Uint8Array([1, 2, 3]) },
+      { name: 'frame-00002.png', data: new Uint8Array([4, 5, 6, 7]) }
+    ];
+    const blob = encoders.buildStoredZip(files);
+    expect(blob.type).toBe('application/zip');
+
+    const bytes = await blobBytes(blob);
+    const view = new DataView(bytes.buffer);
+    const eocd = bytes.length - 22;
+    expect(view.getUint32(eocd, true)).toBe(0x06054B50);
+    expect(view.getUint16(eocd + 10, true)).toBe(2);
+
+    let cd = view.getUint32(eocd + 16, true);
+    files.forEach((file) => {
+      expect(view.getUint32(cd, true)).toBe(0x02014B50);
+      const nameLen = view.getUint16(cd + 28, true);
+      expect(String.fromCharCode(...bytes.slice(cd + 46, cd + 46 + nameLen))).toBe(file.name);
+      expect(view.getUint32(cd + 16, true)).toBe(encoders.crc32(file.data));
+
+      const local = view.getUint32(cd + 42, true);
+      expect(view.getUint32(local, true)).toBe(0x04034B50);
+      expect(view.getUint16(local + 8, true)).toBe(0); // stored, no compression
+      const dataStart = local + 30 + view.getUint16(local + 26, true);
+      expect(Array.from(bytes.slice(dataStart, dataStart + file.data.length))).toEqual(Array.from(file.data));
+      cd += 46 + nameLen;
+    });
+  });
+
+  test('recording modal offers GIF and PNG frame formats with a progress view', () => {
+    const code = FRONT_SRC;
+    expect(code).toContain('name="fgpx-capture-format"');
+    expect(code).toMatch(/chooseRecordingOutput\(expectedChunkCount, selectedFormat\)/);
+    expect(code).toMatch(/videoRecorder\.captureFormat === 'video' && videoRecorder\.shouldCaptureFrame\(ts\)/);
+    expect(code).toContain("self.map.on('render', self.frameRenderHandler)");
+    expect(code).toContain('class="fgpx-export-progress"');
+  });
+});
+
+describe('Offline frame-by-frame rendering', () => {
+  const section = (pattern) => {
+    const match = FRONT_SRC.match(pattern);
+    expect(match).toBeTruthy();
+    return match[0];
+  };
+
+  test('virtual clock replaces requestAnimationFrame while an offline render runs', () => {
+    const schedule = section(/function scheduleRaf\(\) \{[\s\S]*?^      \}/m);
+    expect(schedule).toMatch(/if \(offlineRender\) return;[\s\S]*requestAnimationFrame\(raf\)/);
+
+    const step = section(/function stepOfflineFrame\(\) \{[\s\S]*?^      \}/m);
+    expect(step).toContain('state.virtualTs += state.frameMs;');
+    expect(step).toContain('raf(state.virtualTs);');
+    expect(step).toContain('waitForOfflineFrameReady()');
+    expect(step).toContain('videoRecorder.captureOfflineFrame()');
+  });
+
+  test('each frame waits for prefetched tiles and an idle map before capture', () => {
+    const ready = section(/function waitForOfflineFrameReady\(\) \{[\s\S]*?^      \}/m);
+    expect(ready).toContain('prefetchTilesAtTargetAsync(');
+    expect(ready).toContain('waitForStartupDecodeReady(OFFLINE_FRAME_SETTLE_MS)');
+  });
+
+  test('the last frame is captured before the recording stops at the track end', () => {
+    expect(FRONT_SRC).toMatch(/if \(offlineRender\) \{\s*\/\/[^\n]*\n[^\n]*\n\s*offlineRender\.reachedEnd = true;\s*return;/);
+    const finish = section(/function finishOfflineRender\(state\) \{[\s\S]*?^      \}/m);
+    expect(finish).toMatch(/stopRecording\(\);\s*if \(state\.reachedEnd\) runEndHandoff\(\);/);
+  });
+
+  test('video frames are pushed explicitly and the recorder only runs for one frame interval', () => {
+    expect(FRONT_SRC).toContain("this.canvas.captureStream(this.renderMode === 'offline' ? 0 : this.targetFPS)");
+    const capture = section(/VideoRecorder\.prototype\.captureOfflineFrame = function\(\) \{[\s\S]*?^      \};/m);
+    expect(capture).toContain('track.requestFrame()');
+    expect(capture).toContain('self.mediaRecorder.resume()');
+    expect(capture).toMatch(/self\.mediaRecorder\.pause\(\);[\s\S]*\}, self\.frameInterval\);/);
+    // A recorder paused between frames must still be stopped to flush the last chunk
+    const stop = section(/VideoRecorder\.prototype\.stop = function\(\) \{\s*if \(this\.captureFormat[\s\S]*?^      \};/m);
+    expect(stop).toContain("this.mediaRecorder.state === 'paused'");
+  });
+
+  test('recording modal offers 30/60 fps frame-by-frame rendering with an ETA', () => {
+    expect(FRONT_SRC).toContain('var OFFLINE_RENDER_FPS = [30, 60];');
+    expect(FRONT_SRC).toContain('name="fgpx-render-mode"');
+    expect(FRONT_SRC).toMatch(/ETA ' \+ formatTime\(info\.eta\)/);
+  });
+});